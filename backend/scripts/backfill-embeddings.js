@@ -0,0 +1,50 @@
+/**
+ * Embedding Backfill Script
+ * Embeds every document chunk and past-performance record that has no vector or
+ * a vector from another model. Pass --force to re-embed everything.
+ *
+ * Usage: node scripts/backfill-embeddings.js [--force]
+ */
+
+const EmbeddingPipelineService = require('../src/services/EmbeddingPipelineService');
+
+const POLL_INTERVAL = 2000;
+
+async function backfillEmbeddings() {
+  const force = process.argv.includes('--force');
+  const pipeline = new EmbeddingPipelineService();
+
+  try {
+    await pipeline.initializeTables();
+
+    const before = await pipeline.getCoverage();
+    console.log(`Embedding model: ${before.model} (${before.dimension || 'unknown'} dimensions)`);
+    console.log('Coverage before:', JSON.stringify(before.tables));
+
+    let job = pipeline.startBackfill({ force, reason: 'script' });
+    while (job.status === 'running') {
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+      job = pipeline.getBackfillStatus();
+    }
+
+    if (job.status === 'failed') {
+      console.error(`❌ Backfill failed: ${job.error}`);
+      process.exit(1);
+    }
+
+    const after = await pipeline.getCoverage();
+    console.log('✅ Backfill completed:', JSON.stringify(job.tables), JSON.stringify(job.pastPerformances));
+    console.log('Coverage after:', JSON.stringify(after.tables));
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Backfill failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  backfillEmbeddings();
+}
+
+module.exports = backfillEmbeddings;
@@ -0,0 +1,62 @@
+/**
+ * Tokenizer Download Script
+ * Downloads each model family's tokenizer.json from Hugging Face into TOKENIZER_PATH
+ * (backend/tokenizers by default) so context budgets use real token counts.
+ * Gemma and Llama repositories are gated: accept their licenses on Hugging Face and set HF_TOKEN.
+ *
+ * Usage: node scripts/fetch-tokenizers.js [family ...] [--force]
+ *   family   Only these families (qwen, gemma, gemma3, llama3); all by default
+ *   --force  Download again even when the file exists
+ */
+
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const BPETokenizer = require('../src/utils/bpeTokenizer');
+const TokenizerService = require('../src/services/TokenizerService');
+
+async function fetchTokenizers() {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const requested = args.filter(arg => !arg.startsWith('--'));
+  const families = TokenizerService.FAMILIES.filter(entry => requested.length === 0 || requested.includes(entry.family));
+  const service = new TokenizerService();
+  let failed = 0;
+
+  for (const { family, source, gated } of families) {
+    const file = service.tokenizerFile(family);
+    try {
+      if (!force && await fs.access(file).then(() => true, () => false)) {
+        console.log(`⏭️  ${family}: ${file} already exists`);
+        continue;
+      }
+      if (gated && !process.env.HF_TOKEN) {
+        throw new Error(`${source} is gated on Hugging Face; set HF_TOKEN after accepting its license`);
+      }
+
+      const response = await axios.get(`https://huggingface.co/${source}/resolve/main/tokenizer.json`, {
+        responseType: 'text',
+        transformResponse: [data => data],
+        headers: process.env.HF_TOKEN ? { Authorization: `Bearer ${process.env.HF_TOKEN}` } : {},
+        timeout: 120000
+      });
+
+      // Refuse files this tokenizer cannot read rather than failing later at count time
+      const tokenizer = new BPETokenizer(JSON.parse(response.data));
+      const sample = tokenizer.count('The contractor shall provide FedRAMP Moderate hosting.');
+
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(`${file}.tmp`, response.data);
+      await fs.rename(`${file}.tmp`, file);
+      console.log(`✅ ${family}: ${source} → ${file} (sample sentence is ${sample} tokens)`);
+    } catch (error) {
+      failed++;
+      const status = error.response ? ` (HTTP ${error.response.status})` : '';
+      console.error(`❌ ${family}: ${error.message}${status}`);
+    }
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+fetchTokenizers();
@@ -0,0 +1,51 @@
+/**
+ * Document Storage Migration Script
+ * Moves uploads stored under category/project folders into the configured storage driver
+ * (STORAGE_DRIVER) under content-addressed keys and repoints their document records.
+ * Safe to re-run; documents already in storage are skipped.
+ *
+ * Usage: node scripts/migrate-storage.js [--dry-run] [--remove-originals] [--from=local]
+ *   --dry-run           Report what would move without writing anything
+ *   --remove-originals  Delete each original file once it is stored
+ *   --from=<driver>     Also copy already-keyed documents from another driver (e.g. local to s3)
+ */
+
+const Document = require('../src/models/Document');
+const DocumentManagerService = require('../src/services/DocumentManagerService');
+
+async function migrateStorage() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const removeOriginals = args.includes('--remove-originals');
+  const fromArg = args.find(arg => arg.startsWith('--from='));
+  const fromDriver = fromArg ? fromArg.slice('--from='.length) : null;
+
+  try {
+    const documentModel = new Document();
+    await documentModel.initializeTables();
+    const documentManager = new DocumentManagerService({ documentModel });
+
+    console.log(`Storage driver: ${documentManager.storage.driverName}${dryRun ? ' (dry run)' : ''}`);
+    const outcome = await documentManager.migrateDocumentStorage({
+      dryRun,
+      removeOriginals,
+      fromDriver,
+      onProgress: progress => console.log(`  scanned ${progress.scanned}, moved ${progress.migrated}, copied ${progress.copied}`)
+    });
+
+    outcome.missing.forEach(item => console.warn(`⚠️  Document ${item.id}: file not found at ${item.path}`));
+    outcome.failed.forEach(item => console.error(`❌ Document ${item.id}: ${item.error}`));
+    console.log(`✅ Storage migration ${dryRun ? 'checked' : 'completed'}: ${outcome.migrated} moved, ${outcome.copied} copied, ${outcome.missing.length} missing, ${outcome.failed.length} failed`);
+    process.exit(outcome.failed.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Storage migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  migrateStorage();
+}
+
+module.exports = migrateStorage;
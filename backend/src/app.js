@@ -18,13 +18,50 @@ const projectsRouter = require('./routes/projects');
 const personasRouter = require('./routes/personas');
 const globalSettingsRouter = require('./routes/globalSettings');
 const globalPromptsRouter = require('./routes/globalPrompts');
+const promptTemplatesRouter = require('./routes/promptTemplates');
 const contextRouter = require('./routes/context');
 const citationsRouter = require('./routes/citations');
 const analyticsRouter = require('./routes/analytics');
 const documentTypesRouter = require('./routes/documentTypes');
 const uploadDefaultsRouter = require('./routes/uploadDefaults');
+const proposalOutlinesRouter = require('./routes/proposalOutlines');
+const proposalDraftsRouter = require('./routes/proposalDrafts');
+const proposalExportsRouter = require('./routes/proposalExports');
+const requirementsRouter = require('./routes/requirements');
+const embeddingsRouter = require('./routes/embeddings');
+const jobsRouter = require('./routes/jobs');
+const chatRouter = require('./routes/chat');
+const permissionsRouter = require('./routes/permissions');
+const auditRouter = require('./routes/audit');
+const reviewsRouter = require('./routes/reviews');
+const milestonesRouter = require('./routes/milestones');
 const AuthService = require('./services/AuthService');
 const GlobalPromptService = require('./services/GlobalPromptService');
+const ProposalOutline = require('./models/ProposalOutline');
+const ProposalDraft = require('./models/ProposalDraft');
+const Requirement = require('./models/Requirement');
+const ComplianceMatrix = require('./models/ComplianceMatrix');
+const ColorReview = require('./models/ColorReview');
+const ProjectMilestone = require('./models/ProjectMilestone');
+const ContextChunk = require('./models/ContextChunk');
+const Job = require('./models/Job');
+const ChatHistory = require('./models/ChatHistory');
+const Document = require('./models/Document');
+const DocumentSearchIndex = require('./models/DocumentSearchIndex');
+const DocumentAccess = require('./models/DocumentAccess');
+const AuditLog = require('./models/AuditLog');
+const PastPerformance = require('./models/PastPerformance');
+const PPSearchService = require('./services/PPSearchService');
+const EmbeddingPipelineService = require('./services/EmbeddingPipelineService');
+const JobQueueService = require('./services/JobQueueService');
+const MilestoneService = require('./services/MilestoneService');
+const StorageService = require('./services/StorageService');
+const LLMService = require('./services/LLMService');
+const TokenizerService = require('./services/TokenizerService');
+const { registerJobHandlers } = require('./services/jobHandlers');
+const { authenticate, authorize, requireRole, resolveUser } = require('./middleware/auth');
+const { attachAIWritingSocket } = require('./websocket/aiWritingSocket');
+const { attachJobSocket } = require('./websocket/jobSocket');
 
 /**
  * Basic Express.js app with WebSocket, PostgreSQL, and Ollama LLM integration.
@@ -36,7 +73,6 @@ const PORT = process.env.PORT || 3001;
 const PG_CONFIG = {
     connectionString: process.env.DATABASE_URL || `postgresql://${process.env.DB_USER || 'govaiuser'}:${process.env.DB_PASSWORD || 'devpass123'}@${process.env.DB_HOST || 'localhost'}:${process.env.DB_PORT || 5432}/${process.env.DB_NAME || 'govai'}`,
 };
-const OLLAMA_URL = process.env.OLLAMA_URL || 'http://localhost:11434';
 
 // --- PostgreSQL Pool ---
 const pool = new Pool(PG_CONFIG);
@@ -72,21 +108,35 @@ app.use(passport.initialize());
 app.use(passport.session());
 
 
+// Every API router except sign-in requires a session; role permissions come from roles.permissions
+// (POSTs under readPaths only query data and are checked as reads)
 app.use('/api/auth', authRouter);
-app.use('/api/projects', projectsRouter);
-app.use('/api/documents', documentsRouter);
-app.use('/api/analysis', analysisRouter);
-app.use('/api/past-performance', pastPerformanceRouter);
-app.use('/api/ai-writing', aiWritingRouter);
-app.use('/api/compliance', complianceRouter);
-app.use('/api/personas', personasRouter);
-app.use('/api/global-settings', globalSettingsRouter);
-app.use('/api/global-prompts', globalPromptsRouter);
-app.use('/api/context', contextRouter);
-app.use('/api/citations', citationsRouter);
-app.use('/api/analytics', analyticsRouter);
-app.use('/api/document-types', documentTypesRouter);
-app.use('/api/upload-defaults', uploadDefaultsRouter);
+app.use('/api/projects', authenticate, authorize('projects'), projectsRouter);
+app.use('/api/documents', authenticate, authorize('documents', { readPaths: ['/search'] }), documentsRouter);
+app.use('/api/analysis', authenticate, authorize('ai'), analysisRouter);
+app.use('/api/past-performance', authenticate, authorize('documents', { readPaths: ['/search'] }), pastPerformanceRouter);
+app.use('/api/ai-writing', authenticate, authorize('ai'), aiWritingRouter);
+app.use('/api/compliance', authenticate, authorize('projects', { readPaths: ['/'] }), complianceRouter);
+app.use('/api/personas', authenticate, authorize('ai', { readPaths: ['/validate-name'] }), personasRouter);
+app.use('/api/global-settings', authenticate, authorize('settings'), globalSettingsRouter);
+app.use('/api/global-prompts', globalPromptsRouter); // authenticates per route
+app.use('/api/prompt-templates', authenticate, promptTemplatesRouter); // admin routes per route; writers rate their own generations
+app.use('/api/context', authenticate, authorize('documents', { readPaths: ['/retrieve', '/overflow/check'] }), contextRouter);
+app.use('/api/citations', authenticate, authorize('documents', { readPaths: ['/'] }), citationsRouter);
+app.use('/api/analytics', authenticate, authorize('analytics', { readPaths: ['/'] }), analyticsRouter);
+app.use('/api/document-types', authenticate, authorize('settings', { readPaths: ['/validate'] }), documentTypesRouter);
+app.use('/api/upload-defaults', uploadDefaultsRouter); // authenticates per route
+app.use('/api/proposal-outlines', authenticate, authorize('documents'), proposalOutlinesRouter);
+app.use('/api/proposal-drafts', authenticate, authorize('documents'), proposalDraftsRouter);
+app.use('/api/proposal-exports', authenticate, authorize('documents', { readPaths: ['/'] }), proposalExportsRouter);
+app.use('/api/requirements', authenticate, authorize('projects'), requirementsRouter);
+app.use('/api/embeddings', authenticate, authorize('settings'), embeddingsRouter);
+app.use('/api/jobs', authenticate, requireRole('admin'), jobsRouter);
+app.use('/api/chat', authenticate, authorize('ai'), chatRouter);
+app.use('/api/permissions', authenticate, permissionsRouter);
+app.use('/api/reviews', authenticate, reviewsRouter); // project permissions per route
+app.use('/api/milestones', milestonesRouter); // authenticates per route (calendar feeds use their URL token)
+app.use('/api/audit', authenticate, requireRole('admin'), auditRouter);
 
 // --- Health Check Endpoint ---
 app.get('/health', async (req, res) => {
@@ -122,26 +172,135 @@ app.use((err, req, res, next) => {
 
 // --- HTTP & WebSocket Server Setup ---
 const server = http.createServer(app);
-const wss = new Server({ server });
+// WebSocket connections carry the same session cookie; the user is kept on the upgrade request
+const wss = new Server({
+    server,
+    verifyClient: ({ req }, done) => {
+        resolveUser(req).then(user => {
+            req.user = user;
+            done(Boolean(user), 401, 'Authentication required');
+        }).catch(() => done(false, 401, 'Authentication required'));
+    }
+});
 
 wss.on('connection', (ws) => {
     console.log('WebSocket client connected');
-    ws.on('message', (message) => {
-        // TODO: Handle WebSocket messages, possibly interact with Ollama LLM
-        ws.send(JSON.stringify({ message: 'WebSocket placeholder response' }));
-    });
     ws.on('close', () => {
         console.log('WebSocket client disconnected');
     });
 });
 
+// AI writing token streaming (see websocket/aiWritingSocket.js for the frame protocol)
+attachAIWritingSocket(wss);
+
+// Background job progress feed (see websocket/jobSocket.js)
+attachJobSocket(wss);
+
 // --- Initialize Services ---
 async function initializeServices() {
     try {
+        // Initialize the hash-chained audit trail first; sign-ins and admin changes write to it
+        const auditLog = new AuditLog();
+        await auditLog.initializeTables();
+        console.log('Audit log table initialized');
+
         // Initialize Global Prompt Configuration tables
         const globalPromptService = new GlobalPromptService();
         await globalPromptService.initializeTables();
         console.log('Global prompt configuration initialized');
+
+        // Initialize proposal outline tables
+        const proposalOutline = new ProposalOutline();
+        await proposalOutline.initializeTables();
+        console.log('Proposal outline tables initialized');
+
+        // Initialize proposal draft tables (sections reference outline nodes)
+        const proposalDraft = new ProposalDraft();
+        await proposalDraft.initializeTables();
+        console.log('Proposal draft tables initialized');
+
+        // Initialize shredded requirements table
+        const requirement = new Requirement();
+        await requirement.initializeTables();
+        console.log('Requirements table initialized');
+
+        // Initialize compliance matrix (rows reference requirements and proposal sections)
+        const complianceMatrix = new ComplianceMatrix();
+        await complianceMatrix.initializeTables();
+        console.log('Compliance matrix table initialized');
+
+        // Initialize color-team reviews (comments and scores reference proposal sections)
+        const colorReview = new ColorReview();
+        await colorReview.initializeTables();
+        console.log('Color review tables initialized');
+
+        // Initialize project milestones (may link to color reviews) and calendar feed tokens
+        const projectMilestone = new ProjectMilestone();
+        await projectMilestone.initializeTables();
+        console.log('Project milestones tables initialized');
+
+        // Initialize retrieval index for project context chunks
+        const contextChunk = new ContextChunk();
+        await contextChunk.initializeTables();
+        console.log('Context chunks table initialized');
+
+        // Initialize persistent AI chat sessions
+        const chatHistory = new ChatHistory();
+        await chatHistory.initializeTables();
+        console.log('Chat history tables initialized');
+
+        // Initialize document storage (STORAGE_DRIVER=local|s3) and the storage key column
+        const document = new Document();
+        await document.initializeTables();
+        await new StorageService().initialize();
+        console.log('Document storage initialized');
+
+        // Initialize the full-text index of document contents
+        const documentSearchIndex = new DocumentSearchIndex();
+        await documentSearchIndex.initializeTables();
+        console.log('Document search index initialized');
+
+        // Initialize document visibility (restricted documents)
+        const documentAccess = new DocumentAccess();
+        await documentAccess.initializeTables();
+        console.log('Document access table initialized');
+
+        // Initialize CPARS / questionnaire evaluation columns on past performance records
+        const pastPerformance = new PastPerformance();
+        await pastPerformance.initializeTables();
+        console.log('Past performance evaluation columns initialized');
+
+        // Initialize saved past performance search weights
+        const ppSearchService = new PPSearchService();
+        await ppSearchService.initializeTables();
+        console.log('Search configurations table initialized');
+
+        // Initialize background job queue and start this server's worker
+        const job = new Job();
+        await job.initializeTables();
+        const jobQueue = new JobQueueService();
+        registerJobHandlers(jobQueue);
+        await jobQueue.start();
+        console.log('Job queue worker started');
+
+        // Hourly milestone deadline alerts (a queued check already scheduled is kept)
+        await new MilestoneService({ jobQueue }).scheduleDeadlineCheck();
+
+        // Track embedding model per vector, then re-embed anything from an older model in the background
+        const embeddingPipeline = new EmbeddingPipelineService();
+        await embeddingPipeline.initializeTables();
+        embeddingPipeline.ensureCurrent('startup').catch(error => {
+            console.error('Embedding model check failed:', error.message);
+        });
+
+        // Parse the routed models' tokenizers now rather than on the first prompt
+        const llmService = new LLMService();
+        const tokenizers = await new TokenizerService().preload(
+            await Promise.all(['writing', 'extraction', 'analysis'].map(task => llmService.getModel(task)))
+        );
+        tokenizers.forEach(({ model, family, exact }) => {
+            console.log(`Token counts for ${model}: ${exact ? `${family} tokenizer` : 'estimated (~4 characters per token)'}`);
+        });
     } catch (error) {
         console.error('Error initializing services:', error);
     }
@@ -0,0 +1,357 @@
+/**
+ * Authentication & Authorization Middleware
+ * Resolves the signed-in user from the auth_token session cookie, enforces the role
+ * permissions stored in roles.permissions and restricts project data to the project team
+ * (project roles and document visibility are decided by PermissionService)
+ */
+
+const AuthService = require('../services/AuthService');
+const PermissionService = require('../services/PermissionService');
+const logger = require('../utils/logger');
+
+// Permission action implied by the HTTP method (roles.permissions is { resource: { action: true } })
+const METHOD_ACTIONS = {
+  GET: 'read',
+  HEAD: 'read',
+  OPTIONS: 'read',
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete'
+};
+
+const { isAdmin, hasRolePermission } = PermissionService;
+
+// Lazy initialization so requiring this module does not open pools or register passport strategies
+let authService;
+function getAuthService() {
+  if (!authService) {
+    authService = new AuthService();
+  }
+  return authService;
+}
+
+let permissionService;
+function getPermissionService() {
+  if (!permissionService) {
+    permissionService = new PermissionService();
+  }
+  return permissionService;
+}
+
+/**
+ * Session token from the auth_token cookie, or an `Authorization: Bearer` header for API clients
+ */
+function getSessionToken(req) {
+  if (req.cookies && req.cookies.auth_token) {
+    return req.cookies.auth_token;
+  }
+
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+
+  // WebSocket upgrade requests do not go through cookie-parser
+  const cookieHeader = req.headers.cookie || '';
+  const match = cookieHeader.match(/(?:^|;\s*)auth_token=([^;]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Resolve the user for a request
+ * @returns {Object|null} { id, email, role, permissions, oauth_provider }, or null without a valid session
+ */
+const resolveUser = async (req) => {
+  const token = getSessionToken(req);
+  if (!token) {
+    return null;
+  }
+
+  try {
+    return await getAuthService().verifyToken(token);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Require a signed-in user; sets req.user
+ */
+const authenticate = async (req, res, next) => {
+  if (!getSessionToken(req)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  const user = await resolveUser(req);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired session'
+    });
+  }
+
+  req.user = user;
+  next();
+};
+
+/**
+ * Require a role permission on a resource
+ * The action defaults to the one implied by the HTTP method. POSTs under readPaths only
+ * query data (searches, analyses) and are checked as reads; '/' covers the whole router.
+ * @param {string} resource - Key in roles.permissions (projects, documents, ai, analytics, settings, users)
+ * @param {Object} options - { action, readPaths }
+ */
+const authorize = (resource, { action = null, readPaths = [] } = {}) => {
+  return (req, res, next) => {
+    let requiredAction = action || METHOD_ACTIONS[req.method] || 'read';
+    if (!action && req.method === 'POST' && readPaths.some(prefix => req.path.startsWith(prefix))) {
+      requiredAction = 'read';
+    }
+
+    if (!hasRolePermission(req.user, resource, requiredAction)) {
+      logger.warn(`Permission denied: ${req.user ? req.user.email : 'anonymous'} ${resource}.${requiredAction} ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        success: false,
+        message: `Permission denied: ${resource}.${requiredAction}`
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Require one of the given roles
+ */
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user || !(isAdmin(req.user) || roles.includes(req.user.role))) {
+      return res.status(403).json({
+        success: false,
+        message: `Requires role: ${roles.join(' or ')}`
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * Whether the user may access a project's data
+ * Project data is restricted to the project team (and admins). A project that is not
+ * registered, or has no team yet, is open to admins only.
+ * @param {Object} user - req.user
+ * @param {Object} project - { projectName } or { projectId }
+ * @returns {Object} { allowed, member }
+ */
+const checkProjectAccess = async (user, { projectName = null, projectId = null } = {}) => {
+  if (isAdmin(user) || (!projectName && !projectId)) {
+    return { allowed: true, member: null };
+  }
+
+  const { member } = await getPermissionService().getMembership(user, { projectName, projectId });
+  return { allowed: Boolean(member), member };
+};
+
+/**
+ * Keep only the items whose project the user may access
+ * @param {Object} user - req.user
+ * @param {Array} items - Items to filter
+ * @param {Function} getProjectName - Item => project name
+ */
+const filterByProjectAccess = async (user, items, getProjectName) => {
+  if (isAdmin(user)) {
+    return items;
+  }
+
+  const decisions = new Map();
+  const allowed = [];
+  for (const item of items) {
+    const projectName = getProjectName(item);
+    if (!decisions.has(projectName)) {
+      decisions.set(projectName, (await checkProjectAccess(user, { projectName })).allowed);
+    }
+    if (decisions.get(projectName)) {
+      allowed.push(item);
+    }
+  }
+  return allowed;
+};
+
+const denyProjectAccess = (req, res, label) => {
+  logger.warn(`Project access denied: ${req.user ? req.user.email : 'anonymous'} is not on the team for ${label}`);
+  return res.status(403).json({
+    success: false,
+    message: `You are not a member of the project team for ${label}`
+  });
+};
+
+/**
+ * Project named in the query string or body (projectName, or projectContext.title from the AI writing panel)
+ */
+const projectNameFromRequest = (req) => {
+  const body = req.body || {};
+  return req.query.projectName ||
+    body.projectName ||
+    (body.projectContext && body.projectContext.title) ||
+    null;
+};
+
+/**
+ * Require team membership for the project named in the query string or body
+ * @param {Function} getProjectName - Optional req => project name
+ */
+const requireProjectAccess = (getProjectName = projectNameFromRequest) => {
+  return async (req, res, next) => {
+    const projectName = getProjectName(req);
+    if (!projectName) {
+      return next();
+    }
+
+    try {
+      const { allowed } = await checkProjectAccess(req.user, { projectName });
+      if (!allowed) {
+        return denyProjectAccess(req, res, projectName);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Require a project action (see PermissionService.PROJECT_ACTIONS) on the request's project or document
+ * The target comes from router.param handlers (req.projectName, req.projectId, req.documentId)
+ * or the project named in the query string or body. Denials carry the decision so the client
+ * can show why.
+ * @param {string} action - edit_sections, approve, review, upload, delete, export, run_ai, manage_access
+ */
+const requireProjectPermission = (action) => {
+  return async (req, res, next) => {
+    try {
+      const decision = await getPermissionService().explain(req.user, action, {
+        projectName: req.projectName || projectNameFromRequest(req),
+        projectId: req.projectId || null,
+        documentId: req.documentId || null
+      });
+      if (!decision.allowed) {
+        logger.warn(`Project permission denied: ${req.user ? req.user.email : 'anonymous'} ${action} ${req.method} ${req.originalUrl}: ${decision.reason}`);
+        return res.status(403).json({
+          success: false,
+          message: decision.reason,
+          decision
+        });
+      }
+      next();
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+      next(error);
+    }
+  };
+};
+
+/**
+ * router.param handler requiring team membership for a project name in the path
+ */
+const projectNameParam = async (req, res, next, value) => {
+  try {
+    const projectName = decodeURIComponent(value);
+    const { allowed } = await checkProjectAccess(req.user, { projectName });
+    if (!allowed) {
+      return denyProjectAccess(req, res, projectName);
+    }
+    req.projectName = projectName;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * router.param handler factory for records that belong to a project (drafts, sections, ...)
+ * Sets req.projectName so requireProjectPermission checks the owning project.
+ * @param {Function} resolveProjectName - async (id) => project name, or null for records without one
+ */
+const projectRecordParam = (resolveProjectName) => {
+  return async (req, res, next, value) => {
+    const id = parseInt(value);
+    if (isNaN(id)) {
+      return next();
+    }
+
+    try {
+      const projectName = await resolveProjectName(id);
+      if (projectName) {
+        const { allowed } = await checkProjectAccess(req.user, { projectName });
+        if (!allowed) {
+          return denyProjectAccess(req, res, projectName);
+        }
+        req.projectName = projectName;
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * router.param handler restricting a document ID in the path to its project team and, when
+ * the document is restricted, to the roles and people it is open to
+ */
+const documentParam = (req, res, next, value) => {
+  const documentId = parseInt(value, 10);
+  if (isNaN(documentId)) {
+    return next();
+  }
+
+  req.documentId = documentId;
+  requireProjectPermission('view')(req, res, next);
+};
+
+/**
+ * router.param handler requiring team membership for a numeric project ID in the path
+ */
+const projectIdParam = async (req, res, next, value) => {
+  const projectId = parseInt(value);
+  if (isNaN(projectId)) {
+    return next();
+  }
+
+  try {
+    const { allowed } = await checkProjectAccess(req.user, { projectId });
+    if (!allowed) {
+      return denyProjectAccess(req, res, `project ${projectId}`);
+    }
+    req.projectId = projectId;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  authenticate,
+  authorize,
+  requireRole,
+  requireProjectAccess,
+  requireProjectPermission,
+  projectNameParam,
+  projectIdParam,
+  projectRecordParam,
+  documentParam,
+  checkProjectAccess,
+  filterByProjectAccess,
+  hasRolePermission,
+  resolveUser,
+  isAdmin
+};
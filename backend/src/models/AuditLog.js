@@ -0,0 +1,296 @@
+/**
+ * Audit Log Model
+ * Append-only audit trail in audit_logs. Each row stores the SHA-256 of its own content
+ * chained to the previous row's hash, so editing or deleting a row breaks every hash after it.
+ * Rows are appended under an advisory lock so the chain stays linear across servers.
+ */
+
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const logger = require('../utils/logger');
+
+// pg_advisory_xact_lock key serializing chain appends
+const CHAIN_LOCK_KEY = 7426001;
+const GENESIS_HASH = '0'.repeat(64);
+// created_at as the database stores it, so hashes do not depend on the server's time zone
+const CREATED_AT_TEXT = `to_char(created_at, 'YYYY-MM-DD"T"HH24:MI:SS.US') AS created_at_text`;
+
+/**
+ * JSON with object keys sorted at every level (JSONB does not keep key order)
+ */
+function canonicalJSON(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalJSON(item))).join(',')}]`;
+  }
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash of an audit row's content and the previous row's hash
+ * @param {string} prevHash - row_hash of the previous chained row
+ * @param {Object} entry - Formatted entry
+ * @param {string} createdAtText - created_at as stored (see CREATED_AT_TEXT)
+ */
+function hashEntry(prevHash, entry, createdAtText) {
+  return crypto.createHash('sha256').update(canonicalJSON({
+    prevHash,
+    userId: entry.userId === null || entry.userId === undefined ? null : Number(entry.userId),
+    eventType: entry.eventType,
+    eventCategory: entry.eventCategory || null,
+    resourceType: entry.resourceType || null,
+    resourceId: entry.resourceId === null || entry.resourceId === undefined ? null : String(entry.resourceId),
+    projectName: entry.projectName || null,
+    details: entry.details || {},
+    createdAt: createdAtText
+  })).digest('hex');
+}
+
+class AuditLog {
+  constructor(pool = null) {
+    this.pool = pool || new Pool({
+      connectionString: process.env.DATABASE_URL ||
+        `postgresql://${process.env.DB_USER || 'govaiuser'}:${process.env.DB_PASSWORD || 'devpass123'}@${process.env.DB_HOST || 'localhost'}:${process.env.DB_PORT || 5432}/${process.env.DB_NAME || 'govai'}`
+    });
+  }
+
+  /**
+   * Initialize audit_logs, adding the project and hash chain columns to existing installs
+   */
+  async initializeTables() {
+    const client = await this.pool.connect();
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS audit_logs (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER,
+          event_type VARCHAR(100) NOT NULL,
+          event_category VARCHAR(50),
+          resource_type VARCHAR(100),
+          resource_id VARCHAR(255),
+          details JSONB DEFAULT '{}',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      await client.query(`
+        ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS project_name VARCHAR(255);
+        ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS prev_hash VARCHAR(64); -- row_hash of the previous chained row
+        ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS row_hash VARCHAR(64); -- null for rows written before chaining
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_audit_logs_created ON audit_logs(created_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_audit_logs_user ON audit_logs(user_id, created_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_audit_logs_event ON audit_logs(event_category, event_type);
+        CREATE INDEX IF NOT EXISTS idx_audit_logs_resource ON audit_logs(resource_type, resource_id);
+        CREATE INDEX IF NOT EXISTS idx_audit_logs_project ON audit_logs(project_name);
+      `);
+
+      logger.info('Audit log table initialized');
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Append a row to the chain
+   * @param {Object} entry - { userId, eventType, eventCategory, resourceType, resourceId, projectName, details }
+   * @param {Object} client - Optional client of an open transaction (the row commits with it)
+   * @returns {Object} Stored entry
+   */
+  async append(entry, client = null) {
+    const connection = client || await this.pool.connect();
+    try {
+      if (!client) {
+        await connection.query('BEGIN');
+      }
+      await connection.query('SELECT pg_advisory_xact_lock($1)', [CHAIN_LOCK_KEY]);
+
+      const last = await connection.query(
+        'SELECT row_hash FROM audit_logs WHERE row_hash IS NOT NULL ORDER BY id DESC LIMIT 1'
+      );
+      const prevHash = last.rows.length > 0 ? last.rows[0].row_hash : GENESIS_HASH;
+
+      // Hash the row as stored (JSONB and timestamp normalization included), as verifyChain reads it
+      const inserted = await connection.query(`
+        INSERT INTO audit_logs
+          (user_id, event_type, event_category, resource_type, resource_id, project_name, details, created_at, prev_hash)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP, $8)
+        RETURNING *, ${CREATED_AT_TEXT}
+      `, [
+        entry.userId || null,
+        entry.eventType,
+        entry.eventCategory || null,
+        entry.resourceType || null,
+        entry.resourceId === null || entry.resourceId === undefined ? null : String(entry.resourceId),
+        entry.projectName || null,
+        JSON.stringify(entry.details || {}),
+        prevHash
+      ]);
+      const row = inserted.rows[0];
+      row.row_hash = hashEntry(prevHash, this.formatEntry(row), row.created_at_text);
+
+      await connection.query('UPDATE audit_logs SET row_hash = $1 WHERE id = $2', [row.row_hash, row.id]);
+
+      if (!client) {
+        await connection.query('COMMIT');
+      }
+      return this.formatEntry(row);
+    } catch (error) {
+      if (!client) {
+        await connection.query('ROLLBACK');
+      }
+      throw error;
+    } finally {
+      if (!client) {
+        connection.release();
+      }
+    }
+  }
+
+  /**
+   * Build the WHERE clause for audit filters
+   */
+  buildFilters(filters = {}) {
+    const conditions = [];
+    const values = [];
+    const add = (sql, value) => {
+      values.push(value);
+      conditions.push(sql.replace('?', `$${values.length}`));
+    };
+
+    if (filters.userId) add('a.user_id = ?', filters.userId);
+    if (filters.eventType) add('a.event_type = ?', filters.eventType);
+    if (filters.eventCategory) add('a.event_category = ?', filters.eventCategory);
+    if (filters.resourceType) add('a.resource_type = ?', filters.resourceType);
+    if (filters.resourceId) add('a.resource_id = ?', String(filters.resourceId));
+    if (filters.projectName) add('a.project_name = ?', filters.projectName);
+    if (filters.from) add('a.created_at >= ?', filters.from);
+    if (filters.to) add('a.created_at <= ?', filters.to);
+    if (filters.search) add('a.details::text ILIKE ?', `%${filters.search}%`);
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      values
+    };
+  }
+
+  /**
+   * Search the audit trail, newest first
+   * @param {Object} filters - { userId, eventType, eventCategory, resourceType, resourceId, projectName, from, to, search }
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Object} { entries, total }
+   */
+  async search(filters = {}, { limit = 50, offset = 0 } = {}) {
+    const { where, values } = this.buildFilters(filters);
+
+    const countResult = await this.pool.query(`SELECT COUNT(*) FROM audit_logs a ${where}`, values);
+    const result = await this.pool.query(`
+      SELECT a.*, u.email AS user_email, u.full_name AS user_name
+      FROM audit_logs a
+      LEFT JOIN users u ON a.user_id = u.id
+      ${where}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `, [...values, limit, offset]);
+
+    return {
+      entries: result.rows.map(row => this.formatEntry(row)),
+      total: parseInt(countResult.rows[0].count)
+    };
+  }
+
+  async getById(id) {
+    const result = await this.pool.query(`
+      SELECT a.*, u.email AS user_email, u.full_name AS user_name
+      FROM audit_logs a
+      LEFT JOIN users u ON a.user_id = u.id
+      WHERE a.id = $1
+    `, [id]);
+    return result.rows.length > 0 ? this.formatEntry(result.rows[0]) : null;
+  }
+
+  /**
+   * Recompute the hash chain in ID order
+   * @param {Object} options - { batchSize }
+   * @returns {Object} { valid, checked, unchained, lastHash, firstInvalid: { id, problem } | null }
+   */
+  async verifyChain({ batchSize = 1000 } = {}) {
+    let prevHash = GENESIS_HASH;
+    let lastId = 0;
+    let checked = 0;
+
+    for (;;) {
+      const result = await this.pool.query(`
+        SELECT *, ${CREATED_AT_TEXT} FROM audit_logs
+        WHERE id > $1 AND row_hash IS NOT NULL
+        ORDER BY id ASC
+        LIMIT $2
+      `, [lastId, batchSize]);
+
+      for (const row of result.rows) {
+        const entry = this.formatEntry(row);
+        if (row.prev_hash !== prevHash) {
+          return this.chainResult(checked, prevHash, { id: row.id, problem: 'Previous hash does not match; a row before this one was changed or removed' });
+        }
+        if (hashEntry(row.prev_hash, entry, row.created_at_text) !== row.row_hash) {
+          return this.chainResult(checked, prevHash, { id: row.id, problem: 'Row content does not match its hash' });
+        }
+        prevHash = row.row_hash;
+        lastId = row.id;
+        checked++;
+      }
+
+      if (result.rows.length < batchSize) {
+        break;
+      }
+    }
+
+    return this.chainResult(checked, prevHash, null);
+  }
+
+  async chainResult(checked, lastHash, firstInvalid) {
+    const unchained = await this.pool.query('SELECT COUNT(*) FROM audit_logs WHERE row_hash IS NULL');
+    return {
+      valid: !firstInvalid,
+      checked,
+      unchained: parseInt(unchained.rows[0].count),
+      lastHash,
+      firstInvalid
+    };
+  }
+
+  formatEntry(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      userEmail: row.user_email || null,
+      userName: row.user_name || null,
+      eventType: row.event_type,
+      eventCategory: row.event_category,
+      resourceType: row.resource_type,
+      resourceId: row.resource_id,
+      projectName: row.project_name,
+      details: row.details || {},
+      createdAt: row.created_at,
+      prevHash: row.prev_hash,
+      rowHash: row.row_hash
+    };
+  }
+}
+
+AuditLog.hashEntry = hashEntry;
+AuditLog.canonicalJSON = canonicalJSON;
+AuditLog.GENESIS_HASH = GENESIS_HASH;
+
+module.exports = AuditLog;
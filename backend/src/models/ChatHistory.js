@@ -284,12 +284,74 @@ class ChatHistory {
         }
     }
 
+    /**
+     * Get one session with its owner's name
+     */
+    async getSession(sessionId) {
+        const result = await this.pool.query(`
+            SELECT s.*, u.username, u.full_name as user_name
+            FROM chat_sessions s
+            LEFT JOIN users u ON s.user_id = u.id
+            WHERE s.id = $1
+        `, [sessionId]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * List every user's sessions for a project, most recently active first
+     */
+    async listProjectSessions(projectName, options = {}) {
+        const {
+            includeInactive = false,
+            limit = 50,
+            offset = 0
+        } = options;
+
+        const result = await this.pool.query(`
+            SELECT s.*, u.username, u.full_name as user_name
+            FROM chat_sessions s
+            LEFT JOIN users u ON s.user_id = u.id
+            WHERE s.project_name = $1
+            ${includeInactive ? '' : 'AND s.is_active = true'}
+            ORDER BY s.last_activity DESC
+            LIMIT $2 OFFSET $3
+        `, [projectName, limit, offset]);
+
+        return result.rows;
+    }
+
+    /**
+     * Get the message pairs of a session in chronological order
+     */
+    async getSessionMessages(sessionId, options = {}) {
+        const {
+            limit = 200,
+            offset = 0
+        } = options;
+
+        const result = await this.pool.query(`
+            SELECT m.*, u.username, u.full_name as user_name
+            FROM chat_messages m
+            LEFT JOIN users u ON m.user_id = u.id
+            WHERE m.session_id = $1
+            ORDER BY m.created_at ASC, m.id ASC
+            LIMIT $2 OFFSET $3
+        `, [sessionId, limit, offset]);
+
+        return result.rows;
+    }
+
     /**
      * Search chat history
+     * Pass a null userId to search every user's chats (e.g. across a project team). With a
+     * visibleTo user ID, only chats of projects on that user's teams and their own chats
+     * without a project are searched; null searches everything (admins).
      */
     async searchChatHistory(userId, searchTerm, options = {}) {
         const {
             projectName = null,
+            visibleTo = null,
             limit = 20,
             offset = 0
         } = options;
@@ -302,7 +364,7 @@ class ChatHistory {
                                plainto_tsquery('english', $2)) as rank
                 FROM chat_messages m
                 JOIN chat_sessions s ON m.session_id = s.id
-                WHERE m.user_id = $1
+                WHERE ($1::integer IS NULL OR m.user_id = $1)
                 AND to_tsvector('english', m.user_message || ' ' || m.ai_response) @@ plainto_tsquery('english', $2)
             `;
             let queryParams = [userId, searchTerm];
@@ -314,6 +376,20 @@ class ChatHistory {
                 queryParams.push(projectName);
             }
 
+            if (visibleTo) {
+                paramCount++;
+                searchQuery += `
+                AND (
+                    (s.project_name IS NULL AND s.user_id = $${paramCount})
+                    OR EXISTS (
+                        SELECT 1 FROM projects p
+                        JOIN project_team_members tm ON tm.project_id = p.id AND tm.removed_at IS NULL
+                        WHERE p.title = s.project_name AND tm.user_id = $${paramCount}
+                    )
+                )`;
+                queryParams.push(visibleTo);
+            }
+
             searchQuery += ` ORDER BY rank DESC, m.created_at DESC LIMIT $${++paramCount} OFFSET $${++paramCount}`;
             queryParams.push(limit, offset);
 
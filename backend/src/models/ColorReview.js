@@ -0,0 +1,524 @@
+/**
+ * ColorReview Model
+ * Scheduled color-team reviews (Pink/Red/Gold) of a project's proposal draft: assigned
+ * reviewers, comments anchored to section text, and adjectival scores per evaluation factor
+ */
+
+const { Pool } = require('pg');
+const logger = require('../utils/logger');
+
+const REVIEW_STATUSES = ['scheduled', 'in_progress', 'completed', 'cancelled'];
+const COMMENT_STATUSES = ['open', 'resolved', 'wont_fix'];
+
+class ColorReview {
+  constructor(pool = null) {
+    this.pool = pool || new Pool({
+      connectionString: process.env.DATABASE_URL ||
+        `postgresql://${process.env.DB_USER || 'govaiuser'}:${process.env.DB_PASSWORD || 'devpass123'}@${process.env.DB_HOST || 'localhost'}:${process.env.DB_PORT || 5432}/${process.env.DB_NAME || 'govai'}`
+    });
+  }
+
+  /**
+   * Initialize color review tables (requires proposal_drafts and proposal_sections)
+   */
+  async initializeTables() {
+    const client = await this.pool.connect();
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS color_reviews (
+          id SERIAL PRIMARY KEY,
+          project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+          draft_id INTEGER REFERENCES proposal_drafts(id) ON DELETE SET NULL, -- draft under review
+          review_type VARCHAR(20) NOT NULL, -- pink, red, gold
+          title VARCHAR(255) NOT NULL,
+          status VARCHAR(20) DEFAULT 'scheduled', -- scheduled, in_progress, completed, cancelled
+          scheduled_start TIMESTAMP,
+          scheduled_end TIMESTAMP NOT NULL, -- findings due
+          instructions TEXT,
+          completed_at TIMESTAMP,
+          created_by INTEGER REFERENCES users(id),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_color_reviews_project
+        ON color_reviews(project_id, scheduled_end);
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS color_review_reviewers (
+          review_id INTEGER NOT NULL REFERENCES color_reviews(id) ON DELETE CASCADE,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          assigned_by INTEGER REFERENCES users(id),
+          assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (review_id, user_id)
+        );
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS color_review_comments (
+          id SERIAL PRIMARY KEY,
+          review_id INTEGER NOT NULL REFERENCES color_reviews(id) ON DELETE CASCADE,
+          section_id INTEGER NOT NULL REFERENCES proposal_sections(id) ON DELETE CASCADE,
+          author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          comment_type VARCHAR(30) DEFAULT 'general', -- general, strength, weakness, significant_weakness, deficiency
+          body TEXT NOT NULL,
+          anchor JSONB, -- { quote, prefix, suffix, start, end, sectionVersion }; null for whole-section comments
+          status VARCHAR(20) DEFAULT 'open', -- open, resolved, wont_fix
+          resolution_note TEXT,
+          resolved_by INTEGER REFERENCES users(id),
+          resolved_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_color_review_comments_review
+        ON color_review_comments(review_id, section_id);
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS color_review_scores (
+          id SERIAL PRIMARY KEY,
+          review_id INTEGER NOT NULL REFERENCES color_reviews(id) ON DELETE CASCADE,
+          section_id INTEGER NOT NULL REFERENCES proposal_sections(id) ON DELETE CASCADE,
+          factor_id VARCHAR(50) NOT NULL, -- Section M factor (Factor 1, Factor 1.2, ...)
+          factor_title VARCHAR(500),
+          reviewer_id INTEGER REFERENCES users(id) ON DELETE CASCADE, -- null for the AI mock evaluator
+          source VARCHAR(20) DEFAULT 'reviewer', -- reviewer, ai
+          rating VARCHAR(20) NOT NULL, -- outstanding, good, acceptable, marginal, unacceptable
+          rationale TEXT,
+          strengths JSONB DEFAULT '[]',
+          weaknesses JSONB DEFAULT '[]',
+          metadata JSONB DEFAULT '{}',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      // One score per scorer per factor; the AI evaluator scores as reviewer 0
+      await client.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_color_review_scores_unique
+        ON color_review_scores(review_id, section_id, factor_id, (COALESCE(reviewer_id, 0)));
+      `);
+
+      logger.info('Color review tables initialized successfully');
+    } catch (error) {
+      logger.error(`Error initializing color review tables: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // =============================================================================
+  // REVIEWS
+  // =============================================================================
+
+  /**
+   * Schedule a review and assign its reviewers
+   * @param {number} projectId - Project ID
+   * @param {Object} review - { draftId, reviewType, title, scheduledStart, scheduledEnd, instructions, reviewerIds }
+   */
+  async create(projectId, review, userId = null) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        INSERT INTO color_reviews (
+          project_id, draft_id, review_type, title, scheduled_start, scheduled_end, instructions, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id
+      `, [
+        projectId,
+        review.draftId || null,
+        review.reviewType,
+        review.title,
+        review.scheduledStart || null,
+        review.scheduledEnd,
+        review.instructions || null,
+        userId
+      ]);
+      const reviewId = result.rows[0].id;
+
+      await this.insertReviewers(client, reviewId, review.reviewerIds || [], userId);
+
+      await client.query('COMMIT');
+      return this.getById(reviewId);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error creating color review: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async insertReviewers(client, reviewId, reviewerIds, assignedBy) {
+    for (const reviewerId of reviewerIds) {
+      await client.query(`
+        INSERT INTO color_review_reviewers (review_id, user_id, assigned_by)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (review_id, user_id) DO NOTHING
+      `, [reviewId, reviewerId, assignedBy]);
+    }
+  }
+
+  /**
+   * Replace a review's reviewers (their comments and scores are kept)
+   */
+  async setReviewers(reviewId, reviewerIds, assignedBy = null) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        'DELETE FROM color_review_reviewers WHERE review_id = $1 AND NOT (user_id = ANY($2::int[]))',
+        [reviewId, reviewerIds]
+      );
+      await this.insertReviewers(client, reviewId, reviewerIds, assignedBy);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * A project's reviews by due date, with reviewer and open comment counts
+   */
+  async listByProject(projectId) {
+    const result = await this.pool.query(`
+      SELECT cr.*,
+             (SELECT COUNT(*)::int FROM color_review_reviewers rr WHERE rr.review_id = cr.id) AS reviewer_count,
+             (SELECT COUNT(*)::int FROM color_review_comments c WHERE c.review_id = cr.id AND c.status = 'open') AS open_comments
+      FROM color_reviews cr
+      WHERE cr.project_id = $1
+      ORDER BY cr.scheduled_end ASC, cr.id ASC
+    `, [projectId]);
+
+    return result.rows.map(row => this.formatReview(row));
+  }
+
+  /**
+   * Get a review with its reviewers
+   */
+  async getById(reviewId) {
+    const result = await this.pool.query('SELECT * FROM color_reviews WHERE id = $1', [reviewId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const reviewers = await this.pool.query(`
+      SELECT rr.user_id, rr.assigned_at, u.full_name, u.email
+      FROM color_review_reviewers rr
+      JOIN users u ON u.id = rr.user_id
+      WHERE rr.review_id = $1
+      ORDER BY u.full_name ASC
+    `, [reviewId]);
+
+    return {
+      ...this.formatReview(result.rows[0]),
+      reviewers: reviewers.rows.map(row => ({
+        userId: row.user_id,
+        name: row.full_name,
+        email: row.email,
+        assignedAt: row.assigned_at
+      }))
+    };
+  }
+
+  /**
+   * Edit a review
+   * @param {Object} updates - { title, reviewType, status, draftId, scheduledStart, scheduledEnd, instructions }
+   */
+  async update(reviewId, updates) {
+    const fieldMap = {
+      title: 'title',
+      reviewType: 'review_type',
+      status: 'status',
+      draftId: 'draft_id',
+      scheduledStart: 'scheduled_start',
+      scheduledEnd: 'scheduled_end',
+      instructions: 'instructions'
+    };
+
+    const setClauses = [];
+    const values = [];
+    Object.keys(fieldMap).forEach(key => {
+      if (updates[key] !== undefined) {
+        values.push(updates[key]);
+        setClauses.push(`${fieldMap[key]} = $${values.length}`);
+      }
+    });
+
+    if (updates.status !== undefined) {
+      setClauses.push(`completed_at = ${updates.status === 'completed' ? 'CURRENT_TIMESTAMP' : 'NULL'}`);
+    }
+
+    if (setClauses.length > 0) {
+      values.push(reviewId);
+      await this.pool.query(`
+        UPDATE color_reviews
+        SET ${setClauses.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $${values.length}
+      `, values);
+    }
+
+    return this.getById(reviewId);
+  }
+
+  async delete(reviewId) {
+    const result = await this.pool.query('DELETE FROM color_reviews WHERE id = $1 RETURNING id', [reviewId]);
+    return result.rows.length > 0;
+  }
+
+  async isReviewer(reviewId, userId) {
+    const result = await this.pool.query(
+      'SELECT 1 FROM color_review_reviewers WHERE review_id = $1 AND user_id = $2',
+      [reviewId, userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  // =============================================================================
+  // COMMENTS
+  // =============================================================================
+
+  /**
+   * @param {Object} comment - { sectionId, authorId, commentType, body, anchor }
+   */
+  async addComment(reviewId, comment) {
+    const result = await this.pool.query(`
+      INSERT INTO color_review_comments (review_id, section_id, author_id, comment_type, body, anchor)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id
+    `, [
+      reviewId,
+      comment.sectionId,
+      comment.authorId || null,
+      comment.commentType || 'general',
+      comment.body,
+      comment.anchor ? JSON.stringify(comment.anchor) : null
+    ]);
+
+    return this.getComment(result.rows[0].id);
+  }
+
+  /**
+   * @param {Object} filters - { sectionId, status, commentType }
+   */
+  async listComments(reviewId, filters = {}) {
+    const conditions = ['c.review_id = $1'];
+    const values = [reviewId];
+
+    const add = (clause, value) => {
+      values.push(value);
+      conditions.push(clause.replace('?', `$${values.length}`));
+    };
+
+    if (filters.sectionId) add('c.section_id = ?', filters.sectionId);
+    if (filters.status) add('c.status = ?', filters.status);
+    if (filters.commentType) add('c.comment_type = ?', filters.commentType);
+
+    const result = await this.pool.query(`
+      ${this.selectComments()}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY c.section_id ASC, (c.anchor->>'start')::int ASC NULLS FIRST, c.id ASC
+    `, values);
+
+    return result.rows.map(row => this.formatComment(row));
+  }
+
+  async getComment(commentId) {
+    const result = await this.pool.query(`${this.selectComments()} WHERE c.id = $1`, [commentId]);
+    return result.rows.length > 0 ? this.formatComment(result.rows[0]) : null;
+  }
+
+  /**
+   * Edit a comment's text or type
+   * @param {Object} updates - { body, commentType }
+   */
+  async updateComment(commentId, updates) {
+    await this.pool.query(`
+      UPDATE color_review_comments
+      SET body = COALESCE($1, body),
+          comment_type = COALESCE($2, comment_type),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+    `, [updates.body || null, updates.commentType || null, commentId]);
+
+    return this.getComment(commentId);
+  }
+
+  /**
+   * Resolve, decline or reopen a comment
+   * @param {Object} resolution - { status, note }
+   */
+  async setCommentStatus(commentId, { status, note = null }, userId = null) {
+    const reopened = status === 'open';
+    await this.pool.query(`
+      UPDATE color_review_comments
+      SET status = $1,
+          resolution_note = $2,
+          resolved_by = $3,
+          resolved_at = ${reopened ? 'NULL' : 'CURRENT_TIMESTAMP'},
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+    `, [status, reopened ? null : note, reopened ? null : userId, commentId]);
+
+    return this.getComment(commentId);
+  }
+
+  async deleteComment(commentId) {
+    const result = await this.pool.query('DELETE FROM color_review_comments WHERE id = $1 RETURNING id', [commentId]);
+    return result.rows.length > 0;
+  }
+
+  selectComments() {
+    return `
+      SELECT c.*, cr.project_id, cr.status AS review_status,
+             a.full_name AS author_name, r.full_name AS resolved_by_name
+      FROM color_review_comments c
+      JOIN color_reviews cr ON cr.id = c.review_id
+      LEFT JOIN users a ON a.id = c.author_id
+      LEFT JOIN users r ON r.id = c.resolved_by
+    `;
+  }
+
+  // =============================================================================
+  // SCORES
+  // =============================================================================
+
+  /**
+   * Record a scorer's rating for a section against one factor (replacing their earlier rating)
+   * @param {Object} score - { sectionId, factorId, factorTitle, reviewerId, source, rating, rationale, strengths, weaknesses, metadata }
+   */
+  async upsertScore(reviewId, score) {
+    const result = await this.pool.query(`
+      INSERT INTO color_review_scores (
+        review_id, section_id, factor_id, factor_title, reviewer_id, source,
+        rating, rationale, strengths, weaknesses, metadata
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (review_id, section_id, factor_id, (COALESCE(reviewer_id, 0)))
+      DO UPDATE SET
+        factor_title = EXCLUDED.factor_title,
+        source = EXCLUDED.source,
+        rating = EXCLUDED.rating,
+        rationale = EXCLUDED.rationale,
+        strengths = EXCLUDED.strengths,
+        weaknesses = EXCLUDED.weaknesses,
+        metadata = EXCLUDED.metadata,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [
+      reviewId,
+      score.sectionId,
+      score.factorId,
+      score.factorTitle || null,
+      score.reviewerId || null,
+      score.source || 'reviewer',
+      score.rating,
+      score.rationale || null,
+      JSON.stringify(score.strengths || []),
+      JSON.stringify(score.weaknesses || []),
+      JSON.stringify(score.metadata || {})
+    ]);
+
+    return this.formatScore(result.rows[0]);
+  }
+
+  /**
+   * @param {Object} filters - { sectionId }
+   */
+  async listScores(reviewId, filters = {}) {
+    const values = [reviewId];
+    let sectionClause = '';
+    if (filters.sectionId) {
+      values.push(filters.sectionId);
+      sectionClause = 'AND s.section_id = $2';
+    }
+
+    const result = await this.pool.query(`
+      SELECT s.*, u.full_name AS reviewer_name
+      FROM color_review_scores s
+      LEFT JOIN users u ON u.id = s.reviewer_id
+      WHERE s.review_id = $1 ${sectionClause}
+      ORDER BY s.section_id ASC, s.factor_id ASC, s.source ASC, s.id ASC
+    `, values);
+
+    return result.rows.map(row => this.formatScore(row));
+  }
+
+  formatReview(row) {
+    return {
+      id: row.id,
+      projectId: row.project_id,
+      draftId: row.draft_id,
+      reviewType: row.review_type,
+      title: row.title,
+      status: row.status,
+      scheduledStart: row.scheduled_start,
+      scheduledEnd: row.scheduled_end,
+      instructions: row.instructions,
+      completedAt: row.completed_at,
+      reviewerCount: row.reviewer_count,
+      openComments: row.open_comments,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatComment(row) {
+    return {
+      id: row.id,
+      reviewId: row.review_id,
+      projectId: row.project_id,
+      reviewStatus: row.review_status,
+      sectionId: row.section_id,
+      authorId: row.author_id,
+      authorName: row.author_name || null,
+      commentType: row.comment_type,
+      body: row.body,
+      anchor: row.anchor,
+      status: row.status,
+      resolutionNote: row.resolution_note,
+      resolvedBy: row.resolved_by,
+      resolvedByName: row.resolved_by_name || null,
+      resolvedAt: row.resolved_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatScore(row) {
+    return {
+      id: row.id,
+      reviewId: row.review_id,
+      sectionId: row.section_id,
+      factorId: row.factor_id,
+      factorTitle: row.factor_title,
+      reviewerId: row.reviewer_id,
+      reviewerName: row.reviewer_name || null,
+      source: row.source,
+      rating: row.rating,
+      rationale: row.rationale,
+      strengths: row.strengths || [],
+      weaknesses: row.weaknesses || [],
+      metadata: row.metadata || {},
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+ColorReview.REVIEW_STATUSES = REVIEW_STATUSES;
+ColorReview.COMMENT_STATUSES = COMMENT_STATUSES;
+
+module.exports = ColorReview;
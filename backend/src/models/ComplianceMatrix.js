@@ -0,0 +1,228 @@
+/**
+ * ComplianceMatrix Model
+ * Persisted compliance matrix rows: one per shredded requirement, with its owner, status,
+ * target proposal section, response excerpt, evidence links and the latest validation
+ */
+
+const { Pool } = require('pg');
+const logger = require('../utils/logger');
+
+const STATUSES = ['not_started', 'in_progress', 'ready_for_review', 'complete', 'not_applicable'];
+
+class ComplianceMatrix {
+  constructor(pool = null) {
+    this.pool = pool || new Pool({
+      connectionString: process.env.DATABASE_URL ||
+        `postgresql://${process.env.DB_USER || 'govaiuser'}:${process.env.DB_PASSWORD || 'devpass123'}@${process.env.DB_HOST || 'localhost'}:${process.env.DB_PORT || 5432}/${process.env.DB_NAME || 'govai'}`
+    });
+  }
+
+  /**
+   * Initialize compliance matrix table (requires requirements and proposal_sections)
+   */
+  async initializeTables() {
+    const client = await this.pool.connect();
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS compliance_matrix_rows (
+          id SERIAL PRIMARY KEY,
+          project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+          requirement_id INTEGER NOT NULL REFERENCES requirements(id) ON DELETE CASCADE,
+          owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          status VARCHAR(30) DEFAULT 'not_started', -- not_started, in_progress, ready_for_review, complete, not_applicable
+          section_id INTEGER REFERENCES proposal_sections(id) ON DELETE SET NULL,
+          response_excerpt TEXT,
+          evidence JSONB DEFAULT '[]', -- [{ label, url } | { label, documentId }]
+          notes TEXT,
+          validation JSONB DEFAULT '{}', -- latest check of the section against the requirement
+          validated_at TIMESTAMP,
+          created_by INTEGER REFERENCES users(id),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_by INTEGER REFERENCES users(id),
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(project_id, requirement_id)
+        );
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_compliance_matrix_rows_section
+        ON compliance_matrix_rows(section_id);
+      `);
+
+      logger.info('Compliance matrix table initialized successfully');
+    } catch (error) {
+      logger.error(`Error initializing compliance matrix table: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Add a row for each active requirement that does not have one yet
+   * @returns {number} Rows added
+   */
+  async addMissingRows(projectId, userId = null) {
+    const result = await this.pool.query(`
+      INSERT INTO compliance_matrix_rows (project_id, requirement_id, created_by, updated_by)
+      SELECT r.project_id, r.id, $2, $2
+      FROM requirements r
+      WHERE r.project_id = $1 AND r.status = 'active'
+      ON CONFLICT (project_id, requirement_id) DO NOTHING
+    `, [projectId, userId]);
+
+    return result.rowCount;
+  }
+
+  /**
+   * List a project's matrix in RFP order; dismissed requirements are left out
+   * @param {number} projectId - Project ID
+   * @param {Object} filters - { status, ownerId, sectionId }
+   */
+  async listByProject(projectId, filters = {}) {
+    const conditions = ['m.project_id = $1', "r.status = 'active'"];
+    const values = [projectId];
+
+    const add = (clause, value) => {
+      values.push(value);
+      conditions.push(clause.replace('?', `$${values.length}`));
+    };
+
+    if (filters.status) add('m.status = ?', filters.status);
+    if (filters.ownerId) add('m.owner_id = ?', filters.ownerId);
+    if (filters.sectionId) add('m.section_id = ?', filters.sectionId);
+
+    const result = await this.pool.query(`
+      ${this.selectRows()}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY r.document_name ASC, r.page_number ASC NULLS LAST, r.id ASC
+    `, values);
+
+    return result.rows.map(row => this.formatRow(row));
+  }
+
+  async getRow(rowId) {
+    const result = await this.pool.query(`${this.selectRows()} WHERE m.id = $1`, [rowId]);
+    return result.rows.length > 0 ? this.formatRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Rows targeting a proposal section
+   */
+  async listBySection(sectionId) {
+    const result = await this.pool.query(`
+      ${this.selectRows()}
+      WHERE m.section_id = $1 AND r.status = 'active'
+      ORDER BY m.id ASC
+    `, [sectionId]);
+
+    return result.rows.map(row => this.formatRow(row));
+  }
+
+  async userExists(userId) {
+    const result = await this.pool.query('SELECT 1 FROM users WHERE id = $1', [userId]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Edit a matrix row
+   * @param {Object} updates - { ownerId, status, sectionId, responseExcerpt, evidence, notes }
+   */
+  async update(rowId, updates, userId = null) {
+    const fieldMap = {
+      ownerId: 'owner_id',
+      status: 'status',
+      sectionId: 'section_id',
+      responseExcerpt: 'response_excerpt',
+      evidence: 'evidence',
+      notes: 'notes'
+    };
+
+    const setClauses = [];
+    const values = [];
+    Object.keys(fieldMap).forEach(key => {
+      if (updates[key] !== undefined) {
+        values.push(key === 'evidence' ? JSON.stringify(updates[key]) : updates[key]);
+        setClauses.push(`${fieldMap[key]} = $${values.length}`);
+      }
+    });
+
+    if (setClauses.length === 0) {
+      return this.getRow(rowId);
+    }
+
+    values.push(userId, rowId);
+    const result = await this.pool.query(`
+      UPDATE compliance_matrix_rows
+      SET ${setClauses.join(', ')},
+          updated_by = $${values.length - 1},
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${values.length}
+      RETURNING id
+    `, values);
+
+    return result.rows.length > 0 ? this.getRow(rowId) : null;
+  }
+
+  /**
+   * Store the latest validation result without touching updated_by/updated_at
+   */
+  async setValidation(rowId, validation) {
+    await this.pool.query(`
+      UPDATE compliance_matrix_rows
+      SET validation = $1, validated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [JSON.stringify(validation || {}), rowId]);
+  }
+
+  selectRows() {
+    return `
+      SELECT m.*,
+             r.document_name, r.page_number, r.paragraph_id, r.section_letter, r.sequence, r.requirement_text,
+             r.obligation, r.category, r.priority,
+             u.full_name AS owner_name, u.email AS owner_email,
+             s.title AS section_title
+      FROM compliance_matrix_rows m
+      JOIN requirements r ON r.id = m.requirement_id
+      LEFT JOIN users u ON u.id = m.owner_id
+      LEFT JOIN proposal_sections s ON s.id = m.section_id
+    `;
+  }
+
+  formatRow(row) {
+    return {
+      id: row.id,
+      projectId: row.project_id,
+      requirementId: row.requirement_id,
+      requirement: {
+        documentName: row.document_name,
+        page: row.page_number,
+        paragraphId: row.paragraph_id,
+        section: row.section_letter,
+        sequence: row.sequence,
+        text: row.requirement_text,
+        obligation: row.obligation,
+        category: row.category,
+        priority: row.priority
+      },
+      ownerId: row.owner_id,
+      ownerName: row.owner_name || null,
+      ownerEmail: row.owner_email || null,
+      status: row.status,
+      sectionId: row.section_id,
+      sectionTitle: row.section_title || null,
+      responseExcerpt: row.response_excerpt || '',
+      evidence: row.evidence || [],
+      notes: row.notes || '',
+      // Rows without a target section (never set, or the section was deleted) have nothing to validate
+      validation: row.section_id ? (row.validation || {}) : { state: 'unassigned' },
+      validatedAt: row.validated_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+ComplianceMatrix.STATUSES = STATUSES;
+
+module.exports = ComplianceMatrix;
@@ -0,0 +1,253 @@
+/**
+ * Context Chunk Model
+ * Project context chunks indexed for retrieval: a generated tsvector for
+ * full-text ranking and a pgvector embedding for similarity search
+ */
+
+const { Pool } = require('pg');
+const logger = require('../utils/logger');
+
+class ContextChunk {
+  constructor(pool = null) {
+    this.pool = pool || new Pool({
+      connectionString: process.env.DATABASE_URL ||
+        `postgresql://${process.env.DB_USER || 'govaiuser'}:${process.env.DB_PASSWORD || 'devpass123'}@${process.env.DB_HOST || 'localhost'}:${process.env.DB_PORT || 5432}/${process.env.DB_NAME || 'govai'}`
+    });
+  }
+
+  /**
+   * Initialize context_chunks table
+   */
+  async initializeTables() {
+    const client = await this.pool.connect();
+    try {
+      await client.query('CREATE EXTENSION IF NOT EXISTS vector');
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS context_chunks (
+          id SERIAL PRIMARY KEY,
+          project_name VARCHAR(255) NOT NULL,
+          document_type VARCHAR(100) NOT NULL,
+          document_id VARCHAR(100),
+          document_name VARCHAR(500),
+          chunk_index INTEGER NOT NULL,
+          section_type VARCHAR(50),
+          section_title VARCHAR(500),
+          paragraph_id VARCHAR(50), -- RFP paragraph (C.3.2, L.4.1) the chunk sits under
+          heading_path JSONB DEFAULT '[]',
+          page_start INTEGER, -- null for formats without pagination (DOCX, TXT)
+          page_end INTEGER,
+          content_type VARCHAR(20) DEFAULT 'text', -- text, table
+          content TEXT NOT NULL,
+          content_tsv TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', content)) STORED,
+          embedding vector, -- undimensioned; rows are filtered by embedding_model
+          embedding_model VARCHAR(255),
+          embedding_dimension INTEGER,
+          embedded_at TIMESTAMP,
+          token_count INTEGER DEFAULT 0,
+          metadata JSONB DEFAULT '{}',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      // Location columns added after the first release of the table
+      await client.query(`
+        ALTER TABLE context_chunks
+          ADD COLUMN IF NOT EXISTS section_title VARCHAR(500),
+          ADD COLUMN IF NOT EXISTS paragraph_id VARCHAR(50),
+          ADD COLUMN IF NOT EXISTS heading_path JSONB DEFAULT '[]',
+          ADD COLUMN IF NOT EXISTS page_start INTEGER,
+          ADD COLUMN IF NOT EXISTS page_end INTEGER,
+          ADD COLUMN IF NOT EXISTS content_type VARCHAR(20) DEFAULT 'text'
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_context_chunks_project
+        ON context_chunks(project_name, document_type);
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_context_chunks_tsv
+        ON context_chunks USING GIN(content_tsv);
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_context_chunks_embedding_model
+        ON context_chunks(embedding_model);
+      `);
+
+      logger.info('Context chunks table initialized successfully');
+    } catch (error) {
+      logger.error(`Error initializing context chunks table: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Replace the indexed chunks of a project context
+   * @param {string} projectName - Project name
+   * @param {string} documentType - Context document type
+   * @param {Array} chunks - Chunks from ContextService.createDocumentChunks, optionally with
+   *   embedding: { vector, model, dimension }
+   * @returns {number} Rows inserted
+   */
+  async replaceChunks(projectName, documentType, chunks) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        'DELETE FROM context_chunks WHERE project_name = $1 AND document_type = $2',
+        [projectName, documentType]
+      );
+
+      for (const chunk of chunks) {
+        const embedding = chunk.embedding || null;
+        await client.query(`
+          INSERT INTO context_chunks (
+            project_name, document_type, document_id, document_name, chunk_index, section_type,
+            section_title, paragraph_id, heading_path, page_start, page_end, content_type,
+            content, embedding, embedding_model, embedding_dimension, embedded_at, token_count, metadata
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+        `, [
+          projectName,
+          documentType,
+          chunk.documentId !== undefined && chunk.documentId !== null ? String(chunk.documentId) : null,
+          chunk.documentName || null,
+          chunk.chunkIndex,
+          chunk.sectionType || null,
+          chunk.sectionTitle || null,
+          chunk.paragraphId || null,
+          JSON.stringify(chunk.headingPath || []),
+          chunk.pageStart || null,
+          chunk.pageEnd || null,
+          chunk.contentType || 'text',
+          chunk.content,
+          embedding ? `[${embedding.vector.join(',')}]` : null,
+          embedding ? embedding.model : null,
+          embedding ? embedding.dimension : null,
+          embedding ? new Date() : null,
+          chunk.tokenCount !== undefined ? chunk.tokenCount : Math.ceil((chunk.characterCount || chunk.content.length) / 4),
+          JSON.stringify(chunk.metadata || {})
+        ]);
+      }
+
+      await client.query('COMMIT');
+      logger.info(`Indexed ${chunks.length} context chunks for ${projectName}/${documentType}`);
+
+      return chunks.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error indexing context chunks: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Full-text candidates ranked by ts_rank_cd
+   * @param {Object} options - { projectName, documentType, query, limit }
+   * @returns {Array} Chunks with a `score`
+   */
+  async lexicalSearch({ projectName, documentType, query, limit = 50 }) {
+    try {
+      const result = await this.pool.query(`
+        SELECT *, ts_rank_cd(content_tsv, q) AS score
+        FROM context_chunks, websearch_to_tsquery('english', $3) q
+        WHERE project_name = $1 AND document_type = $2 AND content_tsv @@ q
+        ORDER BY score DESC, id
+        LIMIT $4
+      `, [projectName, documentType, query, limit]);
+
+      return result.rows.map(row => this.formatChunk(row));
+    } catch (error) {
+      logger.error(`Error in context chunk full-text search: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Vector candidates ranked by cosine similarity, limited to rows embedded by the query's model
+   * @param {Object} options - { projectName, documentType, vector, embeddingModel, limit }
+   * @returns {Array} Chunks with a `score` (similarity)
+   */
+  async vectorSearch({ projectName, documentType, vector, embeddingModel, limit = 50 }) {
+    try {
+      const result = await this.pool.query(`
+        SELECT *, 1 - (embedding <=> $3::vector) AS score
+        FROM context_chunks
+        WHERE project_name = $1 AND document_type = $2
+          AND embedding IS NOT NULL
+          AND embedding_model = $4
+          AND embedding_dimension = $5
+        ORDER BY embedding <=> $3::vector
+        LIMIT $6
+      `, [projectName, documentType, `[${vector.join(',')}]`, embeddingModel, vector.length, limit]);
+
+      return result.rows.map(row => this.formatChunk(row));
+    } catch (error) {
+      logger.error(`Error in context chunk vector search: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Chunks of a project context in document order
+   * @param {Object} options - { limit }
+   * @returns {Array} Chunks
+   */
+  async listChunks(projectName, documentType, { limit = 500 } = {}) {
+    const result = await this.pool.query(`
+      SELECT *
+      FROM context_chunks
+      WHERE project_name = $1 AND document_type = $2
+      ORDER BY document_name, chunk_index
+      LIMIT $3
+    `, [projectName, documentType, limit]);
+
+    return result.rows.map(row => this.formatChunk(row));
+  }
+
+  /**
+   * Chunk counts for a project context
+   * @returns {Object} { total, embedded }
+   */
+  async getStats(projectName, documentType) {
+    const result = await this.pool.query(`
+      SELECT COUNT(*) AS total, COUNT(embedding) AS embedded
+      FROM context_chunks
+      WHERE project_name = $1 AND document_type = $2
+    `, [projectName, documentType]);
+
+    return {
+      total: parseInt(result.rows[0].total),
+      embedded: parseInt(result.rows[0].embedded)
+    };
+  }
+
+  formatChunk(row) {
+    return {
+      id: row.id,
+      documentId: row.document_id,
+      documentName: row.document_name,
+      chunkIndex: row.chunk_index,
+      sectionType: row.section_type,
+      sectionTitle: row.section_title,
+      paragraphId: row.paragraph_id,
+      headingPath: row.heading_path || [],
+      pageStart: row.page_start,
+      pageEnd: row.page_end,
+      contentType: row.content_type,
+      content: row.content,
+      tokenCount: row.token_count,
+      embeddingModel: row.embedding_model,
+      metadata: row.metadata,
+      score: row.score !== undefined ? parseFloat(row.score) : undefined
+    };
+  }
+}
+
+module.exports = ContextChunk;
@@ -13,6 +13,17 @@ class Document {
     });
   }
 
+  /**
+   * Add the storage key column (the documents table itself comes from scripts/init-db.js)
+   */
+  async initializeTables() {
+    await this.pool.query(`
+      ALTER TABLE IF EXISTS documents ADD COLUMN IF NOT EXISTS storage_key VARCHAR(300); -- content-addressed object key (StorageService)
+      CREATE INDEX IF NOT EXISTS idx_documents_storage_key ON documents(storage_key);
+    `);
+    logger.info('Document storage key column initialized');
+  }
+
   /**
    * Create a new document record
    * @param {Object} docData - Document data
@@ -24,6 +35,7 @@ class Document {
       originalName,
       path,
       relativePath,
+      storageKey = null,
       category,
       subfolder,
       projectName,
@@ -45,16 +57,17 @@ class Document {
     const query = `
       INSERT INTO documents (
         filename, original_name, file_path, relative_path, category, subfolder,
-        project_name, size, mime_type, extension, status, tags, description, uploaded_by, metadata
+        project_name, size, mime_type, extension, status, tags, description, uploaded_by, metadata,
+        storage_key
       ) VALUES (
-        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16
       ) RETURNING *
     `;
 
     const values = [
       filename, originalName, path, relativePath, category, subfolder,
       projectName, size, mimeType, extension, status, JSON.stringify(tags),
-      description, uploadedBy, JSON.stringify(metadata)
+      description, uploadedBy, JSON.stringify(metadata), storageKey
     ];
 
     try {
@@ -84,6 +97,22 @@ class Document {
     }
   }
 
+  /**
+   * Get several documents by ID
+   * @param {Array} ids - Document IDs
+   * @returns {Map} id => document record (missing IDs are left out)
+   */
+  async getByIds(ids) {
+    const documents = new Map();
+    if (ids.length === 0) {
+      return documents;
+    }
+
+    const result = await this.pool.query('SELECT * FROM documents WHERE id = ANY($1)', [ids]);
+    result.rows.forEach(row => documents.set(row.id, this.formatDocument(row)));
+    return documents;
+  }
+
   /**
    * List documents with filtering
    * @param {Object} filters - Filter criteria
@@ -385,6 +414,37 @@ class Document {
     return result.documents;
   }
 
+  /**
+   * Next batch of documents for the storage migration, in ID order
+   * @param {Object} options - { afterId, limit, unkeyedOnly } (unkeyedOnly skips documents already in storage)
+   * @returns {Array} Document records
+   */
+  async listForStorageMigration({ afterId = 0, limit = 100, unkeyedOnly = true } = {}) {
+    const result = await this.pool.query(`
+      SELECT * FROM documents
+      WHERE id > $1 AND ($2::boolean = false OR storage_key IS NULL)
+      ORDER BY id ASC
+      LIMIT $3
+    `, [afterId, unkeyedOnly, limit]);
+    return result.rows.map(row => this.formatDocument(row));
+  }
+
+  /**
+   * Point a document at its stored object
+   * @param {Object} location - { storageKey, path, checksum }
+   */
+  async setStorageLocation(id, { storageKey, path, checksum }) {
+    const result = await this.pool.query(`
+      UPDATE documents
+      SET storage_key = $1, file_path = $2, relative_path = $1,
+          metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('checksum', $3::text),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING *
+    `, [storageKey, path, checksum, id]);
+    return result.rows.length > 0 ? this.formatDocument(result.rows[0]) : null;
+  }
+
   /**
    * Format document record for API response
    * @param {Object} row - Database row
@@ -397,6 +457,7 @@ class Document {
       originalName: row.original_name,
       path: row.file_path,
       relativePath: row.relative_path,
+      storageKey: row.storage_key || null,
       category: row.category,
       subfolder: row.subfolder,
       projectName: row.project_name,
@@ -0,0 +1,117 @@
+/**
+ * Document Access Model
+ * Per-document visibility (ACLs): documents are visible to their whole project team unless
+ * restricted, e.g. a pricing volume only the capture manager and named people may open
+ */
+
+const { Pool } = require('pg');
+const logger = require('../utils/logger');
+
+const VISIBILITIES = ['project', 'restricted'];
+
+class DocumentAccess {
+  constructor(pool = null) {
+    this.pool = pool || new Pool({
+      connectionString: process.env.DATABASE_URL ||
+        `postgresql://${process.env.DB_USER || 'govaiuser'}:${process.env.DB_PASSWORD || 'devpass123'}@${process.env.DB_HOST || 'localhost'}:${process.env.DB_PORT || 5432}/${process.env.DB_NAME || 'govai'}`
+    });
+  }
+
+  /**
+   * Initialize document access table
+   */
+  async initializeTables() {
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS document_access_controls (
+        document_id INTEGER PRIMARY KEY REFERENCES documents(id) ON DELETE CASCADE,
+        visibility VARCHAR(20) NOT NULL DEFAULT 'project', -- project, restricted
+        allowed_roles TEXT[] DEFAULT '{}', -- project roles that may open a restricted document
+        allowed_user_ids INTEGER[] DEFAULT '{}', -- users that may open a restricted document
+        reason TEXT,
+        updated_by INTEGER,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    logger.info('Document access table initialized');
+  }
+
+  /**
+   * Access settings for a document (documents without a row are visible to the project team)
+   * @returns {Object|null}
+   */
+  async get(documentId) {
+    const result = await this.pool.query(
+      'SELECT * FROM document_access_controls WHERE document_id = $1',
+      [documentId]
+    );
+    return result.rows.length > 0 ? this.formatAccess(result.rows[0]) : null;
+  }
+
+  /**
+   * Access settings for several documents
+   * @returns {Map} documentId => access settings (only documents that have settings)
+   */
+  async getMany(documentIds) {
+    const access = new Map();
+    if (documentIds.length === 0) {
+      return access;
+    }
+
+    const result = await this.pool.query(
+      'SELECT * FROM document_access_controls WHERE document_id = ANY($1::int[])',
+      [documentIds]
+    );
+    for (const row of result.rows) {
+      access.set(row.document_id, this.formatAccess(row));
+    }
+    return access;
+  }
+
+  /**
+   * Set a document's visibility
+   * @param {number} documentId - Document ID
+   * @param {Object} settings - { visibility, allowedRoles, allowedUserIds, reason }
+   * @param {number} userId - User making the change
+   */
+  async upsert(documentId, settings, userId = null) {
+    const result = await this.pool.query(`
+      INSERT INTO document_access_controls
+        (document_id, visibility, allowed_roles, allowed_user_ids, reason, updated_by, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+      ON CONFLICT (document_id) DO UPDATE SET
+        visibility = EXCLUDED.visibility,
+        allowed_roles = EXCLUDED.allowed_roles,
+        allowed_user_ids = EXCLUDED.allowed_user_ids,
+        reason = EXCLUDED.reason,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [
+      documentId,
+      settings.visibility,
+      settings.allowedRoles || [],
+      settings.allowedUserIds || [],
+      settings.reason || null,
+      userId
+    ]);
+
+    return this.formatAccess(result.rows[0]);
+  }
+
+  formatAccess(row) {
+    return {
+      documentId: row.document_id,
+      visibility: row.visibility,
+      allowedRoles: row.allowed_roles || [],
+      allowedUserIds: row.allowed_user_ids || [],
+      reason: row.reason,
+      updatedBy: row.updated_by,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+DocumentAccess.VISIBILITIES = VISIBILITIES;
+
+module.exports = DocumentAccess;
@@ -0,0 +1,277 @@
+/**
+ * Document Search Index Model
+ * Extracted document text stored per page with a generated tsvector, so uploads can be
+ * searched by content with phrase and boolean queries (websearch_to_tsquery)
+ */
+
+const { Pool } = require('pg');
+const logger = require('../utils/logger');
+
+// Document names and descriptions count more than a single page of body text
+const TITLE_WEIGHT = 2;
+
+// Markers around matched words in ts_headline output; control characters do not occur in extracted text
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+
+class DocumentSearchIndex {
+  constructor(pool = null) {
+    this.pool = pool || new Pool({
+      connectionString: process.env.DATABASE_URL ||
+        `postgresql://${process.env.DB_USER || 'govaiuser'}:${process.env.DB_PASSWORD || 'devpass123'}@${process.env.DB_HOST || 'localhost'}:${process.env.DB_PORT || 5432}/${process.env.DB_NAME || 'govai'}`
+    });
+  }
+
+  /**
+   * Initialize the page text and index status tables (requires documents)
+   */
+  async initializeTables() {
+    const client = await this.pool.connect();
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS document_text_pages (
+          id SERIAL PRIMARY KEY,
+          document_id INTEGER NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+          page_number INTEGER, -- null for formats without pagination (DOCX, TXT)
+          content TEXT NOT NULL,
+          content_tsv TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', content)) STORED
+        );
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_document_text_pages_tsv
+        ON document_text_pages USING GIN(content_tsv);
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_document_text_pages_document
+        ON document_text_pages(document_id, page_number);
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS document_search_status (
+          document_id INTEGER PRIMARY KEY REFERENCES documents(id) ON DELETE CASCADE,
+          status VARCHAR(20) NOT NULL, -- indexed, failed
+          page_count INTEGER DEFAULT 0,
+          character_count INTEGER DEFAULT 0,
+          error TEXT,
+          indexed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      logger.info('Document search index tables initialized');
+    } catch (error) {
+      logger.error(`Error initializing document search index tables: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Replace a document's indexed text
+   * @param {Array} pages - [{ page, text }] from DocumentManagerService.extractDocumentPages
+   * @returns {Object} { pageCount, characterCount }
+   */
+  async replacePages(documentId, pages) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM document_text_pages WHERE document_id = $1', [documentId]);
+
+      let pageCount = 0;
+      let characterCount = 0;
+      for (const page of pages) {
+        // Postgres text cannot hold NUL bytes, which some PDFs produce
+        const text = (page.text || '').replace(/\u0000/g, '').trim();
+        if (!text) {
+          continue;
+        }
+        await client.query(
+          'INSERT INTO document_text_pages (document_id, page_number, content) VALUES ($1, $2, $3)',
+          [documentId, page.page || null, text]
+        );
+        pageCount++;
+        characterCount += text.length;
+      }
+
+      await client.query(`
+        INSERT INTO document_search_status (document_id, status, page_count, character_count, error, indexed_at)
+        VALUES ($1, 'indexed', $2, $3, NULL, CURRENT_TIMESTAMP)
+        ON CONFLICT (document_id) DO UPDATE SET
+          status = 'indexed', page_count = EXCLUDED.page_count, character_count = EXCLUDED.character_count,
+          error = NULL, indexed_at = CURRENT_TIMESTAMP
+      `, [documentId, pageCount, characterCount]);
+
+      await client.query('COMMIT');
+      return { pageCount, characterCount };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error indexing document ${documentId} text: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Record that a document's text could not be extracted (it stays searchable by name)
+   */
+  async markFailed(documentId, message) {
+    await this.pool.query(`
+      INSERT INTO document_search_status (document_id, status, error, indexed_at)
+      VALUES ($1, 'failed', $2, CURRENT_TIMESTAMP)
+      ON CONFLICT (document_id) DO UPDATE SET status = 'failed', error = EXCLUDED.error, indexed_at = CURRENT_TIMESTAMP
+    `, [documentId, message]);
+  }
+
+  /**
+   * Active documents whose text has not been indexed yet
+   * @param {Object} options - { includeFailed, limit }
+   * @returns {Array} Document IDs
+   */
+  async listUnindexed({ includeFailed = false, limit = 500 } = {}) {
+    const result = await this.pool.query(`
+      SELECT d.id
+      FROM documents d
+      LEFT JOIN document_search_status s ON s.document_id = d.id
+      WHERE d.status = 'active' AND (s.document_id IS NULL OR ($1::boolean AND s.status = 'failed'))
+      ORDER BY d.id
+      LIMIT $2
+    `, [includeFailed, limit]);
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Index coverage of active documents
+   * @returns {Object} { documents, indexed, failed, pending }
+   */
+  async getCoverage() {
+    const result = await this.pool.query(`
+      SELECT COUNT(*) AS documents,
+             COUNT(*) FILTER (WHERE s.status = 'indexed') AS indexed,
+             COUNT(*) FILTER (WHERE s.status = 'failed') AS failed
+      FROM documents d
+      LEFT JOIN document_search_status s ON s.document_id = d.id
+      WHERE d.status = 'active'
+    `);
+    const row = result.rows[0];
+    const documents = parseInt(row.documents);
+    const indexed = parseInt(row.indexed);
+    const failed = parseInt(row.failed);
+    return { documents, indexed, failed, pending: documents - indexed - failed };
+  }
+
+  /**
+   * Every active document matching the query, best first, with its matching pages
+   * Page text and the document's name and description are both searched.
+   * @param {string} query - websearch syntax: "exact phrase", OR, -excluded
+   * @param {Object} filters - { projectName, category, subfolder, extensions, dateFrom, dateTo }
+   * @param {Object} options - { limit, pageHints: page numbers kept per document }
+   * @returns {Array} [{ documentId, projectName, category, subfolder, extension, rank, matchCount, pages }]
+   */
+  async matchDocuments(query, filters = {}, { limit = 1000, pageHints = 5 } = {}) {
+    const values = [query];
+    const conditions = ["d.status = 'active'"];
+    const addFilter = (sql, value) => {
+      values.push(value);
+      conditions.push(sql.replace('?', `$${values.length}`));
+    };
+
+    if (filters.projectName) {
+      addFilter('d.project_name = ?', filters.projectName);
+    }
+    if (filters.category) {
+      addFilter('d.category = ?', filters.category);
+    }
+    if (filters.subfolder) {
+      addFilter('d.subfolder = ?', filters.subfolder);
+    }
+    if (filters.extensions && filters.extensions.length > 0) {
+      addFilter('LOWER(d.extension) = ANY(?)', filters.extensions);
+    }
+    if (filters.dateFrom) {
+      addFilter('d.created_at >= ?', filters.dateFrom);
+    }
+    if (filters.dateTo) {
+      addFilter('d.created_at <= ?', filters.dateTo);
+    }
+
+    values.push(TITLE_WEIGHT, pageHints, limit);
+    const [weightParam, hintsParam, limitParam] = [values.length - 2, values.length - 1, values.length];
+
+    const result = await this.pool.query(`
+      WITH q AS (SELECT websearch_to_tsquery('english', $1) AS query),
+      hits AS (
+        SELECT p.document_id, p.page_number, ts_rank_cd(p.content_tsv, q.query) AS rank
+        FROM document_text_pages p, q
+        WHERE p.content_tsv @@ q.query
+        UNION ALL
+        SELECT d.id, NULL, ts_rank_cd(to_tsvector('english', concat_ws(' ', d.original_name, d.description)), q.query) * $${weightParam}
+        FROM documents d, q
+        WHERE to_tsvector('english', concat_ws(' ', d.original_name, d.description)) @@ q.query
+      )
+      SELECT d.id AS document_id, d.project_name, d.category, d.subfolder, LOWER(d.extension) AS extension,
+             MAX(h.rank) AS rank,
+             COUNT(h.page_number) AS match_count,
+             (ARRAY_AGG(h.page_number ORDER BY h.rank DESC, h.page_number)
+               FILTER (WHERE h.page_number IS NOT NULL))[1:$${hintsParam}] AS pages
+      FROM hits h
+      JOIN documents d ON d.id = h.document_id
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY d.id
+      ORDER BY rank DESC, d.id DESC
+      LIMIT $${limitParam}
+    `, values);
+
+    return result.rows.map(row => ({
+      documentId: row.document_id,
+      projectName: row.project_name,
+      category: row.category,
+      subfolder: row.subfolder,
+      extension: row.extension,
+      rank: parseFloat(row.rank),
+      matchCount: parseInt(row.match_count),
+      pages: row.pages || []
+    }));
+  }
+
+  /**
+   * Highlighted excerpt from each document's best matching page (or its name and description)
+   * @param {Array} documentIds - Documents to build snippets for (one page of results)
+   * @returns {Map} documentId => { page, headline } with matches wrapped in HIGHLIGHT_START/STOP
+   */
+  async headlines(query, documentIds) {
+    const snippets = new Map();
+    if (documentIds.length === 0) {
+      return snippets;
+    }
+
+    const options = `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_STOP}", MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+    const result = await this.pool.query(`
+      WITH q AS (SELECT websearch_to_tsquery('english', $1) AS query),
+      best AS (
+        SELECT DISTINCT ON (p.document_id) p.document_id, p.page_number, p.content
+        FROM document_text_pages p, q
+        WHERE p.document_id = ANY($2) AND p.content_tsv @@ q.query
+        ORDER BY p.document_id, ts_rank_cd(p.content_tsv, q.query) DESC, p.page_number
+      )
+      SELECT d.id AS document_id, best.page_number,
+             ts_headline('english', COALESCE(best.content, concat_ws(' — ', d.original_name, d.description)), q.query, $3) AS headline
+      FROM documents d
+      CROSS JOIN q
+      LEFT JOIN best ON best.document_id = d.id
+      WHERE d.id = ANY($2)
+    `, [query, documentIds, options]);
+
+    result.rows.forEach(row => {
+      snippets.set(row.document_id, { page: row.page_number, headline: row.headline });
+    });
+    return snippets;
+  }
+}
+
+DocumentSearchIndex.HIGHLIGHT_START = HIGHLIGHT_START;
+DocumentSearchIndex.HIGHLIGHT_STOP = HIGHLIGHT_STOP;
+
+module.exports = DocumentSearchIndex;
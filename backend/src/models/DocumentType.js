@@ -4,6 +4,7 @@
  */
 
 const { Pool } = require('pg');
+const { DEFAULT_EXPORT_SETTINGS } = require('../utils/exportTemplate');
 
 class DocumentType {
   constructor() {
@@ -50,6 +51,25 @@ class DocumentType {
         )
       `);
 
+      // Create document_type_export_templates table for DOCX/PDF export formatting
+      await this.pool.query(`
+        CREATE TABLE IF NOT EXISTS document_type_export_templates (
+          id SERIAL PRIMARY KEY,
+          document_type_id INTEGER REFERENCES document_types(id) ON DELETE CASCADE,
+          key VARCHAR(100) NOT NULL,
+          name VARCHAR(255) NOT NULL,
+          agency VARCHAR(255),
+          description TEXT,
+          settings JSONB NOT NULL DEFAULT '{}',
+          is_default BOOLEAN DEFAULT false,
+          created_at TIMESTAMP DEFAULT NOW(),
+          updated_at TIMESTAMP DEFAULT NOW(),
+          created_by VARCHAR(255) DEFAULT 'system',
+          updated_by VARCHAR(255) DEFAULT 'system',
+          UNIQUE(document_type_id, key)
+        )
+      `);
+
       // Create indexes for performance
       await this.pool.query(`
         CREATE INDEX IF NOT EXISTS idx_document_types_key ON document_types(key);
@@ -59,6 +79,7 @@ class DocumentType {
 
       // Initialize default document types if table is empty
       await this.seedDefaultDocumentTypes();
+      await this.seedDefaultExportTemplates();
 
       console.log('Document type tables initialized successfully');
     } catch (error) {
@@ -227,6 +248,83 @@ class DocumentType {
     }
   }
 
+  async seedDefaultExportTemplates() {
+    try {
+      const countResult = await this.pool.query('SELECT COUNT(*) FROM document_type_export_templates');
+      const count = parseInt(countResult.rows[0].count);
+
+      if (count === 0) {
+        console.log('Seeding default export templates...');
+
+        const defaultTemplates = [
+          {
+            key: 'standard',
+            name: 'Standard Proposal',
+            agency: null,
+            description: 'Times New Roman 12pt, 1" margins, solicitation number in the header',
+            is_default: true,
+            settings: DEFAULT_EXPORT_SETTINGS
+          },
+          {
+            key: 'dod',
+            name: 'DoD Proposal',
+            agency: 'Department of Defense',
+            description: 'DoD Section L conventions: Times New Roman 12pt, 1" margins, CUI banner, proprietary legend',
+            is_default: false,
+            settings: {
+              ...DEFAULT_EXPORT_SETTINGS,
+              header: { left: '{solicitationNumber}', center: 'CUI', right: '{projectTitle}' },
+              footer: {
+                left: 'Proprietary: use or disclosure subject to the restriction on the title page.',
+                center: 'CUI',
+                right: 'Page {page} of {pages}'
+              }
+            }
+          },
+          {
+            key: 'gsa',
+            name: 'GSA Proposal',
+            agency: 'General Services Administration',
+            description: 'Arial 11pt, 1" margins, single spacing',
+            is_default: false,
+            settings: {
+              ...DEFAULT_EXPORT_SETTINGS,
+              font: { family: 'Arial', size: 11, headingFamily: 'Arial', headingSize: 13 }
+            }
+          }
+        ];
+
+        // Proposal-writing types get the export templates
+        const typesResult = await this.pool.query(
+          "SELECT id FROM document_types WHERE key IN ('solicitations', 'proposals')"
+        );
+
+        for (const docType of typesResult.rows) {
+          for (const template of defaultTemplates) {
+            await this.pool.query(`
+              INSERT INTO document_type_export_templates
+              (document_type_id, key, name, agency, description, settings, is_default)
+              VALUES ($1, $2, $3, $4, $5, $6, $7)
+              ON CONFLICT (document_type_id, key) DO NOTHING
+            `, [
+              docType.id,
+              template.key,
+              template.name,
+              template.agency,
+              template.description,
+              JSON.stringify(template.settings),
+              template.is_default
+            ]);
+          }
+        }
+
+        console.log(`Seeded ${defaultTemplates.length} default export templates`);
+      }
+    } catch (error) {
+      console.error('Error seeding default export templates:', error);
+    }
+  }
+
   // CRUD Operations
 
   async createDocumentType(data, createdBy = 'system') {
@@ -559,6 +657,163 @@ class DocumentType {
     }
   }
 
+  // Export Templates
+
+  async listExportTemplates(documentTypeKey) {
+    try {
+      const result = await this.pool.query(`
+        SELECT t.*, dt.key AS document_type_key
+        FROM document_type_export_templates t
+        JOIN document_types dt ON t.document_type_id = dt.id
+        WHERE dt.key = $1
+        ORDER BY t.is_default DESC, t.name ASC
+      `, [documentTypeKey]);
+
+      return result.rows;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async getExportTemplate(id) {
+    try {
+      const result = await this.pool.query(`
+        SELECT t.*, dt.key AS document_type_key
+        FROM document_type_export_templates t
+        JOIN document_types dt ON t.document_type_id = dt.id
+        WHERE t.id = $1
+      `, [id]);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Default export template for a document type (null when none is configured)
+   */
+  async getDefaultExportTemplate(documentTypeKey) {
+    try {
+      const templates = await this.listExportTemplates(documentTypeKey);
+      return templates.find(template => template.is_default) || templates[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async createExportTemplate(documentTypeKey, data, createdBy = 'system') {
+    const {
+      key,
+      name,
+      agency = null,
+      description = null,
+      settings = {},
+      is_default = false
+    } = data;
+
+    try {
+      if (!key || !name) {
+        throw new Error('Key and name are required');
+      }
+
+      if (!/^[a-z0-9-_]+$/.test(key)) {
+        throw new Error('Key must contain only lowercase letters, numbers, hyphens, and underscores');
+      }
+
+      const docType = await this.getDocumentTypeByKey(documentTypeKey);
+      if (!docType) {
+        throw new Error('Document type not found');
+      }
+
+      const existsResult = await this.pool.query(
+        'SELECT id FROM document_type_export_templates WHERE document_type_id = $1 AND key = $2',
+        [docType.id, key]
+      );
+      if (existsResult.rows.length > 0) {
+        throw new Error('An export template with this key already exists');
+      }
+
+      if (is_default) {
+        await this.clearDefaultExportTemplate(docType.id);
+      }
+
+      const result = await this.pool.query(`
+        INSERT INTO document_type_export_templates
+        (document_type_id, key, name, agency, description, settings, is_default, created_by, updated_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8)
+        RETURNING id
+      `, [docType.id, key, name, agency, description, JSON.stringify(settings), is_default, createdBy]);
+
+      return await this.getExportTemplate(result.rows[0].id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async updateExportTemplate(id, data, updatedBy = 'system') {
+    const { name, agency, description, settings, is_default } = data;
+
+    try {
+      const existing = await this.getExportTemplate(id);
+      if (!existing) {
+        throw new Error('Export template not found');
+      }
+
+      if (is_default === true) {
+        await this.clearDefaultExportTemplate(existing.document_type_id);
+      }
+
+      await this.pool.query(`
+        UPDATE document_type_export_templates
+        SET name = COALESCE($1, name),
+            agency = COALESCE($2, agency),
+            description = COALESCE($3, description),
+            settings = COALESCE($4, settings),
+            is_default = COALESCE($5, is_default),
+            updated_by = $6,
+            updated_at = NOW()
+        WHERE id = $7
+      `, [
+        name !== undefined ? name : null,
+        agency !== undefined ? agency : null,
+        description !== undefined ? description : null,
+        settings !== undefined ? JSON.stringify(settings) : null,
+        is_default !== undefined ? is_default : null,
+        updatedBy,
+        id
+      ]);
+
+      return await this.getExportTemplate(id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async deleteExportTemplate(id) {
+    try {
+      const result = await this.pool.query(
+        'DELETE FROM document_type_export_templates WHERE id = $1 RETURNING id',
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Export template not found');
+      }
+
+      return true;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async clearDefaultExportTemplate(documentTypeId) {
+    await this.pool.query(
+      'UPDATE document_type_export_templates SET is_default = false WHERE document_type_id = $1',
+      [documentTypeId]
+    );
+  }
+
   // Utility Methods
 
   async validateFileType(documentTypeKey, filename, fileSize) {
@@ -0,0 +1,401 @@
+/**
+ * Job Model
+ * Background jobs (context builds, text extraction, embedding backfills) persisted in
+ * PostgreSQL so queued work, retries and progress survive restarts and are visible to admins
+ */
+
+const { Pool } = require('pg');
+const logger = require('../utils/logger');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+class Job {
+  constructor(pool = null) {
+    this.pool = pool || new Pool({
+      connectionString: process.env.DATABASE_URL ||
+        `postgresql://${process.env.DB_USER || 'govaiuser'}:${process.env.DB_PASSWORD || 'devpass123'}@${process.env.DB_HOST || 'localhost'}:${process.env.DB_PORT || 5432}/${process.env.DB_NAME || 'govai'}`
+    });
+  }
+
+  /**
+   * Initialize jobs table
+   */
+  async initializeTables() {
+    const client = await this.pool.connect();
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS jobs (
+          id SERIAL PRIMARY KEY,
+          type VARCHAR(100) NOT NULL,
+          payload JSONB DEFAULT '{}',
+          status VARCHAR(20) NOT NULL DEFAULT 'queued', -- queued, running, completed, failed, cancelled
+          priority INTEGER DEFAULT 0, -- higher runs first
+          attempts INTEGER DEFAULT 0,
+          max_attempts INTEGER DEFAULT 3,
+          run_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- not claimed before this (delays and retry backoff)
+          dedupe_key VARCHAR(500), -- at most one queued job per key; jobs with a key run one at a time
+          progress INTEGER DEFAULT 0, -- 0-100
+          progress_message TEXT,
+          result JSONB,
+          error TEXT,
+          cancel_requested BOOLEAN DEFAULT false,
+          locked_by VARCHAR(255), -- worker that claimed the job
+          heartbeat_at TIMESTAMP,
+          created_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          started_at TIMESTAMP,
+          finished_at TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_jobs_claim ON jobs(status, run_at, priority);
+        CREATE INDEX IF NOT EXISTS idx_jobs_type ON jobs(type, created_at DESC);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_dedupe_queued ON jobs(dedupe_key) WHERE status = 'queued';
+      `);
+
+      logger.info('Jobs table initialized');
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Queue a job; a job with the same dedupe key that is still queued is returned instead
+   * @param {Object} job - { type, payload, priority, maxAttempts, delayMs, dedupeKey, createdBy }
+   *   debounce: true restarts an existing queued job's delay (as a fresh call to a debounced function would)
+   * @returns {Object} { job, created }
+   */
+  async enqueue({ type, payload = {}, priority = 0, maxAttempts = 3, delayMs = 0, dedupeKey = null, createdBy = null, debounce = false }) {
+    const result = await this.pool.query(`
+      INSERT INTO jobs (type, payload, priority, max_attempts, run_at, dedupe_key, created_by)
+      VALUES ($1, $2, $3, $4, NOW() + ($5 || ' milliseconds')::interval, $6, $7)
+      ON CONFLICT (dedupe_key) WHERE status = 'queued' DO NOTHING
+      RETURNING *
+    `, [type, JSON.stringify(payload), priority, maxAttempts, String(delayMs), dedupeKey, createdBy]);
+
+    if (result.rows.length > 0) {
+      return { job: this.formatJob(result.rows[0]), created: true };
+    }
+
+    const existing = await this.pool.query(`
+      UPDATE jobs
+      SET run_at = CASE WHEN $2 THEN NOW() + ($3 || ' milliseconds')::interval ELSE run_at END,
+          updated_at = NOW()
+      WHERE dedupe_key = $1 AND status = 'queued'
+      RETURNING *
+    `, [dedupeKey, debounce, String(delayMs)]);
+
+    if (existing.rows.length === 0) {
+      // The queued job was claimed between the two statements
+      return this.enqueue({ type, payload, priority, maxAttempts, delayMs, dedupeKey, createdBy, debounce });
+    }
+    return { job: this.formatJob(existing.rows[0]), created: false };
+  }
+
+  /**
+   * Claim the next due job of the given types for a worker
+   * SKIP LOCKED lets several workers poll the same table; a job whose dedupe key is
+   * already running elsewhere waits for it to finish.
+   * @returns {Object|null} Claimed job
+   */
+  async claimNext(types, workerId) {
+    if (!types || types.length === 0) {
+      return null;
+    }
+
+    const result = await this.pool.query(`
+      UPDATE jobs
+      SET status = 'running',
+          attempts = attempts + 1,
+          locked_by = $2,
+          heartbeat_at = NOW(),
+          started_at = COALESCE(started_at, NOW()),
+          error = NULL,
+          updated_at = NOW()
+      WHERE id = (
+        SELECT j.id
+        FROM jobs j
+        WHERE j.status = 'queued'
+          AND j.run_at <= NOW()
+          AND j.type = ANY($1)
+          AND (j.dedupe_key IS NULL OR NOT EXISTS (
+            SELECT 1 FROM jobs r WHERE r.status = 'running' AND r.dedupe_key = j.dedupe_key
+          ))
+        ORDER BY j.priority DESC, j.run_at, j.id
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [types, workerId]);
+
+    return result.rows.length > 0 ? this.formatJob(result.rows[0]) : null;
+  }
+
+  /**
+   * Record progress and heartbeat for a running job
+   * @returns {Object|null} Job (carries cancelRequested), or null if it is no longer running
+   */
+  async updateProgress(id, progress, message) {
+    const result = await this.pool.query(`
+      UPDATE jobs
+      SET progress = COALESCE($2, progress),
+          progress_message = COALESCE($3, progress_message),
+          heartbeat_at = NOW(),
+          updated_at = NOW()
+      WHERE id = $1 AND status = 'running'
+      RETURNING *
+    `, [id, progress, message]);
+
+    return result.rows.length > 0 ? this.formatJob(result.rows[0]) : null;
+  }
+
+  async complete(id, result) {
+    const updated = await this.pool.query(`
+      UPDATE jobs
+      SET status = 'completed', progress = 100, result = $2, locked_by = NULL,
+          finished_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [id, JSON.stringify(result === undefined ? null : result)]);
+
+    return updated.rows.length > 0 ? this.formatJob(updated.rows[0]) : null;
+  }
+
+  /**
+   * Record a failed attempt: requeue after retryDelayMs while attempts remain, otherwise fail.
+   * A retry is dropped when a newer job with the same dedupe key is already queued.
+   */
+  async fail(id, errorMessage, retryDelayMs) {
+    const result = await this.pool.query(`
+      UPDATE jobs j
+      SET status = CASE WHEN d.retry THEN 'queued' ELSE 'failed' END,
+          finished_at = CASE WHEN d.retry THEN NULL ELSE NOW() END,
+          run_at = NOW() + ($3 || ' milliseconds')::interval,
+          error = $2,
+          locked_by = NULL,
+          updated_at = NOW()
+      FROM (
+        SELECT s.id, (s.attempts < s.max_attempts AND NOT s.cancel_requested AND (s.dedupe_key IS NULL OR NOT EXISTS (
+          SELECT 1 FROM jobs q WHERE q.status = 'queued' AND q.dedupe_key = s.dedupe_key AND q.id <> s.id
+        ))) AS retry
+        FROM jobs s
+        WHERE s.id = $1
+      ) d
+      WHERE j.id = d.id
+      RETURNING j.*
+    `, [id, errorMessage, String(retryDelayMs || 0)]);
+
+    return result.rows.length > 0 ? this.formatJob(result.rows[0]) : null;
+  }
+
+  /**
+   * Cancel a queued job outright, or flag a running one for its worker to stop
+   * @returns {Object|null} Job, or null when it was already finished
+   */
+  async cancel(id) {
+    const result = await this.pool.query(`
+      UPDATE jobs
+      SET status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+          finished_at = CASE WHEN status = 'queued' THEN NOW() ELSE finished_at END,
+          cancel_requested = true,
+          updated_at = NOW()
+      WHERE id = $1 AND status IN ('queued', 'running')
+      RETURNING *
+    `, [id]);
+
+    return result.rows.length > 0 ? this.formatJob(result.rows[0]) : null;
+  }
+
+  /**
+   * Mark a running job as stopped after its worker honoured a cancel request
+   */
+  async markCancelled(id) {
+    const result = await this.pool.query(`
+      UPDATE jobs
+      SET status = 'cancelled', locked_by = NULL, finished_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [id]);
+
+    return result.rows.length > 0 ? this.formatJob(result.rows[0]) : null;
+  }
+
+  /**
+   * Active jobs with a dedupe key (e.g. the pending build for one project context)
+   */
+  async findActiveByDedupeKey(dedupeKey) {
+    const result = await this.pool.query(`
+      SELECT * FROM jobs
+      WHERE dedupe_key = $1 AND status IN ('queued', 'running')
+      ORDER BY id
+    `, [dedupeKey]);
+
+    return result.rows.map(row => this.formatJob(row));
+  }
+
+  /**
+   * Queue a failed or cancelled job again with a fresh set of attempts
+   * @returns {Object|null} Job, or null when it is not failed/cancelled (or its key is already queued)
+   */
+  async retry(id) {
+    const result = await this.pool.query(`
+      UPDATE jobs j
+      SET status = 'queued', attempts = 0, progress = 0, progress_message = NULL, error = NULL,
+          result = NULL, cancel_requested = false, run_at = NOW(), started_at = NULL,
+          finished_at = NULL, updated_at = NOW()
+      WHERE j.id = $1 AND j.status IN ('failed', 'cancelled')
+        AND (j.dedupe_key IS NULL OR NOT EXISTS (
+          SELECT 1 FROM jobs q WHERE q.status = 'queued' AND q.dedupe_key = j.dedupe_key
+        ))
+      RETURNING *
+    `, [id]);
+
+    return result.rows.length > 0 ? this.formatJob(result.rows[0]) : null;
+  }
+
+  /**
+   * Requeue (or fail, when out of attempts) running jobs whose worker stopped heartbeating
+   * @returns {Array} Recovered jobs
+   */
+  async recoverStale(staleAfterMs) {
+    const result = await this.pool.query(`
+      UPDATE jobs j
+      SET status = d.next_status,
+          finished_at = CASE WHEN d.next_status = 'queued' THEN NULL ELSE NOW() END,
+          error = COALESCE(j.error, 'Worker stopped responding'),
+          locked_by = NULL,
+          run_at = NOW(),
+          updated_at = NOW()
+      FROM (
+        SELECT s.id, CASE
+            WHEN s.cancel_requested THEN 'cancelled'
+            WHEN s.attempts < s.max_attempts AND (s.dedupe_key IS NULL OR NOT EXISTS (
+              SELECT 1 FROM jobs q WHERE q.status = 'queued' AND q.dedupe_key = s.dedupe_key
+            )) THEN 'queued'
+            ELSE 'failed'
+          END AS next_status
+        FROM jobs s
+        WHERE s.status = 'running' AND s.heartbeat_at < NOW() - ($1 || ' milliseconds')::interval
+      ) d
+      WHERE j.id = d.id
+      RETURNING j.*
+    `, [String(staleAfterMs)]);
+
+    return result.rows.map(row => this.formatJob(row));
+  }
+
+  async findById(id) {
+    const result = await this.pool.query('SELECT * FROM jobs WHERE id = $1', [id]);
+    return result.rows.length > 0 ? this.formatJob(result.rows[0]) : null;
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} filters - { status, type, projectName }
+   * @param {Object} options - { limit, offset }
+   * @returns {Object} { jobs, total }
+   */
+  async list(filters = {}, options = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (filters.status) {
+      values.push(filters.status);
+      conditions.push(`status = $${values.length}`);
+    }
+    if (filters.type) {
+      values.push(filters.type);
+      conditions.push(`type = $${values.length}`);
+    }
+    if (filters.projectName) {
+      values.push(filters.projectName);
+      conditions.push(`payload->>'projectName' = $${values.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = Math.min(parseInt(options.limit) || 50, 500);
+    const offset = parseInt(options.offset) || 0;
+
+    const [rows, count] = await Promise.all([
+      this.pool.query(`
+        SELECT * FROM jobs ${where}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ${limit} OFFSET ${offset}
+      `, values),
+      this.pool.query(`SELECT COUNT(*) AS total FROM jobs ${where}`, values)
+    ]);
+
+    return {
+      jobs: rows.rows.map(row => this.formatJob(row)),
+      total: parseInt(count.rows[0].total)
+    };
+  }
+
+  /**
+   * Job counts by type and status
+   */
+  async getStats() {
+    const result = await this.pool.query(`
+      SELECT type, status, COUNT(*) AS count
+      FROM jobs
+      GROUP BY type, status
+    `);
+
+    const stats = { byStatus: {}, byType: {} };
+    JOB_STATUSES.forEach(status => { stats.byStatus[status] = 0; });
+
+    result.rows.forEach(row => {
+      const count = parseInt(row.count);
+      stats.byStatus[row.status] = (stats.byStatus[row.status] || 0) + count;
+      stats.byType[row.type] = stats.byType[row.type] || {};
+      stats.byType[row.type][row.status] = count;
+    });
+
+    return stats;
+  }
+
+  /**
+   * Delete finished jobs older than the given number of days
+   */
+  async purgeFinished(days = 30) {
+    const result = await this.pool.query(`
+      DELETE FROM jobs
+      WHERE status IN ('completed', 'failed', 'cancelled')
+        AND finished_at < NOW() - ($1 || ' days')::interval
+    `, [String(days)]);
+
+    return result.rowCount;
+  }
+
+  formatJob(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      payload: row.payload || {},
+      status: row.status,
+      priority: row.priority,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      runAt: row.run_at,
+      dedupeKey: row.dedupe_key,
+      progress: row.progress,
+      progressMessage: row.progress_message,
+      result: row.result,
+      error: row.error,
+      cancelRequested: row.cancel_requested,
+      lockedBy: row.locked_by,
+      heartbeatAt: row.heartbeat_at,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+Job.JOB_STATUSES = JOB_STATUSES;
+
+module.exports = Job;
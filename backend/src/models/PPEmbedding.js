@@ -26,12 +26,13 @@ class PPEmbedding {
             embedding,
             chunkMetadata = {},
             chunkOrder = 0,
-            tokenCount
+            tokenCount,
+            embeddingModel
         } = embeddingData;
 
         // Validate required fields
-        if (!ppId || !chunkType || !chunkText || !embedding) {
-            throw new Error('PP ID, chunk type, chunk text, and embedding are required');
+        if (!ppId || !chunkType || !chunkText || !embedding || !embeddingModel) {
+            throw new Error('PP ID, chunk type, chunk text, embedding, and embedding model are required');
         }
 
         // Validate chunk type
@@ -40,25 +41,28 @@ class PPEmbedding {
             throw new Error(`Invalid chunk type. Must be one of: ${validTypes.join(', ')}`);
         }
 
-        // Validate embedding dimension (assuming 1536 for OpenAI/Ollama)
-        if (!Array.isArray(embedding) || embedding.length !== 1536) {
-            throw new Error('Embedding must be an array of 1536 numbers');
+        // Dimension depends on the embedding model and is stored alongside the vector
+        if (!Array.isArray(embedding) || embedding.length === 0) {
+            throw new Error('Embedding must be a non-empty array of numbers');
         }
 
         const query = `
             INSERT INTO pp_embeddings (
                 pp_id, chunk_type, chunk_text, chunk_summary, embedding,
-                chunk_metadata, chunk_order, token_count, created_at
+                chunk_metadata, chunk_order, token_count,
+                embedding_model, embedding_dimension, embedded_at, created_at
             )
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP)
-            RETURNING id, pp_id, chunk_type, chunk_summary, chunk_metadata, chunk_order, token_count, created_at
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+            RETURNING id, pp_id, chunk_type, chunk_summary, chunk_metadata, chunk_order, token_count,
+                      embedding_model, embedding_dimension, created_at
         `;
 
         const values = [
             ppId, chunkType, chunkText, chunkSummary,
             JSON.stringify(embedding), // Convert array to JSON for storage
             JSON.stringify(chunkMetadata),
-            chunkOrder, tokenCount
+            chunkOrder, tokenCount,
+            embeddingModel, embedding.length
         ];
 
         try {
@@ -96,7 +100,8 @@ class PPEmbedding {
 
         const query = `
             SELECT id, pp_id, chunk_type, chunk_text, chunk_summary,
-                   ${embeddingSelect} chunk_metadata, chunk_order, token_count, created_at
+                   ${embeddingSelect} chunk_metadata, chunk_order, token_count,
+                   embedding_model, embedding_dimension, embedded_at, created_at
             FROM pp_embeddings
             WHERE ${whereClause}
             ORDER BY chunk_type, chunk_order
@@ -123,8 +128,9 @@ class PPEmbedding {
 
     /**
      * Perform semantic search using cosine similarity
+     * Only rows embedded by the query's model (and therefore dimension) are compared.
      * @param {Array} queryEmbedding - Query embedding vector
-     * @param {Object} options - Search options
+     * @param {Object} options - Search options (embeddingModel is required)
      * @returns {Array} Search results with similarity scores
      */
     static async semanticSearch(queryEmbedding, options = {}) {
@@ -132,18 +138,22 @@ class PPEmbedding {
             chunkTypes = ['project_level', 'capability_level'],
             limit = 10,
             minSimilarity = 0.1,
-            ppFilters = {}
+            ppFilters = {},
+            embeddingModel
         } = options;
 
         // Validate query embedding
-        if (!Array.isArray(queryEmbedding) || queryEmbedding.length !== 1536) {
-            throw new Error('Query embedding must be an array of 1536 numbers');
+        if (!Array.isArray(queryEmbedding) || queryEmbedding.length === 0) {
+            throw new Error('Query embedding must be a non-empty array of numbers');
+        }
+        if (!embeddingModel) {
+            throw new Error('Embedding model is required for semantic search');
         }
 
         // Build PP filters
         let ppJoinConditions = [];
-        let queryParams = [JSON.stringify(queryEmbedding), chunkTypes, minSimilarity, limit];
-        let paramCounter = 5;
+        let queryParams = [JSON.stringify(queryEmbedding), chunkTypes, minSimilarity, limit, embeddingModel, queryEmbedding.length];
+        let paramCounter = 7;
 
         if (ppFilters.customer) {
             ppJoinConditions.push(`pp.customer ILIKE $${paramCounter}`);
@@ -193,6 +203,8 @@ class PPEmbedding {
             JOIN past_performances pp ON e.pp_id = pp.id
             WHERE pp.status = 'active'
             AND e.chunk_type = ANY($2)
+            AND e.embedding_model = $5
+            AND e.embedding_dimension = $6
             AND 1 - (e.embedding <=> $1::vector) >= $3
             ${ppFilterClause}
             ORDER BY similarity_score DESC
@@ -284,6 +296,13 @@ class PPEmbedding {
             ORDER BY chunk_type
         `;
 
+        const modelQuery = `
+            SELECT embedding_model, embedding_dimension, COUNT(*) as count
+            FROM pp_embeddings
+            GROUP BY embedding_model, embedding_dimension
+            ORDER BY count DESC
+        `;
+
         const recentQuery = `
             SELECT
                 DATE_TRUNC('day', created_at) as date,
@@ -295,13 +314,15 @@ class PPEmbedding {
         `;
 
         try {
-            const [statsResult, recentResult] = await Promise.all([
+            const [statsResult, modelResult, recentResult] = await Promise.all([
                 pool.query(statsQuery),
+                pool.query(modelQuery),
                 pool.query(recentQuery)
             ]);
 
             return {
                 byChunkType: statsResult.rows,
+                byEmbeddingModel: modelResult.rows,
                 recentActivity: recentResult.rows
             };
         } catch (error) {
@@ -338,6 +359,8 @@ class PPEmbedding {
             JOIN pp_embeddings e2 ON e1.id != e2.id
             JOIN past_performances pp ON e2.pp_id = pp.id
             WHERE e1.id = $1
+            AND e2.embedding_model = e1.embedding_model
+            AND e2.embedding_dimension = e1.embedding_dimension
             AND pp.status = 'active'
             AND 1 - (e1.embedding <=> e2.embedding) >= $2
             ${excludeCondition}
@@ -381,10 +404,12 @@ class PPEmbedding {
                 const query = `
                     INSERT INTO pp_embeddings (
                         pp_id, chunk_type, chunk_text, chunk_summary, embedding,
-                        chunk_metadata, chunk_order, token_count, created_at
+                        chunk_metadata, chunk_order, token_count,
+                        embedding_model, embedding_dimension, embedded_at, created_at
                     )
-                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP)
-                    RETURNING id, pp_id, chunk_type, chunk_summary, chunk_metadata, chunk_order, token_count, created_at
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                    RETURNING id, pp_id, chunk_type, chunk_summary, chunk_metadata, chunk_order, token_count,
+                              embedding_model, embedding_dimension, created_at
                 `;
 
                 const values = [
@@ -395,7 +420,9 @@ class PPEmbedding {
                     JSON.stringify(embeddingData.embedding),
                     JSON.stringify(embeddingData.chunkMetadata || {}),
                     embeddingData.chunkOrder || 0,
-                    embeddingData.tokenCount
+                    embeddingData.tokenCount,
+                    embeddingData.embeddingModel,
+                    embeddingData.embedding.length
                 ];
 
                 const result = await client.query(query, values);
@@ -434,10 +461,12 @@ class PPEmbedding {
                 const query = `
                     INSERT INTO pp_embeddings (
                         pp_id, chunk_type, chunk_text, chunk_summary, embedding,
-                        chunk_metadata, chunk_order, token_count, created_at
+                        chunk_metadata, chunk_order, token_count,
+                        embedding_model, embedding_dimension, embedded_at, created_at
                     )
-                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP)
-                    RETURNING id, pp_id, chunk_type, chunk_summary, chunk_metadata, chunk_order, token_count, created_at
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                    RETURNING id, pp_id, chunk_type, chunk_summary, chunk_metadata, chunk_order, token_count,
+                              embedding_model, embedding_dimension, created_at
                 `;
 
                 const values = [
@@ -448,7 +477,9 @@ class PPEmbedding {
                     JSON.stringify(embeddingData.embedding),
                     JSON.stringify(embeddingData.chunkMetadata || {}),
                     embeddingData.chunkOrder || 0,
-                    embeddingData.tokenCount
+                    embeddingData.tokenCount,
+                    embeddingData.embeddingModel,
+                    embeddingData.embedding.length
                 ];
 
                 const result = await client.query(query, values);
@@ -4,6 +4,7 @@
  */
 
 const { Pool } = require('pg');
+const CPARSParserService = require('../services/CPARSParserService');
 const logger = require('../utils/logger');
 
 // Use the standardized pool configuration
@@ -15,11 +16,113 @@ const pool = new Pool({
     password: process.env.DB_PASSWORD,
 });
 
+/**
+ * WHERE conditions for the record filters shared by listing and search
+ * @param {Object} filters - Filter criteria
+ * @returns {Object} { conditions, values } with placeholders numbered from $1
+ */
+function buildFilterConditions(filters) {
+  const conditions = [];
+  const values = [];
+  let paramIndex = 1;
+
+  // Build WHERE conditions
+  if (filters.customer) {
+    conditions.push(`customer ILIKE $${paramIndex}`);
+    values.push(`%${filters.customer}%`);
+    paramIndex++;
+  }
+
+  if (filters.customerType) {
+    conditions.push(`customer_type = $${paramIndex}`);
+    values.push(filters.customerType);
+    paramIndex++;
+  }
+
+  if (filters.contractType) {
+    conditions.push(`contract_type = $${paramIndex}`);
+    values.push(filters.contractType);
+    paramIndex++;
+  }
+
+  if (filters.workType) {
+    conditions.push(`work_type = $${paramIndex}`);
+    values.push(filters.workType);
+    paramIndex++;
+  }
+
+  if (filters.minValue) {
+    conditions.push(`contract_value >= $${paramIndex}`);
+    values.push(filters.minValue);
+    paramIndex++;
+  }
+
+  if (filters.maxValue) {
+    conditions.push(`contract_value <= $${paramIndex}`);
+    values.push(filters.maxValue);
+    paramIndex++;
+  }
+
+  if (filters.minRating) {
+    conditions.push(`performance_rating >= $${paramIndex}`);
+    values.push(filters.minRating);
+    paramIndex++;
+  }
+
+  if (filters.technologies && filters.technologies.length > 0) {
+    conditions.push(`technologies_used ?| array[$${paramIndex}]`);
+    values.push(filters.technologies);
+    paramIndex++;
+  }
+
+  if (filters.domains && filters.domains.length > 0) {
+    conditions.push(`domain_areas ?| array[$${paramIndex}]`);
+    values.push(filters.domains);
+    paramIndex++;
+  }
+
+  if (filters.startDateAfter) {
+    conditions.push(`start_date >= $${paramIndex}`);
+    values.push(filters.startDateAfter);
+    paramIndex++;
+  }
+
+  if (filters.endDateBefore) {
+    conditions.push(`end_date <= $${paramIndex}`);
+    values.push(filters.endDateBefore);
+    paramIndex++;
+  }
+
+  // Search in text fields
+  if (filters.search) {
+    conditions.push(`(
+      project_name ILIKE $${paramIndex} OR
+      summary ILIKE $${paramIndex} OR
+      technical_approach ILIKE $${paramIndex}
+    )`);
+    values.push(`%${filters.search}%`);
+    paramIndex++;
+  }
+
+  return { conditions, values };
+}
+
 class PastPerformance {
   constructor() {
     // Updated to use static methods like other Epic 2 models
   }
 
+  /**
+   * Add the CPARS / questionnaire evaluation columns to existing installs
+   */
+  async initializeTables() {
+    await pool.query(`
+      ALTER TABLE IF EXISTS past_performance ADD COLUMN IF NOT EXISTS performance_evaluations JSONB DEFAULT '[]';
+      ALTER TABLE IF EXISTS past_performance ADD COLUMN IF NOT EXISTS performance_rating DECIMAL(3,2); -- averageScore of the latest rated evaluation (1-5)
+    `);
+    logger.info('Past performance evaluation columns initialized');
+  }
+
   /**
    * Create a new past performance record
    * @param {Object} ppData - Past performance data
@@ -116,81 +219,8 @@ class PastPerformance {
    */
   async getAll(filters = {}, pagination = {}) {
     const { limit = 50, offset = 0 } = pagination;
-    const conditions = [];
-    const values = [];
-    let paramIndex = 1;
-
-    // Build WHERE conditions
-    if (filters.customer) {
-      conditions.push(`customer ILIKE $${paramIndex}`);
-      values.push(`%${filters.customer}%`);
-      paramIndex++;
-    }
-
-    if (filters.customerType) {
-      conditions.push(`customer_type = $${paramIndex}`);
-      values.push(filters.customerType);
-      paramIndex++;
-    }
-
-    if (filters.contractType) {
-      conditions.push(`contract_type = $${paramIndex}`);
-      values.push(filters.contractType);
-      paramIndex++;
-    }
-
-    if (filters.workType) {
-      conditions.push(`work_type = $${paramIndex}`);
-      values.push(filters.workType);
-      paramIndex++;
-    }
-
-    if (filters.minValue) {
-      conditions.push(`contract_value >= $${paramIndex}`);
-      values.push(filters.minValue);
-      paramIndex++;
-    }
-
-    if (filters.maxValue) {
-      conditions.push(`contract_value <= $${paramIndex}`);
-      values.push(filters.maxValue);
-      paramIndex++;
-    }
-
-    if (filters.technologies && filters.technologies.length > 0) {
-      conditions.push(`technologies_used ?| array[$${paramIndex}]`);
-      values.push(filters.technologies);
-      paramIndex++;
-    }
-
-    if (filters.domains && filters.domains.length > 0) {
-      conditions.push(`domain_areas ?| array[$${paramIndex}]`);
-      values.push(filters.domains);
-      paramIndex++;
-    }
-
-    if (filters.startDateAfter) {
-      conditions.push(`start_date >= $${paramIndex}`);
-      values.push(filters.startDateAfter);
-      paramIndex++;
-    }
-
-    if (filters.endDateBefore) {
-      conditions.push(`end_date <= $${paramIndex}`);
-      values.push(filters.endDateBefore);
-      paramIndex++;
-    }
-
-    // Search in text fields
-    if (filters.search) {
-      conditions.push(`(
-        project_name ILIKE $${paramIndex} OR
-        summary ILIKE $${paramIndex} OR
-        technical_approach ILIKE $${paramIndex}
-      )`);
-      values.push(`%${filters.search}%`);
-      paramIndex++;
-    }
+    const { conditions, values } = buildFilterConditions(filters);
+    let paramIndex = values.length + 1;
 
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
@@ -230,6 +260,53 @@ class PastPerformance {
     }
   }
 
+  /**
+   * Records eligible for past performance search, most relevant first
+   * Records in `ids` (e.g. semantic search hits) come first, then those mentioning the most
+   * query terms, then the newest, so the limit keeps the strongest candidates.
+   * @param {Object} filters - Filter criteria (as for getAll)
+   * @param {Object} options - { terms: lowercase query words, ids, excludeContractTypes, limit }
+   * @returns {Array} Past performance records
+   */
+  async searchCandidates(filters = {}, options = {}) {
+    const { terms = [], ids = [], excludeContractTypes = [], limit = 500 } = options;
+    const { conditions, values } = buildFilterConditions(filters);
+
+    if (excludeContractTypes.length > 0) {
+      values.push(excludeContractTypes);
+      conditions.push(`contract_type IS DISTINCT FROM ALL($${values.length}::text[])`);
+    }
+
+    values.push(ids.map(String));
+    const idsParam = values.length;
+    values.push(terms.map(term => `%${term.replace(/[\\%_]/g, '\\$&')}%`));
+    const termsParam = values.length;
+    values.push(limit);
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const query = `
+      SELECT * FROM past_performance
+      ${whereClause}
+      ORDER BY
+        id::text = ANY($${idsParam}::text[]) DESC,
+        (
+          SELECT COUNT(*) FROM unnest($${termsParam}::text[]) AS pattern
+          WHERE concat_ws(' ', project_name, customer, summary, technical_approach,
+            technologies_used::text, domain_areas::text, relevance_tags::text) ILIKE pattern
+        ) DESC,
+        created_at DESC
+      LIMIT $${values.length}
+    `;
+
+    try {
+      const result = await pool.query(query, values);
+      return result.rows.map(row => this.formatPastPerformance(row));
+    } catch (error) {
+      logger.error(`Error getting past performance search candidates: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Update past performance record
    * @param {string} id - Past performance ID
@@ -323,6 +400,77 @@ class PastPerformance {
     }
   }
 
+  /**
+   * Store a parsed CPARS or questionnaire evaluation on a record, replacing any earlier parse of
+   * the same document, and refresh the record's demonstrated rating
+   * @param {string} id - Past performance ID
+   * @param {Object} evaluation - CPARSParserService.parse result with documentId and fileName
+   * @returns {Object|null} Updated past performance record
+   */
+  async addPerformanceEvaluation(id, evaluation) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        'SELECT performance_evaluations FROM past_performance WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+      if (current.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const evaluations = (current.rows[0].performance_evaluations || [])
+        .filter(existing => !evaluation.documentId || existing.documentId !== evaluation.documentId);
+      evaluations.push(evaluation);
+      const latest = CPARSParserService.latestRated(evaluations);
+
+      const result = await client.query(`
+        UPDATE past_performance
+        SET performance_evaluations = $1, performance_rating = $2, updated_at = NOW()
+        WHERE id = $3
+        RETURNING *
+      `, [JSON.stringify(evaluations), latest ? latest.averageScore : null, id]);
+
+      await client.query('COMMIT');
+      logger.info(`Stored ${evaluation.kind} evaluation for past performance ${id}`);
+      return this.formatPastPerformance(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error storing performance evaluation: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Contract number and customer of every record that has a contract number
+   * (duplicate detection for imports)
+   * @returns {Array} [{ id, contractNumber, customer, projectName }]
+   */
+  async getContractKeys() {
+    const query = `
+      SELECT id, contract_number, customer, project_name
+      FROM past_performance
+      WHERE contract_number IS NOT NULL AND TRIM(contract_number) <> ''
+    `;
+
+    try {
+      const result = await pool.query(query);
+      return result.rows.map(row => ({
+        id: row.id,
+        contractNumber: row.contract_number,
+        customer: row.customer,
+        projectName: row.project_name
+      }));
+    } catch (error) {
+      logger.error(`Error getting past performance contract numbers: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Search past performance using semantic similarity
    * @param {Array} queryEmbedding - Query embedding vector
@@ -440,6 +588,10 @@ class PastPerformance {
       challengesOvercome: row.challenges_overcome,
       relevanceTags: row.relevance_tags || [],
       confidenceScore: row.confidence_score,
+      performanceEvaluations: row.performance_evaluations || [],
+      performanceRating: row.performance_rating !== null && row.performance_rating !== undefined
+        ? parseFloat(row.performance_rating)
+        : null,
       createdAt: row.created_at,
       updatedAt: row.updated_at
     };
@@ -0,0 +1,293 @@
+/**
+ * ProjectMilestone Model
+ * Dated proposal milestones per project (questions due, draft complete, color reviews, final
+ * production, submission) with owners, completion and the last deadline alert sent
+ */
+
+const { Pool } = require('pg');
+const logger = require('../utils/logger');
+
+const MILESTONE_STATUSES = ['pending', 'complete', 'skipped'];
+
+class ProjectMilestone {
+  constructor(pool = null) {
+    this.pool = pool || new Pool({
+      connectionString: process.env.DATABASE_URL ||
+        `postgresql://${process.env.DB_USER || 'govaiuser'}:${process.env.DB_PASSWORD || 'devpass123'}@${process.env.DB_HOST || 'localhost'}:${process.env.DB_PORT || 5432}/${process.env.DB_NAME || 'govai'}`
+    });
+  }
+
+  /**
+   * Initialize the milestones table (requires color_reviews)
+   */
+  async initializeTables() {
+    const client = await this.pool.connect();
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS project_milestones (
+          id SERIAL PRIMARY KEY,
+          project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+          milestone_key VARCHAR(50) NOT NULL DEFAULT 'custom', -- template milestone key, or custom
+          title VARCHAR(255) NOT NULL,
+          description TEXT,
+          due_date TIMESTAMP NOT NULL,
+          status VARCHAR(20) DEFAULT 'pending', -- pending, complete, skipped
+          owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          review_id INTEGER REFERENCES color_reviews(id) ON DELETE SET NULL,
+          completed_at TIMESTAMP,
+          completed_by INTEGER REFERENCES users(id),
+          alert_level VARCHAR(20), -- last deadline alert sent: at_risk, overdue
+          alerted_at TIMESTAMP,
+          created_by INTEGER REFERENCES users(id),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      // A template milestone is added to a project once; custom milestones repeat freely
+      await client.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_project_milestones_key
+        ON project_milestones(project_id, milestone_key)
+        WHERE milestone_key <> 'custom';
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_project_milestones_due
+        ON project_milestones(status, due_date);
+      `);
+
+      // Secret per user for calendar subscription URLs (calendar apps cannot send a session)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+          user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+          token VARCHAR(64) NOT NULL UNIQUE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      logger.info('Project milestones table initialized');
+    } catch (error) {
+      logger.error(`Error initializing project milestones table: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Add milestones, skipping template keys the project already has
+   * @param {Array} milestones - [{ milestoneKey, title, description, dueDate, ownerId, reviewId }]
+   * @returns {Array} Created milestones
+   */
+  async createMany(projectId, milestones, userId = null) {
+    const created = [];
+    for (const milestone of milestones) {
+      const result = await this.pool.query(`
+        INSERT INTO project_milestones (project_id, milestone_key, title, description, due_date, owner_id, review_id, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (project_id, milestone_key) WHERE milestone_key <> 'custom' DO NOTHING
+        RETURNING id
+      `, [
+        projectId,
+        milestone.milestoneKey || 'custom',
+        milestone.title,
+        milestone.description || null,
+        milestone.dueDate,
+        milestone.ownerId || null,
+        milestone.reviewId || null,
+        userId
+      ]);
+
+      if (result.rows.length > 0) {
+        created.push(await this.getById(result.rows[0].id));
+      }
+    }
+    return created;
+  }
+
+  async create(projectId, milestone, userId = null) {
+    const [created] = await this.createMany(projectId, [milestone], userId);
+    return created || null;
+  }
+
+  /**
+   * A project's milestones by due date
+   */
+  async listByProject(projectId) {
+    const result = await this.pool.query(`
+      ${this.selectMilestones()}
+      WHERE m.project_id = $1
+      ORDER BY m.due_date ASC, m.id ASC
+    `, [projectId]);
+    return result.rows.map(row => this.formatMilestone(row));
+  }
+
+  /**
+   * Milestones on every project the user is a team member of (calendar feeds)
+   * @param {Object} range - { from } limits to milestones due on or after the date
+   */
+  async listForMember(userId, { from = null } = {}) {
+    const result = await this.pool.query(`
+      ${this.selectMilestones()}
+      WHERE m.project_id IN (SELECT project_id FROM project_team_members WHERE user_id = $1)
+        AND p.archived_at IS NULL
+        AND ($2::timestamp IS NULL OR m.due_date >= $2)
+      ORDER BY m.due_date ASC, m.id ASC
+    `, [userId, from]);
+    return result.rows.map(row => this.formatMilestone(row));
+  }
+
+  /**
+   * Pending milestones due by the cutoff on projects that are not archived
+   */
+  async listPendingDueBy(cutoff) {
+    const result = await this.pool.query(`
+      ${this.selectMilestones()}
+      WHERE m.status = 'pending' AND m.due_date <= $1 AND p.archived_at IS NULL
+      ORDER BY m.project_id, m.due_date ASC
+    `, [cutoff]);
+    return result.rows.map(row => this.formatMilestone(row));
+  }
+
+  async getById(milestoneId) {
+    const result = await this.pool.query(`
+      ${this.selectMilestones()}
+      WHERE m.id = $1
+    `, [milestoneId]);
+    return result.rows.length > 0 ? this.formatMilestone(result.rows[0]) : null;
+  }
+
+  /**
+   * Update milestone fields; a new due date clears the alert sent for the old one
+   * @param {Object} updates - { title, description, dueDate, status, ownerId, reviewId }
+   */
+  async update(milestoneId, updates, userId = null) {
+    const fieldMap = {
+      title: 'title',
+      description: 'description',
+      dueDate: 'due_date',
+      status: 'status',
+      ownerId: 'owner_id',
+      reviewId: 'review_id'
+    };
+
+    const setClauses = [];
+    const values = [];
+    Object.keys(fieldMap).forEach(key => {
+      if (updates[key] !== undefined) {
+        values.push(updates[key]);
+        setClauses.push(`${fieldMap[key]} = $${values.length}`);
+      }
+    });
+
+    if (updates.status !== undefined) {
+      values.push(updates.status === 'complete' ? userId : null);
+      setClauses.push(`completed_by = $${values.length}`);
+      setClauses.push(`completed_at = ${updates.status === 'complete' ? 'CURRENT_TIMESTAMP' : 'NULL'}`);
+    }
+    if (updates.dueDate !== undefined) {
+      setClauses.push('alert_level = NULL', 'alerted_at = NULL');
+    }
+
+    if (setClauses.length > 0) {
+      values.push(milestoneId);
+      await this.pool.query(`
+        UPDATE project_milestones
+        SET ${setClauses.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $${values.length}
+      `, values);
+    }
+
+    return this.getById(milestoneId);
+  }
+
+  async markAlerted(milestoneId, level) {
+    await this.pool.query(`
+      UPDATE project_milestones SET alert_level = $1, alerted_at = CURRENT_TIMESTAMP WHERE id = $2
+    `, [level, milestoneId]);
+  }
+
+  async delete(milestoneId) {
+    const result = await this.pool.query('DELETE FROM project_milestones WHERE id = $1 RETURNING id', [milestoneId]);
+    return result.rows.length > 0;
+  }
+
+  async getFeedToken(userId) {
+    const result = await this.pool.query('SELECT token FROM calendar_feed_tokens WHERE user_id = $1', [userId]);
+    return result.rows.length > 0 ? result.rows[0].token : null;
+  }
+
+  /**
+   * Set (or replace) the user's feed token; the old subscription URL stops working
+   */
+  async setFeedToken(userId, token) {
+    await this.pool.query(`
+      INSERT INTO calendar_feed_tokens (user_id, token) VALUES ($1, $2)
+      ON CONFLICT (user_id) DO UPDATE SET token = EXCLUDED.token, created_at = CURRENT_TIMESTAMP
+    `, [userId, token]);
+    return token;
+  }
+
+  /**
+   * Active user a feed token belongs to
+   * @returns {number|null} User ID
+   */
+  async getFeedUser(token) {
+    const result = await this.pool.query(`
+      SELECT t.user_id FROM calendar_feed_tokens t
+      JOIN users u ON u.id = t.user_id
+      WHERE t.token = $1 AND u.status = 'active'
+    `, [token]);
+    return result.rows.length > 0 ? result.rows[0].user_id : null;
+  }
+
+  /**
+   * Whether a color review belongs to the project
+   */
+  async reviewBelongsToProject(reviewId, projectId) {
+    const result = await this.pool.query('SELECT 1 FROM color_reviews WHERE id = $1 AND project_id = $2', [reviewId, projectId]);
+    return result.rows.length > 0;
+  }
+
+  selectMilestones() {
+    return `
+      SELECT m.*, p.title AS project_title,
+             owner.full_name AS owner_name, owner.email AS owner_email,
+             r.status AS review_status, r.review_type
+      FROM project_milestones m
+      JOIN projects p ON p.id = m.project_id
+      LEFT JOIN users owner ON owner.id = m.owner_id
+      LEFT JOIN color_reviews r ON r.id = m.review_id
+    `;
+  }
+
+  formatMilestone(row) {
+    return {
+      id: row.id,
+      projectId: row.project_id,
+      projectTitle: row.project_title,
+      milestoneKey: row.milestone_key,
+      title: row.title,
+      description: row.description,
+      dueDate: row.due_date,
+      status: row.status,
+      ownerId: row.owner_id,
+      ownerName: row.owner_name || null,
+      ownerEmail: row.owner_email || null,
+      reviewId: row.review_id,
+      reviewType: row.review_type || null,
+      reviewStatus: row.review_status || null,
+      completedAt: row.completed_at,
+      completedBy: row.completed_by,
+      alertLevel: row.alert_level,
+      alertedAt: row.alerted_at,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+ProjectMilestone.MILESTONE_STATUSES = MILESTONE_STATUSES;
+
+module.exports = ProjectMilestone;
@@ -0,0 +1,442 @@
+/**
+ * PromptTemplate Model
+ * Versioned section prompt templates, the A/B experiments comparing their versions, and the
+ * generations written with them (tables created by GlobalPromptService.initializeTables).
+ * Section types are stored normalized ('executive-summary'); a template with no
+ * applicable_sections applies to every section type.
+ */
+
+const { Pool } = require('pg');
+const logger = require('../utils/logger');
+
+const EXPERIMENT_STATUSES = ['draft', 'running', 'paused', 'completed'];
+
+const TEMPLATE_COLUMNS = `
+  t.*, v.id AS version_id, v.body, v.variables, v.change_note, v.created_at AS version_created_at,
+  cu.username AS created_by_username
+`;
+
+class PromptTemplate {
+  constructor(pool = null) {
+    this.pool = pool || new Pool({
+      connectionString: process.env.DATABASE_URL ||
+        `postgresql://${process.env.DB_USER || 'govaiuser'}:${process.env.DB_PASSWORD || 'devpass123'}@${process.env.DB_HOST || 'localhost'}:${process.env.DB_PORT || 5432}/${process.env.DB_NAME || 'govai'}`
+    });
+  }
+
+  // ===========================================================================
+  // Templates and versions
+  // ===========================================================================
+
+  /**
+   * Templates with their current version
+   * @param {Object} filters - { sectionType, templateType, includeInactive }
+   */
+  async listTemplates(filters = {}) {
+    const params = [];
+    const conditions = [];
+
+    if (!filters.includeInactive) {
+      conditions.push('t.is_active = true');
+    }
+    if (filters.sectionType) {
+      params.push(filters.sectionType);
+      conditions.push(`(cardinality(t.applicable_sections) = 0 OR $${params.length} = ANY(t.applicable_sections))`);
+    }
+    if (filters.templateType) {
+      params.push(filters.templateType);
+      conditions.push(`t.template_type = $${params.length}`);
+    }
+
+    const result = await this.pool.query(`
+      SELECT ${TEMPLATE_COLUMNS}
+      FROM prompt_templates t
+      LEFT JOIN prompt_template_versions v ON v.template_id = t.id AND v.version_number = t.current_version
+      LEFT JOIN users cu ON t.created_by = cu.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY t.template_name
+    `, params);
+    return result.rows;
+  }
+
+  async getTemplate(id) {
+    const result = await this.pool.query(`
+      SELECT ${TEMPLATE_COLUMNS}
+      FROM prompt_templates t
+      LEFT JOIN prompt_template_versions v ON v.template_id = t.id AND v.version_number = t.current_version
+      LEFT JOIN users cu ON t.created_by = cu.id
+      WHERE t.id = $1
+    `, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a template with its first version
+   * @param {Object} template - { name, templateType, description, sectionTypes, personas }
+   * @param {Object} version - { body, variables, changeNote }
+   */
+  async createTemplate(template, version, userId = null) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const created = await client.query(`
+        INSERT INTO prompt_templates (
+          template_name, template_type, description, base_prompt, variable_placeholders,
+          applicable_sections, applicable_personas, current_version, created_by, updated_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, 1, $8, $8)
+        RETURNING id
+      `, [
+        template.name,
+        template.templateType,
+        template.description || null,
+        version.body,
+        version.variables.map(variable => variable.name),
+        template.sectionTypes || [],
+        template.personas || [],
+        userId
+      ]);
+      const templateId = created.rows[0].id;
+
+      await client.query(`
+        INSERT INTO prompt_template_versions (template_id, version_number, body, variables, change_note, created_by)
+        VALUES ($1, 1, $2, $3, $4, $5)
+      `, [templateId, version.body, JSON.stringify(version.variables), version.changeNote || null, userId]);
+
+      await client.query('COMMIT');
+      return templateId;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error creating prompt template: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Update template settings (not its text; that is a new version)
+   * @param {Object} updates - { name, templateType, description, sectionTypes, personas, isActive }
+   */
+  async updateTemplate(id, updates, userId = null) {
+    const columns = {
+      name: 'template_name',
+      templateType: 'template_type',
+      description: 'description',
+      sectionTypes: 'applicable_sections',
+      personas: 'applicable_personas',
+      isActive: 'is_active'
+    };
+    const sets = [];
+    const params = [id];
+
+    Object.entries(columns).forEach(([field, column]) => {
+      if (updates[field] !== undefined) {
+        params.push(updates[field]);
+        sets.push(`${column} = $${params.length}`);
+      }
+    });
+
+    params.push(userId);
+    sets.push(`updated_by = $${params.length}`, 'updated_at = CURRENT_TIMESTAMP');
+
+    const result = await this.pool.query(
+      `UPDATE prompt_templates SET ${sets.join(', ')} WHERE id = $1 RETURNING id`,
+      params
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Add a version and make it current
+   * @param {Object} version - { body, variables, changeNote }
+   * @returns {Object|null} Version row, or null when the template does not exist
+   */
+  async addVersion(templateId, version, userId = null) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const template = await client.query(
+        'SELECT current_version FROM prompt_templates WHERE id = $1 FOR UPDATE',
+        [templateId]
+      );
+      if (template.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const latest = await client.query(
+        'SELECT COALESCE(MAX(version_number), 0) AS latest FROM prompt_template_versions WHERE template_id = $1',
+        [templateId]
+      );
+      const versionNumber = parseInt(latest.rows[0].latest) + 1;
+
+      const created = await client.query(`
+        INSERT INTO prompt_template_versions (template_id, version_number, body, variables, change_note, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [templateId, versionNumber, version.body, JSON.stringify(version.variables), version.changeNote || null, userId]);
+
+      await client.query(`
+        UPDATE prompt_templates
+        SET current_version = $2, base_prompt = $3, variable_placeholders = $4,
+            updated_by = $5, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [templateId, versionNumber, version.body, version.variables.map(variable => variable.name), userId]);
+
+      await client.query('COMMIT');
+      return created.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error adding version to prompt template ${templateId}: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async listVersions(templateId) {
+    const result = await this.pool.query(`
+      SELECT v.*, u.username AS created_by_username,
+             (SELECT COUNT(*) FROM prompt_generations g WHERE g.template_version_id = v.id) AS generation_count
+      FROM prompt_template_versions v
+      LEFT JOIN users u ON v.created_by = u.id
+      WHERE v.template_id = $1
+      ORDER BY v.version_number DESC
+    `, [templateId]);
+    return result.rows;
+  }
+
+  /**
+   * A version with its template's settings
+   */
+  async getVersion(versionId) {
+    const result = await this.pool.query(`
+      SELECT v.*, t.template_name, t.applicable_sections, t.is_active
+      FROM prompt_template_versions v
+      JOIN prompt_templates t ON v.template_id = t.id
+      WHERE v.id = $1
+    `, [versionId]);
+    return result.rows[0] || null;
+  }
+
+  async incrementUsage(templateId) {
+    await this.pool.query(
+      'UPDATE prompt_templates SET usage_count = usage_count + 1 WHERE id = $1',
+      [templateId]
+    );
+  }
+
+  // ===========================================================================
+  // Experiments
+  // ===========================================================================
+
+  /**
+   * Create a draft experiment with its variants
+   * @param {Object} experiment - { name, description, sectionType }
+   * @param {Array} variants - [{ label, templateVersionId, weight }]
+   */
+  async createExperiment(experiment, variants, userId = null) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const created = await client.query(`
+        INSERT INTO prompt_experiments (name, description, section_type, created_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id
+      `, [experiment.name, experiment.description || null, experiment.sectionType, userId]);
+      const experimentId = created.rows[0].id;
+
+      for (const variant of variants) {
+        await client.query(`
+          INSERT INTO prompt_experiment_variants (experiment_id, label, template_version_id, weight)
+          VALUES ($1, $2, $3, $4)
+        `, [experimentId, variant.label, variant.templateVersionId, variant.weight]);
+      }
+
+      await client.query('COMMIT');
+      return experimentId;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error creating prompt experiment: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * @param {Object} filters - { status, sectionType }
+   */
+  async listExperiments(filters = {}) {
+    const params = [];
+    const conditions = [];
+
+    if (filters.status) {
+      params.push(filters.status);
+      conditions.push(`e.status = $${params.length}`);
+    }
+    if (filters.sectionType) {
+      params.push(filters.sectionType);
+      conditions.push(`e.section_type = $${params.length}`);
+    }
+
+    const result = await this.pool.query(`
+      SELECT e.*, u.username AS created_by_username,
+             (SELECT COUNT(*) FROM prompt_generations g WHERE g.experiment_id = e.id) AS generation_count
+      FROM prompt_experiments e
+      LEFT JOIN users u ON e.created_by = u.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY (e.status = 'running') DESC, e.created_at DESC
+    `, params);
+    return result.rows;
+  }
+
+  async getExperiment(id) {
+    const result = await this.pool.query(`
+      SELECT e.*, u.username AS created_by_username
+      FROM prompt_experiments e
+      LEFT JOIN users u ON e.created_by = u.id
+      WHERE e.id = $1
+    `, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Variants of an experiment with the template version each one uses
+   */
+  async listVariants(experimentId) {
+    const result = await this.pool.query(`
+      SELECT ev.*, v.template_id, v.version_number, v.body, v.variables, t.template_name
+      FROM prompt_experiment_variants ev
+      JOIN prompt_template_versions v ON ev.template_version_id = v.id
+      JOIN prompt_templates t ON v.template_id = t.id
+      WHERE ev.experiment_id = $1
+      ORDER BY ev.label
+    `, [experimentId]);
+    return result.rows;
+  }
+
+  async findRunningExperiment(sectionType) {
+    const result = await this.pool.query(
+      `SELECT * FROM prompt_experiments WHERE section_type = $1 AND status = 'running'`,
+      [sectionType]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Move an experiment to a status
+   * @param {Object} changes - { winnerVariantId } when completing
+   */
+  async updateExperimentStatus(id, status, changes = {}) {
+    const result = await this.pool.query(`
+      UPDATE prompt_experiments
+      SET status = $2,
+          started_at = CASE WHEN $2 = 'running' THEN COALESCE(started_at, CURRENT_TIMESTAMP) ELSE started_at END,
+          ended_at = CASE WHEN $2 = 'completed' THEN CURRENT_TIMESTAMP ELSE ended_at END,
+          winner_variant_id = COALESCE($3, winner_variant_id),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [id, status, changes.winnerVariantId || null]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Per-variant generation, rating and edit statistics
+   */
+  async getVariantResults(experimentId) {
+    const result = await this.pool.query(`
+      SELECT ev.id AS variant_id, ev.label, ev.weight, ev.template_version_id,
+             v.template_id, v.version_number, t.template_name,
+             COUNT(g.id) AS generations,
+             COUNT(g.rating) AS ratings,
+             AVG(g.rating) AS rating_mean,
+             STDDEV_SAMP(g.rating) AS rating_stddev,
+             COUNT(g.id) FILTER (WHERE g.rating = 1) AS rating_1,
+             COUNT(g.id) FILTER (WHERE g.rating = 2) AS rating_2,
+             COUNT(g.id) FILTER (WHERE g.rating = 3) AS rating_3,
+             COUNT(g.id) FILTER (WHERE g.rating = 4) AS rating_4,
+             COUNT(g.id) FILTER (WHERE g.rating = 5) AS rating_5,
+             COUNT(g.edit_ratio) AS edited,
+             AVG(g.edit_ratio) AS edit_ratio_mean,
+             STDDEV_SAMP(g.edit_ratio) AS edit_ratio_stddev,
+             AVG(g.edit_distance) AS edit_distance_mean,
+             AVG(g.word_count) AS word_count_mean,
+             AVG(g.generation_time_ms) AS generation_time_mean
+      FROM prompt_experiment_variants ev
+      JOIN prompt_template_versions v ON ev.template_version_id = v.id
+      JOIN prompt_templates t ON v.template_id = t.id
+      LEFT JOIN prompt_generations g ON g.variant_id = ev.id
+      WHERE ev.experiment_id = $1
+      GROUP BY ev.id, v.id, t.id
+      ORDER BY ev.label
+    `, [experimentId]);
+    return result.rows;
+  }
+
+  // ===========================================================================
+  // Generations
+  // ===========================================================================
+
+  /**
+   * @param {Object} generation - { templateVersionId, experimentId, variantId, sectionType, sectionId,
+   *   userId, model, content, wordCount, generationTimeMs }
+   */
+  async createGeneration(generation) {
+    const result = await this.pool.query(`
+      INSERT INTO prompt_generations (
+        template_version_id, experiment_id, variant_id, section_type, section_id,
+        user_id, model, content, word_count, generation_time_ms
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `, [
+      generation.templateVersionId,
+      generation.experimentId || null,
+      generation.variantId || null,
+      generation.sectionType || null,
+      generation.sectionId || null,
+      generation.userId || null,
+      generation.model || null,
+      generation.content,
+      generation.wordCount || 0,
+      generation.generationTimeMs || null
+    ]);
+    return result.rows[0];
+  }
+
+  async getGeneration(id) {
+    const result = await this.pool.query('SELECT * FROM prompt_generations WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  async rateGeneration(id, { rating, comment = null }, userId = null) {
+    const result = await this.pool.query(`
+      UPDATE prompt_generations
+      SET rating = $2, rating_comment = $3, rated_by = $4, rated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [id, rating, comment, userId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record how far the writer's text has moved from the generated content
+   */
+  async recordEdit(id, { distance, ratio }) {
+    const result = await this.pool.query(`
+      UPDATE prompt_generations
+      SET edit_distance = $2, edit_ratio = $3, edited_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [id, distance, ratio]);
+    return result.rows[0] || null;
+  }
+}
+
+PromptTemplate.EXPERIMENT_STATUSES = EXPERIMENT_STATUSES;
+
+module.exports = PromptTemplate;
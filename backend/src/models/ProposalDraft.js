@@ -0,0 +1,416 @@
+/**
+ * Proposal Draft Model
+ * Persists proposal sections per project with a version row for every AI generation,
+ * human edit and restore
+ */
+
+const { Pool } = require('pg');
+const logger = require('../utils/logger');
+
+const VERSION_SOURCES = ['ai', 'human', 'restore'];
+
+class ProposalDraft {
+  constructor(pool = null) {
+    this.pool = pool || new Pool({
+      connectionString: process.env.DATABASE_URL ||
+        `postgresql://${process.env.DB_USER || 'govaiuser'}:${process.env.DB_PASSWORD || 'devpass123'}@${process.env.DB_HOST || 'localhost'}:${process.env.DB_PORT || 5432}/${process.env.DB_NAME || 'govai'}`
+    });
+  }
+
+  /**
+   * Initialize proposal draft tables
+   * Requires proposal_outline_nodes (sections can be linked to an outline node)
+   */
+  async initializeTables() {
+    const client = await this.pool.connect();
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS proposal_drafts (
+          id SERIAL PRIMARY KEY,
+          project_name VARCHAR(255) NOT NULL,
+          document_type VARCHAR(100) NOT NULL DEFAULT 'solicitations',
+          title VARCHAR(500) NOT NULL,
+          status VARCHAR(50) DEFAULT 'draft', -- draft, in_review, final
+          created_by INTEGER REFERENCES users(id),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(project_name, document_type)
+        );
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS proposal_sections (
+          id SERIAL PRIMARY KEY,
+          draft_id INTEGER NOT NULL REFERENCES proposal_drafts(id) ON DELETE CASCADE,
+          outline_node_id INTEGER REFERENCES proposal_outline_nodes(id) ON DELETE SET NULL,
+          title VARCHAR(500) NOT NULL,
+          section_type VARCHAR(100) DEFAULT 'general',
+          sort_order INTEGER DEFAULT 0,
+          content TEXT DEFAULT '',
+          word_count INTEGER DEFAULT 0,
+          current_version INTEGER DEFAULT 0,
+          created_by INTEGER REFERENCES users(id),
+          updated_by INTEGER REFERENCES users(id),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS proposal_section_versions (
+          id SERIAL PRIMARY KEY,
+          section_id INTEGER NOT NULL REFERENCES proposal_sections(id) ON DELETE CASCADE,
+          version_number INTEGER NOT NULL,
+          content TEXT NOT NULL,
+          word_count INTEGER DEFAULT 0,
+          source VARCHAR(20) NOT NULL, -- ai, human, restore
+          model VARCHAR(255),
+          prompt TEXT,
+          metadata JSONB DEFAULT '{}', -- citations, persona, generation settings
+          restored_from INTEGER, -- version_number a restore copied
+          change_note TEXT,
+          created_by INTEGER REFERENCES users(id),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(section_id, version_number)
+        );
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_proposal_sections_draft
+        ON proposal_sections(draft_id, sort_order);
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_proposal_sections_outline_node
+        ON proposal_sections(outline_node_id);
+      `);
+
+      logger.info('Proposal draft tables initialized successfully');
+    } catch (error) {
+      logger.error(`Error initializing proposal draft tables: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // =============================================================================
+  // DRAFTS
+  // =============================================================================
+
+  /**
+   * Get a project's draft, creating it on first use
+   * @param {string} projectName - Project name (matches documents.project_name)
+   * @param {string} documentType - Document type key
+   * @param {number} userId - User creating the draft
+   */
+  async getOrCreateDraft(projectName, documentType = 'solicitations', userId = null) {
+    const result = await this.pool.query(`
+      INSERT INTO proposal_drafts (project_name, document_type, title, created_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (project_name, document_type)
+      DO UPDATE SET project_name = EXCLUDED.project_name
+      RETURNING *
+    `, [projectName, documentType, `${projectName} Proposal`, userId]);
+
+    return this.formatDraft(result.rows[0]);
+  }
+
+  /**
+   * Find a project's draft
+   */
+  async findDraft(projectName, documentType = 'solicitations') {
+    const result = await this.pool.query(
+      'SELECT * FROM proposal_drafts WHERE project_name = $1 AND document_type = $2',
+      [projectName, documentType]
+    );
+    return result.rows.length > 0 ? this.formatDraft(result.rows[0]) : null;
+  }
+
+  async getDraft(draftId) {
+    const result = await this.pool.query('SELECT * FROM proposal_drafts WHERE id = $1', [draftId]);
+    return result.rows.length > 0 ? this.formatDraft(result.rows[0]) : null;
+  }
+
+  // =============================================================================
+  // SECTIONS
+  // =============================================================================
+
+  /**
+   * List a draft's sections (content omitted; fetch a section for its text)
+   */
+  async listSections(draftId) {
+    const result = await this.pool.query(`
+      SELECT id, draft_id, outline_node_id, title, section_type, sort_order, word_count,
+             current_version, created_by, updated_by, created_at, updated_at
+      FROM proposal_sections
+      WHERE draft_id = $1
+      ORDER BY sort_order ASC, id ASC
+    `, [draftId]);
+
+    return result.rows.map(row => this.formatSection(row));
+  }
+
+  /**
+   * List a draft's sections with content and the current version's metadata (for export)
+   */
+  async getSectionsWithContent(draftId) {
+    const result = await this.pool.query(`
+      SELECT s.*, v.metadata AS current_metadata
+      FROM proposal_sections s
+      LEFT JOIN proposal_section_versions v
+        ON v.section_id = s.id AND v.version_number = s.current_version
+      WHERE s.draft_id = $1
+      ORDER BY s.sort_order ASC, s.id ASC
+    `, [draftId]);
+
+    return result.rows.map(row => ({
+      ...this.formatSection(row),
+      currentMetadata: row.current_metadata || {}
+    }));
+  }
+
+  async getSection(sectionId) {
+    const result = await this.pool.query('SELECT * FROM proposal_sections WHERE id = $1', [sectionId]);
+    return result.rows.length > 0 ? this.formatSection(result.rows[0]) : null;
+  }
+
+  async findSectionByOutlineNode(outlineNodeId) {
+    const result = await this.pool.query(
+      'SELECT * FROM proposal_sections WHERE outline_node_id = $1 ORDER BY id ASC LIMIT 1',
+      [outlineNodeId]
+    );
+    return result.rows.length > 0 ? this.formatSection(result.rows[0]) : null;
+  }
+
+  /**
+   * Create an empty section
+   * @param {number} draftId - Draft ID
+   * @param {Object} section - { title, sectionType, outlineNodeId, sortOrder }
+   * @param {number} userId - Creating user
+   */
+  async createSection(draftId, section, userId = null) {
+    const result = await this.pool.query(`
+      INSERT INTO proposal_sections (draft_id, outline_node_id, title, section_type, sort_order, created_by, updated_by)
+      VALUES ($1, $2, $3, $4,
+        COALESCE($5, (SELECT COALESCE(MAX(sort_order), -1) + 1 FROM proposal_sections WHERE draft_id = $1)),
+        $6, $6)
+      RETURNING *
+    `, [
+      draftId,
+      section.outlineNodeId || null,
+      section.title,
+      section.sectionType || 'general',
+      section.sortOrder !== undefined ? section.sortOrder : null,
+      userId
+    ]);
+
+    await this.touchDraft(draftId);
+    return this.formatSection(result.rows[0]);
+  }
+
+  /**
+   * Update section metadata (content changes go through addVersion)
+   */
+  async updateSection(sectionId, updates, userId = null) {
+    const result = await this.pool.query(`
+      UPDATE proposal_sections
+      SET title = COALESCE($1, title),
+          section_type = COALESCE($2, section_type),
+          sort_order = COALESCE($3, sort_order),
+          updated_by = $4,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+      RETURNING *
+    `, [
+      updates.title || null,
+      updates.sectionType || null,
+      updates.sortOrder !== undefined ? updates.sortOrder : null,
+      userId,
+      sectionId
+    ]);
+
+    return result.rows.length > 0 ? this.formatSection(result.rows[0]) : null;
+  }
+
+  async deleteSection(sectionId) {
+    const result = await this.pool.query(
+      'DELETE FROM proposal_sections WHERE id = $1 RETURNING draft_id',
+      [sectionId]
+    );
+
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    await this.touchDraft(result.rows[0].draft_id);
+    return true;
+  }
+
+  // =============================================================================
+  // VERSIONS
+  // =============================================================================
+
+  /**
+   * Store new section content as the next version and make it current
+   * @param {number} sectionId - Section ID
+   * @param {Object} version - { content, source, model, prompt, metadata, restoredFrom, changeNote }
+   * @param {number} userId - Author (null for unattended AI runs)
+   * @returns {Object|null} The new version, or null if the section does not exist
+   */
+  async addVersion(sectionId, version, userId = null) {
+    if (!VERSION_SOURCES.includes(version.source)) {
+      throw new Error(`Invalid version source: ${version.source}`);
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Lock the section so concurrent saves get consecutive version numbers
+      const sectionResult = await client.query(
+        'SELECT id, draft_id, current_version FROM proposal_sections WHERE id = $1 FOR UPDATE',
+        [sectionId]
+      );
+
+      if (sectionResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const section = sectionResult.rows[0];
+      const versionNumber = section.current_version + 1;
+      const wordCount = countWords(version.content);
+
+      const versionResult = await client.query(`
+        INSERT INTO proposal_section_versions (
+          section_id, version_number, content, word_count, source, model, prompt,
+          metadata, restored_from, change_note, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING *
+      `, [
+        sectionId,
+        versionNumber,
+        version.content,
+        wordCount,
+        version.source,
+        version.model || null,
+        version.prompt || null,
+        JSON.stringify(version.metadata || {}),
+        version.restoredFrom || null,
+        version.changeNote || null,
+        userId
+      ]);
+
+      await client.query(`
+        UPDATE proposal_sections
+        SET content = $1, word_count = $2, current_version = $3, updated_by = $4, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $5
+      `, [version.content, wordCount, versionNumber, userId, sectionId]);
+
+      await client.query(
+        'UPDATE proposal_drafts SET updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [section.draft_id]
+      );
+
+      await client.query('COMMIT');
+      return this.formatVersion(versionResult.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error saving version for section ${sectionId}: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List a section's versions, newest first (content omitted)
+   */
+  async listVersions(sectionId) {
+    const result = await this.pool.query(`
+      SELECT v.id, v.section_id, v.version_number, v.word_count, v.source, v.model,
+             v.restored_from, v.change_note, v.created_by, v.created_at,
+             u.full_name AS created_by_name
+      FROM proposal_section_versions v
+      LEFT JOIN users u ON v.created_by = u.id
+      WHERE v.section_id = $1
+      ORDER BY v.version_number DESC
+    `, [sectionId]);
+
+    return result.rows.map(row => this.formatVersion(row));
+  }
+
+  async getVersion(sectionId, versionNumber) {
+    const result = await this.pool.query(
+      'SELECT * FROM proposal_section_versions WHERE section_id = $1 AND version_number = $2',
+      [sectionId, versionNumber]
+    );
+    return result.rows.length > 0 ? this.formatVersion(result.rows[0]) : null;
+  }
+
+  async touchDraft(draftId) {
+    await this.pool.query(
+      'UPDATE proposal_drafts SET updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [draftId]
+    );
+  }
+
+  formatDraft(row) {
+    return {
+      id: row.id,
+      projectName: row.project_name,
+      documentType: row.document_type,
+      title: row.title,
+      status: row.status,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatSection(row) {
+    return {
+      id: row.id,
+      draftId: row.draft_id,
+      outlineNodeId: row.outline_node_id,
+      title: row.title,
+      sectionType: row.section_type,
+      sortOrder: row.sort_order,
+      content: row.content,
+      wordCount: row.word_count,
+      currentVersion: row.current_version,
+      createdBy: row.created_by,
+      updatedBy: row.updated_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatVersion(row) {
+    return {
+      id: row.id,
+      sectionId: row.section_id,
+      versionNumber: row.version_number,
+      content: row.content,
+      wordCount: row.word_count,
+      source: row.source,
+      model: row.model,
+      prompt: row.prompt,
+      metadata: row.metadata,
+      restoredFrom: row.restored_from,
+      changeNote: row.change_note,
+      createdBy: row.created_by,
+      createdByName: row.created_by_name,
+      createdAt: row.created_at
+    };
+  }
+}
+
+function countWords(text) {
+  return (text || '').split(/\s+/).filter(word => word.length > 0).length;
+}
+
+ProposalDraft.VERSION_SOURCES = VERSION_SOURCES;
+
+module.exports = ProposalDraft;
@@ -0,0 +1,373 @@
+/**
+ * Proposal Outline Model
+ * Persists the proposal skeleton (volumes → sections) built from Section L/M
+ */
+
+const { Pool } = require('pg');
+const logger = require('../utils/logger');
+
+class ProposalOutline {
+  constructor(pool = null) {
+    this.pool = pool || new Pool({
+      connectionString: process.env.DATABASE_URL ||
+        `postgresql://${process.env.DB_USER || 'govaiuser'}:${process.env.DB_PASSWORD || 'devpass123'}@${process.env.DB_HOST || 'localhost'}:${process.env.DB_PORT || 5432}/${process.env.DB_NAME || 'govai'}`
+    });
+  }
+
+  /**
+   * Initialize proposal outline tables
+   */
+  async initializeTables() {
+    const client = await this.pool.connect();
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS proposal_outlines (
+          id SERIAL PRIMARY KEY,
+          project_id INTEGER NOT NULL UNIQUE REFERENCES projects(id) ON DELETE CASCADE,
+          title VARCHAR(500) NOT NULL,
+          status VARCHAR(50) DEFAULT 'draft', -- draft, approved
+          source_documents JSONB DEFAULT '[]', -- [{ id, name, sectionsFound }]
+          evaluation_factors JSONB DEFAULT '[]', -- Section M factors with subfactors
+          warnings JSONB DEFAULT '[]',
+          created_by INTEGER REFERENCES users(id),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_by INTEGER REFERENCES users(id),
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS proposal_outline_nodes (
+          id SERIAL PRIMARY KEY,
+          outline_id INTEGER NOT NULL REFERENCES proposal_outlines(id) ON DELETE CASCADE,
+          parent_id INTEGER REFERENCES proposal_outline_nodes(id) ON DELETE CASCADE,
+          node_type VARCHAR(20) NOT NULL, -- volume, section
+          paragraph_ref VARCHAR(50), -- e.g. L.4.2
+          title VARCHAR(500) NOT NULL,
+          section_type VARCHAR(100) DEFAULT 'general',
+          instructions TEXT DEFAULT '',
+          page_limit INTEGER,
+          evaluation_factors JSONB DEFAULT '[]', -- [{ factorId, title, reason }]
+          sort_order INTEGER DEFAULT 0,
+          status VARCHAR(50) DEFAULT 'not_started', -- not_started, generated, in_progress, complete
+          last_generated_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_outline_nodes_outline
+        ON proposal_outline_nodes(outline_id, parent_id, sort_order);
+      `);
+
+      logger.info('Proposal outline tables initialized successfully');
+    } catch (error) {
+      logger.error(`Error initializing proposal outline tables: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Replace a project's outline with a freshly built structure
+   * @param {number} projectId - Project ID
+   * @param {Object} outline - { title, sourceDocuments, evaluationFactors, warnings, volumes: [{ ...node, sections: [] }] }
+   * @param {number} userId - User building the outline
+   * @returns {Object} Saved outline with nodes
+   */
+  async saveOutline(projectId, outline, userId = null) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Rebuilding discards the previous skeleton (nodes cascade)
+      await client.query('DELETE FROM proposal_outlines WHERE project_id = $1', [projectId]);
+
+      const outlineResult = await client.query(`
+        INSERT INTO proposal_outlines (
+          project_id, title, source_documents, evaluation_factors, warnings, created_by, updated_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $6)
+        RETURNING *
+      `, [
+        projectId,
+        outline.title,
+        JSON.stringify(outline.sourceDocuments || []),
+        JSON.stringify(outline.evaluationFactors || []),
+        JSON.stringify(outline.warnings || []),
+        userId
+      ]);
+
+      const outlineId = outlineResult.rows[0].id;
+
+      for (const [volumeIndex, volume] of (outline.volumes || []).entries()) {
+        const volumeNode = await this.insertNode(client, outlineId, null, {
+          ...volume,
+          nodeType: 'volume',
+          sortOrder: volumeIndex
+        });
+
+        for (const [sectionIndex, section] of (volume.sections || []).entries()) {
+          await this.insertNode(client, outlineId, volumeNode.id, {
+            ...section,
+            nodeType: 'section',
+            sortOrder: sectionIndex
+          });
+        }
+      }
+
+      await client.query('COMMIT');
+      logger.info(`Saved proposal outline ${outlineId} for project ${projectId}`);
+
+      return await this.getByProject(projectId);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error saving proposal outline: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async insertNode(client, outlineId, parentId, node) {
+    const result = await client.query(`
+      INSERT INTO proposal_outline_nodes (
+        outline_id, parent_id, node_type, paragraph_ref, title, section_type,
+        instructions, page_limit, evaluation_factors, sort_order
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `, [
+      outlineId,
+      parentId,
+      node.nodeType,
+      node.paragraphRef || null,
+      node.title,
+      node.sectionType || 'general',
+      node.instructions || '',
+      node.pageLimit || null,
+      JSON.stringify(node.evaluationFactors || []),
+      node.sortOrder || 0
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Get a project's outline with volumes and nested sections
+   * @param {number} projectId - Project ID
+   * @returns {Object|null} Outline
+   */
+  async getByProject(projectId) {
+    const outlineResult = await this.pool.query(
+      'SELECT * FROM proposal_outlines WHERE project_id = $1',
+      [projectId]
+    );
+
+    if (outlineResult.rows.length === 0) {
+      return null;
+    }
+
+    return this.withNodes(outlineResult.rows[0]);
+  }
+
+  /**
+   * Get an outline by ID with volumes and nested sections
+   */
+  async getById(outlineId) {
+    const outlineResult = await this.pool.query(
+      'SELECT * FROM proposal_outlines WHERE id = $1',
+      [outlineId]
+    );
+
+    if (outlineResult.rows.length === 0) {
+      return null;
+    }
+
+    return this.withNodes(outlineResult.rows[0]);
+  }
+
+  async withNodes(outlineRow) {
+    const nodesResult = await this.pool.query(`
+      SELECT * FROM proposal_outline_nodes
+      WHERE outline_id = $1
+      ORDER BY sort_order ASC, id ASC
+    `, [outlineRow.id]);
+
+    const nodes = nodesResult.rows.map(row => this.formatNode(row));
+    const volumes = nodes
+      .filter(node => node.nodeType === 'volume')
+      .map(volume => ({
+        ...volume,
+        sections: nodes.filter(node => node.parentId === volume.id)
+      }));
+
+    return {
+      id: outlineRow.id,
+      projectId: outlineRow.project_id,
+      title: outlineRow.title,
+      status: outlineRow.status,
+      sourceDocuments: outlineRow.source_documents,
+      evaluationFactors: outlineRow.evaluation_factors,
+      warnings: outlineRow.warnings,
+      createdBy: outlineRow.created_by,
+      createdAt: outlineRow.created_at,
+      updatedAt: outlineRow.updated_at,
+      volumes
+    };
+  }
+
+  /**
+   * Get a single node
+   */
+  async getNode(nodeId) {
+    const result = await this.pool.query('SELECT * FROM proposal_outline_nodes WHERE id = $1', [nodeId]);
+    return result.rows.length > 0 ? this.formatNode(result.rows[0]) : null;
+  }
+
+  /**
+   * Add a volume or section to an outline
+   * @param {number} outlineId - Outline ID
+   * @param {Object} node - { parentId, nodeType, title, ... }
+   */
+  async addNode(outlineId, node) {
+    const nodeType = node.parentId ? 'section' : 'volume';
+
+    const orderResult = await this.pool.query(`
+      SELECT COALESCE(MAX(sort_order), -1) + 1 AS next_order
+      FROM proposal_outline_nodes
+      WHERE outline_id = $1 AND parent_id IS NOT DISTINCT FROM $2
+    `, [outlineId, node.parentId || null]);
+
+    const row = await this.insertNode(this.pool, outlineId, node.parentId || null, {
+      ...node,
+      nodeType,
+      sortOrder: node.sortOrder !== undefined ? node.sortOrder : orderResult.rows[0].next_order
+    });
+
+    await this.touchOutline(outlineId);
+    return this.formatNode(row);
+  }
+
+  /**
+   * Update editable node fields
+   */
+  async updateNode(nodeId, updates) {
+    const fieldMap = {
+      title: 'title',
+      paragraphRef: 'paragraph_ref',
+      sectionType: 'section_type',
+      instructions: 'instructions',
+      pageLimit: 'page_limit',
+      evaluationFactors: 'evaluation_factors',
+      sortOrder: 'sort_order',
+      status: 'status',
+      parentId: 'parent_id'
+    };
+
+    const setClauses = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [key, column] of Object.entries(fieldMap)) {
+      if (updates[key] !== undefined) {
+        setClauses.push(`${column} = $${paramIndex}`);
+        values.push(key === 'evaluationFactors' ? JSON.stringify(updates[key]) : updates[key]);
+        paramIndex++;
+      }
+    }
+
+    if (setClauses.length === 0) {
+      return this.getNode(nodeId);
+    }
+
+    values.push(nodeId);
+    const result = await this.pool.query(`
+      UPDATE proposal_outline_nodes
+      SET ${setClauses.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${paramIndex}
+      RETURNING *
+    `, values);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    await this.touchOutline(result.rows[0].outline_id);
+    return this.formatNode(result.rows[0]);
+  }
+
+  /**
+   * Record that a node was generated through AI writing
+   */
+  async markGenerated(nodeId) {
+    await this.pool.query(`
+      UPDATE proposal_outline_nodes
+      SET status = 'generated', last_generated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [nodeId]);
+  }
+
+  /**
+   * Delete a node (sections of a deleted volume cascade)
+   */
+  async deleteNode(nodeId) {
+    const result = await this.pool.query(
+      'DELETE FROM proposal_outline_nodes WHERE id = $1 RETURNING outline_id',
+      [nodeId]
+    );
+
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    await this.touchOutline(result.rows[0].outline_id);
+    return true;
+  }
+
+  /**
+   * Update outline-level fields (title, status)
+   */
+  async updateOutline(outlineId, updates, userId = null) {
+    const result = await this.pool.query(`
+      UPDATE proposal_outlines
+      SET title = COALESCE($1, title),
+          status = COALESCE($2, status),
+          updated_by = $3,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING id
+    `, [updates.title || null, updates.status || null, userId, outlineId]);
+
+    return result.rows.length > 0 ? this.getById(outlineId) : null;
+  }
+
+  async touchOutline(outlineId) {
+    await this.pool.query(
+      'UPDATE proposal_outlines SET updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [outlineId]
+    );
+  }
+
+  formatNode(row) {
+    return {
+      id: row.id,
+      outlineId: row.outline_id,
+      parentId: row.parent_id,
+      nodeType: row.node_type,
+      paragraphRef: row.paragraph_ref,
+      title: row.title,
+      sectionType: row.section_type,
+      instructions: row.instructions,
+      pageLimit: row.page_limit,
+      evaluationFactors: row.evaluation_factors || [],
+      sortOrder: row.sort_order,
+      status: row.status,
+      lastGeneratedAt: row.last_generated_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = ProposalOutline;
@@ -0,0 +1,285 @@
+/**
+ * Requirement Model
+ * Shredded solicitation requirements with their source document, page and RFP paragraph
+ */
+
+const { Pool } = require('pg');
+const logger = require('../utils/logger');
+
+const CATEGORIES = ['technical', 'management', 'compliance', 'submission'];
+const PRIORITIES = ['high', 'medium', 'low'];
+const STATUSES = ['active', 'dismissed'];
+
+class Requirement {
+  constructor(pool = null) {
+    this.pool = pool || new Pool({
+      connectionString: process.env.DATABASE_URL ||
+        `postgresql://${process.env.DB_USER || 'govaiuser'}:${process.env.DB_PASSWORD || 'devpass123'}@${process.env.DB_HOST || 'localhost'}:${process.env.DB_PORT || 5432}/${process.env.DB_NAME || 'govai'}`
+    });
+  }
+
+  /**
+   * Initialize requirements table
+   */
+  async initializeTables() {
+    const client = await this.pool.connect();
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS requirements (
+          id SERIAL PRIMARY KEY,
+          project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+          document_id VARCHAR(100), -- documents.id of the source solicitation file
+          document_name VARCHAR(500),
+          page_number INTEGER, -- null for formats without pagination (DOCX, TXT)
+          paragraph_id VARCHAR(50), -- e.g. C.3.1, L.4.2(a), 3.2.1
+          section_letter VARCHAR(5), -- UCF section (C, L, M...)
+          paragraph_title VARCHAR(500),
+          sequence INTEGER DEFAULT 1, -- nth requirement within the paragraph
+          requirement_text TEXT NOT NULL,
+          obligation VARCHAR(20), -- shall, must, required, will
+          strength VARCHAR(20), -- mandatory, expected
+          negated BOOLEAN DEFAULT false,
+          category VARCHAR(50) DEFAULT 'technical', -- technical, management, compliance, submission
+          priority VARCHAR(20) DEFAULT 'medium',
+          status VARCHAR(20) DEFAULT 'active', -- active, dismissed
+          extraction_method VARCHAR(20) DEFAULT 'pattern', -- pattern, llm
+          is_edited BOOLEAN DEFAULT false, -- edited rows survive a re-shred
+          metadata JSONB DEFAULT '{}',
+          created_by INTEGER REFERENCES users(id),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_by INTEGER REFERENCES users(id),
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_requirements_project_paragraph
+        ON requirements(project_id, paragraph_id);
+      `);
+
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_requirements_project_document
+        ON requirements(project_id, document_id);
+      `);
+
+      logger.info('Requirements table initialized successfully');
+    } catch (error) {
+      logger.error(`Error initializing requirements table: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Replace a document's shredded requirements, keeping rows a user has edited
+   * @param {number} projectId - Project ID
+   * @param {Object} document - { id, name }
+   * @param {Array} requirements - Shredded requirements (see utils/requirementShred)
+   * @param {number} userId - User running the shred
+   * @returns {Object} { inserted, kept }
+   */
+  async replaceDocumentRequirements(projectId, document, requirements, userId = null) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        'DELETE FROM requirements WHERE project_id = $1 AND document_id = $2 AND is_edited = false',
+        [projectId, String(document.id)]
+      );
+
+      const editedResult = await client.query(
+        'SELECT paragraph_id, sequence FROM requirements WHERE project_id = $1 AND document_id = $2',
+        [projectId, String(document.id)]
+      );
+      const edited = new Set(editedResult.rows.map(row => `${row.paragraph_id}|${row.sequence}`));
+
+      let inserted = 0;
+      for (const requirement of requirements) {
+        if (edited.has(`${requirement.paragraphId}|${requirement.sequence}`)) {
+          continue;
+        }
+
+        await client.query(`
+          INSERT INTO requirements (
+            project_id, document_id, document_name, page_number, paragraph_id, section_letter,
+            paragraph_title, sequence, requirement_text, obligation, strength, negated,
+            category, priority, status, extraction_method, metadata, created_by, updated_by
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $18)
+        `, [
+          projectId,
+          String(document.id),
+          document.name,
+          requirement.page || null,
+          requirement.paragraphId || null,
+          requirement.section || null,
+          requirement.paragraphTitle || null,
+          requirement.sequence || 1,
+          requirement.text,
+          requirement.obligation || null,
+          requirement.strength || null,
+          requirement.negated || false,
+          requirement.category || 'technical',
+          requirement.priority || 'medium',
+          requirement.status || 'active',
+          requirement.extractionMethod || 'pattern',
+          JSON.stringify(requirement.metadata || {}),
+          userId
+        ]);
+        inserted++;
+      }
+
+      await client.query('COMMIT');
+      logger.info(`Saved ${inserted} requirements from ${document.name} for project ${projectId} (${edited.size} edited kept)`);
+
+      return { inserted, kept: edited.size };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error(`Error saving requirements: ${error.message}`);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List a project's requirements in RFP order
+   * @param {number} projectId - Project ID
+   * @param {Object} filters - { category, section, documentId, paragraphId (prefix), status, search }
+   */
+  async listByProject(projectId, filters = {}) {
+    const conditions = ['project_id = $1'];
+    const values = [projectId];
+
+    const add = (clause, value) => {
+      values.push(value);
+      conditions.push(clause.replace('?', `$${values.length}`));
+    };
+
+    if (filters.category) add('category = ?', filters.category);
+    if (filters.section) add('section_letter = ?', filters.section.toUpperCase());
+    if (filters.documentId) add('document_id = ?', String(filters.documentId));
+    if (filters.paragraphId) add('paragraph_id LIKE ?', `${filters.paragraphId}%`);
+    if (filters.status) add('status = ?', filters.status);
+    if (filters.search) add('requirement_text ILIKE ?', `%${filters.search}%`);
+
+    const result = await this.pool.query(`
+      SELECT * FROM requirements
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY document_name ASC, page_number ASC NULLS LAST, id ASC
+    `, values);
+
+    return result.rows.map(row => this.formatRequirement(row));
+  }
+
+  /**
+   * Requirement counts by category, UCF section and source document
+   */
+  async getSummary(projectId) {
+    const result = await this.pool.query(`
+      SELECT category, section_letter, document_id, document_name, status, COUNT(*)::int AS count
+      FROM requirements
+      WHERE project_id = $1
+      GROUP BY category, section_letter, document_id, document_name, status
+    `, [projectId]);
+
+    const summary = { total: 0, dismissed: 0, byCategory: {}, bySection: {}, byDocument: {} };
+    result.rows.forEach(row => {
+      if (row.status === 'dismissed') {
+        summary.dismissed += row.count;
+        return;
+      }
+      summary.total += row.count;
+      summary.byCategory[row.category] = (summary.byCategory[row.category] || 0) + row.count;
+      const section = row.section_letter || 'unnumbered';
+      summary.bySection[section] = (summary.bySection[section] || 0) + row.count;
+      summary.byDocument[row.document_name] = (summary.byDocument[row.document_name] || 0) + row.count;
+    });
+
+    return summary;
+  }
+
+  async getById(requirementId) {
+    const result = await this.pool.query('SELECT * FROM requirements WHERE id = $1', [requirementId]);
+    return result.rows.length > 0 ? this.formatRequirement(result.rows[0]) : null;
+  }
+
+  /**
+   * Edit a requirement; edited rows are preserved when the document is re-shredded
+   * @param {Object} updates - { text, category, priority, status, paragraphId, page }
+   */
+  async update(requirementId, updates, userId = null) {
+    const fieldMap = {
+      text: 'requirement_text',
+      category: 'category',
+      priority: 'priority',
+      status: 'status',
+      paragraphId: 'paragraph_id',
+      page: 'page_number'
+    };
+
+    const setClauses = [];
+    const values = [];
+    Object.keys(fieldMap).forEach(key => {
+      if (updates[key] !== undefined) {
+        values.push(updates[key]);
+        setClauses.push(`${fieldMap[key]} = $${values.length}`);
+      }
+    });
+
+    if (setClauses.length === 0) {
+      return this.getById(requirementId);
+    }
+
+    values.push(userId, requirementId);
+    const result = await this.pool.query(`
+      UPDATE requirements
+      SET ${setClauses.join(', ')},
+          is_edited = true,
+          updated_by = $${values.length - 1},
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${values.length}
+      RETURNING *
+    `, values);
+
+    return result.rows.length > 0 ? this.formatRequirement(result.rows[0]) : null;
+  }
+
+  async delete(requirementId) {
+    const result = await this.pool.query('DELETE FROM requirements WHERE id = $1 RETURNING id', [requirementId]);
+    return result.rows.length > 0;
+  }
+
+  formatRequirement(row) {
+    return {
+      id: row.id,
+      projectId: row.project_id,
+      documentId: row.document_id,
+      documentName: row.document_name,
+      page: row.page_number,
+      paragraphId: row.paragraph_id,
+      section: row.section_letter,
+      paragraphTitle: row.paragraph_title,
+      sequence: row.sequence,
+      text: row.requirement_text,
+      obligation: row.obligation,
+      strength: row.strength,
+      negated: row.negated,
+      category: row.category,
+      priority: row.priority,
+      status: row.status,
+      extractionMethod: row.extraction_method,
+      isEdited: row.is_edited,
+      metadata: row.metadata || {},
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+Requirement.CATEGORIES = CATEGORIES;
+Requirement.PRIORITIES = PRIORITIES;
+Requirement.STATUSES = STATUSES;
+
+module.exports = Requirement;
@@ -0,0 +1,133 @@
+/**
+ * RuleConflict Model
+ * Detected conflicts between pairs of global writing rules (rule_conflicts, created by
+ * GlobalPromptService.initializeTables). Rules are identified per source by key: the
+ * global_prompt_config rule id ('rule-3') or the global_prompt_rules row id.
+ */
+
+const { Pool } = require('pg');
+const logger = require('../utils/logger');
+
+const SOURCES = ['config', 'layered'];
+const CONFLICT_TYPES = ['contradictory', 'redundant', 'overlapping'];
+// dismissed: both rules are kept as written (a false positive or an accepted overlap)
+const RESOLUTIONS = ['priority_based', 'context_specific', 'merge', 'disable_one', 'dismissed'];
+
+class RuleConflict {
+  constructor(pool = null) {
+    this.pool = pool || new Pool({
+      connectionString: process.env.DATABASE_URL ||
+        `postgresql://${process.env.DB_USER || 'govaiuser'}:${process.env.DB_PASSWORD || 'devpass123'}@${process.env.DB_HOST || 'localhost'}:${process.env.DB_PORT || 5432}/${process.env.DB_NAME || 'govai'}`
+    });
+  }
+
+  /**
+   * Store a detected conflict
+   * @param {Object} conflict - { source, ruleAKey, ruleBKey, ruleAId, ruleBId, conflictType, suggestedResolution, fingerprint, detection }
+   */
+  async create(conflict) {
+    const result = await this.pool.query(`
+      INSERT INTO rule_conflicts (
+        source, rule_a_key, rule_b_key, rule_a_id, rule_b_id, conflict_type, resolution, fingerprint, detection
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [
+      conflict.source,
+      String(conflict.ruleAKey),
+      String(conflict.ruleBKey),
+      conflict.ruleAId || null,
+      conflict.ruleBId || null,
+      conflict.conflictType,
+      conflict.suggestedResolution,
+      conflict.fingerprint,
+      JSON.stringify(conflict.detection || {})
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Fingerprints already recorded for a source, open or resolved
+   * @returns {Promise<Set>} Fingerprints
+   */
+  async findFingerprints(source, fingerprints) {
+    if (fingerprints.length === 0) return new Set();
+
+    const result = await this.pool.query(
+      'SELECT DISTINCT fingerprint FROM rule_conflicts WHERE source = $1 AND fingerprint = ANY($2::text[])',
+      [source, fingerprints]
+    );
+    return new Set(result.rows.map(row => row.fingerprint));
+  }
+
+  /**
+   * Drop open conflicts involving any of the given rules (they are re-detected or gone)
+   * @returns {Promise<number>} Conflicts removed
+   */
+  async deleteOpenForRules(source, keys) {
+    if (keys.length === 0) return 0;
+
+    const result = await this.pool.query(`
+      DELETE FROM rule_conflicts
+      WHERE source = $1 AND is_resolved = false
+        AND (rule_a_key = ANY($2::text[]) OR rule_b_key = ANY($2::text[]))
+    `, [source, keys.map(String)]);
+    return result.rowCount;
+  }
+
+  /**
+   * Conflicts for a source, newest first
+   * @param {Object} filters - { source, status: 'open' | 'resolved' | 'all', limit }
+   */
+  async list(filters = {}) {
+    const { source = 'config', status = 'open', limit = 200 } = filters;
+    const params = [source];
+    let query = `
+      SELECT rc.*, u.username AS resolved_by_username
+      FROM rule_conflicts rc
+      LEFT JOIN users u ON rc.resolved_by = u.id
+      WHERE rc.source = $1
+    `;
+
+    if (status !== 'all') {
+      params.push(status === 'resolved');
+      query += ` AND rc.is_resolved = $${params.length}`;
+    }
+
+    params.push(limit);
+    query += ` ORDER BY rc.is_resolved ASC, rc.detected_at DESC, rc.id DESC LIMIT $${params.length}`;
+
+    const result = await this.pool.query(query, params);
+    return result.rows;
+  }
+
+  async findById(id) {
+    const result = await this.pool.query('SELECT * FROM rule_conflicts WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record how a conflict was resolved
+   * @param {Object} client - Optional transaction client
+   */
+  async markResolved(id, { resolution, resolutionData = {} }, userId = null, client = null) {
+    try {
+      const result = await (client || this.pool).query(`
+        UPDATE rule_conflicts
+        SET is_resolved = true, resolution = $2, resolution_data = $3,
+            resolved_at = CURRENT_TIMESTAMP, resolved_by = $4
+        WHERE id = $1
+        RETURNING *
+      `, [id, resolution, JSON.stringify(resolutionData), userId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error(`Error resolving rule conflict ${id}: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+RuleConflict.SOURCES = SOURCES;
+RuleConflict.CONFLICT_TYPES = CONFLICT_TYPES;
+RuleConflict.RESOLUTIONS = RESOLUTIONS;
+
+module.exports = RuleConflict;
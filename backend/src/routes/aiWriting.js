@@ -6,21 +6,66 @@
 const express = require('express');
 const AIWritingService = require('../services/AIWritingService');
 const ModelWarmupService = require('../services/ModelWarmupService');
+const ProposalDraftService = require('../services/ProposalDraftService');
+const ChatService = require('../services/ChatService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { sanitizeInput } = require('../middleware/validation');
+const { requireProjectAccess, requireProjectPermission } = require('../middleware/auth');
+const { requestContext } = require('../services/AuditService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
+
+// Project named in the query string or body must be one of the user's projects; generating needs run_ai
+router.use(requireProjectAccess());
+const canRunAI = requireProjectPermission('run_ai');
+const canEditSections = requireProjectPermission('edit_sections');
+
 const aiWritingService = new AIWritingService();
 const modelWarmupService = new ModelWarmupService();
+const proposalDraftService = new ProposalDraftService();
+const chatService = new ChatService({ aiWritingService });
+
+/**
+ * Generating into a section saves a version of it: check the project the section belongs to
+ * (not the client's projectContext) for edit_sections, and run_ai after it
+ */
+const sectionProject = async (req, res, next) => {
+  const sectionId = parseInt(req.body.sectionId) || null;
+  if (!sectionId) {
+    return next();
+  }
+
+  try {
+    const projectName = await proposalDraftService.getProjectName({ sectionId });
+    if (projectName) {
+      req.projectName = projectName;
+    }
+    canEditSections(req, res, next);
+  } catch (error) {
+    next(error);
+  }
+};
 
 /**
  * @route POST /api/ai-writing/generate
  * @desc Generate content using AI (v2.1 enhanced endpoint)
- * @access Public (would be Private in production)
+ *       Send `Accept: text/event-stream` (or `?stream=true`) to receive Server-Sent Events
+ *       using the same frames as the WebSocket stream; closing the request cancels generation.
+ *       Pass `sectionId` to store the result as a new version of that proposal section; that
+ *       needs edit_sections on the section's project.
+ *       Pass `chatSessionId` to continue that conversation: earlier turns go into the prompt
+ *       and the result is stored as its next turn. That needs run_ai on the session's project,
+ *       or to own a session without a project.
+ *       Pass `promptTemplateId` (and `templateVariables`) to write with a prompt template; with a
+ *       `sectionType` that has a running prompt experiment, a template variant is assigned.
+ *       Templated results carry a `generationId` to rate.
+ * @access Private
  */
-router.post('/generate', sanitizeInput, asyncHandler(async (req, res) => {
-  const { prompt, model, noHallucinations, showThinking, projectContext, personaId } = req.body;
+router.post('/generate', sanitizeInput, sectionProject, canRunAI, asyncHandler(async (req, res) => {
+  const { prompt, model, noHallucinations, showThinking, projectContext, personaId, sectionType, promptTemplateId, templateVariables } = req.body;
+  const sectionId = parseInt(req.body.sectionId) || null;
+  const chatSessionId = parseInt(req.body.chatSessionId) || null;
 
   if (!prompt) {
     return res.status(400).json({
@@ -29,48 +74,174 @@ router.post('/generate', sanitizeInput, asyncHandler(async (req, res) => {
     });
   }
 
+  let chatTurn = null;
+  if (chatSessionId) {
+    try {
+      chatTurn = await chatService.prepareTurn(chatSessionId, prompt, req.user);
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
   logger.info(`Generating content with model: ${model || 'default'}`);
+  const startedAt = Date.now();
+
+  if (wantsEventStream(req)) {
+    return streamGeneration(req, res, chatTurn, {
+      ...(chatTurn ? chatTurn.requirements : {}),
+      model,
+      noHallucinations,
+      showThinking,
+      projectContext,
+      personaId,
+      sectionId,
+      chatSessionId,
+      promptTemplateId,
+      templateVariables,
+      user: req.user,
+      auditContext: requestContext(req)
+    });
+  }
 
   try {
     // For now, use the existing generateSection method
     // This will be enhanced when the AIWritingService is updated for v2.1
     const result = await aiWritingService.generateSection(
       prompt,
-      null, // sectionType is deprecated in favor of personas
+      sectionType || null,
       {
+        ...(chatTurn ? chatTurn.requirements : {}),
         model,
         noHallucinations,
         showThinking,
         projectContext,
-        personaId
+        personaId,
+        sectionId,
+        chatSessionId,
+        promptTemplateId,
+        templateVariables,
+        user: req.user,
+        auditContext: requestContext(req)
       }
     );
 
+    const sectionVersion = sectionId
+      ? await proposalDraftService.recordGeneration(sectionId, result, { prompt, personaId, userId: req.user.id })
+      : null;
+    const chatMessage = chatTurn
+      ? await chatService.recordTurn(chatTurn.session, prompt, result, { personaId, userId: req.user.id, generationTimeMs: Date.now() - startedAt })
+      : null;
+
     res.json({
       success: true,
       data: {
         content: result.content || result.text || result,
         model: model || 'default',
         tokens: result.tokens || prompt.split(' ').length,
-        citations: result.citations || []
+        citations: result.citations || [],
+        sectionId,
+        sectionVersion,
+        chatSessionId,
+        chatMessage,
+        generationId: result.generationId || null
       }
     });
   } catch (error) {
     logger.error(`Error generating content: ${error.message}`);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to generate content',
+      message: error.statusCode ? error.message : 'Failed to generate content',
       error: error.message
     });
   }
 }));
 
+/**
+ * Whether the client asked for a Server-Sent Events response
+ */
+function wantsEventStream(req) {
+  return req.query.stream === 'true' ||
+    req.body.stream === true ||
+    (req.get('Accept') || '').includes('text/event-stream');
+}
+
+/**
+ * Stream a generation as Server-Sent Events
+ * @param {Object|null} chatTurn - Prepared chat turn when continuing a conversation
+ */
+async function streamGeneration(req, res, chatTurn, requirements) {
+  const controller = new AbortController();
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  const sendEvent = (event) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+  };
+
+  const sectionId = parseInt(req.body.sectionId) || null;
+  const startedAt = Date.now();
+  let doneEvent = null;
+
+  try {
+    const result = await aiWritingService.streamSection(req.body.prompt, req.body.sectionType || null, requirements, {
+      signal: controller.signal,
+      onEvent: (event) => {
+        // Hold the done frame until the section version and chat turn are stored so it can carry them
+        if ((sectionId || chatTurn) && event.type === 'done') {
+          doneEvent = event;
+          return;
+        }
+        sendEvent(event);
+      }
+    });
+
+    if (doneEvent) {
+      const sectionVersion = sectionId
+        ? await proposalDraftService.recordGeneration(sectionId, result, {
+          prompt: req.body.prompt,
+          personaId: requirements.personaId,
+          userId: req.user.id
+        })
+        : null;
+      const chatMessage = chatTurn
+        ? await chatService.recordTurn(chatTurn.session, req.body.prompt, result, {
+          personaId: requirements.personaId,
+          userId: req.user.id,
+          generationTimeMs: Date.now() - startedAt
+        })
+        : null;
+      sendEvent({ ...doneEvent, sectionId, sectionVersion, chatSessionId: chatTurn ? chatTurn.session.id : null, chatMessage });
+    }
+  } catch (error) {
+    // streamSection already emitted the error event
+    logger.error(`Error streaming content: ${error.message}`);
+  } finally {
+    res.end();
+  }
+}
+
 /**
  * @route POST /api/ai-writing/generate-section
  * @desc Generate a proposal section using AI
- * @access Public (would be Private in production)
+ * @access Private
  */
-router.post('/generate-section', sanitizeInput, asyncHandler(async (req, res) => {
+router.post('/generate-section', sanitizeInput, canRunAI, asyncHandler(async (req, res) => {
   const { prompt, sectionType, requirements } = req.body;
 
   if (!prompt || !sectionType) {
@@ -82,7 +253,11 @@ router.post('/generate-section', sanitizeInput, asyncHandler(async (req, res) =>
 
   logger.info(`Generating ${sectionType} section`);
 
-  const result = await aiWritingService.generateSection(prompt, sectionType, requirements || {});
+  const result = await aiWritingService.generateSection(prompt, sectionType, {
+    ...(requirements || {}),
+    user: req.user,
+    auditContext: requestContext(req)
+  });
 
   res.json({
     success: true,
@@ -93,9 +268,9 @@ router.post('/generate-section', sanitizeInput, asyncHandler(async (req, res) =>
 /**
  * @route POST /api/ai-writing/analyze-solicitation
  * @desc Analyze solicitation document and extract requirements
- * @access Public
+ * @access Private
  */
-router.post('/analyze-solicitation', sanitizeInput, asyncHandler(async (req, res) => {
+router.post('/analyze-solicitation', sanitizeInput, canRunAI, asyncHandler(async (req, res) => {
   const { documentText } = req.body;
 
   if (!documentText) {
@@ -118,9 +293,9 @@ router.post('/analyze-solicitation', sanitizeInput, asyncHandler(async (req, res
 /**
  * @route POST /api/ai-writing/improve-content
  * @desc Improve existing content with AI suggestions
- * @access Public
+ * @access Private
  */
-router.post('/improve-content', sanitizeInput, asyncHandler(async (req, res) => {
+router.post('/improve-content', sanitizeInput, canRunAI, asyncHandler(async (req, res) => {
   const { content, improvementType } = req.body;
 
   if (!content) {
@@ -143,9 +318,9 @@ router.post('/improve-content', sanitizeInput, asyncHandler(async (req, res) =>
 /**
  * @route POST /api/ai-writing/executive-summary
  * @desc Generate executive summary from proposal data
- * @access Public
+ * @access Private
  */
-router.post('/executive-summary', sanitizeInput, asyncHandler(async (req, res) => {
+router.post('/executive-summary', sanitizeInput, canRunAI, asyncHandler(async (req, res) => {
   const proposalData = req.body;
 
   logger.info('Generating executive summary');
@@ -161,17 +336,19 @@ router.post('/executive-summary', sanitizeInput, asyncHandler(async (req, res) =
 /**
  * @route GET /api/ai-writing/models
  * @desc Get available AI models
- * @access Public
+ * @access Private
  */
 router.get('/models', asyncHandler(async (req, res) => {
   const models = await aiWritingService.getAvailableModels();
+  const route = await aiWritingService.llmService.resolveTask('writing');
 
   res.json({
     success: true,
     data: {
       models,
-      currentModel: process.env.OLLAMA_MODEL || 'gemma2:9b',
-      ollamaUrl: process.env.OLLAMA_URL || 'http://localhost:11434'
+      currentModel: route.model,
+      provider: route.providerName,
+      providerUrl: route.provider.baseUrl || null
     }
   });
 }));
@@ -179,16 +356,18 @@ router.get('/models', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/ai-writing/health
  * @desc Check AI service health
- * @access Public
+ * @access Private
  */
 router.get('/health', asyncHandler(async (req, res) => {
   const isAvailable = await aiWritingService.isAvailable();
+  const route = await aiWritingService.llmService.resolveTask('writing');
 
   res.json({
     success: true,
     data: {
       available: isAvailable,
-      service: 'Ollama',
+      service: route.providerName,
+      model: route.model,
       timestamp: new Date().toISOString()
     }
   });
@@ -197,7 +376,7 @@ router.get('/health', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/ai-writing/templates
  * @desc Get proposal section templates
- * @access Public
+ * @access Private
  */
 router.get('/templates', asyncHandler(async (req, res) => {
   const templates = {
@@ -263,9 +442,9 @@ router.get('/templates', asyncHandler(async (req, res) => {
 /**
  * @route POST /api/ai-writing/batch-generate
  * @desc Generate multiple sections in batch
- * @access Public
+ * @access Private
  */
-router.post('/batch-generate', sanitizeInput, asyncHandler(async (req, res) => {
+router.post('/batch-generate', sanitizeInput, canRunAI, asyncHandler(async (req, res) => {
   const { sections } = req.body;
 
   if (!sections || !Array.isArray(sections)) {
@@ -285,7 +464,7 @@ router.post('/batch-generate', sanitizeInput, asyncHandler(async (req, res) => {
       const result = await aiWritingService.generateSection(
         section.prompt,
         section.sectionType,
-        section.requirements || {}
+        { ...(section.requirements || {}), user: req.user, auditContext: requestContext(req) }
       );
       results.push({
         sectionType: section.sectionType,
@@ -314,7 +493,7 @@ router.post('/batch-generate', sanitizeInput, asyncHandler(async (req, res) => {
 /**
  * @route GET /api/ai-writing/warmup/status
  * @desc Get model warm-up status
- * @access Public
+ * @access Private
  */
 router.get('/warmup/status', asyncHandler(async (req, res) => {
   const { model } = req.query;
@@ -339,7 +518,7 @@ router.get('/warmup/status', asyncHandler(async (req, res) => {
 /**
  * @route POST /api/ai-writing/warmup/model
  * @desc Warm up a specific model
- * @access Public
+ * @access Private
  */
 router.post('/warmup/model', sanitizeInput, asyncHandler(async (req, res) => {
   const { model, priority = 'normal' } = req.body;
@@ -371,7 +550,7 @@ router.post('/warmup/model', sanitizeInput, asyncHandler(async (req, res) => {
 /**
  * @route POST /api/ai-writing/warmup/smart
  * @desc Perform smart warm-up based on context
- * @access Public
+ * @access Private
  */
 router.post('/warmup/smart', sanitizeInput, asyncHandler(async (req, res) => {
   const context = req.body || {};
@@ -396,7 +575,7 @@ router.post('/warmup/smart', sanitizeInput, asyncHandler(async (req, res) => {
 /**
  * @route GET /api/ai-writing/warmup/health
  * @desc Get warm-up service health status
- * @access Public
+ * @access Private
  */
 router.get('/warmup/health', asyncHandler(async (req, res) => {
   try {
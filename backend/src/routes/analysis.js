@@ -1,12 +1,21 @@
 const express = require('express');
 const multer = require('multer');
 const documentParser = require('../utils/documentParser');
-const RequirementExtractor = require('../services/requirementExtractor');
+const RequirementShredService = require('../services/RequirementShredService');
 const createError = require('http-errors');
 const path = require('path');
 
 const router = express.Router();
 
+// Lazy initialization of shred service
+let shredService;
+function getShredService() {
+    if (!shredService) {
+        shredService = new RequirementShredService();
+    }
+    return shredService;
+}
+
 // Configure multer for file upload
 const upload = multer({
     limits: {
@@ -33,31 +42,47 @@ router.post('/solicitation', upload.single('document'), async (req, res, next) =
             throw createError(400, 'No document uploaded');
         }
 
-        // Parse document to extract text
+        // Parse document page by page so every requirement can cite its page
         const fileExtension = path.extname(req.file.originalname).slice(1); // Get file extension without dot
-        const extractedText = await documentParser.parseDocument(req.file.buffer, fileExtension, req.file.originalname);
-        
-        if (!extractedText) {
+        const pages = await documentParser.parseDocumentPages(req.file.buffer, fileExtension, req.file.originalname);
+
+        if (!pages.some(page => page.text && page.text.trim())) {
             throw createError(422, 'Failed to extract text from document');
         }
 
-        // Extract requirements using AI service
-        const extractor = new RequirementExtractor('http://ollama:11434');
-        extractor.setModel('qwen2.5:14b-instruct-q4_0');
-        const requirements = await extractor.extractRequirements(extractedText);
+        // Deterministic shred, then optional LLM classification (useLlm=false skips it)
+        const { requirements, llm } = await getShredService().shredText(pages, {
+            useLlm: req.body.useLlm !== 'false',
+            model: req.body.model
+        });
 
-        if (!requirements) {
-            throw createError(500, 'Failed to analyze requirements');
-        }
+        const active = requirements.filter(requirement => requirement.status !== 'dismissed');
+        const byCategory = (category) => active
+            .filter(requirement => requirement.category === category)
+            .map(requirement => ({
+                id: requirement.paragraphId ? `${requirement.paragraphId}-${requirement.sequence}` : null,
+                description: requirement.text,
+                priority: requirement.priority,
+                paragraphId: requirement.paragraphId,
+                page: requirement.page
+            }));
 
         // Return structured requirements data
         res.json({
             success: true,
             data: {
-                requirements,
+                requirements: {
+                    technical: byCategory('technical'),
+                    management: byCategory('management'),
+                    compliance: byCategory('compliance'),
+                    submission: byCategory('submission')
+                },
+                shred: requirements,
                 metadata: {
                     fileName: req.file.originalname,
                     fileSize: req.file.size,
+                    pageCount: pages[0].page === null ? null : pages.length,
+                    llm,
                     analyzedAt: new Date().toISOString()
                 }
             }
@@ -7,9 +7,15 @@ const express = require('express');
 const AnalyticsService = require('../services/AnalyticsService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { sanitizeInput } = require('../middleware/validation');
+const { requireProjectAccess, projectNameParam } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 const router = express.Router();
+
+// Project named in the query string or body must be one of the user's projects
+router.use(requireProjectAccess());
+router.param('projectName', projectNameParam);
+
 const analyticsService = new AnalyticsService();
 
 /**
@@ -426,7 +432,7 @@ router.post('/export', sanitizeInput, asyncHandler(async (req, res) => {
 /**
  * @route GET /api/analytics/health
  * @desc Check analytics service health
- * @access Public
+ * @access Private
  */
 router.get('/health', asyncHandler(async (req, res) => {
   try {
@@ -0,0 +1,121 @@
+/**
+ * Audit API Routes
+ * Admin search and export of the audit trail (AI generations, document access, admin and
+ * compliance changes) and hash chain verification
+ */
+
+const express = require('express');
+const AuditService = require('../services/AuditService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Lazy initialization of audit service
+let auditService;
+function getAuditService() {
+  if (!auditService) {
+    auditService = new AuditService();
+  }
+  return auditService;
+}
+
+/**
+ * Respond with a service error that carries a statusCode, otherwise rethrow
+ */
+function handleServiceError(error, res) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  throw error;
+}
+
+/**
+ * @route GET /api/audit
+ * @desc Search the audit trail (userId, eventType, eventCategory, resourceType, resourceId,
+ *       projectName, from, to, search, limit, offset)
+ * @access Admin
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const { limit, offset, ...filters } = req.query;
+
+  try {
+    const { entries, total } = await getAuditService().search(filters, { limit, offset });
+
+    res.json({
+      success: true,
+      data: entries,
+      total
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route GET /api/audit/export
+ * @desc Download matching entries as CSV or JSON (format=csv|json, same filters as search)
+ * @access Admin
+ */
+router.get('/export', asyncHandler(async (req, res) => {
+  const { format = 'csv', ...filters } = req.query;
+
+  try {
+    const exported = await getAuditService().exportEntries(filters, format);
+
+    res.set({
+      'Content-Type': exported.contentType,
+      'Content-Disposition': `attachment; filename="${exported.filename}"`,
+      'X-Audit-Count': String(exported.count),
+      'X-Audit-Truncated': String(exported.truncated)
+    });
+    res.send(exported.body);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route GET /api/audit/verify
+ * @desc Recompute the hash chain and report the first row that was changed or removed
+ * @access Admin
+ */
+router.get('/verify', asyncHandler(async (req, res) => {
+  const result = await getAuditService().verifyChain();
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+/**
+ * @route GET /api/audit/:id
+ * @desc Get one audit entry
+ * @access Admin
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id);
+
+  if (isNaN(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid audit entry ID is required'
+    });
+  }
+
+  try {
+    const entry = await getAuditService().getEntry(id);
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,254 @@
+/**
+ * Chat API Routes
+ * Persistent multi-turn AI conversations shared by a project team
+ */
+
+const express = require('express');
+const ChatService = require('../services/ChatService');
+const { requestContext } = require('../services/AuditService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { sanitizeInput } = require('../middleware/validation');
+const { requireProjectAccess, requireProjectPermission, checkProjectAccess, isAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Lazy initialization of chat service
+let chatService;
+function getChatService() {
+  if (!chatService) {
+    chatService = new ChatService();
+  }
+  return chatService;
+}
+
+/**
+ * Respond with a service error that carries a statusCode, otherwise rethrow
+ */
+function handleServiceError(error, res) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  throw error;
+}
+
+/**
+ * router.param handler restricting a chat session to its project team, or to its owner when
+ * it has no project
+ */
+async function sessionParam(req, res, next, value) {
+  const sessionId = parseInt(value);
+  if (isNaN(sessionId)) {
+    return next();
+  }
+
+  try {
+    const session = await getChatService().chatHistory.getSession(sessionId);
+    if (session && session.project_name) {
+      const { allowed } = await checkProjectAccess(req.user, { projectName: session.project_name });
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          message: `You are not a member of the project team for ${session.project_name}`
+        });
+      }
+      req.projectName = session.project_name;
+    } else if (session && session.user_id !== req.user.id && !isAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This chat session belongs to another user'
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Project named in the query string or body, or owning the session, must be one of the user's projects
+router.use(requireProjectAccess());
+router.param('sessionId', sessionParam);
+
+function invalidId(res) {
+  return res.status(400).json({
+    success: false,
+    message: 'Valid session ID is required'
+  });
+}
+
+/**
+ * @route POST /api/chat/sessions
+ * @desc Start a conversation for a project
+ * @access Private
+ */
+router.post('/sessions', sanitizeInput, asyncHandler(async (req, res) => {
+  const { projectName, title, sessionType, documentType } = req.body;
+  const userId = req.user.id;
+
+  try {
+    const session = await getChatService().createSession(userId, { projectName, title, sessionType, documentType });
+
+    res.status(201).json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    return handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route GET /api/chat/sessions
+ * @desc List a project's conversations (every team member's), newest activity first
+ * @access Private
+ */
+router.get('/sessions', asyncHandler(async (req, res) => {
+  const { projectName, includeInactive, limit, offset } = req.query;
+  const userId = req.user.id;
+
+  const sessions = await getChatService().listSessions({
+    projectName,
+    userId,
+    includeInactive: includeInactive === 'true',
+    limit,
+    offset
+  });
+
+  res.json({
+    success: true,
+    data: sessions
+  });
+}));
+
+/**
+ * @route GET /api/chat/search
+ * @desc Full-text search over past conversations of projects on the user's teams, and the
+ *       user's own conversations without a project
+ * @access Private
+ */
+router.get('/search', asyncHandler(async (req, res) => {
+  const { q, projectName, limit, offset } = req.query;
+
+  try {
+    const results = await getChatService().search(q, { projectName, viewer: req.user, limit, offset });
+
+    res.json({
+      success: true,
+      data: results
+    });
+  } catch (error) {
+    return handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route GET /api/chat/sessions/:sessionId
+ * @desc Get a conversation with all of its turns
+ * @access Private
+ */
+router.get('/sessions/:sessionId', asyncHandler(async (req, res) => {
+  const sessionId = parseInt(req.params.sessionId);
+  if (isNaN(sessionId)) {
+    return invalidId(res);
+  }
+
+  try {
+    const session = await getChatService().getSession(sessionId);
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    return handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route POST /api/chat/sessions/:sessionId/messages
+ * @desc Send the next message; earlier turns are included in the prompt and the reply is stored
+ * @access Private
+ */
+router.post('/sessions/:sessionId/messages', sanitizeInput, requireProjectPermission('run_ai'), asyncHandler(async (req, res) => {
+  const sessionId = parseInt(req.params.sessionId);
+  if (isNaN(sessionId)) {
+    return invalidId(res);
+  }
+
+  const { message, model, personaId, noHallucinations, showThinking } = req.body;
+  const userId = req.user.id;
+
+  try {
+    const { message: chatMessage, result } = await getChatService().postTurn(sessionId, userId, {
+      message,
+      model,
+      personaId,
+      noHallucinations,
+      showThinking,
+      user: req.user,
+      auditContext: requestContext(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...result,
+        chatMessage
+      }
+    });
+  } catch (error) {
+    return handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route POST /api/chat/sessions/:sessionId/close
+ * @desc Close a conversation; it stays readable and searchable
+ * @access Private
+ */
+router.post('/sessions/:sessionId/close', asyncHandler(async (req, res) => {
+  const sessionId = parseInt(req.params.sessionId);
+  if (isNaN(sessionId)) {
+    return invalidId(res);
+  }
+  const userId = req.user.id;
+
+  try {
+    const session = await getChatService().closeSession(sessionId, userId);
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    return handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route DELETE /api/chat/sessions/:sessionId
+ * @desc Delete a conversation and its messages
+ * @access Private
+ */
+router.delete('/sessions/:sessionId', asyncHandler(async (req, res) => {
+  const sessionId = parseInt(req.params.sessionId);
+  if (isNaN(sessionId)) {
+    return invalidId(res);
+  }
+  const userId = req.user.id;
+
+  try {
+    await getChatService().deleteSession(sessionId, userId);
+
+    res.json({
+      success: true,
+      message: 'Chat session deleted'
+    });
+  } catch (error) {
+    return handleServiceError(error, res);
+  }
+}));
+
+module.exports = router;
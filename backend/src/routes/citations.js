@@ -7,15 +7,23 @@ const express = require('express');
 const CitationService = require('../services/CitationService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { sanitizeInput } = require('../middleware/validation');
+const { requireProjectAccess, projectNameParam, documentParam } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 const router = express.Router();
+
+// Project named in the query string or body must be one of the user's projects; documents
+// previewed must be visible to the user
+router.use(requireProjectAccess());
+router.param('projectName', projectNameParam);
+router.param('documentId', documentParam);
+
 const citationService = new CitationService();
 
 /**
  * @route POST /api/citations/generate
  * @desc Generate enhanced citations from context chunks and generated content
- * @access Public (would be Private in production)
+ * @access Private
  */
 router.post('/generate', sanitizeInput, asyncHandler(async (req, res) => {
   const { contextChunks, generatedContent, projectName } = req.body;
@@ -58,7 +66,7 @@ router.post('/generate', sanitizeInput, asyncHandler(async (req, res) => {
 /**
  * @route GET /api/citations/preview/:documentId/:chunkIndex?
  * @desc Get document preview for citation navigation
- * @access Public (would be Private in production)
+ * @access Private
  */
 router.get('/preview/:documentId/:chunkIndex?', asyncHandler(async (req, res) => {
   const { documentId, chunkIndex = 0 } = req.params;
@@ -108,7 +116,7 @@ router.get('/preview/:documentId/:chunkIndex?', asyncHandler(async (req, res) =>
 /**
  * @route POST /api/citations/track-access
  * @desc Track citation access for analytics
- * @access Public (would be Private in production)
+ * @access Private
  */
 router.post('/track-access', sanitizeInput, asyncHandler(async (req, res) => {
   const {
@@ -155,7 +163,7 @@ router.post('/track-access', sanitizeInput, asyncHandler(async (req, res) => {
 /**
  * @route GET /api/citations/analytics/:projectName
  * @desc Get citation analytics for a project
- * @access Public (would be Admin in production)
+ * @access Private
  */
 router.get('/analytics/:projectName', asyncHandler(async (req, res) => {
   const { projectName } = req.params;
@@ -194,7 +202,7 @@ router.get('/analytics/:projectName', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/citations/navigation/:documentId
  * @desc Get document navigation structure for citation browsing
- * @access Public (would be Private in production)
+ * @access Private
  */
 router.get('/navigation/:documentId', asyncHandler(async (req, res) => {
   const { documentId } = req.params;
@@ -245,7 +253,7 @@ router.get('/navigation/:documentId', asyncHandler(async (req, res) => {
 /**
  * @route POST /api/citations/feedback
  * @desc Submit feedback on citation quality and relevance
- * @access Public (would be Private in production)
+ * @access Private
  */
 router.post('/feedback', sanitizeInput, asyncHandler(async (req, res) => {
   const {
@@ -316,7 +324,7 @@ router.post('/feedback', sanitizeInput, asyncHandler(async (req, res) => {
 /**
  * @route GET /api/citations/health
  * @desc Check citation service health
- * @access Public
+ * @access Private
  */
 router.get('/health', asyncHandler(async (req, res) => {
   try {
@@ -353,7 +361,7 @@ router.get('/health', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/citations/search/:projectName
  * @desc Search citations within a project
- * @access Public (would be Private in production)
+ * @access Private
  */
 router.get('/search/:projectName', asyncHandler(async (req, res) => {
   const { projectName } = req.params;
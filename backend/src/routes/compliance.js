@@ -5,17 +5,64 @@
 
 const express = require('express');
 const ComplianceService = require('../services/ComplianceService');
+const ComplianceMatrixService = require('../services/ComplianceMatrixService');
+const AuditService = require('../services/AuditService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { sanitizeInput } = require('../middleware/validation');
+const { requireProjectAccess, projectIdParam, projectRecordParam, requireProjectPermission } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 const router = express.Router();
+
+// Project named in the query string or body must be one of the user's projects
+router.use(requireProjectAccess());
+
 const complianceService = new ComplianceService();
+const auditService = new AuditService();
+
+// Lazy initialization of compliance matrix service
+let matrixService;
+function getMatrixService() {
+  if (!matrixService) {
+    matrixService = new ComplianceMatrixService();
+  }
+  return matrixService;
+}
+
+// Project matrix data is restricted to the project team
+router.param('projectId', projectIdParam);
+router.param('rowId', projectRecordParam(rowId => getMatrixService().getProjectName(rowId)));
+
+/**
+ * Respond with a service error that carries a statusCode, otherwise rethrow
+ */
+function handleServiceError(error, res) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.message === 'Project not found') {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+  throw error;
+}
+
+function invalidId(res, label) {
+  return res.status(400).json({
+    success: false,
+    message: `Valid ${label} ID is required`
+  });
+}
 
 /**
  * @route POST /api/compliance/extract-requirements
  * @desc Extract compliance requirements from solicitation document
- * @access Public
+ * @access Private
  */
 router.post('/extract-requirements', sanitizeInput, asyncHandler(async (req, res) => {
   const { documentText } = req.body;
@@ -40,7 +87,7 @@ router.post('/extract-requirements', sanitizeInput, asyncHandler(async (req, res
 /**
  * @route POST /api/compliance/assess-gaps
  * @desc Perform compliance gap analysis
- * @access Public
+ * @access Private
  */
 router.post('/assess-gaps', sanitizeInput, asyncHandler(async (req, res) => {
   const { requirements, currentCapabilities } = req.body;
@@ -72,7 +119,7 @@ router.post('/assess-gaps', sanitizeInput, asyncHandler(async (req, res) => {
 /**
  * @route POST /api/compliance/compliance-matrix
  * @desc Generate comprehensive compliance matrix
- * @access Public
+ * @access Private
  */
 router.post('/compliance-matrix', sanitizeInput, asyncHandler(async (req, res) => {
   const { requirements, evidence } = req.body;
@@ -88,16 +135,155 @@ router.post('/compliance-matrix', sanitizeInput, asyncHandler(async (req, res) =
 
   const result = await complianceService.generateComplianceMatrix(requirements, evidence || []);
 
+  await auditService.recordComplianceChange(AuditService.requestContext(req), {
+    eventType: 'compliance_matrix_generated',
+    projectName: req.body.projectName || null,
+    after: result.summary
+  });
+
   res.json({
     success: true,
     data: result
   });
 }));
 
+/**
+ * @route GET /api/compliance/projects/:projectId/matrix
+ * @desc Get the project's persisted compliance matrix (filters: status, ownerId, sectionId, documentType)
+ * @access Private
+ */
+router.get('/projects/:projectId/matrix', asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.projectId);
+  const { status, ownerId, sectionId, documentType } = req.query;
+
+  if (isNaN(projectId)) {
+    return invalidId(res, 'project');
+  }
+
+  try {
+    const matrix = await getMatrixService().getMatrix(projectId, {
+      status,
+      ownerId: ownerId ? parseInt(ownerId) : null,
+      sectionId: sectionId ? parseInt(sectionId) : null,
+      documentType
+    }, req.user.id);
+
+    res.json({
+      success: true,
+      data: matrix
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route POST /api/compliance/projects/:projectId/matrix/validate
+ * @desc Re-validate every matrix row against its proposal section
+ * @access Private
+ */
+router.post('/projects/:projectId/matrix/validate', requireProjectPermission('edit_sections'), asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.projectId);
+
+  if (isNaN(projectId)) {
+    return invalidId(res, 'project');
+  }
+
+  try {
+    const result = await getMatrixService().revalidateProject(projectId, req.user.id);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route GET /api/compliance/projects/:projectId/matrix/export
+ * @desc Download the matrix in the reviewer layout (format: xlsx or csv)
+ * @access Private
+ */
+router.get('/projects/:projectId/matrix/export', requireProjectPermission('export'), asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.projectId);
+  const { format = 'xlsx' } = req.query;
+
+  if (isNaN(projectId)) {
+    return invalidId(res, 'project');
+  }
+
+  try {
+    const exported = await getMatrixService().exportMatrix(projectId, format, req.user.id);
+
+    res.set({
+      'Content-Type': exported.contentType,
+      'Content-Disposition': `attachment; filename="${exported.filename}"`,
+      'X-Matrix-Count': String(exported.count)
+    });
+    res.send(exported.body);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route PUT /api/compliance/matrix/rows/:rowId
+ * @desc Edit a matrix row (ownerId, status, sectionId, responseExcerpt, evidence, notes)
+ * @access Private
+ */
+router.put('/matrix/rows/:rowId', sanitizeInput, requireProjectPermission('edit_sections'), asyncHandler(async (req, res) => {
+  const rowId = parseInt(req.params.rowId);
+  const { ownerId, status, sectionId, responseExcerpt, evidence, notes } = req.body;
+
+  if (isNaN(rowId)) {
+    return invalidId(res, 'matrix row');
+  }
+
+  try {
+    const before = await getMatrixService().getRow(rowId);
+    const row = await getMatrixService().updateRow(rowId, {
+      ownerId,
+      status,
+      sectionId,
+      responseExcerpt,
+      evidence,
+      notes
+    }, req.user.id);
+
+    if (!row) {
+      return res.status(404).json({
+        success: false,
+        message: 'Matrix row not found'
+      });
+    }
+
+    const fields = ['ownerId', 'status', 'sectionId', 'responseExcerpt', 'evidence', 'notes'];
+    const pick = source => fields.reduce((picked, field) => ({ ...picked, [field]: source[field] }), {});
+    await auditService.recordComplianceChange(AuditService.requestContext(req), {
+      eventType: 'compliance_matrix_row_updated',
+      projectName: req.projectName || null,
+      resourceType: 'compliance_matrix_row',
+      resourceId: rowId,
+      before: pick(before),
+      after: pick(row),
+      details: { requirementId: row.requirementId, validation: row.validation.state || null }
+    });
+
+    res.json({
+      success: true,
+      data: row
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
 /**
  * @route POST /api/compliance/risk-assessment
  * @desc Perform comprehensive risk assessment
- * @access Public
+ * @access Private
  */
 router.post('/risk-assessment', sanitizeInput, asyncHandler(async (req, res) => {
   const { requirements, threats } = req.body;
@@ -122,7 +308,7 @@ router.post('/risk-assessment', sanitizeInput, asyncHandler(async (req, res) =>
 /**
  * @route POST /api/compliance/generate-checklist
  * @desc Generate compliance checklist
- * @access Public
+ * @access Private
  */
 router.post('/generate-checklist', sanitizeInput, asyncHandler(async (req, res) => {
   const { requirements, framework } = req.body;
@@ -147,7 +333,7 @@ router.post('/generate-checklist', sanitizeInput, asyncHandler(async (req, res)
 /**
  * @route POST /api/compliance/validate-proposal
  * @desc Validate proposal content against requirements
- * @access Public
+ * @access Private
  */
 router.post('/validate-proposal', sanitizeInput, asyncHandler(async (req, res) => {
   const { proposalContent, requirements } = req.body;
@@ -179,7 +365,7 @@ router.post('/validate-proposal', sanitizeInput, asyncHandler(async (req, res) =
 /**
  * @route POST /api/compliance/generate-report
  * @desc Generate comprehensive compliance report
- * @access Public
+ * @access Private
  */
 router.post('/generate-report', sanitizeInput, asyncHandler(async (req, res) => {
   const reportData = req.body;
@@ -204,7 +390,7 @@ router.post('/generate-report', sanitizeInput, asyncHandler(async (req, res) =>
 /**
  * @route GET /api/compliance/frameworks
  * @desc Get supported compliance frameworks organized by category
- * @access Public
+ * @access Private
  */
 router.get('/frameworks', asyncHandler(async (req, res) => {
   try {
@@ -241,7 +427,7 @@ router.get('/frameworks', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/compliance/frameworks/agency/:agencyId
  * @desc Get compliance frameworks for specific agency
- * @access Public
+ * @access Private
  */
 router.get('/frameworks/agency/:agencyId', asyncHandler(async (req, res) => {
   const { agencyId } = req.params;
@@ -278,7 +464,7 @@ router.get('/frameworks/agency/:agencyId', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/compliance/templates
  * @desc Get compliance requirement templates
- * @access Public
+ * @access Private
  */
 router.get('/templates', asyncHandler(async (req, res) => {
   const templates = {
@@ -341,7 +527,7 @@ router.get('/templates', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/compliance/health
  * @desc Check compliance service health
- * @access Public
+ * @access Private
  */
 router.get('/health', asyncHandler(async (req, res) => {
   const isAvailable = await complianceService.isAvailable();
@@ -361,7 +547,7 @@ router.get('/health', asyncHandler(async (req, res) => {
 /**
  * @route POST /api/compliance/quick-scan
  * @desc Perform quick compliance scan of document
- * @access Public
+ * @access Private
  */
 router.post('/quick-scan', sanitizeInput, asyncHandler(async (req, res) => {
   const { documentText, targetFramework } = req.body;
@@ -415,7 +601,7 @@ router.post('/quick-scan', sanitizeInput, asyncHandler(async (req, res) => {
 /**
  * @route POST /api/compliance/analyze-cross-references
  * @desc Analyze cross-references and relationships between requirements
- * @access Public
+ * @access Private
  */
 router.post('/analyze-cross-references', sanitizeInput, asyncHandler(async (req, res) => {
   const { requirements } = req.body;
@@ -440,7 +626,7 @@ router.post('/analyze-cross-references', sanitizeInput, asyncHandler(async (req,
 /**
  * @route POST /api/compliance/analyze-cascading
  * @desc Analyze cascading compliance impacts across requirement chains
- * @access Public
+ * @access Private
  */
 router.post('/analyze-cascading', sanitizeInput, asyncHandler(async (req, res) => {
   const { requirements, crossReferences } = req.body;
@@ -465,7 +651,7 @@ router.post('/analyze-cascading', sanitizeInput, asyncHandler(async (req, res) =
 /**
  * @route POST /api/compliance/relationship-insights
  * @desc Generate insights from requirement relationships
- * @access Public
+ * @access Private
  */
 router.post('/relationship-insights', sanitizeInput, asyncHandler(async (req, res) => {
   const { requirements, crossReferences } = req.body;
@@ -495,7 +681,7 @@ router.post('/relationship-insights', sanitizeInput, asyncHandler(async (req, re
 /**
  * @route POST /api/compliance/compare-frameworks
  * @desc Compare requirements across different frameworks
- * @access Public
+ * @access Private
  */
 router.post('/compare-frameworks', sanitizeInput, asyncHandler(async (req, res) => {
   const { frameworks, requirements } = req.body;
@@ -6,18 +6,26 @@
 const express = require('express');
 const ContextService = require('../services/ContextService');
 const ContextOverflowService = require('../services/ContextOverflowService');
+const RetrievalService = require('../services/RetrievalService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { sanitizeInput } = require('../middleware/validation');
+const { requireProjectAccess, projectNameParam } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 const router = express.Router();
+
+// Project named in the query string or body must be one of the user's projects
+router.use(requireProjectAccess());
+router.param('projectName', projectNameParam);
+
 const contextService = new ContextService();
 const overflowService = new ContextOverflowService();
+const retrievalService = new RetrievalService();
 
 /**
  * @route GET /api/context/summary/:projectName/:documentType
  * @desc Get context summary for UI display
- * @access Public (would be Private in production)
+ * @access Private
  */
 router.get('/summary/:projectName/:documentType', asyncHandler(async (req, res) => {
   const { projectName, documentType } = req.params;
@@ -42,7 +50,7 @@ router.get('/summary/:projectName/:documentType', asyncHandler(async (req, res)
 /**
  * @route GET /api/context/:projectName/:documentType
  * @desc Get or trigger context building for a project
- * @access Public (would be Private in production)
+ * @access Private
  */
 router.get('/:projectName/:documentType', asyncHandler(async (req, res) => {
   const { projectName, documentType } = req.params;
@@ -59,12 +67,12 @@ router.get('/:projectName/:documentType', asyncHandler(async (req, res) => {
 
   // If force rebuild requested, cancel any pending builds and trigger new one
   if (forceRebuild === 'true') {
-    contextService.cancelContextBuild(projectName, documentType);
+    await contextService.cancelContextBuild(projectName, documentType);
     // Mark as failed to force rebuild
     await contextService.projectContext.markFailed(projectName, documentType, 'Force rebuild requested');
   }
 
-  const result = await contextService.getProjectContext(projectName, documentType);
+  const result = await contextService.getProjectContext(projectName, documentType, req.user);
 
   res.json({
     success: true,
@@ -75,7 +83,7 @@ router.get('/:projectName/:documentType', asyncHandler(async (req, res) => {
 /**
  * @route POST /api/context/trigger
  * @desc Manually trigger context building
- * @access Public (would be Private in production)
+ * @access Private
  */
 router.post('/trigger', sanitizeInput, asyncHandler(async (req, res) => {
   const { projectName, documentType, immediate } = req.body;
@@ -89,24 +97,50 @@ router.post('/trigger', sanitizeInput, asyncHandler(async (req, res) => {
 
   logger.info(`Manual context build trigger for ${projectName}/${documentType}`);
 
-  if (immediate) {
-    // Build immediately without delay
-    await contextService.buildProjectContext(projectName, documentType);
-  } else {
-    // Use normal delayed building
-    contextService.triggerContextBuild(projectName, documentType);
-  }
+  // Builds run as background jobs; subscribe to the job for progress
+  const job = await contextService.triggerContextBuild(projectName, documentType, { immediate: Boolean(immediate) });
 
-  res.json({
+  res.status(202).json({
     success: true,
-    message: immediate ? 'Context build started immediately' : 'Context build scheduled'
+    message: immediate ? 'Context build queued to start immediately' : 'Context build scheduled',
+    data: job
   });
 }));
 
+/**
+ * @route POST /api/context/retrieve
+ * @desc Preview the passages hybrid retrieval selects for a prompt
+ * @access Private
+ */
+router.post('/retrieve', sanitizeInput, asyncHandler(async (req, res) => {
+  const { projectName, documentType, query, topK, tokenBudget, reranker, model } = req.body;
+
+  logger.info(`Retrieval preview for ${projectName}/${documentType}`);
+
+  try {
+    const result = await retrievalService.retrieve({
+      projectName, documentType, query, topK, tokenBudget, reranker, model, user: req.user
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
+  }
+}));
+
 /**
  * @route DELETE /api/context/:projectName/:documentType
  * @desc Clear cached context for a project
- * @access Public (would be Private in production)
+ * @access Private
  */
 router.delete('/:projectName/:documentType', asyncHandler(async (req, res) => {
   const { projectName, documentType } = req.params;
@@ -121,7 +155,7 @@ router.delete('/:projectName/:documentType', asyncHandler(async (req, res) => {
   logger.info(`Clearing context cache for ${projectName}/${documentType}`);
 
   // Cancel any pending builds
-  contextService.cancelContextBuild(projectName, documentType);
+  await contextService.cancelContextBuild(projectName, documentType);
 
   // Mark as failed to clear the cache
   await contextService.projectContext.markFailed(projectName, documentType, 'Cache cleared by user');
@@ -135,7 +169,7 @@ router.delete('/:projectName/:documentType', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/context/health
  * @desc Check context service health
- * @access Public
+ * @access Private
  */
 router.get('/health', asyncHandler(async (req, res) => {
   try {
@@ -165,7 +199,7 @@ router.get('/health', asyncHandler(async (req, res) => {
 /**
  * @route POST /api/context/cleanup
  * @desc Clean up old context caches
- * @access Public (would be Admin in production)
+ * @access Private
  */
 router.post('/cleanup', asyncHandler(async (req, res) => {
   const { olderThanHours = 24 } = req.body;
@@ -183,10 +217,10 @@ router.post('/cleanup', asyncHandler(async (req, res) => {
 /**
  * @route POST /api/context/overflow/check
  * @desc Check if context will overflow token limits
- * @access Public (would be Private in production)
+ * @access Private
  */
 router.post('/overflow/check', sanitizeInput, asyncHandler(async (req, res) => {
-  const { projectName, documentType, modelType = 'medium' } = req.body;
+  const { projectName, documentType, modelType = 'medium', model = null } = req.body;
 
   if (!projectName || !documentType) {
     return res.status(400).json({
@@ -221,7 +255,8 @@ router.post('/overflow/check', sanitizeInput, asyncHandler(async (req, res) => {
     const overflowAnalysis = await overflowService.checkContextOverflow(
       documents,
       contextData.chunks,
-      modelType
+      modelType,
+      model
     );
 
     res.json({
@@ -242,10 +277,10 @@ router.post('/overflow/check', sanitizeInput, asyncHandler(async (req, res) => {
 /**
  * @route POST /api/context/overflow/select
  * @desc Apply manual document selection and return filtered context
- * @access Public (would be Private in production)
+ * @access Private
  */
 router.post('/overflow/select', sanitizeInput, asyncHandler(async (req, res) => {
-  const { projectName, documentType, selectedDocumentIds, modelType = 'medium' } = req.body;
+  const { projectName, documentType, selectedDocumentIds, modelType = 'medium', model = null } = req.body;
 
   if (!projectName || !documentType || !Array.isArray(selectedDocumentIds)) {
     return res.status(400).json({
@@ -267,8 +302,10 @@ router.post('/overflow/select', sanitizeInput, asyncHandler(async (req, res) =>
       contextData.chunks
     );
 
-    // Calculate new token usage
-    const newTokenUsage = overflowService.calculateTokenUsage(filteredChunks);
+    // Calculate new token usage with the target model's tokenizer
+    const counter = await overflowService.getTokenCounter(model);
+    const newTokenUsage = await overflowService.calculateTokenUsage(filteredChunks, counter);
+    const originalTokenCount = await overflowService.calculateTokenUsage(contextData.chunks, counter);
 
     // Get context configuration for token limits
     const contextConfig = await overflowService.getContextConfiguration();
@@ -288,7 +325,8 @@ router.post('/overflow/select', sanitizeInput, asyncHandler(async (req, res) =>
         chunkCount: filteredChunks.length,
         isFiltered: true,
         originalDocumentCount: documents.length,
-        originalTokenCount: overflowService.calculateTokenUsage(contextData.chunks)
+        originalTokenCount,
+        tokenizer: { model: counter.model, family: counter.family, exact: counter.exact }
       }
     };
 
@@ -326,7 +364,7 @@ router.post('/overflow/select', sanitizeInput, asyncHandler(async (req, res) =>
 /**
  * @route GET /api/context/overflow/stats/:projectName
  * @desc Get overflow statistics for a project
- * @access Public (would be Admin in production)
+ * @access Private
  */
 router.get('/overflow/stats/:projectName', asyncHandler(async (req, res) => {
   const { projectName } = req.params;
@@ -355,11 +393,11 @@ router.get('/overflow/stats/:projectName', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/context/overflow/analysis/:projectName/:documentType
  * @desc Get detailed overflow analysis without processing (faster preview)
- * @access Public (would be Private in production)
+ * @access Private
  */
 router.get('/overflow/analysis/:projectName/:documentType', asyncHandler(async (req, res) => {
   const { projectName, documentType } = req.params;
-  const { modelType = 'medium' } = req.query;
+  const { modelType = 'medium', model = null } = req.query;
 
   logger.info(`Getting overflow analysis preview for ${projectName}/${documentType}`);
 
@@ -378,10 +416,19 @@ router.get('/overflow/analysis/:projectName/:documentType', asyncHandler(async (
       });
     }
 
-    // Calculate estimated tokens based on document sizes
+    // Count the last built context's chunks with the model's tokenizer; documents added since
+    // then are estimated from their file size
+    const counter = await overflowService.getTokenCounter(model);
+    const cached = await contextService.projectContext.getContext(projectName, documentType);
+    const cachedTokens = new Map();
+    ((cached && cached.contextData && cached.contextData.chunks) || []).forEach(chunk => {
+      cachedTokens.set(chunk.documentId, (cachedTokens.get(chunk.documentId) || 0) + counter.count(chunk.content || ''));
+    });
+
     let estimatedTokens = 0;
     const documentSummary = documents.map(doc => {
-      const estimatedDocTokens = Math.ceil((doc.size || 0) / 4); // Rough estimation
+      const counted = cachedTokens.has(doc.id);
+      const estimatedDocTokens = counted ? cachedTokens.get(doc.id) : Math.ceil((doc.size || 0) / 4);
       estimatedTokens += estimatedDocTokens;
 
       return {
@@ -389,6 +436,7 @@ router.get('/overflow/analysis/:projectName/:documentType', asyncHandler(async (
         name: doc.originalName,
         category: doc.category,
         estimatedTokens: estimatedDocTokens,
+        counted,
         size: doc.size,
         priorityScore: overflowService.calculateDocumentPriorityScore(doc),
         relevanceScore: overflowService.calculateRelevanceScore(doc)
@@ -411,6 +459,7 @@ router.get('/overflow/analysis/:projectName/:documentType', asyncHandler(async (
         maxContextTokens,
         willLikelyOverflow: estimatedTokens > maxContextTokens,
         overflowEstimate: Math.max(0, estimatedTokens - maxContextTokens),
+        tokenizer: { model: counter.model, family: counter.family, exact: counter.exact },
         documents: documentSummary.sort((a, b) => {
           // Sort by priority score first, then relevance
           if (a.priorityScore !== b.priorityScore) {
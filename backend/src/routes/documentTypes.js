@@ -14,7 +14,7 @@ const documentTypeModel = new DocumentType();
 /**
  * @route GET /api/document-types
  * @desc Get all document types with optional filtering
- * @access Public
+ * @access Private
  */
 router.get('/', asyncHandler(async (req, res) => {
   const {
@@ -46,7 +46,7 @@ router.get('/', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/document-types/structure
  * @desc Get document structure for frontend consumption
- * @access Public
+ * @access Private
  */
 router.get('/structure', asyncHandler(async (req, res) => {
   const structure = await documentTypeModel.getDocumentStructure();
@@ -60,7 +60,7 @@ router.get('/structure', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/document-types/:id
  * @desc Get a specific document type by ID
- * @access Public
+ * @access Private
  */
 router.get('/:id', asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -83,7 +83,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/document-types/key/:key
  * @desc Get a specific document type by key
- * @access Public
+ * @access Private
  */
 router.get('/key/:key', asyncHandler(async (req, res) => {
   const { key } = req.params;
@@ -244,7 +244,7 @@ router.delete('/:id', asyncHandler(async (req, res) => {
 /**
  * @route POST /api/document-types/validate
  * @desc Validate a file against a document type
- * @access Public
+ * @access Private
  */
 router.post('/validate', sanitizeInput, asyncHandler(async (req, res) => {
   const {
@@ -399,4 +399,140 @@ router.delete('/:id/subfolders/:subfolder', asyncHandler(async (req, res) => {
   }
 }));
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @route GET /api/document-types/key/:key/export-templates
+ * @desc List DOCX/PDF export templates for a document type
+ * @access Private
+ */
+router.get('/key/:key/export-templates', asyncHandler(async (req, res) => {
+  const { key } = req.params;
+
+  const documentType = await documentTypeModel.getDocumentTypeByKey(key);
+
+  if (!documentType) {
+    return res.status(404).json({
+      success: false,
+      message: 'Document type not found'
+    });
+  }
+
+  const templates = await documentTypeModel.listExportTemplates(key);
+
+  res.json({
+    success: true,
+    data: templates
+  });
+}));
+
+/**
+ * @route POST /api/document-types/key/:key/export-templates
+ * @desc Create an export template (page size, fonts, margins, header/footer) for a document type
+ * @access Admin
+ */
+router.post('/key/:key/export-templates', sanitizeInput, asyncHandler(async (req, res) => {
+  const { key } = req.params;
+  const { key: templateKey, name, agency, description, settings, is_default } = req.body;
+
+  try {
+    const createdBy = req.user?.email || 'admin';
+
+    const template = await documentTypeModel.createExportTemplate(key, {
+      key: templateKey,
+      name,
+      agency,
+      description,
+      settings,
+      is_default
+    }, createdBy);
+
+    res.status(201).json({
+      success: true,
+      message: 'Export template created successfully',
+      data: template
+    });
+  } catch (error) {
+    if (error.message.includes('required') || error.message.includes('must contain')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
+  }
+}));
+
+/**
+ * @route PUT /api/document-types/export-templates/:templateId
+ * @desc Update an export template
+ * @access Admin
+ */
+router.put('/export-templates/:templateId', sanitizeInput, asyncHandler(async (req, res) => {
+  const { templateId } = req.params;
+  const { name, agency, description, settings, is_default } = req.body;
+
+  try {
+    const updatedBy = req.user?.email || 'admin';
+
+    const template = await documentTypeModel.updateExportTemplate(templateId, {
+      name,
+      agency,
+      description,
+      settings,
+      is_default
+    }, updatedBy);
+
+    res.json({
+      success: true,
+      message: 'Export template updated successfully',
+      data: template
+    });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
+  }
+}));
+
+/**
+ * @route DELETE /api/document-types/export-templates/:templateId
+ * @desc Delete an export template
+ * @access Admin
+ */
+router.delete('/export-templates/:templateId', asyncHandler(async (req, res) => {
+  const { templateId } = req.params;
+
+  try {
+    await documentTypeModel.deleteExportTemplate(templateId);
+
+    res.json({
+      success: true,
+      message: 'Export template deleted successfully'
+    });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
+  }
+}));
+
+module.exports = router;
@@ -10,14 +10,29 @@ const fs = require('fs').promises;
 const DocumentManagerService = require('../services/DocumentManagerService');
 const AuthService = require('../services/AuthService');
 const ContextService = require('../services/ContextService');
+const DocumentSearchService = require('../services/DocumentSearchService');
+const PermissionService = require('../services/PermissionService');
+const AuditService = require('../services/AuditService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { sanitizeInput } = require('../middleware/validation');
+const {
+  requireRole,
+  requireProjectAccess,
+  requireProjectPermission,
+  projectNameParam,
+  documentParam,
+  filterByProjectAccess
+} = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 const documentManager = new DocumentManagerService();
 const authService = new AuthService();
 const contextService = new ContextService();
+const documentSearchService = new DocumentSearchService({ documentManager });
+const permissionService = new PermissionService();
+const auditService = new AuditService();
+const { requestContext } = AuditService;
 
 // Configure multer for file uploads with enhanced validation
 const upload = multer({
@@ -32,10 +47,39 @@ const upload = multer({
   }
 });
 
+/**
+ * router.param handler for a document named by type, project and file name in the path
+ * (after projectTitle has been checked); the document is then checked like documentParam
+ */
+const documentNameParam = async (req, res, next, value) => {
+  try {
+    const document = await documentManager.findDocument(req.params.documentType, req.projectName, value);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+        error: 'FILE_NOT_FOUND'
+      });
+    }
+
+    req.document = document;
+    documentParam(req, res, next, String(document.id));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Project named in the query string or body, or in the path, must be one of the user's projects
+router.use(requireProjectAccess());
+router.param('projectTitle', projectNameParam);
+router.param('documentName', documentNameParam);
+router.param('fileId', documentParam);
+router.param('id', documentParam);
+
 /**
  * @route GET /api/documents/structure
  * @desc Get the complete folder structure and document types
- * @access Public
+ * @access Private
  */
 router.get('/structure', asyncHandler(async (req, res) => {
   const structure = await documentManager.getDocumentStructure();
@@ -49,9 +93,9 @@ router.get('/structure', asyncHandler(async (req, res) => {
 /**
  * @route POST /api/documents/upload
  * @desc Upload documents to organized folders
- * @access Public
+ * @access Private
  */
-router.post('/upload', upload.array('files', 10), sanitizeInput, asyncHandler(async (req, res) => {
+router.post('/upload', upload.array('files', 10), requireProjectPermission('upload'), sanitizeInput, asyncHandler(async (req, res) => {
   const { documentType, subfolder, projectName, metadata } = req.body;
   const files = req.files;
 
@@ -93,17 +137,26 @@ router.post('/upload', upload.array('files', 10), sanitizeInput, asyncHandler(as
     ));
 
     // Trigger context building for the project if documents were uploaded with a project name
+    let contextBuildJob = null;
     if (projectName && projectName.trim()) {
       try {
         logger.info(`Triggering context build for project: ${projectName}`);
-        // Trigger context build in the background (don't wait for completion)
-        contextService.triggerContextBuild(projectName, normalizedDocumentType);
+        // Queue the build as a background job; the client can follow it by job id
+        contextBuildJob = await contextService.triggerContextBuild(projectName, normalizedDocumentType);
       } catch (contextError) {
         logger.warn(`Could not trigger context build: ${contextError.message}`);
         // Don't fail the upload if context building fails
       }
     }
 
+    // Index the new documents' text for full-text search
+    let searchIndexJob = null;
+    try {
+      searchIndexJob = await documentSearchService.queueIndexing(results.map(result => result.id), req.user.id);
+    } catch (indexError) {
+      logger.warn(`Could not queue search indexing: ${indexError.message}`);
+    }
+
     res.json({
       success: true,
       data: {
@@ -111,7 +164,9 @@ router.post('/upload', upload.array('files', 10), sanitizeInput, asyncHandler(as
         totalFiles: results.length,
         documentType,
         subfolder: subfolder || 'default',
-        projectName
+        projectName,
+        contextBuildJobId: contextBuildJob ? contextBuildJob.id : null,
+        searchIndexJobId: searchIndexJob ? searchIndexJob.id : null
       }
     });
   } catch (error) {
@@ -127,7 +182,7 @@ router.post('/upload', upload.array('files', 10), sanitizeInput, asyncHandler(as
 /**
  * @route GET /api/documents/list
  * @desc List documents in a specific folder
- * @access Public
+ * @access Private
  */
 router.get('/list', asyncHandler(async (req, res) => {
   const { documentType, subfolder, projectName, page = 1, limit = 20, status } = req.query;
@@ -171,6 +226,9 @@ router.get('/list', asyncHandler(async (req, res) => {
     offset: (parseInt(page) - 1) * parseInt(limit)
   });
 
+  // Leave out other teams' documents and restricted documents the user cannot open
+  documents.documents = await permissionService.filterDocuments(req.user, documents.documents);
+
   logger.info(`Found ${documents.documents.length} documents in database`);
 
   res.json({
@@ -182,7 +240,7 @@ router.get('/list', asyncHandler(async (req, res) => {
 /**
  * @route POST /api/documents/create-project
  * @desc Create a new project folder
- * @access Public
+ * @access Private
  */
 router.post('/create-project', sanitizeInput, asyncHandler(async (req, res) => {
   const { projectName, documentType, description, metadata } = req.body;
@@ -212,12 +270,16 @@ router.post('/create-project', sanitizeInput, asyncHandler(async (req, res) => {
 /**
  * @route GET /api/documents/projects
  * @desc List all project folders
- * @access Public
+ * @access Private
  */
 router.get('/projects', asyncHandler(async (req, res) => {
   const { documentType } = req.query;
 
-  const projects = await documentManager.listProjects(documentType);
+  const projects = await filterByProjectAccess(
+    req.user,
+    await documentManager.listProjects(documentType),
+    project => project.name
+  );
 
   res.json({
     success: true,
@@ -228,7 +290,7 @@ router.get('/projects', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/documents/download/:fileId
  * @desc Download a specific document
- * @access Public
+ * @access Private
  */
 router.get('/download/:fileId', asyncHandler(async (req, res) => {
   const { fileId } = req.params;
@@ -240,31 +302,45 @@ router.get('/download/:fileId', asyncHandler(async (req, res) => {
     });
   }
 
-  const fileInfo = await documentManager.getFileById(fileId);
+  const fileInfo = await documentManager.documentModel.getById(fileId);
+
+  if (!fileInfo || !(fileInfo.storageKey || fileInfo.path)) {
+    return res.status(404).json({
+      success: false,
+      message: 'File not found'
+    });
+  }
 
-  if (!fileInfo) {
+  let stream;
+  try {
+    stream = await documentManager.openDocumentStream(fileInfo);
+  } catch (error) {
+    logger.error(`Error downloading document ${fileId}: ${error.message}`);
     return res.status(404).json({
       success: false,
       message: 'File not found'
     });
   }
 
-  // Set appropriate headers for download
-  res.set({
-    'Content-Type': fileInfo.mimeType || 'application/octet-stream',
-    'Content-Disposition': `attachment; filename="${fileInfo.originalName}"`,
-    'Content-Length': fileInfo.size
+  await auditService.recordDocumentAccess(requestContext(req), fileInfo, 'downloaded', {
+    size: fileInfo.size
   });
 
-  // Stream the file
-  const fileStream = await documentManager.getFileStream(fileId);
-  fileStream.pipe(res);
+  res.attachment(fileInfo.originalName);
+  if (fileInfo.mimeType) {
+    res.type(fileInfo.mimeType);
+  }
+  stream.on('error', (error) => {
+    logger.error(`Error streaming document ${fileId}: ${error.message}`);
+    res.destroy(error);
+  });
+  stream.pipe(res);
 }));
 
 /**
  * @route DELETE /api/documents/:fileId
  * @desc Delete a specific document
- * @access Public
+ * @access Private
  */
 // DISABLED: Conflicting route - use DELETE /:id instead
 // router.delete('/:fileId', asyncHandler(async (req, res) => {
@@ -292,41 +368,76 @@ router.get('/download/:fileId', asyncHandler(async (req, res) => {
 
 /**
  * @route POST /api/documents/search
- * @desc Search documents across all folders
- * @access Public
+ * @desc Full-text search of document contents, names and descriptions.
+ *       query supports "exact phrases", OR and -excluded words; optional filters: projectName,
+ *       documentType, subfolder, fileTypes, dateRange { from, to }; paging: limit, offset.
+ *       Each document carries search: { rank, pages (best matching pages), snippet: { page, text, highlights } };
+ *       facets count matches by project, document type, subfolder and file type.
+ * @access Private
  */
 router.post('/search', sanitizeInput, asyncHandler(async (req, res) => {
-  const { query, documentType, subfolder, projectName, dateRange, fileTypes } = req.body;
+  const { query, limit, offset } = req.body;
 
-  if (!query || query.trim().length < 2) {
-    return res.status(400).json({
-      success: false,
-      message: 'Search query must be at least 2 characters'
+  logger.info(`Searching documents for: "${query}"`);
+
+  try {
+    const results = await documentSearchService.search(
+      req.user,
+      query,
+      DocumentSearchService.normalizeFilters(req.body),
+      { limit, offset }
+    );
+
+    res.json({
+      success: true,
+      data: results
     });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
   }
+}));
 
-  logger.info(`Searching documents for: "${query}"`);
+/**
+ * @route GET /api/documents/search/status
+ * @desc How many active documents have their text indexed for search
+ * @access Private
+ */
+router.get('/search/status', asyncHandler(async (req, res) => {
+  const coverage = await documentSearchService.getCoverage();
 
-  const searchFilters = {
-    documentType,
-    subfolder,
-    projectName,
-    dateRange,
-    fileTypes
-  };
+  res.json({
+    success: true,
+    data: coverage
+  });
+}));
 
-  const results = await documentManager.searchDocuments(query, searchFilters);
+/**
+ * @route POST /api/documents/search/reindex
+ * @desc Index documents uploaded before search existed (includeFailed retries failed extractions)
+ * @access Private (Admin)
+ */
+router.post('/search/reindex', requireRole('admin'), asyncHandler(async (req, res) => {
+  const result = await documentSearchService.queueBackfill({ includeFailed: req.body.includeFailed === true }, req.user.id);
 
-  res.json({
+  res.status(result.job ? 202 : 200).json({
     success: true,
-    data: results
+    data: {
+      queued: result.queued,
+      jobId: result.job ? result.job.id : null
+    }
   });
 }));
 
 /**
  * @route GET /api/documents/:fileId/metadata
  * @desc Get metadata for a specific document
- * @access Public
+ * @access Private
  */
 router.get('/:fileId/metadata', asyncHandler(async (req, res) => {
   const { fileId } = req.params;
@@ -349,9 +460,9 @@ router.get('/:fileId/metadata', asyncHandler(async (req, res) => {
 /**
  * @route PUT /api/documents/:fileId/metadata
  * @desc Update metadata for a specific document
- * @access Public
+ * @access Private
  */
-router.put('/:fileId/metadata', sanitizeInput, asyncHandler(async (req, res) => {
+router.put('/:fileId/metadata', sanitizeInput, requireProjectPermission('upload'), asyncHandler(async (req, res) => {
   const { fileId } = req.params;
   const { metadata } = req.body;
 
@@ -375,7 +486,7 @@ router.put('/:fileId/metadata', sanitizeInput, asyncHandler(async (req, res) =>
 /**
  * @route POST /api/documents/bulk-move
  * @desc Move multiple documents to a different folder
- * @access Public
+ * @access Private (upload on every document moved and on the target project)
  */
 router.post('/bulk-move', sanitizeInput, asyncHandler(async (req, res) => {
   const { fileIds, targetDocumentType, targetSubfolder, targetProject } = req.body;
@@ -394,6 +505,33 @@ router.post('/bulk-move', sanitizeInput, asyncHandler(async (req, res) => {
     });
   }
 
+  // A move changes each document and adds to the target project, so both need upload
+  const targets = fileIds.map(fileId => ({ documentId: parseInt(fileId) }));
+  if (targetProject) {
+    targets.push({ projectName: targetProject });
+  }
+  try {
+    for (const target of targets) {
+      const decision = await permissionService.explain(req.user, 'upload', target);
+      if (!decision.allowed) {
+        logger.warn(`Bulk move denied: ${req.user.email}: ${decision.reason}`);
+        return res.status(403).json({
+          success: false,
+          message: decision.reason,
+          decision
+        });
+      }
+    }
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
+  }
+
   logger.info(`Moving ${fileIds.length} documents to ${targetDocumentType}/${targetSubfolder || 'default'}`);
 
   const results = await documentManager.bulkMoveDocuments(
@@ -416,7 +554,7 @@ router.post('/bulk-move', sanitizeInput, asyncHandler(async (req, res) => {
 /**
  * @route GET /api/documents/statistics
  * @desc Get document storage statistics
- * @access Public
+ * @access Private
  */
 router.get('/statistics', asyncHandler(async (req, res) => {
   const stats = await documentManager.getStorageStatistics();
@@ -430,7 +568,7 @@ router.get('/statistics', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/documents/content/:documentType/:projectTitle/:documentName
  * @desc Get text content of a specific document for reading pane (v2.1 feature)
- * @access Public
+ * @access Private (restricted documents only to the roles and people they are open to)
  */
 router.get('/content/:documentType/:projectTitle/:documentName', asyncHandler(async (req, res) => {
   const { documentType, projectTitle, documentName } = req.params;
@@ -452,6 +590,8 @@ router.get('/content/:documentType/:projectTitle/:documentName', asyncHandler(as
       documentName
     );
 
+    await auditService.recordDocumentAccess(requestContext(req), req.document, 'viewed');
+
     res.json({
       success: true,
       data: {
@@ -476,7 +616,7 @@ router.get('/content/:documentType/:projectTitle/:documentName', asyncHandler(as
 /**
  * @route GET /api/documents/health
  * @desc Check document service health
- * @access Public
+ * @access Private
  */
 router.get('/health', asyncHandler(async (req, res) => {
   const health = await documentManager.checkHealth();
@@ -492,7 +632,7 @@ router.get('/health', asyncHandler(async (req, res) => {
  * @desc Archive a document
  * @access Project Owner/Admin
  */
-router.put('/:id/archive', asyncHandler(async (req, res) => {
+router.put('/:id/archive', requireProjectPermission('delete'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const documentId = parseInt(id, 10);
 
@@ -515,21 +655,6 @@ router.put('/:id/archive', asyncHandler(async (req, res) => {
       });
     }
 
-    // Check permissions
-    const hasPermission = await authService.hasPermission(
-      currentUser.id,
-      'document.archive',
-      'document',
-      document.projectName
-    );
-
-    if (!hasPermission) {
-      return res.status(403).json({
-        success: false,
-        message: 'Permission denied'
-      });
-    }
-
     const archivedDocument = await documentManager.documentModel.archive(documentId, currentUser.username);
     if (!archivedDocument) {
       return res.status(400).json({
@@ -558,7 +683,7 @@ router.put('/:id/archive', asyncHandler(async (req, res) => {
  * @desc Unarchive a document
  * @access Project Owner/Admin
  */
-router.put('/:id/unarchive', asyncHandler(async (req, res) => {
+router.put('/:id/unarchive', requireProjectPermission('delete'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const documentId = parseInt(id, 10);
 
@@ -579,20 +704,6 @@ router.put('/:id/unarchive', asyncHandler(async (req, res) => {
       });
     }
 
-    const hasPermission = await authService.hasPermission(
-      currentUser.id,
-      'document.archive',
-      'document',
-      document.projectName
-    );
-
-    if (!hasPermission) {
-      return res.status(403).json({
-        success: false,
-        message: 'Permission denied'
-      });
-    }
-
     const unarchivedDocument = await documentManager.documentModel.unarchive(documentId, currentUser.username);
     if (!unarchivedDocument) {
       return res.status(400).json({
@@ -621,7 +732,7 @@ router.put('/:id/unarchive', asyncHandler(async (req, res) => {
  * @desc Soft delete a document
  * @access Project Owner/Admin
  */
-router.delete('/:id', asyncHandler(async (req, res) => {
+router.delete('/:id', requireProjectPermission('delete'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const documentId = parseInt(id, 10);
 
@@ -642,20 +753,6 @@ router.delete('/:id', asyncHandler(async (req, res) => {
       });
     }
 
-    const hasPermission = await authService.hasPermission(
-      currentUser.id,
-      'document.delete',
-      'document',
-      document.projectName
-    );
-
-    if (!hasPermission) {
-      return res.status(403).json({
-        success: false,
-        message: 'Permission denied'
-      });
-    }
-
     const deletedDocument = await documentManager.documentModel.softDelete(documentId, currentUser.username);
     if (!deletedDocument) {
       return res.status(400).json({
@@ -710,52 +807,12 @@ router.post('/bulk-action', asyncHandler(async (req, res) => {
   }
 
   try {
-    const results = [];
-    const errors = [];
-
-    for (const id of documentIds) {
-      try {
-        const document = await documentManager.documentModel.getById(documentId);
-        if (!document) {
-          errors.push({ id, error: 'Document not found' });
-          continue;
-        }
-
-        const hasPermission = await authService.hasPermission(
-          currentUser.id,
-          `document.${action}`,
-          'document',
-          document.projectName
-        );
-
-        if (!hasPermission) {
-          errors.push({ id, error: 'Permission denied' });
-          continue;
-        }
-
-        let result;
-        switch (action) {
-          case 'archive':
-            result = await documentManager.documentModel.archive(documentId, currentUser.username);
-            break;
-          case 'unarchive':
-            result = await documentManager.documentModel.unarchive(documentId, currentUser.username);
-            break;
-          case 'delete':
-            result = await documentManager.documentModel.softDelete(id, currentUser.username);
-            break;
-        }
-
-        if (result) {
-          results.push(result);
-        } else {
-          errors.push({ id, error: `Failed to ${action} document` });
-        }
-
-      } catch (error) {
-        errors.push({ id, error: error.message });
-      }
-    }
+    const { processed: results, errors } = await documentManager.bulkDocumentAction(
+      documentIds,
+      action,
+      req.user,
+      currentUser.username
+    );
 
     res.json({
       success: true,
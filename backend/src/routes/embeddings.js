@@ -0,0 +1,79 @@
+/**
+ * Embedding Pipeline API Routes
+ * Embedding model coverage and the backfill / re-embed job (an embedding_backfill job; see /api/jobs)
+ */
+
+const express = require('express');
+const EmbeddingPipelineService = require('../services/EmbeddingPipelineService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { sanitizeInput } = require('../middleware/validation');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Lazy initialization of pipeline service
+let pipelineService;
+function getPipelineService() {
+  if (!pipelineService) {
+    pipelineService = new EmbeddingPipelineService();
+  }
+  return pipelineService;
+}
+
+/**
+ * @route GET /api/embeddings/status
+ * @desc Active embedding model and dimension, per-table vector coverage and the latest backfill job
+ * @access Admin
+ */
+router.get('/status', asyncHandler(async (req, res) => {
+  const service = getPipelineService();
+  const coverage = await service.getCoverage();
+
+  res.json({
+    success: true,
+    data: {
+      ...coverage,
+      job: await service.getBackfillStatus()
+    }
+  });
+}));
+
+/**
+ * @route POST /api/embeddings/backfill
+ * @desc Queue embedding of missing and stale vectors (force: true re-embeds everything)
+ * @access Admin
+ */
+router.post('/backfill', sanitizeInput, asyncHandler(async (req, res) => {
+  const force = req.body.force === true || req.body.force === 'true';
+
+  logger.info(`Embedding backfill requested (force: ${force})`);
+  const job = await getPipelineService().startBackfill({ force, reason: 'manual' });
+
+  res.status(202).json({
+    success: true,
+    data: job
+  });
+}));
+
+/**
+ * @route GET /api/embeddings/backfill
+ * @desc Get the latest backfill job
+ * @access Admin
+ */
+router.get('/backfill', asyncHandler(async (req, res) => {
+  const job = await getPipelineService().getBackfillStatus();
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'No backfill job has been queued'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: job
+  });
+}));
+
+module.exports = router;
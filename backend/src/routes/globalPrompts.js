@@ -6,6 +6,10 @@
 const express = require('express');
 const router = express.Router();
 const PromptCompilerService = require('../services/PromptCompilerService');
+const PromptRuleConflictService = require('../services/PromptRuleConflictService');
+const RuleConflict = require('../models/RuleConflict');
+const AuditService = require('../services/AuditService');
+const { authenticate, requireRole } = require('../middleware/auth');
 const { Pool } = require('pg');
 
 // Initialize services
@@ -18,24 +22,11 @@ const pool = new Pool({
 });
 
 const promptCompiler = new PromptCompilerService(pool);
+const conflictService = new PromptRuleConflictService({ promptCompiler, conflictModel: new RuleConflict(pool) });
+const auditService = new AuditService();
 
-// Placeholder auth middleware (replace with actual auth when available)
-const requireAuth = (req, res, next) => {
-  // TODO: Implement actual authentication
-  req.user = { id: 1, role: 'admin' }; // Mock user for development
-  next();
-};
-
-const requireAdmin = (req, res, next) => {
-  if (req.user && (req.user.role === 'admin' || req.user.role === 'administrator')) {
-    next();
-  } else {
-    res.status(403).json({
-      success: false,
-      message: 'Admin access required'
-    });
-  }
-};
+const requireAuth = authenticate;
+const requireAdmin = requireRole('admin');
 
 /**
  * GET /api/admin/global-prompt
@@ -96,7 +87,7 @@ router.put('/', requireAuth, requireAdmin, async (req, res) => {
 
     // Check if config exists
     const existingConfig = await client.query(
-      'SELECT id FROM global_prompt_config WHERE is_active = true LIMIT 1'
+      'SELECT id, base_prompt, rules, variables FROM global_prompt_config WHERE is_active = true LIMIT 1'
     );
 
     let result;
@@ -137,6 +128,25 @@ router.put('/', requireAuth, requireAdmin, async (req, res) => {
 
     await client.query('COMMIT');
 
+    const previous = existingConfig.rows[0];
+    await auditService.recordAdminChange(AuditService.requestContext(req), {
+      eventType: 'global_prompt_updated',
+      resourceType: 'global_prompt_config',
+      resourceId: result.rows[0].id,
+      before: previous
+        ? { basePrompt: previous.base_prompt, rules: previous.rules, variables: previous.variables }
+        : null,
+      after: { basePrompt, rules, variables }
+    });
+
+    // Added and edited rules are checked against the rest; the save stands either way
+    let conflicts = null;
+    try {
+      conflicts = await conflictService.syncConfigConflicts(previous ? previous.rules : [], result.rows[0].rules);
+    } catch (conflictError) {
+      console.error('Error checking global prompt rules for conflicts:', conflictError);
+    }
+
     res.json({
       success: true,
       message: 'Global prompt configuration updated successfully',
@@ -145,7 +155,8 @@ router.put('/', requireAuth, requireAdmin, async (req, res) => {
         rules: result.rows[0].rules,
         variables: result.rows[0].variables,
         version: result.rows[0].version,
-        lastUpdated: result.rows[0].updated_at
+        lastUpdated: result.rows[0].updated_at,
+        conflicts
       }
     });
   } catch (error) {
@@ -161,6 +172,112 @@ router.put('/', requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/global-prompts/conflicts
+ * List conflicts between writing rules (?status=open|resolved|all, default open)
+ */
+router.get('/conflicts', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const status = ['open', 'resolved', 'all'].includes(req.query.status) ? req.query.status : 'open';
+    const conflicts = await conflictService.listConflicts({ status });
+
+    res.json({
+      success: true,
+      data: conflicts
+    });
+  } catch (error) {
+    console.error('Error fetching rule conflicts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch rule conflicts',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/global-prompts/conflicts/check
+ * Check a rule being added or edited against the other enabled rules (nothing is stored)
+ * Body: { rule, rules } where rules defaults to the saved configuration
+ */
+router.post('/conflicts/check', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { rule, rules } = req.body;
+    const result = await conflictService.checkConfigRule(rule, Array.isArray(rules) ? rules : null);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error checking rule for conflicts:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to check rule for conflicts',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/global-prompts/conflicts/scan
+ * Re-check every enabled rule of the saved configuration
+ */
+router.post('/conflicts/scan', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const config = await promptCompiler.getActiveConfig();
+    const result = await conflictService.syncConfigConflicts([], config.rules || []);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error scanning rules for conflicts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to scan rules for conflicts',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/global-prompts/conflicts/:id/resolve
+ * Resolve a conflict and apply it to the rules
+ * Body: { resolution, winnerKey | disableKey | keepKey + mergedText | scopes, note }
+ */
+router.post('/conflicts/:id/resolve', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const result = await conflictService.resolveConflict(parseInt(req.params.id), req.body, req.user.id);
+
+    await auditService.recordAdminChange(AuditService.requestContext(req), {
+      eventType: 'global_prompt_conflict_resolved',
+      resourceType: 'rule_conflicts',
+      resourceId: result.conflict.id,
+      before: { rules: result.before },
+      after: { rules: result.rules, resolution: req.body.resolution, resolutionData: result.conflict.resolutionData }
+    });
+
+    res.json({
+      success: true,
+      message: 'Conflict resolved',
+      data: {
+        conflict: result.conflict,
+        rules: result.rules,
+        conflicts: result.followUp
+      }
+    });
+  } catch (error) {
+    console.error('Error resolving rule conflict:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to resolve rule conflict',
+      error: error.message
+    });
+  }
+});
+
 /**
  * POST /api/admin/global-prompt/preview
  * Preview the compiled prompt with sample context
@@ -172,10 +289,10 @@ router.post('/preview', requireAuth, requireAdmin, async (req, res) => {
     // Use provided config or fetch current
     const configToUse = config || await promptCompiler.getActiveConfig();
 
-    // Compile the prompt with context
+    // Compile the prompt with context (scoped rules are all listed, with where they apply)
     const compiledPrompt = await promptCompiler.compileGlobalPrompt(
       configToUse,
-      context || {}
+      { showScopes: !context, ...(context || {}) }
     );
 
     // Also test with sample data if no context provided
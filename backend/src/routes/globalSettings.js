@@ -5,12 +5,28 @@
 
 const express = require('express');
 const GlobalSettingsService = require('../services/GlobalSettingsService');
+const LLMService = require('../services/LLMService');
+const EmbeddingPipelineService = require('../services/EmbeddingPipelineService');
+const RetrievalService = require('../services/RetrievalService');
+const AuditService = require('../services/AuditService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { sanitizeInput } = require('../middleware/validation');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 const globalSettingsService = new GlobalSettingsService();
+const llmService = new LLMService();
+const auditService = new AuditService();
+const { requestContext } = AuditService;
+
+// Lazy initialization of embedding pipeline (re-embeds when the embedding model changes)
+let embeddingPipeline;
+function getEmbeddingPipeline() {
+  if (!embeddingPipeline) {
+    embeddingPipeline = new EmbeddingPipelineService();
+  }
+  return embeddingPipeline;
+}
 
 /**
  * @route GET /api/global-settings
@@ -54,7 +70,7 @@ router.get('/:key', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/global-settings/:key/value
  * @desc Get a setting's parsed value
- * @access Public (for public settings)
+ * @access Private
  */
 router.get('/:key/value', asyncHandler(async (req, res) => {
   const { key } = req.params;
@@ -96,6 +112,7 @@ router.put('/:key', sanitizeInput, asyncHandler(async (req, res) => {
     });
   }
 
+  const before = await globalSettingsService.getSetting(key);
   const setting = await globalSettingsService.setSetting(
     key,
     value,
@@ -105,6 +122,14 @@ router.put('/:key', sanitizeInput, asyncHandler(async (req, res) => {
     is_public
   );
 
+  await auditService.recordAdminChange(requestContext(req), {
+    eventType: 'global_setting_updated',
+    resourceType: 'global_setting',
+    resourceId: key,
+    before: before || null,
+    after: setting
+  });
+
   res.json({
     success: true,
     data: setting,
@@ -136,6 +161,13 @@ router.post('/', sanitizeInput, asyncHandler(async (req, res) => {
     is_public || false
   );
 
+  await auditService.recordAdminChange(requestContext(req), {
+    eventType: 'global_setting_created',
+    resourceType: 'global_setting',
+    resourceId: key,
+    after: setting
+  });
+
   res.status(201).json({
     success: true,
     data: setting,
@@ -153,6 +185,13 @@ router.delete('/:key', asyncHandler(async (req, res) => {
 
   const setting = await globalSettingsService.deleteSetting(key);
 
+  await auditService.recordAdminChange(requestContext(req), {
+    eventType: 'global_setting_deleted',
+    resourceType: 'global_setting',
+    resourceId: key,
+    before: setting
+  });
+
   res.json({
     success: true,
     data: setting,
@@ -163,7 +202,7 @@ router.delete('/:key', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/global-settings/persona/default
  * @desc Get default persona ID
- * @access Public
+ * @access Private
  */
 router.get('/persona/default', asyncHandler(async (req, res) => {
   const defaultPersonaId = await globalSettingsService.getDefaultPersonaId();
@@ -226,7 +265,12 @@ router.get('/config/context', asyncHandler(async (req, res) => {
     buildDelaySeconds: parseInt(contextSettings['context.build_delay_seconds'] || '10'),
     warningThreshold: parseInt(contextSettings['context.warning_threshold_percent'] || '85'),
     fallbackBehavior: contextSettings['context.fallback_behavior'] || 'partial',
-    sectionKeywords: JSON.parse(contextSettings['context.section_keywords'] || '{"executive_summary": ["executive", "summary"], "technical": ["technical", "technology", "solution"], "management": ["management", "project", "timeline"], "requirements": ["requirement", "specification"], "experience": ["experience", "performance", "past"]}')
+    sectionKeywords: JSON.parse(contextSettings['context.section_keywords'] || '{"executive_summary": ["executive", "summary"], "technical": ["technical", "technology", "solution"], "management": ["management", "project", "timeline"], "requirements": ["requirement", "specification"], "experience": ["experience", "performance", "past"]}'),
+    retrievalTopK: parseInt(contextSettings['context.retrieval_top_k'] || '8'),
+    retrievalTokenBudget: parseInt(contextSettings['context.retrieval_token_budget'] || '4000'),
+    reranker: contextSettings['context.reranker'] || 'none',
+    chunkMaxTokens: parseInt(contextSettings['context.chunk_max_tokens'] || '400'),
+    chunkOverlapTokens: parseInt(contextSettings['context.chunk_overlap_tokens'] || '50')
   };
 
   res.json({
@@ -251,6 +295,13 @@ router.put('/config/context', sanitizeInput, asyncHandler(async (req, res) => {
     });
   }
 
+  if (config.reranker !== undefined && !RetrievalService.RERANKERS.includes(config.reranker)) {
+    return res.status(400).json({
+      success: false,
+      message: `Reranker must be one of: ${RetrievalService.RERANKERS.join(', ')}`
+    });
+  }
+
   try {
     // Update individual settings
     const updates = [];
@@ -299,6 +350,26 @@ router.put('/config/context', sanitizeInput, asyncHandler(async (req, res) => {
       updates.push(globalSettingsService.setSetting('context.section_keywords', JSON.stringify(config.sectionKeywords), 'json', null, 'context'));
     }
 
+    if (config.retrievalTopK !== undefined) {
+      updates.push(globalSettingsService.setSetting('context.retrieval_top_k', config.retrievalTopK.toString(), 'integer', null, 'context'));
+    }
+
+    if (config.retrievalTokenBudget !== undefined) {
+      updates.push(globalSettingsService.setSetting('context.retrieval_token_budget', config.retrievalTokenBudget.toString(), 'integer', null, 'context'));
+    }
+
+    if (config.reranker) {
+      updates.push(globalSettingsService.setSetting('context.reranker', config.reranker, 'string', null, 'context'));
+    }
+
+    if (config.chunkMaxTokens !== undefined) {
+      updates.push(globalSettingsService.setSetting('context.chunk_max_tokens', config.chunkMaxTokens.toString(), 'integer', null, 'context'));
+    }
+
+    if (config.chunkOverlapTokens !== undefined) {
+      updates.push(globalSettingsService.setSetting('context.chunk_overlap_tokens', config.chunkOverlapTokens.toString(), 'integer', null, 'context'));
+    }
+
     // Execute all updates
     await Promise.all(updates);
 
@@ -336,7 +407,12 @@ router.post('/config/context/reset', asyncHandler(async (req, res) => {
       { key: 'context.build_delay_seconds', value: '10', type: 'integer' },
       { key: 'context.warning_threshold_percent', value: '85', type: 'integer' },
       { key: 'context.fallback_behavior', value: 'partial', type: 'string' },
-      { key: 'context.section_keywords', value: '{"executive_summary": ["executive", "summary"], "technical": ["technical", "technology", "solution"], "management": ["management", "project", "timeline"], "requirements": ["requirement", "specification"], "experience": ["experience", "performance", "past"]}', type: 'json' }
+      { key: 'context.section_keywords', value: '{"executive_summary": ["executive", "summary"], "technical": ["technical", "technology", "solution"], "management": ["management", "project", "timeline"], "requirements": ["requirement", "specification"], "experience": ["experience", "performance", "past"]}', type: 'json' },
+      { key: 'context.retrieval_top_k', value: '8', type: 'integer' },
+      { key: 'context.retrieval_token_budget', value: '4000', type: 'integer' },
+      { key: 'context.reranker', value: 'none', type: 'string' },
+      { key: 'context.chunk_max_tokens', value: '400', type: 'integer' },
+      { key: 'context.chunk_overlap_tokens', value: '50', type: 'integer' }
     ];
 
     const updates = defaultSettings.map(setting =>
@@ -361,4 +437,56 @@ router.post('/config/context/reset', asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * @route GET /api/global-settings/config/llm-routing
+ * @desc Get the provider and model used for each LLM task
+ * @access Admin
+ */
+router.get('/config/llm-routing', asyncHandler(async (req, res) => {
+  const routing = await llmService.getRouting();
+
+  res.json({
+    success: true,
+    data: {
+      routing,
+      defaults: LLMService.getDefaultRouting(),
+      tasks: LLMService.TASKS,
+      providers: llmService.getProviderNames()
+    }
+  });
+}));
+
+/**
+ * @route PUT /api/global-settings/config/llm-routing
+ * @desc Set the provider and/or model for one or more tasks ({ writing: { provider, model } }; null resets a task).
+ *       Changing the embedding model starts re-embedding of stored vectors.
+ * @access Admin
+ */
+router.put('/config/llm-routing', sanitizeInput, asyncHandler(async (req, res) => {
+  try {
+    const previous = await llmService.getRouting();
+    const routing = await llmService.setRouting(req.body);
+
+    let reembed = null;
+    if (previous.embedding.model !== routing.embedding.model || previous.embedding.provider !== routing.embedding.provider) {
+      reembed = await getEmbeddingPipeline().ensureCurrent('model_change');
+    }
+
+    res.json({
+      success: true,
+      data: routing,
+      reembed,
+      message: 'LLM routing updated successfully'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
+  }
+}));
+
 module.exports = router;
\ No newline at end of file
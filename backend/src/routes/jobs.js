@@ -0,0 +1,156 @@
+/**
+ * Background Job API Routes
+ * List, inspect, cancel and retry queued jobs (context builds, text extraction, embedding backfills)
+ * Live progress is pushed over the WebSocket feed (see websocket/jobSocket.js)
+ */
+
+const express = require('express');
+const JobQueueService = require('../services/JobQueueService');
+const Job = require('../models/Job');
+const { asyncHandler } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Lazy initialization of job queue service
+let jobQueue;
+function getJobQueue() {
+  if (!jobQueue) {
+    jobQueue = new JobQueueService();
+  }
+  return jobQueue;
+}
+
+function parseJobId(req, res) {
+  const id = parseInt(req.params.id);
+  if (!id) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid job id'
+    });
+    return null;
+  }
+  return id;
+}
+
+/**
+ * @route GET /api/jobs
+ * @desc List jobs, newest first (filters: status, type, projectName; paging: limit, offset)
+ * @access Admin
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const { status, type, projectName, limit, offset } = req.query;
+
+  if (status && !Job.JOB_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid status. Must be one of: ${Job.JOB_STATUSES.join(', ')}`
+    });
+  }
+
+  const result = await getJobQueue().listJobs({ status, type, projectName }, { limit, offset });
+
+  res.json({
+    success: true,
+    data: result.jobs,
+    total: result.total
+  });
+}));
+
+/**
+ * @route GET /api/jobs/stats
+ * @desc Job counts by status and type, and this server's worker state
+ * @access Admin
+ */
+router.get('/stats', asyncHandler(async (req, res) => {
+  const stats = await getJobQueue().getStats();
+
+  res.json({
+    success: true,
+    data: stats
+  });
+}));
+
+/**
+ * @route GET /api/jobs/:id
+ * @desc Get one job with its progress, result and last error
+ * @access Admin
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const id = parseJobId(req, res);
+  if (!id) return;
+
+  const job = await getJobQueue().getJob(id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: job
+  });
+}));
+
+/**
+ * @route POST /api/jobs/:id/cancel
+ * @desc Cancel a queued job, or ask a running job to stop
+ * @access Admin
+ */
+router.post('/:id/cancel', asyncHandler(async (req, res) => {
+  const id = parseJobId(req, res);
+  if (!id) return;
+
+  const job = await getJobQueue().cancel(id);
+  if (!job) {
+    return res.status(409).json({
+      success: false,
+      message: 'Job not found or already finished'
+    });
+  }
+
+  logger.info(`Job ${id} cancel requested via API`);
+  res.json({
+    success: true,
+    data: job,
+    message: job.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested; the job stops at its next checkpoint'
+  });
+}));
+
+/**
+ * @route POST /api/jobs/:id/retry
+ * @desc Queue a failed or cancelled job again (past performance imports cannot be retried)
+ * @access Admin
+ */
+router.post('/:id/retry', asyncHandler(async (req, res) => {
+  const id = parseJobId(req, res);
+  if (!id) return;
+
+  // An import removes its staged upload when it ends, and rows without a contract number
+  // could not be told apart from records a failed attempt already created
+  const existing = await getJobQueue().getJob(id);
+  if (existing && existing.type === JobQueueService.JOB_TYPES.PP_IMPORT) {
+    return res.status(409).json({
+      success: false,
+      message: 'Past performance imports cannot be retried; upload the file again to import it'
+    });
+  }
+
+  const job = await getJobQueue().retry(id);
+  if (!job) {
+    return res.status(409).json({
+      success: false,
+      message: 'Only failed or cancelled jobs can be retried (and not while the same work is already queued)'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: job,
+    message: 'Job queued for retry'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,327 @@
+/**
+ * Milestone API Routes
+ * Proposal calendars: project milestones from templates, health, iCalendar downloads and
+ * subscription feeds, and deadline alerts
+ */
+
+const express = require('express');
+const MilestoneService = require('../services/MilestoneService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { sanitizeInput } = require('../middleware/validation');
+const { authenticate, requireRole, projectIdParam, projectRecordParam, requireProjectPermission } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Lazy initialization of milestone service
+let milestoneService;
+function getMilestoneService() {
+  if (!milestoneService) {
+    milestoneService = new MilestoneService();
+  }
+  return milestoneService;
+}
+
+/**
+ * @route GET /api/milestones/feed/:token.ics
+ * @desc iCalendar subscription feed of the token owner's project milestones
+ * @access Public (the token is the credential; calendar apps cannot sign in)
+ */
+router.get('/feed/:token.ics', asyncHandler(async (req, res) => {
+  const calendar = await getMilestoneService().feedCalendar(req.params.token);
+
+  if (!calendar) {
+    return res.status(404).json({
+      success: false,
+      message: 'Calendar feed not found'
+    });
+  }
+
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Cache-Control', 'private, max-age=300');
+  res.send(calendar);
+}));
+
+// Everything below requires a session
+router.use(authenticate);
+
+// Project data is restricted to the project team
+router.param('projectId', projectIdParam);
+router.param('milestoneId', projectRecordParam(milestoneId => getMilestoneService().getProjectName(milestoneId)));
+
+// Planning the schedule is for those who approve; writers mark their milestones done
+const canManage = requireProjectPermission('approve');
+const canEdit = requireProjectPermission('edit_sections');
+
+/**
+ * Respond with a service error that carries a statusCode, otherwise rethrow
+ */
+function handleServiceError(error, res) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.message === 'Project not found') {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+  throw error;
+}
+
+function invalidId(res, label) {
+  return res.status(400).json({
+    success: false,
+    message: `Valid ${label} ID is required`
+  });
+}
+
+function milestoneNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Milestone not found'
+  });
+}
+
+function feedUrl(req, token) {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}/feed/${token}.ics`;
+}
+
+/**
+ * @route GET /api/milestones/feed
+ * @desc Your calendar subscription URL (milestones on every project you are on)
+ * @access Private
+ */
+router.get('/feed', asyncHandler(async (req, res) => {
+  const token = await getMilestoneService().getFeedToken(req.user.id);
+
+  res.json({
+    success: true,
+    data: { url: feedUrl(req, token) }
+  });
+}));
+
+/**
+ * @route POST /api/milestones/feed/reset
+ * @desc Replace your subscription URL (the old one stops working)
+ * @access Private
+ */
+router.post('/feed/reset', asyncHandler(async (req, res) => {
+  const token = await getMilestoneService().getFeedToken(req.user.id, { reset: true });
+  logger.info(`Calendar feed URL reset for user ${req.user.id}`);
+
+  res.json({
+    success: true,
+    data: { url: feedUrl(req, token) }
+  });
+}));
+
+/**
+ * @route POST /api/milestones/check-deadlines
+ * @desc Run the deadline alert check now (it also runs hourly in the background)
+ * @access Private (Admin)
+ */
+router.post('/check-deadlines', requireRole('admin'), asyncHandler(async (req, res) => {
+  const outcome = await getMilestoneService().checkDeadlines();
+
+  res.json({
+    success: true,
+    data: outcome
+  });
+}));
+
+/**
+ * @route GET /api/milestones/projects/:projectId
+ * @desc List a project's milestones with health (overdue, at risk, on track) and a summary
+ * @access Private
+ */
+router.get('/projects/:projectId', asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.projectId);
+
+  if (isNaN(projectId)) {
+    return invalidId(res, 'project');
+  }
+
+  try {
+    const result = await getMilestoneService().listMilestones(projectId);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route POST /api/milestones/projects/:projectId
+ * @desc Add a custom milestone (title, dueDate; optional description, ownerId, reviewId)
+ * @access Private
+ */
+router.post('/projects/:projectId', sanitizeInput, canManage, asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.projectId);
+  const { title, description, dueDate, ownerId, reviewId } = req.body;
+
+  if (isNaN(projectId)) {
+    return invalidId(res, 'project');
+  }
+
+  try {
+    const milestone = await getMilestoneService().createMilestone(projectId, {
+      title,
+      description,
+      dueDate,
+      ownerId,
+      reviewId
+    }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: milestone
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route POST /api/milestones/projects/:projectId/apply-template
+ * @desc Schedule a project template's milestones from the project's start and due dates
+ *       (templateKey from /api/projects/templates; defaults to the project's type)
+ * @access Private
+ */
+router.post('/projects/:projectId/apply-template', sanitizeInput, canManage, asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.projectId);
+  const { templateKey } = req.body;
+
+  if (isNaN(projectId)) {
+    return invalidId(res, 'project');
+  }
+
+  try {
+    const result = await getMilestoneService().applyTemplate(projectId, templateKey || null, req.user.id);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route GET /api/milestones/projects/:projectId/calendar.ics
+ * @desc Download a project's milestones as iCalendar
+ * @access Private
+ */
+router.get('/projects/:projectId/calendar.ics', asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.projectId);
+
+  if (isNaN(projectId)) {
+    return invalidId(res, 'project');
+  }
+
+  try {
+    const calendar = await getMilestoneService().projectCalendar(projectId);
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${calendar.filename}"`);
+    res.send(calendar.body);
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route PUT /api/milestones/:milestoneId
+ * @desc Edit a milestone (title, description, dueDate, status, ownerId, reviewId)
+ * @access Private
+ */
+router.put('/:milestoneId', sanitizeInput, canManage, asyncHandler(async (req, res) => {
+  const milestoneId = parseInt(req.params.milestoneId);
+  const { title, description, dueDate, status, ownerId, reviewId } = req.body;
+
+  if (isNaN(milestoneId)) {
+    return invalidId(res, 'milestone');
+  }
+
+  try {
+    const milestone = await getMilestoneService().updateMilestone(milestoneId, {
+      title,
+      description,
+      dueDate,
+      status,
+      ownerId,
+      reviewId
+    }, req.user.id);
+
+    if (!milestone) {
+      return milestoneNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: milestone
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route POST /api/milestones/:milestoneId/status
+ * @desc Mark a milestone complete, skipped or pending again
+ * @access Private
+ */
+router.post('/:milestoneId/status', canEdit, asyncHandler(async (req, res) => {
+  const milestoneId = parseInt(req.params.milestoneId);
+  const { status } = req.body;
+
+  if (isNaN(milestoneId)) {
+    return invalidId(res, 'milestone');
+  }
+
+  try {
+    const milestone = await getMilestoneService().updateMilestone(milestoneId, { status: status || null }, req.user.id);
+    if (!milestone) {
+      return milestoneNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: milestone
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route DELETE /api/milestones/:milestoneId
+ * @desc Delete a milestone
+ * @access Private
+ */
+router.delete('/:milestoneId', canManage, asyncHandler(async (req, res) => {
+  const milestoneId = parseInt(req.params.milestoneId);
+
+  if (isNaN(milestoneId)) {
+    return invalidId(res, 'milestone');
+  }
+
+  const deleted = await getMilestoneService().deleteMilestone(milestoneId);
+  if (!deleted) {
+    return milestoneNotFound(res);
+  }
+
+  res.json({
+    success: true,
+    message: 'Milestone deleted'
+  });
+}));
+
+module.exports = router;
@@ -7,11 +7,18 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const PastPerformanceService = require('../services/PastPerformanceService');
+const PPImportService = require('../services/PPImportService');
+const JobQueueService = require('../services/JobQueueService');
 const { validatePastPerformance, validateSearch } = require('../middleware/validation');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { requireProjectAccess, isAdmin } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 const router = express.Router();
+
+// Project named in the query string or body must be one of the user's projects
+router.use(requireProjectAccess());
+
 const pastPerformanceService = new PastPerformanceService();
 
 // Configure multer for file uploads
@@ -46,6 +53,48 @@ const upload = multer({
   }
 });
 
+// Supporting documents (CPARS, questionnaires, narratives); PPProcessingService checks type and size
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 25 * 1024 * 1024 // 25MB limit
+  }
+});
+
+// Bulk import spreadsheets (browsers report CSV under several MIME types, so check the extension)
+const importUpload = multer({
+  storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (PPImportService.isSupportedFile(file.originalname)) {
+      cb(null, true);
+    } else {
+      const error = new Error('Invalid file type. Only CSV and XLSX files can be imported.');
+      error.statusCode = 400;
+      cb(error);
+    }
+  }
+});
+
+// Lazy initialization of import service and job queue
+let importService;
+function getImportService() {
+  if (!importService) {
+    importService = new PPImportService({ pastPerformanceService });
+  }
+  return importService;
+}
+
+let jobQueue;
+function getJobQueue() {
+  if (!jobQueue) {
+    jobQueue = new JobQueueService();
+  }
+  return jobQueue;
+}
+
 /**
  * @route POST /api/past-performance
  * @desc Create new past performance record
@@ -157,51 +206,176 @@ router.get('/', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * Respond with a search error that carries a statusCode, otherwise rethrow
+ */
+function handleServiceError(error, res) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  throw error;
+}
+
+/**
+ * Search filters from a request body or query string
+ */
+function parseSearchFilters(source = {}) {
+  return {
+    customer: source.customer,
+    customerType: source.customerType,
+    contractType: source.contractType,
+    workType: source.workType,
+    minValue: source.minValue ? parseFloat(source.minValue) : undefined,
+    maxValue: source.maxValue ? parseFloat(source.maxValue) : undefined,
+    minRating: source.minRating ? parseFloat(source.minRating) : undefined
+  };
+}
+
 /**
  * @route GET /api/past-performance/search
- * @desc Advanced search with semantic capabilities
+ * @desc Free-text search ranked by the query and the weighted criteria it names
  * @access Private
  */
-router.get('/search', asyncHandler(async (req, res) => {
+router.get('/search', validateSearch, asyncHandler(async (req, res) => {
   const searchParams = {
     query: req.query.q,
-    filters: {
-      customer: req.query.customer,
-      customerType: req.query.customerType,
-      contractType: req.query.contractType,
-      workType: req.query.workType,
-      minValue: req.query.minValue ? parseFloat(req.query.minValue) : undefined,
-      maxValue: req.query.maxValue ? parseFloat(req.query.maxValue) : undefined
-    },
-    requiredTechnologies: req.query.technologies ? req.query.technologies.split(',') : [],
-    domainAreas: req.query.domains ? req.query.domains.split(',') : [],
+    filters: parseSearchFilters(req.query),
     pagination: {
       limit: parseInt(req.query.limit) || 10,
       offset: parseInt(req.query.offset) || 0
     },
-    searchType: req.query.searchType || 'hybrid',
     weights: {
-      technology: parseFloat(req.query.techWeight) || 0.4,
-      domain: parseFloat(req.query.domainWeight) || 0.3,
-      customer: parseFloat(req.query.customerWeight) || 0.2,
-      semantic: parseFloat(req.query.semanticWeight) || 0.1
+      technology: req.query.techWeight,
+      domain: req.query.domainWeight,
+      contractSize: req.query.contractSizeWeight,
+      customerType: req.query.customerWeight,
+      recency: req.query.recencyWeight,
+      rating: req.query.ratingWeight
     }
   };
 
-  const result = await pastPerformanceService.searchPastPerformance(searchParams);
+  try {
+    const result = await pastPerformanceService.searchPastPerformance(searchParams);
 
-  logger.info(`Past performance search executed`, {
-    query: searchParams.query,
-    resultsCount: result.results.length,
-    searchType: searchParams.searchType,
-    userId: req.user?.id
-  });
+    logger.info(`Past performance search executed`, {
+      query: searchParams.query,
+      resultsCount: result.results.length,
+      userId: req.user?.id
+    });
+
+    res.json({
+      success: true,
+      data: result.results,
+      metadata: result.searchMetadata
+    });
+  } catch (error) {
+    return handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route POST /api/past-performance/search/project-context
+ * @desc Rank past performance against a project's solicitation, with why each record matched
+ * @access Private
+ */
+router.post('/search/project-context', asyncHandler(async (req, res) => {
+  const { projectName, documentType, weights, includeSubcontractor, filters, limit, showMoreCount } = req.body;
+
+  try {
+    const result = await pastPerformanceService.searchService.projectContextSearch({
+      projectName,
+      documentType,
+      userId: req.user?.id || null,
+      weights: weights || {},
+      includeSubcontractor: includeSubcontractor === true,
+      filters: parseSearchFilters(filters),
+      limit: Math.min(parseInt(limit) || 3, 50),
+      showMoreCount: Math.min(parseInt(showMoreCount) || 0, 50)
+    });
+
+    logger.info(`Project-context past performance search executed`, {
+      projectName,
+      resultsCount: result.results.length,
+      userId: req.user?.id
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    return handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route POST /api/past-performance/search/free-text
+ * @desc Free-text search with per-request weight overrides
+ * @access Private
+ */
+router.post('/search/free-text', asyncHandler(async (req, res) => {
+  const { query, weights, filters, limit, offset } = req.body;
+
+  try {
+    const result = await pastPerformanceService.searchService.freeTextSearch({
+      query,
+      userId: req.user?.id || null,
+      weights: weights || {},
+      filters: parseSearchFilters(filters),
+      limit: Math.min(parseInt(limit) || 10, 100),
+      offset: parseInt(offset) || 0
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    return handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route POST /api/past-performance/search/research
+ * @desc Research search outside any project: top matches as short summaries
+ * @access Private
+ */
+router.post('/search/research', asyncHandler(async (req, res) => {
+  const { query, weights, filters, limit, returnSummaryOnly } = req.body;
+
+  try {
+    const result = await pastPerformanceService.searchService.researchSearch({
+      query,
+      userId: req.user?.id || null,
+      weights: weights || {},
+      filters: parseSearchFilters(filters),
+      limit: Math.min(parseInt(limit) || 5, 25),
+      returnSummaryOnly: returnSummaryOnly !== false
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    return handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route GET /api/past-performance/search/weights
+ * @desc Default search weights for the current user (saved default or system default)
+ * @access Private
+ */
+router.get('/search/weights', asyncHandler(async (req, res) => {
+  const config = await pastPerformanceService.searchService.getSearchConfiguration(req.user?.id || null);
 
   res.json({
     success: true,
-    data: result.results,
-    grouped: result.groupedResults,
-    metadata: result.searchMetadata
+    data: config
   });
 }));
 
@@ -321,6 +495,48 @@ router.get('/:id/similar', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @route POST /api/past-performance/:id/documents
+ * @desc Attach documents to a record; text extraction, CPARS / questionnaire rating extraction
+ *       and technology extraction run as background jobs
+ * @access Private
+ */
+router.post('/:id/documents', documentUpload.array('documents', 10), asyncHandler(async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No document files provided'
+    });
+  }
+
+  const pastPerformance = await pastPerformanceService.getPastPerformance(req.params.id);
+  if (!pastPerformance) {
+    return res.status(404).json({
+      success: false,
+      message: 'Past performance record not found'
+    });
+  }
+
+  const result = await pastPerformanceService.processingService.processUploadedDocuments(
+    pastPerformance.id,
+    req.files,
+    { userId: req.user?.id }
+  );
+
+  if (result.validationFailed) {
+    return res.status(400).json({
+      success: false,
+      message: 'One or more documents cannot be processed',
+      errors: result.errors
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    data: result
+  });
+}));
+
 /**
  * @route POST /api/past-performance/:id/feedback
  * @desc Submit feedback for past performance search result
@@ -384,34 +600,118 @@ router.get('/analytics/technologies', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @route GET /api/past-performance/bulk-import/fields
+ * @desc Record fields an import column can be mapped to
+ * @access Private
+ */
+router.get('/bulk-import/fields', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: getImportService().getFields()
+  });
+}));
+
 /**
  * @route POST /api/past-performance/bulk-import
- * @desc Bulk import past performance records
+ * @desc Import past performance records from a CSV or XLSX file (csvFile). Multipart fields:
+ *       mapping (JSON object of column header to field; the suggested mapping when omitted) and
+ *       dryRun ("true" validates and reports row errors and duplicates without importing).
+ *       Imports run as a pp_import job; duplicates (same contract number and customer) are skipped.
  * @access Private
  */
-router.post('/bulk-import', upload.single('csvFile'), asyncHandler(async (req, res) => {
+router.post('/bulk-import', importUpload.single('csvFile'), asyncHandler(async (req, res) => {
   if (!req.file) {
     return res.status(400).json({
       success: false,
-      message: 'No CSV file provided'
+      message: 'No CSV or XLSX file provided'
     });
   }
 
-  // This would implement CSV parsing and bulk import
-  // For now, return placeholder response
+  const importService = getImportService();
+  let mapping = req.body.mapping || null;
+  if (typeof mapping === 'string') {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch (error) {
+      await importService.discardUpload(req.file.path);
+      return res.status(400).json({
+        success: false,
+        message: 'mapping must be a JSON object of column header to field'
+      });
+    }
+  }
 
-  logger.info(`Bulk import initiated: ${req.file.originalname}`, {
-    fileSize: req.file.size,
-    userId: req.user?.id
-  });
+  if (req.body.dryRun === 'true' || req.body.dryRun === true) {
+    try {
+      const report = await importService.dryRun(req.file.path, req.file.originalname, mapping);
+
+      return res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      return handleServiceError(error, res);
+    } finally {
+      await importService.discardUpload(req.file.path);
+    }
+  }
+
+  try {
+    const { job, report } = await importService.startImport(req.file.path, req.file.originalname, mapping, req.user.id);
+
+    logger.info(`Bulk import queued: ${req.file.originalname}`, {
+      jobId: job.id,
+      rows: report.totalRows,
+      userId: req.user.id
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Importing ${report.validRows} of ${report.totalRows} rows`,
+      data: {
+        importId: job.id,
+        jobId: job.id,
+        status: job.status,
+        filename: req.file.originalname,
+        report
+      }
+    });
+  } catch (error) {
+    await importService.discardUpload(req.file.path);
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route GET /api/past-performance/bulk-import/:importId
+ * @desc Import progress and, once finished, counts of imported, duplicate, invalid and failed rows
+ * @access Private (whoever started the import, or an admin)
+ */
+router.get('/bulk-import/:importId', asyncHandler(async (req, res) => {
+  const importId = parseInt(req.params.importId);
+  const job = importId ? await getJobQueue().getJob(importId) : null;
+
+  if (!job || job.type !== JobQueueService.JOB_TYPES.PP_IMPORT ||
+      (job.createdBy !== req.user.id && !isAdmin(req.user))) {
+    return res.status(404).json({
+      success: false,
+      message: 'Import not found'
+    });
+  }
 
   res.json({
     success: true,
-    message: 'Bulk import initiated. Processing will begin shortly.',
     data: {
-      importId: Date.now().toString(),
-      filename: req.file.originalname,
-      status: 'processing'
+      importId: job.id,
+      status: job.status,
+      progress: job.progress,
+      progressMessage: job.progressMessage,
+      filename: job.payload.originalName,
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt
     }
   });
 }));
@@ -0,0 +1,195 @@
+/**
+ * Permission API Routes
+ * Project role matrix, the signed-in user's effective permissions, "why can't I?" explanations
+ * and document visibility (restricted documents such as pricing volumes)
+ */
+
+const express = require('express');
+const PermissionService = require('../services/PermissionService');
+const AuditService = require('../services/AuditService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { sanitizeInput } = require('../middleware/validation');
+const { requireProjectPermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Lazy initialization of permission service
+let permissionService;
+function getPermissionService() {
+  if (!permissionService) {
+    permissionService = new PermissionService();
+  }
+  return permissionService;
+}
+
+// Lazy initialization of audit service
+let auditService;
+function getAuditService() {
+  if (!auditService) {
+    auditService = new AuditService();
+  }
+  return auditService;
+}
+
+/**
+ * Respond with a service error that carries a statusCode, otherwise rethrow
+ */
+function handleServiceError(error, res) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  throw error;
+}
+
+/**
+ * Project or document named in the query string
+ */
+function parseTarget(query) {
+  return {
+    projectName: query.projectName || null,
+    projectId: parseInt(query.projectId) || null,
+    documentId: parseInt(query.documentId) || null
+  };
+}
+
+function documentParam(req, res, next, value) {
+  const documentId = parseInt(value);
+  if (isNaN(documentId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid document ID is required'
+    });
+  }
+  req.documentId = documentId;
+  next();
+}
+
+router.param('documentId', documentParam);
+
+/**
+ * @route GET /api/permissions/roles
+ * @desc Project roles and the actions each may take
+ * @access Private
+ */
+router.get('/roles', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: getPermissionService().getRoleMatrix()
+  });
+}));
+
+/**
+ * @route GET /api/permissions/me
+ * @desc The signed-in user's project role and which actions they may take (projectName or projectId)
+ * @access Private
+ */
+router.get('/me', asyncHandler(async (req, res) => {
+  const { projectName, projectId } = parseTarget(req.query);
+
+  const permissions = await getPermissionService().getEffectivePermissions(req.user, { projectName, projectId });
+
+  res.json({
+    success: true,
+    data: {
+      userId: req.user.id,
+      role: req.user.role,
+      ...permissions
+    }
+  });
+}));
+
+/**
+ * @route GET /api/permissions/explain
+ * @desc Why the signed-in user can or cannot take an action (action, and projectName, projectId or documentId)
+ * @access Private
+ */
+router.get('/explain', asyncHandler(async (req, res) => {
+  const { action } = req.query;
+
+  if (!action) {
+    return res.status(400).json({
+      success: false,
+      message: `action is required. Must be one of: ${Object.keys(PermissionService.PROJECT_ACTIONS).join(', ')}`
+    });
+  }
+
+  try {
+    const decision = await getPermissionService().explain(req.user, action, parseTarget(req.query));
+
+    res.json({
+      success: true,
+      data: decision
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route GET /api/permissions/documents/:documentId
+ * @desc Get a document's visibility
+ * @access Private (project team)
+ */
+router.get('/documents/:documentId', requireProjectPermission('view'), asyncHandler(async (req, res) => {
+  try {
+    const access = await getPermissionService().getDocumentAccess(req.documentId);
+
+    res.json({
+      success: true,
+      data: access
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route PUT /api/permissions/documents/:documentId
+ * @desc Restrict a document to project roles and people, or open it to the project team
+ * @access Private (capture manager)
+ */
+router.put('/documents/:documentId', sanitizeInput, requireProjectPermission('manage_access'), asyncHandler(async (req, res) => {
+  const { visibility, allowedRoles, allowedUserIds, reason } = req.body;
+
+  if (allowedRoles !== undefined && !Array.isArray(allowedRoles)) {
+    return res.status(400).json({
+      success: false,
+      message: 'allowedRoles must be an array'
+    });
+  }
+  if (allowedUserIds !== undefined && !Array.isArray(allowedUserIds)) {
+    return res.status(400).json({
+      success: false,
+      message: 'allowedUserIds must be an array'
+    });
+  }
+
+  try {
+    const before = await getPermissionService().getDocumentAccess(req.documentId);
+    const access = await getPermissionService().setDocumentAccess(
+      req.documentId,
+      { visibility, allowedRoles, allowedUserIds, reason },
+      req.user.id
+    );
+
+    await getAuditService().recordDocumentAccess(
+      AuditService.requestContext(req),
+      await getPermissionService().documentModel.getById(req.documentId),
+      'access_changed',
+      { before, after: access }
+    );
+
+    res.json({
+      success: true,
+      data: access,
+      message: visibility === 'restricted' ? 'Document restricted' : 'Document visible to the project team'
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+module.exports = router;
@@ -5,12 +5,15 @@
 
 const express = require('express');
 const PersonasService = require('../services/PersonasService');
+const AuditService = require('../services/AuditService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { sanitizeInput } = require('../middleware/validation');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 const personasService = new PersonasService();
+const auditService = new AuditService();
+const { requestContext } = AuditService;
 
 /**
  * @route GET /api/personas
@@ -32,7 +35,7 @@ router.get('/', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/personas/dropdown
  * @desc Get simplified persona list for UI dropdown
- * @access Public (for AI writing interface)
+ * @access Private
  */
 router.get('/dropdown', asyncHandler(async (req, res) => {
   const personas = await personasService.getPersonasForDropdown();
@@ -46,7 +49,7 @@ router.get('/dropdown', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/personas/default
  * @desc Get the default persona
- * @access Public
+ * @access Private
  */
 router.get('/default', asyncHandler(async (req, res) => {
   const persona = await personasService.getDefaultPersona();
@@ -130,6 +133,13 @@ router.post('/', sanitizeInput, asyncHandler(async (req, res) => {
     isDefault
   });
 
+  await auditService.recordAdminChange(requestContext(req), {
+    eventType: 'persona_created',
+    resourceType: 'persona',
+    resourceId: persona.id,
+    after: persona
+  });
+
   res.status(201).json({
     success: true,
     data: persona,
@@ -146,8 +156,17 @@ router.put('/:id', sanitizeInput, asyncHandler(async (req, res) => {
   const { id } = req.params;
   const updateData = req.body;
 
+  const before = await personasService.getPersonaById(id);
   const persona = await personasService.updatePersona(id, updateData);
 
+  await auditService.recordAdminChange(requestContext(req), {
+    eventType: 'persona_updated',
+    resourceType: 'persona',
+    resourceId: id,
+    before: before || null,
+    after: persona
+  });
+
   res.json({
     success: true,
     data: persona,
@@ -165,6 +184,13 @@ router.delete('/:id', asyncHandler(async (req, res) => {
 
   const persona = await personasService.deletePersona(id);
 
+  await auditService.recordAdminChange(requestContext(req), {
+    eventType: 'persona_deleted',
+    resourceType: 'persona',
+    resourceId: id,
+    before: persona
+  });
+
   res.json({
     success: true,
     data: persona,
@@ -182,6 +208,13 @@ router.put('/:id/default', asyncHandler(async (req, res) => {
 
   const persona = await personasService.setDefaultPersona(id);
 
+  await auditService.recordAdminChange(requestContext(req), {
+    eventType: 'persona_default_changed',
+    resourceType: 'persona',
+    resourceId: id,
+    after: persona
+  });
+
   res.json({
     success: true,
     data: persona,
@@ -7,10 +7,17 @@ const express = require('express');
 const ProjectService = require('../services/ProjectService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { sanitizeInput } = require('../middleware/validation');
+const { projectIdParam, filterByProjectAccess, requireProjectPermission } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Project data is restricted to the project team
+router.param('id', projectIdParam);
+
+// Changing the project or its team is for whoever manages access (capture managers)
+const canManageAccess = requireProjectPermission('manage_access');
+
 // Lazy initialization of project service
 let projectService;
 function getProjectService() {
@@ -27,7 +34,7 @@ function getProjectService() {
 /**
  * @route GET /api/projects/roles
  * @desc Get available project roles
- * @access Public
+ * @access Private
  */
 router.get('/roles', asyncHandler(async (req, res) => {
   logger.info('Getting project roles');
@@ -44,57 +51,22 @@ router.get('/roles', asyncHandler(async (req, res) => {
 
 /**
  * @route GET /api/projects/templates
- * @desc Get project templates
- * @access Public
+ * @desc Get project templates (with their milestone schedules)
+ * @access Private
  */
 router.get('/templates', asyncHandler(async (req, res) => {
   logger.info('Getting project templates');
 
-  const templates = {
-    'rfp-response': {
-      name: 'RFP Response Project',
-      description: 'Standard template for responding to Request for Proposal',
-      projectType: 'rfp_response',
-      defaultRoles: ['proposal_lead', 'writer', 'solutions_architect', 'reviewer'],
-      defaultDocuments: ['Technical Approach', 'Management Plan', 'Cost Proposal', 'Past Performance'],
-      complianceFrameworks: ['FAR', 'NIST', 'SECTION508']
-    },
-    'past-performance': {
-      name: 'Past Performance Documentation',
-      description: 'Template for documenting past performance references',
-      projectType: 'past_performance',
-      defaultRoles: ['proposal_lead', 'writer', 'subject_matter_expert'],
-      defaultDocuments: ['Project Summary', 'Client Reference', 'Performance Metrics', 'Lessons Learned'],
-      complianceFrameworks: ['FAR']
-    },
-    'internal-research': {
-      name: 'Internal Research Project',
-      description: 'Template for internal research and development projects',
-      projectType: 'internal',
-      defaultRoles: ['proposal_lead', 'writer', 'solutions_architect'],
-      defaultDocuments: ['Research Plan', 'Findings Report', 'Recommendations'],
-      complianceFrameworks: []
-    },
-    'compliance-assessment': {
-      name: 'Compliance Assessment',
-      description: 'Template for regulatory compliance assessment projects',
-      projectType: 'compliance',
-      defaultRoles: ['compliance_officer', 'writer', 'reviewer'],
-      defaultDocuments: ['Compliance Matrix', 'Gap Analysis', 'Remediation Plan'],
-      complianceFrameworks: ['NIST', 'FISMA', 'SOC2', 'CMMC']
-    }
-  };
-
   res.json({
     success: true,
-    data: templates
+    data: ProjectService.PROJECT_TEMPLATES
   });
 }));
 
 /**
  * @route GET /api/projects/hierarchy/departments
  * @desc Get department hierarchy options
- * @access Public
+ * @access Private
  */
 router.get('/hierarchy/departments', asyncHandler(async (req, res) => {
   logger.info('Getting department hierarchy');
@@ -119,7 +91,7 @@ router.get('/hierarchy/departments', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/projects/hierarchy/agencies/:departmentId
  * @desc Get agencies by department
- * @access Public
+ * @access Private
  */
 router.get('/hierarchy/agencies/:departmentId', asyncHandler(async (req, res) => {
   const departmentId = parseInt(req.params.departmentId);
@@ -152,7 +124,7 @@ router.get('/hierarchy/agencies/:departmentId', asyncHandler(async (req, res) =>
 /**
  * @route GET /api/projects/health
  * @desc Check project service health
- * @access Public
+ * @access Private
  */
 router.get('/health', asyncHandler(async (req, res) => {
   try {
@@ -191,11 +163,11 @@ router.get('/health', asyncHandler(async (req, res) => {
 /**
  * @route POST /api/projects
  * @desc Create a new project
- * @access Public
+ * @access Private
  */
 router.post('/', sanitizeInput, asyncHandler(async (req, res) => {
   const projectData = req.body;
-  const createdBy = req.body.createdBy || 1; // TODO: Replace with actual user ID from auth
+  const createdBy = req.user.id;
 
   if (!projectData.title) {
     return res.status(400).json({
@@ -216,8 +188,8 @@ router.post('/', sanitizeInput, asyncHandler(async (req, res) => {
 
 /**
  * @route GET /api/projects
- * @desc List projects with filtering and pagination
- * @access Public
+ * @desc List projects with filtering and pagination (only projects on the user's teams)
+ * @access Private
  */
 router.get('/', asyncHandler(async (req, res) => {
   const filters = {
@@ -253,6 +225,7 @@ router.get('/', asyncHandler(async (req, res) => {
   logger.info(`Listing projects with filters: ${JSON.stringify(filters)}`);
 
   const result = await getProjectService().listProjects(filters, pagination);
+  result.projects = await filterByProjectAccess(req.user, result.projects, project => project.title);
 
   res.json({
     success: true,
@@ -263,7 +236,7 @@ router.get('/', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/projects/archived
  * @desc Get archived projects (admin only)
- * @access Public
+ * @access Private
  */
 router.get('/archived', asyncHandler(async (req, res) => {
   const {
@@ -314,7 +287,7 @@ router.get('/archived', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/projects/:id
  * @desc Get specific project with full details
- * @access Public
+ * @access Private
  */
 router.get('/:id', asyncHandler(async (req, res) => {
   const projectId = parseInt(req.params.id);
@@ -339,12 +312,12 @@ router.get('/:id', asyncHandler(async (req, res) => {
 /**
  * @route PUT /api/projects/:id
  * @desc Update project
- * @access Public
+ * @access Private (capture manager)
  */
-router.put('/:id', sanitizeInput, asyncHandler(async (req, res) => {
+router.put('/:id', sanitizeInput, canManageAccess, asyncHandler(async (req, res) => {
   const projectId = parseInt(req.params.id);
   const updates = req.body;
-  const updatedBy = req.body.updatedBy || 1; // TODO: Replace with actual user ID from auth
+  const updatedBy = req.user.id;
 
   if (isNaN(projectId)) {
     return res.status(400).json({
@@ -376,11 +349,11 @@ router.put('/:id', sanitizeInput, asyncHandler(async (req, res) => {
 /**
  * @route POST /api/projects/:id/archive
  * @desc Archive project (soft delete)
- * @access Public
+ * @access Private (capture manager)
  */
-router.post('/:id/archive', sanitizeInput, asyncHandler(async (req, res) => {
+router.post('/:id/archive', sanitizeInput, canManageAccess, asyncHandler(async (req, res) => {
   const projectId = parseInt(req.params.id);
-  const archivedBy = req.body.archivedBy || 1; // TODO: Replace with actual user ID from auth
+  const archivedBy = req.user.id;
 
   if (isNaN(projectId)) {
     return res.status(400).json({
@@ -402,11 +375,11 @@ router.post('/:id/archive', sanitizeInput, asyncHandler(async (req, res) => {
 /**
  * @route POST /api/projects/:id/restore
  * @desc Restore archived project
- * @access Public
+ * @access Private (capture manager)
  */
-router.post('/:id/restore', sanitizeInput, asyncHandler(async (req, res) => {
+router.post('/:id/restore', sanitizeInput, canManageAccess, asyncHandler(async (req, res) => {
   const projectId = parseInt(req.params.id);
-  const restoredBy = req.body.restoredBy || 1; // TODO: Replace with actual user ID from auth
+  const restoredBy = req.user.id;
 
   if (isNaN(projectId)) {
     return res.status(400).json({
@@ -436,11 +409,11 @@ router.post('/:id/restore', sanitizeInput, asyncHandler(async (req, res) => {
 /**
  * @route POST /api/projects/:id/duplicate
  * @desc Duplicate project structure
- * @access Public
+ * @access Private (capture manager)
  */
-router.post('/:id/duplicate', sanitizeInput, asyncHandler(async (req, res) => {
+router.post('/:id/duplicate', sanitizeInput, canManageAccess, asyncHandler(async (req, res) => {
   const originalProjectId = parseInt(req.params.id);
-  const createdBy = req.body.createdBy || 1; // TODO: Replace with actual user ID from auth
+  const createdBy = req.user.id;
   const newTitle = req.body.title;
 
   if (isNaN(originalProjectId)) {
@@ -496,7 +469,7 @@ router.post('/:id/duplicate', sanitizeInput, asyncHandler(async (req, res) => {
 /**
  * @route GET /api/projects/:id/team
  * @desc Get project team members
- * @access Public
+ * @access Private
  */
 router.get('/:id/team', asyncHandler(async (req, res) => {
   const projectId = parseInt(req.params.id);
@@ -521,12 +494,12 @@ router.get('/:id/team', asyncHandler(async (req, res) => {
 /**
  * @route POST /api/projects/:id/team
  * @desc Add team member to project
- * @access Public
+ * @access Private (capture manager)
  */
-router.post('/:id/team', sanitizeInput, asyncHandler(async (req, res) => {
+router.post('/:id/team', sanitizeInput, canManageAccess, asyncHandler(async (req, res) => {
   const projectId = parseInt(req.params.id);
   const { userId, roleId, customPermissions } = req.body;
-  const assignedBy = req.body.assignedBy || 1; // TODO: Replace with actual user ID from auth
+  const assignedBy = req.user.id;
 
   if (isNaN(projectId)) {
     return res.status(400).json({
@@ -561,13 +534,13 @@ router.post('/:id/team', sanitizeInput, asyncHandler(async (req, res) => {
 /**
  * @route PUT /api/projects/:id/team/:userId
  * @desc Update team member role or permissions
- * @access Public
+ * @access Private (capture manager)
  */
-router.put('/:id/team/:userId', sanitizeInput, asyncHandler(async (req, res) => {
+router.put('/:id/team/:userId', sanitizeInput, canManageAccess, asyncHandler(async (req, res) => {
   const projectId = parseInt(req.params.id);
   const userId = parseInt(req.params.userId);
   const { roleId, customPermissions } = req.body;
-  const updatedBy = req.body.updatedBy || 1; // TODO: Replace with actual user ID from auth
+  const updatedBy = req.user.id;
 
   if (isNaN(projectId) || isNaN(userId)) {
     return res.status(400).json({
@@ -597,12 +570,12 @@ router.put('/:id/team/:userId', sanitizeInput, asyncHandler(async (req, res) =>
 /**
  * @route DELETE /api/projects/:id/team/:userId
  * @desc Remove team member from project
- * @access Public
+ * @access Private (capture manager)
  */
-router.delete('/:id/team/:userId', asyncHandler(async (req, res) => {
+router.delete('/:id/team/:userId', canManageAccess, asyncHandler(async (req, res) => {
   const projectId = parseInt(req.params.id);
   const userId = parseInt(req.params.userId);
-  const removedBy = req.body.removedBy || 1; // TODO: Replace with actual user ID from auth
+  const removedBy = req.user.id;
 
   if (isNaN(projectId) || isNaN(userId)) {
     return res.status(400).json({
@@ -628,7 +601,7 @@ router.delete('/:id/team/:userId', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/projects/:id/analytics
  * @desc Get project analytics and metrics
- * @access Public
+ * @access Private
  */
 router.get('/:id/analytics', asyncHandler(async (req, res) => {
   const projectId = parseInt(req.params.id);
@@ -691,7 +664,7 @@ router.get('/:id/analytics', asyncHandler(async (req, res) => {
 /**
  * @route GET /api/projects/:id/activity
  * @desc Get project activity timeline
- * @access Public
+ * @access Private
  */
 router.get('/:id/activity', asyncHandler(async (req, res) => {
   const projectId = parseInt(req.params.id);
@@ -0,0 +1,341 @@
+/**
+ * Prompt Template API Routes
+ * Versioned section prompt templates with typed variables, A/B experiments between template
+ * versions, and writer ratings of the generations they produced
+ */
+
+const express = require('express');
+const PromptTemplateService = require('../services/PromptTemplateService');
+const AuditService = require('../services/AuditService');
+const { requestContext } = AuditService;
+const { asyncHandler } = require('../middleware/errorHandler');
+const { sanitizeInput } = require('../middleware/validation');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Lazy initialization of template service
+let templateService;
+function getTemplateService() {
+  if (!templateService) {
+    templateService = new PromptTemplateService();
+  }
+  return templateService;
+}
+
+const auditService = new AuditService();
+
+// Templates and experiments are managed by admins; any writer rates their own generations
+const requireAdmin = requireRole('admin');
+
+/**
+ * Respond with a service error that carries a statusCode, otherwise rethrow
+ */
+function handleServiceError(error, res) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  throw error;
+}
+
+function invalidId(res, label) {
+  return res.status(400).json({
+    success: false,
+    message: `Valid ${label} ID is required`
+  });
+}
+
+function notFound(res, label) {
+  return res.status(404).json({
+    success: false,
+    message: `${label} not found`
+  });
+}
+
+async function auditChange(req, action, resourceType, resourceId, details) {
+  await auditService.recordAdminChange(requestContext(req), {
+    eventType: `prompt_${resourceType}_${action}`,
+    resourceType: `prompt_${resourceType}`,
+    resourceId,
+    details
+  });
+}
+
+/**
+ * @route GET /api/prompt-templates/options
+ * @desc Template types, variable types, built-in placeholders and experiment statuses
+ * @access Admin
+ */
+router.get('/options', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      templateTypes: PromptTemplateService.TEMPLATE_TYPES,
+      variableTypes: PromptTemplateService.VARIABLE_TYPES,
+      builtinVariables: Object.keys(PromptTemplateService.BUILTIN_VARIABLES),
+      experimentStatuses: PromptTemplateService.EXPERIMENT_STATUSES
+    }
+  });
+});
+
+/**
+ * @route GET /api/prompt-templates
+ * @desc List templates with their current version
+ * @query sectionType, templateType, includeInactive
+ * @access Admin
+ */
+router.get('/', requireAdmin, asyncHandler(async (req, res) => {
+  const templates = await getTemplateService().listTemplates({
+    sectionType: req.query.sectionType || null,
+    templateType: req.query.templateType || null,
+    includeInactive: req.query.includeInactive === 'true'
+  });
+
+  res.json({
+    success: true,
+    data: templates
+  });
+}));
+
+/**
+ * @route POST /api/prompt-templates
+ * @desc Create a template (its first version)
+ * @body { name, templateType, description, sectionTypes, personas, body, variables, changeNote }
+ * @access Admin
+ */
+router.post('/', requireAdmin, sanitizeInput, asyncHandler(async (req, res) => {
+  try {
+    const result = await getTemplateService().createTemplate(req.body, req.user.id);
+    await auditChange(req, 'created', 'template', result.template.id, { name: result.template.name });
+
+    res.status(201).json({
+      success: true,
+      data: result.template,
+      warnings: result.warnings
+    });
+  } catch (error) {
+    return handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route POST /api/prompt-templates/preview
+ * @desc Render a template body with sample values without saving it
+ * @body { body, variables, values, context }
+ * @access Admin
+ */
+router.post('/preview', requireAdmin, sanitizeInput, asyncHandler(async (req, res) => {
+  try {
+    const service = getTemplateService();
+    const version = service.validateVersion(req.body);
+    const rendered = await service.renderVersion(version, req.body.values || {}, {
+      prompt: '[writer prompt]',
+      ...(req.body.context || {}),
+      user: req.user
+    });
+
+    res.json({
+      success: true,
+      data: { ...rendered, warnings: version.warnings }
+    });
+  } catch (error) {
+    return handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route GET /api/prompt-templates/experiments
+ * @desc List experiments, running first
+ * @query status, sectionType
+ * @access Admin
+ */
+router.get('/experiments', requireAdmin, asyncHandler(async (req, res) => {
+  const experiments = await getTemplateService().listExperiments({
+    status: req.query.status || null,
+    sectionType: req.query.sectionType || null
+  });
+
+  res.json({
+    success: true,
+    data: experiments
+  });
+}));
+
+/**
+ * @route POST /api/prompt-templates/experiments
+ * @desc Create a draft experiment between 2-4 template versions
+ * @body { name, description, sectionType, variants: [{ templateVersionId, weight }] }
+ * @access Admin
+ */
+router.post('/experiments', requireAdmin, sanitizeInput, asyncHandler(async (req, res) => {
+  try {
+    const experiment = await getTemplateService().createExperiment(req.body, req.user.id);
+    await auditChange(req, 'created', 'experiment', experiment.id, {
+      name: experiment.name,
+      sectionType: experiment.sectionType,
+      variants: experiment.variants.map(variant => variant.templateVersionId)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: experiment
+    });
+  } catch (error) {
+    return handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route GET /api/prompt-templates/experiments/:experimentId
+ * @desc Experiment with its variants
+ * @access Admin
+ */
+router.get('/experiments/:experimentId', requireAdmin, asyncHandler(async (req, res) => {
+  const experimentId = parseInt(req.params.experimentId);
+  if (!experimentId) {
+    return invalidId(res, 'experiment');
+  }
+
+  const experiment = await getTemplateService().getExperiment(experimentId);
+  if (!experiment) {
+    return notFound(res, 'Experiment');
+  }
+
+  res.json({
+    success: true,
+    data: experiment
+  });
+}));
+
+/**
+ * @route POST /api/prompt-templates/experiments/:experimentId/:action
+ * @desc Start, pause or complete an experiment
+ * @body { winnerVariantId } when completing
+ * @access Admin
+ */
+router.post('/experiments/:experimentId/:action', requireAdmin, sanitizeInput, asyncHandler(async (req, res) => {
+  const experimentId = parseInt(req.params.experimentId);
+  if (!experimentId) {
+    return invalidId(res, 'experiment');
+  }
+
+  try {
+    const experiment = await getTemplateService().changeExperimentStatus(experimentId, req.params.action, req.body);
+    await auditChange(req, experiment.status, 'experiment', experimentId, {
+      winnerVariantId: experiment.winnerVariantId
+    });
+
+    res.json({
+      success: true,
+      data: experiment
+    });
+  } catch (error) {
+    return handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route GET /api/prompt-templates/experiments/:experimentId/results
+ * @desc Variants compared on writer ratings and edit distance
+ * @access Admin
+ */
+router.get('/experiments/:experimentId/results', requireAdmin, asyncHandler(async (req, res) => {
+  const experimentId = parseInt(req.params.experimentId);
+  if (!experimentId) {
+    return invalidId(res, 'experiment');
+  }
+
+  const results = await getTemplateService().getExperimentResults(experimentId);
+  if (!results) {
+    return notFound(res, 'Experiment');
+  }
+
+  res.json({
+    success: true,
+    data: results
+  });
+}));
+
+/**
+ * @route POST /api/prompt-templates/generations/:generationId/rating
+ * @desc Rate a templated generation; finalContent (the text kept) also records the edit distance
+ * @body { rating: 1-5, comment, finalContent }
+ * @access Private (own generations; admins any)
+ */
+router.post('/generations/:generationId/rating', sanitizeInput, asyncHandler(async (req, res) => {
+  const generationId = parseInt(req.params.generationId);
+  if (!generationId) {
+    return invalidId(res, 'generation');
+  }
+
+  try {
+    const generation = await getTemplateService().rateGeneration(generationId, req.body, req.user);
+
+    res.json({
+      success: true,
+      data: generation
+    });
+  } catch (error) {
+    return handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route GET /api/prompt-templates/:templateId
+ * @desc Template with its version history
+ * @access Admin
+ */
+router.get('/:templateId', requireAdmin, asyncHandler(async (req, res) => {
+  const templateId = parseInt(req.params.templateId);
+  if (!templateId) {
+    return invalidId(res, 'template');
+  }
+
+  const template = await getTemplateService().getTemplate(templateId);
+  if (!template) {
+    return notFound(res, 'Template');
+  }
+
+  res.json({
+    success: true,
+    data: template
+  });
+}));
+
+/**
+ * @route PUT /api/prompt-templates/:templateId
+ * @desc Update template settings; a changed body or variables is saved as a new version
+ * @body { name, templateType, description, sectionTypes, personas, isActive, body, variables, changeNote }
+ * @access Admin
+ */
+router.put('/:templateId', requireAdmin, sanitizeInput, asyncHandler(async (req, res) => {
+  const templateId = parseInt(req.params.templateId);
+  if (!templateId) {
+    return invalidId(res, 'template');
+  }
+
+  try {
+    const result = await getTemplateService().updateTemplate(templateId, req.body, req.user.id);
+    if (!result) {
+      return notFound(res, 'Template');
+    }
+    await auditChange(req, 'updated', 'template', templateId, {
+      newVersion: result.newVersion ? result.newVersion.versionNumber : null,
+      isActive: result.template.isActive
+    });
+
+    res.json({
+      success: true,
+      data: result.template,
+      newVersion: result.newVersion,
+      warnings: result.warnings
+    });
+  } catch (error) {
+    return handleServiceError(error, res);
+  }
+}));
+
+module.exports = router;
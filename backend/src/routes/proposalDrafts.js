@@ -0,0 +1,382 @@
+/**
+ * Proposal Draft API Routes
+ * Section persistence, version history, diff and restore
+ */
+
+const express = require('express');
+const ProposalDraftService = require('../services/ProposalDraftService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { sanitizeInput } = require('../middleware/validation');
+const { requireProjectAccess, requireProjectPermission, projectRecordParam } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Project named in the query string or body must be one of the user's projects
+router.use(requireProjectAccess());
+
+// Lazy initialization of draft service
+let draftService;
+function getDraftService() {
+  if (!draftService) {
+    draftService = new ProposalDraftService();
+  }
+  return draftService;
+}
+
+// Drafts and sections are restricted to their project's team; changing them needs edit_sections
+router.param('draftId', projectRecordParam(draftId => getDraftService().getProjectName({ draftId })));
+router.param('sectionId', projectRecordParam(sectionId => getDraftService().getProjectName({ sectionId })));
+const canEdit = requireProjectPermission('edit_sections');
+
+/**
+ * Respond with a service error that carries a statusCode, otherwise rethrow
+ */
+function handleServiceError(error, res) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  throw error;
+}
+
+function invalidId(res, label) {
+  return res.status(400).json({
+    success: false,
+    message: `Valid ${label} ID is required`
+  });
+}
+
+/**
+ * @route GET /api/proposal-drafts/project
+ * @desc Get (or start) the draft for a project, with its sections
+ * @access Private
+ */
+router.get('/project', asyncHandler(async (req, res) => {
+  const { projectName, documentType = 'solicitations' } = req.query;
+  const userId = req.user.id;
+
+  if (!projectName) {
+    return res.status(400).json({
+      success: false,
+      message: 'projectName is required'
+    });
+  }
+
+  const draft = await getDraftService().getProjectDraft(projectName, documentType, userId);
+
+  res.json({
+    success: true,
+    data: draft
+  });
+}));
+
+/**
+ * @route GET /api/proposal-drafts/:draftId
+ * @desc Get a draft with its sections
+ * @access Private
+ */
+router.get('/:draftId', asyncHandler(async (req, res) => {
+  const draftId = parseInt(req.params.draftId);
+
+  if (isNaN(draftId)) {
+    return invalidId(res, 'draft');
+  }
+
+  const draft = await getDraftService().getDraft(draftId);
+
+  if (!draft) {
+    return res.status(404).json({
+      success: false,
+      message: 'Draft not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: draft
+  });
+}));
+
+/**
+ * @route POST /api/proposal-drafts/:draftId/sections
+ * @desc Create a section (optional initial content becomes version 1)
+ * @access Private
+ */
+router.post('/:draftId/sections', sanitizeInput, canEdit, asyncHandler(async (req, res) => {
+  const draftId = parseInt(req.params.draftId);
+  const createdBy = req.user.id;
+
+  if (isNaN(draftId)) {
+    return invalidId(res, 'draft');
+  }
+
+  try {
+    const section = await getDraftService().createSection(draftId, req.body, createdBy);
+
+    if (!section) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: section
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route GET /api/proposal-drafts/sections/:sectionId
+ * @desc Get a section with its current content
+ * @access Private
+ */
+router.get('/sections/:sectionId', asyncHandler(async (req, res) => {
+  const sectionId = parseInt(req.params.sectionId);
+
+  if (isNaN(sectionId)) {
+    return invalidId(res, 'section');
+  }
+
+  const section = await getDraftService().getSection(sectionId);
+
+  if (!section) {
+    return res.status(404).json({
+      success: false,
+      message: 'Section not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: section
+  });
+}));
+
+/**
+ * @route PUT /api/proposal-drafts/sections/:sectionId
+ * @desc Update section title/type/order
+ * @access Private
+ */
+router.put('/sections/:sectionId', sanitizeInput, canEdit, asyncHandler(async (req, res) => {
+  const sectionId = parseInt(req.params.sectionId);
+  const { title, sectionType, sortOrder } = req.body;
+  const updatedBy = req.user.id;
+
+  if (isNaN(sectionId)) {
+    return invalidId(res, 'section');
+  }
+
+  const section = await getDraftService().updateSection(sectionId, { title, sectionType, sortOrder }, updatedBy);
+
+  if (!section) {
+    return res.status(404).json({
+      success: false,
+      message: 'Section not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: section
+  });
+}));
+
+/**
+ * @route DELETE /api/proposal-drafts/sections/:sectionId
+ * @desc Delete a section and its history
+ * @access Private
+ */
+router.delete('/sections/:sectionId', canEdit, asyncHandler(async (req, res) => {
+  const sectionId = parseInt(req.params.sectionId);
+
+  if (isNaN(sectionId)) {
+    return invalidId(res, 'section');
+  }
+
+  const deleted = await getDraftService().deleteSection(sectionId);
+
+  if (!deleted) {
+    return res.status(404).json({
+      success: false,
+      message: 'Section not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Section deleted'
+  });
+}));
+
+/**
+ * @route POST /api/proposal-drafts/sections/:sectionId/versions
+ * @desc Save section content as a new version (human edits; AI output is recorded by generation)
+ * @access Private
+ */
+router.post('/sections/:sectionId/versions', sanitizeInput, canEdit, asyncHandler(async (req, res) => {
+  const sectionId = parseInt(req.params.sectionId);
+  const { content, changeNote } = req.body;
+  const createdBy = req.user.id;
+
+  if (isNaN(sectionId)) {
+    return invalidId(res, 'section');
+  }
+
+  try {
+    const result = await getDraftService().saveContent(sectionId, { content, changeNote, source: 'human' }, createdBy);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Section not found'
+      });
+    }
+
+    res.status(result.unchanged ? 200 : 201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route GET /api/proposal-drafts/sections/:sectionId/versions
+ * @desc List a section's versions, newest first
+ * @access Private
+ */
+router.get('/sections/:sectionId/versions', asyncHandler(async (req, res) => {
+  const sectionId = parseInt(req.params.sectionId);
+
+  if (isNaN(sectionId)) {
+    return invalidId(res, 'section');
+  }
+
+  const versions = await getDraftService().listVersions(sectionId);
+
+  if (!versions) {
+    return res.status(404).json({
+      success: false,
+      message: 'Section not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: versions
+  });
+}));
+
+/**
+ * @route GET /api/proposal-drafts/sections/:sectionId/diff
+ * @desc Diff two versions (?from=2&to=5&granularity=word|line; `to` defaults to current)
+ * @access Private
+ */
+router.get('/sections/:sectionId/diff', asyncHandler(async (req, res) => {
+  const sectionId = parseInt(req.params.sectionId);
+  const fromVersion = parseInt(req.query.from);
+  const toVersion = req.query.to ? parseInt(req.query.to) : null;
+  const { granularity = 'word' } = req.query;
+
+  if (isNaN(sectionId)) {
+    return invalidId(res, 'section');
+  }
+
+  if (isNaN(fromVersion) || (toVersion !== null && isNaN(toVersion))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid from (and optional to) version numbers are required'
+    });
+  }
+
+  try {
+    const diff = await getDraftService().diffVersions(sectionId, fromVersion, toVersion, granularity);
+
+    if (!diff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Section not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: diff
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route GET /api/proposal-drafts/sections/:sectionId/versions/:versionNumber
+ * @desc Get one version with its content
+ * @access Private
+ */
+router.get('/sections/:sectionId/versions/:versionNumber', asyncHandler(async (req, res) => {
+  const sectionId = parseInt(req.params.sectionId);
+  const versionNumber = parseInt(req.params.versionNumber);
+
+  if (isNaN(sectionId) || isNaN(versionNumber)) {
+    return invalidId(res, 'section and version');
+  }
+
+  const version = await getDraftService().getVersion(sectionId, versionNumber);
+
+  if (!version) {
+    return res.status(404).json({
+      success: false,
+      message: 'Version not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: version
+  });
+}));
+
+/**
+ * @route POST /api/proposal-drafts/sections/:sectionId/versions/:versionNumber/restore
+ * @desc Restore a version (copied forward as a new version)
+ * @access Private
+ */
+router.post('/sections/:sectionId/versions/:versionNumber/restore', sanitizeInput, canEdit, asyncHandler(async (req, res) => {
+  const sectionId = parseInt(req.params.sectionId);
+  const versionNumber = parseInt(req.params.versionNumber);
+  const restoredBy = req.user.id;
+
+  if (isNaN(sectionId) || isNaN(versionNumber)) {
+    return invalidId(res, 'section and version');
+  }
+
+  logger.info(`Restoring version ${versionNumber} of section ${sectionId}`);
+
+  try {
+    const result = await getDraftService().restoreVersion(sectionId, versionNumber, restoredBy);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+module.exports = router;
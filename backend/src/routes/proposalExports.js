@@ -0,0 +1,150 @@
+/**
+ * Proposal Export API Routes
+ * DOCX/PDF rendering of proposal drafts with agency export templates
+ */
+
+const express = require('express');
+const ProposalExportService = require('../services/ProposalExportService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { sanitizeInput } = require('../middleware/validation');
+const { requireProjectPermission, projectRecordParam } = require('../middleware/auth');
+
+const router = express.Router();
+
+const CONTENT_TYPES = {
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  pdf: 'application/pdf'
+};
+
+// Lazy initialization of export service
+let exportService;
+function getExportService() {
+  if (!exportService) {
+    exportService = new ProposalExportService();
+  }
+  return exportService;
+}
+
+// Exports are restricted to the draft's project team and need the export permission
+router.param('draftId', projectRecordParam(async (draftId) => {
+  const draft = await getExportService().draftModel.getDraft(draftId);
+  return draft ? draft.projectName : null;
+}));
+const canExport = requireProjectPermission('export');
+
+/**
+ * Respond with a service error that carries a statusCode, otherwise rethrow
+ */
+function handleServiceError(error, res) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  throw error;
+}
+
+/**
+ * Export options from query string (GET) or body (POST)
+ */
+function exportOptions(req) {
+  const source = req.method === 'POST' ? req.body : req.query;
+  const templateId = source.templateId ? parseInt(source.templateId) : null;
+
+  return {
+    templateId: isNaN(templateId) ? null : templateId,
+    solicitationNumber: source.solicitationNumber || null,
+    settings: source.settings && typeof source.settings === 'object' ? source.settings : {},
+    complianceMatrix: Array.isArray(source.complianceMatrix) ? source.complianceMatrix : null
+  };
+}
+
+/**
+ * @route GET /api/proposal-exports/drafts/:draftId/preview
+ * @desc Export structure, page estimates, compliance matrix and page-limit warnings
+ * @access Private
+ */
+router.get('/drafts/:draftId/preview', canExport, asyncHandler(async (req, res) => {
+  const draftId = parseInt(req.params.draftId);
+
+  if (isNaN(draftId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid draft ID is required'
+    });
+  }
+
+  try {
+    const preview = await getExportService().previewExport(draftId, exportOptions(req));
+
+    if (!preview) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    return handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route GET|POST /api/proposal-exports/drafts/:draftId/:format
+ * @desc Download a draft as DOCX or PDF (POST accepts settings overrides and matrix rows)
+ * @access Private
+ */
+const exportHandler = asyncHandler(async (req, res) => {
+  const draftId = parseInt(req.params.draftId);
+  const format = req.params.format.toLowerCase();
+
+  if (isNaN(draftId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid draft ID is required'
+    });
+  }
+
+  if (!CONTENT_TYPES[format]) {
+    return res.status(400).json({
+      success: false,
+      message: 'Format must be docx or pdf'
+    });
+  }
+
+  try {
+    const service = getExportService();
+    const options = exportOptions(req);
+    const result = format === 'docx'
+      ? await service.exportDocx(draftId, options)
+      : await service.exportPdf(draftId, options);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${result.filename}"`,
+      'Content-Length': result.buffer.length,
+      'X-Export-Warning-Count': String(result.warnings.length),
+      'Access-Control-Expose-Headers': 'Content-Disposition, X-Export-Warning-Count'
+    });
+    res.send(result.buffer);
+  } catch (error) {
+    return handleServiceError(error, res);
+  }
+});
+
+router.get('/drafts/:draftId/:format', canExport, exportHandler);
+router.post('/drafts/:draftId/:format', sanitizeInput, canExport, exportHandler);
+
+module.exports = router;
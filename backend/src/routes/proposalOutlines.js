@@ -0,0 +1,327 @@
+/**
+ * Proposal Outline API Routes
+ * Build proposal outlines from Section L/M, edit them, and generate sections
+ */
+
+const express = require('express');
+const ProposalOutlineService = require('../services/ProposalOutlineService');
+const { requestContext } = require('../services/AuditService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { sanitizeInput } = require('../middleware/validation');
+const { projectIdParam, projectRecordParam, requireProjectPermission } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Lazy initialization of outline service
+let outlineService;
+function getOutlineService() {
+  if (!outlineService) {
+    outlineService = new ProposalOutlineService();
+  }
+  return outlineService;
+}
+
+// Project data is restricted to the project team; outlines and their nodes resolve to their project
+router.param('projectId', projectIdParam);
+router.param('outlineId', projectRecordParam(outlineId => getOutlineService().getProjectName({ outlineId })));
+router.param('nodeId', projectRecordParam(nodeId => getOutlineService().getProjectName({ nodeId })));
+
+const canEditSections = requireProjectPermission('edit_sections');
+const canRunAI = requireProjectPermission('run_ai');
+
+/**
+ * Respond with a service error that carries a statusCode, otherwise rethrow
+ */
+function handleServiceError(error, res) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.message === 'Project not found') {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+  throw error;
+}
+
+/**
+ * @route POST /api/proposal-outlines/projects/:projectId/build
+ * @desc Build the project's outline from its Section L/M solicitation documents
+ * @access Private
+ */
+router.post('/projects/:projectId/build', sanitizeInput, canEditSections, asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.projectId);
+  const { documentIds, replace = false } = req.body;
+  const createdBy = req.user.id;
+
+  if (isNaN(projectId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid project ID is required'
+    });
+  }
+
+  logger.info(`Building proposal outline for project: ${projectId}`);
+
+  try {
+    const outline = await getOutlineService().buildOutline(projectId, { documentIds, replace }, createdBy);
+
+    res.status(201).json({
+      success: true,
+      data: outline
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route GET /api/proposal-outlines/projects/:projectId
+ * @desc Get the project's outline with volumes and sections
+ * @access Private
+ */
+router.get('/projects/:projectId', asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.projectId);
+
+  if (isNaN(projectId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid project ID is required'
+    });
+  }
+
+  const outline = await getOutlineService().getOutline(projectId);
+
+  if (!outline) {
+    return res.status(404).json({
+      success: false,
+      message: 'No outline has been built for this project'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: outline
+  });
+}));
+
+/**
+ * @route PUT /api/proposal-outlines/:outlineId
+ * @desc Update outline title or status
+ * @access Private
+ */
+router.put('/:outlineId', sanitizeInput, canEditSections, asyncHandler(async (req, res) => {
+  const outlineId = parseInt(req.params.outlineId);
+  const { title, status } = req.body;
+  const updatedBy = req.user.id;
+
+  if (isNaN(outlineId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid outline ID is required'
+    });
+  }
+
+  const outline = await getOutlineService().updateOutline(outlineId, { title, status }, updatedBy);
+
+  if (!outline) {
+    return res.status(404).json({
+      success: false,
+      message: 'Outline not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: outline
+  });
+}));
+
+/**
+ * @route POST /api/proposal-outlines/:outlineId/nodes
+ * @desc Add a volume (no parentId) or a section (parentId = volume ID)
+ * @access Private
+ */
+router.post('/:outlineId/nodes', sanitizeInput, canEditSections, asyncHandler(async (req, res) => {
+  const outlineId = parseInt(req.params.outlineId);
+
+  if (isNaN(outlineId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid outline ID is required'
+    });
+  }
+
+  try {
+    const node = await getOutlineService().addNode(outlineId, req.body);
+
+    if (!node) {
+      return res.status(404).json({
+        success: false,
+        message: 'Outline not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: node
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route PUT /api/proposal-outlines/nodes/:nodeId
+ * @desc Edit a volume or section (title, instructions, page limit, factors, order, status)
+ * @access Private
+ */
+router.put('/nodes/:nodeId', sanitizeInput, canEditSections, asyncHandler(async (req, res) => {
+  const nodeId = parseInt(req.params.nodeId);
+
+  if (isNaN(nodeId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid node ID is required'
+    });
+  }
+
+  const node = await getOutlineService().updateNode(nodeId, req.body);
+
+  if (!node) {
+    return res.status(404).json({
+      success: false,
+      message: 'Outline node not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: node
+  });
+}));
+
+/**
+ * @route DELETE /api/proposal-outlines/nodes/:nodeId
+ * @desc Delete a volume (with its sections) or a section
+ * @access Private
+ */
+router.delete('/nodes/:nodeId', canEditSections, asyncHandler(async (req, res) => {
+  const nodeId = parseInt(req.params.nodeId);
+
+  if (isNaN(nodeId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid node ID is required'
+    });
+  }
+
+  const deleted = await getOutlineService().deleteNode(nodeId);
+
+  if (!deleted) {
+    return res.status(404).json({
+      success: false,
+      message: 'Outline node not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Outline node deleted'
+  });
+}));
+
+/**
+ * @route POST /api/proposal-outlines/nodes/:nodeId/generate
+ * @desc Generate a section with its Section L instructions and Section M factors;
+ *       the result is saved as a version of the linked proposal draft section
+ * @access Private
+ */
+router.post('/nodes/:nodeId/generate', sanitizeInput, canEditSections, canRunAI, asyncHandler(async (req, res) => {
+  const nodeId = parseInt(req.params.nodeId);
+  const { prompt, personaId, model, noHallucinations = true } = req.body;
+  const userId = req.user.id;
+
+  if (isNaN(nodeId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid node ID is required'
+    });
+  }
+
+  logger.info(`Generating outline node: ${nodeId}`);
+
+  try {
+    const result = await getOutlineService().generateNode(nodeId, {
+      prompt,
+      personaId,
+      model,
+      noHallucinations,
+      userId,
+      user: req.user,
+      auditContext: requestContext(req)
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Outline node not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route POST /api/proposal-outlines/:outlineId/generate
+ * @desc Generate every section of an outline in order
+ * @access Private
+ */
+router.post('/:outlineId/generate', sanitizeInput, canEditSections, canRunAI, asyncHandler(async (req, res) => {
+  const outlineId = parseInt(req.params.outlineId);
+  const { personaId, model, noHallucinations = true } = req.body;
+  const userId = req.user.id;
+
+  if (isNaN(outlineId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid outline ID is required'
+    });
+  }
+
+  logger.info(`Generating all sections for outline: ${outlineId}`);
+
+  const result = await getOutlineService().generateOutline(outlineId, {
+    personaId,
+    model,
+    noHallucinations,
+    userId,
+    user: req.user,
+    auditContext: requestContext(req)
+  });
+
+  if (!result) {
+    return res.status(404).json({
+      success: false,
+      message: 'Outline not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+module.exports = router;
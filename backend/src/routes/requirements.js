@@ -0,0 +1,238 @@
+/**
+ * Requirement API Routes
+ * Solicitation requirement shred with RFP paragraph and page traceability
+ */
+
+const express = require('express');
+const RequirementShredService = require('../services/RequirementShredService');
+const AuditService = require('../services/AuditService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { sanitizeInput } = require('../middleware/validation');
+const { projectIdParam, projectRecordParam, requireProjectPermission } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Project data is restricted to the project team
+router.param('projectId', projectIdParam);
+
+// Lazy initialization of shred service
+let shredService;
+function getShredService() {
+  if (!shredService) {
+    shredService = new RequirementShredService();
+  }
+  return shredService;
+}
+
+// Lazy initialization of audit service
+let auditService;
+function getAuditService() {
+  if (!auditService) {
+    auditService = new AuditService();
+  }
+  return auditService;
+}
+
+router.param('requirementId', projectRecordParam(requirementId => getShredService().getProjectName(requirementId)));
+
+/**
+ * Respond with a service error that carries a statusCode, otherwise rethrow
+ */
+function handleServiceError(error, res) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.message === 'Project not found') {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+  throw error;
+}
+
+function invalidId(res, label) {
+  return res.status(400).json({
+    success: false,
+    message: `Valid ${label} ID is required`
+  });
+}
+
+/**
+ * @route POST /api/requirements/projects/:projectId/shred
+ * @desc Shred the project's solicitation documents into requirements (replaces unedited rows)
+ * @access Private
+ */
+router.post('/projects/:projectId/shred', sanitizeInput, requireProjectPermission('edit_sections'), asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.projectId);
+  const { documentIds, useLlm = true, model } = req.body;
+  const createdBy = req.user.id;
+
+  if (isNaN(projectId)) {
+    return invalidId(res, 'project');
+  }
+
+  logger.info(`Shredding requirements for project: ${projectId}`);
+
+  try {
+    const result = await getShredService().shredProject(projectId, {
+      documentIds,
+      useLlm: useLlm !== false && useLlm !== 'false',
+      model
+    }, createdBy);
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route GET /api/requirements/projects/:projectId
+ * @desc List a project's requirements with counts (filters: category, section, documentId, paragraphId, status, search)
+ * @access Private
+ */
+router.get('/projects/:projectId', asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.projectId);
+  const { category, section, documentId, paragraphId, status, search } = req.query;
+
+  if (isNaN(projectId)) {
+    return invalidId(res, 'project');
+  }
+
+  const result = await getShredService().listRequirements(projectId, {
+    category,
+    section,
+    documentId,
+    paragraphId,
+    status,
+    search
+  });
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+/**
+ * @route GET /api/requirements/:requirementId
+ * @desc Get a requirement with its source document, page and paragraph
+ * @access Private
+ */
+router.get('/:requirementId', asyncHandler(async (req, res) => {
+  const requirementId = parseInt(req.params.requirementId);
+
+  if (isNaN(requirementId)) {
+    return invalidId(res, 'requirement');
+  }
+
+  const requirement = await getShredService().getRequirement(requirementId);
+
+  if (!requirement) {
+    return res.status(404).json({
+      success: false,
+      message: 'Requirement not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: requirement
+  });
+}));
+
+/**
+ * @route PUT /api/requirements/:requirementId
+ * @desc Edit a requirement's text, category, priority, status or paragraph reference
+ * @access Private
+ */
+router.put('/:requirementId', sanitizeInput, requireProjectPermission('edit_sections'), asyncHandler(async (req, res) => {
+  const requirementId = parseInt(req.params.requirementId);
+  const { text, category, priority, status, paragraphId, page } = req.body;
+  const updatedBy = req.user.id;
+
+  if (isNaN(requirementId)) {
+    return invalidId(res, 'requirement');
+  }
+
+  try {
+    const before = await getShredService().getRequirement(requirementId);
+    const requirement = await getShredService().updateRequirement(requirementId, {
+      text,
+      category,
+      priority,
+      status,
+      paragraphId,
+      page
+    }, updatedBy);
+
+    if (!requirement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Requirement not found'
+      });
+    }
+
+    await getAuditService().recordComplianceChange(AuditService.requestContext(req), {
+      eventType: 'requirement_updated',
+      projectName: req.projectName,
+      resourceType: 'requirement',
+      resourceId: requirementId,
+      before,
+      after: requirement
+    });
+
+    res.json({
+      success: true,
+      data: requirement
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route DELETE /api/requirements/:requirementId
+ * @desc Delete a requirement
+ * @access Private
+ */
+router.delete('/:requirementId', requireProjectPermission('edit_sections'), asyncHandler(async (req, res) => {
+  const requirementId = parseInt(req.params.requirementId);
+
+  if (isNaN(requirementId)) {
+    return invalidId(res, 'requirement');
+  }
+
+  const before = await getShredService().getRequirement(requirementId);
+  const deleted = await getShredService().deleteRequirement(requirementId);
+
+  if (!deleted) {
+    return res.status(404).json({
+      success: false,
+      message: 'Requirement not found'
+    });
+  }
+
+  await getAuditService().recordComplianceChange(AuditService.requestContext(req), {
+    eventType: 'requirement_deleted',
+    projectName: req.projectName,
+    resourceType: 'requirement',
+    resourceId: requirementId,
+    before
+  });
+
+  res.json({
+    success: true,
+    message: 'Requirement deleted'
+  });
+}));
+
+module.exports = router;
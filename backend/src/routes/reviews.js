@@ -0,0 +1,449 @@
+/**
+ * Color Review API Routes
+ * Pink/Red/Gold team reviews: scheduling, anchored reviewer comments, adjectival scoring
+ * against Section M factors and the AI mock evaluator
+ */
+
+const express = require('express');
+const ColorReviewService = require('../services/ColorReviewService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { sanitizeInput } = require('../middleware/validation');
+const { projectIdParam, projectRecordParam, requireProjectPermission } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Project data is restricted to the project team
+router.param('projectId', projectIdParam);
+
+// Lazy initialization of review service
+let reviewService;
+function getReviewService() {
+  if (!reviewService) {
+    reviewService = new ColorReviewService();
+  }
+  return reviewService;
+}
+
+router.param('reviewId', projectRecordParam(reviewId => getReviewService().getProjectName(reviewId)));
+router.param('commentId', projectRecordParam(commentId => getReviewService().getCommentProjectName(commentId)));
+
+// Scheduling is for those who approve; commenting and scoring for reviewers; writers resolve comments
+const canManage = requireProjectPermission('approve');
+const canReview = requireProjectPermission('review');
+const canEdit = requireProjectPermission('edit_sections');
+
+/**
+ * Respond with a service error that carries a statusCode, otherwise rethrow
+ */
+function handleServiceError(error, res) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.message === 'Project not found') {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+  throw error;
+}
+
+function invalidId(res, label) {
+  return res.status(400).json({
+    success: false,
+    message: `Valid ${label} ID is required`
+  });
+}
+
+function notFound(res, label) {
+  return res.status(404).json({
+    success: false,
+    message: `${label} not found`
+  });
+}
+
+/**
+ * @route GET /api/reviews/options
+ * @desc Review types, adjectival ratings and comment types
+ * @access Private
+ */
+router.get('/options', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      reviewTypes: ColorReviewService.REVIEW_TYPES,
+      ratings: ColorReviewService.RATINGS,
+      commentTypes: ColorReviewService.COMMENT_TYPES
+    }
+  });
+});
+
+/**
+ * @route GET /api/reviews/projects/:projectId
+ * @desc List a project's color-team reviews by due date
+ * @access Private
+ */
+router.get('/projects/:projectId', asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.projectId);
+
+  if (isNaN(projectId)) {
+    return invalidId(res, 'project');
+  }
+
+  try {
+    const reviews = await getReviewService().listReviews(projectId);
+
+    res.json({
+      success: true,
+      data: reviews
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route POST /api/reviews/projects/:projectId
+ * @desc Schedule a review (reviewType, scheduledEnd, reviewerIds from the project team; optional title, scheduledStart, instructions, draftId)
+ * @access Private
+ */
+router.post('/projects/:projectId', sanitizeInput, canManage, asyncHandler(async (req, res) => {
+  const projectId = parseInt(req.params.projectId);
+  const { reviewType, title, scheduledStart, scheduledEnd, instructions, reviewerIds, draftId, documentType } = req.body;
+
+  if (isNaN(projectId)) {
+    return invalidId(res, 'project');
+  }
+
+  logger.info(`Scheduling ${reviewType} team review for project: ${projectId}`);
+
+  try {
+    const review = await getReviewService().scheduleReview(projectId, {
+      reviewType,
+      title,
+      scheduledStart,
+      scheduledEnd,
+      instructions,
+      reviewerIds,
+      draftId,
+      documentType
+    }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route GET /api/reviews/:reviewId
+ * @desc Get a review with its reviewers and the sections under review (factors, comment counts)
+ * @access Private
+ */
+router.get('/:reviewId', asyncHandler(async (req, res) => {
+  const reviewId = parseInt(req.params.reviewId);
+
+  if (isNaN(reviewId)) {
+    return invalidId(res, 'review');
+  }
+
+  const review = await getReviewService().getReview(reviewId);
+  if (!review) {
+    return notFound(res, 'Review');
+  }
+
+  res.json({
+    success: true,
+    data: review
+  });
+}));
+
+/**
+ * @route PUT /api/reviews/:reviewId
+ * @desc Edit a review (title, status, scheduledStart, scheduledEnd, instructions, reviewerIds)
+ * @access Private
+ */
+router.put('/:reviewId', sanitizeInput, canManage, asyncHandler(async (req, res) => {
+  const reviewId = parseInt(req.params.reviewId);
+  const { title, status, scheduledStart, scheduledEnd, instructions, reviewerIds } = req.body;
+
+  if (isNaN(reviewId)) {
+    return invalidId(res, 'review');
+  }
+
+  try {
+    const review = await getReviewService().updateReview(reviewId, {
+      title,
+      status,
+      scheduledStart,
+      scheduledEnd,
+      instructions,
+      reviewerIds
+    }, req.user.id);
+
+    if (!review) {
+      return notFound(res, 'Review');
+    }
+
+    res.json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route DELETE /api/reviews/:reviewId
+ * @desc Delete a review with its comments and scores
+ * @access Private
+ */
+router.delete('/:reviewId', canManage, asyncHandler(async (req, res) => {
+  const reviewId = parseInt(req.params.reviewId);
+
+  if (isNaN(reviewId)) {
+    return invalidId(res, 'review');
+  }
+
+  const deleted = await getReviewService().deleteReview(reviewId);
+  if (!deleted) {
+    return notFound(res, 'Review');
+  }
+
+  res.json({
+    success: true,
+    message: 'Review deleted'
+  });
+}));
+
+/**
+ * @route GET /api/reviews/:reviewId/comments
+ * @desc List comments with where each quote sits in the current section (filters: sectionId, status, commentType)
+ * @access Private
+ */
+router.get('/:reviewId/comments', asyncHandler(async (req, res) => {
+  const reviewId = parseInt(req.params.reviewId);
+  const { sectionId, status, commentType } = req.query;
+
+  if (isNaN(reviewId)) {
+    return invalidId(res, 'review');
+  }
+
+  const comments = await getReviewService().listComments(reviewId, {
+    sectionId: sectionId ? parseInt(sectionId) : null,
+    status,
+    commentType
+  });
+
+  res.json({
+    success: true,
+    data: comments
+  });
+}));
+
+/**
+ * @route POST /api/reviews/:reviewId/comments
+ * @desc Comment on a section (sectionId, body, commentType; quote and start anchor it to section text)
+ * @access Private
+ */
+router.post('/:reviewId/comments', canReview, asyncHandler(async (req, res) => {
+  const reviewId = parseInt(req.params.reviewId);
+  const { sectionId, body, commentType, quote, start } = req.body;
+
+  if (isNaN(reviewId)) {
+    return invalidId(res, 'review');
+  }
+
+  try {
+    const comment = await getReviewService().addComment(reviewId, { sectionId, body, commentType, quote, start }, req.user.id);
+    if (!comment) {
+      return notFound(res, 'Review');
+    }
+
+    res.status(201).json({
+      success: true,
+      data: comment
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route PUT /api/reviews/comments/:commentId
+ * @desc Edit your comment (body, commentType)
+ * @access Private
+ */
+router.put('/comments/:commentId', canReview, asyncHandler(async (req, res) => {
+  const commentId = parseInt(req.params.commentId);
+  const { body, commentType } = req.body;
+
+  if (isNaN(commentId)) {
+    return invalidId(res, 'comment');
+  }
+
+  try {
+    const comment = await getReviewService().updateComment(commentId, { body, commentType }, req.user.id);
+    if (!comment) {
+      return notFound(res, 'Comment');
+    }
+
+    res.json({
+      success: true,
+      data: comment
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route POST /api/reviews/comments/:commentId/resolve
+ * @desc Resolve a comment, mark it won't fix (note required), or reopen it (status: resolved, wont_fix, open)
+ * @access Private
+ */
+router.post('/comments/:commentId/resolve', sanitizeInput, canEdit, asyncHandler(async (req, res) => {
+  const commentId = parseInt(req.params.commentId);
+  const { status = 'resolved', note } = req.body;
+
+  if (isNaN(commentId)) {
+    return invalidId(res, 'comment');
+  }
+
+  try {
+    const comment = await getReviewService().resolveComment(commentId, { status, note }, req.user.id);
+    if (!comment) {
+      return notFound(res, 'Comment');
+    }
+
+    res.json({
+      success: true,
+      data: comment
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route DELETE /api/reviews/comments/:commentId
+ * @desc Delete your comment
+ * @access Private
+ */
+router.delete('/comments/:commentId', canReview, asyncHandler(async (req, res) => {
+  const commentId = parseInt(req.params.commentId);
+
+  if (isNaN(commentId)) {
+    return invalidId(res, 'comment');
+  }
+
+  try {
+    const deleted = await getReviewService().deleteComment(commentId, req.user.id);
+    if (!deleted) {
+      return notFound(res, 'Comment');
+    }
+
+    res.json({
+      success: true,
+      message: 'Comment deleted'
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route PUT /api/reviews/:reviewId/scores
+ * @desc Rate a section against one of its evaluation factors (sectionId, factorId, rating; optional rationale, strengths, weaknesses)
+ * @access Private
+ */
+router.put('/:reviewId/scores', canReview, asyncHandler(async (req, res) => {
+  const reviewId = parseInt(req.params.reviewId);
+  const { sectionId, factorId, rating, rationale, strengths, weaknesses } = req.body;
+
+  if (isNaN(reviewId)) {
+    return invalidId(res, 'review');
+  }
+
+  try {
+    const score = await getReviewService().scoreSection(reviewId, {
+      sectionId,
+      factorId,
+      rating,
+      rationale,
+      strengths,
+      weaknesses
+    }, req.user.id);
+
+    if (!score) {
+      return notFound(res, 'Review');
+    }
+
+    res.json({
+      success: true,
+      data: score
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+/**
+ * @route GET /api/reviews/:reviewId/scorecard
+ * @desc Scores by section and factor with reviewer consensus, the AI pre-score and comment resolution progress
+ * @access Private
+ */
+router.get('/:reviewId/scorecard', asyncHandler(async (req, res) => {
+  const reviewId = parseInt(req.params.reviewId);
+
+  if (isNaN(reviewId)) {
+    return invalidId(res, 'review');
+  }
+
+  const scorecard = await getReviewService().getScorecard(reviewId);
+  if (!scorecard) {
+    return notFound(res, 'Review');
+  }
+
+  res.json({
+    success: true,
+    data: scorecard
+  });
+}));
+
+/**
+ * @route POST /api/reviews/:reviewId/ai-prescore
+ * @desc Queue the AI mock evaluator to pre-score every section (a color_review_prescore job; see /api/jobs)
+ * @access Private
+ */
+router.post('/:reviewId/ai-prescore', requireProjectPermission('run_ai'), asyncHandler(async (req, res) => {
+  const reviewId = parseInt(req.params.reviewId);
+
+  if (isNaN(reviewId)) {
+    return invalidId(res, 'review');
+  }
+
+  try {
+    const job = await getReviewService().requestAIPrescore(reviewId, req.user.id);
+    if (!job) {
+      return notFound(res, 'Review');
+    }
+
+    res.status(202).json({
+      success: true,
+      data: { job }
+    });
+  } catch (error) {
+    handleServiceError(error, res);
+  }
+}));
+
+module.exports = router;
@@ -6,23 +6,15 @@
 const express = require('express');
 const router = express.Router();
 const { Pool } = require('pg');
+const { authenticate, requireRole } = require('../middleware/auth');
 
 // Create database pool
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL || `postgresql://${process.env.DB_USER || 'govaiuser'}:${process.env.DB_PASSWORD || 'devpass123'}@${process.env.DB_HOST || 'localhost'}:${process.env.DB_PORT || 5432}/${process.env.DB_NAME || 'govai'}`
 });
 
-// Simple auth middleware placeholder - replace with proper auth when available
-const requireAuth = (req, res, next) => {
-  // For now, just pass through - in production, check JWT token
-  req.user = { id: 1, email: 'admin@agency.gov' }; // Mock user
-  next();
-};
-
-const requireAdmin = (req, res, next) => {
-  // For now, just pass through - in production, check user role
-  next();
-};
+const requireAuth = authenticate;
+const requireAdmin = requireRole('admin');
 
 // Simple logger placeholder
 const logger = {
@@ -3,158 +3,420 @@
  * Epic 3: AI-powered proposal writing and content generation
  */
 
-const axios = require('axios');
 const logger = require('../utils/logger');
 const PersonasService = require('./PersonasService');
 const ContextService = require('./ContextService');
 const PromptCompilerService = require('./PromptCompilerService');
+const LLMService = require('./LLMService');
+const RetrievalService = require('./RetrievalService');
+const AuditService = require('./AuditService');
+const TokenizerService = require('./TokenizerService');
+const PromptTemplateService = require('./PromptTemplateService');
+const PermissionService = require('./PermissionService');
+const ThinkingStreamParser = require('../utils/thinkingStreamParser');
+
+// Earlier chat turns folded into the prompt, newest kept first when over budget (writing model tokens)
+const CONVERSATION_TOKEN_BUDGET = 1500;
+const CONVERSATION_RESPONSE_CHARS = 1500;
+
+const PROVIDER_LABELS = {
+  ollama: 'Ollama',
+  'openai-compatible': 'OpenAI-compatible',
+  mock: 'Mock'
+};
 
 class AIWritingService {
   constructor() {
-    this.ollamaUrl = process.env.OLLAMA_URL || 'http://localhost:11434';
-    this.defaultModel = process.env.OLLAMA_MODEL || 'gemma2:9b';
+    this.llmService = new LLMService();
     this.personasService = new PersonasService();
     this.contextService = new ContextService();
+    this.retrievalService = new RetrievalService();
     this.promptCompiler = new PromptCompilerService();
+    this.auditService = new AuditService();
+    this.tokenizerService = new TokenizerService();
+    this.promptTemplateService = new PromptTemplateService({ promptCompiler: this.promptCompiler });
+    this.permissionService = new PermissionService();
   }
 
   /**
    * Generate proposal section content
    */
   async generateSection(prompt, sectionType, requirements = {}) {
+    let request = null;
+    const startedAt = Date.now();
     try {
-      logger.info(`Generating content with persona: ${requirements.personaId || 'default'}`);
+      request = await this.buildGenerationRequest(prompt, { sectionType, ...requirements });
 
-      // Get project context if available
-      const projectName = requirements.projectContext?.title || requirements.projectName || 'AI Writing Test Project';
-      const documentType = requirements.projectContext?.documentType || requirements.documentType || 'solicitations';
+      const response = await this.callModel({
+        model: request.model,
+        prompt: request.prompt,
+        options: request.options
+      });
 
-      let contextData = null;
-      try {
-        logger.info(`Looking for context: project="${projectName}", docType="${documentType}"`);
-        const context = await this.contextService.getProjectContext(projectName, documentType);
-        if (context && context.contextData) {
-          contextData = context;
-          logger.info(`Found context with ${contextData.documentCount || 0} documents`);
-        } else if (context && context.status === 'building') {
-          logger.info(`Context is building for ${projectName}/${documentType}`);
-          // For now, fall back to simple document loading while context builds
-          const documentManager = require('./DocumentManagerService');
-          const docManager = new documentManager();
-          const documents = await docManager.documentModel.list({
-            projectName: projectName,
-            status: 'active'
-          }, { limit: 3 });
-
-          if (documents.documents && documents.documents.length > 0) {
-            const documentContents = [];
-            for (const doc of documents.documents) {
-              try {
-                const content = await docManager.extractDocumentText(doc.path);
-                if (content && content.trim()) {
-                  documentContents.push({
-                    filename: doc.originalName || doc.filename,
-                    content: content.substring(0, 4000) // Smaller limit as fallback
-                  });
-                }
-              } catch (docError) {
-                logger.warn(`Could not extract content from ${doc.filename}: ${docError.message}`);
-              }
-            }
-            if (documentContents.length > 0) {
-              contextData = {
-                documents: documentContents,
-                documentCount: documentContents.length
-              };
-              logger.info(`Using fallback context with ${documentContents.length} documents`);
-            }
-          }
-        } else {
-          logger.info(`No context found for ${projectName}/${documentType}`);
+      // Process response based on showThinking setting
+      let processedContent = response;
+      if (!requirements.showThinking && this.hasThinkingTags(response)) {
+        processedContent = this.removeThinkingContent(response);
+      }
+
+      logger.info(`Generated ${response.length} characters for ${sectionType}`);
+
+      const result = this.buildGenerationResult(processedContent, sectionType, requirements, request.model, request.retrieval);
+      result.generationId = await this.recordTemplateGeneration(request, result, { sectionType, ...requirements }, startedAt);
+      await this.auditGeneration(prompt, requirements, request, result);
+      return result;
+
+    } catch (error) {
+      logger.error(`Error generating ${sectionType} section: ${error.message}`);
+      await this.auditGeneration(prompt, requirements, request, null, 'failed', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate proposal section content token-by-token
+   * Emits start, token, thinking_start, thinking_end and a final done (or cancelled) event
+   * @param {string} prompt - User prompt
+   * @param {string} sectionType - Section type being written
+   * @param {Object} requirements - Same options accepted by generateSection
+   * @param {Object} stream - { onEvent: Function, signal: AbortSignal }
+   */
+  async streamSection(prompt, sectionType, requirements = {}, { onEvent, signal } = {}) {
+    const emit = onEvent || (() => {});
+    const parser = new ThinkingStreamParser();
+    const showThinking = requirements.showThinking || false;
+    let rawResponse = '';
+    let request = null;
+    const startedAt = Date.now();
+
+    const forward = (events) => {
+      for (const event of events) {
+        if (event.type === 'token' && event.thinking && !showThinking) {
+          continue;
         }
-      } catch (error) {
-        logger.warn(`Could not load context: ${error.message}`);
+        emit(event);
       }
+    };
 
-      // Build the prompt based on mode and available context
-      let finalPrompt = prompt;
-      let systemPrompt = '';
-      let temperature = 0.7;
-
-      if (requirements.noHallucinations && contextData) {
-        // Pure RAG mode - use documents only and require citations
-        systemPrompt = 'You are a helpful assistant that ONLY answers based on the provided documents. Always cite your sources using [Source: filename, section] format. If the answer cannot be found in the provided documents, say "I cannot find this information in the provided documents."';
-
-        // Add document context
-        const documentContext = this.buildContextString(contextData);
-        finalPrompt = `${documentContext}\n\nQuestion: ${prompt}`;
-        temperature = 0.3; // Lower temperature for more factual responses
-
-        logger.info(`Using RAG mode with ${contextData.documentCount || 0} documents`);
-      } else if (contextData && !requirements.noHallucinations) {
-        // Augmented mode - use documents to inform creative writing
-        const promptContext = {
-          project: requirements.projectContext || {},
-          user: requirements.user || {},
-          customVariables: requirements.customVariables || {}
-        };
-        systemPrompt = await this.getPersonaSystemPrompt(requirements.personaId, promptContext);
+    try {
+      request = await this.buildGenerationRequest(prompt, { sectionType, ...requirements });
+
+      emit({
+        type: 'start',
+        model: request.model,
+        sectionType,
+        startedAt: new Date().toISOString()
+      });
+
+      await this.callModelStream({
+        model: request.model,
+        prompt: request.prompt,
+        options: request.options
+      }, {
+        signal,
+        onToken: (token) => {
+          rawResponse += token;
+          forward(parser.push(token));
+        }
+      });
 
-        // Add context as reference material
-        const documentContext = this.buildContextString(contextData);
-        const contextualSystemPrompt = `${systemPrompt}\n\nREFERENCE MATERIAL:\n${documentContext}\n\nUse the reference material to inform your response, but you can also draw from your general knowledge. Prioritize information from the reference documents when relevant.`;
+      forward(parser.flush());
 
-        finalPrompt = prompt;
-        systemPrompt = contextualSystemPrompt;
-        temperature = 0.6; // Slightly lower temperature when using context
+      const processedContent = showThinking ? rawResponse : this.removeThinkingContent(rawResponse);
+      const result = this.buildGenerationResult(processedContent, sectionType, requirements, request.model, request.retrieval);
+      result.generationId = await this.recordTemplateGeneration(request, result, { sectionType, ...requirements }, startedAt);
 
-        logger.info(`Using augmented mode with ${contextData.documentCount || 0} documents`);
-      } else {
-        // Normal mode - persona only, no context
-        const promptContext = {
-          project: requirements.projectContext || {},
-          user: requirements.user || {},
-          customVariables: requirements.customVariables || {}
-        };
-        systemPrompt = await this.getPersonaSystemPrompt(requirements.personaId, promptContext);
-        finalPrompt = prompt;
+      logger.info(`Streamed ${rawResponse.length} characters for ${sectionType}`);
+      await this.auditGeneration(prompt, requirements, request, result);
+      emit({ type: 'done', ...result });
+
+      return result;
 
-        logger.info(`Using normal mode without context`);
+    } catch (error) {
+      if (signal && signal.aborted) {
+        logger.info(`Generation cancelled for ${sectionType} after ${rawResponse.length} characters`);
+        const partialContent = showThinking ? rawResponse : this.removeThinkingContent(rawResponse);
+        emit({ type: 'cancelled', partialContent });
+        const partialResult = this.buildGenerationResult(partialContent, sectionType, requirements, request ? request.model : null);
+        await this.auditGeneration(prompt, requirements, request, partialResult, 'cancelled');
+        return null;
       }
 
-      const response = await this.callOllama({
-        model: requirements.model || this.defaultModel,
-        prompt: `${systemPrompt}\n\n${finalPrompt}`,
-        stream: false,
-        options: {
-          temperature: temperature,
-          top_p: 0.9,
-          max_tokens: 2000
-        }
+      logger.error(`Error streaming ${sectionType} section: ${error.message}`);
+      emit({ type: 'error', message: error.message });
+      await this.auditGeneration(prompt, requirements, request, null, 'failed', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a generation to the audit trail (requirements.auditContext says who asked, from where)
+   * @param {string} status - completed, cancelled or failed
+   */
+  async auditGeneration(prompt, requirements, request, result, status = 'completed', error = null) {
+    const documents = request && request.contextData && request.contextData.documents;
+    await this.auditService.recordAIGeneration(requirements.auditContext || {}, {
+      prompt,
+      fullPrompt: request ? request.prompt : null,
+      requirements: { ...requirements, model: request ? request.model : requirements.model },
+      result,
+      sources: documents ? documents.map(document => ({ documentName: document.filename })) : [],
+      status,
+      error
+    });
+  }
+
+  /**
+   * Store a generation written with a prompt template so it can be rated and compared
+   * A failed save is logged but never fails the generation itself.
+   * @returns {number|null} Generation ID to rate, or null without a template
+   */
+  async recordTemplateGeneration(request, result, requirements, startedAt) {
+    if (!request.template) {
+      return null;
+    }
+
+    try {
+      return await this.promptTemplateService.recordGeneration(request.template, result, {
+        sectionType: requirements.sectionType,
+        sectionId: requirements.sectionId || null,
+        userId: requirements.auditContext ? requirements.auditContext.userId : null,
+        generationTimeMs: Date.now() - startedAt
       });
+    } catch (error) {
+      logger.error(`Error recording templated generation: ${error.message}`);
+      return null;
+    }
+  }
 
-      // Process response based on showThinking setting
-      let processedContent = response;
-      if (!requirements.showThinking && this.hasThinkingTags(response)) {
-        processedContent = this.removeThinkingContent(response);
+  /**
+   * Resolve context, persona and mode into the final model request
+   */
+  async buildGenerationRequest(prompt, requirements = {}) {
+    logger.info(`Generating content with persona: ${requirements.personaId || 'default'}`);
+
+    // Get project context if available
+    const projectName = requirements.projectContext?.title || requirements.projectName || 'AI Writing Test Project';
+    const documentType = requirements.projectContext?.documentType || requirements.documentType || 'solicitations';
+
+    // Passages, history and the assembled prompt are measured with this model's tokenizer
+    const model = requirements.model || await this.llmService.getModel('writing');
+    const counter = await this.tokenizerService.getCounter(model);
+
+    // A requested template, or the variant an experiment assigns, shapes what the model is asked
+    const template = await this.promptTemplateService.prepareGeneration(prompt, requirements, {
+      documentType,
+      project: requirements.projectContext || {},
+      user: requirements.user || {}
+    });
+    const request = template ? template.text : prompt;
+    if (template) {
+      logger.info(`Using prompt template "${template.assignment.templateName}" v${template.assignment.versionNumber}${template.assignment.variantLabel ? ` (experiment ${template.assignment.experimentId}, variant ${template.assignment.variantLabel})` : ''}`);
+    }
+
+    let contextData = null;
+    let retrieval = null;
+    try {
+      logger.info(`Looking for context: project="${projectName}", docType="${documentType}"`);
+      // Only what the requesting user may see goes into their prompt
+      const context = await this.contextService.getProjectContext(projectName, documentType, requirements.user || null);
+      if (context && context.contextData) {
+        contextData = context;
+        logger.info(`Found context with ${contextData.documentCount || 0} documents`);
+
+        // Narrow the context to the passages that answer this prompt (follow-up turns pass the
+        // previous question too, since "expand on that" alone retrieves nothing useful)
+        retrieval = await this.retrievePassages(projectName, documentType, requirements.retrievalQuery || prompt, model, requirements.user || null);
+        if (retrieval) {
+          contextData = {
+            passages: retrieval.passages,
+            documentCount: context.documentCount
+          };
+        }
+      } else if (context && context.status === 'building') {
+        logger.info(`Context is building for ${projectName}/${documentType}`);
+        // For now, fall back to simple document loading while context builds
+        const documentManager = require('./DocumentManagerService');
+        const docManager = new documentManager();
+        const documents = await docManager.documentModel.list({
+          projectName: projectName,
+          status: 'active'
+        }, { limit: 3 });
+        const visibleDocuments = requirements.user
+          ? await this.permissionService.filterDocuments(requirements.user, documents.documents || [])
+          : documents.documents || [];
+
+        if (visibleDocuments.length > 0) {
+          const documentContents = [];
+          for (const doc of visibleDocuments) {
+            try {
+              const content = await docManager.extractDocumentText(doc);
+              if (content && content.trim()) {
+                documentContents.push({
+                  filename: doc.originalName || doc.filename,
+                  content: content.substring(0, 4000) // Smaller limit as fallback
+                });
+              }
+            } catch (docError) {
+              logger.warn(`Could not extract content from ${doc.filename}: ${docError.message}`);
+            }
+          }
+          if (documentContents.length > 0) {
+            contextData = {
+              documents: documentContents,
+              documentCount: documentContents.length
+            };
+            logger.info(`Using fallback context with ${documentContents.length} documents`);
+          }
+        }
+      } else {
+        logger.info(`No context found for ${projectName}/${documentType}`);
       }
+    } catch (error) {
+      logger.warn(`Could not load context: ${error.message}`);
+    }
 
-      logger.info(`Generated ${response.length} characters for ${sectionType}`);
+    // Build the prompt based on mode and available context
+    let finalPrompt = request;
+    let systemPrompt = '';
+    let temperature = 0.7;
 
-      return {
-        content: processedContent,
-        sectionType,
-        wordCount: this.countWords(processedContent),
-        generatedAt: new Date().toISOString(),
-        model: requirements.model || this.defaultModel,
-        noHallucinations: requirements.noHallucinations || false,
-        showThinking: requirements.showThinking || false
+    if (requirements.noHallucinations && contextData) {
+      // Pure RAG mode - use documents only and require citations
+      systemPrompt = 'You are a helpful assistant that ONLY answers based on the provided documents. Always cite your sources using [Source: filename, section] format. If the answer cannot be found in the provided documents, say "I cannot find this information in the provided documents."';
+      if (contextData.passages) {
+        systemPrompt += ' Each passage is headed by its [Source: ...] tag; copy that tag exactly after every statement that relies on the passage, and cite only passages you actually used.';
+      }
+
+      // Add document context
+      const documentContext = this.buildContextString(contextData);
+      finalPrompt = `${documentContext}\n\nQuestion: ${request}`;
+      temperature = 0.3; // Lower temperature for more factual responses
+
+      logger.info(`Using RAG mode with ${contextData.documentCount || 0} documents`);
+    } else if (contextData && !requirements.noHallucinations) {
+      // Augmented mode - use documents to inform creative writing
+      const promptContext = {
+        project: requirements.projectContext || {},
+        user: requirements.user || {},
+        customVariables: requirements.customVariables || {},
+        sectionType: requirements.sectionType || null,
+        documentType
+      };
+      systemPrompt = await this.getPersonaSystemPrompt(requirements.personaId, promptContext);
+
+      // Add context as reference material
+      const documentContext = this.buildContextString(contextData);
+      const contextualSystemPrompt = `${systemPrompt}\n\nREFERENCE MATERIAL:\n${documentContext}\n\nUse the reference material to inform your response, but you can also draw from your general knowledge. Prioritize information from the reference documents when relevant.`;
+
+      finalPrompt = request;
+      systemPrompt = contextualSystemPrompt;
+      temperature = 0.6; // Slightly lower temperature when using context
+
+      logger.info(`Using augmented mode with ${contextData.documentCount || 0} documents`);
+    } else {
+      // Normal mode - persona only, no context
+      const promptContext = {
+        project: requirements.projectContext || {},
+        user: requirements.user || {},
+        customVariables: requirements.customVariables || {},
+        sectionType: requirements.sectionType || null,
+        documentType
       };
+      systemPrompt = await this.getPersonaSystemPrompt(requirements.personaId, promptContext);
+      finalPrompt = request;
+
+      logger.info(`Using normal mode without context`);
+    }
+
+    // Earlier turns of a chat session sit between the instructions and the new request
+    const conversation = this.buildConversationString(requirements.conversationHistory, counter.count);
+    const fullPrompt = [systemPrompt, conversation, finalPrompt].filter(Boolean).join('\n\n');
+    const promptTokens = counter.count(fullPrompt);
+
+    logger.info(`Assembled ${promptTokens}-token prompt for ${model}${counter.exact ? '' : ' (estimated)'}`);
+
+    return {
+      model,
+      prompt: fullPrompt,
+      promptTokens,
+      tokenizer: { family: counter.family, exact: counter.exact },
+      options: {
+        temperature: temperature,
+        top_p: 0.9,
+        max_tokens: 2000
+      },
+      contextData,
+      retrieval,
+      template: template ? template.assignment : null
+    };
+  }
 
+  /**
+   * Hybrid retrieval of the passages most relevant to a prompt
+   * @returns {Object|null} Retrieval result, or null to fall back to the whole cached context
+   */
+  async retrievePassages(projectName, documentType, prompt, model = null, user = null) {
+    try {
+      const retrieval = await this.retrievalService.retrieve({ projectName, documentType, query: prompt, model, user });
+      if (retrieval.passages.length === 0) {
+        logger.info(`No passages matched the prompt for ${projectName}/${documentType}; using cached context`);
+        return null;
+      }
+      return retrieval;
     } catch (error) {
-      logger.error(`Error generating ${sectionType} section: ${error.message}`);
-      throw error;
+      logger.warn(`Passage retrieval failed, using cached context: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Shape the metadata returned once a generation has finished
+   */
+  buildGenerationResult(content, sectionType, requirements, model, retrieval = null) {
+    const citations = this.extractSourceCitations(content);
+    const result = {
+      content,
+      sectionType,
+      wordCount: this.countWords(content),
+      citations,
+      generatedAt: new Date().toISOString(),
+      model,
+      noHallucinations: requirements.noHallucinations || false,
+      showThinking: requirements.showThinking || false
+    };
+
+    if (retrieval) {
+      result.sources = this.buildRetrievedSources(retrieval.passages, citations);
     }
+
+    return result;
+  }
+
+  /**
+   * Retrieved passages with their scores, flagged when the response cites them
+   */
+  buildRetrievedSources(passages, citations) {
+    return passages.map(passage => {
+      const documentName = (passage.documentName || '').toLowerCase();
+      const section = (passage.section || '').toLowerCase();
+      const cited = citations.some(citation =>
+        citation.source.toLowerCase() === documentName &&
+        (!citation.section || citation.section.toLowerCase() === section)
+      );
+
+      return {
+        passageNumber: passage.passageNumber,
+        documentId: passage.documentId,
+        documentName: passage.documentName,
+        section: passage.section,
+        page: passage.page,
+        chunkIndex: passage.chunkIndex,
+        score: passage.score,
+        rerankScore: passage.rerankScore !== undefined ? passage.rerankScore : null,
+        cited
+      };
+    });
   }
 
   /**
@@ -182,10 +444,8 @@ Please provide a structured analysis including:
 Format your response as structured text with clear headings.
 `;
 
-      const response = await this.callOllama({
-        model: this.defaultModel,
+      const response = await this.callModel({
         prompt: analysisPrompt,
-        stream: false,
         options: {
           temperature: 0.3,
           max_tokens: 1500
@@ -228,10 +488,8 @@ ${content}
 Please provide the improved version while maintaining the original structure and key points.
 `;
 
-      const response = await this.callOllama({
-        model: this.defaultModel,
+      const response = await this.callModel({
         prompt,
-        stream: false,
         options: {
           temperature: 0.5,
           max_tokens: 2000
@@ -284,10 +542,8 @@ Create a professional, compelling executive summary that:
 Keep it concise but comprehensive (2-3 paragraphs).
 `;
 
-      const response = await this.callOllama({
-        model: this.defaultModel,
+      const response = await this.callModel({
         prompt,
-        stream: false,
         options: {
           temperature: 0.6,
           max_tokens: 1200
@@ -343,7 +599,11 @@ Keep it concise but comprehensive (2-3 paragraphs).
             project: context.project || {},
             user: context.user || {},
             type: 'creative', // Mark as creative writing
-            customVariables: context.customVariables || {}
+            customVariables: context.customVariables || {},
+            // Rules scoped to personas, section types or document types match on these
+            personaId: persona.id ? String(persona.id) : null,
+            sectionType: context.sectionType || null,
+            documentType: context.documentType || null
           };
 
           // Only apply global prompt to creative writing (not strict RAG)
@@ -373,6 +633,18 @@ Keep it concise but comprehensive (2-3 paragraphs).
    * Build context string from processed context data
    */
   buildContextString(contextData) {
+    // Retrieved passages, each headed by the tag the model should cite
+    if (contextData && contextData.passages && contextData.passages.length > 0) {
+      return 'DOCUMENT CONTEXT:\n\n' + contextData.passages
+        .map(passage => `${passage.citation}\n${passage.content}`)
+        .join('\n\n---\n\n');
+    }
+
+    // Legacy support for old chunk-based structure
+    if (contextData && !contextData.documents && contextData.contextData && contextData.contextData.chunks) {
+      return this.buildChunkContextString(contextData.contextData.chunks);
+    }
+
     // Handle new simple document structure
     if (!contextData || !contextData.documents || contextData.documents.length === 0) {
       return 'No documents available.';
@@ -390,41 +662,44 @@ Keep it concise but comprehensive (2-3 paragraphs).
       }
     });
 
-    // Legacy support for old chunk-based structure
-    if (!contextData.documents && contextData.contextData && contextData.contextData.chunks) {
-      const chunks = contextData.contextData.chunks;
-      if (chunks.length === 0) {
-        return 'No document content available.';
-      }
+    return context;
+  }
 
-      context = 'DOCUMENT CONTEXT:\n\n';
+  /**
+   * Build context string from every cached chunk, grouped by document
+   */
+  buildChunkContextString(chunks) {
+    if (chunks.length === 0) {
+      return 'No document content available.';
+    }
 
-      // Group chunks by document for better organization
-      const chunksByDocument = {};
-      chunks.forEach(chunk => {
-        const docName = chunk.documentName || 'Unknown Document';
-        if (!chunksByDocument[docName]) {
-          chunksByDocument[docName] = [];
-        }
-        chunksByDocument[docName].push(chunk);
-      });
+    let context = 'DOCUMENT CONTEXT:\n\n';
 
-      // Build context string with proper citations
-      Object.keys(chunksByDocument).forEach(docName => {
-        context += `[Source: ${docName}]\n`;
+    // Group chunks by document for better organization
+    const chunksByDocument = {};
+    chunks.forEach(chunk => {
+      const docName = chunk.documentName || 'Unknown Document';
+      if (!chunksByDocument[docName]) {
+        chunksByDocument[docName] = [];
+      }
+      chunksByDocument[docName].push(chunk);
+    });
 
-        chunksByDocument[docName].forEach((chunk, index) => {
-          // Add section information if available
-          const sectionInfo = chunk.sectionType && chunk.sectionType !== 'general'
-            ? ` (${chunk.sectionType.replace('_', ' ')})`
-          : '';
+    // Build context string with proper citations
+    Object.keys(chunksByDocument).forEach(docName => {
+      context += `[Source: ${docName}]\n`;
 
-          context += `\nSection ${index + 1}${sectionInfo}:\n${chunk.content}\n`;
-        });
+      chunksByDocument[docName].forEach((chunk, index) => {
+        // Add section information if available
+        const sectionInfo = chunk.sectionType && chunk.sectionType !== 'general'
+          ? ` (${chunk.sectionType.replace('_', ' ')})`
+        : '';
 
-        context += '\n---\n\n';
+        context += `\nSection ${index + 1}${sectionInfo}:\n${chunk.content}\n`;
       });
-    }
+
+      context += '\n---\n\n';
+    });
 
     return context;
   }
@@ -450,6 +725,37 @@ Keep it concise but comprehensive (2-3 paragraphs).
     return context;
   }
 
+  /**
+   * Render earlier chat turns for the prompt
+   * Keeps the most recent turns that fit CONVERSATION_TOKEN_BUDGET; long answers are truncated.
+   * @param {Array} history - [{ userMessage, aiResponse }] in chronological order
+   * @param {Function} countTokens - Token counter for the writing model
+   * @returns {string} Conversation block, or '' when there is no history
+   */
+  buildConversationString(history, countTokens = TokenizerService.estimateTokens) {
+    if (!Array.isArray(history) || history.length === 0) {
+      return '';
+    }
+
+    const turns = [];
+    let tokens = 0;
+    for (let i = history.length - 1; i >= 0; i--) {
+      const response = history[i].aiResponse || '';
+      const turn = `User: ${history[i].userMessage}\nAssistant: ${response.length > CONVERSATION_RESPONSE_CHARS
+        ? `${response.substring(0, CONVERSATION_RESPONSE_CHARS)}...`
+        : response}`;
+      const turnTokens = countTokens(turn);
+
+      if (turns.length > 0 && tokens + turnTokens > CONVERSATION_TOKEN_BUDGET) {
+        break;
+      }
+      turns.unshift(turn);
+      tokens += turnTokens;
+    }
+
+    return `CONVERSATION SO FAR:\n${turns.join('\n\n')}\n\nContinue the conversation. The user's new message follows.`;
+  }
+
   /**
    * Build enhanced prompt with context (deprecated - keeping for compatibility)
    */
@@ -459,40 +765,23 @@ Keep it concise but comprehensive (2-3 paragraphs).
   }
 
   /**
-   * Call Ollama API
+   * Generate with the writing task's provider
+   * @param {Object} params - { model, prompt, options, format }
+   * @returns {Promise<string>} Generated text
    */
-  async callOllama(params) {
-    try {
-      // Increase timeout for larger models
-      const timeout = this.getModelTimeout(params.model);
-
-      const response = await axios.post(`${this.ollamaUrl}/api/generate`, params, {
-        timeout: timeout
-      });
-
-      return response.data.response || response.data.content || '';
-    } catch (error) {
-      if (error.code === 'ECONNREFUSED') {
-        throw new Error('Ollama service is not running. Please start Ollama and try again.');
-      }
-      throw new Error(`Ollama API error: ${error.message}`);
-    }
+  async callModel(params) {
+    const result = await this.llmService.generate('writing', params);
+    return result.text;
   }
 
   /**
-   * Get appropriate timeout for model based on size
+   * Stream with the writing task's provider
+   * @param {Object} params - { model, prompt, options }
+   * @param {Object} handlers - { onToken: Function, signal: AbortSignal }
+   * @returns {Promise<Object>} { model, provider, usage }
    */
-  getModelTimeout(modelName = '') {
-    // Large models (32B+) need more time
-    if (modelName.includes('70b') || modelName.includes('32b')) {
-      return 180000; // 3 minutes
-    }
-    // Medium models (14B) need moderate time
-    if (modelName.includes('14b') || modelName.includes('27b') || modelName.includes('33b')) {
-      return 120000; // 2 minutes
-    }
-    // Small to medium models (2B-9B) are faster
-    return 90000; // 1.5 minutes
+  async callModelStream(params, handlers = {}) {
+    return await this.llmService.generateStream('writing', params, handlers);
   }
 
   /**
@@ -526,6 +815,42 @@ Keep it concise but comprehensive (2-3 paragraphs).
     return requirements;
   }
 
+  /**
+   * Extract [Source: filename, section, p.N] citations from generated content
+   */
+  extractSourceCitations(content) {
+    const citations = [];
+    const seen = new Set();
+    const pattern = /\[Source:\s*([^,\]]+)(?:,\s*([^\]]+))?\]/gi;
+    let match;
+
+    while ((match = pattern.exec(content || '')) !== null) {
+      const key = match[0].toLowerCase();
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+
+      // A trailing page reference ("p.14", "pp.14-15") is split from the section
+      let section = match[2] ? match[2].trim() : null;
+      let page = null;
+      const pageMatch = section ? /(?:^|,\s*)(pp?\.\s*\d+(?:\s*[-–]\s*\d+)?)$/i.exec(section) : null;
+      if (pageMatch) {
+        page = pageMatch[1];
+        section = section.substring(0, pageMatch.index).trim() || null;
+      }
+
+      citations.push({
+        source: match[1].trim(),
+        section,
+        page,
+        text: match[0]
+      });
+    }
+
+    return citations;
+  }
+
   /**
    * Count words in text
    */
@@ -534,15 +859,10 @@ Keep it concise but comprehensive (2-3 paragraphs).
   }
 
   /**
-   * Check if Ollama service is available
+   * Check if the writing task's provider is reachable
    */
   async isAvailable() {
-    try {
-      await axios.get(`${this.ollamaUrl}/api/tags`, { timeout: 5000 });
-      return true;
-    } catch (error) {
-      return false;
-    }
+    return await this.llmService.isAvailable('writing');
   }
 
   /**
@@ -613,16 +933,17 @@ Keep it concise but comprehensive (2-3 paragraphs).
    */
   async getAvailableModels() {
     try {
-      const response = await axios.get(`${this.ollamaUrl}/api/tags`);
-      const ollamaModels = response.data.models || [];
+      const route = await this.llmService.resolveTask('writing');
+      const providerModels = await route.provider.listModels();
+      const providerLabel = PROVIDER_LABELS[route.providerName] || route.providerName;
 
-      // Transform Ollama model data to frontend format with enhanced descriptions
-      const models = ollamaModels.map(model => ({
+      // Transform provider model data to frontend format with enhanced descriptions
+      const models = providerModels.map(model => ({
         id: model.name,
         name: model.name,
-        provider: 'Ollama',
+        provider: providerLabel,
         size: model.size,
-        modified: model.modified_at,
+        modified: model.modifiedAt,
         description: this.getModelDescription(model.name),
         isRecommended: model.name === 'gemma2:9b'
       }));
@@ -638,7 +959,7 @@ Keep it concise but comprehensive (2-3 paragraphs).
     } catch (error) {
       logger.error(`Error getting models: ${error.message}`);
 
-      // Fallback to environment variable list or default models if Ollama API fails
+      // Fallback to environment variable list or default models if the provider is unreachable
       const envModels = process.env.OLLAMA_MODELS ?
         process.env.OLLAMA_MODELS.split(',').map(model => ({
           id: model.trim(),
@@ -0,0 +1,290 @@
+/**
+ * Audit Service
+ * Records who did what for the audit trail: AI generations (prompt, output, model and source
+ * documents), document access, admin changes and compliance matrix changes; searches, exports
+ * and verifies the hash chain for admins.
+ *
+ * Recording never fails the action being audited; a failed write is logged instead.
+ */
+
+const crypto = require('crypto');
+const AuditLog = require('../models/AuditLog');
+const { toCSV } = require('../utils/csv');
+const logger = require('../utils/logger');
+
+const AUDIT_CATEGORIES = {
+  AUTH: 'auth',
+  USER_MGMT: 'user_mgmt',
+  AI: 'ai',
+  DOCUMENT: 'document',
+  ADMIN: 'admin',
+  COMPLIANCE: 'compliance'
+};
+
+const EXPORT_FORMATS = ['csv', 'json'];
+const MAX_EXPORT_ROWS = 50000;
+
+const EXPORT_COLUMNS = [
+  { key: 'id', header: 'ID' },
+  { key: 'createdAt', header: 'Timestamp' },
+  { key: 'userId', header: 'User ID' },
+  { key: 'userEmail', header: 'User Email' },
+  { key: 'eventCategory', header: 'Category' },
+  { key: 'eventType', header: 'Event' },
+  { key: 'resourceType', header: 'Resource Type' },
+  { key: 'resourceId', header: 'Resource ID' },
+  { key: 'projectName', header: 'Project' },
+  { key: 'details', header: 'Details' },
+  { key: 'prevHash', header: 'Previous Hash' },
+  { key: 'rowHash', header: 'Row Hash' }
+];
+
+function serviceError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Who is acting and from where, from an Express request or a WebSocket upgrade request
+ * @returns {Object} { userId, ipAddress, userAgent }
+ */
+function requestContext(req, channel = null) {
+  if (!req) {
+    return { userId: null };
+  }
+
+  return {
+    userId: req.user ? req.user.id : null,
+    ipAddress: req.ip || (req.socket ? req.socket.remoteAddress : null) || null,
+    userAgent: (req.headers && req.headers['user-agent']) || null,
+    channel
+  };
+}
+
+function parseDate(value, label) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw serviceError(`${label} must be a date`, 400);
+  }
+  return date;
+}
+
+class AuditService {
+  constructor(options = {}) {
+    this.auditLog = options.auditLog || new AuditLog();
+  }
+
+  /**
+   * Append an event to the audit trail
+   * @param {Object} context - requestContext(req)
+   * @param {Object} event - { eventType, eventCategory, resourceType, resourceId, projectName, details }
+   * @returns {Object|null} Stored entry, or null when the write failed
+   */
+  async record(context = {}, event) {
+    try {
+      return await this.auditLog.append({
+        userId: context.userId || null,
+        eventType: event.eventType,
+        eventCategory: event.eventCategory,
+        resourceType: event.resourceType || null,
+        resourceId: event.resourceId === undefined ? null : event.resourceId,
+        projectName: event.projectName || null,
+        details: {
+          ...(event.details || {}),
+          ipAddress: context.ipAddress || undefined,
+          userAgent: context.userAgent || undefined,
+          channel: context.channel || undefined
+        }
+      });
+    } catch (error) {
+      logger.error(`Failed to write audit event ${event.eventType}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Record an AI generation: the prompt, the output, the model and the source documents used
+   * @param {Object} context - requestContext(req)
+   * @param {Object} generation - { prompt, fullPrompt, requirements, result, sources, status, error }
+   *   status is completed, cancelled or failed; sources covers generations without retrieval
+   */
+  async recordAIGeneration(context, { prompt, fullPrompt = null, requirements = {}, result = null, sources = [], status = 'completed', error = null }) {
+    const projectContext = requirements.projectContext || {};
+    const sourceDocuments = result && result.sources
+      ? result.sources.map(source => ({
+        documentId: source.documentId,
+        documentName: source.documentName,
+        section: source.section,
+        page: source.page,
+        cited: source.cited
+      }))
+      : sources;
+
+    return this.record(context, {
+      eventType: status === 'completed' ? 'ai_generation' : `ai_generation_${status}`,
+      eventCategory: AUDIT_CATEGORIES.AI,
+      resourceType: requirements.sectionId ? 'proposal_section' : (requirements.chatSessionId ? 'chat_session' : null),
+      resourceId: requirements.sectionId || requirements.chatSessionId || null,
+      projectName: projectContext.title || requirements.projectName || null,
+      details: {
+        model: (result && result.model) || requirements.model || null,
+        personaId: requirements.personaId || null,
+        sectionType: (result && result.sectionType) || null,
+        noHallucinations: Boolean(requirements.noHallucinations),
+        prompt,
+        // The compiled prompt includes persona instructions and retrieved passages; its hash
+        // identifies exactly what the model saw without storing the reference material again
+        fullPromptSha256: fullPrompt ? crypto.createHash('sha256').update(fullPrompt).digest('hex') : null,
+        output: result ? result.content : null,
+        wordCount: result ? result.wordCount : null,
+        sources: sourceDocuments,
+        citations: result ? result.citations || [] : [],
+        error: error ? error.message : null
+      }
+    });
+  }
+
+  /**
+   * Record a document being downloaded, read or having its visibility changed
+   * @param {Object} context - requestContext(req)
+   * @param {Object} document - Formatted document ({ id, originalName, projectName, category })
+   * @param {string} action - downloaded, viewed, access_changed, ...
+   */
+  async recordDocumentAccess(context, document, action, details = {}) {
+    return this.record(context, {
+      eventType: `document_${action}`,
+      eventCategory: AUDIT_CATEGORIES.DOCUMENT,
+      resourceType: 'document',
+      resourceId: document.id,
+      projectName: document.projectName || null,
+      details: {
+        documentName: document.originalName || document.filename || null,
+        documentType: document.category || null,
+        ...details
+      }
+    });
+  }
+
+  /**
+   * Record an admin configuration change (personas, global prompts, settings)
+   * @param {Object} context - requestContext(req)
+   * @param {Object} change - { eventType, resourceType, resourceId, before, after }
+   */
+  async recordAdminChange(context, { eventType, resourceType, resourceId = null, before = null, after = null, details = {} }) {
+    return this.record(context, {
+      eventType,
+      eventCategory: AUDIT_CATEGORIES.ADMIN,
+      resourceType,
+      resourceId,
+      details: { ...details, before, after }
+    });
+  }
+
+  /**
+   * Record a compliance matrix, or one of its requirements, being generated or changed
+   * @param {Object} context - requestContext(req)
+   * @param {Object} change - { eventType, projectName, resourceType, resourceId, before, after }
+   */
+  async recordComplianceChange(context, { eventType, projectName = null, resourceType = 'compliance_matrix', resourceId = null, before = null, after = null, details = {} }) {
+    return this.record(context, {
+      eventType,
+      eventCategory: AUDIT_CATEGORIES.COMPLIANCE,
+      resourceType,
+      resourceId,
+      projectName,
+      details: { ...details, before, after }
+    });
+  }
+
+  /**
+   * Parse and validate search filters
+   * @throws 400 for unparseable dates or IDs
+   */
+  parseFilters(query = {}) {
+    const userId = query.userId ? parseInt(query.userId) : null;
+    if (query.userId && isNaN(userId)) {
+      throw serviceError('userId must be a number', 400);
+    }
+    if (query.eventCategory && !Object.values(AUDIT_CATEGORIES).includes(query.eventCategory)) {
+      throw serviceError(`Invalid eventCategory. Must be one of: ${Object.values(AUDIT_CATEGORIES).join(', ')}`, 400);
+    }
+
+    return {
+      userId,
+      eventType: query.eventType || null,
+      eventCategory: query.eventCategory || null,
+      resourceType: query.resourceType || null,
+      resourceId: query.resourceId || null,
+      projectName: query.projectName || null,
+      from: parseDate(query.from, 'from'),
+      to: parseDate(query.to, 'to'),
+      search: query.search || null
+    };
+  }
+
+  /**
+   * Search the audit trail
+   * @returns {Object} { entries, total }
+   */
+  async search(query = {}, { limit = 50, offset = 0 } = {}) {
+    const filters = this.parseFilters(query);
+    return this.auditLog.search(filters, {
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 500),
+      offset: Math.max(parseInt(offset) || 0, 0)
+    });
+  }
+
+  async getEntry(id) {
+    const entry = await this.auditLog.getById(id);
+    if (!entry) {
+      throw serviceError('Audit entry not found', 404);
+    }
+    return entry;
+  }
+
+  /**
+   * Export matching entries (newest first, up to MAX_EXPORT_ROWS)
+   * @param {Object} query - Search filters
+   * @param {string} format - csv or json
+   * @returns {Object} { contentType, filename, body, count, truncated }
+   */
+  async exportEntries(query = {}, format = 'csv') {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw serviceError(`Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`, 400);
+    }
+
+    const filters = this.parseFilters(query);
+    const { entries, total } = await this.auditLog.search(filters, { limit: MAX_EXPORT_ROWS, offset: 0 });
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    return {
+      contentType: format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json',
+      filename,
+      body: format === 'csv'
+        ? toCSV(entries, EXPORT_COLUMNS)
+        : JSON.stringify({ exportedAt: new Date().toISOString(), filters: query, total, entries }, null, 2),
+      count: entries.length,
+      truncated: total > entries.length
+    };
+  }
+
+  /**
+   * Recompute the hash chain
+   */
+  async verifyChain() {
+    const result = await this.auditLog.verifyChain();
+    if (!result.valid) {
+      logger.warn(`Audit chain verification failed at row ${result.firstInvalid.id}: ${result.firstInvalid.problem}`);
+    }
+    return result;
+  }
+}
+
+AuditService.AUDIT_CATEGORIES = AUDIT_CATEGORIES;
+AuditService.requestContext = requestContext;
+
+module.exports = AuditService;
@@ -10,6 +10,8 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { Pool } = require('pg');
 const { v4: uuidv4 } = require('uuid');
+const AuditLog = require('../models/AuditLog');
+const NotificationService = require('./NotificationService');
 
 class AuthService {
     constructor(pool) {
@@ -24,6 +26,8 @@ class AuthService {
         this.jwtSecret = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
         this.jwtExpiry = process.env.JWT_EXPIRES_IN || '8h';
         this.refreshExpiry = process.env.REFRESH_TOKEN_EXPIRES_IN || '30d';
+        this.auditLog = new AuditLog(this.pool);
+        this.notificationService = new NotificationService();
 
         this.setupPassport();
     }
@@ -415,22 +419,40 @@ class AuthService {
     }
 
     async logAuditEvent(userId, eventType, eventCategory, resourceType, resourceId, details, client = null) {
-        const query = `
-            INSERT INTO audit_logs (user_id, event_type, event_category, resource_type, resource_id, details, created_at)
-            VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
-        `;
-
-        const params = [userId, eventType, eventCategory, resourceType, resourceId, JSON.stringify(details)];
-
-        if (client) {
-            await client.query(query, params);
-        } else {
-            await this.pool.query(query, params);
-        }
+        // Appended to the hash-chained audit trail; inside a transaction the row commits with it
+        await this.auditLog.append({
+            userId,
+            eventType,
+            eventCategory,
+            resourceType,
+            resourceId,
+            details
+        }, client);
     }
 
     async notifyAdminsOfPendingUser(user) {
         console.log(`New user pending approval: ${user.email} (${user.oauth_provider})`);
+
+        try {
+            const admins = await this.pool.query(`
+                SELECT u.email FROM users u
+                JOIN roles r ON u.role_id = r.id
+                WHERE r.name = 'admin' AND u.status = 'active'
+            `);
+
+            await this.notificationService.sendEmail({
+                to: admins.rows.map(admin => admin.email),
+                subject: `New user awaiting approval: ${user.email}`,
+                text: [
+                    `${user.full_name || user.email} (${user.email}) signed in with ${user.oauth_provider} and is waiting for approval.`,
+                    '',
+                    `Review pending users: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`
+                ].join('\n')
+            });
+        } catch (error) {
+            // Sign-up must not fail because admins could not be notified
+            console.error('Failed to notify admins of pending user:', error.message);
+        }
     }
 
     async approveUser(userId, approverId, roleId) {
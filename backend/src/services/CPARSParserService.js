@@ -0,0 +1,304 @@
+/**
+ * CPARS Parser Service
+ * Reads CPARS evaluations and customer past performance questionnaires: the evaluation period,
+ * the rating given for each evaluation factor and the assessor's narrative for it (kept verbatim
+ * so writers can quote it), plus the assessing official's recommendation.
+ */
+
+// Evaluation factors in report order; labels are matched at the start of a line
+const FACTORS = [
+    { key: 'quality', label: 'Quality', pattern: 'quality(?:\\s+of\\s+(?:products?|services?|work)(?:\\s*\\/\\s*services?)?)?' },
+    { key: 'schedule', label: 'Schedule', pattern: 'schedule|timeliness' },
+    { key: 'costControl', label: 'Cost Control', pattern: 'cost\\s+control|cost\\s+management' },
+    { key: 'management', label: 'Management', pattern: '(?:business\\s+relations\\s*\\/\\s*)?management(?:\\s+of\\s+key\\s+personnel)?|business\\s+relations' },
+    { key: 'smallBusiness', label: 'Small Business', pattern: 'small\\s+business(?:\\s+(?:subcontracting|utilization))?' },
+    { key: 'regulatoryCompliance', label: 'Regulatory Compliance', pattern: 'regulatory\\s+compliance' }
+];
+
+// Headings that end a factor narrative
+const SECTION_HEADINGS = [
+    'assessing\\s+official',
+    'reviewing\\s+official',
+    'contractor\\s*(?:\'s)?\\s+(?:comments|response|representative)',
+    'recommendation',
+    'additional\\s+(?:information|comments)',
+    'other\\s+(?:areas|comments)',
+    'overall\\s+(?:assessment|rating|comments)',
+    'name\\s+and\\s+title',
+    'signature',
+    'evaluation\\s+areas'
+];
+
+// Assessor language stops where the contractor's rebuttal begins
+const CONTRACTOR_COMMENTS = /^[ \t]*(?:\d+[.)]?[ \t]*)?contractor\s*(?:'s)?\s+(?:comments|response)/im;
+
+// Adjectival ratings, CPARS scale first; questionnaire wording maps onto it (longest first)
+const RATING_WORDS = [
+    ['very good', 4], ['exceptional', 5], ['outstanding', 5], ['excellent', 5],
+    ['satisfactory', 3], ['acceptable', 3], ['unsatisfactory', 1], ['unacceptable', 1],
+    ['marginal', 2], ['poor', 2], ['good', 4]
+];
+// Questionnaire check-box abbreviations, only read when nothing but space follows
+const RATING_ABBREVIATIONS = [['vg', 4], ['e', 5], ['s', 3], ['m', 2], ['u', 1]];
+const RATING_LABELS = { 5: 'Exceptional', 4: 'Very Good', 3: 'Satisfactory', 2: 'Marginal', 1: 'Unsatisfactory' };
+
+// A rating ends at punctuation, a line break, a table gap or the next rating, so a narrative
+// opening with "Good communication..." is not read as a rating
+const WORDS = RATING_WORDS.map(([word]) => word.replace(' ', '\\s+')).join('|');
+const RATING_PATTERN = new RegExp(
+    `^(?:rating[ \\t]*[:\\-]?[ \\t]*)?(?:(${WORDS})(?=[ \\t]*$|[ \\t]*[\\n.:;,\\-–)\\]]|\\t|[ \\t]{2,}|[ \\t]+(?:${WORDS})(?![a-z]))` +
+    `|(${RATING_ABBREVIATIONS.map(([abbreviation]) => abbreviation).join('|')})(?=[ \\t]*$|[ \\t]*[\\n,;)\\]]|\\t|[ \\t]{2,}))`,
+    'i'
+);
+const NOT_RATED = /^(?:n\/a|not\s+applicable|not\s+rated|not\s+evaluated)(?![a-z])/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DATE = '\\d{1,2}\\/\\d{1,2}\\/\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|[a-z]{3,9}\\.?\\s+\\d{1,2},?\\s+\\d{4}|\\d{1,2}[\\s-][a-z]{3,9}[\\s-]\\d{4}';
+const PERIOD_PATTERN = new RegExp(
+    `(?:period\\s+of\\s+performance(?:\\s+being\\s+(?:assessed|evaluated))?|evaluation\\s+period|assessment\\s+period|period\\s+(?:assessed|evaluated|covered))` +
+    `[^\\n\\d]{0,20}?(${DATE})\\s*(?:-|–|to|through|thru)\\s*(${DATE})`,
+    'i'
+);
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * A date as written in an evaluation, as YYYY-MM-DD (null when unreadable)
+ */
+function parseDate(text) {
+    let year;
+    let month;
+    let day;
+    let match;
+
+    if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/))) {
+        [, month, day, year] = match.map(Number);
+        year = year < 100 ? 2000 + year : year;
+    } else if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+        [, year, month, day] = match.map(Number);
+    } else if ((match = text.match(/^([a-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})$/i))) {
+        month = MONTHS.indexOf(match[1].slice(0, 3).toLowerCase()) + 1;
+        day = Number(match[2]);
+        year = Number(match[3]);
+    } else if ((match = text.match(/^(\d{1,2})[\s-]([a-z]{3,9})[\s-](\d{4})$/i))) {
+        day = Number(match[1]);
+        month = MONTHS.indexOf(match[2].slice(0, 3).toLowerCase()) + 1;
+        year = Number(match[3]);
+    }
+
+    if (!year || month < 1 || month > 12 || day < 1 || day > 31) {
+        return null;
+    }
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Whitespace runs (PDF line wraps) collapsed; the assessor's words are left as written
+ */
+function collapse(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Rating stated at the start of a passage
+ * @returns {Object|null} { rating, score, statedAs, length } or { rating: null, notRated: true, length }
+ */
+function leadingRating(text) {
+    const notRated = text.match(NOT_RATED);
+    if (notRated) {
+        return { rating: null, score: null, statedAs: notRated[0], notRated: true, length: notRated[0].length };
+    }
+
+    const match = text.match(RATING_PATTERN);
+    if (!match) {
+        return null;
+    }
+    const statedAs = match[1] || match[2];
+    const stated = collapse(statedAs).toLowerCase();
+    const score = [...RATING_WORDS, ...RATING_ABBREVIATIONS].find(([word]) => word === stated)[1];
+    return { rating: RATING_LABELS[score], score, statedAs, length: match[0].length };
+}
+
+class CPARSParserService {
+    constructor(options = {}) {
+        // Narratives shorter than this are form residue (e.g. a repeated rating), not assessor language
+        this.minNarrativeLength = options.minNarrativeLength || 40;
+    }
+
+    /**
+     * Which kind of evaluation a document is
+     * @returns {string|null} cpars, questionnaire or null
+     */
+    detect(text) {
+        if (/\bCPARS?\b|contractor\s+performance\s+assessment\s+report/i.test(text)) {
+            return 'cpars';
+        }
+        if (/past\s+performance\s+(?:questionnaire|survey)|\bPPQ\b|customer\s+(?:reference\s+)?questionnaire/i.test(text)) {
+            return 'questionnaire';
+        }
+        return null;
+    }
+
+    /**
+     * Parse an evaluation
+     * @param {string} text - Extracted document text
+     * @param {Object} options - { kind: assume this kind when the text does not say (e.g. from the file name) }
+     * @returns {Object|null} { kind, evaluationType, contractNumber, period: { start, end }, ratings,
+     *   narratives, averageScore, overallRating, recommendation }, or null when the text is neither
+     *   an evaluation nor rates any factor
+     */
+    parse(text, options = {}) {
+        if (!text || !text.trim()) {
+            return null;
+        }
+
+        const normalized = text.replace(/\r\n?/g, '\n');
+        const factors = this.parseFactors(normalized);
+        const kind = this.detect(normalized) || options.kind || null;
+        const rated = Object.values(factors.ratings).filter(rating => rating.score);
+
+        if (!kind && rated.length === 0) {
+            return null;
+        }
+
+        const averageScore = rated.length > 0
+            ? Math.round((rated.reduce((sum, rating) => sum + rating.score, 0) / rated.length) * 100) / 100
+            : null;
+
+        return {
+            kind: kind || 'questionnaire',
+            evaluationType: this.parseEvaluationType(normalized),
+            contractNumber: this.parseContractNumber(normalized),
+            period: this.parsePeriod(normalized),
+            ratings: factors.ratings,
+            narratives: factors.narratives,
+            averageScore,
+            overallRating: averageScore ? RATING_LABELS[Math.round(averageScore)] : null,
+            recommendation: this.parseRecommendation(normalized)
+        };
+    }
+
+    /**
+     * Ratings and narratives per factor from the assessor's part of the document
+     * A factor heading followed only by ratings (the evaluation summary table) sets the rating;
+     * one followed by prose supplies the narrative, and its leading rating when no table did.
+     * Summary tables list the past rating before the current one, so the last rating wins there.
+     */
+    parseFactors(text) {
+        const contractorComments = text.search(CONTRACTOR_COMMENTS);
+        const assessorText = contractorComments >= 0 ? text.slice(0, contractorComments) : text;
+
+        const headingPattern = new RegExp(
+            `^[ \\t]*(?:\\d+[.)]?[ \\t]*)?(?:[a-z][.)][ \\t]*)?(?:(${FACTORS.map(factor => `(?:${factor.pattern})`).join('|')})|(${SECTION_HEADINGS.join('|')}))[ \\t]*(?:rating)?[ \\t]*(?::|-|–|\\t|[ \\t]{2,}|$)`,
+            'gim'
+        );
+
+        const headings = [];
+        let match;
+        while ((match = headingPattern.exec(assessorText)) !== null) {
+            const factor = match[1]
+                ? FACTORS.find(candidate => new RegExp(`^(?:${candidate.pattern})$`, 'i').test(collapse(match[1])))
+                : null;
+            headings.push({ factor, start: match.index, end: match.index + match[0].length });
+        }
+
+        const ratings = {};
+        const narratives = {};
+
+        headings.forEach((heading, index) => {
+            if (!heading.factor) {
+                return;
+            }
+            const next = headings[index + 1];
+            // Line breaks matter until the ratings are read (they end a rating), then go
+            let passage = assessorText.slice(heading.end, next ? next.start : assessorText.length).replace(/^\s+/, '');
+            const { key, label } = heading.factor;
+
+            const stated = [];
+            let rating;
+            while ((rating = leadingRating(passage)) !== null) {
+                stated.push(rating);
+                passage = passage.slice(rating.length).replace(/^[\s.:;,\-–]+/, '');
+            }
+            passage = collapse(passage);
+
+            if (stated.length > 0 && (!ratings[key] || (passage === '' && stated.length > 1))) {
+                // Prose after a rating is its justification; a bare list is past then current
+                const current = passage === '' ? stated[stated.length - 1] : stated[0];
+                ratings[key] = {
+                    label,
+                    rating: current.rating,
+                    score: current.score,
+                    statedAs: current.statedAs
+                };
+            }
+
+            if (passage.length >= this.minNarrativeLength && !narratives[key]) {
+                narratives[key] = passage;
+            }
+        });
+
+        return { ratings, narratives };
+    }
+
+    parsePeriod(text) {
+        const match = text.match(PERIOD_PATTERN);
+        if (!match) {
+            return { start: null, end: null };
+        }
+        return { start: parseDate(match[1]), end: parseDate(match[2]) };
+    }
+
+    parseEvaluationType(text) {
+        const match = text.match(/(?:evaluation|assessment|report)\s+type[^a-z\n]{0,5}(interim|final|addendum|out[\s-]of[\s-]period)/i);
+        if (!match) {
+            return null;
+        }
+        const type = match[1].toLowerCase().replace(/\s+/g, '-');
+        return type.charAt(0).toUpperCase() + type.slice(1);
+    }
+
+    parseContractNumber(text) {
+        const match = text.match(/contract\s+(?:number|no\.?|#)[^A-Z0-9\n]{0,5}([A-Z0-9][A-Z0-9-]{5,})/i);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * The assessing official's recommendation sentence
+     * @returns {Object|null} { recommended, text }
+     */
+    parseRecommendation(text) {
+        const sentences = collapse(text).split(/(?<=[.!?])\s+/);
+        const sentence = sentences.find(candidate => /\b(?:would|would\s+not|wouldn't|do\s+not|don't)\s+recommend\b/i.test(candidate));
+        if (sentence) {
+            return {
+                recommended: !/\b(?:would\s+not|wouldn't|do\s+not|don't)\s+recommend\b/i.test(sentence),
+                text: sentence
+            };
+        }
+
+        const answer = collapse(text).match(/recommend[^?.:]{0,120}[?:]\s*(yes|no)\b/i);
+        return answer ? { recommended: answer[1].toLowerCase() === 'yes', text: answer[0] } : null;
+    }
+
+    /**
+     * The rating a record has demonstrated: the most recent evaluation with rated factors
+     * (by period end, then parse time)
+     * @param {Array} evaluations - Stored evaluations
+     * @returns {Object|null} The evaluation whose averageScore stands for the record
+     */
+    static latestRated(evaluations = []) {
+        const rated = evaluations.filter(evaluation => evaluation.averageScore);
+        if (rated.length === 0) {
+            return null;
+        }
+        const order = evaluation => `${(evaluation.period && evaluation.period.end) || ''}|${evaluation.parsedAt || ''}`;
+        return rated.reduce((latest, evaluation) => (order(evaluation) > order(latest) ? evaluation : latest));
+    }
+}
+
+CPARSParserService.FACTORS = FACTORS.map(({ key, label }) => ({ key, label }));
+CPARSParserService.RATING_LABELS = RATING_LABELS;
+CPARSParserService.parseDate = parseDate;
+
+module.exports = CPARSParserService;
@@ -0,0 +1,317 @@
+/**
+ * Chat Service
+ * Persistent multi-turn AI conversations per project: sessions are shared by the
+ * project team, earlier turns are folded into each new prompt, and past chats are searchable
+ */
+
+const ChatHistory = require('../models/ChatHistory');
+const AIWritingService = require('./AIWritingService');
+const PermissionService = require('./PermissionService');
+const logger = require('../utils/logger');
+
+// Turns of history loaded into each prompt (AIWritingService trims them to its character budget)
+const CONTEXT_TURNS = 10;
+const SESSION_TYPES = ['general', 'section_writing', 'analysis', 'review'];
+
+function serviceError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+class ChatService {
+  constructor(options = {}) {
+    this.chatHistory = options.chatHistory || new ChatHistory();
+    this.aiWritingService = options.aiWritingService || new AIWritingService();
+    this.permissionService = options.permissionService || new PermissionService();
+  }
+
+  /**
+   * Start a conversation
+   * @param {number} userId - Session owner
+   * @param {Object} data - { projectName, title, sessionType, documentType }
+   */
+  async createSession(userId, data = {}) {
+    const sessionType = data.sessionType || 'general';
+    if (!SESSION_TYPES.includes(sessionType)) {
+      throw serviceError(`Invalid session type. Must be one of: ${SESSION_TYPES.join(', ')}`, 400);
+    }
+
+    const session = await this.chatHistory.createSession(
+      userId,
+      data.projectName || null,
+      data.title || null,
+      sessionType,
+      { documentType: data.documentType || 'solicitations' }
+    );
+
+    logger.info(`Chat session ${session.id} created for ${data.projectName || 'no project'}`);
+    return this.formatSession(session);
+  }
+
+  /**
+   * Sessions for a project (every team member's), or a user's own sessions
+   * @param {Object} filters - { projectName, userId, includeInactive, limit, offset }
+   */
+  async listSessions(filters = {}) {
+    const options = {
+      includeInactive: filters.includeInactive === true,
+      limit: Math.min(parseInt(filters.limit) || 50, 200),
+      offset: parseInt(filters.offset) || 0
+    };
+
+    const sessions = filters.projectName
+      ? await this.chatHistory.listProjectSessions(filters.projectName, options)
+      : await this.chatHistory.getUserChatHistory(filters.userId, { ...options, includeMessages: false });
+
+    return sessions.map(session => this.formatSession(session));
+  }
+
+  /**
+   * A session with its messages
+   * @throws 404 when the session does not exist
+   */
+  async getSession(sessionId) {
+    const session = await this.chatHistory.getSession(sessionId);
+    if (!session) {
+      throw serviceError('Chat session not found', 404);
+    }
+
+    const messages = await this.chatHistory.getSessionMessages(sessionId);
+    return {
+      ...this.formatSession(session),
+      messages: messages.map(message => this.formatMessage(message))
+    };
+  }
+
+  /**
+   * Generation requirements for the next turn of a session: its project and earlier turns
+   * @param {number} sessionId - Chat session
+   * @param {string} prompt - The new user message
+   * @param {Object} user - req.user; needs run_ai on the session's project, or to own a session without one
+   * @returns {Object} { session, requirements: { projectName, documentType, conversationHistory, retrievalQuery } }
+   * @throws 404 when the session does not exist, 403 when the user may not continue it, 409 when it has been closed
+   */
+  async prepareTurn(sessionId, prompt, user = null) {
+    const session = await this.chatHistory.getSession(sessionId);
+    if (!session) {
+      throw serviceError('Chat session not found', 404);
+    }
+    if (user) {
+      await this.checkTurnAccess(session, user);
+    }
+    if (!session.is_active) {
+      throw serviceError('Chat session is closed', 409);
+    }
+
+    const history = await this.chatHistory.getConversationContext(sessionId, CONTEXT_TURNS);
+    const conversationHistory = history.map(turn => ({
+      userMessage: turn.user_message,
+      aiResponse: turn.ai_response
+    }));
+    const previous = conversationHistory[conversationHistory.length - 1];
+
+    return {
+      session,
+      requirements: {
+        projectName: session.project_name,
+        documentType: (session.metadata || {}).documentType || 'solicitations',
+        conversationHistory,
+        retrievalQuery: previous ? `${previous.userMessage}\n${prompt}` : prompt
+      }
+    };
+  }
+
+  /**
+   * A turn reads the session's history into the prompt and is stored in the session, so the
+   * user needs run_ai on its project; a session without a project is private to its owner
+   * @throws 403 with the reason
+   */
+  async checkTurnAccess(session, user) {
+    if (!session.project_name) {
+      if (session.user_id !== user.id && !PermissionService.isAdmin(user)) {
+        throw serviceError('This chat session belongs to another user', 403);
+      }
+      return;
+    }
+
+    const decision = await this.permissionService.explain(user, 'run_ai', { projectName: session.project_name });
+    if (!decision.allowed) {
+      throw serviceError(decision.reason, 403);
+    }
+  }
+
+  /**
+   * Store a finished generation as the session's next turn
+   * Failures are logged rather than thrown so the generation still reaches the client.
+   * @param {Object} session - Row from prepareTurn
+   * @param {string} prompt - User message
+   * @param {Object} result - AIWritingService generation result
+   * @param {Object} request - { userId, personaId, generationTimeMs }
+   * @returns {Object|null} Stored message
+   */
+  async recordTurn(session, prompt, result, request = {}) {
+    try {
+      const message = await this.chatHistory.addMessage(session.id, request.userId || session.user_id, prompt, result.content, {
+        projectName: session.project_name,
+        modelUsed: result.model,
+        personaUsed: request.personaId ? String(request.personaId) : null,
+        sectionType: result.sectionType || null,
+        generationTimeMs: request.generationTimeMs || null,
+        contextUsed: {
+          sources: (result.sources || []).map(source => ({
+            documentName: source.documentName,
+            section: source.section,
+            page: source.page,
+            cited: source.cited
+          }))
+        },
+        messageMetadata: {
+          citations: result.citations || [],
+          noHallucinations: result.noHallucinations || false,
+          wordCount: result.wordCount
+        }
+      });
+
+      return this.formatMessage(message);
+    } catch (error) {
+      logger.error(`Error saving chat turn to session ${session.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Generate the next turn of a session and store it
+   * @param {number} sessionId - Chat session
+   * @param {number} userId - Author of the message
+   * @param {Object} data - { message, model, personaId, noHallucinations, showThinking, user, auditContext }
+   * @returns {Object} { message: stored turn, result: generation result }
+   */
+  async postTurn(sessionId, userId, data = {}) {
+    const prompt = (data.message || '').trim();
+    if (!prompt) {
+      throw serviceError('Message is required', 400);
+    }
+
+    const { session, requirements } = await this.prepareTurn(sessionId, prompt, data.user || null);
+    const startedAt = Date.now();
+
+    const result = await this.aiWritingService.generateSection(prompt, null, {
+      ...requirements,
+      model: data.model,
+      personaId: data.personaId,
+      noHallucinations: data.noHallucinations,
+      showThinking: data.showThinking,
+      chatSessionId: session.id,
+      user: data.user,
+      auditContext: data.auditContext
+    });
+
+    const message = await this.recordTurn(session, prompt, result, {
+      userId,
+      personaId: data.personaId,
+      generationTimeMs: Date.now() - startedAt
+    });
+
+    return { message, result };
+  }
+
+  /**
+   * Full-text search over past chats
+   * @param {string} query - Search text
+   * @param {Object} filters - { projectName, userId (omit to search the whole team), viewer, limit, offset }
+   *   viewer (req.user) limits results to their projects' chats and their own chats without a project
+   */
+  async search(query, filters = {}) {
+    if (!query || !query.trim()) {
+      throw serviceError('Search query is required', 400);
+    }
+
+    const rows = await this.chatHistory.searchChatHistory(filters.userId || null, query.trim(), {
+      projectName: filters.projectName || null,
+      visibleTo: filters.viewer && !PermissionService.isAdmin(filters.viewer) ? filters.viewer.id : null,
+      limit: Math.min(parseInt(filters.limit) || 20, 100),
+      offset: parseInt(filters.offset) || 0
+    });
+
+    return rows.map(row => ({
+      ...this.formatMessage(row),
+      sessionTitle: row.session_title,
+      sessionType: row.session_type,
+      rank: parseFloat(row.rank)
+    }));
+  }
+
+  /**
+   * Close a session (it stays readable and searchable); only its owner may
+   */
+  async closeSession(sessionId, userId) {
+    const session = await this.getSessionOrThrow(sessionId);
+    if (session.user_id !== userId) {
+      throw serviceError('Only the user who started a chat session can close it', 403);
+    }
+    await this.chatHistory.endSession(sessionId, userId);
+    return this.formatSession(await this.chatHistory.getSession(sessionId));
+  }
+
+  /**
+   * Delete a session; only its owner may
+   */
+  async deleteSession(sessionId, userId) {
+    const session = await this.getSessionOrThrow(sessionId);
+    if (session.user_id !== userId) {
+      throw serviceError('Only the user who started a chat session can delete it', 403);
+    }
+    await this.chatHistory.deleteSession(sessionId, userId);
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  async getSessionOrThrow(sessionId) {
+    const session = await this.chatHistory.getSession(sessionId);
+    if (!session) {
+      throw serviceError('Chat session not found', 404);
+    }
+    return session;
+  }
+
+  formatSession(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      userName: row.user_name || row.username || null,
+      projectName: row.project_name,
+      title: row.session_title,
+      sessionType: row.session_type,
+      documentType: (row.metadata || {}).documentType || null,
+      messageCount: row.message_count,
+      isActive: row.is_active,
+      startedAt: row.started_at,
+      lastActivity: row.last_activity
+    };
+  }
+
+  formatMessage(row) {
+    return {
+      id: row.id,
+      sessionId: row.session_id,
+      userId: row.user_id,
+      userName: row.user_name || row.username || null,
+      projectName: row.project_name,
+      userMessage: row.user_message,
+      aiResponse: row.ai_response,
+      model: row.model_used,
+      personaId: row.persona_used,
+      generationTimeMs: row.generation_time_ms,
+      contextUsed: row.context_used || {},
+      metadata: row.message_metadata || {},
+      createdAt: row.created_at
+    };
+  }
+}
+
+ChatService.SESSION_TYPES = SESSION_TYPES;
+
+module.exports = ChatService;
@@ -96,7 +96,8 @@ class CitationService {
 
         // Section and navigation info
         sectionType: chunk.sectionType || sectionInfo.detectedSection,
-        sectionTitle: sectionInfo.title,
+        sectionTitle: chunk.sectionTitle || sectionInfo.title,
+        paragraphId: chunk.paragraphId || null,
         pageNumber: this.estimatePageNumber(chunk),
 
         // Interactive features
@@ -446,6 +447,10 @@ class CitationService {
   }
 
   estimatePageNumber(chunk) {
+    // Section-aware chunks carry the page they start on (PDF only)
+    if (chunk.pageStart) {
+      return chunk.pageStart;
+    }
     // Simple estimation based on chunk position
     return Math.ceil((chunk.chunkIndex + 1) / 3); // ~3 chunks per page
   }
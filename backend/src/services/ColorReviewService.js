@@ -0,0 +1,856 @@
+/**
+ * Color Review Service
+ * Pink/Red/Gold team reviews of a project's proposal draft. Reviewers come from the project
+ * team, comment on quoted section text and rate each section against its Section M evaluation
+ * factors on the adjectival scale. An AI mock evaluator (ComplianceService.validateProposal)
+ * can pre-score sections as a background job so writers see weaknesses before the humans do.
+ */
+
+const ColorReview = require('../models/ColorReview');
+const ProposalDraft = require('../models/ProposalDraft');
+const ProposalOutline = require('../models/ProposalOutline');
+const ProjectService = require('./ProjectService');
+const ComplianceService = require('./ComplianceService');
+const JobQueueService = require('./JobQueueService');
+const logger = require('../utils/logger');
+
+const REVIEW_TYPES = {
+  pink: {
+    label: 'Pink Team',
+    focus: 'Storyboards and early draft: is the approach compliant, responsive and on-theme?'
+  },
+  red: {
+    label: 'Red Team',
+    focus: 'Complete draft scored as the Government evaluators would, factor by factor'
+  },
+  gold: {
+    label: 'Gold Team',
+    focus: 'Final executive review of the submission-ready proposal'
+  }
+};
+
+// Adjectival ratings (DoD Source Selection Procedures), best first
+const RATINGS = [
+  { key: 'outstanding', label: 'Outstanding', score: 5 },
+  { key: 'good', label: 'Good', score: 4 },
+  { key: 'acceptable', label: 'Acceptable', score: 3 },
+  { key: 'marginal', label: 'Marginal', score: 2 },
+  { key: 'unacceptable', label: 'Unacceptable', score: 1 }
+];
+
+const COMMENT_TYPES = ['general', 'strength', 'weakness', 'significant_weakness', 'deficiency'];
+const { REVIEW_STATUSES, COMMENT_STATUSES } = ColorReview;
+
+// Reviews that are over take no new comments or scores
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+// Sections without a mapped Section M factor are scored on overall merit
+const OVERALL_FACTOR = { factorId: 'overall', title: 'Overall Merit', description: '' };
+
+// Characters of surrounding text kept with a comment anchor to find it again after edits
+const ANCHOR_CONTEXT = 32;
+const MAX_QUOTE_LENGTH = 1000;
+
+// validateProposal's "how well is it addressed" scale
+const QUALITY_RATINGS = { excellent: 'outstanding', good: 'good', fair: 'acceptable', poor: 'marginal' };
+
+function serviceError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function parseDate(value, label) {
+  const date = new Date(value);
+  if (!value || isNaN(date.getTime())) {
+    throw serviceError(`${label} must be a valid date`, 400);
+  }
+  return date;
+}
+
+function ratingScore(rating) {
+  const entry = RATINGS.find(candidate => candidate.key === rating);
+  return entry ? entry.score : null;
+}
+
+/**
+ * Rating for an average score (rounded to the nearest step)
+ */
+function ratingForScore(score) {
+  const entry = RATINGS.find(candidate => candidate.score === Math.round(score));
+  return entry ? entry.key : null;
+}
+
+/**
+ * Anchor a quote in section content
+ * @param {string} content - Current section content
+ * @param {string} quote - Quoted text
+ * @param {number} start - Client's offset of the quote (disambiguates repeated text)
+ * @returns {Object|null} { quote, prefix, suffix, start, end }
+ */
+function createAnchor(content, quote, start = null) {
+  let index = -1;
+  if (Number.isInteger(start) && content.substring(start, start + quote.length) === quote) {
+    index = start;
+  } else {
+    index = content.indexOf(quote);
+  }
+  if (index === -1) {
+    return null;
+  }
+
+  const end = index + quote.length;
+  return {
+    quote,
+    prefix: content.substring(Math.max(0, index - ANCHOR_CONTEXT), index),
+    suffix: content.substring(end, end + ANCHOR_CONTEXT),
+    start: index,
+    end
+  };
+}
+
+/**
+ * Find an anchored quote in the section's current content
+ * The quote is looked for at its original offset, then wherever it occurs now (the occurrence
+ * with the most matching surrounding text wins).
+ * @returns {Object} { state: exact | moved | orphaned, start, end }
+ */
+function locateAnchor(content, anchor) {
+  if (!anchor) {
+    return { state: 'section', start: null, end: null };
+  }
+
+  const text = content || '';
+  if (text.substring(anchor.start, anchor.end) === anchor.quote) {
+    return { state: 'exact', start: anchor.start, end: anchor.end };
+  }
+
+  const commonSuffixLength = (a, b) => {
+    let length = 0;
+    while (length < a.length && length < b.length && a[a.length - 1 - length] === b[b.length - 1 - length]) length++;
+    return length;
+  };
+  const commonPrefixLength = (a, b) => {
+    let length = 0;
+    while (length < a.length && length < b.length && a[length] === b[length]) length++;
+    return length;
+  };
+
+  let best = null;
+  for (let index = text.indexOf(anchor.quote); index !== -1; index = text.indexOf(anchor.quote, index + 1)) {
+    const end = index + anchor.quote.length;
+    const context = commonSuffixLength(text.substring(Math.max(0, index - ANCHOR_CONTEXT), index), anchor.prefix || '') +
+      commonPrefixLength(text.substring(end, end + ANCHOR_CONTEXT), anchor.suffix || '');
+    if (!best || context > best.context) {
+      best = { start: index, end, context };
+    }
+  }
+
+  return best
+    ? { state: 'moved', start: best.start, end: best.end }
+    : { state: 'orphaned', start: null, end: null };
+}
+
+/**
+ * Read the mock evaluator's verdict on each factor from validateProposal's free-text answer
+ * @param {string} text - validationResults
+ * @param {Array} factors - [{ factorId, title }]
+ * @param {number} complianceScore - Overall percentage, used when a factor has no quality word
+ * @returns {Object} factorId -> { rating, addressed, quality, weaknesses, rationale }
+ */
+function parseAIAssessment(text, factors, complianceScore = 0) {
+  const source = text || '';
+
+  // Each factor's block runs from its first mention to the next factor's
+  // ("Factor 1" must not match inside "Factor 1.2" or "Factor 10")
+  const mentionOf = (factorId) => {
+    const escaped = factorId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = new RegExp(`${escaped}(?!\\.?\\d)`, 'i').exec(source);
+    return match ? match.index : -1;
+  };
+  const positions = factors
+    .map(factor => ({ factor, index: mentionOf(factor.factorId) }))
+    .filter(entry => entry.index !== -1)
+    .sort((a, b) => a.index - b.index);
+
+  const blockFor = (factor) => {
+    const position = positions.findIndex(entry => entry.factor === factor);
+    if (position === -1) {
+      return factors.length === 1 ? source : '';
+    }
+    const end = position + 1 < positions.length ? positions[position + 1].index : source.length;
+    return source.substring(positions[position].index, end);
+  };
+
+  const fallbackRating = complianceScore >= 90 ? 'outstanding'
+    : complianceScore >= 75 ? 'good'
+      : complianceScore >= 60 ? 'acceptable'
+        : complianceScore >= 40 ? 'marginal'
+          : 'unacceptable';
+
+  const assessments = {};
+  factors.forEach(factor => {
+    const block = blockFor(factor);
+
+    const qualityMatch = block.match(/how well[^:\n]*[:-]\s*\**\s*(excellent|good|fair|poor)\b/i) ||
+      block.match(/\b(excellent|good|fair|poor)\b/i);
+    const addressedMatch = block.match(/addressed[^:\n]*:\s*\**\s*(yes|no|partial)\b/i) ||
+      block.match(/addressed[^?\n]*\?\s*\**\s*(yes|no|partial)\b/i) ||
+      block.match(/\b(not|partially)\s+addressed\b/i);
+
+    const quality = qualityMatch ? qualityMatch[1].toLowerCase() : null;
+    let addressed = null;
+    if (addressedMatch) {
+      const word = addressedMatch[1].toLowerCase();
+      addressed = word === 'yes' ? 'yes' : word === 'no' || word === 'not' ? 'no' : 'partial';
+    }
+
+    let rating = quality ? QUALITY_RATINGS[quality] : (block ? fallbackRating : null);
+    if (addressed === 'no') {
+      rating = 'unacceptable';
+    } else if (addressed === 'partial' && rating && ratingScore(rating) > ratingScore('marginal')) {
+      // A factor only partly answered cannot rate above Marginal
+      rating = 'marginal';
+    }
+
+    // "Missing: ...", "Needs improvement: ...", or a line that says what is lacking
+    const weaknesses = block
+      .split('\n')
+      .map(line => {
+        const labelled = line.match(/(?:missing|needs? improvement|weakness(?:es)?|gaps?)[^:\n]*:\s*(.+)$/i);
+        if (labelled) return labelled[1].trim();
+        return /\b(?:lacks|missing|does not)\b/i.test(line) ? line.replace(/^[\s\-*•\d.)]+/, '').trim() : '';
+      })
+      .filter(line => line.length > 3)
+      .slice(0, 5);
+
+    assessments[factor.factorId] = {
+      rating: rating || fallbackRating,
+      addressed,
+      quality,
+      weaknesses,
+      rationale: block.replace(/[\s\-*•]+$/, '').trim().substring(0, 2000)
+    };
+  });
+
+  return assessments;
+}
+
+class ColorReviewService {
+  constructor(options = {}) {
+    this.reviewModel = options.reviewModel || new ColorReview();
+    this.draftModel = options.draftModel || new ProposalDraft();
+    this.outlineModel = options.outlineModel || new ProposalOutline();
+    this.projectService = options.projectService || new ProjectService();
+    this.jobQueue = options.jobQueue || new JobQueueService();
+    this.complianceService = options.complianceService || null;
+  }
+
+  getComplianceService() {
+    if (!this.complianceService) {
+      // Created on first use: ComplianceService initializes its framework tables when constructed
+      this.complianceService = new ComplianceService();
+    }
+    return this.complianceService;
+  }
+
+  // =============================================================================
+  // REVIEWS
+  // =============================================================================
+
+  /**
+   * Schedule a review
+   * @param {number} projectId - Project ID
+   * @param {Object} data - { reviewType, title, scheduledStart, scheduledEnd, instructions, reviewerIds, draftId, documentType }
+   * @param {number} userId - Scheduling user
+   */
+  async scheduleReview(projectId, data, userId = null) {
+    const project = await this.projectService.getProject(projectId);
+
+    if (!REVIEW_TYPES[data.reviewType]) {
+      throw serviceError(`Invalid review type. Must be one of: ${Object.keys(REVIEW_TYPES).join(', ')}`, 400);
+    }
+
+    const { scheduledStart, scheduledEnd } = this.parseSchedule(data.scheduledStart, data.scheduledEnd);
+    const reviewerIds = await this.validateReviewers(projectId, data.reviewerIds || []);
+    const draftId = await this.resolveDraft(project, data.draftId, data.documentType, userId);
+
+    const review = await this.reviewModel.create(projectId, {
+      draftId,
+      reviewType: data.reviewType,
+      title: (data.title || '').trim() || `${REVIEW_TYPES[data.reviewType].label} Review`,
+      scheduledStart,
+      scheduledEnd,
+      instructions: data.instructions || REVIEW_TYPES[data.reviewType].focus,
+      reviewerIds
+    }, userId);
+
+    logger.info(`Scheduled ${data.reviewType} team review ${review.id} for project ${projectId} with ${reviewerIds.length} reviewers`);
+    return review;
+  }
+
+  parseSchedule(start, end) {
+    const scheduledEnd = parseDate(end, 'scheduledEnd');
+    const scheduledStart = start ? parseDate(start, 'scheduledStart') : null;
+    if (scheduledStart && scheduledStart > scheduledEnd) {
+      throw serviceError('scheduledStart must be before scheduledEnd', 400);
+    }
+    return { scheduledStart, scheduledEnd };
+  }
+
+  /**
+   * Reviewers must be on the project team
+   * @returns {Array} Unique user IDs
+   */
+  async validateReviewers(projectId, reviewerIds) {
+    if (!Array.isArray(reviewerIds)) {
+      throw serviceError('reviewerIds must be an array of user IDs', 400);
+    }
+
+    const ids = [...new Set(reviewerIds.map(id => parseInt(id)))];
+    if (ids.some(id => isNaN(id))) {
+      throw serviceError('reviewerIds must be an array of user IDs', 400);
+    }
+    if (ids.length === 0) {
+      return ids;
+    }
+
+    const team = await this.projectService.getProjectTeam(projectId);
+    const members = new Set(team.map(member => member.user_id));
+    const outsiders = ids.filter(id => !members.has(id));
+    if (outsiders.length > 0) {
+      throw serviceError(`Reviewers must be on the project team (not members: ${outsiders.join(', ')})`, 400);
+    }
+
+    return ids;
+  }
+
+  /**
+   * The draft under review: the given one (which must be the project's) or the project's draft
+   */
+  async resolveDraft(project, draftId, documentType = 'solicitations', userId = null) {
+    if (draftId) {
+      const draft = await this.draftModel.getDraft(parseInt(draftId));
+      if (!draft || draft.projectName !== project.title) {
+        throw serviceError('Draft must belong to this project', 400);
+      }
+      return draft.id;
+    }
+
+    const draft = await this.draftModel.getOrCreateDraft(project.title, (documentType || 'solicitations').toLowerCase(), userId);
+    return draft.id;
+  }
+
+  async listReviews(projectId) {
+    await this.projectService.getProject(projectId);
+    return await this.reviewModel.listByProject(projectId);
+  }
+
+  /**
+   * Get a review with its sections, each section's evaluation factors and comment counts
+   * @returns {Object|null}
+   */
+  async getReview(reviewId) {
+    const review = await this.reviewModel.getById(reviewId);
+    if (!review) {
+      return null;
+    }
+
+    const sections = review.draftId ? await this.draftModel.listSections(review.draftId) : [];
+    const comments = await this.reviewModel.listComments(reviewId);
+    const factorsBySection = await this.sectionFactorMap(review.projectId);
+
+    return {
+      ...review,
+      typeLabel: REVIEW_TYPES[review.reviewType] ? REVIEW_TYPES[review.reviewType].label : review.reviewType,
+      sections: sections.map(section => {
+        const sectionComments = comments.filter(comment => comment.sectionId === section.id);
+        return {
+          id: section.id,
+          title: section.title,
+          wordCount: section.wordCount,
+          currentVersion: section.currentVersion,
+          factors: factorsBySection(section),
+          comments: sectionComments.length,
+          openComments: sectionComments.filter(comment => comment.status === 'open').length
+        };
+      })
+    };
+  }
+
+  /**
+   * Edit a review; reviewerIds replaces the reviewer list
+   * @param {Object} updates - { title, status, scheduledStart, scheduledEnd, instructions, reviewerIds }
+   */
+  async updateReview(reviewId, updates, userId = null) {
+    const review = await this.reviewModel.getById(reviewId);
+    if (!review) {
+      return null;
+    }
+
+    const changes = {};
+    if (updates.title !== undefined) {
+      if (!String(updates.title).trim()) {
+        throw serviceError('Title cannot be empty', 400);
+      }
+      changes.title = String(updates.title).trim();
+    }
+    if (updates.status !== undefined) {
+      if (!REVIEW_STATUSES.includes(updates.status)) {
+        throw serviceError(`Invalid status. Must be one of: ${REVIEW_STATUSES.join(', ')}`, 400);
+      }
+      changes.status = updates.status;
+    }
+    if (updates.scheduledStart !== undefined || updates.scheduledEnd !== undefined) {
+      const schedule = this.parseSchedule(
+        updates.scheduledStart !== undefined ? updates.scheduledStart : review.scheduledStart,
+        updates.scheduledEnd !== undefined ? updates.scheduledEnd : review.scheduledEnd
+      );
+      changes.scheduledStart = schedule.scheduledStart;
+      changes.scheduledEnd = schedule.scheduledEnd;
+    }
+    if (updates.instructions !== undefined) {
+      changes.instructions = updates.instructions;
+    }
+
+    if (updates.reviewerIds !== undefined) {
+      const reviewerIds = await this.validateReviewers(review.projectId, updates.reviewerIds);
+      await this.reviewModel.setReviewers(reviewId, reviewerIds, userId);
+    }
+
+    return await this.reviewModel.update(reviewId, changes);
+  }
+
+  async deleteReview(reviewId) {
+    return await this.reviewModel.delete(reviewId);
+  }
+
+  /**
+   * Project a review belongs to (for access checks)
+   * @returns {string|null}
+   */
+  async getProjectName(reviewId) {
+    const review = await this.reviewModel.getById(reviewId);
+    return review ? this.projectTitle(review.projectId) : null;
+  }
+
+  async getCommentProjectName(commentId) {
+    const comment = await this.reviewModel.getComment(commentId);
+    return comment ? this.projectTitle(comment.projectId) : null;
+  }
+
+  async projectTitle(projectId) {
+    const project = await this.projectService.getProject(projectId);
+    return project ? project.title : null;
+  }
+
+  // =============================================================================
+  // EVALUATION FACTORS
+  // =============================================================================
+
+  /**
+   * Factors each section is scored against: those the outline mapped to the section's node,
+   * else every top-level Section M factor, else overall merit
+   * @returns {Function} section => [{ factorId, title, description }]
+   */
+  async sectionFactorMap(projectId) {
+    const outline = await this.outlineModel.getByProject(projectId);
+    const allFactors = [];
+    ((outline && outline.evaluationFactors) || []).forEach(factor => {
+      allFactors.push({ factorId: factor.id, title: factor.title, description: factor.description || '', top: true });
+      (factor.subfactors || []).forEach(subfactor => {
+        allFactors.push({ factorId: subfactor.id, title: subfactor.title, description: subfactor.description || '', top: false });
+      });
+    });
+
+    const nodes = new Map();
+    ((outline && outline.volumes) || []).forEach(volume => {
+      nodes.set(volume.id, volume);
+      (volume.sections || []).forEach(node => nodes.set(node.id, node));
+    });
+
+    const strip = ({ factorId, title, description }) => ({ factorId, title, description });
+
+    return (section) => {
+      const node = section.outlineNodeId ? nodes.get(section.outlineNodeId) : null;
+      const mapped = node ? node.evaluationFactors || [] : [];
+      if (mapped.length > 0) {
+        return mapped.map(link => {
+          const factor = allFactors.find(candidate => candidate.factorId === link.factorId);
+          return strip(factor || { factorId: link.factorId, title: link.title, description: '' });
+        });
+      }
+
+      const topLevel = allFactors.filter(factor => factor.top);
+      return topLevel.length > 0 ? topLevel.map(strip) : [OVERALL_FACTOR];
+    };
+  }
+
+  async factorsForSection(projectId, section) {
+    return (await this.sectionFactorMap(projectId))(section);
+  }
+
+  /**
+   * A review's open section, checked to be part of the draft under review
+   */
+  async getReviewSection(review, sectionId) {
+    const section = isNaN(sectionId) ? null : await this.draftModel.getSection(sectionId);
+    if (!section || section.draftId !== review.draftId) {
+      throw serviceError('Section is not part of the draft under review', 400);
+    }
+    return section;
+  }
+
+  async getOpenReview(reviewId, userId) {
+    const review = await this.reviewModel.getById(reviewId);
+    if (!review) {
+      return null;
+    }
+    if (CLOSED_STATUSES.includes(review.status)) {
+      throw serviceError(`This review is ${review.status}`, 409);
+    }
+    if (!(await this.reviewModel.isReviewer(reviewId, userId))) {
+      throw serviceError('Only reviewers assigned to this review can comment on or score it', 403);
+    }
+    return review;
+  }
+
+  // =============================================================================
+  // COMMENTS
+  // =============================================================================
+
+  /**
+   * Comment on a section, anchored to quoted text (or the whole section when no quote is given)
+   * @param {Object} data - { sectionId, body, commentType, quote, start }
+   * @param {number} userId - Assigned reviewer
+   */
+  async addComment(reviewId, data, userId) {
+    const review = await this.getOpenReview(reviewId, userId);
+    if (!review) {
+      return null;
+    }
+
+    const body = typeof data.body === 'string' ? data.body.trim() : '';
+    if (!body) {
+      throw serviceError('Comment text is required', 400);
+    }
+    const commentType = data.commentType || 'general';
+    if (!COMMENT_TYPES.includes(commentType)) {
+      throw serviceError(`Invalid comment type. Must be one of: ${COMMENT_TYPES.join(', ')}`, 400);
+    }
+
+    const section = await this.getReviewSection(review, parseInt(data.sectionId));
+
+    let anchor = null;
+    if (data.quote) {
+      if (typeof data.quote !== 'string' || data.quote.length > MAX_QUOTE_LENGTH) {
+        throw serviceError(`Quoted text must be at most ${MAX_QUOTE_LENGTH} characters`, 400);
+      }
+      const start = data.start !== undefined && data.start !== null ? parseInt(data.start) : null;
+      anchor = createAnchor(section.content || '', data.quote, start);
+      if (!anchor) {
+        throw serviceError('Quoted text was not found in the current section', 400);
+      }
+      anchor.sectionVersion = section.currentVersion;
+    }
+
+    const comment = await this.reviewModel.addComment(reviewId, {
+      sectionId: section.id,
+      authorId: userId,
+      commentType,
+      body,
+      anchor
+    });
+
+    if (review.status === 'scheduled') {
+      await this.reviewModel.update(reviewId, { status: 'in_progress' });
+    }
+
+    return { ...comment, location: locateAnchor(section.content, anchor) };
+  }
+
+  /**
+   * A review's comments, each with where its quote sits in the section now
+   * @param {Object} filters - { sectionId, status, commentType }
+   */
+  async listComments(reviewId, filters = {}) {
+    const comments = await this.reviewModel.listComments(reviewId, filters);
+    const contents = new Map();
+
+    for (const comment of comments) {
+      if (!contents.has(comment.sectionId)) {
+        const section = await this.draftModel.getSection(comment.sectionId);
+        contents.set(comment.sectionId, section ? section.content || '' : '');
+      }
+    }
+
+    return comments.map(comment => ({
+      ...comment,
+      location: locateAnchor(contents.get(comment.sectionId), comment.anchor)
+    }));
+  }
+
+  async getComment(commentId) {
+    return await this.reviewModel.getComment(commentId);
+  }
+
+  /**
+   * Edit a comment's text or type (author only)
+   */
+  async updateComment(commentId, updates, userId) {
+    const comment = await this.reviewModel.getComment(commentId);
+    if (!comment) {
+      return null;
+    }
+    if (comment.authorId !== userId) {
+      throw serviceError('Only the author can edit a comment', 403);
+    }
+    if (updates.commentType !== undefined && !COMMENT_TYPES.includes(updates.commentType)) {
+      throw serviceError(`Invalid comment type. Must be one of: ${COMMENT_TYPES.join(', ')}`, 400);
+    }
+    if (updates.body !== undefined && !String(updates.body).trim()) {
+      throw serviceError('Comment text is required', 400);
+    }
+
+    return await this.reviewModel.updateComment(commentId, {
+      body: updates.body !== undefined ? String(updates.body).trim() : undefined,
+      commentType: updates.commentType
+    });
+  }
+
+  /**
+   * Resolve or decline a comment, or reopen it
+   * @param {Object} resolution - { status: resolved | wont_fix | open, note }
+   */
+  async resolveComment(commentId, { status, note = null }, userId = null) {
+    const comment = await this.reviewModel.getComment(commentId);
+    if (!comment) {
+      return null;
+    }
+    if (!COMMENT_STATUSES.includes(status)) {
+      throw serviceError(`Invalid status. Must be one of: ${COMMENT_STATUSES.join(', ')}`, 400);
+    }
+    if (status === 'wont_fix' && !(note && String(note).trim())) {
+      throw serviceError('A note explaining why the comment will not be addressed is required', 400);
+    }
+
+    return await this.reviewModel.setCommentStatus(commentId, { status, note: note ? String(note).trim() : null }, userId);
+  }
+
+  async deleteComment(commentId, userId) {
+    const comment = await this.reviewModel.getComment(commentId);
+    if (!comment) {
+      return false;
+    }
+    if (comment.authorId !== userId) {
+      throw serviceError('Only the author can delete a comment', 403);
+    }
+    return await this.reviewModel.deleteComment(commentId);
+  }
+
+  // =============================================================================
+  // SCORING
+  // =============================================================================
+
+  /**
+   * Rate a section against one of its evaluation factors
+   * @param {Object} data - { sectionId, factorId, rating, rationale, strengths, weaknesses }
+   * @param {number} userId - Assigned reviewer
+   */
+  async scoreSection(reviewId, data, userId) {
+    const review = await this.getOpenReview(reviewId, userId);
+    if (!review) {
+      return null;
+    }
+
+    if (!ratingScore(data.rating)) {
+      throw serviceError(`Invalid rating. Must be one of: ${RATINGS.map(rating => rating.key).join(', ')}`, 400);
+    }
+
+    const section = await this.getReviewSection(review, parseInt(data.sectionId));
+    const factors = await this.factorsForSection(review.projectId, section);
+    const factor = factors.find(candidate => candidate.factorId === data.factorId);
+    if (!factor) {
+      throw serviceError(`Section is scored against: ${factors.map(candidate => candidate.factorId).join(', ')}`, 400);
+    }
+
+    const list = (value) => (Array.isArray(value) ? value.map(item => String(item).trim()).filter(Boolean).slice(0, 20) : []);
+
+    return await this.reviewModel.upsertScore(reviewId, {
+      sectionId: section.id,
+      factorId: factor.factorId,
+      factorTitle: factor.title,
+      reviewerId: userId,
+      source: 'reviewer',
+      rating: data.rating,
+      rationale: data.rationale || null,
+      strengths: list(data.strengths),
+      weaknesses: list(data.weaknesses),
+      metadata: { sectionVersion: section.currentVersion }
+    });
+  }
+
+  /**
+   * Scores by section and factor with the reviewers' consensus, the AI pre-score and
+   * comment resolution progress
+   */
+  async getScorecard(reviewId) {
+    const review = await this.getReview(reviewId);
+    if (!review) {
+      return null;
+    }
+
+    const scores = await this.reviewModel.listScores(reviewId);
+    const comments = await this.reviewModel.listComments(reviewId);
+
+    const sections = review.sections.map(section => ({
+      sectionId: section.id,
+      title: section.title,
+      factors: section.factors.map(factor => {
+        const factorScores = scores.filter(score => score.sectionId === section.id && score.factorId === factor.factorId);
+        const reviewerScores = factorScores.filter(score => score.source === 'reviewer');
+        const aiScore = factorScores.find(score => score.source === 'ai') || null;
+        const average = reviewerScores.length > 0
+          ? reviewerScores.reduce((sum, score) => sum + ratingScore(score.rating), 0) / reviewerScores.length
+          : null;
+
+        return {
+          ...factor,
+          reviewerScores,
+          consensus: average === null ? null : {
+            rating: ratingForScore(average),
+            averageScore: Math.round(average * 100) / 100,
+            // Reviewers more than one step apart should talk it through
+            spread: Math.max(...reviewerScores.map(score => ratingScore(score.rating))) -
+              Math.min(...reviewerScores.map(score => ratingScore(score.rating)))
+          },
+          aiScore
+        };
+      })
+    }));
+
+    const byType = {};
+    COMMENT_TYPES.forEach(type => { byType[type] = 0; });
+    comments.forEach(comment => { byType[comment.commentType] = (byType[comment.commentType] || 0) + 1; });
+
+    return {
+      reviewId,
+      reviewType: review.reviewType,
+      status: review.status,
+      sections,
+      comments: {
+        total: comments.length,
+        open: comments.filter(comment => comment.status === 'open').length,
+        resolved: comments.filter(comment => comment.status === 'resolved').length,
+        wontFix: comments.filter(comment => comment.status === 'wont_fix').length,
+        byType
+      }
+    };
+  }
+
+  // =============================================================================
+  // AI MOCK EVALUATOR
+  // =============================================================================
+
+  /**
+   * Queue the AI mock evaluator for a review's sections
+   * @returns {Object} Job
+   */
+  async requestAIPrescore(reviewId, userId = null) {
+    const review = await this.reviewModel.getById(reviewId);
+    if (!review) {
+      return null;
+    }
+    if (CLOSED_STATUSES.includes(review.status)) {
+      throw serviceError(`This review is ${review.status}`, 409);
+    }
+
+    return await this.jobQueue.enqueue(JobQueueService.JOB_TYPES.COLOR_REVIEW_PRESCORE, {
+      reviewId,
+      projectName: await this.projectTitle(review.projectId)
+    }, {
+      dedupeKey: `color_review_prescore:${reviewId}`,
+      createdBy: userId
+    });
+  }
+
+  /**
+   * Pre-score every section with content (runs as a color_review_prescore job)
+   * A section that fails is reported and the rest are still scored.
+   * @param {Object} payload - { reviewId }
+   * @param {Object} job - Job context: { progress(percent, message), throwIfCancelled() }
+   * @returns {Object} { scored, skipped, failed, errors }
+   */
+  async runAIPrescore(payload, job = {}) {
+    const progress = job.progress || (async () => {});
+    const throwIfCancelled = job.throwIfCancelled || (() => {});
+
+    const review = await this.reviewModel.getById(payload.reviewId);
+    if (!review) {
+      throw new Error(`Review ${payload.reviewId} not found`);
+    }
+
+    const sections = review.draftId ? await this.draftModel.getSectionsWithContent(review.draftId) : [];
+    const factorsFor = await this.sectionFactorMap(review.projectId);
+    const outcome = { scored: 0, skipped: 0, failed: 0, errors: [] };
+
+    for (let i = 0; i < sections.length; i++) {
+      throwIfCancelled();
+      const section = sections[i];
+
+      if (!section.content || !section.content.trim()) {
+        outcome.skipped++;
+        continue;
+      }
+
+      try {
+        const factors = factorsFor(section);
+        const validation = await this.getComplianceService().validateProposal(section.content, factors.map(factor => ({
+          id: factor.factorId,
+          description: factor.description ? `${factor.title} - ${factor.description.substring(0, 500)}` : factor.title,
+          mandatory: true
+        })));
+        const assessments = parseAIAssessment(validation.validationResults, factors, validation.complianceScore);
+
+        for (const factor of factors) {
+          const assessment = assessments[factor.factorId];
+          await this.reviewModel.upsertScore(review.id, {
+            sectionId: section.id,
+            factorId: factor.factorId,
+            factorTitle: factor.title,
+            reviewerId: null,
+            source: 'ai',
+            rating: assessment.rating,
+            rationale: assessment.rationale,
+            weaknesses: assessment.weaknesses,
+            metadata: {
+              sectionVersion: section.currentVersion,
+              addressed: assessment.addressed,
+              quality: assessment.quality,
+              complianceScore: validation.complianceScore
+            }
+          });
+        }
+        outcome.scored++;
+      } catch (error) {
+        outcome.failed++;
+        outcome.errors.push({ sectionId: section.id, title: section.title, message: error.message });
+        logger.warn(`AI pre-score failed for section ${section.id} of review ${review.id}: ${error.message}`);
+      }
+
+      await progress(Math.round(((i + 1) / sections.length) * 100), `Pre-scored ${i + 1} of ${sections.length} sections`);
+    }
+
+    logger.info(`AI pre-scored review ${review.id}: ${outcome.scored} scored, ${outcome.skipped} empty, ${outcome.failed} failed`);
+    return outcome;
+  }
+}
+
+ColorReviewService.REVIEW_TYPES = REVIEW_TYPES;
+ColorReviewService.RATINGS = RATINGS;
+ColorReviewService.COMMENT_TYPES = COMMENT_TYPES;
+ColorReviewService.createAnchor = createAnchor;
+ColorReviewService.locateAnchor = locateAnchor;
+ColorReviewService.parseAIAssessment = parseAIAssessment;
+
+module.exports = ColorReviewService;
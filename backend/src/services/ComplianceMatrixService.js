@@ -0,0 +1,407 @@
+/**
+ * Compliance Matrix Service
+ * Persisted, editable compliance matrix built from the project's shredded requirements.
+ * Each row is checked against the proposal section it targets; rows are re-validated when
+ * that section's content is saved. Exports use the reviewer layout (CSV or XLSX).
+ */
+
+const ComplianceMatrix = require('../models/ComplianceMatrix');
+const ProposalDraft = require('../models/ProposalDraft');
+const ProjectService = require('./ProjectService');
+const { titleKeywords } = require('../utils/solicitationStructure');
+const { toCSV } = require('../utils/csv');
+const { writeXLSX } = require('../utils/xlsx');
+const logger = require('../utils/logger');
+
+const STATUSES = ComplianceMatrix.STATUSES;
+
+const STATUS_LABELS = {
+  not_started: 'Not Started',
+  in_progress: 'In Progress',
+  ready_for_review: 'Ready for Review',
+  complete: 'Complete',
+  not_applicable: 'Not Applicable'
+};
+
+const VALIDATION_LABELS = {
+  addressed: 'Addressed',
+  partial: 'Partially Addressed',
+  not_addressed: 'Not Addressed',
+  excerpt_missing: 'Excerpt Not Found in Section',
+  no_content: 'Section Empty',
+  unassigned: 'No Section Assigned'
+};
+
+// Share of the requirement's key terms the section must contain
+const ADDRESSED_COVERAGE = 0.6;
+// Requirement boilerplate a response does not need to repeat
+const GENERIC_TERMS = new Set(['contractor', 'vendor', 'required', 'requirement', 'provide', 'ensure']);
+const PARTIAL_COVERAGE = 0.3;
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const MAX_EVIDENCE_LINKS = 20;
+const MAX_EXCERPT_LENGTH = 5000;
+
+const EXPORT_COLUMNS = [
+  { key: 'reqId', header: 'Req ID', value: row => `R-${row.requirementId}`, width: 10 },
+  { key: 'rfpReference', header: 'RFP Reference', value: row => row.requirement.paragraphId, width: 14 },
+  { key: 'sourceDocument', header: 'Source Document', value: row => row.requirement.documentName, width: 30 },
+  { key: 'page', header: 'Page', value: row => row.requirement.page, width: 8 },
+  { key: 'requirement', header: 'Requirement', value: row => row.requirement.text, width: 60, wrap: true },
+  { key: 'obligation', header: 'Obligation', value: row => row.requirement.obligation, width: 12 },
+  { key: 'proposalSection', header: 'Proposal Section', value: row => row.sectionTitle, width: 30 },
+  { key: 'owner', header: 'Owner', value: row => row.ownerName || row.ownerEmail, width: 24 },
+  { key: 'status', header: 'Status', value: row => STATUS_LABELS[row.status] || row.status, width: 16 },
+  { key: 'compliance', header: 'Compliance', value: row => VALIDATION_LABELS[row.validation.state] || '', width: 24 },
+  { key: 'responseExcerpt', header: 'Response Excerpt', value: row => row.responseExcerpt, width: 60, wrap: true },
+  { key: 'evidence', header: 'Evidence', value: row => formatEvidence(row.evidence), width: 40, wrap: true },
+  { key: 'notes', header: 'Notes', value: row => row.notes, width: 40, wrap: true }
+];
+
+function serviceError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function formatEvidence(evidence) {
+  return (evidence || [])
+    .map(link => `${link.label}: ${link.url || `document ${link.documentId}`}`)
+    .join('\n');
+}
+
+/**
+ * Lowercase, whitespace-collapsed text for excerpt matching
+ */
+function normalizeText(text) {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Plural and singular forms match each other
+ */
+function stem(word) {
+  if (word.length <= 3 || /(ss|us|is)$/.test(word)) {
+    return word;
+  }
+  return word.endsWith('ies') ? `${word.slice(0, -3)}y` : word.replace(/s$/, '');
+}
+
+/**
+ * Check a proposal section against a requirement
+ * @param {Object} row - Matrix row (requirement text and response excerpt)
+ * @param {Object} section - { content, currentVersion } or null
+ * @returns {Object} { state, coverage, missingTerms, excerptFound, sectionVersion, checkedAt }
+ */
+function validateRow(row, section) {
+  const checkedAt = new Date().toISOString();
+  if (!section) {
+    return { state: 'unassigned', checkedAt };
+  }
+
+  const content = section.content || '';
+  const sectionVersion = section.currentVersion || 0;
+  if (!content.trim()) {
+    return { state: 'no_content', coverage: 0, missingTerms: [], excerptFound: null, sectionVersion, checkedAt };
+  }
+
+  const terms = [...new Set(titleKeywords(row.requirement.text).map(stem))].filter(term => !GENERIC_TERMS.has(term));
+  const contentTerms = new Set(titleKeywords(content).map(stem));
+  const missingTerms = terms.filter(term => !contentTerms.has(term));
+  const coverage = terms.length > 0
+    ? Math.round(((terms.length - missingTerms.length) / terms.length) * 100) / 100
+    : 1;
+
+  const excerpt = normalizeText(row.responseExcerpt);
+  const excerptFound = excerpt ? normalizeText(content).includes(excerpt) : null;
+
+  let state;
+  if (excerptFound === false) {
+    // The text the owner pointed reviewers to was edited out of the section
+    state = 'excerpt_missing';
+  } else if (excerptFound || coverage >= ADDRESSED_COVERAGE) {
+    state = 'addressed';
+  } else if (coverage >= PARTIAL_COVERAGE) {
+    state = 'partial';
+  } else {
+    state = 'not_addressed';
+  }
+
+  return { state, coverage, missingTerms: missingTerms.slice(0, 10), excerptFound, sectionVersion, checkedAt };
+}
+
+/**
+ * Validate evidence links: [{ label, url }] (http/https) or [{ label, documentId }]
+ */
+function normalizeEvidence(evidence) {
+  if (!Array.isArray(evidence)) {
+    throw serviceError('Evidence must be an array of links', 400);
+  }
+  if (evidence.length > MAX_EVIDENCE_LINKS) {
+    throw serviceError(`At most ${MAX_EVIDENCE_LINKS} evidence links are allowed`, 400);
+  }
+
+  return evidence.map(link => {
+    const label = link && typeof link.label === 'string' ? link.label.trim() : '';
+    if (link && typeof link.url === 'string' && link.url.trim()) {
+      let url;
+      try {
+        url = new URL(link.url.trim());
+      } catch (error) {
+        throw serviceError(`Invalid evidence URL: ${link.url}`, 400);
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw serviceError('Evidence URLs must use http or https', 400);
+      }
+      return { label: label || url.hostname, url: url.toString() };
+    }
+    if (link && link.documentId !== undefined && link.documentId !== null && String(link.documentId).trim()) {
+      return { label: label || `Document ${link.documentId}`, documentId: String(link.documentId).trim() };
+    }
+    throw serviceError('Each evidence link needs a url or a documentId', 400);
+  });
+}
+
+function summarize(rows) {
+  const summary = { total: rows.length, byStatus: {}, byValidation: {}, unowned: 0 };
+  STATUSES.forEach(status => { summary.byStatus[status] = 0; });
+  rows.forEach(row => {
+    summary.byStatus[row.status] = (summary.byStatus[row.status] || 0) + 1;
+    const state = row.validation.state || 'not_checked';
+    summary.byValidation[state] = (summary.byValidation[state] || 0) + 1;
+    if (!row.ownerId) {
+      summary.unowned++;
+    }
+  });
+  return summary;
+}
+
+class ComplianceMatrixService {
+  constructor(options = {}) {
+    this.matrixModel = options.matrixModel || new ComplianceMatrix();
+    this.draftModel = options.draftModel || new ProposalDraft();
+    this.projectService = options.projectService || new ProjectService();
+  }
+
+  /**
+   * Get a project's matrix, adding rows for requirements shredded since the last visit
+   * @param {number} projectId - Project ID
+   * @param {Object} filters - { status, ownerId, sectionId, documentType }
+   * @param {number} userId - Requesting user
+   * @returns {Object} { projectId, rows, summary, sections } (sections of the project's draft, for targeting)
+   */
+  async getMatrix(projectId, filters = {}, userId = null) {
+    const project = await this.projectService.getProject(projectId);
+
+    if (filters.status && !STATUSES.includes(filters.status)) {
+      throw serviceError(`Invalid status. Must be one of: ${STATUSES.join(', ')}`, 400);
+    }
+
+    const added = await this.matrixModel.addMissingRows(projectId, userId);
+    if (added > 0) {
+      logger.info(`Added ${added} compliance matrix rows for project ${projectId}`);
+    }
+
+    const rows = await this.matrixModel.listByProject(projectId, filters);
+    const draft = await this.draftModel.findDraft(project.title, (filters.documentType || 'solicitations').toLowerCase());
+    const sections = draft ? await this.draftModel.listSections(draft.id) : [];
+
+    return {
+      projectId,
+      rows,
+      summary: summarize(rows),
+      sections: sections.map(section => ({ id: section.id, draftId: section.draftId, title: section.title }))
+    };
+  }
+
+  async getRow(rowId) {
+    return await this.matrixModel.getRow(rowId);
+  }
+
+  /**
+   * Edit a matrix row; changing its section or response excerpt re-validates it
+   * @param {number} rowId - Row ID
+   * @param {Object} updates - { ownerId, status, sectionId, responseExcerpt, evidence, notes }
+   * @param {number} userId - Editing user
+   * @returns {Object|null} Updated row
+   */
+  async updateRow(rowId, updates, userId = null) {
+    const row = await this.matrixModel.getRow(rowId);
+    if (!row) {
+      return null;
+    }
+
+    const changes = {};
+
+    if (updates.status !== undefined) {
+      if (!STATUSES.includes(updates.status)) {
+        throw serviceError(`Invalid status. Must be one of: ${STATUSES.join(', ')}`, 400);
+      }
+      changes.status = updates.status;
+    }
+
+    if (updates.ownerId !== undefined) {
+      const ownerId = updates.ownerId === null || updates.ownerId === '' ? null : parseInt(updates.ownerId);
+      if (ownerId !== null && (isNaN(ownerId) || !(await this.matrixModel.userExists(ownerId)))) {
+        throw serviceError('Owner must be an existing user', 400);
+      }
+      changes.ownerId = ownerId;
+    }
+
+    if (updates.sectionId !== undefined) {
+      const sectionId = updates.sectionId === null || updates.sectionId === '' ? null : parseInt(updates.sectionId);
+      if (sectionId !== null) {
+        await this.assertProjectSection(row.projectId, sectionId);
+      }
+      changes.sectionId = sectionId;
+    }
+
+    if (updates.responseExcerpt !== undefined) {
+      const excerpt = updates.responseExcerpt === null ? '' : String(updates.responseExcerpt);
+      if (excerpt.length > MAX_EXCERPT_LENGTH) {
+        throw serviceError(`Response excerpt must be at most ${MAX_EXCERPT_LENGTH} characters`, 400);
+      }
+      changes.responseExcerpt = excerpt;
+    }
+
+    if (updates.evidence !== undefined) {
+      changes.evidence = normalizeEvidence(updates.evidence);
+    }
+
+    if (updates.notes !== undefined) {
+      changes.notes = updates.notes === null ? '' : String(updates.notes);
+    }
+
+    const updated = await this.matrixModel.update(rowId, changes, userId);
+
+    if (changes.sectionId !== undefined || changes.responseExcerpt !== undefined) {
+      const [validated] = await this.validateRows([updated]);
+      return validated;
+    }
+
+    return updated;
+  }
+
+  /**
+   * A target section must be in one of the project's proposal drafts
+   */
+  async assertProjectSection(projectId, sectionId) {
+    const section = isNaN(sectionId) ? null : await this.draftModel.getSection(sectionId);
+    const draft = section ? await this.draftModel.getDraft(section.draftId) : null;
+    const project = await this.projectService.getProject(projectId);
+
+    if (!draft || draft.projectName !== project.title) {
+      throw serviceError('Section must belong to this project\'s proposal', 400);
+    }
+  }
+
+  /**
+   * Check rows against their sections and store the results
+   * @returns {Array} Rows with their new validation
+   */
+  async validateRows(rows) {
+    const sections = new Map();
+    const validated = [];
+
+    for (const row of rows) {
+      let section = null;
+      if (row.sectionId) {
+        if (!sections.has(row.sectionId)) {
+          sections.set(row.sectionId, await this.draftModel.getSection(row.sectionId));
+        }
+        section = sections.get(row.sectionId);
+      }
+
+      const validation = validateRow(row, section);
+      if (row.sectionId) {
+        await this.matrixModel.setValidation(row.id, validation);
+      }
+      validated.push({ ...row, validation, validatedAt: validation.checkedAt });
+    }
+
+    return validated;
+  }
+
+  /**
+   * Re-validate every row targeting a section (called when its content is saved)
+   * @returns {number} Rows re-validated
+   */
+  async revalidateSection(sectionId) {
+    const rows = await this.matrixModel.listBySection(sectionId);
+    if (rows.length === 0) {
+      return 0;
+    }
+
+    await this.validateRows(rows);
+    logger.info(`Re-validated ${rows.length} compliance matrix rows for section ${sectionId}`);
+    return rows.length;
+  }
+
+  /**
+   * Re-validate a project's whole matrix
+   * @returns {Object} { validated, rows, summary }
+   */
+  async revalidateProject(projectId, userId = null) {
+    await this.projectService.getProject(projectId);
+    await this.matrixModel.addMissingRows(projectId, userId);
+
+    const rows = await this.validateRows(await this.matrixModel.listByProject(projectId));
+    return {
+      validated: rows.filter(row => row.sectionId).length,
+      rows,
+      summary: summarize(rows)
+    };
+  }
+
+  /**
+   * Project a matrix row belongs to (for access checks)
+   * @returns {string|null}
+   */
+  async getProjectName(rowId) {
+    const row = await this.matrixModel.getRow(rowId);
+    if (!row) {
+      return null;
+    }
+
+    const project = await this.projectService.getProject(row.projectId);
+    return project ? project.title : null;
+  }
+
+  /**
+   * Export a project's matrix in the reviewer layout
+   * @param {number} projectId - Project ID
+   * @param {string} format - csv or xlsx
+   * @returns {Object} { contentType, filename, body, count }
+   */
+  async exportMatrix(projectId, format = 'xlsx', userId = null) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw serviceError(`Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`, 400);
+    }
+
+    const project = await this.projectService.getProject(projectId);
+    await this.matrixModel.addMissingRows(projectId, userId);
+    const rows = await this.matrixModel.listByProject(projectId);
+
+    const slug = (project.title || `project-${projectId}`).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const filename = `compliance-matrix-${slug}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    return {
+      contentType: format === 'csv'
+        ? 'text/csv; charset=utf-8'
+        : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      filename,
+      body: format === 'csv'
+        ? toCSV(rows, EXPORT_COLUMNS)
+        : await writeXLSX(rows, EXPORT_COLUMNS, { sheetName: 'Compliance Matrix' }),
+      count: rows.length
+    };
+  }
+}
+
+ComplianceMatrixService.STATUSES = STATUSES;
+ComplianceMatrixService.STATUS_LABELS = STATUS_LABELS;
+ComplianceMatrixService.VALIDATION_LABELS = VALIDATION_LABELS;
+ComplianceMatrixService.EXPORT_COLUMNS = EXPORT_COLUMNS;
+ComplianceMatrixService.validateRow = validateRow;
+
+module.exports = ComplianceMatrixService;
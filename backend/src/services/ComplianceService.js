@@ -4,15 +4,14 @@
  * Enhanced with cross-reference detection and semantic matching
  */
 
-const axios = require('axios');
 const logger = require('../utils/logger');
+const LLMService = require('./LLMService');
 const CrossReferenceService = require('./CrossReferenceService');
 const ComplianceFramework = require('../models/ComplianceFramework');
 
 class ComplianceService {
   constructor() {
-    this.ollamaUrl = process.env.OLLAMA_URL || 'http://localhost:11434';
-    this.defaultModel = process.env.OLLAMA_MODEL || 'qwen2.5:14b';
+    this.llmService = new LLMService();
 
     // Initialize cross-reference service
     this.crossReferenceService = new CrossReferenceService();
@@ -132,10 +131,8 @@ For each requirement, provide:
 Format as structured text with clear categories.
 `;
 
-      const response = await this.callOllama({
-        model: this.defaultModel,
+      const response = await this.callModel({
         prompt,
-        stream: false,
         options: {
           temperature: 0.2,
           max_tokens: 2500
@@ -198,10 +195,8 @@ Analyze:
 Provide specific, actionable recommendations.
 `;
 
-      const response = await this.callOllama({
-        model: this.defaultModel,
+      const response = await this.callModel({
         prompt,
-        stream: false,
         options: {
           temperature: 0.3,
           max_tokens: 2000
@@ -304,10 +299,8 @@ For each risk:
 Prioritize risks by overall impact.
 `;
 
-      const response = await this.callOllama({
-        model: this.defaultModel,
+      const response = await this.callModel({
         prompt,
-        stream: false,
         options: {
           temperature: 0.3,
           max_tokens: 2200
@@ -411,10 +404,8 @@ For each requirement:
 Provide an overall compliance score (0-100%) and summary of critical gaps.
 `;
 
-      const response = await this.callOllama({
-        model: this.defaultModel,
+      const response = await this.callModel({
         prompt,
-        stream: false,
         options: {
           temperature: 0.2,
           max_tokens: 2000
@@ -880,33 +871,19 @@ Provide an overall compliance score (0-100%) and summary of critical gaps.
   }
 
   /**
-   * Call Ollama API
+   * Generate with the analysis task's provider
+   * @returns {Promise<string>} Generated text
    */
-  async callOllama(params) {
-    try {
-      const response = await axios.post(`${this.ollamaUrl}/api/generate`, params, {
-        timeout: 90000 // 90 second timeout for complex analysis
-      });
-
-      return response.data.response || response.data.content || '';
-    } catch (error) {
-      if (error.code === 'ECONNREFUSED') {
-        throw new Error('Ollama service is not running. Please start Ollama and try again.');
-      }
-      throw new Error(`Ollama API error: ${error.message}`);
-    }
+  async callModel(params) {
+    const result = await this.llmService.generate('analysis', params);
+    return result.text;
   }
 
   /**
    * Check if service is available
    */
   async isAvailable() {
-    try {
-      await axios.get(`${this.ollamaUrl}/api/tags`, { timeout: 5000 });
-      return true;
-    } catch (error) {
-      return false;
-    }
+    return await this.llmService.isAvailable('analysis');
   }
 }
 
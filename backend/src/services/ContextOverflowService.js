@@ -4,11 +4,27 @@
  */
 
 const GlobalSettingsService = require('./GlobalSettingsService');
+const LLMService = require('./LLMService');
+const TokenizerService = require('./TokenizerService');
 const logger = require('../utils/logger');
 
 class ContextOverflowService {
-  constructor() {
-    this.globalSettingsService = new GlobalSettingsService();
+  /**
+   * @param {Object} options - { settingsService, tokenizerService, llmService } overrides for tests
+   */
+  constructor(options = {}) {
+    this.globalSettingsService = options.settingsService || new GlobalSettingsService();
+    this.tokenizerService = options.tokenizerService || new TokenizerService();
+    this.llmService = options.llmService || new LLMService();
+  }
+
+  /**
+   * Token counter for the model the context is budgeted for (the writing model by default)
+   * @param {string} model - Model name, or null
+   * @returns {Promise<Object>} Counter from TokenizerService.getCounter
+   */
+  async getTokenCounter(model = null) {
+    return this.tokenizerService.getCounter(model || await this.llmService.getModel('writing'));
   }
 
   /**
@@ -16,9 +32,10 @@ class ContextOverflowService {
    * @param {Array} documents - Prioritized documents array
    * @param {Array} contextChunks - Processed context chunks
    * @param {string} modelType - Model category (small/medium/large)
+   * @param {string} model - Model whose tokenizer counts the chunks (defaults to the writing model)
    * @returns {Promise<Object>} Overflow analysis result
    */
-  async checkContextOverflow(documents, contextChunks, modelType = 'medium') {
+  async checkContextOverflow(documents, contextChunks, modelType = 'medium', model = null) {
     try {
       // Get context configuration
       const contextConfig = await this.getContextConfiguration();
@@ -35,10 +52,11 @@ class ContextOverflowService {
       );
 
       // Calculate current token usage
-      const currentTokens = this.calculateTokenUsage(contextChunks);
+      const counter = await this.getTokenCounter(model);
+      const currentTokens = await this.calculateTokenUsage(contextChunks, counter);
 
       // Calculate document-level token usage for selection interface
-      const documentTokenUsage = this.calculateDocumentTokenUsage(documents, contextChunks);
+      const documentTokenUsage = this.calculateDocumentTokenUsage(documents, contextChunks, counter);
 
       const overflowAnalysis = {
         willOverflow: currentTokens > maxContextTokens,
@@ -47,6 +65,7 @@ class ContextOverflowService {
         tokenLimit: modelLimits.max_tokens,
         overflowAmount: Math.max(0, currentTokens - maxContextTokens),
         contextPercentage: contextConfig.tokenAllocation.context_percent,
+        tokenizer: { model: counter.model, family: counter.family, exact: counter.exact },
         documentBreakdown: documentTokenUsage,
         recommendations: this.generateRecommendations(documentTokenUsage, maxContextTokens, currentTokens)
       };
@@ -69,22 +88,22 @@ class ContextOverflowService {
   /**
    * Calculate token usage from context chunks
    * @param {Array} contextChunks - Array of context chunks
-   * @returns {number} Estimated token count
+   * @param {Object|string} counter - Counter from getTokenCounter, or a model name
+   * @returns {Promise<number>} Token count
    */
-  calculateTokenUsage(contextChunks) {
-    // Simple token estimation: ~4 characters per token (GPT standard)
-    return contextChunks.reduce((total, chunk) => {
-      return total + Math.ceil(chunk.characterCount / 4);
-    }, 0);
+  async calculateTokenUsage(contextChunks, counter = null) {
+    const tokenCounter = counter && counter.count ? counter : await this.getTokenCounter(counter);
+    return contextChunks.reduce((total, chunk) => total + tokenCounter.count(chunk.content || ''), 0);
   }
 
   /**
    * Calculate token usage per document for selection interface
    * @param {Array} documents - Document array
    * @param {Array} contextChunks - Context chunks array
+   * @param {Object} counter - Counter from getTokenCounter (estimates when omitted)
    * @returns {Array} Document token breakdown
    */
-  calculateDocumentTokenUsage(documents, contextChunks) {
+  calculateDocumentTokenUsage(documents, contextChunks, counter = { count: TokenizerService.estimateTokens }) {
     const documentMap = new Map();
 
     // Initialize document entries
@@ -106,14 +125,15 @@ class ContextOverflowService {
     contextChunks.forEach(chunk => {
       const docData = documentMap.get(chunk.documentId);
       if (docData) {
-        docData.tokenCount += Math.ceil(chunk.characterCount / 4);
+        const tokens = counter.count(chunk.content || '');
+        docData.tokenCount += tokens;
         docData.chunkCount++;
 
         // Track sections for detailed view
         if (!docData.sections.find(s => s.type === chunk.sectionType)) {
           docData.sections.push({
             type: chunk.sectionType,
-            tokenCount: Math.ceil(chunk.characterCount / 4)
+            tokenCount: tokens
           });
         }
       }
@@ -5,20 +5,45 @@
 
 const crypto = require('crypto');
 const ProjectContext = require('../models/ProjectContext');
+const ContextChunk = require('../models/ContextChunk');
 const DocumentManagerService = require('./DocumentManagerService');
+const EmbeddingService = require('./EmbeddingService');
+const GlobalSettingsService = require('./GlobalSettingsService');
+const JobQueueService = require('./JobQueueService');
+const LLMService = require('./LLMService');
+const TokenizerService = require('./TokenizerService');
+const PermissionService = require('./PermissionService');
 const logger = require('../utils/logger');
+const {
+  DEFAULT_MAX_TOKENS,
+  DEFAULT_OVERLAP_TOKENS,
+  textToBlocks,
+  chunkDocument
+} = require('../utils/sectionChunker');
+
+const EMBEDDING_BATCH_SIZE = 16;
+
+// Uploads usually arrive in bursts; each trigger restarts the delay so a burst builds once
+const BUILD_DELAY_MS = 10000;
 
 class ContextService {
   constructor() {
     this.projectContext = new ProjectContext();
+    this.contextChunk = new ContextChunk();
     this.documentManager = new DocumentManagerService();
-    this.buildTimeouts = new Map(); // Track build delays
+    this.embeddingService = new EmbeddingService();
+    this.globalSettingsService = new GlobalSettingsService();
+    this.jobQueue = new JobQueueService();
+    this.llmService = new LLMService();
+    this.tokenizerService = new TokenizerService();
+    this.permissionService = new PermissionService();
   }
 
   /**
    * Get context for a project, building if needed
+   * @param {Object} user - req.user; when given, chunks of documents they may not see are left out
    */
-  async getProjectContext(projectName, documentType) {
+  async getProjectContext(projectName, documentType, user = null) {
     try {
       logger.info(`Getting context for ${projectName}/${documentType}`);
 
@@ -30,7 +55,7 @@ class ContextService {
         const cached = await this.projectContext.getContext(projectName, documentType);
         if (cached) {
           logger.info(`Using cached context: ${cached.tokenCount} tokens from ${cached.documentCount} documents`);
-          return cached;
+          return await this.visibleContext(projectName, cached, user);
         }
       }
 
@@ -41,10 +66,10 @@ class ContextService {
         return { status: 'building', buildTimestamp: buildStatus.buildTimestamp };
       }
 
-      // Trigger background build
-      this.triggerContextBuild(projectName, documentType);
+      // Trigger background build (without postponing one that is already waiting)
+      const job = await this.triggerContextBuild(projectName, documentType, { debounce: false });
 
-      return { status: 'building', buildTimestamp: new Date().toISOString() };
+      return { status: 'building', buildTimestamp: new Date().toISOString(), jobId: job.id };
     } catch (error) {
       logger.error(`Error getting project context: ${error.message}`);
       throw error;
@@ -52,88 +77,124 @@ class ContextService {
   }
 
   /**
-   * Trigger context building with delay (handles multiple rapid calls)
+   * A cached context without the chunks of documents the user may not see (restricted
+   * documents are built into the shared context like any other)
    */
-  triggerContextBuild(projectName, documentType) {
-    const key = `${projectName}:${documentType}`;
+  async visibleContext(projectName, context, user) {
+    const chunks = context.contextData && context.contextData.chunks;
+    if (!user || !chunks) {
+      return context;
+    }
 
-    // Clear existing timeout if any
-    if (this.buildTimeouts.has(key)) {
-      clearTimeout(this.buildTimeouts.get(key));
+    const documentIds = [...new Set(chunks.map(chunk => chunk.documentId).filter(Boolean))];
+    const visible = await this.permissionService.filterDocuments(user, documentIds.map(id => ({ id, projectName })));
+    if (visible.length === documentIds.length) {
+      return context;
     }
 
-    // Set new timeout for 10 seconds
-    const timeout = setTimeout(async () => {
-      this.buildTimeouts.delete(key);
-      await this.buildProjectContext(projectName, documentType);
-    }, 10000);
+    const visibleIds = new Set(visible.map(document => document.id));
+    return {
+      ...context,
+      contextData: {
+        ...context.contextData,
+        chunks: chunks.filter(chunk => !chunk.documentId || visibleIds.has(chunk.documentId))
+      },
+      documentCount: visible.length
+    };
+  }
 
-    this.buildTimeouts.set(key, timeout);
-    logger.info(`Scheduled context build for ${projectName}/${documentType} in 10 seconds`);
+  /**
+   * Queue a context build job after a short delay (repeated calls restart the delay)
+   * @param {Object} options - { immediate: skip the delay, debounce: false keeps a waiting build's start time, createdBy }
+   * @returns {Object} The queued build job
+   */
+  async triggerContextBuild(projectName, documentType, options = {}) {
+    const job = await this.jobQueue.enqueue(JobQueueService.JOB_TYPES.CONTEXT_BUILD, { projectName, documentType }, {
+      dedupeKey: this.getBuildKey(projectName, documentType),
+      delayMs: options.immediate ? 0 : BUILD_DELAY_MS,
+      debounce: options.debounce !== false,
+      createdBy: options.createdBy || null
+    });
+
+    logger.info(`Scheduled context build job ${job.id} for ${projectName}/${documentType}${options.immediate ? '' : ` in ${BUILD_DELAY_MS / 1000} seconds`}`);
+    return job;
   }
 
   /**
-   * Cancel pending context build
+   * Cancel pending and running context builds
    */
-  cancelContextBuild(projectName, documentType) {
-    const key = `${projectName}:${documentType}`;
-    if (this.buildTimeouts.has(key)) {
-      clearTimeout(this.buildTimeouts.get(key));
-      this.buildTimeouts.delete(key);
+  async cancelContextBuild(projectName, documentType) {
+    const cancelled = await this.jobQueue.cancelByDedupeKey(this.getBuildKey(projectName, documentType));
+    if (cancelled.length > 0) {
       logger.info(`Cancelled context build for ${projectName}/${documentType}`);
     }
+    return cancelled;
+  }
+
+  getBuildKey(projectName, documentType) {
+    return `context_build:${projectName}:${documentType}`;
   }
 
   /**
-   * Build context for a project
+   * Build context for a project (runs as a context_build job; the queue retries failures)
+   * @param {Object} job - Job context: { progress(percent, message), throwIfCancelled() }
+   * @returns {Object} { documentCount, chunkCount, tokenCount, failedDocuments }
    */
-  async buildProjectContext(projectName, documentType, retryCount = 0) {
+  async buildProjectContext(projectName, documentType, job = {}) {
+    const progress = job.progress || (async () => {});
+    const throwIfCancelled = job.throwIfCancelled || (() => {});
+
     try {
-      logger.info(`Building context for ${projectName}/${documentType} (attempt ${retryCount + 1})`);
+      logger.info(`Building context for ${projectName}/${documentType}`);
 
       // Mark as building
-      try {
-        await this.projectContext.markBuilding(projectName, documentType);
-        logger.info(`Marked as building successfully`);
-      } catch (markError) {
-        logger.error(`Error marking as building: ${markError.message}`);
-        throw markError;
-      }
+      await this.projectContext.markBuilding(projectName, documentType);
 
       // Get all active documents for the project
-      logger.info(`About to call getProjectDocuments for ${projectName}/${documentType}`);
       const documents = await this.getProjectDocuments(projectName, documentType);
       logger.info(`getProjectDocuments returned ${documents?.length || 0} documents`);
 
       if (documents.length === 0) {
         logger.warn(`No documents found for ${projectName}/${documentType}`);
         await this.projectContext.markFailed(projectName, documentType, 'No documents found');
-        return;
+        return { documentCount: 0, chunkCount: 0, tokenCount: 0, failedDocuments: 0 };
       }
 
-      // Process documents and build context
-      const contextData = await this.processDocuments(documents);
+      // Process documents and build context (10-70%)
+      await progress(5, `Processing ${documents.length} documents`);
+      const contextData = await this.processDocuments(documents, {
+        onDocument: async (index, document) => {
+          throwIfCancelled();
+          await progress(10 + Math.round((index / documents.length) * 60), `Processing ${document.originalName} (${index + 1}/${documents.length})`);
+        }
+      });
 
       // Calculate metadata
       const metadata = this.calculateContextMetadata(contextData, documents);
 
+      // Index chunks for prompt-time retrieval
+      throwIfCancelled();
+      await progress(70, `Embedding and indexing ${contextData.chunks.length} chunks`);
+      await this.indexContextChunks(projectName, documentType, contextData.chunks);
+
       // Save to cache
+      throwIfCancelled();
+      await progress(95, 'Saving context');
       await this.projectContext.saveContext(projectName, documentType, contextData, metadata);
 
       logger.info(`✅ Context built successfully: ${metadata.tokenCount} tokens from ${metadata.documentCount} documents`);
 
+      return {
+        documentCount: metadata.documentCount,
+        chunkCount: contextData.chunks.length,
+        tokenCount: metadata.tokenCount,
+        failedDocuments: contextData.failedDocuments.length
+      };
     } catch (error) {
       logger.error(`Context build failed for ${projectName}/${documentType}: ${error.message}`);
-
-      // Retry logic (up to 3 attempts)
-      if (retryCount < 2) {
-        logger.info(`Retrying context build (${retryCount + 2}/3)...`);
-        setTimeout(() => {
-          this.buildProjectContext(projectName, documentType, retryCount + 1);
-        }, 5000); // 5 second delay before retry
-      } else {
-        await this.projectContext.markFailed(projectName, documentType, error.message);
-      }
+      await this.projectContext.markFailed(projectName, documentType, error.cancelled ? 'Build cancelled' : error.message)
+        .catch(markError => logger.error(`Error marking context build failed: ${markError.message}`));
+      throw error;
     }
   }
 
@@ -240,24 +301,25 @@ class ContextService {
 
   /**
    * Process documents into context chunks
+   * @param {Object} options - { onDocument(index, document): called before each document }
    */
-  async processDocuments(documents) {
+  async processDocuments(documents, options = {}) {
     const contextChunks = [];
     const failedDocuments = [];
+    const chunkOptions = await this.getChunkingOptions();
+
+    for (const [index, document] of documents.entries()) {
+      if (options.onDocument) {
+        await options.onDocument(index, document);
+      }
 
-    for (const document of documents) {
       try {
         logger.info(`Processing document: ${document.originalName}`);
 
-        // Extract text content
-        const content = await this.documentManager.getDocumentContent(
-          document.category,
-          document.projectName,
-          document.originalName
-        );
+        // Extract headings, paragraphs, table rows and page numbers
+        const blocks = await this.documentManager.extractDocumentBlocks(document);
 
-        // Create chunks (basic implementation for now)
-        const chunks = await this.createDocumentChunks(document, content.content);
+        const chunks = await this.createDocumentChunks(document, blocks, chunkOptions);
         contextChunks.push(...chunks);
 
       } catch (error) {
@@ -277,32 +339,101 @@ class ContextService {
   }
 
   /**
-   * Create chunks from document content (basic implementation)
+   * Chunk size and overlap from `context.chunk_max_tokens` / `context.chunk_overlap_tokens`,
+   * counted with the writing model's tokenizer (the model that reads the context)
+   * @returns {Object} { maxTokens, overlapTokens, countTokens }
+   */
+  async getChunkingOptions() {
+    const [maxTokens, overlapTokens, model] = await Promise.all([
+      this.globalSettingsService.getSettingValue('context.chunk_max_tokens', DEFAULT_MAX_TOKENS),
+      this.globalSettingsService.getSettingValue('context.chunk_overlap_tokens', DEFAULT_OVERLAP_TOKENS),
+      this.llmService.getModel('writing')
+    ]);
+    const counter = await this.tokenizerService.getCounter(model);
+
+    return {
+      maxTokens: parseInt(maxTokens) || DEFAULT_MAX_TOKENS,
+      overlapTokens: Number.isNaN(parseInt(overlapTokens)) ? DEFAULT_OVERLAP_TOKENS : parseInt(overlapTokens),
+      countTokens: counter.count
+    };
+  }
+
+  /**
+   * Create section-aware chunks from a document
+   * @param {Object} document - Document record
+   * @param {Array|string} content - Blocks from DocumentManagerService.extractDocumentBlocks, or plain text
+   * @param {Object} options - { maxTokens, overlapTokens, countTokens }
    */
-  async createDocumentChunks(document, content) {
-    if (!content || typeof content !== 'string') {
+  async createDocumentChunks(document, content, options = {}) {
+    const blocks = typeof content === 'string' ? textToBlocks([{ page: null, text: content }]) : content;
+    if (!Array.isArray(blocks) || blocks.length === 0) {
       return [];
     }
 
-    // Basic chunking by paragraphs for now
-    const paragraphs = content.split(/\n\s*\n/).filter(p => p.trim().length > 0);
+    return chunkDocument(blocks, options).map((chunk, index) => this.formatDocumentChunk(document, chunk, index));
+  }
 
-    return paragraphs.map((paragraph, index) => ({
+  /**
+   * Context chunk record for a chunker chunk
+   */
+  formatDocumentChunk(document, chunk, index) {
+    // Headings are a better signal than body keywords when the document has them
+    const headingType = chunk.headingPath.length > 0 ? this.detectSectionType(chunk.headingPath.join(' ')) : 'general';
+
+    return {
       id: `${document.id}_chunk_${index}`,
       documentId: document.id,
       documentName: document.originalName,
-      content: paragraph.trim(),
+      content: chunk.content,
       chunkIndex: index,
-      wordCount: this.countWords(paragraph),
-      characterCount: paragraph.length,
-      // Basic section detection (can be enhanced later)
-      sectionType: this.detectSectionType(paragraph),
+      wordCount: this.countWords(chunk.content),
+      characterCount: chunk.content.length,
+      tokenCount: chunk.tokenCount,
+      sectionType: headingType !== 'general' ? headingType : this.detectSectionType(chunk.content),
+      sectionTitle: chunk.sectionTitle,
+      paragraphId: chunk.paragraphId,
+      headingPath: chunk.headingPath,
+      pageStart: chunk.pageStart,
+      pageEnd: chunk.pageEnd,
+      contentType: chunk.contentType,
       metadata: {
         documentType: document.category,
         projectName: document.projectName,
         uploadDate: document.createdAt
       }
-    }));
+    };
+  }
+
+  /**
+   * Store chunks in context_chunks with embeddings from the active model
+   * Batches that fail to embed are stored without vectors; full-text retrieval still
+   * covers them and the embedding backfill picks them up later.
+   */
+  async indexContextChunks(projectName, documentType, chunks) {
+    let embedded = 0;
+
+    for (let start = 0; start < chunks.length; start += EMBEDDING_BATCH_SIZE) {
+      const batch = chunks.slice(start, start + EMBEDDING_BATCH_SIZE);
+      try {
+        const result = await this.embeddingService.embedTexts(batch.map(chunk => chunk.content));
+        batch.forEach((chunk, index) => {
+          chunk.embedding = { vector: result.vectors[index], model: result.model, dimension: result.dimension };
+        });
+        embedded += batch.length;
+      } catch (error) {
+        logger.warn(`Could not embed context chunks ${start}-${start + batch.length - 1} for ${projectName}/${documentType}: ${error.message}`);
+      }
+    }
+
+    try {
+      await this.contextChunk.replaceChunks(projectName, documentType, chunks);
+      logger.info(`Indexed ${chunks.length} chunks (${embedded} embedded) for ${projectName}/${documentType}`);
+    } catch (error) {
+      logger.error(`Could not index context chunks for ${projectName}/${documentType}: ${error.message}`);
+    } finally {
+      // Vectors are stored in context_chunks, not in the cached context JSON
+      chunks.forEach(chunk => delete chunk.embedding);
+    }
   }
 
   /**
@@ -335,13 +466,15 @@ class ContextService {
     const totalWordCount = chunks.reduce((sum, chunk) => sum + chunk.wordCount, 0);
     const totalCharacterCount = chunks.reduce((sum, chunk) => sum + chunk.characterCount, 0);
 
-    // Simple token estimation (rough approximation: 1 token ≈ 4 characters)
-    const estimatedTokenCount = Math.ceil(totalCharacterCount / 4);
+    // Chunks are counted with the writing model's tokenizer when they are built
+    const tokenCount = chunks.reduce((sum, chunk) => sum + (chunk.tokenCount !== undefined
+      ? chunk.tokenCount
+      : TokenizerService.estimateTokens(chunk.content)), 0);
 
     const checksum = this.calculateDataChecksum(documents);
 
     return {
-      tokenCount: estimatedTokenCount,
+      tokenCount,
       wordCount: totalWordCount,
       characterCount: totalCharacterCount,
       documentCount: documents.length,
@@ -4,12 +4,11 @@
  */
 
 const logger = require('../utils/logger');
-const axios = require('axios');
+const LLMService = require('./LLMService');
 
 class CrossReferenceService {
   constructor() {
-    this.ollamaUrl = process.env.OLLAMA_URL || 'http://localhost:11434';
-    this.defaultModel = process.env.OLLAMA_MODEL || 'qwen2.5:14b';
+    this.llmService = new LLMService();
 
     // Define relationship types and their patterns
     this.relationshipTypes = {
@@ -139,10 +138,8 @@ For each relationship found, provide:
 Format as: SOURCE_ID -> TARGET_ID | RELATIONSHIP_TYPE | CONFIDENCE | EXPLANATION
 `;
 
-      const response = await this.callOllama({
-        model: this.defaultModel,
+      const response = await this.callModel({
         prompt,
-        stream: false,
         options: {
           temperature: 0.1, // Low temperature for consistent analysis
           max_tokens: 1500
@@ -274,10 +271,8 @@ Only identify HIGH-CONFIDENCE relationships with clear business impact.
 Format: REQ-ID -> REQ-ID | TYPE | IMPACT | EXPLANATION
 `;
 
-      const response = await this.callOllama({
-        model: this.defaultModel,
+      const response = await this.callModel({
         prompt,
-        stream: false,
         options: {
           temperature: 0.2,
           max_tokens: 1000
@@ -595,33 +590,19 @@ Format: REQ-ID -> REQ-ID | TYPE | IMPACT | EXPLANATION
   }
 
   /**
-   * Call Ollama API
+   * Generate with the analysis task's provider
+   * @returns {Promise<string>} Generated text
    */
-  async callOllama(params) {
-    try {
-      const response = await axios.post(`${this.ollamaUrl}/api/generate`, params, {
-        timeout: 60000 // 60 second timeout for analysis
-      });
-
-      return response.data.response || response.data.content || '';
-    } catch (error) {
-      if (error.code === 'ECONNREFUSED') {
-        throw new Error('Ollama service is not running. Please start Ollama and try again.');
-      }
-      throw new Error(`Ollama API error: ${error.message}`);
-    }
+  async callModel(params) {
+    const result = await this.llmService.generate('analysis', params);
+    return result.text;
   }
 
   /**
    * Check if service is available
    */
   async isAvailable() {
-    try {
-      await axios.get(`${this.ollamaUrl}/api/tags`, { timeout: 5000 });
-      return true;
-    } catch (error) {
-      return false;
-    }
+    return await this.llmService.isAvailable('analysis');
   }
 }
 
@@ -46,14 +46,20 @@ class DocumentChunkService {
     }
 
     try {
-      // Generate embedding for the content
-      const embedding = await this.embeddingService.generateEmbedding(content);
+      // Generate embedding for the content; a chunk saved without one is picked up by the backfill job
+      let embedding = null;
+      try {
+        embedding = await this.embeddingService.embedTexts([content]);
+      } catch (error) {
+        logger.warn(`Saving chunk without embedding (pending backfill): ${error.message}`);
+      }
 
       const query = `
         INSERT INTO document_chunks (
           document_id, past_performance_id, chunk_type, chunk_index,
-          content, section_title, page_number, metadata, embedding
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          content, section_title, page_number, metadata, embedding,
+          embedding_model, embedding_dimension, embedded_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, ${embedding ? 'NOW()' : 'NULL'})
         RETURNING *
       `;
 
@@ -66,7 +72,9 @@ class DocumentChunkService {
         sectionTitle,
         pageNumber,
         JSON.stringify(metadata),
-        `[${embedding.join(',')}]` // Convert array to PostgreSQL vector format
+        embedding ? `[${embedding.vectors[0].join(',')}]` : null, // Convert array to PostgreSQL vector format
+        embedding ? embedding.model : null,
+        embedding ? embedding.dimension : null
       ];
 
       const result = await this.pool.query(query, values);
@@ -123,8 +131,9 @@ class DocumentChunkService {
 
   /**
    * Perform semantic similarity search
+   * Only chunks embedded by the same model as the query vector are compared.
    * @param {Array} queryEmbedding - Query embedding vector
-   * @param {Object} options - Search options
+   * @param {Object} options - Search options ({ embeddingModel } defaults to the active embedding model)
    * @returns {Array} Similar chunks with similarity scores
    */
   async semanticSearch(queryEmbedding, options = {}) {
@@ -134,14 +143,15 @@ class DocumentChunkService {
       threshold = 0.7,
       includeContent = true
     } = options;
+    const embeddingModel = options.embeddingModel || await this.embeddingService.getActiveModel();
 
-    let whereClause = '';
-    const values = [`[${queryEmbedding.join(',')}]`, limit];
-    let paramIndex = 3;
+    const values = [`[${queryEmbedding.join(',')}]`, limit, embeddingModel, queryEmbedding.length];
+    const conditions = ['embedding IS NOT NULL', 'embedding_model = $3', 'embedding_dimension = $4'];
+    let paramIndex = 5;
 
     // Filter by chunk types if specified
     if (chunkTypes.length > 0) {
-      whereClause = `WHERE chunk_type = ANY($${paramIndex})`;
+      conditions.push(`chunk_type = ANY($${paramIndex})`);
       values.push(chunkTypes);
       paramIndex++;
     }
@@ -162,8 +172,8 @@ class DocumentChunkService {
         metadata,
         1 - (embedding <=> $1) as similarity_score
       FROM document_chunks
-      ${whereClause}
-      ${whereClause ? 'AND' : 'WHERE'} 1 - (embedding <=> $1) >= ${similarityThreshold}
+      WHERE ${conditions.join(' AND ')}
+        AND 1 - (embedding <=> $1) >= ${similarityThreshold}
       ORDER BY embedding <=> $1
       LIMIT $2
     `;
@@ -220,16 +230,26 @@ class DocumentChunkService {
       throw new Error('No valid fields to update');
     }
 
-    // If content is being updated, regenerate embedding
+    // If content is being updated, regenerate embedding (or clear it so the backfill job re-embeds)
     if (updates.content) {
+      let embedding = null;
       try {
-        const embedding = await this.embeddingService.generateEmbedding(updates.content);
-        updateFields.push(`embedding = $${paramIndex}`);
-        values.push(`[${embedding.join(',')}]`);
-        paramIndex++;
+        embedding = await this.embeddingService.embedTexts([updates.content]);
       } catch (error) {
         logger.warn(`Could not regenerate embedding: ${error.message}`);
       }
+      updateFields.push(
+        `embedding = $${paramIndex}`,
+        `embedding_model = $${paramIndex + 1}`,
+        `embedding_dimension = $${paramIndex + 2}`,
+        `embedded_at = ${embedding ? 'NOW()' : 'NULL'}`
+      );
+      values.push(
+        embedding ? `[${embedding.vectors[0].join(',')}]` : null,
+        embedding ? embedding.model : null,
+        embedding ? embedding.dimension : null
+      );
+      paramIndex += 3;
     }
 
     values.push(chunkId);
@@ -329,6 +349,12 @@ class DocumentChunkService {
         SELECT AVG(LENGTH(content)) as avg_length
         FROM document_chunks
       `,
+      byEmbeddingModel: `
+        SELECT embedding_model, embedding_dimension, COUNT(*) as count
+        FROM document_chunks
+        GROUP BY embedding_model, embedding_dimension
+        ORDER BY count DESC
+      `,
       recentActivity: `
         SELECT DATE_TRUNC('day', created_at) as date,
                COUNT(*) as count
@@ -348,7 +374,8 @@ class DocumentChunkService {
         total: parseInt(results[0].rows[0].count),
         byChunkType: results[1].rows,
         averageContentLength: Math.round(results[2].rows[0].avg_length || 0),
-        recentActivity: results[3].rows
+        byEmbeddingModel: results[3].rows,
+        recentActivity: results[4].rows
       };
     } catch (error) {
       logger.error(`Error getting chunk statistics: ${error.message}`);
@@ -366,7 +393,7 @@ class DocumentChunkService {
     const { limit = 5, threshold = 0.8 } = options;
 
     // Get the base chunk's embedding
-    const baseQuery = 'SELECT embedding FROM document_chunks WHERE id = $1';
+    const baseQuery = 'SELECT embedding, embedding_model FROM document_chunks WHERE id = $1 AND embedding IS NOT NULL';
 
     try {
       const baseResult = await this.pool.query(baseQuery, [baseChunkId]);
@@ -374,7 +401,7 @@ class DocumentChunkService {
         return [];
       }
 
-      const baseEmbedding = baseResult.rows[0].embedding;
+      const { embedding: baseEmbedding, embedding_model: baseModel } = baseResult.rows[0];
 
       // Find similar chunks
       const similarQuery = `
@@ -387,6 +414,8 @@ class DocumentChunkService {
           1 - (embedding <=> $1) as similarity_score
         FROM document_chunks
         WHERE id != $2
+          AND embedding_model = $5
+          AND embedding_dimension = vector_dims($1::vector)
           AND 1 - (embedding <=> $1) >= $3
         ORDER BY embedding <=> $1
         LIMIT $4
@@ -396,7 +425,8 @@ class DocumentChunkService {
         baseEmbedding,
         baseChunkId,
         threshold,
-        limit
+        limit,
+        baseModel
       ]);
 
       return result.rows.map(row => ({
@@ -428,6 +458,9 @@ class DocumentChunkService {
       sectionTitle: row.section_title,
       pageNumber: row.page_number,
       metadata: row.metadata || {},
+      embeddingModel: row.embedding_model || null,
+      embeddingDimension: row.embedding_dimension || null,
+      embeddedAt: row.embedded_at || null,
       createdAt: row.created_at
     };
   }
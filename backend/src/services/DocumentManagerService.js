@@ -4,18 +4,28 @@
  */
 
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
+const { parsePDFPages, parseWordBlocks } = require('../utils/documentParser');
+const { textToBlocks } = require('../utils/sectionChunker');
 const Document = require('../models/Document');
 const DocumentType = require('../models/DocumentType');
+const StorageService = require('./StorageService');
+const PermissionService = require('./PermissionService');
 
 class DocumentManagerService {
-  constructor() {
+  /**
+   * @param {Object} options - { documentModel, documentTypeModel, storage, permissionService } overrides for tests and scripts
+   */
+  constructor(options = {}) {
     this.baseUploadPath = process.env.UPLOAD_PATH || path.join(__dirname, '../../uploads');
-    this.documentModel = new Document();
-    this.documentTypeModel = new DocumentType();
+    this.documentModel = options.documentModel || new Document();
+    this.documentTypeModel = options.documentTypeModel || new DocumentType();
+    this.storage = options.storage || new StorageService();
+    this.permissionService = options.permissionService || new PermissionService();
 
     this.initializeDirectories();
   }
@@ -66,24 +76,16 @@ class DocumentManagerService {
       } = metadata;
 
       // Validate category using database
-      const categoryConfig = await this.documentTypeModel.validateFileType(
+      await this.documentTypeModel.validateFileType(
         category,
         file.originalname,
         file.size
       );
 
-      // For compatibility, map database structure to expected format
-      categoryConfig.subfolders = categoryConfig.subfolders || ['general'];
-
-      // Determine target directory
-      let targetDir = path.join(this.baseUploadPath, category);
-
-      // If projectName is provided, create project-specific folder
+      // Project folders still exist on disk so listProjects can show them; the file itself goes to storage
       if (projectName) {
         const sanitizedProjectName = projectName.replace(/[^a-zA-Z0-9-_\s]/g, '_');
-        targetDir = path.join(targetDir, sanitizedProjectName);
-      } else if (subfolder && categoryConfig.subfolders.includes(subfolder)) {
-        targetDir = path.join(targetDir, subfolder);
+        await fs.mkdir(path.join(this.baseUploadPath, category, sanitizedProjectName), { recursive: true });
       }
 
       // Generate unique filename
@@ -91,33 +93,24 @@ class DocumentManagerService {
       const basename = path.parse(file.originalname).name.replace(/[^a-zA-Z0-9-_]/g, '_');
       const fileExt = path.parse(file.originalname).ext;
       const uniqueFilename = `${timestamp}_${basename}${fileExt}`;
-      const targetPath = path.join(targetDir, uniqueFilename);
-
-      // Ensure target directory exists
-      await fs.mkdir(targetDir, { recursive: true });
 
-      // Move file from temp location to target location (handle cross-device)
-      try {
-        await fs.rename(file.path, targetPath);
-      } catch (error) {
-        if (error.code === 'EXDEV') {
-          // Cross-device link not permitted, use copy + unlink instead
-          await fs.copyFile(file.path, targetPath);
-          await fs.unlink(file.path);
-        } else {
-          throw error;
-        }
-      }
-
-      // Read file content for metadata calculations
-      const fileBuffer = await fs.readFile(targetPath);
+      // Read file content for metadata calculations; the checksum is also the storage key
+      const fileBuffer = await fs.readFile(file.path);
+      const checksum = await this.calculateChecksum(fileBuffer);
+      const stored = await this.storage.storeFile(file.path, {
+        checksum,
+        extension: fileExt,
+        contentType: file.mimetype
+      });
+      await fs.unlink(file.path).catch(() => {});
 
       // Create document record in database
       const documentRecord = await this.documentModel.create({
         filename: uniqueFilename,
         originalName: file.originalname,
-        path: targetPath,
-        relativePath: path.relative(this.baseUploadPath, targetPath),
+        path: stored.location,
+        relativePath: stored.key,
+        storageKey: stored.key,
         category: category,
         subfolder: subfolder,
         projectName: projectName,
@@ -128,7 +121,7 @@ class DocumentManagerService {
         description: description,
         uploadedBy: uploadedBy,
         metadata: {
-          checksum: await this.calculateChecksum(fileBuffer),
+          checksum,
           wordCount: this.estimateWordCount(fileBuffer, fileExt),
           pageCount: this.estimatePageCount(fileBuffer, fileExt)
         }
@@ -277,6 +270,60 @@ class DocumentManagerService {
     }
   }
 
+  /**
+   * Archive, unarchive or soft-delete documents one at a time
+   * Each needs the delete permission on its own project; a document that is missing or
+   * denied is reported in errors and the rest still go ahead.
+   * @param {Array} documentIds - Document IDs
+   * @param {string} action - archive, unarchive or delete
+   * @param {Object} user - req.user
+   * @param {string} username - Recorded as who made the change
+   * @returns {Object} { processed, errors: [{ id, error }] }
+   */
+  async bulkDocumentAction(documentIds, action, user, username) {
+    const processed = [];
+    const errors = [];
+
+    for (const id of documentIds) {
+      try {
+        const document = await this.documentModel.getById(id);
+        if (!document) {
+          errors.push({ id, error: 'Document not found' });
+          continue;
+        }
+
+        const decision = await this.permissionService.explain(user, 'delete', { documentId: document.id });
+        if (!decision.allowed) {
+          errors.push({ id, error: decision.reason });
+          continue;
+        }
+
+        let result;
+        switch (action) {
+          case 'archive':
+            result = await this.documentModel.archive(document.id, username);
+            break;
+          case 'unarchive':
+            result = await this.documentModel.unarchive(document.id, username);
+            break;
+          case 'delete':
+            result = await this.documentModel.softDelete(document.id, username);
+            break;
+        }
+
+        if (result) {
+          processed.push(result);
+        } else {
+          errors.push({ id, error: `Failed to ${action} document` });
+        }
+      } catch (error) {
+        errors.push({ id, error: error.message });
+      }
+    }
+
+    return { processed, errors };
+  }
+
   /**
    * Delete document
    */
@@ -598,78 +645,39 @@ class DocumentManagerService {
   }
 
   /**
-   * Search across all documents
+   * Read a document's bytes
+   * Accepts a document record (read from storage by its key, or from its file path if it
+   * predates the storage migration) or a plain file path.
+   * @returns {Object} { buffer, extension, name }
    */
-  async searchDocuments(query, filters = {}) {
-    try {
-      const allDocuments = [];
-
-      // Search in all categories
-      const documentStructure = await this.documentTypeModel.getDocumentStructure();
-      for (const categoryKey of Object.keys(documentStructure)) {
-        const categoryDocs = await this.listDocuments(categoryKey, null, {
-          searchTerm: query,
-          ...filters,
-          limit: 1000
-        });
-        allDocuments.push(...categoryDocs.documents);
-      }
-
-      // Sort by relevance (simple text matching score)
-      allDocuments.sort((a, b) => {
-        const aScore = this.calculateRelevanceScore(a, query);
-        const bScore = this.calculateRelevanceScore(b, query);
-        return bScore - aScore;
-      });
-
+  async readDocument(source) {
+    if (typeof source === 'string') {
       return {
-        documents: allDocuments.slice(0, filters.limit || 50),
-        total: allDocuments.length,
-        query: query
+        buffer: await fs.readFile(source),
+        extension: path.extname(source).toLowerCase(),
+        name: path.basename(source)
       };
-
-    } catch (error) {
-      logger.error(`Error searching documents: ${error.message}`);
-      throw error;
     }
-  }
-
-  calculateRelevanceScore(document, query) {
-    const queryLower = query.toLowerCase();
-    let score = 0;
 
-    // Title match (highest weight)
-    if (document.originalName.toLowerCase().includes(queryLower)) {
-      score += 10;
-    }
+    const name = source.originalName || source.filename || path.basename(source.path || '');
+    const extension = (source.extension || path.extname(name)).toLowerCase();
+    const buffer = source.storageKey
+      ? await this.storage.read(source.storageKey)
+      : await fs.readFile(source.path);
 
-    // Description match
-    if (document.description && document.description.toLowerCase().includes(queryLower)) {
-      score += 5;
-    }
-
-    // Project name match
-    if (document.projectName && document.projectName.toLowerCase().includes(queryLower)) {
-      score += 3;
-    }
-
-    // Tag match
-    if (document.tags.some(tag => tag.toLowerCase().includes(queryLower))) {
-      score += 2;
-    }
-
-    return score;
+    return { buffer, extension, name };
   }
 
   /**
    * Extract text content from document based on file type
+   * @param {Object|string} source - Document record or file path (see readDocument)
    */
-  async extractDocumentText(filePath) {
+  async extractDocumentText(source) {
+    const label = typeof source === 'string' ? source : (source.originalName || source.storageKey);
     try {
-      const extension = path.extname(filePath).toLowerCase();
-      const buffer = await fs.readFile(filePath);
+      const { buffer, extension, name } = await this.readDocument(source);
 
-      logger.info(`Extracting text from ${extension} file: ${path.basename(filePath)}`);
+      logger.info(`Extracting text from ${extension} file: ${name}`);
 
       switch (extension) {
         case '.pdf':
@@ -680,7 +688,7 @@ class DocumentManagerService {
 
         case '.doc':
           // Note: .doc files require additional parsing, for now return basic info
-          return `Document: ${path.basename(filePath)}\n\nThis is a legacy .doc file. Please convert to .docx format for better text extraction.`;
+          return `Document: ${name}\n\nThis is a legacy .doc file. Please convert to .docx format for better text extraction.`;
 
         case '.txt':
           return buffer.toString('utf-8');
@@ -689,7 +697,7 @@ class DocumentManagerService {
           throw new Error(`Unsupported file type: ${extension}`);
       }
     } catch (error) {
-      logger.error(`Error extracting text from ${filePath}: ${error.message}`);
+      logger.error(`Error extracting text from ${label}: ${error.message}`);
       throw new Error(`Failed to extract text from document: ${error.message}`);
     }
   }
@@ -707,6 +715,59 @@ class DocumentManagerService {
     }
   }
 
+  /**
+   * Extract text page by page so callers can cite page numbers
+   * Formats without pagination come back as a single entry with page null.
+   * @returns {Array} [{ page, text }]
+   */
+  async extractDocumentPages(source) {
+    if (this.sourceExtension(source) !== '.pdf') {
+      return [{ page: null, text: await this.extractDocumentText(source) }];
+    }
+
+    const { buffer } = await this.readDocument(source);
+    return await this.extractPdfPages(buffer);
+  }
+
+  /**
+   * Extract structured blocks for section-aware chunking
+   * PDFs keep their page numbers and DOCX files keep headings and table rows;
+   * other formats fall back to paragraphs of plain text.
+   * @returns {Array} Blocks (see utils/sectionChunker chunkDocument)
+   */
+  async extractDocumentBlocks(source) {
+    if (this.sourceExtension(source) === '.docx') {
+      const { buffer } = await this.readDocument(source);
+      try {
+        return await parseWordBlocks(buffer);
+      } catch (error) {
+        logger.error(`DOCX parsing error: ${error.message}`);
+        throw new Error(`Failed to parse DOCX: ${error.message}`);
+      }
+    }
+
+    return textToBlocks(await this.extractDocumentPages(source));
+  }
+
+  sourceExtension(source) {
+    if (typeof source === 'string') {
+      return path.extname(source).toLowerCase();
+    }
+    return (source.extension || path.extname(source.originalName || source.path || '')).toLowerCase();
+  }
+
+  /**
+   * Extract PDF text as one entry per page
+   */
+  async extractPdfPages(buffer) {
+    try {
+      return await parsePDFPages(buffer);
+    } catch (error) {
+      logger.error(`PDF parsing error: ${error.message}`);
+      throw new Error(`Failed to parse PDF: ${error.message}`);
+    }
+  }
+
   /**
    * Extract text from DOCX using mammoth
    */
@@ -720,36 +781,39 @@ class DocumentManagerService {
     }
   }
 
+  /**
+   * Find a document by type, project and original (or stored) file name
+   * @returns {Promise<Object|null>}
+   */
+  async findDocument(documentType, projectTitle, documentName) {
+    const documents = await this.documentModel.list({
+      category: documentType.toLowerCase(),
+      projectName: projectTitle
+    }, { limit: 1000 });
+
+    return documents.documents.find(doc =>
+      doc.originalName === documentName || doc.filename === documentName
+    ) || null;
+  }
+
   /**
    * Get document text content for reading pane and AI context
    */
   async getDocumentContent(documentType, projectTitle, documentName) {
     try {
-      const normalizedDocumentType = documentType.toLowerCase();
-
-      // Find the document in database by original name
-      const documents = await this.documentModel.list({
-        category: normalizedDocumentType,
-        projectName: projectTitle
-      }, { limit: 1000 });
-
-      const document = documents.documents.find(doc =>
-        doc.originalName === documentName || doc.filename === documentName
-      );
+      const document = await this.findDocument(documentType, projectTitle, documentName);
 
       if (!document) {
         throw new Error(`Document not found: ${documentName}`);
       }
 
-      // Use the actual stored file path from database
-      const documentPath = document.path;
-      logger.info(`Loading document from: ${documentPath}`);
+      logger.info(`Loading document from: ${document.storageKey || document.path}`);
 
       // Extract text content
-      const textContent = await this.extractDocumentText(documentPath);
+      const textContent = await this.extractDocumentText(document);
 
       // Get file stats for metadata
-      const stats = await fs.stat(documentPath);
+      const stats = await this.statDocument(document);
 
       return {
         content: textContent,
@@ -759,7 +823,7 @@ class DocumentManagerService {
           projectTitle: projectTitle,
           size: stats.size,
           formattedSize: this.formatFileSize(stats.size),
-          lastModified: stats.mtime,
+          lastModified: stats.lastModified,
           wordCount: this.countWords(textContent),
           extension: path.extname(documentName).toLowerCase()
         }
@@ -770,6 +834,151 @@ class DocumentManagerService {
     }
   }
 
+  /**
+   * Size and modification time of a document's stored bytes
+   * @returns {Object} { size, lastModified }
+   */
+  async statDocument(document) {
+    if (document.storageKey) {
+      const stats = await this.storage.stat(document.storageKey);
+      if (!stats) {
+        throw new Error(`Stored file missing for document: ${document.originalName}`);
+      }
+      return stats;
+    }
+
+    const stats = await fs.stat(document.path);
+    return { size: stats.size, lastModified: stats.mtime };
+  }
+
+  /**
+   * Readable stream of a document's bytes (downloads)
+   */
+  async openDocumentStream(document) {
+    if (document.storageKey) {
+      return this.storage.stream(document.storageKey);
+    }
+    await fs.access(document.path);
+    return createReadStream(document.path);
+  }
+
+  /**
+   * Move documents into storage under content-addressed keys
+   * Documents stored before the storage backend point at a file path under the upload folder
+   * (which breaks when a project is renamed). Each one is read, stored by checksum, and
+   * repointed. With fromDriver, documents that already have a key are copied from that driver
+   * into the current one (e.g. local to S3). Safe to re-run: finished documents are skipped.
+   * @param {Object} options - { dryRun, removeOriginals, fromDriver, batchSize, onProgress }
+   * @returns {Object} { scanned, migrated, copied, missing: [{ id, path }], failed: [{ id, error }] }
+   */
+  async migrateDocumentStorage(options = {}) {
+    const { dryRun = false, removeOriginals = false, fromDriver = null, batchSize = 100, onProgress = null } = options;
+    const source = fromDriver ? new StorageService({ driver: fromDriver }) : null;
+    const outcome = { scanned: 0, migrated: 0, copied: 0, missing: [], failed: [] };
+
+    if (!dryRun) {
+      await this.storage.initialize();
+    }
+
+    let afterId = 0;
+    for (;;) {
+      const documents = await this.documentModel.listForStorageMigration({ afterId, limit: batchSize, unkeyedOnly: !source });
+      if (documents.length === 0) {
+        break;
+      }
+
+      for (const document of documents) {
+        afterId = document.id;
+        outcome.scanned++;
+        try {
+          if (document.storageKey) {
+            if (await this.copyStoredObject(document, source, dryRun)) {
+              outcome.copied++;
+            }
+          } else {
+            const moved = await this.migrateLegacyDocument(document, { dryRun, removeOriginals });
+            if (moved) {
+              outcome.migrated++;
+            } else {
+              outcome.missing.push({ id: document.id, path: document.path });
+            }
+          }
+        } catch (error) {
+          logger.error(`Storage migration failed for document ${document.id}: ${error.message}`);
+          outcome.failed.push({ id: document.id, error: error.message });
+        }
+      }
+
+      if (onProgress) {
+        onProgress({ ...outcome });
+      }
+    }
+
+    logger.info(`Storage migration${dryRun ? ' (dry run)' : ''}: ${outcome.migrated} moved, ${outcome.copied} copied, ${outcome.missing.length} missing, ${outcome.failed.length} failed`);
+    return outcome;
+  }
+
+  /**
+   * Store a pre-storage document's file and repoint its record
+   * @returns {boolean} false when the file is not on disk
+   */
+  async migrateLegacyDocument(document, { dryRun, removeOriginals }) {
+    const candidates = [document.path, document.relativePath && path.join(this.baseUploadPath, document.relativePath)]
+      .filter(Boolean);
+
+    let filePath = null;
+    for (const candidate of candidates) {
+      try {
+        await fs.access(candidate);
+        filePath = candidate;
+        break;
+      } catch (error) {
+        // Try the next location
+      }
+    }
+    if (!filePath) {
+      return false;
+    }
+    if (dryRun) {
+      return true;
+    }
+
+    const checksum = await this.calculateChecksum(await fs.readFile(filePath));
+    const stored = await this.storage.storeFile(filePath, {
+      checksum,
+      extension: document.extension || path.extname(filePath),
+      contentType: document.mimeType
+    });
+    await this.documentModel.setStorageLocation(document.id, { storageKey: stored.key, path: stored.location, checksum });
+
+    if (removeOriginals) {
+      await fs.unlink(filePath).catch(error => logger.warn(`Could not remove ${filePath}: ${error.message}`));
+    }
+    return true;
+  }
+
+  /**
+   * Copy a keyed document's object from another driver into the current one
+   * @returns {boolean} Whether the object had to be copied
+   */
+  async copyStoredObject(document, source, dryRun) {
+    if (await this.storage.exists(document.storageKey)) {
+      return false;
+    }
+    if (dryRun) {
+      return true;
+    }
+
+    const buffer = await source.read(document.storageKey);
+    await this.storage.write(document.storageKey, buffer, { contentType: document.mimeType });
+    await this.documentModel.setStorageLocation(document.id, {
+      storageKey: document.storageKey,
+      path: this.storage.describe(document.storageKey),
+      checksum: (document.metadata && document.metadata.checksum) || path.basename(document.storageKey, path.extname(document.storageKey))
+    });
+    return true;
+  }
+
   /**
    * Count words in text content
    */
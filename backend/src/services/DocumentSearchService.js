@@ -0,0 +1,318 @@
+/**
+ * Document Search Service
+ * Full-text search over uploaded document contents: extracted text is indexed per page in
+ * PostgreSQL (document_search_index jobs after upload, or a backfill), and searches return
+ * ranked documents with highlighted snippets, page hints and facet counts. Query syntax is
+ * websearch_to_tsquery: "exact phrase", OR, and -excluded words.
+ */
+
+const Document = require('../models/Document');
+const DocumentSearchIndex = require('../models/DocumentSearchIndex');
+const DocumentManagerService = require('./DocumentManagerService');
+const JobQueueService = require('./JobQueueService');
+const PermissionService = require('./PermissionService');
+const logger = require('../utils/logger');
+
+const { HIGHLIGHT_START, HIGHLIGHT_STOP } = DocumentSearchIndex;
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 500;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Matches considered per search before permission filtering, facets and paging
+const MAX_CANDIDATES = 2000;
+const BACKFILL_BATCH = 500;
+
+function serviceError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Trim and validate a search query
+ * @returns {string} Query for websearch_to_tsquery
+ */
+function normalizeQuery(query) {
+  const normalized = String(query || '').replace(/[\u0000-\u001f]/g, ' ').replace(/\s+/g, ' ').trim();
+  if (normalized.length < MIN_QUERY_LENGTH) {
+    throw serviceError(`Search query must be at least ${MIN_QUERY_LENGTH} characters`, 400);
+  }
+  if (normalized.length > MAX_QUERY_LENGTH) {
+    throw serviceError(`Search query must be at most ${MAX_QUERY_LENGTH} characters`, 400);
+  }
+  return normalized;
+}
+
+/**
+ * Search filters from a request body
+ * @param {Object} body - { projectName, documentType, subfolder, fileTypes, dateRange: { from, to } }
+ * @returns {Object} Filters for DocumentSearchIndex.matchDocuments
+ */
+function normalizeFilters(body = {}) {
+  const fileTypes = Array.isArray(body.fileTypes) ? body.fileTypes : (body.fileTypes ? [body.fileTypes] : []);
+  const dateRange = body.dateRange || {};
+
+  return {
+    projectName: body.projectName || null,
+    category: body.documentType ? String(body.documentType).toLowerCase() : null,
+    subfolder: body.subfolder || null,
+    extensions: fileTypes
+      .map(type => String(type).trim().toLowerCase())
+      .filter(Boolean)
+      .map(type => (type.startsWith('.') ? type : `.${type}`)),
+    dateFrom: dateRange.from || dateRange.start || null,
+    dateTo: dateRange.to || dateRange.end || null
+  };
+}
+
+/**
+ * Split a ts_headline result into plain text and highlighted segments
+ * @returns {Object} { text, highlights: [{ text, match }] }
+ */
+function parseHeadline(headline) {
+  const highlights = [];
+  const pattern = new RegExp(`${HIGHLIGHT_START}([^${HIGHLIGHT_STOP}]*)${HIGHLIGHT_STOP}`, 'g');
+  let last = 0;
+  let match;
+
+  const source = String(headline || '').replace(/\s+/g, ' ').trim();
+  while ((match = pattern.exec(source)) !== null) {
+    if (match.index > last) {
+      highlights.push({ text: source.slice(last, match.index), match: false });
+    }
+    highlights.push({ text: match[1], match: true });
+    last = pattern.lastIndex;
+  }
+  if (last < source.length) {
+    highlights.push({ text: source.slice(last), match: false });
+  }
+
+  // Adjacent highlighted words read better as one phrase ("FedRAMP Moderate")
+  const merged = [];
+  highlights.forEach(segment => {
+    const previous = merged[merged.length - 1];
+    const twoBack = merged[merged.length - 2];
+    if (segment.match && previous && !previous.match && /^\s+$/.test(previous.text) && twoBack && twoBack.match) {
+      merged.pop();
+      twoBack.text += previous.text + segment.text;
+    } else {
+      merged.push({ ...segment });
+    }
+  });
+
+  return { text: merged.map(segment => segment.text).join(''), highlights: merged };
+}
+
+/**
+ * Facet counts over the matching documents
+ * @returns {Object} { projects, documentTypes, subfolders, fileTypes }: [{ value, count }] by count
+ */
+function buildFacets(matches) {
+  const count = (field) => {
+    const counts = new Map();
+    matches.forEach(match => {
+      const value = match[field];
+      if (value) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    });
+    return [...counts.entries()]
+      .map(([value, total]) => ({ value, count: total }))
+      .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+  };
+
+  return {
+    projects: count('projectName'),
+    documentTypes: count('category'),
+    subfolders: count('subfolder'),
+    fileTypes: count('extension')
+  };
+}
+
+class DocumentSearchService {
+  /**
+   * @param {Object} options - { searchIndex, documentModel, documentManager, permissionService, jobQueue } overrides for tests
+   */
+  constructor(options = {}) {
+    this.searchIndex = options.searchIndex || new DocumentSearchIndex();
+    this.documentModel = options.documentModel || new Document();
+    this.documentManager = options.documentManager || null;
+    this.permissionService = options.permissionService || new PermissionService();
+    this.jobQueue = options.jobQueue || new JobQueueService();
+  }
+
+  async initializeTables() {
+    await this.searchIndex.initializeTables();
+  }
+
+  // Created on first use; the document manager prepares upload folders when constructed
+  getDocumentManager() {
+    if (!this.documentManager) {
+      this.documentManager = new DocumentManagerService();
+    }
+    return this.documentManager;
+  }
+
+  /**
+   * Search document contents, names and descriptions
+   * Results are limited to documents the user may open; facets and totals count only those.
+   * @param {Object} user - Requesting user
+   * @param {string} query - "exact phrase", OR, -excluded
+   * @param {Object} filters - See normalizeFilters
+   * @param {Object} paging - { limit, offset }
+   * @returns {Object} { query, documents: [document + search: { rank, matchCount, pages, snippet }], total, offset, limit, hasMore, facets, coverage }
+   */
+  async search(user, query, filters = {}, { limit = DEFAULT_LIMIT, offset = 0 } = {}) {
+    const normalized = normalizeQuery(query);
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const start = Math.max(parseInt(offset) || 0, 0);
+
+    const matches = await this.searchIndex.matchDocuments(normalized, filters, { limit: MAX_CANDIDATES });
+    const visible = await this.permissionService.filterDocuments(user, matches.map(match => ({
+      id: match.documentId,
+      projectName: match.projectName
+    })));
+    const visibleIds = new Set(visible.map(document => document.id));
+    const allowed = matches.filter(match => visibleIds.has(match.documentId));
+
+    const page = allowed.slice(start, start + pageSize);
+    const ids = page.map(match => match.documentId);
+    const [records, headlines, coverage] = await Promise.all([
+      this.documentModel.getByIds(ids),
+      this.searchIndex.headlines(normalized, ids),
+      this.searchIndex.getCoverage()
+    ]);
+
+    const documents = page
+      .filter(match => records.has(match.documentId))
+      .map(match => {
+        const headline = headlines.get(match.documentId) || { page: null, headline: '' };
+        const snippet = parseHeadline(headline.headline);
+        return {
+          ...records.get(match.documentId),
+          search: {
+            rank: match.rank,
+            matchCount: match.matchCount,
+            pages: match.pages,
+            snippet: {
+              page: headline.page,
+              text: snippet.text,
+              highlights: snippet.highlights
+            }
+          }
+        };
+      });
+
+    return {
+      query: normalized,
+      documents,
+      total: allowed.length,
+      offset: start,
+      limit: pageSize,
+      hasMore: start + pageSize < allowed.length,
+      truncated: matches.length >= MAX_CANDIDATES,
+      facets: buildFacets(allowed),
+      coverage
+    };
+  }
+
+  /**
+   * Extract and index one document's text, page by page
+   * Documents whose text cannot be extracted are marked failed and stay searchable by name.
+   * @returns {Object} { documentId, status: indexed | failed | skipped, pageCount, error }
+   */
+  async indexDocument(documentId) {
+    const document = await this.documentModel.getById(documentId);
+    if (!document || document.status !== 'active') {
+      return { documentId, status: 'skipped' };
+    }
+
+    let pages;
+    try {
+      pages = await this.getDocumentManager().extractDocumentPages(document);
+    } catch (error) {
+      logger.warn(`Could not index text of document ${documentId}: ${error.message}`);
+      await this.searchIndex.markFailed(documentId, error.message);
+      return { documentId, status: 'failed', error: error.message };
+    }
+
+    const { pageCount } = await this.searchIndex.replacePages(documentId, pages);
+    return { documentId, status: 'indexed', pageCount };
+  }
+
+  /**
+   * Queue indexing of documents (e.g. right after upload)
+   * @returns {Object|null} The queued job
+   */
+  async queueIndexing(documentIds, createdBy = null) {
+    const ids = [...new Set(documentIds.map(id => parseInt(id)).filter(id => !isNaN(id)))];
+    if (ids.length === 0) {
+      return null;
+    }
+    return this.jobQueue.enqueue(JobQueueService.JOB_TYPES.DOCUMENT_SEARCH_INDEX, { documentIds: ids }, { createdBy });
+  }
+
+  /**
+   * Queue indexing of every document that has not been indexed (uploads from before search existed)
+   * @param {Object} options - { includeFailed: retry documents whose extraction failed }
+   * @returns {Object} { queued, job }
+   */
+  async queueBackfill({ includeFailed = false } = {}, createdBy = null) {
+    const ids = await this.searchIndex.listUnindexed({ includeFailed, limit: BACKFILL_BATCH });
+    if (ids.length === 0) {
+      return { queued: 0, job: null };
+    }
+
+    const job = await this.jobQueue.enqueue(JobQueueService.JOB_TYPES.DOCUMENT_SEARCH_INDEX, {
+      documentIds: ids,
+      backfill: true,
+      includeFailed
+    }, { dedupeKey: 'document_search_backfill', createdBy });
+    return { queued: ids.length, job };
+  }
+
+  /**
+   * document_search_index job: index each document, then continue a backfill with the next batch
+   * @param {Object} payload - { documentIds, backfill, includeFailed }
+   * @param {Object} job - Job context: { progress(percent, message), throwIfCancelled() }
+   */
+  async runIndexJob(payload, job = {}) {
+    const progress = job.progress || (async () => {});
+    const throwIfCancelled = job.throwIfCancelled || (() => {});
+    const documentIds = payload.documentIds || [];
+    const outcome = { indexed: 0, failed: 0, skipped: 0 };
+
+    for (let i = 0; i < documentIds.length; i++) {
+      throwIfCancelled();
+      const result = await this.indexDocument(documentIds[i]);
+      outcome[result.status]++;
+      await progress(Math.round(((i + 1) / documentIds.length) * 100), `Indexed ${i + 1} of ${documentIds.length} documents`);
+    }
+
+    // Large backfills continue in batches so one job never holds thousands of documents
+    if (payload.backfill && documentIds.length >= BACKFILL_BATCH && outcome.indexed + outcome.failed > 0) {
+      const next = await this.searchIndex.listUnindexed({ limit: BACKFILL_BATCH });
+      if (next.length > 0) {
+        await this.jobQueue.enqueue(JobQueueService.JOB_TYPES.DOCUMENT_SEARCH_INDEX, { documentIds: next, backfill: true }, {
+          dedupeKey: 'document_search_backfill'
+        });
+      }
+    }
+
+    logger.info(`Document search indexing: ${outcome.indexed} indexed, ${outcome.failed} failed, ${outcome.skipped} skipped`);
+    return outcome;
+  }
+
+  async getCoverage() {
+    return this.searchIndex.getCoverage();
+  }
+}
+
+DocumentSearchService.normalizeQuery = normalizeQuery;
+DocumentSearchService.normalizeFilters = normalizeFilters;
+DocumentSearchService.parseHeadline = parseHeadline;
+DocumentSearchService.buildFacets = buildFacets;
+
+module.exports = DocumentSearchService;
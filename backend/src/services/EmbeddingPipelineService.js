@@ -0,0 +1,311 @@
+/**
+ * Embedding Pipeline Service
+ * Keeps stored vectors (document_chunks, context_chunks, pp_embeddings) in step with the routed
+ * embedding model: records model/dimension per row, reports coverage, and runs
+ * the embedding_backfill job that embeds missing rows and re-embeds rows from older models
+ */
+
+const { Pool } = require('pg');
+const logger = require('../utils/logger');
+const EmbeddingService = require('./EmbeddingService');
+const VectorEmbeddingService = require('./VectorEmbeddingService');
+const JobQueueService = require('./JobQueueService');
+
+// Vector tables and the column holding the text each vector was built from
+const VECTOR_TABLES = {
+  document_chunks: { textColumn: 'content', legacyIndexes: [] },
+  context_chunks: { textColumn: 'content', legacyIndexes: [] },
+  pp_embeddings: { textColumn: 'chunk_text', legacyIndexes: ['idx_pp_embeddings_vector'] }
+};
+
+const BACKFILL_BATCH_SIZE = 16;
+const BACKFILL_DEDUPE_KEY = 'embedding_backfill';
+
+class EmbeddingPipelineService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL || `postgresql://${process.env.DB_USER || 'govaiuser'}:${process.env.DB_PASSWORD || 'devpass123'}@${process.env.DB_HOST || 'localhost'}:${process.env.DB_PORT || 5432}/${process.env.DB_NAME || 'govai'}`
+    });
+    this.embeddingService = new EmbeddingService();
+    this.vectorService = new VectorEmbeddingService();
+    this.jobQueue = new JobQueueService();
+  }
+
+  /**
+   * Add model/dimension tracking to the vector tables
+   * The embedding column is widened to an undimensioned vector so a new model with a
+   * different output size can be rolled out row by row; searches filter by model.
+   */
+  async initializeTables() {
+    for (const [table, config] of Object.entries(VECTOR_TABLES)) {
+      const exists = await this.pool.query('SELECT to_regclass($1) AS name', [table]);
+      if (!exists.rows[0].name) {
+        logger.warn(`Vector table ${table} does not exist; skipping embedding tracking columns`);
+        continue;
+      }
+
+      await this.pool.query(`
+        ALTER TABLE ${table}
+          ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(255),
+          ADD COLUMN IF NOT EXISTS embedding_dimension INTEGER,
+          ADD COLUMN IF NOT EXISTS embedded_at TIMESTAMP
+      `);
+      await this.pool.query(`ALTER TABLE ${table} ALTER COLUMN embedding DROP NOT NULL`);
+      await this.pool.query(`CREATE INDEX IF NOT EXISTS idx_${table}_embedding_model ON ${table}(embedding_model)`);
+
+      const column = await this.pool.query(`
+        SELECT format_type(atttypid, atttypmod) AS type
+        FROM pg_attribute
+        WHERE attrelid = $1::regclass AND attname = 'embedding'
+      `, [table]);
+      const type = column.rows[0] && column.rows[0].type;
+
+      if (type && /^vector\(\d+\)$/.test(type)) {
+        try {
+          for (const index of config.legacyIndexes) {
+            await this.pool.query(`DROP INDEX IF EXISTS ${index}`);
+          }
+          await this.pool.query(`ALTER TABLE ${table} ALTER COLUMN embedding TYPE vector`);
+          logger.info(`Widened ${table}.embedding from ${type} to vector`);
+        } catch (error) {
+          logger.warn(`Could not widen ${table}.embedding (${type}); only models with that dimension can be stored: ${error.message}`);
+        }
+      }
+    }
+
+    logger.info('Embedding pipeline tables initialized');
+  }
+
+  /**
+   * Vectors per table relative to the active embedding model
+   * @returns {Object} { model, dimension, tables: { name: { total, current, stale, missing } }, pastPerformancesWithoutEmbeddings }
+   */
+  async getCoverage() {
+    const model = await this.embeddingService.getActiveModel();
+    let dimension = null;
+    try {
+      dimension = await this.embeddingService.getActiveDimension();
+    } catch (error) {
+      logger.warn(`Could not determine embedding dimension for ${model}: ${error.message}`);
+    }
+
+    const tables = {};
+    for (const table of Object.keys(VECTOR_TABLES)) {
+      try {
+        const result = await this.pool.query(`
+          SELECT
+            COUNT(*) AS total,
+            COUNT(*) FILTER (WHERE embedding IS NOT NULL AND embedding_model = $1) AS current,
+            COUNT(*) FILTER (WHERE embedding IS NOT NULL AND embedding_model IS DISTINCT FROM $1) AS stale,
+            COUNT(*) FILTER (WHERE embedding IS NULL) AS missing
+          FROM ${table}
+        `, [model]);
+        const row = result.rows[0];
+        tables[table] = {
+          total: parseInt(row.total),
+          current: parseInt(row.current),
+          stale: parseInt(row.stale),
+          missing: parseInt(row.missing)
+        };
+      } catch (error) {
+        tables[table] = { error: error.message };
+      }
+    }
+
+    let pastPerformancesWithoutEmbeddings = null;
+    try {
+      const result = await this.pool.query(`
+        SELECT COUNT(*) AS count
+        FROM past_performances pp
+        WHERE pp.status = 'active'
+          AND NOT EXISTS (SELECT 1 FROM pp_embeddings e WHERE e.pp_id = pp.id)
+      `);
+      pastPerformancesWithoutEmbeddings = parseInt(result.rows[0].count);
+    } catch (error) {
+      logger.warn(`Could not count past performances without embeddings: ${error.message}`);
+    }
+
+    return { model, dimension, tables, pastPerformancesWithoutEmbeddings };
+  }
+
+  /**
+   * Start a backfill if any vectors are missing or came from another model
+   * Called at startup and whenever the embedding route changes.
+   * @returns {Object|null} Backfill job, or null when everything is current
+   */
+  async ensureCurrent(reason = 'model_check') {
+    const coverage = await this.getCoverage();
+    const outdated = Object.values(coverage.tables)
+      .reduce((sum, table) => sum + (table.stale || 0) + (table.missing || 0), 0);
+
+    if (outdated === 0 && !coverage.pastPerformancesWithoutEmbeddings) {
+      logger.info(`All stored embeddings use ${coverage.model}`);
+      return null;
+    }
+
+    logger.info(`${outdated} vectors are missing or stale for ${coverage.model}; starting backfill`);
+    return this.startBackfill({ reason });
+  }
+
+  /**
+   * Queue the backfill job (returns the queued one if a backfill is already waiting)
+   * @param {Object} options - { force: re-embed rows already on the active model, reason }
+   * @returns {Object} Job
+   */
+  async startBackfill(options = {}) {
+    return this.jobQueue.enqueue(JobQueueService.JOB_TYPES.EMBEDDING_BACKFILL, {
+      force: options.force === true,
+      reason: options.reason || 'manual'
+    }, {
+      dedupeKey: BACKFILL_DEDUPE_KEY,
+      maxAttempts: 2
+    });
+  }
+
+  /**
+   * Latest backfill job (queued, running or finished)
+   */
+  async getBackfillStatus() {
+    const { jobs } = await this.jobQueue.listJobs({ type: JobQueueService.JOB_TYPES.EMBEDDING_BACKFILL }, { limit: 1 });
+    return jobs[0] || null;
+  }
+
+  /**
+   * Embed every row that is missing a vector or carries one from another model,
+   * then generate embeddings for past performances that have none
+   * Runs as the embedding_backfill job handler.
+   * @param {Object} options - { force, reason }
+   * @param {Object} job - Job context: { progress(percent, message), throwIfCancelled() }
+   * @returns {Object} { model, tables: { name: { embedded } }, pastPerformances: { generated, skipped } }
+   */
+  async runBackfill(options = {}, job = {}) {
+    const coverage = await this.getCoverage();
+    const state = {
+      model: coverage.model,
+      force: options.force === true,
+      reason: options.reason || 'manual',
+      tables: {},
+      pastPerformances: { generated: 0, skipped: 0 },
+      // Rows expected to need embedding, for progress reporting
+      total: Object.values(coverage.tables).reduce((sum, table) =>
+        sum + ((options.force ? table.total : (table.stale || 0) + (table.missing || 0)) || 0), 0) +
+        (coverage.pastPerformancesWithoutEmbeddings || 0),
+      done: 0,
+      progress: job.progress || (async () => {}),
+      throwIfCancelled: job.throwIfCancelled || (() => {})
+    };
+    logger.info(`Embedding backfill started with ${state.model} (${state.reason})`);
+
+    for (const [table, config] of Object.entries(VECTOR_TABLES)) {
+      state.tables[table] = { embedded: 0 };
+      await this.backfillTable(state, table, config.textColumn);
+    }
+
+    await this.backfillPastPerformances(state);
+
+    logger.info(`Embedding backfill completed: ${JSON.stringify(state.tables)}, past performances ${JSON.stringify(state.pastPerformances)}`);
+    return {
+      model: state.model,
+      force: state.force,
+      reason: state.reason,
+      tables: state.tables,
+      pastPerformances: state.pastPerformances
+    };
+  }
+
+  /**
+   * Report progress through the rows expected at the start of the backfill
+   * @private
+   */
+  async reportProgress(state, message) {
+    const percent = state.total > 0 ? Math.min(99, Math.floor((state.done / state.total) * 100)) : null;
+    await state.progress(percent, message);
+  }
+
+  /**
+   * Re-embed one table in id order; a failed batch stops the job so an unreachable
+   * provider is not hammered row by row
+   * @private
+   */
+  async backfillTable(state, table, textColumn) {
+    let lastId = null;
+
+    for (;;) {
+      state.throwIfCancelled();
+      const values = [BACKFILL_BATCH_SIZE];
+      const conditions = [`${textColumn} IS NOT NULL`, `btrim(${textColumn}) <> ''`];
+      if (!state.force) {
+        values.push(state.model);
+        conditions.push(`(embedding IS NULL OR embedding_model IS DISTINCT FROM $${values.length})`);
+      }
+      if (lastId !== null) {
+        values.push(lastId);
+        conditions.push(`id > $${values.length}`);
+      }
+
+      const result = await this.pool.query(`
+        SELECT id, ${textColumn} AS text
+        FROM ${table}
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY id
+        LIMIT $1
+      `, values);
+
+      if (result.rows.length === 0) {
+        return;
+      }
+
+      const embedding = await this.embeddingService.embedTexts(result.rows.map(row => row.text), { model: state.model });
+
+      for (let i = 0; i < result.rows.length; i++) {
+        await this.pool.query(`
+          UPDATE ${table}
+          SET embedding = $1, embedding_model = $2, embedding_dimension = $3, embedded_at = NOW()
+          WHERE id = $4
+        `, [`[${embedding.vectors[i].join(',')}]`, embedding.model, embedding.dimension, result.rows[i].id]);
+      }
+
+      state.tables[table].embedded += result.rows.length;
+      state.done += result.rows.length;
+      lastId = result.rows[result.rows.length - 1].id;
+      await this.reportProgress(state, `Embedded ${state.tables[table].embedded} rows in ${table}`);
+    }
+  }
+
+  /**
+   * Build embeddings for active past performances that have none yet
+   * @private
+   */
+  async backfillPastPerformances(state) {
+    let rows = [];
+    try {
+      const result = await this.pool.query(`
+        SELECT pp.id
+        FROM past_performances pp
+        WHERE pp.status = 'active'
+          AND NOT EXISTS (SELECT 1 FROM pp_embeddings e WHERE e.pp_id = pp.id)
+        ORDER BY pp.id
+      `);
+      rows = result.rows;
+    } catch (error) {
+      logger.warn(`Skipping past performance backfill: ${error.message}`);
+      return;
+    }
+
+    for (const row of rows) {
+      state.throwIfCancelled();
+      try {
+        await this.vectorService.generateEmbeddingsForPP(row.id);
+        state.pastPerformances.generated++;
+      } catch (error) {
+        // Records without processed documents have nothing to embed yet
+        logger.warn(`Could not embed past performance ${row.id}: ${error.message}`);
+        state.pastPerformances.skipped++;
+      }
+      state.done++;
+      await this.reportProgress(state, `Embedded past performance ${row.id}`);
+    }
+  }
+}
+
+module.exports = EmbeddingPipelineService;
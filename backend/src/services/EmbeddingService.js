@@ -3,41 +3,36 @@
  * Handles text embedding generation using local AI models
  */
 
-const axios = require('axios');
 const logger = require('../utils/logger');
+const LLMService = require('./LLMService');
+
+// Probed output dimension per provider:model
+const dimensionCache = new Map();
 
 class EmbeddingService {
   constructor() {
-    this.ollamaUrl = process.env.OLLAMA_URL || 'http://localhost:11434';
-    this.embeddingModel = process.env.EMBEDDING_MODEL || 'qwen2.5:14b';
+    this.llmService = new LLMService();
     this.maxRetries = 3;
     this.retryDelay = 1000; // 1 second
   }
 
   /**
-   * Generate embedding for text content
-   * @param {string} text - Text to embed
-   * @param {Object} options - Generation options
-   * @returns {Array} Embedding vector
+   * Embed a batch of texts with the routed embedding model
+   * Vectors are only useful alongside the model that produced them, so the model
+   * and dimension are returned for the caller to store with each vector.
+   * @param {Array} texts - Texts to embed
+   * @param {Object} options - { maxLength, normalize, model }
+   * @returns {Object} { vectors, model, provider, dimension }
    */
-  async generateEmbedding(text, options = {}) {
-    const { maxLength = 8000, normalize = true } = options;
+  async embedTexts(texts, options = {}) {
+    const { maxLength = 8000, normalize = true, model = null } = options;
 
-    if (!text?.trim()) {
+    if (!Array.isArray(texts) || texts.length === 0 || texts.some(text => !text?.trim())) {
       throw new Error('Text content is required for embedding generation');
     }
 
     // Truncate text if too long
-    const truncatedText = text.length > maxLength ? text.substring(0, maxLength) : text;
-
-    const payload = {
-      model: this.embeddingModel,
-      prompt: truncatedText,
-      options: {
-        temperature: 0, // Deterministic embeddings
-        num_predict: 0 // Don't generate text, just embeddings
-      }
-    };
+    const truncated = texts.map(text => text.length > maxLength ? text.substring(0, maxLength) : text);
 
     let lastError;
 
@@ -45,26 +40,20 @@ class EmbeddingService {
       try {
         const startTime = Date.now();
 
-        const response = await axios.post(
-          `${this.ollamaUrl}/api/generate`,
-          payload,
-          {
-            timeout: 30000, // 30 second timeout
-            headers: {
-              'Content-Type': 'application/json'
-            }
-          }
-        );
+        const result = await this.llmService.embed('embedding', truncated, {
+          model,
+          timeout: 30000 // 30 second timeout
+        });
+        const dimension = this.validateVectors(result.vectors, truncated.length, result.model);
 
-        const duration = Date.now() - startTime;
+        logger.debug(`Generated ${truncated.length} embeddings with ${result.model} in ${Date.now() - startTime}ms (attempt ${attempt})`);
 
-        // For now, generate mock embedding since Ollama generate endpoint
-        // doesn't return embeddings directly - would need embedding endpoint
-        const embedding = this.generateMockEmbedding(truncatedText, normalize);
-
-        logger.debug(`Generated embedding in ${duration}ms (attempt ${attempt})`);
-
-        return embedding;
+        return {
+          vectors: normalize ? result.vectors.map(vector => this.normalizeEmbedding(vector)) : result.vectors,
+          model: result.model,
+          provider: result.provider,
+          dimension
+        };
       } catch (error) {
         lastError = error;
         logger.warn(`Embedding generation attempt ${attempt} failed: ${error.message}`);
@@ -75,19 +64,32 @@ class EmbeddingService {
       }
     }
 
-    // If all retries failed, fall back to mock embedding
-    logger.warn(`All embedding generation attempts failed, using mock embedding: ${lastError.message}`);
-    return this.generateMockEmbedding(truncatedText, normalize);
+    throw new Error(`Embedding generation failed: ${lastError.message}`);
+  }
+
+  /**
+   * Generate embedding for text content
+   * @param {string} text - Text to embed
+   * @param {Object} options - Generation options
+   * @returns {Array} Embedding vector
+   */
+  async generateEmbedding(text, options = {}) {
+    if (!text?.trim()) {
+      throw new Error('Text content is required for embedding generation');
+    }
+
+    const result = await this.embedTexts([text], options);
+    return result.vectors[0];
   }
 
   /**
    * Generate embeddings for multiple texts in batch
    * @param {Array} texts - Array of texts to embed
    * @param {Object} options - Generation options
-   * @returns {Array} Array of embedding vectors
+   * @returns {Array} Array of embedding vectors (null where a batch failed)
    */
   async generateBatchEmbeddings(texts, options = {}) {
-    const { batchSize = 5, concurrency = 2 } = options;
+    const { batchSize = 16 } = options;
 
     if (!Array.isArray(texts) || texts.length === 0) {
       return [];
@@ -98,21 +100,8 @@ class EmbeddingService {
 
     for (const batch of batches) {
       try {
-        // Process batch with limited concurrency
-        const batchPromises = batch.map(text =>
-          this.generateEmbedding(text, options).catch(error => {
-            logger.error(`Error generating embedding for batch item: ${error.message}`);
-            return null; // Return null for failed embeddings
-          })
-        );
-
-        const batchResults = await this.limitConcurrency(batchPromises, concurrency);
-        results.push(...batchResults);
-
-        // Add small delay between batches to avoid overwhelming the service
-        if (batches.indexOf(batch) < batches.length - 1) {
-          await this.sleep(500);
-        }
+        const result = await this.embedTexts(batch, options);
+        results.push(...result.vectors);
       } catch (error) {
         logger.error(`Error processing embedding batch: ${error.message}`);
         // Add null results for failed batch
@@ -124,6 +113,49 @@ class EmbeddingService {
     return results;
   }
 
+  /**
+   * Model that new vectors will be produced with
+   * @returns {string} Embedding model name
+   */
+  async getActiveModel() {
+    return await this.llmService.getModel('embedding');
+  }
+
+  /**
+   * Output dimension of the active embedding model, probed once per model
+   * @returns {number} Vector dimension
+   */
+  async getActiveDimension() {
+    const route = await this.llmService.resolveTask('embedding');
+    const key = `${route.providerName}:${route.model}`;
+
+    if (!dimensionCache.has(key)) {
+      const result = await this.embedTexts(['dimension probe'], { normalize: false });
+      dimensionCache.set(key, result.dimension);
+    }
+    return dimensionCache.get(key);
+  }
+
+  /**
+   * Check the provider returned one equal-length numeric vector per input
+   * @private
+   * @returns {number} Vector dimension
+   */
+  validateVectors(vectors, expectedCount, model) {
+    if (!Array.isArray(vectors) || vectors.length !== expectedCount) {
+      throw new Error(`Provider returned ${vectors ? vectors.length : 0} embeddings for ${expectedCount} texts (model ${model})`);
+    }
+
+    const dimension = Array.isArray(vectors[0]) ? vectors[0].length : 0;
+    const valid = dimension > 0 && vectors.every(vector =>
+      Array.isArray(vector) && vector.length === dimension && vector.every(Number.isFinite)
+    );
+    if (!valid) {
+      throw new Error(`Provider returned malformed embeddings for model ${model}`);
+    }
+    return dimension;
+  }
+
   /**
    * Calculate cosine similarity between two embeddings
    * @param {Array} embedding1 - First embedding vector
@@ -203,19 +235,17 @@ class EmbeddingService {
    */
   async isServiceAvailable() {
     try {
-      const response = await axios.get(`${this.ollamaUrl}/api/tags`, {
-        timeout: 5000
-      });
+      const route = await this.llmService.resolveTask('embedding');
+      const models = await route.provider.listModels();
 
       // Check if our embedding model is available
-      const models = response.data.models || [];
-      const hasModel = models.some(model => model.name.includes(this.embeddingModel.split(':')[0]));
+      const hasModel = models.some(model => model.name.includes(route.model.split(':')[0]));
 
       if (!hasModel) {
-        logger.warn(`Embedding model ${this.embeddingModel} not found in available models`);
+        logger.warn(`Embedding model ${route.model} not found in available models`);
       }
 
-      return response.status === 200;
+      return true;
     } catch (error) {
       logger.error(`Embedding service not available: ${error.message}`);
       return false;
@@ -227,21 +257,23 @@ class EmbeddingService {
    * @returns {Object} Health status information
    */
   async getHealthStatus() {
+    const route = await this.llmService.getRouting();
     try {
       const isAvailable = await this.isServiceAvailable();
 
       const status = {
         available: isAvailable,
-        ollamaUrl: this.ollamaUrl,
-        embeddingModel: this.embeddingModel,
+        provider: route.embedding.provider,
+        embeddingModel: route.embedding.model,
         timestamp: new Date().toISOString()
       };
 
       if (isAvailable) {
         // Test embedding generation
         const testStartTime = Date.now();
-        await this.generateEmbedding('test embedding generation');
+        const vector = await this.generateEmbedding('test embedding generation');
         status.responseTime = Date.now() - testStartTime;
+        status.dimension = vector.length;
         status.status = 'healthy';
       } else {
         status.status = 'unavailable';
@@ -253,37 +285,13 @@ class EmbeddingService {
         available: false,
         status: 'error',
         error: error.message,
-        ollamaUrl: this.ollamaUrl,
-        embeddingModel: this.embeddingModel,
+        provider: route.embedding.provider,
+        embeddingModel: route.embedding.model,
         timestamp: new Date().toISOString()
       };
     }
   }
 
-  /**
-   * Generate mock embedding for testing/fallback
-   * @private
-   */
-  generateMockEmbedding(text, normalize = true) {
-    // Generate deterministic mock embedding based on text content
-    const dimension = 1536; // OpenAI embedding dimension
-    const embedding = new Array(dimension);
-
-    // Use text content to seed the embedding
-    let seed = 0;
-    for (let i = 0; i < text.length; i++) {
-      seed += text.charCodeAt(i);
-    }
-
-    // Generate pseudo-random values based on text content
-    for (let i = 0; i < dimension; i++) {
-      seed = (seed * 9301 + 49297) % 233280; // Linear congruential generator
-      embedding[i] = (seed / 233280) - 0.5; // Scale to [-0.5, 0.5]
-    }
-
-    return normalize ? this.normalizeEmbedding(embedding) : embedding;
-  }
-
   /**
    * Create batches from array
    * @private
@@ -296,20 +304,6 @@ class EmbeddingService {
     return batches;
   }
 
-  /**
-   * Limit concurrency of promises
-   * @private
-   */
-  async limitConcurrency(promises, limit) {
-    const results = [];
-    for (let i = 0; i < promises.length; i += limit) {
-      const batch = promises.slice(i, i + limit);
-      const batchResults = await Promise.all(batch);
-      results.push(...batchResults);
-    }
-    return results;
-  }
-
   /**
    * Sleep for specified milliseconds
    * @private
@@ -5,6 +5,8 @@
 
 const { Pool } = require('pg');
 const logger = require('../utils/logger');
+const RuleConflict = require('../models/RuleConflict');
+const PromptRuleConflictService = require('./PromptRuleConflictService');
 
 class GlobalPromptService {
     constructor(pool = null) {
@@ -19,6 +21,14 @@ class GlobalPromptService {
         // Cache for frequently accessed rules
         this.ruleCache = new Map();
         this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
+        this.conflictService = null;
+    }
+
+    getConflictService() {
+        if (!this.conflictService) {
+            this.conflictService = new PromptRuleConflictService({ conflictModel: new RuleConflict(this.pool) });
+        }
+        return this.conflictService;
     }
 
     /**
@@ -85,6 +95,92 @@ class GlobalPromptService {
                 );
             `);
 
+            // Templates are versioned; base_prompt and variable_placeholders mirror the current version
+            await client.query(`
+                ALTER TABLE prompt_templates
+                    ADD COLUMN IF NOT EXISTS description TEXT,
+                    ADD COLUMN IF NOT EXISTS current_version INTEGER DEFAULT 1,
+                    ADD COLUMN IF NOT EXISTS updated_by INTEGER REFERENCES users(id);
+            `);
+
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS prompt_template_versions (
+                    id SERIAL PRIMARY KEY,
+                    template_id INTEGER NOT NULL REFERENCES prompt_templates(id) ON DELETE CASCADE,
+                    version_number INTEGER NOT NULL,
+                    body TEXT NOT NULL,
+                    variables JSONB DEFAULT '[]', -- [{ name, type, required, default, options, description }]
+                    change_note TEXT,
+                    created_by INTEGER REFERENCES users(id),
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(template_id, version_number)
+                );
+            `);
+
+            // A/B experiments: generations of a section type are randomly assigned a variant
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS prompt_experiments (
+                    id SERIAL PRIMARY KEY,
+                    name VARCHAR(200) NOT NULL,
+                    description TEXT,
+                    section_type VARCHAR(100) NOT NULL,
+                    status VARCHAR(20) DEFAULT 'draft', -- 'draft', 'running', 'paused', 'completed'
+                    winner_variant_id INTEGER,
+                    started_at TIMESTAMP,
+                    ended_at TIMESTAMP,
+                    created_by INTEGER REFERENCES users(id),
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                );
+            `);
+
+            await client.query(`
+                CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_experiments_running
+                ON prompt_experiments(section_type) WHERE status = 'running';
+            `);
+
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS prompt_experiment_variants (
+                    id SERIAL PRIMARY KEY,
+                    experiment_id INTEGER NOT NULL REFERENCES prompt_experiments(id) ON DELETE CASCADE,
+                    label VARCHAR(20) NOT NULL,
+                    template_version_id INTEGER NOT NULL REFERENCES prompt_template_versions(id),
+                    weight INTEGER DEFAULT 1,
+                    UNIQUE(experiment_id, label)
+                );
+            `);
+
+            // Generations written with a template, with the writer's rating and how much of the
+            // text they kept (section_id is a proposal_sections id; that table is created later)
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS prompt_generations (
+                    id SERIAL PRIMARY KEY,
+                    template_version_id INTEGER NOT NULL REFERENCES prompt_template_versions(id),
+                    experiment_id INTEGER REFERENCES prompt_experiments(id) ON DELETE SET NULL,
+                    variant_id INTEGER REFERENCES prompt_experiment_variants(id) ON DELETE SET NULL,
+                    section_type VARCHAR(100),
+                    section_id INTEGER,
+                    user_id INTEGER REFERENCES users(id),
+                    model VARCHAR(255),
+                    content TEXT NOT NULL,
+                    word_count INTEGER DEFAULT 0,
+                    generation_time_ms INTEGER,
+                    rating SMALLINT CHECK (rating BETWEEN 1 AND 5),
+                    rating_comment TEXT,
+                    rated_by INTEGER REFERENCES users(id),
+                    rated_at TIMESTAMP,
+                    edit_distance INTEGER, -- words added + removed by the writer
+                    edit_ratio DECIMAL(5,4), -- 0 = kept as generated, 1 = fully rewritten
+                    edited_at TIMESTAMP,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                );
+            `);
+
+            await client.query(`
+                CREATE INDEX IF NOT EXISTS idx_prompt_generations_variant
+                ON prompt_generations(variant_id);
+            `);
+
             // Rule conflict resolution table
             await client.query(`
                 CREATE TABLE IF NOT EXISTS rule_conflicts (
@@ -101,6 +197,28 @@ class GlobalPromptService {
                 );
             `);
 
+            // Conflicts also cover the admin-edited rules in global_prompt_config, which have
+            // string ids and no row here; rule_*_key holds either kind of id per source.
+            // Open conflicts store the suggested strategy in resolution.
+            await client.query(`
+                ALTER TABLE rule_conflicts
+                    ADD COLUMN IF NOT EXISTS source VARCHAR(20) DEFAULT 'layered', -- 'layered' (global_prompt_rules), 'config' (global_prompt_config.rules)
+                    ADD COLUMN IF NOT EXISTS rule_a_key VARCHAR(100),
+                    ADD COLUMN IF NOT EXISTS rule_b_key VARCHAR(100),
+                    ADD COLUMN IF NOT EXISTS fingerprint VARCHAR(40), -- both rules' wording and scope
+                    ADD COLUMN IF NOT EXISTS detection JSONB DEFAULT '{}'; -- scores, methods, explanation
+            `);
+
+            await client.query(`
+                CREATE INDEX IF NOT EXISTS idx_rule_conflicts_open
+                ON rule_conflicts(source, is_resolved, detected_at DESC);
+            `);
+
+            await client.query(`
+                CREATE INDEX IF NOT EXISTS idx_rule_conflicts_fingerprint
+                ON rule_conflicts(source, fingerprint);
+            `);
+
             // Prompt performance metrics
             await client.query(`
                 CREATE TABLE IF NOT EXISTS prompt_performance_metrics (
@@ -507,8 +625,9 @@ class GlobalPromptService {
      */
     async createGlobalRule(ruleData, userId) {
         const client = await this.pool.connect();
+        let result;
         try {
-            const result = await client.query(`
+            result = await client.query(`
                 INSERT INTO global_prompt_rules (
                     rule_name, rule_type, category, rule_content, priority,
                     applies_to_personas, applies_to_contexts, conditions, created_by
@@ -528,11 +647,11 @@ class GlobalPromptService {
 
             // Clear cache
             this.ruleCache.clear();
-
-            return result.rows[0];
         } finally {
             client.release();
         }
+
+        return this.withConflicts(result.rows[0]);
     }
 
     /**
@@ -540,8 +659,9 @@ class GlobalPromptService {
      */
     async updateGlobalRule(ruleId, ruleData, userId) {
         const client = await this.pool.connect();
+        let result;
         try {
-            const result = await client.query(`
+            result = await client.query(`
                 UPDATE global_prompt_rules
                 SET rule_name = $1, rule_type = $2, category = $3, rule_content = $4,
                     priority = $5, applies_to_personas = $6, applies_to_contexts = $7,
@@ -563,10 +683,26 @@ class GlobalPromptService {
             ]);
 
             this.ruleCache.clear();
-            return result.rows[0];
         } finally {
             client.release();
         }
+
+        return result.rows[0] ? this.withConflicts(result.rows[0]) : null;
+    }
+
+    /**
+     * Saved rule with the conflicts it introduced, recorded in rule_conflicts
+     * A failed check is logged and never blocks the save.
+     */
+    async withConflicts(rule) {
+        try {
+            const activeRules = await this.getAllGlobalRules({ is_active: true });
+            const conflicts = await this.getConflictService().syncLayeredRule(rule, activeRules);
+            return { ...rule, conflicts };
+        } catch (error) {
+            logger.warn(`Could not check global rule ${rule.rule_name} for conflicts: ${error.message}`);
+            return { ...rule, conflicts: [] };
+        }
     }
 
     /**
@@ -618,6 +754,10 @@ class GlobalPromptService {
     async deleteGlobalRule(ruleId, userId) {
         const client = await this.pool.connect();
         try {
+            // Conflict rows reference the rule
+            await client.query(`
+                DELETE FROM rule_conflicts WHERE rule_a_id = $1 OR rule_b_id = $1
+            `, [ruleId]);
             await client.query(`
                 DELETE FROM global_prompt_rules WHERE id = $1
             `, [ruleId]);
@@ -630,14 +770,32 @@ class GlobalPromptService {
     }
 
     /**
-     * Validate rule for conflicts
+     * Validate rule for conflicts with the other active rules whose scope overlaps
+     * Nothing is stored; createGlobalRule and updateGlobalRule record what they introduce.
+     * @param {Object} ruleData - Rule fields (rule_type, rule_content, applies_to_personas, ...)
+     * @param {Object} options - { ruleId } when checking an edit of an existing rule
+     * @returns {Object} { hasConflicts, conflicts: [{ ruleId, ruleName, conflictType, suggestedResolution, detection }], warnings }
      */
-    async validateRuleForConflicts(ruleData) {
-        // Implementation for detecting rule conflicts
-        // This could check for contradictory rules, redundant rules, etc.
+    async validateRuleForConflicts(ruleData, options = {}) {
+        const ruleId = options.ruleId ? parseInt(options.ruleId) : null;
+        const activeRules = (await this.getAllGlobalRules({ is_active: true })).filter(rule => rule.id !== ruleId);
+        const rulesById = new Map(activeRules.map(rule => [String(rule.id), rule]));
+
+        const { conflicts, warnings } = await this.getConflictService().detectConflicts(
+            [PromptRuleConflictService.fromLayeredRule({ ...ruleData, id: ruleId })],
+            activeRules.map(PromptRuleConflictService.fromLayeredRule)
+        );
+
         return {
-            hasConflicts: false,
-            conflicts: []
+            hasConflicts: conflicts.length > 0,
+            conflicts: conflicts.map(conflict => ({
+                ruleId: conflict.ruleB.id,
+                ruleName: rulesById.get(conflict.ruleB.key).rule_name,
+                conflictType: conflict.conflictType,
+                suggestedResolution: conflict.suggestedResolution,
+                detection: conflict.detection
+            })),
+            warnings
         };
     }
 
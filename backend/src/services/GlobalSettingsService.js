@@ -201,6 +201,27 @@ class GlobalSettingsService {
       false
     );
   }
+
+  /**
+   * Get per-task LLM routing ({ writing: { provider, model }, ... })
+   */
+  async getLlmTaskRouting() {
+    return await this.getSettingValue('llm_task_routing', {}) || {};
+  }
+
+  /**
+   * Set per-task LLM routing
+   */
+  async setLlmTaskRouting(routing) {
+    return await this.setSetting(
+      'llm_task_routing',
+      routing,
+      'json',
+      'Provider and model used for each LLM task (writing, extraction, analysis, embedding)',
+      'ai',
+      false
+    );
+  }
 }
 
 module.exports = GlobalSettingsService;
\ No newline at end of file
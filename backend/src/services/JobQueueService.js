@@ -0,0 +1,381 @@
+/**
+ * Job Queue Service
+ * PostgreSQL-backed background job queue: handlers register per job type, a worker
+ * claims due jobs within global and per-type concurrency limits, failed attempts are
+ * retried with exponential backoff, and running jobs report progress and honour cancellation.
+ *
+ * Job events are emitted in-process (the WebSocket job feed subscribes to them); the
+ * jobs table is the source of truth for other processes and the admin API.
+ */
+
+const os = require('os');
+const { EventEmitter } = require('events');
+const Job = require('../models/Job');
+const logger = require('../utils/logger');
+
+const JOB_TYPES = {
+  CONTEXT_BUILD: 'context_build',
+  PP_TEXT_EXTRACTION: 'pp_text_extraction',
+  EMBEDDING_BACKFILL: 'embedding_backfill',
+  PP_IMPORT: 'pp_import',
+  COLOR_REVIEW_PRESCORE: 'color_review_prescore',
+  MILESTONE_ALERTS: 'milestone_alerts',
+  DOCUMENT_SEARCH_INDEX: 'document_search_index'
+};
+
+const DEFAULT_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const POLL_INTERVAL_MS = 1000;
+const HEARTBEAT_INTERVAL_MS = 15000;
+const STALE_AFTER_MS = 120000;
+const RETRY_BASE_DELAY_MS = 5000;
+const RETRY_MAX_DELAY_MS = 300000;
+
+// Handlers, running jobs and the worker are shared by every instance in the process
+const handlers = new Map();
+const running = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0);
+let worker = null;
+
+/**
+ * Delay before retrying a job that failed its nth attempt (doubles per attempt, capped)
+ */
+function retryDelay(attempt, baseDelayMs = RETRY_BASE_DELAY_MS, maxDelayMs = RETRY_MAX_DELAY_MS) {
+  return Math.min(baseDelayMs * Math.pow(2, Math.max(attempt - 1, 0)), maxDelayMs);
+}
+
+/**
+ * Progress clamped to a whole percentage
+ */
+function clampProgress(percent) {
+  if (percent === null || percent === undefined || Number.isNaN(Number(percent))) {
+    return null;
+  }
+  return Math.max(0, Math.min(100, Math.round(Number(percent))));
+}
+
+function cancelledError() {
+  const error = new Error('Job cancelled');
+  error.cancelled = true;
+  return error;
+}
+
+class JobQueueService {
+  constructor(options = {}) {
+    this.job = options.job || new Job();
+  }
+
+  /**
+   * Register the function that runs jobs of a type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (payload, context) => result; context is
+   *   { job, attempt, signal, progress(percent, message), throwIfCancelled() }
+   * @param {Object} options - { concurrency: max jobs of this type running in this process,
+   *   retryBaseDelayMs }
+   */
+  registerHandler(type, handler, options = {}) {
+    handlers.set(type, {
+      handler,
+      concurrency: options.concurrency || 1,
+      retryBaseDelayMs: options.retryBaseDelayMs || RETRY_BASE_DELAY_MS
+    });
+  }
+
+  /**
+   * Queue a job
+   * @param {string} type - Job type
+   * @param {Object} payload - Handler input (JSON)
+   * @param {Object} options - { delayMs, dedupeKey, debounce, priority, maxAttempts, createdBy }
+   * @returns {Object} Job (the existing queued job when dedupeKey matches one)
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const { job, created } = await this.job.enqueue({ type, payload, ...options });
+
+    if (created) {
+      logger.info(`Queued ${type} job ${job.id}${options.delayMs ? ` to run in ${Math.round(options.delayMs / 1000)}s` : ''}`);
+    }
+    this.emit(job);
+    this.schedulePoll(options.delayMs || 0);
+    return job;
+  }
+
+  /**
+   * Cancel a job: queued jobs stop immediately, running jobs are signalled to stop
+   * @returns {Object|null} Job, or null when it does not exist or has already finished
+   */
+  async cancel(id) {
+    const job = await this.job.cancel(id);
+    if (!job) {
+      return null;
+    }
+
+    const entry = running.get(job.id);
+    if (entry) {
+      entry.controller.abort();
+    }
+
+    logger.info(`Cancel requested for ${job.type} job ${job.id} (${job.status})`);
+    this.emit(job);
+    return job;
+  }
+
+  /**
+   * Cancel every queued or running job with a dedupe key
+   * @returns {Array} Cancelled jobs
+   */
+  async cancelByDedupeKey(dedupeKey) {
+    const active = await this.job.findActiveByDedupeKey(dedupeKey);
+    const cancelled = [];
+    for (const job of active) {
+      const result = await this.cancel(job.id);
+      if (result) {
+        cancelled.push(result);
+      }
+    }
+    return cancelled;
+  }
+
+  /**
+   * Queue a failed or cancelled job again
+   * @returns {Object|null} Job, or null when it cannot be retried
+   */
+  async retry(id) {
+    const job = await this.job.retry(id);
+    if (job) {
+      logger.info(`Retrying ${job.type} job ${job.id}`);
+      this.emit(job);
+      this.schedulePoll(0);
+    }
+    return job;
+  }
+
+  async getJob(id) {
+    return this.job.findById(id);
+  }
+
+  async listJobs(filters = {}, options = {}) {
+    return this.job.list(filters, options);
+  }
+
+  /**
+   * Job counts plus this process's worker state
+   */
+  async getStats() {
+    const stats = await this.job.getStats();
+    return {
+      ...stats,
+      worker: {
+        id: worker ? worker.id : null,
+        running: worker !== null,
+        concurrency: worker ? worker.concurrency : DEFAULT_CONCURRENCY,
+        active: Array.from(running.keys()),
+        handlers: Array.from(handlers.entries()).map(([type, config]) => ({ type, concurrency: config.concurrency }))
+      }
+    };
+  }
+
+  /**
+   * Listen for job changes (queued, started, progress, finished)
+   * @returns {Function} Unsubscribe
+   */
+  onJobEvent(listener) {
+    events.on('job', listener);
+    return () => events.off('job', listener);
+  }
+
+  /**
+   * Start claiming jobs in this process; stale jobs from a previous run are recovered first
+   * @param {Object} options - { concurrency, pollIntervalMs }
+   */
+  async start(options = {}) {
+    if (worker) {
+      return;
+    }
+
+    worker = {
+      id: `${os.hostname()}:${process.pid}`,
+      concurrency: options.concurrency || DEFAULT_CONCURRENCY,
+      pollIntervalMs: options.pollIntervalMs || POLL_INTERVAL_MS,
+      timer: null,
+      polling: false,
+      lastStaleCheck: 0
+    };
+
+    await this.recoverStaleJobs();
+    logger.info(`Job worker ${worker.id} started (concurrency ${worker.concurrency}, types: ${Array.from(handlers.keys()).join(', ')})`);
+    this.schedulePoll(0);
+  }
+
+  /**
+   * Stop claiming jobs; running jobs are left to finish
+   */
+  stop() {
+    if (worker) {
+      clearTimeout(worker.timer);
+      worker = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async recoverStaleJobs() {
+    try {
+      const recovered = await this.job.recoverStale(STALE_AFTER_MS);
+      recovered.forEach(job => {
+        logger.warn(`Recovered stale ${job.type} job ${job.id} as ${job.status}`);
+        this.emit(job);
+      });
+    } catch (error) {
+      logger.error(`Could not recover stale jobs: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  schedulePoll(delayMs) {
+    if (!worker) {
+      return;
+    }
+    clearTimeout(worker.timer);
+    worker.timer = setTimeout(() => this.poll(), Math.min(delayMs, worker.pollIntervalMs));
+    worker.timer.unref();
+  }
+
+  /**
+   * Claim due jobs until the concurrency limits are reached
+   * @private
+   */
+  async poll() {
+    const current = worker;
+    if (!current || current.polling) {
+      return;
+    }
+    current.polling = true;
+
+    try {
+      if (Date.now() - current.lastStaleCheck > STALE_AFTER_MS / 2) {
+        current.lastStaleCheck = Date.now();
+        await this.recoverStaleJobs();
+      }
+
+      while (running.size < current.concurrency) {
+        const job = await this.job.claimNext(this.getAvailableTypes(), current.id);
+        if (!job) {
+          break;
+        }
+        this.runJob(job);
+      }
+    } catch (error) {
+      logger.error(`Job poll failed: ${error.message}`);
+    } finally {
+      current.polling = false;
+      if (worker === current) {
+        this.schedulePoll(current.pollIntervalMs);
+      }
+    }
+  }
+
+  /**
+   * Registered types with a free slot under their own concurrency limit
+   * @private
+   */
+  getAvailableTypes() {
+    const counts = {};
+    running.forEach(entry => {
+      counts[entry.type] = (counts[entry.type] || 0) + 1;
+    });
+    return Array.from(handlers.entries())
+      .filter(([type, config]) => (counts[type] || 0) < config.concurrency)
+      .map(([type]) => type);
+  }
+
+  /**
+   * Run one claimed job to completion, retry, failure or cancellation
+   * @private
+   */
+  async runJob(job) {
+    const config = handlers.get(job.type);
+    const controller = new AbortController();
+    running.set(job.id, { type: job.type, controller });
+
+    logger.info(`Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+    this.emit(job);
+
+    const recordProgress = async (percent, message) => {
+      try {
+        const updated = await this.job.updateProgress(job.id, clampProgress(percent), message || null);
+        if (!updated || updated.cancelRequested) {
+          controller.abort();
+        }
+        if (updated) {
+          this.emit(updated);
+        }
+      } catch (error) {
+        logger.warn(`Could not record progress for job ${job.id}: ${error.message}`);
+      }
+    };
+
+    const heartbeat = setInterval(() => recordProgress(null, null), HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+
+    const context = {
+      job,
+      attempt: job.attempts,
+      signal: controller.signal,
+      progress: recordProgress,
+      throwIfCancelled: () => {
+        if (controller.signal.aborted) {
+          throw cancelledError();
+        }
+      }
+    };
+
+    let finished;
+    try {
+      const result = await config.handler(job.payload, context);
+      finished = controller.signal.aborted
+        ? await this.job.markCancelled(job.id)
+        : await this.job.complete(job.id, result);
+      logger.info(`${job.type} job ${job.id} ${finished ? finished.status : 'finished'}`);
+    } catch (error) {
+      if (controller.signal.aborted || error.cancelled) {
+        finished = await this.job.markCancelled(job.id).catch(() => null);
+        logger.info(`${job.type} job ${job.id} cancelled`);
+      } else {
+        const delay = retryDelay(job.attempts, config.retryBaseDelayMs);
+        finished = await this.job.fail(job.id, error.message, delay).catch(failError => {
+          logger.error(`Could not record failure of job ${job.id}: ${failError.message}`);
+          return null;
+        });
+        if (finished && finished.status === 'queued') {
+          logger.warn(`${job.type} job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+        } else {
+          logger.error(`${job.type} job ${job.id} failed: ${error.message}`);
+        }
+      }
+    } finally {
+      clearInterval(heartbeat);
+      running.delete(job.id);
+    }
+
+    if (finished) {
+      this.emit(finished);
+    }
+    this.schedulePoll(0);
+  }
+
+  /**
+   * @private
+   */
+  emit(job) {
+    events.emit('job', job);
+  }
+}
+
+JobQueueService.JOB_TYPES = JOB_TYPES;
+JobQueueService.retryDelay = retryDelay;
+JobQueueService.clampProgress = clampProgress;
+
+module.exports = JobQueueService;
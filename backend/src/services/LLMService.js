@@ -0,0 +1,303 @@
+/**
+ * LLM Service
+ * Single entry point for model calls: resolves each task (writing, extraction,
+ * analysis, embedding, rerank) to a provider and model from the `llm_task_routing`
+ * global setting, then delegates to that provider's adapter
+ */
+
+const logger = require('../utils/logger');
+const GlobalSettingsService = require('./GlobalSettingsService');
+const OllamaProvider = require('./llm/OllamaProvider');
+const OpenAICompatibleProvider = require('./llm/OpenAICompatibleProvider');
+const MockProvider = require('./llm/MockProvider');
+
+const TASKS = ['writing', 'extraction', 'analysis', 'embedding', 'rerank'];
+
+const PROVIDERS = {
+  ollama: OllamaProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+// Routing is read on every call; keep a short-lived copy so one request does not query settings repeatedly
+const ROUTING_CACHE_TTL = 30000;
+
+const EMBEDDING_TIMEOUT = 60000;
+const RERANK_TIMEOUT = 30000;
+
+// Shared across instances so adapters and the routing cache are not rebuilt per service
+let settingsService;
+const providerInstances = {};
+const sharedCache = { routing: null, loadedAt: 0 };
+
+function getSettingsService() {
+  if (!settingsService) {
+    settingsService = new GlobalSettingsService();
+  }
+  return settingsService;
+}
+
+class LLMService {
+  /**
+   * @param {Object} options - { settingsService, providers: { name: instance } } overrides for tests
+   */
+  constructor(options = {}) {
+    this.settingsService = options.settingsService || null;
+    this.providers = options.providers || null;
+    // Injected settings get a private cache so tests do not leak routing into each other
+    this.cache = options.settingsService ? { routing: null, loadedAt: 0 } : sharedCache;
+  }
+
+  /**
+   * Routing used when a task has no stored setting
+   * The environment picks the provider (LLM_PROVIDER) and per-task models.
+   */
+  static getDefaultRouting() {
+    const provider = process.env.LLM_PROVIDER || 'ollama';
+    const extractionModel = process.env.OLLAMA_EXTRACTION_MODEL || 'qwen2.5:14b';
+
+    return {
+      writing: { provider, model: process.env.OLLAMA_MODEL || 'gemma2:9b' },
+      extraction: { provider, model: extractionModel },
+      analysis: { provider, model: extractionModel },
+      embedding: { provider, model: process.env.EMBEDDING_MODEL || 'nomic-embed-text' },
+      rerank: { provider, model: process.env.RERANK_MODEL || extractionModel }
+    };
+  }
+
+  getProvider(name) {
+    if (this.providers) {
+      if (!this.providers[name]) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+      }
+      return this.providers[name];
+    }
+
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    if (!providerInstances[name]) {
+      providerInstances[name] = new PROVIDERS[name]();
+    }
+    return providerInstances[name];
+  }
+
+  /**
+   * Effective routing for every task (stored setting merged over defaults)
+   * @returns {Object} { writing: { provider, model }, ... }
+   */
+  async getRouting() {
+    if (this.cache.routing && Date.now() - this.cache.loadedAt < ROUTING_CACHE_TTL) {
+      return this.cache.routing;
+    }
+
+    const defaults = LLMService.getDefaultRouting();
+    let stored = {};
+    try {
+      stored = await (this.settingsService || getSettingsService()).getLlmTaskRouting();
+    } catch (error) {
+      logger.warn(`Could not load LLM routing, using defaults: ${error.message}`);
+    }
+
+    const routing = {};
+    TASKS.forEach(task => {
+      const entry = stored && typeof stored[task] === 'object' ? stored[task] : {};
+      routing[task] = {
+        provider: entry.provider || defaults[task].provider,
+        model: entry.model || defaults[task].model
+      };
+    });
+
+    this.cache.routing = routing;
+    this.cache.loadedAt = Date.now();
+    return routing;
+  }
+
+  /**
+   * Update the stored routing for one or more tasks (null resets a task to its default)
+   * @param {Object} updates - { task: { provider, model } }
+   * @returns {Object} Effective routing after the update
+   */
+  async setRouting(updates) {
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+      throw this.validationError('Routing must be an object keyed by task');
+    }
+
+    const settings = this.settingsService || getSettingsService();
+    const stored = { ...(await settings.getLlmTaskRouting()) };
+
+    for (const [task, entry] of Object.entries(updates)) {
+      if (!TASKS.includes(task)) {
+        throw this.validationError(`Task must be one of: ${TASKS.join(', ')}`);
+      }
+      if (entry === null) {
+        delete stored[task];
+        continue;
+      }
+      if (typeof entry !== 'object' || Array.isArray(entry)) {
+        throw this.validationError(`Routing for ${task} must be { provider, model }`);
+      }
+      if (entry.provider !== undefined && !this.hasProvider(entry.provider)) {
+        throw this.validationError(`Provider must be one of: ${this.getProviderNames().join(', ')}`);
+      }
+      if (entry.model !== undefined && (typeof entry.model !== 'string' || !entry.model.trim())) {
+        throw this.validationError(`Model for ${task} must be a non-empty string`);
+      }
+
+      stored[task] = {
+        ...(stored[task] || {}),
+        ...(entry.provider !== undefined && { provider: entry.provider }),
+        ...(entry.model !== undefined && { model: entry.model.trim() })
+      };
+    }
+
+    await settings.setLlmTaskRouting(stored);
+    this.cache.routing = null;
+
+    logger.info(`Updated LLM routing: ${Object.keys(updates).join(', ')}`);
+    return await this.getRouting();
+  }
+
+  /**
+   * Provider and model for a task
+   * @param {string} task - One of TASKS
+   * @param {string} modelOverride - Caller-selected model (e.g. from the UI) on the task's provider
+   * @returns {Object} { task, provider: adapter, providerName, model }
+   */
+  async resolveTask(task, modelOverride = null) {
+    if (!TASKS.includes(task)) {
+      throw new Error(`Unknown LLM task: ${task}`);
+    }
+
+    const routing = await this.getRouting();
+    const route = routing[task];
+    return {
+      task,
+      provider: this.getProvider(route.provider),
+      providerName: route.provider,
+      model: modelOverride || route.model
+    };
+  }
+
+  async getModel(task) {
+    const route = await this.resolveTask(task);
+    return route.model;
+  }
+
+  /**
+   * Generate a completion for a task
+   * @param {string} task - One of TASKS
+   * @param {Object} params - { model, prompt, system, options, format, timeout }
+   * @returns {Object} { text, model, provider, usage }
+   */
+  async generate(task, params) {
+    const route = await this.resolveTask(task, params.model);
+    const result = await route.provider.generate({
+      ...params,
+      model: route.model,
+      timeout: params.timeout || this.getModelTimeout(route.model)
+    });
+    return { ...result, provider: route.providerName };
+  }
+
+  /**
+   * Stream a completion for a task
+   * @param {Object} handlers - { onToken: Function, signal: AbortSignal }
+   * @returns {Object} { model, provider, usage }
+   */
+  async generateStream(task, params, handlers = {}) {
+    const route = await this.resolveTask(task, params.model);
+    const result = await route.provider.generateStream({
+      ...params,
+      model: route.model,
+      timeout: params.timeout || this.getModelTimeout(route.model)
+    }, handlers);
+    return { ...result, provider: route.providerName };
+  }
+
+  /**
+   * Embed texts with the task's model
+   * @param {string} task - Usually 'embedding'
+   * @param {Array|string} texts - One text or a batch
+   * @param {Object} options - { model, timeout }
+   * @returns {Object} { vectors, model, provider }
+   */
+  async embed(task, texts, options = {}) {
+    const route = await this.resolveTask(task, options.model);
+    const batch = Array.isArray(texts) ? texts : [texts];
+    const vectors = await route.provider.embed(batch, {
+      model: route.model,
+      timeout: options.timeout || EMBEDDING_TIMEOUT
+    });
+    return { vectors, model: route.model, provider: route.providerName };
+  }
+
+  /**
+   * Score passages against a query with the task's cross-encoder
+   * Only providers with a rerank endpoint support this (Ollama does not).
+   * @param {string} task - Usually 'rerank'
+   * @param {string} query - Query text
+   * @param {Array} documents - Passage texts
+   * @param {Object} options - { model, timeout }
+   * @returns {Object} { scores (input order), model, provider }
+   */
+  async rerank(task, query, documents, options = {}) {
+    const route = await this.resolveTask(task, options.model);
+    if (typeof route.provider.rerank !== 'function') {
+      throw new Error(`LLM provider ${route.providerName} does not support reranking`);
+    }
+    const scores = await route.provider.rerank(query, documents, {
+      model: route.model,
+      timeout: options.timeout || RERANK_TIMEOUT
+    });
+    return { scores, model: route.model, provider: route.providerName };
+  }
+
+  async listModels(task = 'writing') {
+    const route = await this.resolveTask(task);
+    return await route.provider.listModels();
+  }
+
+  async isAvailable(task = 'writing') {
+    try {
+      const route = await this.resolveTask(task);
+      return await route.provider.isAvailable();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get appropriate timeout for model based on size
+   */
+  getModelTimeout(modelName = '') {
+    // Large models (32B+) need more time
+    if (modelName.includes('70b') || modelName.includes('32b')) {
+      return 180000; // 3 minutes
+    }
+    // Medium models (14B) need moderate time
+    if (modelName.includes('14b') || modelName.includes('27b') || modelName.includes('33b')) {
+      return 120000; // 2 minutes
+    }
+    // Small to medium models (2B-9B) are faster
+    return 90000; // 1.5 minutes
+  }
+
+  getProviderNames() {
+    return Object.keys(this.providers || PROVIDERS);
+  }
+
+  hasProvider(name) {
+    return this.getProviderNames().includes(name);
+  }
+
+  validationError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+LLMService.TASKS = TASKS;
+
+module.exports = LLMService;
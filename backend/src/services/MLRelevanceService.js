@@ -3,8 +3,13 @@
  * Phase 4.1: Machine Learning Engine for intelligent document relevance scoring
  */
 
+const LLMService = require('./LLMService');
+const TokenizerService = require('./TokenizerService');
+
 class MLRelevanceService {
   constructor() {
+    this.llmService = new LLMService();
+    this.tokenizerService = new TokenizerService();
     this.trainingData = [];
     this.model = {
       weights: {
@@ -454,11 +459,13 @@ class MLRelevanceService {
 
   /**
    * Predict optimal document combinations
+   * @param {Object} constraints - { maxTokens, maxDocuments, userHistory, model: tokenizer for maxTokens (writing model by default) }
    */
   async predictOptimalDocumentSet(documents, requirements, constraints = {}) {
     try {
       const maxTokens = constraints.maxTokens || 16000;
       const maxDocuments = constraints.maxDocuments || 10;
+      const counter = await this.tokenizerService.getCounter(constraints.model || await this.llmService.getModel('writing'));
 
       // Score all documents
       const scoredDocuments = [];
@@ -473,7 +480,7 @@ class MLRelevanceService {
           mlScore: relevanceResult.score,
           confidence: relevanceResult.confidence,
           factors: relevanceResult.factors,
-          tokenCount: this.estimateTokenCount(doc.content || '')
+          tokenCount: counter.count(doc.content || '')
         });
       }
 
@@ -552,11 +559,11 @@ class MLRelevanceService {
   }
 
   /**
-   * Estimate token count for text
+   * Token count for text with a model's tokenizer (the writing model by default)
    */
-  estimateTokenCount(text) {
+  async countTokens(text, model = null) {
     if (!text) return 0;
-    return Math.ceil(text.length / 4); // Rough estimate: 4 chars per token
+    return this.tokenizerService.countTokens(text, model || await this.llmService.getModel('writing'));
   }
 
   /**
@@ -0,0 +1,480 @@
+/**
+ * Milestone Service
+ * Proposal calendars: milestones planned from the project templates, health (overdue and
+ * at-risk detection), iCalendar feeds and deadline alert emails. Alerts run as a recurring
+ * milestone_alerts job; each milestone is emailed once per level (at risk, then overdue).
+ */
+
+const crypto = require('crypto');
+const ProjectMilestone = require('../models/ProjectMilestone');
+const ColorReview = require('../models/ColorReview');
+const ProjectService = require('./ProjectService');
+const NotificationService = require('./NotificationService');
+const JobQueueService = require('./JobQueueService');
+const { buildCalendar } = require('../utils/ical');
+const logger = require('../utils/logger');
+
+const { MILESTONE_STATUSES } = ProjectMilestone;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pending milestones due within this many days are at risk
+const AT_RISK_DAYS = parseInt(process.env.MILESTONE_AT_RISK_DAYS) || 3;
+const ALERT_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Alert levels in the order they are sent
+const ALERT_LEVELS = ['at_risk', 'overdue'];
+
+function serviceError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function parseDate(value, label) {
+  const date = new Date(value);
+  if (!value || isNaN(date.getTime())) {
+    throw serviceError(`${label} must be a valid date`, 400);
+  }
+  return date;
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Dates for a template's milestones
+ * Milestones count back from the due date (daysBeforeDue) or forward from the start date
+ * (daysAfterStart, skipped without one). When the project is shorter than the template's
+ * schedule the offsets are compressed to fit between start and due.
+ * @param {Object} template - Project template with milestones
+ * @param {Object} dates - { startDate, dueDate }
+ * @returns {Array} [{ milestoneKey, title, dueDate, reviewType }] by date
+ */
+function planMilestones(template, { startDate = null, dueDate }) {
+  const due = new Date(dueDate);
+  const start = startDate ? new Date(startDate) : null;
+
+  const span = Math.max(0, ...template.milestones
+    .filter(milestone => milestone.daysBeforeDue !== undefined)
+    .map(milestone => milestone.daysBeforeDue));
+  const available = start ? Math.max(0, (due - start) / DAY_MS) : span;
+  const scale = span > available ? available / span : 1;
+
+  return template.milestones
+    .filter(milestone => milestone.daysBeforeDue !== undefined || start)
+    .map(milestone => ({
+      milestoneKey: milestone.key,
+      title: milestone.title,
+      reviewType: milestone.reviewType || null,
+      dueDate: milestone.daysBeforeDue !== undefined
+        ? new Date(due.getTime() - Math.round(milestone.daysBeforeDue * scale) * DAY_MS)
+        : new Date(start.getTime() + milestone.daysAfterStart * DAY_MS)
+    }))
+    .sort((a, b) => a.dueDate - b.dueDate);
+}
+
+/**
+ * Health of each milestone
+ * Pending milestones past due are overdue; those due within AT_RISK_DAYS, or scheduled after
+ * a milestone that is already overdue, are at risk.
+ * @param {Array} milestones - A project's milestones
+ * @param {Date} now - Reference time
+ * @returns {Array} Milestones with health: { state, reason, daysRemaining }
+ */
+function assessMilestones(milestones, now = new Date(), atRiskDays = AT_RISK_DAYS) {
+  const sorted = [...milestones].sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+  let firstOverdue = null;
+
+  return sorted.map(milestone => {
+    const due = new Date(milestone.dueDate);
+    const daysRemaining = Math.ceil((due - now) / DAY_MS);
+    let health;
+
+    if (milestone.status === 'complete' || milestone.status === 'skipped') {
+      health = { state: milestone.status, reason: null, daysRemaining };
+    } else if (due < now) {
+      const daysLate = Math.max(1, Math.floor((now - due) / DAY_MS));
+      health = { state: 'overdue', reason: `Due ${plural(daysLate, 'day')} ago`, daysRemaining };
+      firstOverdue = firstOverdue || milestone;
+    } else if (firstOverdue) {
+      health = { state: 'at_risk', reason: `Follows overdue milestone "${firstOverdue.title}"`, daysRemaining };
+    } else if (daysRemaining <= atRiskDays) {
+      health = { state: 'at_risk', reason: daysRemaining <= 0 ? 'Due today' : `Due in ${plural(daysRemaining, 'day')}`, daysRemaining };
+    } else {
+      health = { state: 'on_track', reason: null, daysRemaining };
+    }
+
+    return { ...milestone, health };
+  });
+}
+
+function summarize(assessed) {
+  const summary = { total: assessed.length, pending: 0, complete: 0, skipped: 0, overdue: 0, atRisk: 0, onTrack: 0, next: null };
+  assessed.forEach(milestone => {
+    if (milestone.status === 'pending') summary.pending++;
+    if (milestone.health.state === 'complete') summary.complete++;
+    if (milestone.health.state === 'skipped') summary.skipped++;
+    if (milestone.health.state === 'overdue') summary.overdue++;
+    if (milestone.health.state === 'at_risk') summary.atRisk++;
+    if (milestone.health.state === 'on_track') summary.onTrack++;
+  });
+  const next = assessed.find(milestone => milestone.status === 'pending' && milestone.health.state !== 'overdue');
+  summary.next = next ? { id: next.id, title: next.title, dueDate: next.dueDate } : null;
+  return summary;
+}
+
+/**
+ * Calendar events for milestones (dates without a time of day are all-day events)
+ */
+function milestoneEvents(milestones) {
+  const appUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  return milestones.map(milestone => {
+    const due = new Date(milestone.dueDate);
+    const allDay = due.getUTCHours() === 0 && due.getUTCMinutes() === 0;
+    const details = [
+      `Project: ${milestone.projectTitle}`,
+      milestone.ownerName ? `Owner: ${milestone.ownerName}` : null,
+      milestone.reviewType ? `Color review: ${milestone.reviewType} (${milestone.reviewStatus})` : null,
+      `Status: ${milestone.status}`,
+      milestone.description
+    ].filter(Boolean);
+
+    return {
+      uid: `milestone-${milestone.id}@gov-proposal-ai`,
+      start: due,
+      end: allDay ? null : new Date(due.getTime() + 30 * 60 * 1000),
+      allDay,
+      summary: `${milestone.status === 'complete' ? '✓ ' : ''}${milestone.projectTitle}: ${milestone.title}`,
+      description: details.join('\n'),
+      url: appUrl,
+      status: milestone.status === 'skipped' ? 'CANCELLED' : 'CONFIRMED',
+      categories: ['Proposal Milestone'],
+      alarmMinutes: milestone.status === 'pending' ? 24 * 60 : null,
+      lastModified: milestone.updatedAt
+    };
+  });
+}
+
+class MilestoneService {
+  constructor(options = {}) {
+    this.milestoneModel = options.milestoneModel || new ProjectMilestone();
+    this.reviewModel = options.reviewModel || new ColorReview();
+    this.projectService = options.projectService || new ProjectService();
+    this.notificationService = options.notificationService || new NotificationService();
+    this.jobQueue = options.jobQueue || new JobQueueService();
+  }
+
+  // =============================================================================
+  // MILESTONES
+  // =============================================================================
+
+  /**
+   * A project's milestones with health and a summary
+   * @returns {Object} { milestones, summary }
+   */
+  async listMilestones(projectId, now = new Date()) {
+    await this.projectService.getProject(projectId);
+    const assessed = assessMilestones(await this.milestoneModel.listByProject(projectId), now);
+    return { milestones: assessed, summary: summarize(assessed) };
+  }
+
+  /**
+   * Add a template's milestones to a project (ones it already has are kept)
+   * @param {string} templateKey - Key from ProjectService.PROJECT_TEMPLATES (defaults to the
+   *   template for the project's type)
+   * @returns {Object} { created, skipped, milestones, summary }
+   */
+  async applyTemplate(projectId, templateKey = null, userId = null) {
+    const project = await this.projectService.getProject(projectId);
+    const templates = ProjectService.PROJECT_TEMPLATES;
+
+    const key = templateKey ||
+      Object.keys(templates).find(candidate => templates[candidate].projectType === project.project_type) ||
+      'rfp-response';
+    const template = templates[key];
+    if (!template) {
+      throw serviceError(`Unknown template. Must be one of: ${Object.keys(templates).join(', ')}`, 400);
+    }
+    if (!project.due_date) {
+      throw serviceError('Set the project due date before applying a milestone template', 400);
+    }
+
+    // Link review milestones to the project's review of that color, when one is scheduled
+    const reviews = await this.reviewModel.listByProject(projectId);
+    const plan = planMilestones(template, { startDate: project.start_date, dueDate: project.due_date })
+      .map(milestone => {
+        const review = milestone.reviewType
+          ? reviews.find(candidate => candidate.reviewType === milestone.reviewType && candidate.status !== 'cancelled')
+          : null;
+        return { ...milestone, reviewId: review ? review.id : null };
+      });
+
+    const created = await this.milestoneModel.createMany(projectId, plan, userId);
+    logger.info(`Applied ${key} milestones to project ${projectId}: ${created.length} added, ${plan.length - created.length} already present`);
+
+    return {
+      created: created.length,
+      skipped: plan.length - created.length,
+      ...(await this.listMilestones(projectId))
+    };
+  }
+
+  /**
+   * Add a custom milestone
+   * @param {Object} data - { title, description, dueDate, ownerId, reviewId }
+   */
+  async createMilestone(projectId, data, userId = null) {
+    await this.projectService.getProject(projectId);
+    const fields = await this.validateFields(projectId, { ...data, dueDate: data.dueDate || null }, true);
+
+    const milestone = await this.milestoneModel.create(projectId, { ...fields, milestoneKey: 'custom' }, userId);
+    return assessMilestones([milestone])[0];
+  }
+
+  /**
+   * Edit a milestone
+   * @param {Object} updates - { title, description, dueDate, status, ownerId, reviewId }
+   */
+  async updateMilestone(milestoneId, updates, userId = null) {
+    const milestone = await this.milestoneModel.getById(milestoneId);
+    if (!milestone) {
+      return null;
+    }
+
+    const fields = await this.validateFields(milestone.projectId, updates, false);
+    const updated = await this.milestoneModel.update(milestoneId, fields, userId);
+    return assessMilestones([updated])[0];
+  }
+
+  async deleteMilestone(milestoneId) {
+    return await this.milestoneModel.delete(milestoneId);
+  }
+
+  /**
+   * Check and normalize milestone fields
+   * Owners must be on the project team and linked reviews must be the project's.
+   */
+  async validateFields(projectId, data, requireAll) {
+    const fields = {};
+
+    if (data.title !== undefined || requireAll) {
+      const title = typeof data.title === 'string' ? data.title.trim() : '';
+      if (!title) {
+        throw serviceError('Milestone title is required', 400);
+      }
+      fields.title = title.substring(0, 255);
+    }
+    if (data.dueDate !== undefined || requireAll) {
+      fields.dueDate = parseDate(data.dueDate, 'dueDate');
+    }
+    if (data.description !== undefined) {
+      fields.description = data.description || null;
+    }
+    if (data.status !== undefined) {
+      if (!MILESTONE_STATUSES.includes(data.status)) {
+        throw serviceError(`Invalid status. Must be one of: ${MILESTONE_STATUSES.join(', ')}`, 400);
+      }
+      fields.status = data.status;
+    }
+
+    if (data.ownerId !== undefined && data.ownerId !== null && data.ownerId !== '') {
+      const ownerId = parseInt(data.ownerId);
+      const team = await this.projectService.getProjectTeam(projectId);
+      if (isNaN(ownerId) || !team.some(member => member.user_id === ownerId)) {
+        throw serviceError('Milestone owner must be on the project team', 400);
+      }
+      fields.ownerId = ownerId;
+    } else if (data.ownerId !== undefined) {
+      fields.ownerId = null;
+    }
+
+    if (data.reviewId !== undefined && data.reviewId !== null && data.reviewId !== '') {
+      const reviewId = parseInt(data.reviewId);
+      if (isNaN(reviewId) || !(await this.milestoneModel.reviewBelongsToProject(reviewId, projectId))) {
+        throw serviceError('Linked review must belong to this project', 400);
+      }
+      fields.reviewId = reviewId;
+    } else if (data.reviewId !== undefined) {
+      fields.reviewId = null;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Project a milestone belongs to (for access checks)
+   * @returns {string|null}
+   */
+  async getProjectName(milestoneId) {
+    const milestone = await this.milestoneModel.getById(milestoneId);
+    return milestone ? milestone.projectTitle : null;
+  }
+
+  // =============================================================================
+  // CALENDAR FEEDS
+  // =============================================================================
+
+  /**
+   * iCalendar for one project's milestones
+   * @returns {Object} { body, filename }
+   */
+  async projectCalendar(projectId) {
+    const project = await this.projectService.getProject(projectId);
+    const milestones = await this.milestoneModel.listByProject(projectId);
+    const slug = project.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'project';
+
+    return {
+      body: buildCalendar({ name: `${project.title} Milestones`, events: milestoneEvents(milestones) }),
+      filename: `milestones-${slug}.ics`
+    };
+  }
+
+  /**
+   * The user's subscription URL token (created on first use; reset issues a new one)
+   */
+  async getFeedToken(userId, { reset = false } = {}) {
+    const existing = reset ? null : await this.milestoneModel.getFeedToken(userId);
+    if (existing) {
+      return existing;
+    }
+    return await this.milestoneModel.setFeedToken(userId, crypto.randomBytes(24).toString('hex'));
+  }
+
+  /**
+   * iCalendar feed of milestones on every project the token's user is on, from 30 days ago
+   * @returns {string|null} Calendar body, or null for an unknown token
+   */
+  async feedCalendar(token) {
+    if (!/^[a-f0-9]{48}$/.test(token || '')) {
+      return null;
+    }
+    const userId = await this.milestoneModel.getFeedUser(token);
+    if (!userId) {
+      return null;
+    }
+
+    const milestones = await this.milestoneModel.listForMember(userId, { from: new Date(Date.now() - 30 * DAY_MS) });
+    return buildCalendar({
+      name: 'Proposal Milestones',
+      description: 'Milestones for your proposal projects',
+      events: milestoneEvents(milestones)
+    });
+  }
+
+  // =============================================================================
+  // DEADLINE ALERTS
+  // =============================================================================
+
+  /**
+   * Email each project team about milestones that became at risk or overdue since the last check
+   * @returns {Object} { checked, alerted, emails }
+   */
+  async checkDeadlines(now = new Date()) {
+    const due = await this.milestoneModel.listPendingDueBy(new Date(now.getTime() + AT_RISK_DAYS * DAY_MS));
+    const byProject = new Map();
+    due.forEach(milestone => {
+      if (!byProject.has(milestone.projectId)) {
+        byProject.set(milestone.projectId, []);
+      }
+      byProject.get(milestone.projectId).push(milestone);
+    });
+
+    const outcome = { checked: due.length, alerted: 0, emails: 0 };
+
+    for (const [projectId, milestones] of byProject) {
+      const alerts = assessMilestones(milestones, now).filter(milestone =>
+        ALERT_LEVELS.includes(milestone.health.state) &&
+        ALERT_LEVELS.indexOf(milestone.health.state) > ALERT_LEVELS.indexOf(milestone.alertLevel));
+      if (alerts.length === 0) {
+        continue;
+      }
+
+      const team = await this.projectService.getProjectTeam(projectId);
+      const recipients = [...team.map(member => member.user_email), ...alerts.map(milestone => milestone.ownerEmail)];
+      const result = await this.notificationService.sendEmail({
+        to: recipients,
+        ...this.alertEmail(alerts[0].projectTitle, alerts)
+      });
+
+      // A failed delivery is tried again on the next check. Without SMTP_HOST, or with nobody on
+      // the team or owning the milestones to email, nothing is sent but retrying would not help,
+      // so the alert is recorded and does not repeat every hour.
+      if (!result.sent && result.error && result.recipients.length > 0) {
+        logger.warn(`Milestone alerts for project ${projectId} not sent, will retry: ${result.error}`);
+        continue;
+      }
+      if (result.recipients.length === 0) {
+        logger.info(`Milestone alerts for project ${projectId} have no recipients with an email address`);
+      }
+      for (const milestone of alerts) {
+        await this.milestoneModel.markAlerted(milestone.id, milestone.health.state);
+      }
+      outcome.alerted += alerts.length;
+      if (result.sent) {
+        outcome.emails++;
+      }
+    }
+
+    if (outcome.alerted > 0) {
+      logger.info(`Milestone deadline check: ${outcome.alerted} alerts in ${outcome.emails} emails`);
+    }
+    return outcome;
+  }
+
+  alertEmail(projectTitle, alerts) {
+    const overdue = alerts.filter(milestone => milestone.health.state === 'overdue').length;
+    const atRisk = alerts.length - overdue;
+    const counts = [overdue ? `${plural(overdue, 'milestone')} overdue` : null, atRisk ? `${atRisk} at risk` : null]
+      .filter(Boolean).join(', ');
+
+    const lines = alerts.map(milestone => {
+      const date = new Date(milestone.dueDate).toDateString();
+      const owner = milestone.ownerName ? ` (owner: ${milestone.ownerName})` : '';
+      const state = milestone.health.state === 'overdue' ? 'OVERDUE' : 'AT RISK';
+      return `- ${state}: ${milestone.title}, due ${date}${owner}. ${milestone.health.reason}.`;
+    });
+
+    return {
+      subject: `[${projectTitle}] ${counts}`,
+      text: [
+        `Proposal milestones for ${projectTitle} need attention:`,
+        '',
+        ...lines,
+        '',
+        `Open the project: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`
+      ].join('\n')
+    };
+  }
+
+  /**
+   * Queue the next deadline check (one queued check at a time across servers)
+   */
+  async scheduleDeadlineCheck(delayMs = 0) {
+    return await this.jobQueue.enqueue(JobQueueService.JOB_TYPES.MILESTONE_ALERTS, {}, {
+      dedupeKey: 'milestone_alerts',
+      delayMs,
+      // A failed check is simply run again at the next interval
+      maxAttempts: 1
+    });
+  }
+
+  /**
+   * Run a deadline check and queue the next one (runs as a milestone_alerts job)
+   */
+  async runDeadlineCheck() {
+    try {
+      return await this.checkDeadlines(new Date());
+    } finally {
+      await this.scheduleDeadlineCheck(ALERT_CHECK_INTERVAL_MS);
+    }
+  }
+}
+
+MilestoneService.AT_RISK_DAYS = AT_RISK_DAYS;
+MilestoneService.planMilestones = planMilestones;
+MilestoneService.assessMilestones = assessMilestones;
+MilestoneService.milestoneEvents = milestoneEvents;
+
+module.exports = MilestoneService;
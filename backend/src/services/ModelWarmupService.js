@@ -3,15 +3,15 @@
  * Handles automatic model warm-up for improved response times
  */
 
-const axios = require('axios');
 const logger = require('../utils/logger');
+const LLMService = require('./LLMService');
 
 class ModelWarmupService {
   constructor() {
-    this.ollamaUrl = process.env.OLLAMA_URL || 'http://localhost:11434';
+    this.llmService = new LLMService();
     this.warmupCache = new Map(); // Track warm-up status for each model
     this.warmupQueue = new Set(); // Track models currently being warmed up
-    this.defaultModel = process.env.OLLAMA_MODEL || 'gemma2:9b';
+    this.defaultModel = LLMService.getDefaultRouting().writing.model; // Refreshed from routing on each smart warm-up
 
     // Configuration - Optimized for better performance
     this.warmupTimeout = 30000; // 30 second timeout for warmup operations
@@ -159,6 +159,9 @@ class ModelWarmupService {
       triggerType = 'page_load'
     } = context;
 
+    // Follow the writing task's routed model
+    this.defaultModel = await this.llmService.getModel('writing');
+
     // Determine which models to warm up based on context
     const modelsToWarm = this.selectModelsForWarmup({
       userPreferences,
@@ -265,16 +268,14 @@ class ModelWarmupService {
       const testPrompt = this.getTestPrompt(modelName);
 
       // Warm up the model with a lightweight request
-      const response = await axios.post(`${this.ollamaUrl}/api/generate`, {
+      await this.llmService.generate('writing', {
         model: modelName,
         prompt: testPrompt,
-        stream: false,
         options: {
           temperature: 0.1, // Low temperature for consistent, fast responses
           max_tokens: 5,    // Very short response
           top_p: 0.9
-        }
-      }, {
+        },
         timeout: this.warmupTimeout
       });
 
@@ -359,16 +360,14 @@ class ModelWarmupService {
   }
 
   /**
-   * Check if Ollama is available for warm-up operations
+   * Check if the writing task's provider is available for warm-up operations
    */
   async isOllamaAvailable() {
-    try {
-      await axios.get(`${this.ollamaUrl}/api/tags`, { timeout: 5000 });
-      return true;
-    } catch (error) {
-      logger.warn(`Ollama not available for warmup: ${error.message}`);
-      return false;
+    const available = await this.llmService.isAvailable('writing');
+    if (!available) {
+      logger.warn('LLM provider not available for warmup');
     }
+    return available;
   }
 
   /**
@@ -424,31 +423,23 @@ class ModelWarmupService {
         }
 
         // Send minimal inference to keep model loaded in memory
-        const response = await axios.post(
-          `${this.ollamaUrl}/api/generate`,
-          {
-            model: model,
-            prompt: ".",
-            stream: false,
-            options: {
-              num_predict: 1,
-              temperature: 0
-            }
+        await this.llmService.generate('writing', {
+          model: model,
+          prompt: ".",
+          options: {
+            max_tokens: 1,
+            temperature: 0
           },
-          {
-            timeout: 5000 // 5 second timeout for keep-alive
-          }
-        );
-
-        if (response.status === 200) {
-          // Update timestamp to keep model marked as warm
-          this.warmupCache.set(model, {
-            status: 'warm',
-            timestamp: Date.now(),
-            success: true
-          });
-          logger.debug(`Keep-alive successful for model: ${model}`);
-        }
+          timeout: 5000 // 5 second timeout for keep-alive
+        });
+
+        // Update timestamp to keep model marked as warm
+        this.warmupCache.set(model, {
+          status: 'warm',
+          timestamp: Date.now(),
+          success: true
+        });
+        logger.debug(`Keep-alive successful for model: ${model}`);
       } catch (error) {
         logger.warn(`Keep-alive failed for model ${model}: ${error.message}`);
         // Don't remove from cache - will be cleaned up naturally if expired
@@ -0,0 +1,77 @@
+/**
+ * Notification Service
+ * Email through nodemailer. SMTP comes from SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER /
+ * SMTP_PASS (a local catcher such as Mailpit on port 1025 works for development); without
+ * SMTP_HOST messages are rendered and logged instead of sent.
+ *
+ * Sending never throws: notifications ride along with other work (sign-ups, deadline checks)
+ * that must not fail because mail is down.
+ */
+
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+
+const DEFAULT_FROM = 'Gov Proposal AI <no-reply@localhost>';
+
+/**
+ * Transport from the SMTP_* environment, or a JSON transport that only renders messages
+ */
+function createTransport() {
+  if (!process.env.SMTP_HOST) {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+}
+
+class NotificationService {
+  constructor(options = {}) {
+    this.transport = options.transport || createTransport();
+    this.from = options.from || process.env.MAIL_FROM || DEFAULT_FROM;
+    this.delivers = options.transport ? true : Boolean(process.env.SMTP_HOST);
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - { to: address or [addresses], subject, text, html }
+   * @returns {Object} { sent, recipients, messageId, error }
+   */
+  async sendEmail({ to, subject, text, html = null }) {
+    const recipients = [...new Set((Array.isArray(to) ? to : [to])
+      .filter(address => typeof address === 'string' && address.includes('@'))
+      .map(address => address.trim().toLowerCase()))];
+
+    if (recipients.length === 0) {
+      return { sent: false, recipients, messageId: null, error: 'No recipients' };
+    }
+
+    try {
+      const info = await this.transport.sendMail({
+        from: this.from,
+        // Recipients don't see each other's addresses
+        to: this.from,
+        bcc: recipients,
+        subject,
+        text,
+        html: html || undefined
+      });
+
+      if (this.delivers) {
+        logger.info(`Email "${subject}" sent to ${recipients.length} recipient(s)`);
+      } else {
+        logger.info(`Email "${subject}" for ${recipients.join(', ')} not delivered (SMTP_HOST is not set)`);
+      }
+      return { sent: this.delivers, recipients, messageId: info.messageId || null, error: null };
+    } catch (error) {
+      logger.warn(`Email "${subject}" failed: ${error.message}`);
+      return { sent: false, recipients, messageId: null, error: error.message };
+    }
+  }
+}
+
+module.exports = NotificationService;
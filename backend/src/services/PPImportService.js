@@ -0,0 +1,579 @@
+/**
+ * Past Performance Import Service
+ * Bulk import of past performance records from CSV or XLSX files: columns are mapped to
+ * record fields, every row is validated like a record entered by hand (a dry run reports the
+ * row-level errors), rows matching an existing record's contract number and customer are
+ * skipped as duplicates, and the import itself runs as a pp_import job. The job may run on
+ * another server, so the upload is staged in document storage for it rather than left on
+ * the local disk.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const PastPerformanceService = require('./PastPerformanceService');
+const JobQueueService = require('./JobQueueService');
+const StorageService = require('./StorageService');
+const { parseCSV } = require('../utils/csv');
+const { readXLSXRows, serialToDate } = require('../utils/xlsx');
+const logger = require('../utils/logger');
+
+const IMPORT_FORMATS = {
+  '.csv': 'csv',
+  '.xlsx': 'xlsx'
+};
+
+// Rows per file; larger files should be split
+const MAX_IMPORT_ROWS = 5000;
+// Errors kept in dry-run reports and job results
+const MAX_REPORTED_ERRORS = 500;
+const SAMPLE_ROWS = 5;
+// Staged uploads live apart from the content-addressed documents/ keys
+const STAGED_IMPORT_PREFIX = 'imports';
+
+/**
+ * Record fields a column can be mapped to (see PastPerformanceService.validateAndNormalizePPData)
+ * type: text, number, percent, date, choice or list (split on ; , | or line breaks)
+ */
+const IMPORT_FIELDS = [
+  { field: 'projectName', label: 'Project Name', type: 'text', required: true, aliases: ['project', 'project title', 'contract title', 'program', 'program name'] },
+  { field: 'customer', label: 'Customer', type: 'text', required: true, aliases: ['agency', 'client', 'customer name', 'customer agency'] },
+  { field: 'summary', label: 'Summary', type: 'text', required: true, aliases: ['description', 'project description', 'scope', 'scope of work', 'overview'] },
+  {
+    field: 'customerType',
+    label: 'Customer Type',
+    type: 'choice',
+    choices: { Federal: ['federal', 'fed'], State: ['state'], Local: ['local', 'municipal'], Commercial: ['commercial', 'private'] },
+    aliases: ['customer category', 'sector', 'market']
+  },
+  { field: 'contractNumber', label: 'Contract Number', type: 'text', aliases: ['contract no', 'contract #', 'contract id', 'piid', 'task order number', 'contract'] },
+  { field: 'contractValue', label: 'Contract Value', type: 'number', aliases: ['value', 'total value', 'contract amount', 'amount', 'total contract value'] },
+  {
+    field: 'contractType',
+    label: 'Contract Type',
+    type: 'choice',
+    choices: { Prime: ['prime', 'prime contractor'], Subcontractor: ['subcontractor', 'sub', 'subcontract'], Teaming: ['teaming', 'joint venture', 'jv'] },
+    aliases: ['role', 'prime or sub', 'prime/sub']
+  },
+  { field: 'startDate', label: 'Start Date', type: 'date', aliases: ['start', 'period of performance start', 'pop start', 'begin date'] },
+  { field: 'endDate', label: 'End Date', type: 'date', aliases: ['end', 'period of performance end', 'pop end', 'completion date'] },
+  {
+    field: 'workType',
+    label: 'Work Type',
+    type: 'choice',
+    choices: { DME: ['dme', 'development'], 'O&M': ['o&m', 'om', 'operations and maintenance'], Mixed: ['mixed', 'dme and o&m', 'both'] },
+    aliases: []
+  },
+  { field: 'dmePercentage', label: 'DME %', type: 'percent', aliases: ['dme percentage', 'dme percent', 'dme'] },
+  { field: 'omPercentage', label: 'O&M %', type: 'percent', aliases: ['om percentage', 'o&m percentage', 'o&m percent', 'om'] },
+  { field: 'technicalApproach', label: 'Technical Approach', type: 'text', aliases: ['approach', 'technical solution'] },
+  { field: 'technologiesUsed', label: 'Technologies', type: 'list', aliases: ['technologies used', 'technology', 'tech stack', 'tools'] },
+  { field: 'domainAreas', label: 'Domain Areas', type: 'list', aliases: ['domains', 'domain', 'capabilities', 'mission areas'] },
+  { field: 'keyPersonnel', label: 'Key Personnel', type: 'list', aliases: ['personnel', 'key staff', 'team'] },
+  { field: 'lessonsLearned', label: 'Lessons Learned', type: 'text', aliases: ['lessons'] },
+  { field: 'challengesOvercome', label: 'Challenges Overcome', type: 'text', aliases: ['challenges'] },
+  { field: 'relevanceTags', label: 'Relevance Tags', type: 'list', aliases: ['tags', 'keywords'] }
+];
+
+const FIELDS_BY_NAME = new Map(IMPORT_FIELDS.map(definition => [definition.field, definition]));
+
+function serviceError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Lowercase letters, digits and & only, so "Contract #" and "contract_no" compare loosely
+ */
+function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9&#]+/g, ' ').trim();
+}
+
+/**
+ * Duplicate key: contract number plus customer, ignoring case and spacing
+ */
+function contractKey(contractNumber, customer) {
+  if (!contractNumber || !customer) {
+    return null;
+  }
+  const clean = value => String(value).toLowerCase().replace(/\s+/g, ' ').trim();
+  return `${clean(contractNumber)}|${clean(customer)}`;
+}
+
+function isSupportedFile(filename) {
+  return Boolean(IMPORT_FORMATS[path.extname(filename || '').toLowerCase()]);
+}
+
+/**
+ * Convert one cell to a field value
+ * @returns {*} Value, or undefined for an empty cell
+ * @throws Error with a row-level message when the cell cannot be converted
+ */
+function coerceValue(definition, raw) {
+  const text = raw === null || raw === undefined ? '' : String(raw).trim();
+  if (text === '') {
+    return undefined;
+  }
+
+  switch (definition.type) {
+    case 'number': {
+      const match = text.replace(/[$,\s]/g, '').match(/^(-?\d+(?:\.\d+)?)([kmb])?$/i);
+      if (!match) {
+        throw new Error(`"${text}" is not a number`);
+      }
+      const multiplier = { k: 1e3, m: 1e6, b: 1e9 }[(match[2] || '').toLowerCase()] || 1;
+      return parseFloat(match[1]) * multiplier;
+    }
+    case 'percent': {
+      const value = parseFloat(text.replace(/[%\s]/g, ''));
+      if (isNaN(value) || value < 0 || value > 100) {
+        throw new Error(`"${text}" is not a percentage between 0 and 100`);
+      }
+      return value;
+    }
+    case 'date': {
+      if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+        const date = new Date(text.slice(0, 10));
+        if (!isNaN(date.getTime())) {
+          return text.slice(0, 10);
+        }
+      }
+      const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+      if (us) {
+        const year = us[3].length === 2 ? 2000 + parseInt(us[3]) : parseInt(us[3]);
+        const date = new Date(Date.UTC(year, parseInt(us[1]) - 1, parseInt(us[2])));
+        if (date.getUTCMonth() === parseInt(us[1]) - 1) {
+          return date.toISOString().slice(0, 10);
+        }
+      }
+      // Spreadsheet serial days from cells without a date format
+      if (/^\d{5}(\.\d+)?$/.test(text)) {
+        return serialToDate(parseFloat(text));
+      }
+      throw new Error(`"${text}" is not a date (use YYYY-MM-DD or MM/DD/YYYY)`);
+    }
+    case 'choice': {
+      const lower = text.toLowerCase();
+      const choice = Object.keys(definition.choices).find(value =>
+        value.toLowerCase() === lower || definition.choices[value].includes(lower));
+      if (!choice) {
+        throw new Error(`"${text}" must be one of: ${Object.keys(definition.choices).join(', ')}`);
+      }
+      return choice;
+    }
+    case 'list':
+      return text.split(/[;,|\n]/).map(item => item.trim()).filter(Boolean);
+    default:
+      return text;
+  }
+}
+
+class PPImportService {
+  constructor(options = {}) {
+    this.pastPerformanceService = options.pastPerformanceService || new PastPerformanceService();
+    this.jobQueue = options.jobQueue || new JobQueueService();
+    this.storage = options.storage || new StorageService();
+  }
+
+  /**
+   * Fields a column can be mapped to, for the mapping step
+   */
+  getFields() {
+    return IMPORT_FIELDS.map(definition => ({
+      field: definition.field,
+      label: definition.label,
+      type: definition.type,
+      required: Boolean(definition.required),
+      choices: definition.choices ? Object.keys(definition.choices) : undefined
+    }));
+  }
+
+  /**
+   * Read an uploaded CSV or XLSX file
+   * @param {string|Object} source - Local file path (the multer upload) or { storageKey } of a staged upload
+   * @returns {Object} { format, headers, rows } - rows exclude the header line
+   * @throws 400 for unsupported, empty or oversized files
+   */
+  async readFile(source, originalName) {
+    const format = IMPORT_FORMATS[path.extname(originalName || '').toLowerCase()];
+    if (!format) {
+      throw serviceError(`Unsupported file type. Upload one of: ${Object.keys(IMPORT_FORMATS).join(', ')}`, 400);
+    }
+
+    let table;
+    try {
+      const buffer = typeof source === 'string' ? await fs.readFile(source) : await this.storage.read(source.storageKey);
+      table = format === 'xlsx' ? await readXLSXRows(buffer) : parseCSV(buffer.toString('utf8'));
+    } catch (error) {
+      throw serviceError(`Could not read ${originalName}: ${error.message}`, 400);
+    }
+
+    if (table.length < 2) {
+      throw serviceError('File needs a header row and at least one data row', 400);
+    }
+    if (table.length - 1 > MAX_IMPORT_ROWS) {
+      throw serviceError(`File has ${table.length - 1} rows; import at most ${MAX_IMPORT_ROWS} at a time`, 400);
+    }
+
+    const headers = table[0].map((header, index) => String(header).trim() || `Column ${index + 1}`);
+    return { format, headers, rows: table.slice(1) };
+  }
+
+  /**
+   * Best-guess field for each column (each field used once, first matching column wins)
+   * @returns {Object} { header: field | null }
+   */
+  suggestMapping(headers) {
+    const used = new Set();
+    const mapping = {};
+
+    headers.forEach(header => {
+      const normalized = normalizeHeader(header);
+      const match = IMPORT_FIELDS.find(definition => !used.has(definition.field) && (
+        normalizeHeader(definition.field.replace(/([A-Z])/g, ' $1')) === normalized ||
+        normalizeHeader(definition.label) === normalized ||
+        definition.aliases.some(alias => normalizeHeader(alias) === normalized)
+      ));
+
+      mapping[header] = match ? match.field : null;
+      if (match) {
+        used.add(match.field);
+      }
+    });
+
+    return mapping;
+  }
+
+  /**
+   * Check a column mapping against the file's headers
+   * @param {Array} headers - File headers
+   * @param {Object} mapping - { header: field | null }
+   * @returns {Array} [{ index, header, field }] for mapped columns
+   * @throws 400 for unknown columns or fields, fields mapped twice, or missing required fields
+   */
+  resolveColumns(headers, mapping) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      throw serviceError('mapping must be an object of column header to field', 400);
+    }
+
+    const columns = [];
+    const mappedFields = new Set();
+
+    for (const [header, field] of Object.entries(mapping)) {
+      if (!field) {
+        continue;
+      }
+      const index = headers.indexOf(header);
+      if (index === -1) {
+        throw serviceError(`Column "${header}" is not in the file`, 400);
+      }
+      if (!FIELDS_BY_NAME.has(field)) {
+        throw serviceError(`Unknown field "${field}" for column "${header}"`, 400);
+      }
+      if (mappedFields.has(field)) {
+        throw serviceError(`Field "${field}" is mapped to more than one column`, 400);
+      }
+      mappedFields.add(field);
+      columns.push({ index, header, field });
+    }
+
+    const missing = IMPORT_FIELDS.filter(definition => definition.required && !mappedFields.has(definition.field));
+    if (missing.length > 0) {
+      throw serviceError(`Map a column to each required field: ${missing.map(definition => definition.label).join(', ')}`, 400);
+    }
+
+    return columns;
+  }
+
+  /**
+   * Build a record from one row
+   * A DME or O&M percentage on its own implies the other (they must total 100).
+   * @returns {Object} { record, errors: [{ field, column, message }] }
+   */
+  buildRecord(row, columns) {
+    const record = {};
+    const errors = [];
+
+    columns.forEach(({ index, header, field }) => {
+      try {
+        const value = coerceValue(FIELDS_BY_NAME.get(field), row[index]);
+        if (value !== undefined) {
+          record[field] = value;
+        }
+      } catch (error) {
+        errors.push({ field, column: header, message: error.message });
+      }
+    });
+
+    if (record.dmePercentage !== undefined && record.omPercentage === undefined) {
+      record.omPercentage = 100 - record.dmePercentage;
+    } else if (record.omPercentage !== undefined && record.dmePercentage === undefined) {
+      record.dmePercentage = 100 - record.omPercentage;
+    }
+
+    return { record, errors };
+  }
+
+  /**
+   * Validate every row and find duplicates
+   * @param {Array} rows - Data rows
+   * @param {Array} columns - resolveColumns() result
+   * @param {Array} existing - [{ id, contractNumber, customer }] records already stored
+   * @returns {Array} [{ row, status: valid|invalid|duplicate, record, errors, duplicateOf }]
+   *   row is the spreadsheet line number (the header is line 1)
+   */
+  async analyze(rows, columns, existing = []) {
+    const existingKeys = new Map();
+    existing.forEach(item => {
+      const key = contractKey(item.contractNumber, item.customer);
+      if (key && !existingKeys.has(key)) {
+        existingKeys.set(key, item.id);
+      }
+    });
+    const fileKeys = new Map();
+    const results = [];
+
+    for (let i = 0; i < rows.length; i++) {
+      const line = i + 2;
+      const { record, errors } = this.buildRecord(rows[i], columns);
+      let normalized = null;
+
+      if (errors.length === 0) {
+        try {
+          normalized = await this.pastPerformanceService.validateAndNormalizePPData(record);
+        } catch (error) {
+          errors.push({ field: null, column: null, message: error.message });
+        }
+      }
+
+      if (errors.length > 0) {
+        results.push({ row: line, status: 'invalid', record, errors, duplicateOf: null });
+        continue;
+      }
+
+      const key = contractKey(normalized.contractNumber, normalized.customer);
+      if (key && existingKeys.has(key)) {
+        results.push({ row: line, status: 'duplicate', record: normalized, errors: [], duplicateOf: { recordId: existingKeys.get(key) } });
+        continue;
+      }
+      if (key && fileKeys.has(key)) {
+        results.push({ row: line, status: 'duplicate', record: normalized, errors: [], duplicateOf: { row: fileKeys.get(key) } });
+        continue;
+      }
+      if (key) {
+        fileKeys.set(key, line);
+      }
+      results.push({ row: line, status: 'valid', record: normalized, errors: [], duplicateOf: null });
+    }
+
+    return results;
+  }
+
+  /**
+   * Counts, row-level errors and duplicates for a report
+   */
+  summarize(results) {
+    const errors = [];
+    const duplicates = [];
+
+    results.forEach(result => {
+      if (result.status === 'invalid') {
+        result.errors.forEach(error => errors.push({ row: result.row, ...error }));
+      } else if (result.status === 'duplicate') {
+        duplicates.push({
+          row: result.row,
+          contractNumber: result.record.contractNumber,
+          customer: result.record.customer,
+          existingRecordId: result.duplicateOf.recordId || null,
+          duplicateOfRow: result.duplicateOf.row || null
+        });
+      }
+    });
+
+    return {
+      totalRows: results.length,
+      validRows: results.filter(result => result.status === 'valid').length,
+      invalidRows: results.filter(result => result.status === 'invalid').length,
+      duplicateRows: duplicates.length,
+      errors: errors.slice(0, MAX_REPORTED_ERRORS),
+      errorsTruncated: errors.length > MAX_REPORTED_ERRORS,
+      duplicates: duplicates.slice(0, MAX_REPORTED_ERRORS)
+    };
+  }
+
+  /**
+   * Validate a file without importing it
+   * @param {Object} mapping - { header: field | null }; omitted to use the suggested mapping
+   * @returns {Object} Report: { filename, format, headers, mapping, suggestedMapping, fields,
+   *   sampleRows, totalRows, validRows, invalidRows, duplicateRows, errors, duplicates }
+   */
+  async dryRun(filePath, originalName, mapping = null) {
+    const { format, headers, rows } = await this.readFile(filePath, originalName);
+    const suggestedMapping = this.suggestMapping(headers);
+    const columns = this.resolveColumns(headers, mapping || suggestedMapping);
+    const existing = await this.pastPerformanceService.pastPerformanceModel.getContractKeys();
+    const results = await this.analyze(rows, columns, existing);
+
+    return {
+      filename: originalName,
+      format,
+      headers,
+      mapping: mapping || suggestedMapping,
+      suggestedMapping,
+      fields: this.getFields(),
+      sampleRows: rows.slice(0, SAMPLE_ROWS),
+      ...this.summarize(results)
+    };
+  }
+
+  /**
+   * Validate a file and queue its import
+   * Not retried automatically: rows without a contract number cannot be told apart from an
+   * earlier attempt's records.
+   * @returns {Object} { job, report } - report as dryRun()
+   * @throws 422 when no row would be imported
+   */
+  async startImport(filePath, originalName, mapping, userId = null) {
+    const report = await this.dryRun(filePath, originalName, mapping);
+    if (report.validRows === 0) {
+      throw serviceError('No rows can be imported; run a dry run to see the row errors', 422);
+    }
+
+    const storageKey = await this.stageUpload(filePath, originalName);
+    let job;
+    try {
+      job = await this.jobQueue.enqueue(JobQueueService.JOB_TYPES.PP_IMPORT, {
+        storageKey,
+        originalName,
+        mapping: report.mapping
+      }, {
+        maxAttempts: 1,
+        createdBy: userId
+      });
+    } catch (error) {
+      await this.discardStagedUpload(storageKey);
+      throw error;
+    }
+
+    logger.info(`Queued past performance import job ${job.id} for ${originalName} (${report.validRows} rows)`);
+    return { job, report };
+  }
+
+  /**
+   * Import a file (runs as a pp_import job)
+   * Each record goes through technology extraction and embedding generation; failures of
+   * either are reported as warnings since the record itself was imported.
+   * @param {Object} payload - { storageKey, originalName, mapping }
+   * @param {Object} job - Job context: { progress(percent, message), throwIfCancelled() }
+   * @returns {Object} { imported, duplicates, invalid, failed, createdIds, errors, warnings }
+   */
+  async runImport(payload, job = {}) {
+    const progress = job.progress || (async () => {});
+    const throwIfCancelled = job.throwIfCancelled || (() => {});
+    const { storageKey, originalName, mapping } = payload;
+    const { technologyService, embeddingService } = this.pastPerformanceService;
+
+    try {
+      await progress(0, `Reading ${originalName}`);
+      const { headers, rows } = await this.readFile({ storageKey }, originalName);
+      const columns = this.resolveColumns(headers, mapping);
+      const existing = await this.pastPerformanceService.pastPerformanceModel.getContractKeys();
+      const results = await this.analyze(rows, columns, existing);
+      const summary = this.summarize(results);
+      const toImport = results.filter(result => result.status === 'valid');
+
+      const outcome = {
+        imported: 0,
+        duplicates: summary.duplicateRows,
+        invalid: summary.invalidRows,
+        failed: 0,
+        createdIds: [],
+        errors: summary.errors,
+        warnings: []
+      };
+
+      for (let i = 0; i < toImport.length; i++) {
+        throwIfCancelled();
+        const { row, record } = toImport[i];
+
+        try {
+          try {
+            record.technologiesUsed = await technologyService.extractTechnologies(
+              [record.summary, record.technicalApproach].filter(Boolean).join(' '),
+              { known: record.technologiesUsed }
+            );
+          } catch (error) {
+            outcome.warnings.push({ row, message: `Technology extraction failed: ${error.message}` });
+          }
+
+          const { pastPerformance } = await this.pastPerformanceService.createPastPerformance(record, {
+            extractTechnologies: false,
+            generateEmbeddings: false
+          });
+          outcome.imported++;
+          outcome.createdIds.push(pastPerformance.id);
+
+          try {
+            await embeddingService.generatePPEmbeddings(pastPerformance);
+          } catch (error) {
+            outcome.warnings.push({ row, message: `Embedding generation failed: ${error.message}` });
+          }
+        } catch (error) {
+          outcome.failed++;
+          outcome.errors.push({ row, field: null, column: null, message: error.message });
+        }
+
+        await progress(Math.round(((i + 1) / toImport.length) * 100), `Imported ${outcome.imported} of ${toImport.length} rows`);
+      }
+
+      logger.info(`Imported ${outcome.imported} past performance records from ${originalName} (${outcome.duplicates} duplicates, ${outcome.invalid} invalid, ${outcome.failed} failed)`);
+      return outcome;
+    } finally {
+      // Imports are not retried (the jobs API refuses to), so the upload is not needed again
+      await this.discardStagedUpload(storageKey);
+    }
+  }
+
+  /**
+   * Move an upload from the local disk into storage under a key of its own
+   * @returns {string} Storage key for the job payload
+   */
+  async stageUpload(filePath, originalName) {
+    const storageKey = `${STAGED_IMPORT_PREFIX}/${crypto.randomUUID()}${path.extname(originalName).toLowerCase()}`;
+    await this.storage.write(storageKey, await fs.readFile(filePath));
+    await this.discardUpload(filePath);
+    return storageKey;
+  }
+
+  /**
+   * Remove a staged upload from storage
+   */
+  async discardStagedUpload(storageKey) {
+    try {
+      await this.storage.remove(storageKey);
+    } catch (error) {
+      logger.warn(`Could not remove staged import ${storageKey}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove an uploaded import file
+   */
+  async discardUpload(filePath) {
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not remove import file ${filePath}: ${error.message}`);
+      }
+    }
+  }
+}
+
+PPImportService.IMPORT_FIELDS = IMPORT_FIELDS;
+PPImportService.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
+PPImportService.isSupportedFile = isSupportedFile;
+PPImportService.coerceValue = coerceValue;
+
+module.exports = PPImportService;
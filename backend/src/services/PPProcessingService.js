@@ -2,16 +2,24 @@ const fs = require('fs').promises;
 const path = require('path');
 const DocumentManagerService = require('./DocumentManagerService');
 const PPDocument = require('../models/PPDocument');
+const PastPerformance = require('../models/PastPerformance');
 const Technology = require('../models/Technology');
+const JobQueueService = require('./JobQueueService');
+const CPARSParserService = require('./CPARSParserService');
 const logger = require('../utils/logger');
 
 /**
  * Past Performance Processing Service
- * Handles document upload, content extraction, and processing pipeline
+ * Handles document upload, content extraction, and processing pipeline.
+ * CPARS evaluations and customer questionnaires are also parsed into ratings and assessor
+ * narratives on the past performance record.
  */
 class PPProcessingService {
-    constructor() {
-        this.documentManager = new DocumentManagerService();
+    constructor(options = {}) {
+        this.documentManager = options.documentManager || new DocumentManagerService();
+        this.jobQueue = options.jobQueue || new JobQueueService();
+        this.evaluationParser = options.evaluationParser || new CPARSParserService();
+        this.pastPerformanceModel = options.pastPerformanceModel || new PastPerformance();
         this.supportedTypes = ['pdf', 'docx', 'doc', 'txt', 'xlsx'];
         this.maxFileSize = 25 * 1024 * 1024; // 25MB
     }
@@ -129,7 +137,7 @@ class PPProcessingService {
         });
 
         // Queue for text extraction
-        await this.queueForTextExtraction(documentRecord.id);
+        const extractionJob = await this.queueForTextExtraction(documentRecord.id);
 
         return {
             documentId: documentRecord.id,
@@ -138,7 +146,8 @@ class PPProcessingService {
             filePath,
             fileSize: file.size,
             weightFactor,
-            status: 'queued_for_processing'
+            status: 'queued_for_processing',
+            jobId: extractionJob.id
         };
     }
 
@@ -175,6 +184,9 @@ class PPProcessingService {
 
             logger.info(`Text extraction completed for document ${documentId}: ${extractedText.length} characters`);
 
+            // CPARS and questionnaires carry ratings and assessor narratives as well as technologies
+            const evaluation = await this.extractPerformanceEvaluation(document, extractedText);
+
             // Trigger technology extraction
             await this.extractTechnologies(documentId, extractedText);
 
@@ -182,7 +194,10 @@ class PPProcessingService {
                 documentId,
                 textLength: extractedText.length,
                 wordCount: extractedText.split(/\s+/).length,
-                processingTime: new Date() - new Date(document.uploaded_at)
+                processingTime: new Date() - new Date(document.uploaded_at),
+                evaluation: evaluation
+                    ? { kind: evaluation.kind, factorsRated: Object.keys(evaluation.ratings).length, averageScore: evaluation.averageScore }
+                    : null
             };
         } catch (error) {
             // Update status to error
@@ -197,6 +212,42 @@ class PPProcessingService {
         }
     }
 
+    /**
+     * Parse a CPARS evaluation or past performance questionnaire and store it on the record
+     * Documents classified as cpars are parsed even when the text does not name its kind.
+     * A parse that fails is logged; the extracted text is still kept.
+     * @param {Object} document - pp_documents row
+     * @param {string} text - Document text content
+     * @returns {Object|null} Stored evaluation, or null for other documents
+     */
+    async extractPerformanceEvaluation(document, text) {
+        const isEvaluation = document.document_type === 'cpars';
+        if (!isEvaluation && !this.evaluationParser.detect(text)) {
+            return null;
+        }
+
+        try {
+            const parsed = this.evaluationParser.parse(text, { kind: isEvaluation ? 'cpars' : null });
+            if (!parsed) {
+                return null;
+            }
+
+            const evaluation = {
+                ...parsed,
+                documentId: document.id,
+                fileName: document.file_name,
+                parsedAt: new Date().toISOString()
+            };
+            await this.pastPerformanceModel.addPerformanceEvaluation(document.pp_id, evaluation);
+
+            logger.info(`Parsed ${evaluation.kind} evaluation from document ${document.id}: ${Object.keys(evaluation.ratings).length} factors rated`);
+            return evaluation;
+        } catch (error) {
+            logger.warn(`Evaluation parsing failed for document ${document.id}: ${error.message}`);
+            return null;
+        }
+    }
+
     /**
      * Extract technologies from document text
      * @param {number} documentId - Document ID
@@ -436,7 +487,7 @@ class PPProcessingService {
         if (lowerName.includes('qasp') || lowerName.includes('quality')) {
             return 'qasp';
         }
-        if (lowerName.includes('cpars') || lowerName.includes('performance')) {
+        if (lowerName.includes('cpars') || lowerName.includes('performance') || lowerName.includes('questionnaire') || /\bppq\b/.test(lowerName)) {
             return 'cpars';
         }
         if (lowerName.includes('government') || lowerName.includes('review') || lowerName.includes('eval')) {
@@ -471,17 +522,14 @@ class PPProcessingService {
     }
 
     /**
-     * Queue document for text extraction
+     * Queue document for text extraction as a background job
      * @param {number} documentId - Document ID
+     * @returns {Object} The queued job
      */
     async queueForTextExtraction(documentId) {
-        // For now, process immediately. In production, this would use a job queue
-        setImmediate(async () => {
-            try {
-                await this.extractDocumentText(documentId);
-            } catch (error) {
-                logger.error(`Queued text extraction failed for document ${documentId}:`, error);
-            }
+        return this.jobQueue.enqueue(JobQueueService.JOB_TYPES.PP_TEXT_EXTRACTION, { documentId }, {
+            dedupeKey: `pp_text_extraction:${documentId}`,
+            maxAttempts: 2
         });
     }
 
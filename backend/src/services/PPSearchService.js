@@ -1,16 +1,93 @@
-const PPEmbedding = require('../models/PPEmbedding');
+const { Pool } = require('pg');
+const PastPerformance = require('../models/PastPerformance');
+const ContextChunk = require('../models/ContextChunk');
 const Technology = require('../models/Technology');
 const VectorEmbeddingService = require('./VectorEmbeddingService');
+const CPARSParserService = require('./CPARSParserService');
 const logger = require('../utils/logger');
 
+// Ranking criteria, in the order explanations fall back to when contributions tie
+const CRITERIA = ['technology', 'domain', 'contractSize', 'customerType', 'recency', 'rating'];
+
+// Share of a free-text or research score that comes from the record matching the query
+// (the rest comes from the weighted criteria the query names, when it names any)
+const QUERY_MATCH_SHARE = 0.5;
+
+// Share of the query match that comes from semantic similarity when the records have embeddings
+// (the rest comes from the query's words found in the record)
+const SEMANTIC_SHARE = 0.5;
+const SEMANTIC_LIMIT = 50;
+
+// Recency window used when the solicitation does not state one
+const DEFAULT_RECENCY_YEARS = 5;
+
+const CANDIDATE_LIMIT = 500;
+const SOLICITATION_CHUNK_LIMIT = 500;
+
+// Finds the solicitation passages that state past performance requirements
+const PP_REQUIREMENT_QUERY = 'past performance OR relevant experience OR similar contracts OR recency OR recent contracts';
+
+const STOP_WORDS = new Set([
+    'and', 'the', 'for', 'with', 'that', 'this', 'from', 'into', 'our', 'your', 'have', 'has',
+    'are', 'was', 'were', 'will', 'shall', 'any', 'all', 'experience', 'project', 'projects'
+]);
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+function searchError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whether text mentions a term as a whole word ("state" does not match "statement",
+ * "security" does not match "cybersecurity"); terms may contain symbols like C++ or .NET
+ */
+function containsTerm(text, term) {
+    return new RegExp(`(^|[^a-z0-9])${escapeRegExp(term.toLowerCase())}(?=$|[^a-z0-9])`, 'i').test(text);
+}
+
+/**
+ * Distinct lowercase words of a query, without stop words
+ */
+function queryTerms(query) {
+    return Array.from(new Set(
+        query.toLowerCase().split(/[^a-z0-9+#.]+/)
+            .map(term => term.replace(/\.+$/, ''))
+            .filter(term => term.length > 2 && !STOP_WORDS.has(term))
+    ));
+}
+
+function formatCurrency(amount) {
+    if (amount >= 1000000) {
+        return `$${(amount / 1000000).toFixed(1).replace(/\.0$/, '')}M`;
+    }
+    if (amount >= 1000) {
+        return `$${Math.round(amount / 1000)}K`;
+    }
+    return `$${amount}`;
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+
 /**
  * Past Performance Search Service
- * Handles complex search and matching operations with configurable ranking
+ * Ranks past performance records against solicitation requirements or a free-text query
+ * using configurable criterion weights, and explains why each record matched. Queries are
+ * matched both semantically (record embeddings) and by their words.
  */
 class PPSearchService {
-    constructor() {
-        this.vectorService = new VectorEmbeddingService();
-        this.ppService = null; // Lazy initialization to avoid circular dependency
+    constructor(options = {}) {
+        this.pastPerformanceModel = options.pastPerformanceModel || new PastPerformance();
+        this.contextChunk = options.contextChunk || new ContextChunk();
+        this.technologyModel = options.technologyModel || Technology;
+        this.vectorService = options.vectorService || new VectorEmbeddingService();
+        this.pool = options.pool || null;
 
         // Default search weights (user-configurable)
         this.defaultWeights = {
@@ -18,229 +95,279 @@ class PPSearchService {
             domain: 0.30,
             contractSize: 0.20,
             customerType: 0.10,
-            recency: 0.0
+            recency: 0.0,
+            rating: 0.0
         };
 
         this.searchModes = ['project_context', 'free_text', 'research'];
     }
 
-    // Lazy initialization of PastPerformanceService to avoid circular dependency
-    _getPPService() {
-        if (!this.ppService) {
-            const PastPerformanceService = require('./PastPerformanceService');
-            this.ppService = new PastPerformanceService();
+    getPool() {
+        if (!this.pool) {
+            this.pool = new Pool({
+                connectionString: process.env.DATABASE_URL ||
+                    `postgresql://${process.env.DB_USER || 'govaiuser'}:${process.env.DB_PASSWORD || 'devpass123'}@${process.env.DB_HOST || 'localhost'}:${process.env.DB_PORT || 5432}/${process.env.DB_NAME || 'govai'}`
+            });
         }
-        return this.ppService;
+        return this.pool;
     }
 
     /**
-     * Perform project-context search using solicitation requirements
-     * @param {Object} searchParams - Search parameters
-     * @returns {Object} Search results with explanations
+     * Initialize saved search weight configurations
+     */
+    async initializeTables() {
+        await this.getPool().query(`
+            CREATE TABLE IF NOT EXISTS search_configurations (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                config_name VARCHAR(100),
+                technology_weight DECIMAL(3,2) DEFAULT 0.40,
+                domain_weight DECIMAL(3,2) DEFAULT 0.30,
+                contract_size_weight DECIMAL(3,2) DEFAULT 0.20,
+                customer_type_weight DECIMAL(3,2) DEFAULT 0.10,
+                recency_weight DECIMAL(3,2) DEFAULT 0.00,
+                is_default BOOLEAN DEFAULT FALSE,
+                is_system_default BOOLEAN DEFAULT FALSE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await this.getPool().query(`
+            ALTER TABLE search_configurations ADD COLUMN IF NOT EXISTS rating_weight DECIMAL(3,2) DEFAULT 0.00;
+        `);
+    }
+
+    /**
+     * Rank past performance against a project's solicitation
+     * Technologies and domains come from the whole solicitation; contract size, customer type and
+     * recency come from the passages that state past performance requirements.
+     * @param {Object} searchParams - { projectName, documentType, userId, weights, includeSubcontractor, filters, limit, showMoreCount }
+     * @returns {Object} Ranked results with explanations and the solicitation passages used
+     * @throws 400 without a project, 404 when the project has no indexed solicitation
      */
     async projectContextSearch(searchParams) {
         const {
-            projectId,
-            searchWeights = this.defaultWeights,
+            projectName,
+            documentType = 'solicitations',
+            userId = null,
+            weights = {},
             includeSubcontractor = false,
+            filters = {},
             limit = 3,
             showMoreCount = 0
         } = searchParams;
 
-        try {
-            logger.info(`Starting project-context search for project ${projectId}`);
+        if (!projectName) {
+            throw searchError('projectName is required', 400);
+        }
 
-            // Get project documents and solicitation requirements
-            const projectContext = await this.getProjectContext(projectId);
+        const startedAt = Date.now();
+        logger.info(`Starting project-context search for ${projectName}/${documentType}`);
 
-            if (!projectContext.requirements) {
-                throw new Error('No past performance requirements found in solicitation');
-            }
+        const searchWeights = await this.getSearchWeights(userId, weights);
+        const solicitation = await this.getSolicitationRequirements(projectName, documentType);
+        if (!solicitation.scopeText) {
+            throw searchError(`No indexed solicitation found for ${projectName}. Upload the solicitation and wait for its context build to finish.`, 404);
+        }
 
-            // Parse solicitation requirements
-            const parsedRequirements = await this.parseSolicitationRequirements(
-                projectContext.requirements
-            );
+        const candidates = await this.getCandidates(filters, { includeSubcontractor });
+        const requirements = await this.parseSolicitationRequirements(solicitation.requirementsText, {
+            scopeText: solicitation.scopeText,
+            knownTechnologies: this.collectTechnologies(candidates),
+            source: 'solicitation'
+        });
 
-            // Perform multi-criteria search
-            const searchResults = await this.performMultiCriteriaSearch({
-                requirements: parsedRequirements,
-                weights: searchWeights,
-                includeSubcontractor,
-                limit: limit + showMoreCount,
-                projectContext
-            });
+        const ranked = candidates
+            .map(pp => this.scorePastPerformance(pp, requirements, searchWeights))
+            .filter(result => result.relevanceScore > 0)
+            .sort((a, b) => b.relevanceScore - a.relevanceScore);
 
-            // Generate explanations for each result
-            const resultsWithExplanations = await this.generateSearchExplanations(
-                searchResults,
-                parsedRequirements,
-                searchWeights
-            );
+        const results = await this.generateSearchExplanations(
+            ranked.slice(0, limit + showMoreCount),
+            requirements,
+            searchWeights
+        );
 
-            logger.info(`Project-context search completed: ${resultsWithExplanations.length} results`);
+        logger.info(`Project-context search completed: ${results.length} of ${ranked.length} results`);
 
-            return {
-                searchType: 'project_context',
-                projectId,
-                requirements: parsedRequirements,
-                weights: searchWeights,
-                results: resultsWithExplanations,
-                totalFound: searchResults.length,
-                searchTime: Date.now()
-            };
-        } catch (error) {
-            logger.error('Project-context search failed:', error);
-            throw new Error(`Project-context search failed: ${error.message}`);
-        }
+        return {
+            searchType: 'project_context',
+            projectName,
+            documentType,
+            requirements: this.summarizeRequirements(requirements),
+            requirementSources: solicitation.sources,
+            weights: searchWeights,
+            results,
+            totalFound: ranked.length,
+            searchTime: Date.now() - startedAt
+        };
     }
 
     /**
-     * Perform free-text search within project context
-     * @param {Object} searchParams - Search parameters
-     * @returns {Object} Search results
+     * Rank past performance against a free-text query
+     * @param {Object} searchParams - { query, userId, weights, filters, limit, offset }
+     * @returns {Object} Ranked results with explanations
      */
     async freeTextSearch(searchParams) {
         const {
             query,
-            projectId,
-            searchWeights = this.defaultWeights,
+            userId = null,
+            weights = {},
             filters = {},
-            limit = 10
+            limit = 10,
+            offset = 0
         } = searchParams;
 
-        try {
-            logger.info(`Starting free-text search: "${query}"`);
+        const startedAt = Date.now();
+        logger.info(`Starting free-text search: "${query}"`);
 
-            // Combine semantic and keyword search
-            const semanticResults = await this.vectorService.semanticSearch(query, {
-                limit: limit * 2, // Get more for filtering
-                ppFilters: this.buildPPFilters(filters, searchWeights)
-            });
-
-            const keywordResults = await this._getPPService().searchByText(query, {
-                limit: limit * 2
-            });
-
-            // Merge and rank results
-            const mergedResults = await this.mergeSearchResults(
-                semanticResults,
-                keywordResults,
-                searchWeights
-            );
-
-            // Apply additional filtering
-            const filteredResults = await this.applySearchFilters(
-                mergedResults,
-                filters
-            );
-
-            // Generate explanations
-            const resultsWithExplanations = await this.generateFreeTextExplanations(
-                filteredResults.slice(0, limit),
-                query,
-                searchWeights
-            );
+        const { ranked, requirements, searchWeights } = await this.rankByQuery(query, userId, weights, filters);
+        const results = await this.generateSearchExplanations(
+            ranked.slice(offset, offset + limit),
+            requirements,
+            searchWeights
+        );
 
-            logger.info(`Free-text search completed: ${resultsWithExplanations.length} results`);
+        logger.info(`Free-text search completed: ${results.length} of ${ranked.length} results`);
 
-            return {
-                searchType: 'free_text',
-                query,
-                projectId,
-                weights: searchWeights,
-                filters,
-                results: resultsWithExplanations,
-                totalFound: filteredResults.length,
-                searchTime: Date.now()
-            };
-        } catch (error) {
-            logger.error('Free-text search failed:', error);
-            throw new Error(`Free-text search failed: ${error.message}`);
-        }
+        return {
+            searchType: 'free_text',
+            query,
+            requirements: this.summarizeRequirements(requirements),
+            weights: searchWeights,
+            filters,
+            results,
+            totalFound: ranked.length,
+            searchTime: Date.now() - startedAt
+        };
     }
 
     /**
-     * Perform standalone research search (outside project context)
-     * @param {Object} searchParams - Search parameters
+     * Standalone research search (outside any project): the top matches as short summaries
+     * @param {Object} searchParams - { query, userId, weights, filters, limit, returnSummaryOnly }
      * @returns {Object} Research results
      */
     async researchSearch(searchParams) {
         const {
             query,
-            returnSummaryOnly = true,
+            userId = null,
+            weights = {},
+            filters = {},
             limit = 5,
-            filters = {}
+            returnSummaryOnly = true
         } = searchParams;
 
-        try {
-            logger.info(`Starting research search: "${query}"`);
-
-            // Focus on high-level past performance matching
-            const searchResults = await this.vectorService.semanticSearch(query, {
-                chunkTypes: ['project_level'], // Only project-level for research
-                limit: limit * 3,
-                minSimilarity: 0.4,
-                ppFilters: this.buildPPFilters(filters)
-            });
+        const startedAt = Date.now();
+        logger.info(`Starting research search: "${query}"`);
 
-            // Group by past performance and deduplicate
-            const groupedResults = this.groupByPastPerformance(searchResults);
-
-            // Get top results
-            const topResults = Object.values(groupedResults)
-                .sort((a, b) => b.maxSimilarity - a.maxSimilarity)
-                .slice(0, limit);
-
-            // Format for research display
-            const researchResults = await Promise.all(
-                topResults.map(async (group) => {
-                    const ppDetails = await this._getPPService().getById(group.ppId, {
-                        includeDocuments: false,
-                        includeTechnologies: true,
-                        includeUnifiedContent: returnSummaryOnly
-                    });
-
-                    return {
-                        ppId: group.ppId,
-                        name: ppDetails.name,
-                        customer: ppDetails.customer,
-                        contractValue: ppDetails.contract_value,
-                        role: ppDetails.role,
-                        period: {
-                            start: ppDetails.period_start,
-                            end: ppDetails.period_end
-                        },
-                        summary: returnSummaryOnly ?
-                            (ppDetails.unifiedContent?.generated_summary || 'No summary available') :
-                            group.bestMatch.chunk_text.substring(0, 500) + '...',
-                        relevanceScore: group.maxSimilarity,
-                        explanation: [
-                            `• ${Math.round(group.maxSimilarity * 100)}% semantic similarity to query`,
-                            `• ${ppDetails.role} contractor role`,
-                            `• $${ppDetails.contract_value?.toLocaleString() || 'N/A'} contract value`,
-                            `• ${ppDetails.technologies?.length || 0} technologies identified`
-                        ],
-                        keyTechnologies: ppDetails.technologies
-                            ?.slice(0, 5)
-                            .map(t => t.technology_name) || []
-                    };
-                })
-            );
-
-            logger.info(`Research search completed: ${researchResults.length} results`);
+        const { ranked, requirements, searchWeights } = await this.rankByQuery(query, userId, weights, filters);
+        const top = await this.generateSearchExplanations(ranked.slice(0, limit), requirements, searchWeights);
 
+        const results = top.map(result => {
+            const summary = result.summary || 'No summary available';
             return {
-                searchType: 'research',
-                query,
-                results: researchResults,
-                totalFound: topResults.length,
-                searchTime: Date.now()
+                ppId: result.ppId,
+                name: result.name,
+                customer: result.customer,
+                contractValue: result.contractValue,
+                role: result.contractType,
+                period: result.period,
+                summary: returnSummaryOnly && summary.length > 500 ? `${summary.substring(0, 500)}...` : summary,
+                relevanceScore: result.relevanceScore,
+                explanation: result.explanation,
+                keyTechnologies: result.technologies.slice(0, 5)
             };
-        } catch (error) {
-            logger.error('Research search failed:', error);
-            throw new Error(`Research search failed: ${error.message}`);
+        });
+
+        logger.info(`Research search completed: ${results.length} results`);
+
+        return {
+            searchType: 'research',
+            query,
+            weights: searchWeights,
+            results,
+            totalFound: ranked.length,
+            searchTime: Date.now() - startedAt
+        };
+    }
+
+    /**
+     * Shared ranking for the query-driven modes
+     * @private
+     */
+    async rankByQuery(query, userId, weights, filters) {
+        if (!query || !query.trim()) {
+            throw searchError('Search query is required', 400);
+        }
+
+        const searchWeights = await this.getSearchWeights(userId, weights);
+        const similarities = await this.getSemanticMatches(query, filters);
+        const candidates = await this.getCandidates(filters, {
+            terms: queryTerms(query),
+            ids: similarities ? Array.from(similarities.keys()) : []
+        });
+        const requirements = await this.parseSolicitationRequirements(query, {
+            knownTechnologies: this.collectTechnologies(candidates),
+            source: 'query'
+        });
+
+        const ranked = candidates
+            .map(pp => {
+                const result = this.scorePastPerformance(pp, requirements, searchWeights);
+                const queryMatch = this.matchQuery(pp, query, similarities);
+                const relevance = result.criteriaApplied.length > 0
+                    ? QUERY_MATCH_SHARE * queryMatch.score + (1 - QUERY_MATCH_SHARE) * result.criteriaScore
+                    : queryMatch.score;
+
+                return {
+                    ...result,
+                    queryMatch,
+                    relevanceScore: round(relevance)
+                };
+            })
+            .filter(result => result.relevanceScore > 0)
+            .sort((a, b) => b.relevanceScore - a.relevanceScore);
+
+        return { ranked, requirements, searchWeights };
+    }
+
+    /**
+     * Saved weights for the user (or the system default) with per-request overrides applied
+     * @param {number|null} userId - User whose saved default applies
+     * @param {Object} overrides - Any of technology, domain, contractSize, customerType, recency, rating
+     * @returns {Object} Weights normalized to sum to 1
+     */
+    async getSearchWeights(userId, overrides = {}) {
+        const config = await this.getSearchConfiguration(userId);
+        return this.resolveWeights(overrides, config.weights);
+    }
+
+    /**
+     * Merge weight overrides over a base and normalize them to sum to 1
+     * @throws 400 for negative or non-numeric weights, or when every weight is zero
+     */
+    resolveWeights(overrides = {}, base = this.defaultWeights) {
+        const weights = {};
+        for (const criterion of CRITERIA) {
+            const override = overrides[criterion];
+            const value = override !== undefined && override !== null && override !== ''
+                ? Number(override)
+                : Number(base[criterion] || 0);
+
+            if (!Number.isFinite(value) || value < 0) {
+                throw searchError(`Invalid ${criterion} weight: must be a number of zero or more`, 400);
+            }
+            weights[criterion] = value;
+        }
+
+        const total = CRITERIA.reduce((sum, criterion) => sum + weights[criterion], 0);
+        if (total === 0) {
+            throw searchError('At least one search weight must be above zero', 400);
+        }
+
+        for (const criterion of CRITERIA) {
+            weights[criterion] = Math.round((weights[criterion] / total) * 10000) / 10000;
         }
+        return weights;
     }
 
     /**
@@ -250,14 +377,7 @@ class PPSearchService {
      */
     async getSearchConfiguration(userId) {
         try {
-            const { Pool } = require('pg');
-            const pool = new Pool({
-                host: process.env.DB_HOST,
-                port: process.env.DB_PORT,
-                database: process.env.DB_NAME,
-                user: process.env.DB_USER,
-                password: process.env.DB_PASSWORD,
-            });
+            const pool = this.getPool();
 
             // Get user's default configuration
             let query = `
@@ -266,7 +386,7 @@ class PPSearchService {
                 LIMIT 1
             `;
 
-            let result = await pool.query(query, [userId]);
+            let result = userId ? await pool.query(query, [userId]) : { rows: [] };
 
             // Fall back to system default if no user default
             if (result.rows.length === 0) {
@@ -290,9 +410,9 @@ class PPSearchService {
                     INSERT INTO search_configurations (
                         config_name, technology_weight, domain_weight,
                         contract_size_weight, customer_type_weight, recency_weight,
-                        is_system_default
+                        rating_weight, is_system_default
                     )
-                    VALUES ($1, $2, $3, $4, $5, $6, $7)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
                     RETURNING *
                 `;
 
@@ -303,6 +423,7 @@ class PPSearchService {
                     defaultConfig.contractSize,
                     defaultConfig.customerType,
                     defaultConfig.recency,
+                    defaultConfig.rating,
                     defaultConfig.is_system_default
                 ];
 
@@ -314,17 +435,18 @@ class PPSearchService {
                 id: config.id,
                 name: config.config_name,
                 weights: {
-                    technology: config.technology_weight,
-                    domain: config.domain_weight,
-                    contractSize: config.contract_size_weight,
-                    customerType: config.customer_type_weight,
-                    recency: config.recency_weight
+                    technology: parseFloat(config.technology_weight),
+                    domain: parseFloat(config.domain_weight),
+                    contractSize: parseFloat(config.contract_size_weight),
+                    customerType: parseFloat(config.customer_type_weight),
+                    recency: parseFloat(config.recency_weight),
+                    rating: parseFloat(config.rating_weight || 0)
                 },
                 isDefault: config.is_default,
                 isSystemDefault: config.is_system_default
             };
         } catch (error) {
-            logger.error('Failed to get search configuration:', error);
+            logger.error(`Failed to get search configuration: ${error.message}`);
             return {
                 id: null,
                 name: 'Fallback Default',
@@ -355,14 +477,7 @@ class PPSearchService {
                 throw new Error('Search weights must sum to 1.0');
             }
 
-            const { Pool } = require('pg');
-            const pool = new Pool({
-                host: process.env.DB_HOST,
-                port: process.env.DB_PORT,
-                database: process.env.DB_NAME,
-                user: process.env.DB_USER,
-                password: process.env.DB_PASSWORD,
-            });
+            const pool = this.getPool();
 
             // If setting as default, clear other defaults for this user
             if (isDefault) {
@@ -376,9 +491,9 @@ class PPSearchService {
                 INSERT INTO search_configurations (
                     user_id, config_name, technology_weight, domain_weight,
                     contract_size_weight, customer_type_weight, recency_weight,
-                    is_default
+                    rating_weight, is_default
                 )
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
                 RETURNING *
             `;
 
@@ -390,6 +505,7 @@ class PPSearchService {
                 weights.contractSize,
                 weights.customerType,
                 weights.recency || 0,
+                weights.rating || 0,
                 isDefault
             ];
 
@@ -406,23 +522,32 @@ class PPSearchService {
 
     /**
      * Parse solicitation past performance requirements
-     * @param {string} requirementsText - Raw requirements text
+     * @param {string} requirementsText - Past performance requirements (or a search query)
+     * @param {Object} options - { scopeText: text scanned for technologies and domains (defaults to
+     *   requirementsText), knownTechnologies: extra technology names to look for, source: 'solicitation' | 'query' }
      * @returns {Object} Parsed requirements
      */
-    async parseSolicitationRequirements(requirementsText) {
+    async parseSolicitationRequirements(requirementsText, options = {}) {
+        const {
+            scopeText = requirementsText,
+            knownTechnologies = [],
+            source = 'solicitation'
+        } = options;
+
         try {
             // Extract structured requirements (this would be enhanced with AI parsing)
             const requirements = {
-                technologies: this.extractTechnologyRequirements(requirementsText),
+                technologies: await this.extractTechnologyRequirements(scopeText, knownTechnologies),
                 experience: this.extractExperienceRequirements(requirementsText),
                 contractValues: this.extractContractValueRequirements(requirementsText),
                 timeframes: this.extractTimeframeRequirements(requirementsText),
                 customerTypes: this.extractCustomerTypeRequirements(requirementsText),
-                domains: this.extractDomainRequirements(requirementsText),
+                domains: this.extractDomainRequirements(scopeText),
+                source,
                 rawText: requirementsText
             };
 
-            logger.info(`Parsed solicitation requirements: ${requirements.technologies.length} technologies, ${requirements.experience.length} experience items`);
+            logger.info(`Parsed ${source} requirements: ${requirements.technologies.length} technologies, ${requirements.domains.length} domains, ${requirements.contractValues.length} contract values`);
 
             return requirements;
         } catch (error) {
@@ -433,32 +558,43 @@ class PPSearchService {
 
     /**
      * Extract technology requirements from text
+     * Looks for approved catalog technologies plus any names passed in (e.g. those on PP records)
      * @param {string} text - Requirements text
+     * @param {Array<string>} knownTechnologies - Additional technology names
      * @returns {Array} Technology requirements
      */
-    extractTechnologyRequirements(text) {
-        const technologies = [];
-        const lowerText = text.toLowerCase();
-
-        // Get all approved technologies and check for mentions
-        Technology.findAll({ approved: true }).then(allTechs => {
-            for (const tech of allTechs) {
-                if (lowerText.includes(tech.name.toLowerCase())) {
-                    // Extract version requirements if present
-                    const versionMatch = text.match(
-                        new RegExp(`${tech.name}\\s+v?(\\d+(?:\\.\\d+)*)`, 'gi')
-                    );
-
-                    technologies.push({
-                        name: tech.name,
-                        category: tech.category,
-                        version: versionMatch ? versionMatch[1] : null,
-                        required: this.isRequired(text, tech.name)
-                    });
-                }
+    async extractTechnologyRequirements(text, knownTechnologies = []) {
+        const catalog = new Map();
+
+        try {
+            const approved = await this.technologyModel.findAll({ approved: true });
+            approved.forEach(tech => catalog.set(tech.name.toLowerCase(), { name: tech.name, category: tech.category }));
+        } catch (error) {
+            logger.warn(`Technology catalog unavailable, using past performance technologies only: ${error.message}`);
+        }
+        knownTechnologies.forEach(name => {
+            if (!catalog.has(name.toLowerCase())) {
+                catalog.set(name.toLowerCase(), { name, category: null });
             }
         });
 
+        const technologies = [];
+        for (const tech of catalog.values()) {
+            if (!containsTerm(text, tech.name)) {
+                continue;
+            }
+
+            // Extract version requirements if present
+            const versionMatch = text.match(new RegExp(`${escapeRegExp(tech.name)}\\s+v?(\\d+(?:\\.\\d+)*)`, 'i'));
+
+            technologies.push({
+                name: tech.name,
+                category: tech.category,
+                version: versionMatch ? versionMatch[1] : null,
+                required: this.isRequired(text, tech.name)
+            });
+        }
+
         return technologies;
     }
 
@@ -493,28 +629,30 @@ class PPSearchService {
 
     /**
      * Extract contract value requirements
+     * Amounts under $10K are ignored (they are rarely contract values)
      * @param {string} text - Requirements text
-     * @returns {Array} Contract value requirements
+     * @returns {Array} Contract value requirements, one per distinct amount
      */
     extractContractValueRequirements(text) {
         const values = [];
+        const seen = new Set();
+        const multipliers = { k: 1000, thousand: 1000, m: 1000000, million: 1000000, b: 1000000000, billion: 1000000000 };
 
         const patterns = [
-            /\$(\d+(?:,\d{3})*(?:\.\d{2})?)\s*(?:million|M)/gi,
-            /\$(\d+(?:,\d{3})*)/gi,
-            /(\d+)\s*million\s*dollars?/gi
+            /\$\s?(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?)(?:\s*(million|billion|thousand|[mbk])\b)?/gi,
+            /(\d+(?:\.\d+)?)\s*(million|billion)\s*dollars?/gi
         ];
 
         for (const pattern of patterns) {
             let match;
             while ((match = pattern.exec(text)) !== null) {
-                let amount = match[1].replace(/,/g, '');
+                const unit = (match[2] || '').toLowerCase();
+                const amount = parseFloat(match[1].replace(/,/g, '')) * (multipliers[unit] || 1);
 
-                if (text.substring(match.index, match.index + 50).toLowerCase().includes('million')) {
-                    amount = parseFloat(amount) * 1000000;
-                } else {
-                    amount = parseFloat(amount);
+                if (amount < 10000 || seen.has(amount)) {
+                    continue;
                 }
+                seen.add(amount);
 
                 values.push({
                     amount,
@@ -536,7 +674,7 @@ class PPSearchService {
         const timeframes = [];
 
         const patterns = [
-            /within\s+(?:the\s+)?last\s+(\d+)\s+(years?|months?)/gi,
+            /within\s+(?:the\s+)?(?:last|past)\s+(\d+)\s+(years?|months?)/gi,
             /(?:past|previous)\s+(\d+)\s+(years?|months?)/gi,
             /recent\s+(\d+)\s+(years?|months?)/gi
         ];
@@ -565,16 +703,15 @@ class PPSearchService {
      */
     extractCustomerTypeRequirements(text) {
         const customerTypes = [];
-        const lowerText = text.toLowerCase();
 
         const types = {
-            'federal': ['federal', 'government', 'agency', 'dod', 'defense'],
-            'state': ['state', 'municipal', 'local government'],
-            'commercial': ['commercial', 'private sector', 'industry']
+            'federal': ['federal', 'government agency', 'dod', 'department of defense'],
+            'state': ['state government', 'state agency', 'municipal', 'local government', 'county'],
+            'commercial': ['commercial customer', 'commercial client', 'private sector', 'industry']
         };
 
         for (const [type, keywords] of Object.entries(types)) {
-            const matches = keywords.filter(keyword => lowerText.includes(keyword));
+            const matches = keywords.filter(keyword => containsTerm(text, keyword));
             if (matches.length > 0) {
                 customerTypes.push({
                     type,
@@ -594,17 +731,9 @@ class PPSearchService {
      */
     extractDomainRequirements(text) {
         const domains = [];
-        const lowerText = text.toLowerCase();
 
-        const domainKeywords = {
-            'healthcare': ['healthcare', 'medical', 'hospital', 'patient'],
-            'financial': ['financial', 'banking', 'finance', 'payment'],
-            'defense': ['defense', 'military', 'security', 'classified'],
-            'education': ['education', 'school', 'university', 'student']
-        };
-
-        for (const [domain, keywords] of Object.entries(domainKeywords)) {
-            const matches = keywords.filter(keyword => lowerText.includes(keyword));
+        for (const [domain, keywords] of Object.entries(PPSearchService.DOMAIN_KEYWORDS)) {
+            const matches = keywords.filter(keyword => containsTerm(text, keyword));
             if (matches.length > 0) {
                 domains.push({
                     domain,
@@ -619,157 +748,399 @@ class PPSearchService {
 
     // Helper methods
 
-    async getProjectContext(projectId) {
-        // Get project documents and extract solicitation requirements
-        const { Pool } = require('pg');
-        const pool = new Pool({
-            host: process.env.DB_HOST,
-            port: process.env.DB_PORT,
-            database: process.env.DB_NAME,
-            user: process.env.DB_USER,
-            password: process.env.DB_PASSWORD,
+    /**
+     * Solicitation text from the project's indexed context chunks
+     * @returns {Object} { scopeText: whole solicitation, requirementsText: past performance passages
+     *   (falls back to scopeText), sources: the passages with their document, section and page }
+     */
+    async getSolicitationRequirements(projectName, documentType = 'solicitations') {
+        const [chunks, passages] = await Promise.all([
+            this.contextChunk.listChunks(projectName, documentType, { limit: SOLICITATION_CHUNK_LIMIT }),
+            this.contextChunk.lexicalSearch({ projectName, documentType, query: PP_REQUIREMENT_QUERY, limit: 10 })
+        ]);
+
+        const scopeText = chunks.map(chunk => chunk.content).join('\n\n');
+        const requirementsText = passages.map(passage => passage.content).join('\n\n');
+
+        return {
+            scopeText,
+            requirementsText: requirementsText || scopeText,
+            sources: passages.map(passage => ({
+                documentName: passage.documentName,
+                sectionTitle: passage.sectionTitle,
+                paragraphId: passage.paragraphId,
+                page: passage.pageStart,
+                excerpt: passage.content.length > 300 ? `${passage.content.substring(0, 300)}...` : passage.content
+            }))
+        };
+    }
+
+    /**
+     * Past performance records eligible for ranking, filtered and preselected in SQL
+     * @param {Object} filters - { customer, customerType, contractType, workType, minValue, maxValue, minRating }
+     * @param {Object} options - { includeSubcontractor, terms: query words and ids: semantic hits,
+     *   which decide the records kept when more than CANDIDATE_LIMIT match the filters }
+     */
+    async getCandidates(filters = {}, { includeSubcontractor = true, terms = [], ids = [] } = {}) {
+        const modelFilters = {};
+        ['customer', 'customerType', 'contractType', 'workType', 'minValue', 'maxValue', 'minRating'].forEach(key => {
+            if (filters[key] !== undefined && filters[key] !== null && filters[key] !== '') {
+                modelFilters[key] = filters[key];
+            }
         });
 
-        const query = `
-            SELECT p.*, d.content
-            FROM projects p
-            LEFT JOIN documents d ON p.id = d.project_id
-            WHERE p.id = $1
-        `;
+        return this.pastPerformanceModel.searchCandidates(modelFilters, {
+            terms,
+            ids,
+            excludeContractTypes: includeSubcontractor ? [] : ['Subcontractor'],
+            limit: CANDIDATE_LIMIT
+        });
+    }
 
-        const result = await pool.query(query, [projectId]);
+    /**
+     * Best semantic similarity per past performance record for a query
+     * @returns {Map|null} Record id -> similarity (0-1), or null when no embedding matched or
+     *   vector search is unavailable (ranking then uses the query's words only)
+     */
+    async getSemanticMatches(query, filters = {}) {
+        try {
+            const hits = await this.vectorService.semanticSearch(query, {
+                limit: SEMANTIC_LIMIT,
+                ppFilters: { customer: filters.customer, minContractValue: filters.minValue }
+            });
+            if (hits.length === 0) {
+                return null;
+            }
 
-        if (result.rows.length === 0) {
-            throw new Error('Project not found');
+            const similarities = new Map();
+            hits.forEach(hit => {
+                const id = String(hit.pp_id);
+                similarities.set(id, Math.max(similarities.get(id) || 0, hit.similarity_score));
+            });
+            return similarities;
+        } catch (error) {
+            logger.warn(`Semantic search unavailable, ranking past performance by query words only: ${error.message}`);
+            return null;
         }
+    }
 
-        // Extract PP requirements from solicitation documents
-        const projectDocs = result.rows;
-        const solicitationDoc = projectDocs.find(doc =>
-            doc.content && doc.content.toLowerCase().includes('past performance')
-        );
+    collectTechnologies(records) {
+        const names = new Set();
+        records.forEach(pp => this.getTechnologyNames(pp).forEach(name => names.add(name)));
+        return Array.from(names);
+    }
+
+    getTechnologyNames(pp) {
+        return (pp.technologiesUsed || [])
+            .map(tech => (typeof tech === 'string' ? tech : tech.name || tech.technology_name))
+            .filter(Boolean);
+    }
+
+    getSearchableText(pp) {
+        return [
+            pp.projectName,
+            pp.customer,
+            pp.summary,
+            pp.technicalApproach,
+            this.getTechnologyNames(pp).join(' '),
+            (pp.domainAreas || []).join(' '),
+            (pp.relevanceTags || []).join(' ')
+        ].filter(Boolean).join(' ').toLowerCase();
+    }
+
+    /**
+     * Score one record on each criterion the requirements mention
+     * Criteria the requirements say nothing about (and zero-weight criteria) are left out and the
+     * remaining weights are renormalized, so a solicitation without a dollar figure is not
+     * penalized on contract size.
+     * @returns {Object} Result with relevanceScore, per-criterion scores and match details
+     */
+    scorePastPerformance(pp, requirements, weights, now = new Date()) {
+        const text = this.getSearchableText(pp);
+        const matches = {
+            technology: this.scoreTechnology(pp, text, requirements.technologies),
+            domain: this.scoreDomain(pp, text, requirements.domains),
+            contractSize: this.scoreContractSize(pp, requirements.contractValues),
+            customerType: this.scoreCustomerType(pp, requirements.customerTypes),
+            recency: this.scoreRecency(pp, requirements.timeframes, now),
+            rating: this.scoreRating(pp)
+        };
+
+        const criteriaApplied = CRITERIA.filter(criterion => matches[criterion] && weights[criterion] > 0);
+        const appliedWeight = criteriaApplied.reduce((sum, criterion) => sum + weights[criterion], 0);
+        const criteriaScore = appliedWeight > 0
+            ? criteriaApplied.reduce((sum, criterion) => sum + weights[criterion] * matches[criterion].score, 0) / appliedWeight
+            : 0;
+
+        const scores = {};
+        CRITERIA.forEach(criterion => {
+            scores[criterion] = criteriaApplied.includes(criterion) ? round(matches[criterion].score) : null;
+        });
 
         return {
-            project: result.rows[0],
-            requirements: solicitationDoc?.content || null,
-            documents: projectDocs
+            ...this.formatResult(pp),
+            relevanceScore: round(criteriaScore),
+            criteriaScore,
+            criteriaApplied,
+            scores,
+            matches
         };
     }
 
-    buildPPFilters(filters, weights = {}) {
-        const ppFilters = {};
+    scoreTechnology(pp, text, required = []) {
+        if (required.length === 0) {
+            return null;
+        }
 
-        if (filters.customer) ppFilters.customer = filters.customer;
-        if (filters.role) ppFilters.role = filters.role;
-        if (filters.minContractValue) ppFilters.minContractValue = filters.minContractValue;
-        if (filters.maxContractValue) ppFilters.maxContractValue = filters.maxContractValue;
-        if (filters.minPeriodEnd) ppFilters.minPeriodEnd = filters.minPeriodEnd;
+        const matched = [];
+        const missing = [];
+        let earned = 0;
+        let possible = 0;
+        for (const tech of required) {
+            // Technologies the solicitation requires count double
+            const weight = tech.required ? 2 : 1;
+            possible += weight;
+            if (containsTerm(text, tech.name)) {
+                matched.push(tech.name);
+                earned += weight;
+            } else {
+                missing.push(tech.name);
+            }
+        }
 
-        return ppFilters;
+        return { score: earned / possible, matched, missing };
     }
 
-    async performMultiCriteriaSearch(params) {
-        // Placeholder for multi-criteria search implementation
-        // This would combine semantic search with requirement matching
-        return [];
-    }
+    scoreDomain(pp, text, required = []) {
+        if (required.length === 0) {
+            return null;
+        }
 
-    async generateSearchExplanations(results, requirements, weights) {
-        // Generate explanations for why each result was selected
-        return results.map(result => ({
-            ...result,
-            explanation: this.generateExplanation(result, requirements, weights)
-        }));
+        const areas = (pp.domainAreas || []).map(area => area.toLowerCase());
+        const matched = required
+            .filter(domain => areas.includes(domain.domain) || domain.keywords.some(keyword => containsTerm(text, keyword)))
+            .map(domain => domain.domain);
+
+        return { score: matched.length / required.length, matched };
     }
 
-    generateExplanation(result, requirements, weights) {
-        const explanation = [];
+    scoreContractSize(pp, contractValues = []) {
+        if (contractValues.length === 0) {
+            return null;
+        }
+
+        const value = pp.contractValue !== null && pp.contractValue !== undefined ? parseFloat(pp.contractValue) : null;
+        const minimums = contractValues.filter(requirement => requirement.type === 'minimum');
+        const type = minimums.length > 0 ? 'minimum' : 'similar';
+        const amount = Math.max(...(minimums.length > 0 ? minimums : contractValues).map(requirement => requirement.amount));
 
-        // Add explanation points based on matching criteria
-        if (weights.technology > 0.3) {
-            explanation.push('• Strong technology stack alignment');
+        if (!value) {
+            return { score: 0, type, amount, value: null };
         }
 
-        explanation.push(`• ${Math.round(result.similarity_score * 100)}% semantic similarity`);
-        explanation.push(`• ${result.role} contractor experience`);
+        const score = type === 'minimum'
+            ? Math.min(1, value / amount)
+            : Math.min(value, amount) / Math.max(value, amount);
 
-        return explanation;
+        return { score, type, amount, value };
     }
 
-    async mergeSearchResults(semanticResults, keywordResults, weights) {
-        // Combine and deduplicate results from different search methods
-        const merged = new Map();
+    scoreCustomerType(pp, customerTypes = []) {
+        if (customerTypes.length === 0) {
+            return null;
+        }
 
-        // Add semantic results
-        for (const result of semanticResults) {
-            const key = result.pp_id;
-            merged.set(key, {
-                ...result,
-                search_methods: ['semantic'],
-                combined_score: result.similarity_score * 0.7
-            });
+        const recordType = (pp.customerType || '').toLowerCase();
+        const normalized = recordType === 'local' ? 'state' : recordType;
+        const wanted = customerTypes.map(requirement => requirement.type);
+
+        return { score: wanted.includes(normalized) ? 1 : 0, wanted, customerType: pp.customerType, customer: pp.customer };
+    }
+
+    scoreRecency(pp, timeframes = [], now = new Date()) {
+        const windows = timeframes.map(timeframe => (timeframe.unit === 'months' ? timeframe.value / 12 : timeframe.value));
+        const windowYears = windows.length > 0 ? Math.max(...windows) : DEFAULT_RECENCY_YEARS;
+        const endDate = pp.endDate ? new Date(pp.endDate) : null;
+        const ongoing = !endDate || endDate > now;
+        const yearsAgo = ongoing ? 0 : (now - endDate) / YEAR_MS;
+
+        // Full credit inside the window, then linear decay to zero at twice the window
+        const score = yearsAgo <= windowYears ? 1 : Math.max(0, 1 - (yearsAgo - windowYears) / windowYears);
+
+        return {
+            score,
+            ongoing,
+            endYear: endDate ? endDate.getFullYear() : null,
+            windowYears,
+            fromRequirements: windows.length > 0
+        };
+    }
+
+    /**
+     * Demonstrated rating from the record's most recent rated CPARS or questionnaire, 1-5 scaled to 0-1
+     * Unlike the solicitation criteria this applies to every record once weighted; a record with no
+     * evaluation on file scores zero rather than being excused.
+     */
+    scoreRating(pp) {
+        const evaluations = pp.performanceEvaluations || [];
+        const latest = CPARSParserService.latestRated(evaluations);
+        if (!latest) {
+            return { score: 0, rated: false, evaluations: evaluations.length };
         }
 
-        // Add keyword results
-        for (const result of keywordResults) {
-            const key = result.id;
-            if (merged.has(key)) {
-                const existing = merged.get(key);
-                existing.search_methods.push('keyword');
-                existing.combined_score += result.relevance_score * 0.3;
-            } else {
-                merged.set(key, {
-                    ...result,
-                    pp_id: result.id,
-                    search_methods: ['keyword'],
-                    combined_score: result.relevance_score * 0.5
-                });
-            }
+        return {
+            score: (latest.averageScore - 1) / 4,
+            rated: true,
+            averageScore: latest.averageScore,
+            overallRating: latest.overallRating,
+            kind: latest.kind,
+            evaluationType: latest.evaluationType,
+            periodEnd: latest.period ? latest.period.end : null,
+            factors: Object.values(latest.ratings)
+                .filter(rating => rating.rating)
+                .map(rating => `${rating.label} ${rating.rating}`),
+            evaluations: evaluations.length
+        };
+    }
+
+    /**
+     * How well the record matches the query: the share of the query's words found in it,
+     * blended with its semantic similarity when there are semantic matches
+     * @param {Map|null} similarities - From getSemanticMatches
+     */
+    matchQuery(pp, query, similarities = null) {
+        const terms = queryTerms(query);
+        const text = this.getSearchableText(pp);
+        const matchedTerms = terms.filter(term => containsTerm(text, term));
+        const wordScore = terms.length > 0 ? matchedTerms.length / terms.length : 0;
+
+        if (!similarities) {
+            return { score: wordScore, matchedTerms, similarity: null };
         }
 
-        return Array.from(merged.values()).sort((a, b) => b.combined_score - a.combined_score);
+        const similarity = similarities.get(String(pp.id)) || 0;
+        return {
+            score: SEMANTIC_SHARE * similarity + (1 - SEMANTIC_SHARE) * wordScore,
+            matchedTerms,
+            similarity
+        };
     }
 
-    async applySearchFilters(results, filters) {
-        // Apply additional filtering logic
-        return results; // Placeholder
+    formatResult(pp) {
+        return {
+            ppId: pp.id,
+            name: pp.projectName,
+            customer: pp.customer,
+            customerType: pp.customerType,
+            contractType: pp.contractType,
+            contractNumber: pp.contractNumber,
+            contractValue: pp.contractValue,
+            period: {
+                start: pp.startDate,
+                end: pp.endDate
+            },
+            summary: pp.summary,
+            technologies: this.getTechnologyNames(pp),
+            domainAreas: pp.domainAreas || [],
+            performanceRating: pp.performanceRating === undefined ? null : pp.performanceRating
+        };
     }
 
-    async generateFreeTextExplanations(results, query, weights) {
-        return results.map(result => ({
-            ...result,
-            explanation: [
-                `• Matches query: "${query}"`,
-                `• Combined search score: ${Math.round(result.combined_score * 100)}%`,
-                `• Search methods: ${result.search_methods.join(', ')}`
-            ]
-        }));
+    summarizeRequirements(requirements) {
+        return {
+            source: requirements.source,
+            technologies: requirements.technologies,
+            domains: requirements.domains.map(domain => domain.domain),
+            contractValues: requirements.contractValues.map(({ amount, type }) => ({ amount, type })),
+            customerTypes: requirements.customerTypes.map(customerType => customerType.type),
+            timeframes: requirements.timeframes.map(({ value, unit }) => ({ value, unit })),
+            experience: requirements.experience.map(({ years }) => ({ years }))
+        };
     }
 
-    groupByPastPerformance(results) {
-        const grouped = {};
+    async generateSearchExplanations(results, requirements, weights) {
+        // Generate explanations for why each result was selected
+        return results.map(result => {
+            const { matches, criteriaScore, queryMatch, ...rest } = result;
+            return {
+                ...rest,
+                explanation: this.generateExplanation(result, requirements, weights)
+            };
+        });
+    }
 
-        for (const result of results) {
-            const ppId = result.pp_id;
+    /**
+     * Explanation bullets, strongest contribution first
+     */
+    generateExplanation(result, requirements, weights) {
+        const from = requirements.source === 'query' ? 'your search' : 'the solicitation';
+        const explanation = [];
 
-            if (!grouped[ppId]) {
-                grouped[ppId] = {
-                    ppId,
-                    chunks: [],
-                    maxSimilarity: 0,
-                    bestMatch: null
-                };
-            }
+        if (result.queryMatch && result.queryMatch.similarity) {
+            explanation.push(`• ${Math.round(result.queryMatch.similarity * 100)}% semantic similarity to ${from}`);
+        }
+        if (result.queryMatch && result.queryMatch.matchedTerms.length > 0) {
+            explanation.push(`• Mentions ${result.queryMatch.matchedTerms.join(', ')}`);
+        }
 
-            grouped[ppId].chunks.push(result);
+        const ordered = [...result.criteriaApplied].sort((a, b) =>
+            weights[b] * result.matches[b].score - weights[a] * result.matches[a].score
+        );
 
-            if (result.similarity_score > grouped[ppId].maxSimilarity) {
-                grouped[ppId].maxSimilarity = result.similarity_score;
-                grouped[ppId].bestMatch = result;
+        for (const criterion of ordered) {
+            const match = result.matches[criterion];
+            switch (criterion) {
+                case 'technology':
+                    if (match.matched.length > 0) {
+                        explanation.push(`• Uses ${match.matched.length} of ${match.matched.length + match.missing.length} technologies named in ${from}: ${match.matched.join(', ')}`);
+                    }
+                    if (match.missing.length > 0) {
+                        explanation.push(`• No record of ${match.missing.join(', ')}`);
+                    }
+                    break;
+                case 'domain':
+                    if (match.matched.length > 0) {
+                        explanation.push(`• ${match.matched.map(domain => domain.charAt(0).toUpperCase() + domain.slice(1)).join(', ')} domain experience`);
+                    }
+                    break;
+                case 'contractSize':
+                    if (match.value === null) {
+                        explanation.push('• No contract value recorded');
+                    } else if (match.type === 'minimum') {
+                        explanation.push(match.value >= match.amount
+                            ? `• ${formatCurrency(match.value)} contract meets the ${formatCurrency(match.amount)} minimum`
+                            : `• ${formatCurrency(match.value)} contract is below the ${formatCurrency(match.amount)} minimum`);
+                    } else {
+                        explanation.push(`• ${formatCurrency(match.value)} contract compared with ${formatCurrency(match.amount)} in ${from}`);
+                    }
+                    break;
+                case 'customerType':
+                    explanation.push(match.score > 0
+                        ? `• ${match.customerType} customer experience${match.customer ? ` (${match.customer})` : ''}`
+                        : `• ${match.customerType || 'Unknown'} customer; ${from} asks for ${match.wanted.join(' or ')}`);
+                    break;
+                case 'recency':
+                    if (match.ongoing) {
+                        explanation.push('• Ongoing contract');
+                    } else {
+                        explanation.push(`• Ended ${match.endYear}, ${match.score === 1 ? 'within' : 'outside'} the ${match.windowYears}-year recency window${match.fromRequirements ? '' : ' (default)'}`);
+                    }
+                    break;
+                case 'rating':
+                    if (!match.rated) {
+                        explanation.push('• No CPARS or questionnaire ratings on file');
+                    } else {
+                        const source = match.kind === 'cpars' ? `${match.evaluationType ? `${match.evaluationType} ` : ''}CPARS` : 'customer questionnaire';
+                        explanation.push(`• Rated ${match.overallRating} (${match.averageScore} of 5) on its ${source}${match.periodEnd ? ` through ${match.periodEnd}` : ''}: ${match.factors.join(', ')}`);
+                    }
+                    break;
+                default:
+                    break;
             }
         }
 
-        return grouped;
+        explanation.push(`• ${result.contractType || 'Prime'} contractor role`);
+        return explanation;
     }
 
     extractContext(text, position, length) {
@@ -803,4 +1174,13 @@ class PPSearchService {
     }
 }
 
-module.exports = PPSearchService;
\ No newline at end of file
+PPSearchService.CRITERIA = CRITERIA;
+
+PPSearchService.DOMAIN_KEYWORDS = {
+    'healthcare': ['healthcare', 'medical', 'hospital', 'patient'],
+    'financial': ['financial', 'banking', 'finance', 'payment'],
+    'defense': ['defense', 'military', 'security', 'classified'],
+    'education': ['education', 'school', 'university', 'student']
+};
+
+module.exports = PPSearchService;
@@ -32,10 +32,11 @@ class PastPerformanceService {
       // Validate and normalize data
       const normalizedData = await this.validateAndNormalizePPData(ppData);
 
-      // Extract technologies if requested
+      // Extract technologies if requested (names already on the record are kept)
       if (extractTechnologies) {
         normalizedData.technologiesUsed = await this.technologyService.extractTechnologies(
-          normalizedData.summary + ' ' + (normalizedData.technicalApproach || '')
+          normalizedData.summary + ' ' + (normalizedData.technicalApproach || ''),
+          { known: normalizedData.technologiesUsed.filter(tech => typeof tech === 'string') }
         );
       }
 
@@ -100,13 +101,32 @@ class PastPerformanceService {
 
   /**
    * Search past performance with advanced filtering and ranking
-   * @param {Object} searchParams - Search parameters
-   * @returns {Object} Search results with relevance scoring
+   * @param {Object} searchParams - { query, filters, weights, pagination: { limit, offset } }
+   * @returns {Object} { results, searchMetadata }
    */
   async searchPastPerformance(searchParams) {
+    const { query, filters = {}, weights = {}, pagination = {} } = searchParams;
+
     try {
       // Use the dedicated search service
-      return await this.searchService.searchPastPerformance(searchParams);
+      const result = await this.searchService.freeTextSearch({
+        query,
+        filters,
+        weights,
+        limit: pagination.limit || 10,
+        offset: pagination.offset || 0
+      });
+
+      return {
+        results: result.results,
+        searchMetadata: {
+          searchType: result.searchType,
+          requirements: result.requirements,
+          weights: result.weights,
+          totalFound: result.totalFound,
+          searchTime: result.searchTime
+        }
+      };
     } catch (error) {
       logger.error(`Error searching past performance: ${error.message}`);
       throw error;
@@ -0,0 +1,454 @@
+/**
+ * Permission Service
+ * Project-level authorization on top of the global role: a member's project role (capture
+ * manager, volume lead, writer, reviewer, read-only) decides which actions they may take on
+ * that project, team-row flags can grant more, and restricted documents (e.g. pricing
+ * volumes) are limited to named roles and people.
+ *
+ * Every decision comes back with the checks behind it so the UI can answer "why can't I?".
+ */
+
+const ProjectService = require('./ProjectService');
+const Document = require('../models/Document');
+const DocumentAccess = require('../models/DocumentAccess');
+const logger = require('../utils/logger');
+
+const PROJECT_ACTIONS = {
+  view: 'View project documents and drafts',
+  edit_sections: 'Edit proposal sections',
+  approve: 'Approve section versions and reviews',
+  review: 'Comment on and score sections in color-team reviews',
+  upload: 'Upload documents',
+  delete: 'Delete or archive documents',
+  export: 'Export proposals',
+  run_ai: 'Run AI generation',
+  manage_access: 'Restrict who can see documents'
+};
+
+const PROJECT_ROLES = {
+  capture_manager: {
+    label: 'Capture Manager',
+    actions: Object.keys(PROJECT_ACTIONS)
+  },
+  volume_lead: {
+    label: 'Volume Lead',
+    actions: ['view', 'edit_sections', 'approve', 'review', 'upload', 'export', 'run_ai']
+  },
+  writer: {
+    label: 'Writer',
+    actions: ['view', 'edit_sections', 'upload', 'run_ai']
+  },
+  reviewer: {
+    label: 'Reviewer',
+    actions: ['view', 'review', 'export']
+  },
+  read_only: {
+    label: 'Read-Only',
+    actions: ['view']
+  }
+};
+
+// project_roles names from before these roles were enforced
+const ROLE_ALIASES = {
+  proposal_lead: 'capture_manager',
+  proposal_manager: 'capture_manager',
+  project_manager: 'capture_manager',
+  owner: 'capture_manager',
+  section_lead: 'volume_lead',
+  lead: 'volume_lead',
+  contributor: 'writer',
+  editor: 'writer',
+  viewer: 'read_only',
+  observer: 'read_only',
+  readonly: 'read_only'
+};
+
+// Team-row flags that grant actions beyond the member's role
+const MEMBER_FLAGS = {
+  can_edit_documents: ['edit_sections', 'upload'],
+  can_approve_changes: ['approve'],
+  can_delete_documents: ['delete'],
+  can_export_data: ['export']
+};
+
+// Global role permission (roles.permissions resource.action) each project action also needs
+const GLOBAL_PERMISSIONS = {
+  view: ['documents', 'read'],
+  edit_sections: ['documents', 'update'],
+  approve: ['documents', 'update'],
+  review: ['documents', 'read'],
+  upload: ['documents', 'create'],
+  delete: ['documents', 'delete'],
+  export: ['documents', 'read'],
+  run_ai: ['ai', 'create'],
+  manage_access: ['documents', 'update']
+};
+
+const ADMIN_ROLES = ['admin', 'administrator'];
+
+function serviceError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const isAdmin = (user) => Boolean(user && ADMIN_ROLES.includes(user.role));
+
+/**
+ * Whether the user's global role grants an action on a resource; admins are granted everything
+ */
+const hasRolePermission = (user, resource, action) => {
+  if (isAdmin(user)) {
+    return true;
+  }
+
+  const resourcePerms = user && user.permissions ? user.permissions[resource] : null;
+  return Boolean(resourcePerms) && resourcePerms[action] === true;
+};
+
+/**
+ * Project role key for a project_roles name ('Volume Lead', 'volume-lead', 'proposal_lead', ...)
+ * @returns {string|null} Key of PROJECT_ROLES, or null when the name is not recognised
+ */
+const normalizeProjectRole = (name) => {
+  if (!name) {
+    return null;
+  }
+
+  const key = String(name).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (PROJECT_ROLES[key]) {
+    return key;
+  }
+  return ROLE_ALIASES[key] || null;
+};
+
+const rolesGranting = (action) => Object.values(PROJECT_ROLES)
+  .filter(role => role.actions.includes(action))
+  .map(role => role.label);
+
+class PermissionService {
+  constructor(options = {}) {
+    this.projectService = options.projectService || new ProjectService();
+    this.documentModel = options.documentModel || new Document();
+    this.documentAccess = options.documentAccess || new DocumentAccess();
+  }
+
+  /**
+   * The user's place on a project's team
+   * Projects are found by ID, or by title for document folders and the AI writing panel. A
+   * project that is not registered, or has no team (managed is false), has no members, so only
+   * administrators may use it until someone is added to its team.
+   * @param {Object} user - req.user
+   * @param {Object} project - { projectName } or { projectId }
+   * @returns {Object} { managed, member, projectRole }
+   */
+  async getMembership(user, { projectName = null, projectId = null } = {}) {
+    const projectIds = projectId
+      ? [projectId]
+      : (await this.projectService.findProjectsByTitle(projectName)).map(project => project.id);
+
+    let managed = false;
+    for (const id of projectIds) {
+      const team = await this.projectService.getProjectTeam(id);
+      if (team.length === 0) {
+        continue;
+      }
+      managed = true;
+
+      const member = user ? team.find(row => row.user_id === user.id) : null;
+      if (member) {
+        return { managed, member, projectRole: normalizeProjectRole(member.role_name) };
+      }
+    }
+
+    return { managed, member: null, projectRole: null };
+  }
+
+  /**
+   * Actions a team member may take: their role's actions plus any granted by team-row flags
+   */
+  memberActions(member, projectRole) {
+    const actions = new Set(projectRole ? PROJECT_ROLES[projectRole].actions : ['view']);
+    for (const [flag, granted] of Object.entries(MEMBER_FLAGS)) {
+      if (member[flag] === true) {
+        granted.forEach(action => actions.add(action));
+      }
+    }
+    return actions;
+  }
+
+  /**
+   * Decide whether the user may take an action, with the reasons
+   * @param {Object} user - req.user
+   * @param {string} action - Key of PROJECT_ACTIONS
+   * @param {Object} target - { projectName, projectId, documentId }
+   * @returns {Object} { allowed, action, reason, projectName, projectId, projectRole, documentId, checks: [{ check, passed, detail }] }
+   * @throws 400 for an unknown action, 404 for a missing document
+   */
+  async explain(user, action, { projectName = null, projectId = null, documentId = null } = {}) {
+    if (!PROJECT_ACTIONS[action]) {
+      throw serviceError(`Unknown action: ${action}. Must be one of: ${Object.keys(PROJECT_ACTIONS).join(', ')}`, 400);
+    }
+
+    const actionLabel = PROJECT_ACTIONS[action].toLowerCase();
+    const decision = {
+      allowed: false,
+      action,
+      reason: null,
+      projectName,
+      projectId,
+      projectRole: null,
+      documentId,
+      checks: []
+    };
+    const pass = (check, detail) => decision.checks.push({ check, passed: true, detail });
+    const fail = (check, detail) => {
+      decision.checks.push({ check, passed: false, detail });
+      decision.reason = detail;
+      return decision;
+    };
+
+    if (!user) {
+      return fail('authentication', 'You are not signed in');
+    }
+
+    let document = null;
+    if (documentId) {
+      document = await this.documentModel.getById(documentId);
+      if (!document) {
+        throw serviceError('Document not found', 404);
+      }
+      decision.projectName = projectName = document.projectName || projectName;
+    }
+
+    // Global role
+    if (isAdmin(user)) {
+      pass('role', 'Administrators can take every action on every project');
+      decision.allowed = true;
+      decision.reason = decision.checks[0].detail;
+      return decision;
+    }
+
+    const [resource, resourceAction] = GLOBAL_PERMISSIONS[action];
+    if (!hasRolePermission(user, resource, resourceAction)) {
+      return fail('role', `Your role (${user.role || 'none'}) does not have ${resource}.${resourceAction} permission, which is needed to ${actionLabel}`);
+    }
+    pass('role', `Your role (${user.role}) has ${resource}.${resourceAction} permission`);
+
+    // Project team and project role
+    let membership = { managed: false, member: null, projectRole: null };
+    if (projectName || projectId) {
+      const label = projectName || `project ${projectId}`;
+      membership = await this.getMembership(user, { projectName, projectId });
+      decision.projectRole = membership.projectRole;
+
+      if (!membership.managed) {
+        return fail('team', `${label} has no project team; an administrator needs to add you to it`);
+      } else if (!membership.member) {
+        return fail('team', `You are not a member of the project team for ${label}`);
+      } else {
+        const roleLabel = membership.projectRole
+          ? PROJECT_ROLES[membership.projectRole].label
+          : `${membership.member.role_name || 'an unrecognised role'} (treated as read-only)`;
+        pass('team', `You are on the project team for ${label} as ${roleLabel}`);
+
+        if (!this.memberActions(membership.member, membership.projectRole).has(action)) {
+          return fail('project_role', `As ${roleLabel} on ${label} you cannot ${actionLabel}; that needs one of: ${rolesGranting(action).join(', ')}`);
+        }
+        pass('project_role', `${roleLabel} can ${actionLabel}`);
+      }
+    }
+
+    // Document visibility
+    if (document) {
+      const access = await this.documentAccess.get(document.id);
+      if (access && access.visibility === 'restricted') {
+        const detail = this.restrictedAccessDetail(user, membership, access);
+        if (!detail.allowed) {
+          const reason = access.reason ? ` (${access.reason})` : '';
+          return fail('document', `${document.originalName} is restricted${reason}; it is open to ${detail.openTo}`);
+        }
+        pass('document', `${document.originalName} is restricted and ${detail.grantedBy}`);
+      } else {
+        pass('document', `${document.originalName} is visible to the whole project team`);
+      }
+    }
+
+    decision.allowed = true;
+    decision.reason = `You can ${actionLabel}`;
+    return decision;
+  }
+
+  /**
+   * Whether a restricted document is open to the user
+   * Capture managers always see their project's restricted documents.
+   */
+  restrictedAccessDetail(user, membership, access) {
+    const allowedRoles = ['capture_manager', ...access.allowedRoles];
+    const openTo = [
+      allowedRoles.map(role => (PROJECT_ROLES[role] ? PROJECT_ROLES[role].label : role)).join(', '),
+      access.allowedUserIds.length > 0 ? `${access.allowedUserIds.length} named team member(s)` : null
+    ].filter(Boolean).join(' and ');
+
+    if (access.allowedUserIds.includes(user.id)) {
+      return { allowed: true, grantedBy: 'you are named on it', openTo };
+    }
+    if (membership.member && allowedRoles.includes(membership.projectRole)) {
+      return { allowed: true, grantedBy: `open to ${PROJECT_ROLES[membership.projectRole].label}`, openTo };
+    }
+    return { allowed: false, openTo };
+  }
+
+  /**
+   * Whether the user may take an action
+   */
+  async can(user, action, target = {}) {
+    return (await this.explain(user, action, target)).allowed;
+  }
+
+  /**
+   * Every action with whether the user may take it on a project (for showing or hiding controls)
+   * @returns {Object} { projectRole, managed, actions: { action: boolean } }
+   */
+  async getEffectivePermissions(user, project = {}) {
+    const actions = {};
+    let projectRole = null;
+    for (const action of Object.keys(PROJECT_ACTIONS)) {
+      const decision = await this.explain(user, action, project);
+      actions[action] = decision.allowed;
+      projectRole = decision.projectRole;
+    }
+
+    const { managed } = isAdmin(user) || (!project.projectName && !project.projectId)
+      ? { managed: false }
+      : await this.getMembership(user, project);
+
+    return {
+      projectRole,
+      projectRoleLabel: projectRole ? PROJECT_ROLES[projectRole].label : null,
+      managed,
+      actions
+    };
+  }
+
+  /**
+   * Keep the documents the user may see: their project's team must include the user and
+   * restricted documents must be open to them
+   * @param {Object} user - req.user
+   * @param {Array} documents - Formatted documents ({ id, projectName })
+   */
+  async filterDocuments(user, documents) {
+    if (isAdmin(user) || documents.length === 0) {
+      return documents;
+    }
+
+    const access = await this.documentAccess.getMany(documents.map(document => document.id));
+    const memberships = new Map();
+    const visible = [];
+
+    for (const document of documents) {
+      const key = document.projectName || '';
+      if (!memberships.has(key)) {
+        memberships.set(key, document.projectName
+          ? await this.getMembership(user, { projectName: document.projectName })
+          : { managed: false, member: null, projectRole: null });
+      }
+      const membership = memberships.get(key);
+
+      if (document.projectName && !membership.member) {
+        continue;
+      }
+
+      const documentAccess = access.get(document.id);
+      if (documentAccess && documentAccess.visibility === 'restricted' &&
+        !this.restrictedAccessDetail(user, membership, documentAccess).allowed) {
+        continue;
+      }
+
+      visible.push(document);
+    }
+
+    return visible;
+  }
+
+  /**
+   * A document's visibility settings (documents without settings are visible to the project team)
+   */
+  async getDocumentAccess(documentId) {
+    const document = await this.documentModel.getById(documentId);
+    if (!document) {
+      throw serviceError('Document not found', 404);
+    }
+
+    return (await this.documentAccess.get(document.id)) || {
+      documentId: document.id,
+      visibility: 'project',
+      allowedRoles: [],
+      allowedUserIds: [],
+      reason: null
+    };
+  }
+
+  /**
+   * Restrict a document to named project roles and people, or open it to the project team again
+   * @param {number} documentId - Document ID
+   * @param {Object} settings - { visibility, allowedRoles, allowedUserIds, reason }
+   * @param {number} userId - User making the change
+   * @throws 400 for an unknown visibility or project role, 404 for a missing document
+   */
+  async setDocumentAccess(documentId, settings, userId = null) {
+    const visibility = settings.visibility || 'project';
+    if (!DocumentAccess.VISIBILITIES.includes(visibility)) {
+      throw serviceError(`Invalid visibility. Must be one of: ${DocumentAccess.VISIBILITIES.join(', ')}`, 400);
+    }
+
+    const allowedRoles = (settings.allowedRoles || []).map(role => normalizeProjectRole(role) || role);
+    const unknownRoles = allowedRoles.filter(role => !PROJECT_ROLES[role]);
+    if (unknownRoles.length > 0) {
+      throw serviceError(`Unknown project role: ${unknownRoles.join(', ')}. Must be one of: ${Object.keys(PROJECT_ROLES).join(', ')}`, 400);
+    }
+
+    const allowedUserIds = (settings.allowedUserIds || []).map(id => parseInt(id));
+    if (allowedUserIds.some(isNaN)) {
+      throw serviceError('allowedUserIds must be user IDs', 400);
+    }
+
+    const document = await this.documentModel.getById(documentId);
+    if (!document) {
+      throw serviceError('Document not found', 404);
+    }
+
+    const access = await this.documentAccess.upsert(document.id, {
+      visibility,
+      allowedRoles: visibility === 'restricted' ? Array.from(new Set(allowedRoles)) : [],
+      allowedUserIds: visibility === 'restricted' ? Array.from(new Set(allowedUserIds)) : [],
+      reason: settings.reason
+    }, userId);
+
+    logger.info(`Document ${document.id} visibility set to ${visibility} by user ${userId}`);
+    return access;
+  }
+
+  /**
+   * Project roles with the actions each may take
+   */
+  getRoleMatrix() {
+    return {
+      actions: PROJECT_ACTIONS,
+      roles: Object.entries(PROJECT_ROLES).map(([key, role]) => ({
+        key,
+        label: role.label,
+        actions: role.actions
+      })),
+      memberFlags: MEMBER_FLAGS
+    };
+  }
+}
+
+PermissionService.PROJECT_ACTIONS = PROJECT_ACTIONS;
+PermissionService.PROJECT_ROLES = PROJECT_ROLES;
+PermissionService.isAdmin = isAdmin;
+PermissionService.hasRolePermission = hasRolePermission;
+PermissionService.normalizeProjectRole = normalizeProjectRole;
+
+module.exports = PermissionService;
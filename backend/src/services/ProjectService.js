@@ -6,6 +6,70 @@
 const { Pool } = require('pg');
 const logger = require('../utils/logger');
 
+// Project templates. Milestones are scheduled back from the due date (daysBeforeDue) or
+// forward from the start date (daysAfterStart); reviewType links a milestone to a color review.
+const PROJECT_TEMPLATES = {
+  'rfp-response': {
+    name: 'RFP Response Project',
+    description: 'Standard template for responding to Request for Proposal',
+    projectType: 'rfp_response',
+    defaultRoles: ['proposal_lead', 'writer', 'solutions_architect', 'reviewer'],
+    defaultDocuments: ['Technical Approach', 'Management Plan', 'Cost Proposal', 'Past Performance'],
+    complianceFrameworks: ['FAR', 'NIST', 'SECTION508'],
+    milestones: [
+      { key: 'kickoff', title: 'Kickoff', daysAfterStart: 0 },
+      { key: 'questions_due', title: 'Questions Due', daysBeforeDue: 21 },
+      { key: 'pink_team', title: 'Pink Team Review', daysBeforeDue: 18, reviewType: 'pink' },
+      { key: 'draft_complete', title: 'Draft Complete', daysBeforeDue: 12 },
+      { key: 'red_team', title: 'Red Team Review', daysBeforeDue: 9, reviewType: 'red' },
+      { key: 'gold_team', title: 'Gold Team Review', daysBeforeDue: 4, reviewType: 'gold' },
+      { key: 'final_production', title: 'Final Production', daysBeforeDue: 2 },
+      { key: 'submission', title: 'Proposal Submission', daysBeforeDue: 0 }
+    ]
+  },
+  'past-performance': {
+    name: 'Past Performance Documentation',
+    description: 'Template for documenting past performance references',
+    projectType: 'past_performance',
+    defaultRoles: ['proposal_lead', 'writer', 'subject_matter_expert'],
+    defaultDocuments: ['Project Summary', 'Client Reference', 'Performance Metrics', 'Lessons Learned'],
+    complianceFrameworks: ['FAR'],
+    milestones: [
+      { key: 'references_confirmed', title: 'References Confirmed', daysBeforeDue: 14 },
+      { key: 'draft_complete', title: 'Draft Complete', daysBeforeDue: 7 },
+      { key: 'red_team', title: 'Red Team Review', daysBeforeDue: 4, reviewType: 'red' },
+      { key: 'submission', title: 'Submission', daysBeforeDue: 0 }
+    ]
+  },
+  'internal-research': {
+    name: 'Internal Research Project',
+    description: 'Template for internal research and development projects',
+    projectType: 'internal',
+    defaultRoles: ['proposal_lead', 'writer', 'solutions_architect'],
+    defaultDocuments: ['Research Plan', 'Findings Report', 'Recommendations'],
+    complianceFrameworks: [],
+    milestones: [
+      { key: 'kickoff', title: 'Kickoff', daysAfterStart: 0 },
+      { key: 'draft_complete', title: 'Findings Draft Complete', daysBeforeDue: 7 },
+      { key: 'submission', title: 'Final Report Due', daysBeforeDue: 0 }
+    ]
+  },
+  'compliance-assessment': {
+    name: 'Compliance Assessment',
+    description: 'Template for regulatory compliance assessment projects',
+    projectType: 'compliance',
+    defaultRoles: ['compliance_officer', 'writer', 'reviewer'],
+    defaultDocuments: ['Compliance Matrix', 'Gap Analysis', 'Remediation Plan'],
+    complianceFrameworks: ['NIST', 'FISMA', 'SOC2', 'CMMC'],
+    milestones: [
+      { key: 'kickoff', title: 'Kickoff', daysAfterStart: 0 },
+      { key: 'gap_analysis', title: 'Gap Analysis Complete', daysBeforeDue: 14 },
+      { key: 'draft_complete', title: 'Remediation Plan Draft', daysBeforeDue: 7 },
+      { key: 'submission', title: 'Assessment Due', daysBeforeDue: 0 }
+    ]
+  }
+};
+
 class ProjectService {
   constructor(pool) {
     this.pool = pool || new Pool({
@@ -104,18 +168,19 @@ class ProjectService {
 
       const project = projectResult.rows[0];
 
-      // Add creator as proposal lead
-      const proposalLeadRole = await client.query(
-        'SELECT id FROM project_roles WHERE name = $1',
-        ['proposal_lead']
-      );
+      // Add creator as capture manager. Access to a project goes through its team, so the
+      // role is created when missing rather than leaving the project without one.
+      const captureManagerRole = await client.query(`
+        INSERT INTO project_roles (name, display_name, description)
+        VALUES ('capture_manager', 'Capture Manager', 'Runs the proposal and manages its team and document access')
+        ON CONFLICT (name) DO UPDATE SET name = EXCLUDED.name
+        RETURNING id
+      `);
 
-      if (proposalLeadRole.rows.length > 0) {
-        await client.query(`
-          INSERT INTO project_team_members (project_id, user_id, role_id, assigned_by)
-          VALUES ($1, $2, $3, $4)
-        `, [project.id, createdBy, proposalLeadRole.rows[0].id, createdBy]);
-      }
+      await client.query(`
+        INSERT INTO project_team_members (project_id, user_id, role_id, assigned_by)
+        VALUES ($1, $2, $3, $4)
+      `, [project.id, createdBy, captureManagerRole.rows[0].id, createdBy]);
 
       // Log project creation activity
       await this.logActivity(
@@ -428,6 +493,17 @@ class ProjectService {
     }
   }
 
+  /**
+   * Projects with the given title (document folders and AI writing refer to projects by title)
+   */
+  async findProjectsByTitle(title) {
+    const result = await this.pool.query(
+      'SELECT id, title, created_by FROM projects WHERE title = $1 ORDER BY id',
+      [title]
+    );
+    return result.rows;
+  }
+
   /**
    * Get project with full details including team and hierarchy
    */
@@ -872,4 +948,6 @@ class ProjectService {
   }
 }
 
+ProjectService.PROJECT_TEMPLATES = PROJECT_TEMPLATES;
+
 module.exports = ProjectService;
\ No newline at end of file
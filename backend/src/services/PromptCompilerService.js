@@ -5,6 +5,14 @@
  */
 
 const { Pool } = require('pg');
+const { SCOPE_DIMENSIONS, scopeValue, normalizeScope, describeScope } = require('../utils/ruleConflicts');
+
+// Context field each rule scope dimension is matched against
+const SCOPE_CONTEXT_FIELDS = {
+  personas: 'personaId',
+  sectionTypes: 'sectionType',
+  documentTypes: 'documentType'
+};
 
 class PromptCompilerService {
   constructor(pool) {
@@ -64,16 +72,29 @@ class PromptCompilerService {
     let compiledPrompt = config.base_prompt || '';
 
     // Add enabled rules to the prompt
-    const enabledRules = this.getEnabledRules(config.rules);
+    const enabledRules = this.getEnabledRules(config.rules, context);
     if (enabledRules.length > 0) {
+      const positions = new Map(enabledRules.map((rule, index) => [String(rule.id), index + 1]));
+
       compiledPrompt += '\n\n### Writing Requirements:\n';
       enabledRules.forEach((rule, index) => {
         compiledPrompt += `${index + 1}. ${rule.rule}\n`;
 
+        // Previews list every rule, so show where scoped ones apply
+        if (context.showScopes && describeScope(rule.scope) !== 'everywhere') {
+          compiledPrompt += `   Applies to ${describeScope(rule.scope)}\n`;
+        }
+
         // Add forbidden words if applicable
         if (rule.type === 'forbidden' && rule.words && rule.words.length > 0) {
           compiledPrompt += `   Forbidden words: ${rule.words.join(', ')}\n`;
         }
+
+        // Precedence set when resolving a conflict between two rules
+        const overridden = (rule.overrides || []).map(key => positions.get(String(key))).filter(Boolean);
+        if (overridden.length > 0) {
+          compiledPrompt += `   Where it conflicts with rule ${overridden.join(' or ')}, follow this rule.\n`;
+        }
       });
     }
 
@@ -84,18 +105,43 @@ class PromptCompilerService {
   }
 
   /**
-   * Get only enabled rules, sorted by order
+   * Get only enabled rules that apply to the context, sorted by order
+   * A rule scoped to personas, section types or document types applies only when the
+   * context names one of them; context.showScopes keeps every enabled rule (previews).
    */
-  getEnabledRules(rules) {
+  getEnabledRules(rules, context = {}) {
     if (!rules || !Array.isArray(rules)) {
       return [];
     }
 
     return rules
       .filter(rule => rule.enabled === true)
+      .filter(rule => context.showScopes || this.ruleApplies(rule, context))
       .sort((a, b) => (a.order || 0) - (b.order || 0));
   }
 
+  ruleApplies(rule, context = {}) {
+    const scope = normalizeScope(rule.scope);
+    return SCOPE_DIMENSIONS.every(dimension =>
+      scope[dimension].length === 0 || scope[dimension].includes(scopeValue(context[SCOPE_CONTEXT_FIELDS[dimension]]))
+    );
+  }
+
+  /**
+   * Replace the rules of a saved configuration (conflict resolutions edit rules in place)
+   * @param {Object} client - Optional transaction client
+   */
+  async saveRules(configId, rules, userId, client = null) {
+    const result = await (client || this.pool).query(
+      `UPDATE global_prompt_config
+       SET rules = $1, updated_by = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3
+       RETURNING *`,
+      [JSON.stringify(rules), userId, configId]
+    );
+    return result.rows[0] || null;
+  }
+
   /**
    * Replace variables in the prompt with actual values from context
    */
@@ -274,6 +320,13 @@ class PromptCompilerService {
         if (rule.rule && rule.rule.length > 200) {
           errors.push(`Rule ${index + 1} text must be less than 200 characters`);
         }
+        if (rule.scope && SCOPE_DIMENSIONS.some(dimension =>
+          rule.scope[dimension] !== undefined && !Array.isArray(rule.scope[dimension]))) {
+          errors.push(`Rule ${index + 1} scope must list personas, sectionTypes and documentTypes as arrays`);
+        }
+        if (rule.overrides !== undefined && !Array.isArray(rule.overrides)) {
+          errors.push(`Rule ${index + 1} overrides must be a list of rule ids`);
+        }
       });
     }
 
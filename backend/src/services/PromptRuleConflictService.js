@@ -0,0 +1,664 @@
+/**
+ * Prompt Rule Conflict Service
+ * Finds global writing rules that pull against each other ("be concise" vs "be exhaustive")
+ * or repeat each other, among rules whose scopes (persona, section type, document type)
+ * overlap. Pairs are screened by shared terms, embedding similarity and known opposing
+ * directives; screened pairs are classified by the analysis model, with score thresholds as
+ * the fallback when it is unavailable. Conflicts stay open in rule_conflicts until an admin
+ * resolves them, and resolutions are applied to the rules themselves.
+ */
+
+const RuleConflict = require('../models/RuleConflict');
+const PromptCompilerService = require('./PromptCompilerService');
+const EmbeddingService = require('./EmbeddingService');
+const LLMService = require('./LLMService');
+const logger = require('../utils/logger');
+const {
+  normalizeScope,
+  scopesOverlap,
+  describeScope,
+  lexicalOverlap,
+  opposingDirectives,
+  pairFingerprint
+} = require('../utils/ruleConflicts');
+
+const { CONFLICT_TYPES, RESOLUTIONS } = RuleConflict;
+const RELATIONS = [...CONFLICT_TYPES, 'compatible'];
+
+// Pairs below both screens (and without opposing directives) are not conflicts
+const LEXICAL_SCREEN = 0.2;
+const EMBEDDING_SCREEN = 0.6;
+
+// Classification without the model
+const REDUNDANT_LEXICAL = 0.8;
+const REDUNDANT_EMBEDDING = 0.92;
+const OVERLAPPING_LEXICAL = 0.45;
+const OVERLAPPING_EMBEDDING = 0.82;
+
+// Rule pairs sent to the model per prompt
+const LLM_BATCH_SIZE = 10;
+
+// Matches PromptCompilerService.validateConfig
+const MAX_RULE_LENGTH = 200;
+
+const SUGGESTED_RESOLUTIONS = {
+  contradictory: 'context_specific',
+  redundant: 'disable_one',
+  overlapping: 'merge'
+};
+
+function serviceError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Rule from global_prompt_config.rules in the shape detection works on
+ */
+function fromConfigRule(rule) {
+  const words = Array.isArray(rule.words) ? rule.words : [];
+  return {
+    key: String(rule.id),
+    id: null,
+    type: rule.type || null,
+    text: rule.type === 'forbidden' && words.length > 0
+      ? `${rule.rule || ''} (forbidden words: ${words.join(', ')})`
+      : rule.rule || '',
+    scope: normalizeScope(rule.scope)
+  };
+}
+
+/**
+ * Row from global_prompt_rules in the shape detection works on
+ * Layered rules scope section types through applies_to_contexts and document types through
+ * conditions.documentTypes.
+ */
+function fromLayeredRule(row) {
+  return {
+    key: row.id ? String(row.id) : 'new',
+    id: row.id || null,
+    type: row.rule_type || null,
+    text: row.rule_content || '',
+    scope: normalizeScope({
+      personas: row.applies_to_personas,
+      sectionTypes: row.applies_to_contexts,
+      documentTypes: row.conditions?.documentTypes
+    })
+  };
+}
+
+/**
+ * Conflict type from screening scores alone
+ * @returns {string|null} Conflict type, or null when the pair looks compatible
+ */
+function classifyByScores({ lexical, embedding, opposing }) {
+  if (opposing.length > 0) return 'contradictory';
+  if (lexical >= REDUNDANT_LEXICAL || (embedding !== null && embedding >= REDUNDANT_EMBEDDING)) return 'redundant';
+  if (lexical >= OVERLAPPING_LEXICAL || (embedding !== null && embedding >= OVERLAPPING_EMBEDDING)) return 'overlapping';
+  return null;
+}
+
+// What a config rule says and where it applies; changes to anything else (order, precedence) need no re-check
+function ruleSignature(rule) {
+  const normalized = fromConfigRule(rule);
+  return JSON.stringify([normalized.type, normalized.text, normalized.scope]);
+}
+
+class PromptRuleConflictService {
+  constructor(options = {}) {
+    this.conflictModel = options.conflictModel || new RuleConflict();
+    this.promptCompiler = options.promptCompiler || new PromptCompilerService();
+    this.embeddingService = options.embeddingService || new EmbeddingService();
+    this.llmService = options.llmService || new LLMService();
+  }
+
+  // =============================================================================
+  // DETECTION
+  // =============================================================================
+
+  /**
+   * Find conflicts between changed rules and the rest (and among the changed rules)
+   * Never throws for embedding or model failures; they are reported in warnings.
+   * @param {Array} candidates - Changed rules ({ key, id, type, text, scope })
+   * @param {Array} others - Other active rules
+   * @param {Object} options - { useLlm, model }
+   * @returns {Promise<Object>} { conflicts: [{ ruleA, ruleB, conflictType, suggestedResolution, fingerprint, detection }], pairsChecked, warnings }
+   */
+  async detectConflicts(candidates, others, options = {}) {
+    const { useLlm = true, model = null } = options;
+    const warnings = [];
+    const pairs = [];
+
+    candidates.forEach((ruleA, index) => {
+      [...candidates.slice(index + 1), ...others].forEach(ruleB => {
+        if (ruleA.key !== ruleB.key && ruleA.text.trim() && ruleB.text.trim() && scopesOverlap(ruleA.scope, ruleB.scope)) {
+          pairs.push({ ruleA, ruleB });
+        }
+      });
+    });
+
+    if (pairs.length === 0) {
+      return { conflicts: [], pairsChecked: 0, warnings };
+    }
+
+    const vectors = await this.embedRules(pairs, warnings);
+    pairs.forEach(pair => {
+      pair.lexical = lexicalOverlap(pair.ruleA.text, pair.ruleB.text);
+      pair.embedding = vectors
+        ? this.embeddingService.calculateCosineSimilarity(vectors.get(pair.ruleA.key), vectors.get(pair.ruleB.key))
+        : null;
+      pair.opposing = opposingDirectives(pair.ruleA.text, pair.ruleB.text);
+    });
+
+    const screened = pairs.filter(pair =>
+      pair.opposing.length > 0 ||
+      pair.lexical >= LEXICAL_SCREEN ||
+      (pair.embedding !== null && pair.embedding >= EMBEDDING_SCREEN)
+    );
+
+    const judgements = useLlm && screened.length > 0
+      ? await this.classifyWithLlm(screened, model, warnings)
+      : null;
+
+    const conflicts = [];
+    screened.forEach((pair, index) => {
+      const judgement = judgements ? judgements.labels.get(index) : null;
+      const methods = ['lexical'];
+      if (pair.embedding !== null) methods.push('embedding');
+      if (pair.opposing.length > 0) methods.push('directives');
+
+      let conflictType;
+      let suggestedResolution = null;
+      let explanation = null;
+      if (judgement) {
+        methods.push('llm');
+        conflictType = judgement.relation === 'compatible' ? null : judgement.relation;
+        suggestedResolution = RESOLUTIONS.includes(judgement.resolution) ? judgement.resolution : null;
+        explanation = judgement.explanation || null;
+      } else {
+        conflictType = classifyByScores(pair);
+        if (pair.opposing.length > 0) {
+          explanation = `The rules ask for opposite ${pair.opposing.join(' and ')}.`;
+        }
+      }
+
+      if (!conflictType) return;
+
+      conflicts.push({
+        ruleA: pair.ruleA,
+        ruleB: pair.ruleB,
+        conflictType,
+        suggestedResolution: suggestedResolution || SUGGESTED_RESOLUTIONS[conflictType],
+        fingerprint: pairFingerprint(pair.ruleA, pair.ruleB),
+        detection: {
+          lexical: Math.round(pair.lexical * 1000) / 1000,
+          embedding: pair.embedding === null ? null : Math.round(pair.embedding * 1000) / 1000,
+          opposing: pair.opposing,
+          methods,
+          explanation,
+          model: judgement ? judgements.model : null,
+          ruleA: { text: pair.ruleA.text, scope: pair.ruleA.scope },
+          ruleB: { text: pair.ruleB.text, scope: pair.ruleB.scope }
+        }
+      });
+    });
+
+    return { conflicts, pairsChecked: pairs.length, warnings };
+  }
+
+  /**
+   * One embedding per rule in the pairs
+   * @returns {Promise<Map|null>} key → vector, or null when embedding failed
+   */
+  async embedRules(pairs, warnings) {
+    const rules = new Map();
+    pairs.forEach(({ ruleA, ruleB }) => {
+      rules.set(ruleA.key, ruleA.text);
+      rules.set(ruleB.key, ruleB.text);
+    });
+
+    try {
+      const keys = [...rules.keys()];
+      const result = await this.embeddingService.embedTexts(keys.map(key => rules.get(key)));
+      return new Map(keys.map((key, index) => [key, result.vectors[index]]));
+    } catch (error) {
+      logger.warn(`Rule conflict check ran without embeddings: ${error.message}`);
+      warnings.push(`Embedding similarity unavailable: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Ask the analysis model how each screened pair relates
+   * @returns {Promise<Object|null>} { labels: Map(pair index → { relation, explanation, resolution }), model }, or null on failure
+   */
+  async classifyWithLlm(pairs, model, warnings) {
+    let modelName = model;
+    try {
+      modelName = model || await this.llmService.getModel('analysis');
+      const labels = new Map();
+
+      for (let start = 0; start < pairs.length; start += LLM_BATCH_SIZE) {
+        const batch = pairs.slice(start, start + LLM_BATCH_SIZE);
+        const response = await this.llmService.generate('analysis', {
+          model: modelName,
+          prompt: this.buildClassificationPrompt(batch),
+          format: 'json',
+          options: { temperature: 0 },
+          timeout: 120000
+        });
+
+        this.parseClassification(response.text).forEach(label => {
+          if (label.index >= 1 && label.index <= batch.length) {
+            labels.set(start + label.index - 1, label);
+          }
+        });
+      }
+
+      return { labels, model: modelName };
+    } catch (error) {
+      logger.warn(`Rule conflict classification failed with ${modelName}: ${error.message}`);
+      warnings.push(`Model check unavailable, classified by similarity only: ${error.message}`);
+      return null;
+    }
+  }
+
+  buildClassificationPrompt(batch) {
+    const lines = batch.map(({ ruleA, ruleB }, index) => [
+      `${index + 1}. A [${ruleA.type || 'rule'}; applies ${describeScope(ruleA.scope)}]: "${ruleA.text}"`,
+      `   B [${ruleB.type || 'rule'}; applies ${describeScope(ruleB.scope)}]: "${ruleB.text}"`
+    ].join('\n'));
+
+    return `You review the standing writing rules given to an AI that drafts government proposals.
+Each numbered pair below can apply to the same request. Decide how the two rules relate:
+- contradictory: following one means breaking the other (e.g. "be concise" vs "be exhaustive")
+- redundant: they ask for the same thing
+- overlapping: they govern the same aspect with different or partial instructions
+- compatible: both can be followed fully at once
+
+Also suggest a resolution: priority_based (one rule wins), context_specific (give them different scopes), merge (combine into one rule) or disable_one.
+
+Respond with JSON only: {"pairs": [{"index": 1, "relation": "contradictory", "explanation": "one short sentence", "resolution": "context_specific"}]}
+
+Pairs:
+${lines.join('\n')}`;
+  }
+
+  /**
+   * Tolerant parse of the model's classification JSON
+   * @returns {Array} [{ index, relation, explanation, resolution }]
+   */
+  parseClassification(rawText) {
+    const text = rawText || '';
+    const candidates = [text, (text.match(/\{[\s\S]*\}/) || [])[0], (text.match(/\[[\s\S]*\]/) || [])[0]];
+
+    for (const candidate of candidates) {
+      if (!candidate) continue;
+      try {
+        const parsed = JSON.parse(candidate);
+        const list = Array.isArray(parsed) ? parsed : parsed.pairs;
+        if (Array.isArray(list)) {
+          return list
+            .filter(item => item && Number.isInteger(Number(item.index)))
+            .map(item => ({
+              index: Number(item.index),
+              relation: typeof item.relation === 'string' ? item.relation.toLowerCase() : null,
+              explanation: typeof item.explanation === 'string' ? item.explanation : null,
+              resolution: typeof item.resolution === 'string' ? item.resolution.toLowerCase() : null
+            }))
+            .filter(item => RELATIONS.includes(item.relation));
+        }
+      } catch (error) {
+        // Try the next candidate
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Store detected conflicts not already recorded (open, or resolved for the same wording)
+   * @returns {Promise<Array>} New rule_conflicts rows
+   */
+  async storeConflicts(source, conflicts) {
+    const known = await this.conflictModel.findFingerprints(source, conflicts.map(conflict => conflict.fingerprint));
+    const created = [];
+
+    for (const conflict of conflicts) {
+      if (known.has(conflict.fingerprint)) continue;
+      known.add(conflict.fingerprint);
+      created.push(await this.conflictModel.create({
+        source,
+        ruleAKey: conflict.ruleA.key,
+        ruleBKey: conflict.ruleB.key,
+        ruleAId: conflict.ruleA.id,
+        ruleBId: conflict.ruleB.id,
+        conflictType: conflict.conflictType,
+        suggestedResolution: conflict.suggestedResolution,
+        fingerprint: conflict.fingerprint,
+        detection: conflict.detection
+      }));
+    }
+
+    return created;
+  }
+
+  // =============================================================================
+  // GLOBAL PROMPT CONFIG RULES
+  // =============================================================================
+
+  /**
+   * Re-check the config rules a save added, changed or re-enabled and drop open conflicts
+   * of rules that were removed or disabled
+   * @param {Array} previousRules - Rules before the save ([] re-checks every enabled rule)
+   * @param {Array} nextRules - Rules after the save
+   * @returns {Promise<Object>} { detected: new conflicts, open: all open conflicts, warnings }
+   */
+  async syncConfigConflicts(previousRules, nextRules, options = {}) {
+    const previous = new Map((previousRules || []).filter(rule => rule.enabled).map(rule => [String(rule.id), rule]));
+    const active = (nextRules || []).filter(rule => rule.enabled);
+
+    const changed = active.filter(rule => {
+      const before = previous.get(String(rule.id));
+      return !before || ruleSignature(before) !== ruleSignature(rule);
+    });
+    const activeKeys = new Set(active.map(rule => String(rule.id)));
+    const gone = [...previous.keys()].filter(key => !activeKeys.has(key));
+
+    await this.conflictModel.deleteOpenForRules('config', [...changed.map(rule => String(rule.id)), ...gone]);
+
+    const changedKeys = new Set(changed.map(rule => String(rule.id)));
+    const result = await this.detectConflicts(
+      changed.map(fromConfigRule),
+      active.filter(rule => !changedKeys.has(String(rule.id))).map(fromConfigRule),
+      options
+    );
+    const created = await this.storeConflicts('config', result.conflicts);
+
+    if (created.length > 0) {
+      logger.info(`Detected ${created.length} global prompt rule conflicts across ${result.pairsChecked} rule pairs`);
+    }
+
+    const rulesByKey = this.rulesByKey(nextRules);
+    return {
+      detected: created.map(row => this.formatConflict(row, rulesByKey)),
+      open: await this.listConflicts({ status: 'open' }, nextRules),
+      warnings: result.warnings
+    };
+  }
+
+  /**
+   * Check a draft rule against the other enabled rules without storing anything
+   * @param {Object} rule - Config rule being added or edited
+   * @param {Array} rules - Current rules (defaults to the saved configuration)
+   * @returns {Promise<Object>} { conflicts: [{ conflictType, suggestedResolution, detection, rule }], warnings }
+   */
+  async checkConfigRule(rule, rules = null, options = {}) {
+    if (!rule || !String(rule.rule || '').trim()) {
+      throw serviceError('Rule text is required', 400);
+    }
+
+    const currentRules = rules || (await this.promptCompiler.getActiveConfig()).rules || [];
+    const draft = fromConfigRule({ ...rule, id: rule.id || 'draft' });
+    const others = currentRules
+      .filter(other => other.enabled && String(other.id) !== draft.key)
+      .map(fromConfigRule);
+
+    const result = await this.detectConflicts([draft], others, options);
+    const rulesByKey = this.rulesByKey(currentRules);
+
+    return {
+      conflicts: result.conflicts.map(conflict => ({
+        conflictType: conflict.conflictType,
+        suggestedResolution: conflict.suggestedResolution,
+        detection: conflict.detection,
+        rule: this.describeRule(conflict.ruleB.key, rulesByKey, conflict.detection.ruleB)
+      })),
+      warnings: result.warnings
+    };
+  }
+
+  /**
+   * Conflicts among the config rules, with each rule's current text
+   * @param {Object} filters - { status: 'open' | 'resolved' | 'all' }
+   * @param {Array} rules - Current rules (defaults to the saved configuration)
+   */
+  async listConflicts(filters = {}, rules = null) {
+    const currentRules = rules || (await this.promptCompiler.getActiveConfig()).rules || [];
+    const rows = await this.conflictModel.list({ source: 'config', status: filters.status || 'open' });
+    const rulesByKey = this.rulesByKey(currentRules);
+    return rows.map(row => this.formatConflict(row, rulesByKey));
+  }
+
+  /**
+   * Resolve a conflict and apply the resolution to the rules
+   * @param {number} conflictId - rule_conflicts id
+   * @param {Object} data - { resolution, winnerKey (priority_based), disableKey (disable_one),
+   *   keepKey + mergedText (merge), scopes: { [ruleKey]: scope } (context_specific), note }
+   * @returns {Promise<Object>} { conflict, before, rules, followUp }
+   */
+  async resolveConflict(conflictId, data, userId = null) {
+    const row = await this.conflictModel.findById(conflictId);
+    if (!row) {
+      throw serviceError('Conflict not found', 404);
+    }
+    if (row.is_resolved) {
+      throw serviceError('This conflict has already been resolved', 409);
+    }
+    if (!RESOLUTIONS.includes(data.resolution)) {
+      throw serviceError(`Resolution must be one of: ${RESOLUTIONS.join(', ')}`, 400);
+    }
+    if (row.source !== 'config') {
+      throw serviceError('Only conflicts between AI writing standards rules can be resolved here', 400);
+    }
+
+    const config = await this.promptCompiler.getActiveConfig();
+    if (!config.id) {
+      throw serviceError('Save the global prompt configuration before resolving conflicts', 409);
+    }
+
+    const before = config.rules || [];
+    const { rules, resolutionData } = this.applyResolution(before, row, data);
+    const changed = JSON.stringify(rules) !== JSON.stringify(before);
+
+    const client = await this.promptCompiler.pool.connect();
+    let resolved;
+    try {
+      await client.query('BEGIN');
+      resolved = await this.conflictModel.markResolved(row.id, {
+        resolution: data.resolution,
+        resolutionData: { ...resolutionData, note: data.note || null }
+      }, userId, client);
+      if (changed) {
+        await this.promptCompiler.saveRules(config.id, rules, userId, client);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // Edited rules may now conflict with others; the resolution itself stands either way
+    let followUp = null;
+    if (changed) {
+      try {
+        followUp = await this.syncConfigConflicts(before, rules);
+      } catch (error) {
+        logger.warn(`Could not re-check rules after resolving conflict ${row.id}: ${error.message}`);
+      }
+    }
+
+    return {
+      conflict: this.formatConflict(resolved, this.rulesByKey(rules)),
+      before,
+      rules,
+      followUp
+    };
+  }
+
+  /**
+   * Rules after applying a resolution to a conflicting pair
+   * @returns {Object} { rules, resolutionData }
+   */
+  applyResolution(currentRules, row, data) {
+    const rules = currentRules.map(rule => ({ ...rule }));
+    const pairKeys = [row.rule_a_key, row.rule_b_key];
+    const find = key => rules.find(rule => String(rule.id) === String(key));
+    const ruleA = find(row.rule_a_key);
+    const ruleB = find(row.rule_b_key);
+
+    if (data.resolution !== 'dismissed' && (!ruleA || !ruleB)) {
+      throw serviceError('One of the conflicting rules no longer exists; dismiss the conflict instead', 409);
+    }
+
+    const requirePairKey = (key, label) => {
+      if (!pairKeys.includes(String(key))) {
+        throw serviceError(`${label} must be one of the two conflicting rules`, 400);
+      }
+      return String(key);
+    };
+
+    switch (data.resolution) {
+      case 'priority_based': {
+        const winnerKey = requirePairKey(data.winnerKey, 'winnerKey');
+        const loserKey = pairKeys.find(key => key !== winnerKey);
+        const winner = find(winnerKey);
+        const loser = find(loserKey);
+        winner.overrides = [...new Set([...(winner.overrides || []), loserKey])];
+        loser.overrides = (loser.overrides || []).filter(key => key !== winnerKey);
+        return { rules, resolutionData: { winnerKey, loserKey } };
+      }
+
+      case 'disable_one': {
+        const disableKey = requirePairKey(data.disableKey, 'disableKey');
+        find(disableKey).enabled = false;
+        return { rules, resolutionData: { disabledKey: disableKey } };
+      }
+
+      case 'merge': {
+        const keepKey = requirePairKey(data.keepKey || row.rule_a_key, 'keepKey');
+        const removeKey = pairKeys.find(key => key !== keepKey);
+        const mergedText = String(data.mergedText || '').trim();
+        if (!mergedText) {
+          throw serviceError('mergedText is required to merge two rules', 400);
+        }
+        if (mergedText.length > MAX_RULE_LENGTH) {
+          throw serviceError(`Merged rule text must be less than ${MAX_RULE_LENGTH} characters`, 400);
+        }
+
+        const kept = find(keepKey);
+        const removed = find(removeKey);
+        const mergedRules = rules
+          .filter(rule => String(rule.id) !== removeKey)
+          .map(rule => ({
+            ...rule,
+            overrides: rule.overrides ? rule.overrides.filter(key => key !== removeKey) : rule.overrides
+          }));
+        const merged = mergedRules.find(rule => String(rule.id) === keepKey);
+        merged.rule = mergedText;
+        if (kept.type === 'forbidden' || removed.type === 'forbidden') {
+          merged.words = [...new Set([...(kept.words || []), ...(removed.words || [])])];
+        }
+        merged.overrides = [...new Set([...(merged.overrides || []), ...(removed.overrides || [])])].filter(key => key !== keepKey);
+
+        return {
+          rules: mergedRules.map((rule, index) => ({ ...rule, order: index + 1 })),
+          resolutionData: { keptKey: keepKey, removedKey: removeKey, removedRule: removed.rule, previousText: kept.rule }
+        };
+      }
+
+      case 'context_specific': {
+        const scopes = data.scopes || {};
+        const scopeA = normalizeScope(scopes[row.rule_a_key] || ruleA.scope);
+        const scopeB = normalizeScope(scopes[row.rule_b_key] || ruleB.scope);
+        if (scopesOverlap(scopeA, scopeB)) {
+          throw serviceError('The new scopes still overlap; give the rules different personas, section types or document types', 400);
+        }
+        ruleA.scope = scopeA;
+        ruleB.scope = scopeB;
+        return { rules, resolutionData: { scopes: { [row.rule_a_key]: scopeA, [row.rule_b_key]: scopeB } } };
+      }
+
+      default:
+        return { rules, resolutionData: {} };
+    }
+  }
+
+  // =============================================================================
+  // LAYERED RULES (global_prompt_rules)
+  // =============================================================================
+
+  /**
+   * Re-check one global_prompt_rules row against the other active rows and store conflicts
+   * @param {Object} row - Saved rule row
+   * @param {Array} activeRows - Active rules
+   * @returns {Promise<Array>} New rule_conflicts rows
+   */
+  async syncLayeredRule(row, activeRows) {
+    await this.conflictModel.deleteOpenForRules('layered', [String(row.id)]);
+    if (!row.is_active) return [];
+
+    const others = activeRows.filter(other => other.id !== row.id).map(fromLayeredRule);
+    const result = await this.detectConflicts([fromLayeredRule(row)], others);
+    return this.storeConflicts('layered', result.conflicts);
+  }
+
+  // =============================================================================
+  // FORMATTING
+  // =============================================================================
+
+  rulesByKey(rules) {
+    return new Map((rules || []).map(rule => [String(rule.id), rule]));
+  }
+
+  /**
+   * A rule as shown next to a conflict: its current text, or the detected text if it is gone
+   */
+  describeRule(key, rulesByKey, snapshot = {}) {
+    const rule = rulesByKey.get(String(key));
+    return {
+      key: String(key),
+      exists: Boolean(rule),
+      text: rule ? rule.rule : snapshot.text || null,
+      type: rule ? rule.type : null,
+      enabled: rule ? Boolean(rule.enabled) : false,
+      scope: normalizeScope(rule ? rule.scope : snapshot.scope)
+    };
+  }
+
+  formatConflict(row, rulesByKey = new Map()) {
+    const detection = row.detection || {};
+    const resolutionData = row.resolution_data || {};
+    return {
+      id: row.id,
+      source: row.source,
+      conflictType: row.conflict_type,
+      status: row.is_resolved ? 'resolved' : 'open',
+      suggestedResolution: row.is_resolved ? null : row.resolution,
+      resolution: row.is_resolved ? row.resolution : null,
+      resolutionData: row.is_resolved ? resolutionData : null,
+      ruleA: this.describeRule(row.rule_a_key, rulesByKey, detection.ruleA),
+      ruleB: this.describeRule(row.rule_b_key, rulesByKey, detection.ruleB),
+      detection: {
+        lexical: detection.lexical ?? null,
+        embedding: detection.embedding ?? null,
+        opposing: detection.opposing || [],
+        methods: detection.methods || [],
+        explanation: detection.explanation || null,
+        model: detection.model || null
+      },
+      detectedAt: row.detected_at,
+      resolvedAt: row.resolved_at || null,
+      resolvedBy: row.resolved_by_username || row.resolved_by || null
+    };
+  }
+}
+
+PromptRuleConflictService.fromConfigRule = fromConfigRule;
+PromptRuleConflictService.fromLayeredRule = fromLayeredRule;
+PromptRuleConflictService.classifyByScores = classifyByScores;
+
+module.exports = PromptRuleConflictService;
@@ -0,0 +1,731 @@
+/**
+ * Prompt Template Service
+ * Reusable section prompt templates with immutable versions and typed {{VARIABLES}}, and A/B
+ * experiments: while an experiment runs for a section type, each generation of that type is
+ * randomly assigned one of its template versions. Writers rate generations and their saved
+ * edits are measured against the generated text, so variants can be compared on both.
+ */
+
+const PromptTemplate = require('../models/PromptTemplate');
+const PromptCompilerService = require('./PromptCompilerService');
+const { isAdmin } = require('./PermissionService');
+const logger = require('../utils/logger');
+const { scopeValue } = require('../utils/ruleConflicts');
+const { editDistance } = require('../utils/textDiff');
+const {
+  BUILTIN_VARIABLES,
+  VARIABLE_TYPES,
+  validateTemplate,
+  requiredInputs,
+  renderTemplate,
+  pickWeighted,
+  welchTest
+} = require('../utils/promptTemplates');
+
+const TEMPLATE_TYPES = ['section_generation', 'content_improvement', 'analysis'];
+const { EXPERIMENT_STATUSES } = PromptTemplate;
+
+// Status an experiment action moves to, and the statuses it can move from
+const EXPERIMENT_ACTIONS = {
+  start: { to: 'running', from: ['draft', 'paused'] },
+  pause: { to: 'paused', from: ['running'] },
+  complete: { to: 'completed', from: ['running', 'paused'] }
+};
+
+const MAX_VARIANTS = 4;
+const MAX_WEIGHT = 100;
+const VARIANT_LABELS = ['A', 'B', 'C', 'D'];
+
+// Ratings (or edited generations) each variant needs before a difference is called significant
+const MIN_SAMPLE_SIZE = 10;
+const SIGNIFICANCE_LEVEL = 0.05;
+
+function serviceError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function toNumber(value, digits = null) {
+  if (value === null || value === undefined) return null;
+  const number = Number(value);
+  return digits === null ? number : Math.round(number * 10 ** digits) / 10 ** digits;
+}
+
+function normalizeList(values, normalize = value => String(value).trim()) {
+  return Array.isArray(values) ? [...new Set(values.map(normalize).filter(Boolean))] : [];
+}
+
+class PromptTemplateService {
+  constructor(options = {}) {
+    this.templateModel = options.templateModel || new PromptTemplate();
+    this.promptCompiler = options.promptCompiler || new PromptCompilerService();
+    // Injectable for deterministic variant assignment in tests
+    this.random = options.random || Math.random;
+  }
+
+  // ===========================================================================
+  // Templates
+  // ===========================================================================
+
+  /**
+   * @param {Object} filters - { sectionType, templateType, includeInactive }
+   */
+  async listTemplates(filters = {}) {
+    const rows = await this.templateModel.listTemplates({
+      ...filters,
+      sectionType: filters.sectionType ? scopeValue(filters.sectionType) : null
+    });
+    return rows.map(row => this.formatTemplate(row));
+  }
+
+  /**
+   * A template with its current text and version history
+   */
+  async getTemplate(id) {
+    const row = await this.templateModel.getTemplate(id);
+    if (!row) {
+      return null;
+    }
+    const versions = await this.templateModel.listVersions(id);
+    return { ...this.formatTemplate(row), versions: versions.map(version => this.formatVersion(version)) };
+  }
+
+  /**
+   * Create a template and its first version
+   * @param {Object} data - { name, templateType, description, sectionTypes, personas, body, variables, changeNote }
+   * @returns {Promise<Object>} { template, warnings }
+   */
+  async createTemplate(data, userId = null) {
+    const settings = this.validateSettings(data, true);
+    const version = this.validateVersion(data);
+
+    let templateId;
+    try {
+      templateId = await this.templateModel.createTemplate(settings, version, userId);
+    } catch (error) {
+      throw this.duplicateNameError(error, settings.name);
+    }
+
+    logger.info(`Created prompt template ${templateId} "${settings.name}"`);
+    return { template: await this.getTemplate(templateId), warnings: version.warnings };
+  }
+
+  /**
+   * Update a template's settings; a changed body or variable list is saved as a new version
+   * @returns {Promise<Object|null>} { template, newVersion, warnings }
+   */
+  async updateTemplate(id, data, userId = null) {
+    const current = await this.templateModel.getTemplate(id);
+    if (!current) {
+      return null;
+    }
+
+    const settings = this.validateSettings(data, false);
+    if (Object.keys(settings).length > 0) {
+      try {
+        await this.templateModel.updateTemplate(id, settings, userId);
+      } catch (error) {
+        throw this.duplicateNameError(error, settings.name);
+      }
+    }
+
+    let newVersion = null;
+    let warnings = [];
+    if (data.body !== undefined || data.variables !== undefined) {
+      const version = this.validateVersion({
+        body: data.body !== undefined ? data.body : current.body,
+        variables: data.variables !== undefined ? data.variables : current.variables,
+        changeNote: data.changeNote
+      });
+      warnings = version.warnings;
+
+      // Stored variables come back from JSONB with their keys reordered; compare normalized
+      const stored = this.validateVersion({ body: current.body, variables: current.variables || [] });
+      const unchanged = version.body === stored.body &&
+        JSON.stringify(version.variables) === JSON.stringify(stored.variables);
+      if (!unchanged) {
+        newVersion = this.formatVersion(await this.templateModel.addVersion(id, version, userId));
+        logger.info(`Prompt template ${id} is now at version ${newVersion.versionNumber}`);
+      }
+    }
+
+    return { template: await this.getTemplate(id), newVersion, warnings };
+  }
+
+  validateSettings(data, creating) {
+    const settings = {};
+
+    if (creating || data.name !== undefined) {
+      const name = String(data.name || '').trim();
+      if (!name || name.length > 100) {
+        throw serviceError('Template name is required (100 characters at most)', 400);
+      }
+      settings.name = name;
+    }
+    if (creating || data.templateType !== undefined) {
+      const templateType = data.templateType || 'section_generation';
+      if (!TEMPLATE_TYPES.includes(templateType)) {
+        throw serviceError(`Invalid templateType. Must be one of: ${TEMPLATE_TYPES.join(', ')}`, 400);
+      }
+      settings.templateType = templateType;
+    }
+    if (data.description !== undefined) {
+      settings.description = data.description || null;
+    }
+    if (data.sectionTypes !== undefined) {
+      settings.sectionTypes = normalizeList(data.sectionTypes, scopeValue);
+    }
+    if (data.personas !== undefined) {
+      settings.personas = normalizeList(data.personas);
+    }
+    if (data.isActive !== undefined) {
+      settings.isActive = Boolean(data.isActive);
+    }
+
+    return settings;
+  }
+
+  /**
+   * Check a version's body and typed variables
+   * @returns {Object} { body, variables, changeNote, warnings }
+   */
+  validateVersion(data) {
+    const body = typeof data.body === 'string' ? data.body.trim() : '';
+    const variables = Array.isArray(data.variables)
+      ? data.variables.map(variable => variable || {}).map(variable => ({
+        name: variable.name,
+        type: variable.type || 'text',
+        required: Boolean(variable.required),
+        default: variable.default ?? null,
+        options: variable.type === 'enum' ? normalizeList(variable.options) : undefined,
+        description: variable.description || null
+      }))
+      : data.variables;
+
+    const { errors, warnings } = validateTemplate(body, variables || []);
+    if (errors.length > 0) {
+      throw serviceError(`Invalid template: ${errors.join('; ')}`, 400);
+    }
+
+    return { body, variables: variables || [], changeNote: data.changeNote || null, warnings };
+  }
+
+  duplicateNameError(error, name) {
+    return error.code === '23505'
+      ? serviceError(`A template named "${name}" already exists`, 409)
+      : error;
+  }
+
+  // ===========================================================================
+  // Rendering and assignment
+  // ===========================================================================
+
+  /**
+   * Values of the built-in placeholders for a generation
+   * @param {Object} context - { prompt, sectionType, documentType, project, user }
+   */
+  async resolveBuiltins(context = {}) {
+    const builtins = {
+      USER_INPUT: context.prompt || '',
+      SECTION_TYPE: context.sectionType || '',
+      DOCUMENT_TYPE: context.documentType || ''
+    };
+
+    for (const [name, source] of Object.entries(BUILTIN_VARIABLES)) {
+      if (source !== 'generation') {
+        builtins[name] = await this.promptCompiler.resolveVariable({ key: `{{${name}}}`, source }, context) || '';
+      }
+    }
+    return builtins;
+  }
+
+  /**
+   * Render a template version (or a draft body) with variable values
+   * @param {Object} version - { body, variables }
+   * @param {Object} values - Values by variable name
+   * @param {Object} context - Generation context for the built-ins
+   */
+  async renderVersion(version, values = {}, context = {}) {
+    return renderTemplate(version.body, version.variables || [], values, await this.resolveBuiltins(context));
+  }
+
+  /**
+   * Template version a generation should use: the requested template's current version, or
+   * a randomly assigned variant of the experiment running for the section type
+   * @param {Object} request - { templateId, sectionType }
+   * @returns {Promise<Object|null>} Assignment, or null to generate without a template
+   */
+  async selectTemplate({ templateId = null, sectionType = null } = {}) {
+    if (templateId) {
+      const template = await this.templateModel.getTemplate(templateId);
+      if (!template || !template.version_id) {
+        throw serviceError('Prompt template not found', 404);
+      }
+      if (!template.is_active) {
+        throw serviceError(`Prompt template "${template.template_name}" is archived`, 400);
+      }
+      return {
+        templateId: template.id,
+        templateName: template.template_name,
+        versionId: template.version_id,
+        versionNumber: template.current_version,
+        body: template.body,
+        variables: template.variables || [],
+        experimentId: null,
+        variantId: null,
+        variantLabel: null
+      };
+    }
+
+    const normalizedType = scopeValue(sectionType);
+    if (!normalizedType) {
+      return null;
+    }
+
+    const experiment = await this.templateModel.findRunningExperiment(normalizedType);
+    if (!experiment) {
+      return null;
+    }
+
+    const variant = pickWeighted(await this.templateModel.listVariants(experiment.id), this.random);
+    if (!variant) {
+      return null;
+    }
+
+    return {
+      templateId: variant.template_id,
+      templateName: variant.template_name,
+      versionId: variant.template_version_id,
+      versionNumber: variant.version_number,
+      body: variant.body,
+      variables: variant.variables || [],
+      experimentId: experiment.id,
+      variantId: variant.id,
+      variantLabel: variant.label
+    };
+  }
+
+  /**
+   * Turn a writer's prompt into the templated request for the model
+   * A requested template must render (400 otherwise); a failed experiment assignment is
+   * logged and the generation goes ahead without a template.
+   * @param {string} prompt - Writer's prompt
+   * @param {Object} requirements - { promptTemplateId, templateVariables, sectionType }
+   * @param {Object} context - { documentType, project, user }
+   * @returns {Promise<Object|null>} { text, assignment } or null
+   */
+  async prepareGeneration(prompt, requirements = {}, context = {}) {
+    const explicit = Boolean(requirements.promptTemplateId);
+    let assignment;
+    try {
+      assignment = await this.selectTemplate({
+        templateId: requirements.promptTemplateId || null,
+        sectionType: requirements.sectionType
+      });
+    } catch (error) {
+      if (explicit) throw error;
+      logger.warn(`Prompt experiment assignment failed, generating without a template: ${error.message}`);
+      return null;
+    }
+    if (!assignment) {
+      return null;
+    }
+
+    const rendered = await this.renderVersion(assignment, requirements.templateVariables || {}, {
+      ...context,
+      prompt,
+      sectionType: requirements.sectionType
+    });
+    const problems = [
+      ...rendered.missing.map(name => `${name} is required`),
+      ...rendered.errors
+    ];
+    if (problems.length > 0) {
+      if (explicit) {
+        throw serviceError(`Template "${assignment.templateName}": ${problems.join('; ')}`, 400);
+      }
+      logger.warn(`Experiment ${assignment.experimentId} variant ${assignment.variantLabel} did not render (${problems.join('; ')}); generating without a template`);
+      return null;
+    }
+
+    // Templates place the writer's prompt with {{USER_INPUT}}; otherwise it follows the template
+    const usesInput = (assignment.body || '').match(/\{\{\s*USER_INPUT\s*\}\}/);
+    const { body, variables, ...summary } = assignment;
+    return {
+      text: usesInput ? rendered.text.trim() : `${rendered.text.trim()}\n\n${prompt}`,
+      assignment: summary
+    };
+  }
+
+  // ===========================================================================
+  // Generations, ratings and edits
+  // ===========================================================================
+
+  /**
+   * Store a generation written with a template
+   * @param {Object} assignment - From prepareGeneration
+   * @param {Object} result - AIWritingService generation result
+   * @param {Object} details - { sectionType, sectionId, userId, generationTimeMs }
+   * @returns {Promise<number>} Generation ID
+   */
+  async recordGeneration(assignment, result, details = {}) {
+    const generation = await this.templateModel.createGeneration({
+      templateVersionId: assignment.versionId,
+      experimentId: assignment.experimentId,
+      variantId: assignment.variantId,
+      sectionType: scopeValue(details.sectionType) || null,
+      sectionId: details.sectionId,
+      userId: details.userId,
+      model: result.model,
+      content: result.content,
+      wordCount: result.wordCount,
+      generationTimeMs: details.generationTimeMs
+    });
+    await this.templateModel.incrementUsage(assignment.templateId);
+    return generation.id;
+  }
+
+  /**
+   * Rate a generation (1-5), optionally with the text the writer kept
+   * Writers rate their own generations; admins any.
+   * @param {Object} feedback - { rating, comment, finalContent }
+   * @param {Object} user - req.user
+   */
+  async rateGeneration(id, feedback, user) {
+    const rating = Number(feedback.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      throw serviceError('Rating must be a whole number from 1 to 5', 400);
+    }
+
+    const generation = await this.templateModel.getGeneration(id);
+    if (!generation) {
+      throw serviceError('Generation not found', 404);
+    }
+    if (!isAdmin(user) && generation.user_id !== user.id) {
+      throw serviceError('You can only rate your own generations', 403);
+    }
+
+    let updated = await this.templateModel.rateGeneration(id, {
+      rating,
+      comment: feedback.comment ? String(feedback.comment).slice(0, 2000) : null
+    }, user.id);
+
+    if (typeof feedback.finalContent === 'string') {
+      updated = await this.recordEdit(id, feedback.finalContent, generation);
+    }
+
+    return this.formatGeneration(updated);
+  }
+
+  /**
+   * Measure the writer's current text against a generation
+   * @param {Object} generation - Row, when already loaded
+   */
+  async recordEdit(id, finalContent, generation = null) {
+    const source = generation || await this.templateModel.getGeneration(id);
+    if (!source) {
+      return null;
+    }
+    return await this.templateModel.recordEdit(id, editDistance(source.content, finalContent));
+  }
+
+  // ===========================================================================
+  // Experiments
+  // ===========================================================================
+
+  async listExperiments(filters = {}) {
+    const rows = await this.templateModel.listExperiments({
+      status: filters.status || null,
+      sectionType: filters.sectionType ? scopeValue(filters.sectionType) : null
+    });
+    return rows.map(row => this.formatExperiment(row));
+  }
+
+  async getExperiment(id) {
+    const experiment = await this.templateModel.getExperiment(id);
+    if (!experiment) {
+      return null;
+    }
+    const variants = await this.templateModel.listVariants(id);
+    return this.formatExperiment(experiment, variants);
+  }
+
+  /**
+   * Create a draft experiment
+   * @param {Object} data - { name, description, sectionType, variants: [{ templateVersionId, weight }] }
+   */
+  async createExperiment(data, userId = null) {
+    const name = String(data.name || '').trim();
+    if (!name || name.length > 200) {
+      throw serviceError('Experiment name is required (200 characters at most)', 400);
+    }
+    const sectionType = scopeValue(data.sectionType);
+    if (!sectionType) {
+      throw serviceError('sectionType is required', 400);
+    }
+
+    const variants = Array.isArray(data.variants) ? data.variants : [];
+    if (variants.length < 2 || variants.length > MAX_VARIANTS) {
+      throw serviceError(`An experiment compares 2 to ${MAX_VARIANTS} template versions`, 400);
+    }
+
+    const versionIds = variants.map(variant => parseInt(variant.templateVersionId));
+    if (versionIds.some(id => !id) || new Set(versionIds).size !== versionIds.length) {
+      throw serviceError('Each variant needs a different templateVersionId', 400);
+    }
+
+    const prepared = [];
+    for (const [index, variant] of variants.entries()) {
+      const version = await this.templateModel.getVersion(versionIds[index]);
+      if (!version) {
+        throw serviceError(`Template version ${versionIds[index]} not found`, 404);
+      }
+      const sections = version.applicable_sections || [];
+      if (sections.length > 0 && !sections.includes(sectionType)) {
+        throw serviceError(`Template "${version.template_name}" does not apply to ${sectionType} sections`, 400);
+      }
+
+      const weight = variant.weight === undefined ? 1 : Number(variant.weight);
+      if (!Number.isInteger(weight) || weight < 1 || weight > MAX_WEIGHT) {
+        throw serviceError(`Variant weights must be whole numbers from 1 to ${MAX_WEIGHT}`, 400);
+      }
+
+      prepared.push({ label: VARIANT_LABELS[index], templateVersionId: version.id, weight });
+    }
+
+    const experimentId = await this.templateModel.createExperiment({
+      name,
+      description: data.description || null,
+      sectionType
+    }, prepared, userId);
+
+    logger.info(`Created prompt experiment ${experimentId} for ${sectionType} with ${prepared.length} variants`);
+    return await this.getExperiment(experimentId);
+  }
+
+  /**
+   * Start, pause or complete an experiment
+   * Writers cannot see which variant they got, so every variant must render without their
+   * input before it starts; one experiment runs per section type.
+   * @param {string} action - start, pause or complete
+   * @param {Object} options - { winnerVariantId } when completing
+   */
+  async changeExperimentStatus(id, action, options = {}) {
+    const transition = EXPERIMENT_ACTIONS[action];
+    if (!transition) {
+      throw serviceError(`Invalid action. Must be one of: ${Object.keys(EXPERIMENT_ACTIONS).join(', ')}`, 400);
+    }
+
+    const experiment = await this.templateModel.getExperiment(id);
+    if (!experiment) {
+      throw serviceError('Experiment not found', 404);
+    }
+    if (!transition.from.includes(experiment.status)) {
+      throw serviceError(`Cannot ${action} a ${experiment.status} experiment`, 409);
+    }
+
+    const variants = await this.templateModel.listVariants(id);
+
+    if (action === 'start') {
+      const needsInput = variants
+        .map(variant => ({ label: variant.label, names: requiredInputs(variant.variables || []) }))
+        .filter(variant => variant.names.length > 0);
+      if (needsInput.length > 0) {
+        throw serviceError(
+          `Give these variables defaults before starting: ${needsInput.map(variant => `${variant.label} (${variant.names.join(', ')})`).join('; ')}`,
+          400
+        );
+      }
+
+      const running = await this.templateModel.findRunningExperiment(experiment.section_type);
+      if (running && running.id !== experiment.id) {
+        throw serviceError(`Experiment "${running.name}" is already running for ${experiment.section_type} sections`, 409);
+      }
+    }
+
+    const winnerVariantId = options.winnerVariantId ? parseInt(options.winnerVariantId) : null;
+    if (action === 'complete' && winnerVariantId && !variants.some(variant => variant.id === winnerVariantId)) {
+      throw serviceError('winnerVariantId must be one of the experiment\'s variants', 400);
+    }
+
+    let updated;
+    try {
+      updated = await this.templateModel.updateExperimentStatus(id, transition.to, { winnerVariantId });
+    } catch (error) {
+      // Another experiment for the section type started in the meantime
+      if (error.code === '23505') {
+        throw serviceError(`Another experiment is already running for ${experiment.section_type} sections`, 409);
+      }
+      throw error;
+    }
+
+    logger.info(`Prompt experiment ${id} is now ${updated.status}`);
+    return this.formatExperiment(updated, variants);
+  }
+
+  /**
+   * Variants side by side with ratings and edit distance; each later variant is compared
+   * with the first (the control) by Welch's t-test
+   */
+  async getExperimentResults(id) {
+    const experiment = await this.getExperiment(id);
+    if (!experiment) {
+      return null;
+    }
+
+    const rows = await this.templateModel.getVariantResults(id);
+    const variants = rows.map(row => ({
+      variantId: row.variant_id,
+      label: row.label,
+      weight: row.weight,
+      templateId: row.template_id,
+      templateName: row.template_name,
+      templateVersionId: row.template_version_id,
+      versionNumber: row.version_number,
+      generations: toNumber(row.generations),
+      rating: {
+        count: toNumber(row.ratings),
+        mean: toNumber(row.rating_mean, 2),
+        stddev: toNumber(row.rating_stddev, 2),
+        distribution: [1, 2, 3, 4, 5].map(score => toNumber(row[`rating_${score}`]))
+      },
+      editRatio: {
+        count: toNumber(row.edited),
+        mean: toNumber(row.edit_ratio_mean, 4),
+        stddev: toNumber(row.edit_ratio_stddev, 4)
+      },
+      editDistanceMean: toNumber(row.edit_distance_mean, 1),
+      wordCountMean: toNumber(row.word_count_mean, 0),
+      generationTimeMean: toNumber(row.generation_time_mean, 0),
+      isWinner: experiment.winnerVariantId === row.variant_id
+    }));
+
+    const control = variants[0];
+    variants.slice(1).forEach(variant => {
+      variant.comparison = {
+        rating: this.compareMetric(control.rating, variant.rating),
+        editRatio: this.compareMetric(control.editRatio, variant.editRatio)
+      };
+    });
+
+    return {
+      experiment,
+      variants,
+      control: control ? control.label : null,
+      minSampleSize: MIN_SAMPLE_SIZE,
+      significanceLevel: SIGNIFICANCE_LEVEL
+    };
+  }
+
+  /**
+   * Difference of a variant from the control on one metric
+   * @returns {Object} { difference, pValue, significant, enoughData }
+   */
+  compareMetric(control, variant) {
+    const test = welchTest(
+      { n: control.count, mean: control.mean, stddev: control.stddev },
+      { n: variant.count, mean: variant.mean, stddev: variant.stddev }
+    );
+    const enoughData = control.count >= MIN_SAMPLE_SIZE && variant.count >= MIN_SAMPLE_SIZE;
+
+    return {
+      difference: test ? toNumber(test.difference, 4) : null,
+      pValue: test ? toNumber(test.pValue, 4) : null,
+      significant: Boolean(test && enoughData && test.pValue < SIGNIFICANCE_LEVEL),
+      enoughData
+    };
+  }
+
+  // ===========================================================================
+  // Formatting
+  // ===========================================================================
+
+  formatTemplate(row) {
+    return {
+      id: row.id,
+      name: row.template_name,
+      templateType: row.template_type,
+      description: row.description,
+      sectionTypes: row.applicable_sections || [],
+      personas: row.applicable_personas || [],
+      isActive: row.is_active,
+      usageCount: row.usage_count,
+      currentVersion: row.current_version,
+      versionId: row.version_id,
+      body: row.body,
+      variables: row.variables || [],
+      createdBy: row.created_by_username || null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatVersion(row) {
+    return {
+      id: row.id,
+      templateId: row.template_id,
+      versionNumber: row.version_number,
+      body: row.body,
+      variables: row.variables || [],
+      changeNote: row.change_note,
+      generationCount: row.generation_count !== undefined ? toNumber(row.generation_count) : undefined,
+      createdBy: row.created_by_username || null,
+      createdAt: row.created_at
+    };
+  }
+
+  formatExperiment(row, variants = null) {
+    const experiment = {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      sectionType: row.section_type,
+      status: row.status,
+      winnerVariantId: row.winner_variant_id,
+      generationCount: row.generation_count !== undefined ? toNumber(row.generation_count) : undefined,
+      startedAt: row.started_at,
+      endedAt: row.ended_at,
+      createdBy: row.created_by_username || null,
+      createdAt: row.created_at
+    };
+
+    if (variants) {
+      experiment.variants = variants.map(variant => ({
+        id: variant.id,
+        label: variant.label,
+        weight: variant.weight,
+        templateId: variant.template_id,
+        templateName: variant.template_name,
+        templateVersionId: variant.template_version_id,
+        versionNumber: variant.version_number
+      }));
+    }
+
+    return experiment;
+  }
+
+  formatGeneration(row) {
+    return {
+      id: row.id,
+      templateVersionId: row.template_version_id,
+      experimentId: row.experiment_id,
+      sectionType: row.section_type,
+      sectionId: row.section_id,
+      rating: row.rating,
+      ratingComment: row.rating_comment,
+      ratedAt: row.rated_at,
+      editDistance: row.edit_distance,
+      editRatio: toNumber(row.edit_ratio),
+      editedAt: row.edited_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+PromptTemplateService.TEMPLATE_TYPES = TEMPLATE_TYPES;
+PromptTemplateService.VARIABLE_TYPES = VARIABLE_TYPES;
+PromptTemplateService.BUILTIN_VARIABLES = BUILTIN_VARIABLES;
+PromptTemplateService.EXPERIMENT_STATUSES = EXPERIMENT_STATUSES;
+
+module.exports = PromptTemplateService;
@@ -0,0 +1,304 @@
+/**
+ * Proposal Draft Service
+ * Server-side persistence of proposal sections with version history, diff and restore
+ */
+
+const logger = require('../utils/logger');
+const ProposalDraft = require('../models/ProposalDraft');
+const ComplianceMatrixService = require('./ComplianceMatrixService');
+const PromptTemplateService = require('./PromptTemplateService');
+const { diffText } = require('../utils/textDiff');
+
+class ProposalDraftService {
+  constructor(options = {}) {
+    this.draftModel = options.draftModel || new ProposalDraft();
+    this.complianceMatrixService = options.complianceMatrixService || null;
+    this.promptTemplateService = options.promptTemplateService || null;
+  }
+
+  getComplianceMatrixService() {
+    if (!this.complianceMatrixService) {
+      this.complianceMatrixService = new ComplianceMatrixService({ draftModel: this.draftModel });
+    }
+    return this.complianceMatrixService;
+  }
+
+  getPromptTemplateService() {
+    if (!this.promptTemplateService) {
+      this.promptTemplateService = new PromptTemplateService();
+    }
+    return this.promptTemplateService;
+  }
+
+  /**
+   * Get a project's draft with its section list, creating the draft on first use
+   * @param {string} projectName - Project name
+   * @param {string} documentType - Document type key
+   * @param {number} userId - Requesting user
+   */
+  async getProjectDraft(projectName, documentType = 'solicitations', userId = null) {
+    const draft = await this.draftModel.getOrCreateDraft(projectName, documentType.toLowerCase(), userId);
+    const sections = await this.draftModel.listSections(draft.id);
+    return { ...draft, sections };
+  }
+
+  async getDraft(draftId) {
+    const draft = await this.draftModel.getDraft(draftId);
+    if (!draft) {
+      return null;
+    }
+    return { ...draft, sections: await this.draftModel.listSections(draftId) };
+  }
+
+  /**
+   * Create a section, optionally seeded with initial content (stored as version 1)
+   */
+  async createSection(draftId, section, userId = null) {
+    if (!section.title) {
+      const error = new Error('Section title is required');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const draft = await this.draftModel.getDraft(draftId);
+    if (!draft) {
+      return null;
+    }
+
+    const created = await this.draftModel.createSection(draftId, section, userId);
+
+    if (section.content) {
+      await this.draftModel.addVersion(created.id, {
+        content: section.content,
+        source: section.source || 'human',
+        model: section.model,
+        prompt: section.prompt
+      }, userId);
+      return await this.draftModel.getSection(created.id);
+    }
+
+    return created;
+  }
+
+  async getSection(sectionId) {
+    return await this.draftModel.getSection(sectionId);
+  }
+
+  /**
+   * Project a draft, or a section's draft, belongs to (for access checks)
+   * @param {Object} ids - { draftId } or { sectionId }
+   * @returns {string|null}
+   */
+  async getProjectName({ draftId = null, sectionId = null }) {
+    if (sectionId) {
+      const section = await this.draftModel.getSection(sectionId);
+      if (!section) {
+        return null;
+      }
+      draftId = section.draftId;
+    }
+
+    const draft = draftId ? await this.draftModel.getDraft(draftId) : null;
+    return draft ? draft.projectName : null;
+  }
+
+  async updateSection(sectionId, updates, userId = null) {
+    return await this.draftModel.updateSection(sectionId, updates, userId);
+  }
+
+  async deleteSection(sectionId) {
+    return await this.draftModel.deleteSection(sectionId);
+  }
+
+  /**
+   * Save section content as a new version
+   * Saving content identical to the current version is a no-op. Compliance matrix rows
+   * targeting the section are re-validated, and a writer's save updates the edit distance of
+   * the templated generation it edits; failures are logged, never failing the save.
+   * @param {number} sectionId - Section ID
+   * @param {Object} version - { content, source, model, prompt, metadata, changeNote }
+   * @param {number} userId - Author
+   * @returns {Object|null} { section, version, unchanged }
+   */
+  async saveContent(sectionId, version, userId = null) {
+    if (typeof version.content !== 'string') {
+      const error = new Error('Content is required');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const section = await this.draftModel.getSection(sectionId);
+    if (!section) {
+      return null;
+    }
+
+    if (section.currentVersion > 0 && section.content === version.content) {
+      return { section, version: null, unchanged: true };
+    }
+
+    const saved = await this.draftModel.addVersion(sectionId, {
+      ...version,
+      source: version.source || 'human'
+    }, userId);
+
+    logger.info(`Saved ${saved.source} version ${saved.versionNumber} of section ${sectionId}`);
+
+    try {
+      await this.getComplianceMatrixService().revalidateSection(sectionId);
+    } catch (error) {
+      logger.error(`Compliance re-validation failed for section ${sectionId}: ${error.message}`);
+    }
+
+    if (saved.source === 'human') {
+      await this.recordTemplateEdit(sectionId, version.content);
+    }
+
+    return {
+      section: await this.draftModel.getSection(sectionId),
+      version: saved,
+      unchanged: false
+    };
+  }
+
+  /**
+   * Record an AI generation against a section
+   * A failed save is logged but never fails the generation itself.
+   * @param {number} sectionId - Section ID
+   * @param {Object} result - AIWritingService generation result
+   * @param {Object} request - { prompt, personaId, userId }
+   * @returns {number|null} Version number now holding the content
+   */
+  async recordGeneration(sectionId, result, request = {}) {
+    try {
+      const saved = await this.saveContent(sectionId, {
+        content: result.content,
+        source: 'ai',
+        model: result.model,
+        prompt: request.prompt,
+        metadata: {
+          citations: result.citations || [],
+          personaId: request.personaId || null,
+          noHallucinations: result.noHallucinations,
+          generatedAt: result.generatedAt,
+          promptGenerationId: result.generationId || null
+        }
+      }, request.userId || null);
+
+      if (!saved) {
+        logger.warn(`Generation not saved: section ${sectionId} does not exist`);
+        return null;
+      }
+
+      return saved.version ? saved.version.versionNumber : saved.section.currentVersion;
+    } catch (error) {
+      logger.error(`Error saving generation to section ${sectionId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Measure a writer's save against the latest AI version when that came from a prompt template
+   */
+  async recordTemplateEdit(sectionId, content) {
+    try {
+      const versions = await this.draftModel.listVersions(sectionId);
+      const generated = versions.find(version => version.source === 'ai');
+      if (!generated) {
+        return;
+      }
+
+      const version = await this.draftModel.getVersion(sectionId, generated.versionNumber);
+      const generationId = version && version.metadata ? version.metadata.promptGenerationId : null;
+      if (generationId) {
+        await this.getPromptTemplateService().recordEdit(generationId, content);
+      }
+    } catch (error) {
+      logger.error(`Error recording template edit for section ${sectionId}: ${error.message}`);
+    }
+  }
+
+  async listVersions(sectionId) {
+    const section = await this.draftModel.getSection(sectionId);
+    if (!section) {
+      return null;
+    }
+    return await this.draftModel.listVersions(sectionId);
+  }
+
+  async getVersion(sectionId, versionNumber) {
+    return await this.draftModel.getVersion(sectionId, versionNumber);
+  }
+
+  /**
+   * Diff two versions of a section
+   * @param {number} sectionId - Section ID
+   * @param {number} fromVersion - Older version number
+   * @param {number} toVersion - Newer version number (defaults to the current version)
+   * @param {string} granularity - 'word' or 'line'
+   */
+  async diffVersions(sectionId, fromVersion, toVersion = null, granularity = 'word') {
+    const section = await this.draftModel.getSection(sectionId);
+    if (!section) {
+      return null;
+    }
+
+    const targetVersion = toVersion || section.currentVersion;
+    const [from, to] = await Promise.all([
+      this.draftModel.getVersion(sectionId, fromVersion),
+      this.draftModel.getVersion(sectionId, targetVersion)
+    ]);
+
+    if (!from || !to) {
+      const error = new Error(`Version ${!from ? fromVersion : targetVersion} not found for section ${sectionId}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const diff = diffText(from.content, to.content, { granularity });
+
+    return {
+      sectionId,
+      from: this.versionSummary(from),
+      to: this.versionSummary(to),
+      ...diff
+    };
+  }
+
+  /**
+   * Restore an older version by copying it forward as a new version
+   * History is never rewritten, so the restore itself can be undone.
+   */
+  async restoreVersion(sectionId, versionNumber, userId = null) {
+    const version = await this.draftModel.getVersion(sectionId, versionNumber);
+    if (!version) {
+      return null;
+    }
+
+    const section = await this.draftModel.getSection(sectionId);
+    if (section.currentVersion === versionNumber) {
+      const error = new Error(`Version ${versionNumber} is already the current version`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    return await this.saveContent(sectionId, {
+      content: version.content,
+      source: 'restore',
+      restoredFrom: versionNumber,
+      changeNote: `Restored version ${versionNumber}`
+    }, userId);
+  }
+
+  versionSummary(version) {
+    return {
+      versionNumber: version.versionNumber,
+      source: version.source,
+      model: version.model,
+      wordCount: version.wordCount,
+      createdBy: version.createdBy,
+      createdAt: version.createdAt
+    };
+  }
+}
+
+module.exports = ProposalDraftService;
@@ -0,0 +1,871 @@
+/**
+ * Proposal Export Service
+ * Assembles a project's proposal sections, compliance matrix and citations into
+ * formatted DOCX and PDF submissions using document-type export templates
+ */
+
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  Tab,
+  HeadingLevel,
+  Header,
+  Footer,
+  PageNumber,
+  TabStopType,
+  AlignmentType,
+  Table,
+  TableRow,
+  TableCell,
+  WidthType,
+  TableOfContents,
+  LevelFormat,
+  convertInchesToTwip
+} = require('docx');
+const PDFDocument = require('pdfkit');
+const logger = require('../utils/logger');
+const ProposalDraft = require('../models/ProposalDraft');
+const ProposalOutline = require('../models/ProposalOutline');
+const DocumentType = require('../models/DocumentType');
+const Requirement = require('../models/Requirement');
+const ProjectService = require('./ProjectService');
+const AIWritingService = require('./AIWritingService');
+const {
+  resolveExportSettings,
+  getPageSize,
+  fillPlaceholders,
+  estimatePages,
+  pageLimitWarnings
+} = require('../utils/exportTemplate');
+const { parseContentBlocks, parseInlineRuns } = require('../utils/contentBlocks');
+const { titleKeywords } = require('../utils/solicitationStructure');
+
+const POINTS_PER_INCH = 72;
+const PAGE_FIELD_PATTERN = /(\{page\}|\{pages\})/;
+
+// PDFKit ships only the standard 14 fonts; template families map onto the closest one
+const PDF_FONTS = {
+  serif: { regular: 'Times-Roman', bold: 'Times-Bold', italic: 'Times-Italic' },
+  sans: { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' },
+  mono: { regular: 'Courier', bold: 'Courier-Bold', italic: 'Courier-Oblique' }
+};
+
+const MATRIX_COLUMNS = [
+  { key: 'requirement', label: 'RFP Ref', width: 0.12 },
+  { key: 'description', label: 'Requirement', width: 0.38 },
+  { key: 'source', label: 'Source', width: 0.16 },
+  { key: 'sections', label: 'Proposal Section', width: 0.22 },
+  { key: 'status', label: 'Status', width: 0.12 }
+];
+
+// Share of a section title's keywords a requirement must contain to count as answered there
+const SECTION_MATCH_THRESHOLD = 0.5;
+
+class ProposalExportService {
+  constructor() {
+    this.draftModel = new ProposalDraft();
+    this.outlineModel = new ProposalOutline();
+    this.documentTypeModel = new DocumentType();
+    this.requirementModel = new Requirement();
+    this.projectService = new ProjectService();
+    this.aiWritingService = new AIWritingService();
+  }
+
+  // =============================================================================
+  // ASSEMBLY
+  // =============================================================================
+
+  /**
+   * Gather everything an export needs
+   * @param {number} draftId - Proposal draft ID
+   * @param {Object} options - { templateId, settings (overrides), solicitationNumber, complianceMatrix (rows) }
+   * @returns {Object|null} Assembled proposal, or null if the draft does not exist
+   */
+  async assembleProposal(draftId, options = {}) {
+    const draft = await this.draftModel.getDraft(draftId);
+    if (!draft) {
+      return null;
+    }
+
+    const [sections, project, template] = await Promise.all([
+      this.draftModel.getSectionsWithContent(draftId),
+      this.findProject(draft.projectName),
+      this.resolveTemplate(draft.documentType, options.templateId)
+    ]);
+
+    const settings = resolveExportSettings({
+      ...(template ? template.settings : {}),
+      ...(options.settings || {})
+    });
+    const [outline, requirements] = project
+      ? await Promise.all([
+        this.outlineModel.getByProject(project.id),
+        this.requirementModel.listByProject(project.id, { status: 'active' })
+      ])
+      : [null, []];
+
+    const volumes = this.arrangeSections(draft, sections, outline);
+    const warnings = [];
+
+    volumes.forEach(volume => {
+      volume.sections
+        .filter(section => !section.content.trim())
+        .forEach(section => warnings.push({
+          level: 'warning',
+          scope: 'section',
+          title: section.title,
+          message: `${section.title} has no content yet.`
+        }));
+    });
+
+    const values = {
+      solicitationNumber: options.solicitationNumber || (project && project.solicitation_number) || '',
+      projectTitle: draft.projectName,
+      proposalTitle: draft.title,
+      organization: (project && project.client_organization) || '',
+      date: new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+    };
+
+    if (!values.solicitationNumber) {
+      warnings.push({
+        level: 'warning',
+        scope: 'proposal',
+        title: draft.title,
+        message: 'No solicitation number is set on the project; headers and footers will omit it.'
+      });
+    }
+
+    return {
+      draft,
+      project: project ? { id: project.id, title: project.title } : null,
+      template: template ? { id: template.id, key: template.key, name: template.name, agency: template.agency } : null,
+      settings,
+      values,
+      volumes,
+      complianceMatrix: settings.includeComplianceMatrix
+        ? (options.complianceMatrix || this.buildComplianceMatrix(outline, volumes, requirements))
+        : [],
+      citations: settings.includeCitations ? this.collectCitations(volumes) : [],
+      warnings: [...pageLimitWarnings(volumes, settings), ...warnings]
+    };
+  }
+
+  /**
+   * Summary of an export without rendering it (word counts, page estimates, warnings)
+   */
+  async previewExport(draftId, options = {}) {
+    const proposal = await this.assembleProposal(draftId, options);
+    if (!proposal) {
+      return null;
+    }
+
+    return {
+      ...proposal,
+      volumes: proposal.volumes.map(volume => ({
+        title: volume.title,
+        pageLimit: volume.pageLimit,
+        estimatedPages: volume.sections.reduce((total, section) =>
+          total + estimatePages(section.wordCount, proposal.settings), 0),
+        sections: volume.sections.map(section => ({
+          id: section.id,
+          title: section.title,
+          wordCount: section.wordCount,
+          pageLimit: section.pageLimit,
+          estimatedPages: estimatePages(section.wordCount, proposal.settings)
+        }))
+      }))
+    };
+  }
+
+  async findProject(projectName) {
+    const result = await this.projectService.pool.query(
+      'SELECT id, title, solicitation_number, client_organization FROM projects WHERE title = $1 ORDER BY id DESC LIMIT 1',
+      [projectName]
+    );
+    return result.rows[0] || null;
+  }
+
+  async resolveTemplate(documentType, templateId = null) {
+    if (templateId) {
+      const template = await this.documentTypeModel.getExportTemplate(templateId);
+      if (!template) {
+        const error = new Error('Export template not found');
+        error.statusCode = 404;
+        throw error;
+      }
+      return template;
+    }
+
+    return await this.documentTypeModel.getDefaultExportTemplate(String(documentType).toLowerCase());
+  }
+
+  /**
+   * Order draft sections into volumes, following the outline when one exists
+   */
+  arrangeSections(draft, sections, outline) {
+    const toExportSection = (section, node = null) => ({
+      id: section.id,
+      title: section.title,
+      content: section.content || '',
+      wordCount: section.wordCount || 0,
+      pageLimit: node ? node.pageLimit : null,
+      paragraphRef: node ? node.paragraphRef : null,
+      evaluationFactors: node ? node.evaluationFactors : [],
+      citations: (section.currentMetadata && section.currentMetadata.citations) || []
+    });
+
+    if (!outline) {
+      return [{
+        title: draft.title,
+        pageLimit: null,
+        sections: sections.map(section => toExportSection(section))
+      }];
+    }
+
+    const used = new Set();
+    const volumes = outline.volumes.map(volume => ({
+      title: volume.title,
+      pageLimit: volume.pageLimit,
+      sections: volume.sections.flatMap(node => {
+        const section = sections.find(candidate => candidate.outlineNodeId === node.id);
+        if (!section) return [];
+        used.add(section.id);
+        return [toExportSection(section, node)];
+      })
+    })).filter(volume => volume.sections.length > 0);
+
+    const unlinked = sections.filter(section => !used.has(section.id));
+    if (unlinked.length > 0) {
+      volumes.push({
+        title: 'Additional Sections',
+        pageLimit: null,
+        sections: unlinked.map(section => toExportSection(section))
+      });
+    }
+
+    return volumes;
+  }
+
+  /**
+   * Cross-reference shredded requirements and Section M factors to the proposal sections
+   * that answer them; requirement rows cite the RFP paragraph, document and page
+   */
+  buildComplianceMatrix(outline, volumes, requirements = []) {
+    const sections = volumes.flatMap(volume => volume.sections);
+    const label = (section) => section.paragraphRef ? `${section.paragraphRef} ${section.title}` : section.title;
+    const status = (answering) => {
+      if (answering.length === 0) return 'Not mapped';
+      return answering.every(section => section.content.trim()) ? 'Addressed' : 'In progress';
+    };
+
+    const rows = requirements.map(requirement => {
+      const answering = sections.filter(section => this.sectionAnswersRequirement(section, requirement));
+      return {
+        requirement: requirement.paragraphId || '',
+        description: requirement.text,
+        source: requirement.page ? `${requirement.documentName}, p. ${requirement.page}` : requirement.documentName,
+        sections: answering.map(label).join('; '),
+        status: status(answering)
+      };
+    });
+
+    const addFactorRow = (factor) => {
+      const answering = sections.filter(section =>
+        (section.evaluationFactors || []).some(mapped => mapped.factorId === factor.id)
+      );
+
+      rows.push({
+        requirement: factor.id,
+        description: factor.title,
+        source: 'Section M',
+        sections: answering.map(label).join('; '),
+        status: status(answering)
+      });
+    };
+
+    ((outline && outline.evaluationFactors) || []).forEach(factor => {
+      addFactorRow(factor);
+      (factor.subfactors || []).forEach(addFactorRow);
+    });
+
+    return rows;
+  }
+
+  /**
+   * A section answers a requirement when it was built from that RFP paragraph,
+   * cites the paragraph ID, or its title keywords appear in the requirement
+   */
+  sectionAnswersRequirement(section, requirement) {
+    const paragraphId = requirement.paragraphId;
+    if (paragraphId) {
+      if (section.paragraphRef && (paragraphId === section.paragraphRef || paragraphId.startsWith(`${section.paragraphRef}.`) ||
+        paragraphId.startsWith(`${section.paragraphRef}(`))) {
+        return true;
+      }
+      if (new RegExp(`(^|[^\\w.])${paragraphId.replace(/[.()]/g, '\\$&')}(?![\\w]|\\.\\d)`).test(section.content)) {
+        return true;
+      }
+    }
+
+    const sectionWords = titleKeywords(section.title);
+    if (sectionWords.length === 0) return false;
+    const requirementWords = new Set(titleKeywords(`${requirement.paragraphTitle || ''} ${requirement.text}`));
+    const matched = sectionWords.filter(word => requirementWords.has(word)).length;
+    return matched / sectionWords.length >= SECTION_MATCH_THRESHOLD;
+  }
+
+  /**
+   * Unique source citations across all exported sections
+   */
+  collectCitations(volumes) {
+    const seen = new Map();
+
+    volumes.forEach(volume => {
+      volume.sections.forEach(section => {
+        const citations = [
+          ...section.citations,
+          ...this.aiWritingService.extractSourceCitations(section.content)
+        ];
+
+        citations.forEach(citation => {
+          const key = `${citation.source}|${citation.section || ''}`;
+          if (!seen.has(key)) {
+            seen.set(key, { source: citation.source, section: citation.section || null, citedIn: [] });
+          }
+          const entry = seen.get(key);
+          if (!entry.citedIn.includes(section.title)) {
+            entry.citedIn.push(section.title);
+          }
+        });
+      });
+    });
+
+    return Array.from(seen.values()).sort((a, b) => a.source.localeCompare(b.source));
+  }
+
+  // =============================================================================
+  // DOCX
+  // =============================================================================
+
+  /**
+   * Render a proposal draft as DOCX
+   * @returns {Object|null} { buffer, filename, warnings }
+   */
+  async exportDocx(draftId, options = {}) {
+    const proposal = await this.assembleProposal(draftId, options);
+    if (!proposal) {
+      return null;
+    }
+
+    const { settings, values } = proposal;
+    const pageSize = getPageSize(settings);
+    const contentWidth = convertInchesToTwip(pageSize.width - settings.margins.left - settings.margins.right);
+
+    const pageProperties = {
+      page: {
+        size: {
+          width: convertInchesToTwip(pageSize.width),
+          height: convertInchesToTwip(pageSize.height)
+        },
+        margin: {
+          top: convertInchesToTwip(settings.margins.top),
+          bottom: convertInchesToTwip(settings.margins.bottom),
+          left: convertInchesToTwip(settings.margins.left),
+          right: convertInchesToTwip(settings.margins.right),
+          header: convertInchesToTwip(settings.margins.top / 2),
+          footer: convertInchesToTwip(settings.margins.bottom / 2)
+        }
+      }
+    };
+
+    const sections = [];
+
+    if (settings.coverPage) {
+      sections.push({
+        properties: pageProperties,
+        children: this.docxCoverPage(proposal)
+      });
+    }
+
+    const body = [];
+
+    if (settings.tableOfContents) {
+      body.push(new Paragraph({ text: 'Table of Contents', heading: HeadingLevel.HEADING_1 }));
+      body.push(new TableOfContents('Table of Contents', { hyperlink: true, headingStyleRange: '1-2' }));
+    }
+
+    proposal.volumes.forEach((volume, volumeIndex) => {
+      body.push(new Paragraph({
+        text: volume.title,
+        heading: HeadingLevel.HEADING_1,
+        pageBreakBefore: settings.tableOfContents || volumeIndex > 0
+      }));
+
+      volume.sections.forEach(section => {
+        body.push(new Paragraph({ text: section.title, heading: HeadingLevel.HEADING_2 }));
+        body.push(...this.docxContent(section.content));
+      });
+    });
+
+    if (proposal.complianceMatrix.length > 0) {
+      body.push(new Paragraph({ text: 'Compliance Matrix', heading: HeadingLevel.HEADING_1, pageBreakBefore: true }));
+      body.push(this.docxMatrixTable(proposal.complianceMatrix));
+    }
+
+    if (proposal.citations.length > 0) {
+      body.push(new Paragraph({ text: 'Source Citations', heading: HeadingLevel.HEADING_1, pageBreakBefore: true }));
+      proposal.citations.forEach(citation => {
+        body.push(new Paragraph({
+          bullet: { level: 0 },
+          children: [
+            new TextRun({ text: citation.source, bold: true }),
+            new TextRun({ text: `${citation.section ? `, ${citation.section}` : ''} (cited in ${citation.citedIn.join(', ')})` })
+          ]
+        }));
+      });
+    }
+
+    sections.push({
+      properties: { ...pageProperties, page: { ...pageProperties.page, pageNumbers: { start: 1 } } },
+      headers: { default: new Header({ children: [this.docxBand(settings.header, values, contentWidth, settings)] }) },
+      footers: { default: new Footer({ children: [this.docxBand(settings.footer, values, contentWidth, settings)] }) },
+      children: body
+    });
+
+    const document = new Document({
+      creator: 'GovAI Proposal Export',
+      title: proposal.draft.title,
+      features: { updateFields: settings.tableOfContents },
+      styles: this.docxStyles(settings),
+      numbering: {
+        config: [{
+          reference: 'proposal-numbered',
+          levels: [{ level: 0, format: LevelFormat.DECIMAL, text: '%1.', alignment: AlignmentType.START }]
+        }]
+      },
+      sections
+    });
+
+    const buffer = await Packer.toBuffer(document);
+    logger.info(`Exported draft ${draftId} as DOCX (${buffer.length} bytes, ${proposal.warnings.length} warnings)`);
+
+    return {
+      buffer,
+      filename: this.exportFilename(proposal, 'docx'),
+      warnings: proposal.warnings
+    };
+  }
+
+  docxStyles(settings) {
+    const heading = (size) => ({
+      run: { font: settings.font.headingFamily, size: size * 2, bold: true, color: '000000' },
+      paragraph: { spacing: { before: 240, after: 120 } }
+    });
+
+    return {
+      default: {
+        document: {
+          run: { font: settings.font.family, size: settings.font.size * 2 },
+          paragraph: { spacing: { line: Math.round(240 * settings.lineSpacing), after: 120 } }
+        },
+        heading1: heading(settings.font.headingSize),
+        heading2: heading(Math.max(settings.font.size, settings.font.headingSize - 2)),
+        heading3: heading(settings.font.size)
+      }
+    };
+  }
+
+  docxCoverPage(proposal) {
+    const { values, draft } = proposal;
+    const line = (text, options = {}) => new Paragraph({
+      alignment: AlignmentType.CENTER,
+      spacing: { before: options.before || 0, after: 240 },
+      children: [new TextRun({ text, bold: options.bold, size: options.size })]
+    });
+
+    const children = [
+      line(draft.title, { bold: true, size: 40, before: 2400 })
+    ];
+
+    if (values.solicitationNumber) {
+      children.push(line(`Solicitation ${values.solicitationNumber}`, { size: 28 }));
+    }
+    if (values.organization) {
+      children.push(line(`Submitted to ${values.organization}`));
+    }
+    children.push(line(values.date, { before: 480 }));
+
+    return children;
+  }
+
+  /**
+   * Header/footer paragraph with left, center and right parts on tab stops
+   */
+  docxBand(band, values, contentWidth, settings) {
+    const parts = [band.left, band.center, band.right];
+    const children = [];
+
+    parts.forEach((part, index) => {
+      if (index > 0) {
+        children.push(new TextRun({ children: [new Tab()] }));
+      }
+
+      fillPlaceholders(part, values).split(PAGE_FIELD_PATTERN).filter(Boolean).forEach(piece => {
+        const field = piece === '{page}' ? PageNumber.CURRENT
+          : piece === '{pages}' ? PageNumber.TOTAL_PAGES_IN_SECTION
+            : null;
+        children.push(new TextRun({
+          children: [field || piece],
+          size: Math.max(16, (settings.font.size - 2) * 2)
+        }));
+      });
+    });
+
+    return new Paragraph({
+      tabStops: [
+        { type: TabStopType.CENTER, position: Math.round(contentWidth / 2) },
+        { type: TabStopType.RIGHT, position: contentWidth }
+      ],
+      children
+    });
+  }
+
+  docxContent(content) {
+    return parseContentBlocks(content).map(block => {
+      const runs = parseInlineRuns(block.text).map(run => new TextRun({ text: run.text, bold: run.bold }));
+
+      switch (block.type) {
+        case 'heading':
+          return new Paragraph({ heading: HeadingLevel.HEADING_3, children: runs });
+        case 'bullet':
+          return new Paragraph({ bullet: { level: 0 }, children: runs });
+        case 'numbered':
+          return new Paragraph({ numbering: { reference: 'proposal-numbered', level: 0 }, children: runs });
+        default:
+          return new Paragraph({ children: runs });
+      }
+    });
+  }
+
+  docxMatrixTable(rows) {
+    const cell = (text, bold = false, width = null) => new TableCell({
+      width: width ? { size: Math.round(width * 100), type: WidthType.PERCENTAGE } : undefined,
+      children: [new Paragraph({ children: [new TextRun({ text: text || '', bold })] })]
+    });
+
+    return new Table({
+      width: { size: 100, type: WidthType.PERCENTAGE },
+      rows: [
+        new TableRow({
+          tableHeader: true,
+          children: MATRIX_COLUMNS.map(column => cell(column.label, true, column.width))
+        }),
+        ...rows.map(row => new TableRow({
+          children: MATRIX_COLUMNS.map(column => cell(String(row[column.key] || ''), false, column.width))
+        }))
+      ]
+    });
+  }
+
+  // =============================================================================
+  // PDF
+  // =============================================================================
+
+  /**
+   * Render a proposal draft as PDF
+   * Page-limit warnings use the rendered page counts rather than estimates.
+   * @returns {Object|null} { buffer, filename, warnings, pageCount }
+   */
+  async exportPdf(draftId, options = {}) {
+    const proposal = await this.assembleProposal(draftId, options);
+    if (!proposal) {
+      return null;
+    }
+
+    const { settings, values } = proposal;
+    const pageSize = getPageSize(settings);
+    const fonts = this.pdfFonts(settings.font.family);
+    const headingFonts = this.pdfFonts(settings.font.headingFamily);
+    const margins = {
+      top: settings.margins.top * POINTS_PER_INCH,
+      bottom: settings.margins.bottom * POINTS_PER_INCH,
+      left: settings.margins.left * POINTS_PER_INCH,
+      right: settings.margins.right * POINTS_PER_INCH
+    };
+
+    const doc = new PDFDocument({
+      size: [pageSize.width * POINTS_PER_INCH, pageSize.height * POINTS_PER_INCH],
+      margins,
+      bufferPages: true,
+      info: { Title: proposal.draft.title, Creator: 'GovAI Proposal Export' }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const contentWidth = doc.page.width - margins.left - margins.right;
+    const contentHeight = doc.page.height - margins.top - margins.bottom;
+    const lineGap = Math.max(0, (settings.lineSpacing - 1) * settings.font.size * 1.2);
+    const currentPage = () => {
+      const range = doc.bufferedPageRange();
+      return range.start + range.count - 1;
+    };
+
+    // Cover page
+    let bodyStart = 0;
+    if (settings.coverPage) {
+      this.pdfCoverPage(doc, proposal, headingFonts, fonts);
+      doc.addPage();
+      bodyStart = currentPage();
+    }
+
+    // Reserve table of contents pages; entries are written once page numbers are known
+    const tocEntries = [];
+    let tocPages = [];
+    if (settings.tableOfContents) {
+      const entryCount = proposal.volumes.reduce((total, volume) => total + 1 + volume.sections.length, 0) + 2;
+      const perPage = Math.max(1, Math.floor(contentHeight / (settings.font.size * 1.8)) - 3);
+      const pageCount = Math.ceil(entryCount / perPage);
+      tocPages = [currentPage()];
+      for (let i = 1; i < pageCount; i++) {
+        doc.addPage();
+        tocPages.push(currentPage());
+      }
+    }
+
+    const heading = (text, size) => {
+      doc.font(headingFonts.bold).fontSize(size).text(text, { lineGap: 2 });
+      doc.moveDown(0.5);
+    };
+
+    proposal.volumes.forEach((volume, volumeIndex) => {
+      if (settings.tableOfContents || volumeIndex > 0) {
+        doc.addPage();
+      }
+      const volumeStart = currentPage();
+      tocEntries.push({ level: 1, title: volume.title, page: volumeStart });
+      heading(volume.title, settings.font.headingSize);
+
+      volume.sections.forEach(section => {
+        const startPage = currentPage();
+        const startY = doc.y;
+        tocEntries.push({ level: 2, title: section.title, page: startPage });
+
+        heading(section.title, Math.max(settings.font.size, settings.font.headingSize - 2));
+        this.pdfContent(doc, section.content, { fonts, headingFonts, settings, lineGap });
+        doc.moveDown(0.5);
+
+        // Fraction of page area consumed, so short sections sharing a page are not overcounted
+        const used = (currentPage() - startPage) * contentHeight + (doc.y - startY);
+        section.pages = Math.max(1, Math.ceil(Math.round((used / contentHeight) * 10) / 10));
+      });
+
+      volume.pages = currentPage() - volumeStart + 1;
+    });
+
+    if (proposal.complianceMatrix.length > 0) {
+      doc.addPage();
+      tocEntries.push({ level: 1, title: 'Compliance Matrix', page: currentPage() });
+      heading('Compliance Matrix', settings.font.headingSize);
+      this.pdfMatrixTable(doc, proposal.complianceMatrix, { fonts, settings, contentWidth });
+    }
+
+    if (proposal.citations.length > 0) {
+      doc.addPage();
+      tocEntries.push({ level: 1, title: 'Source Citations', page: currentPage() });
+      heading('Source Citations', settings.font.headingSize);
+      proposal.citations.forEach(citation => {
+        doc.font(fonts.bold).fontSize(settings.font.size)
+          .text(`• ${citation.source}`, { continued: true, lineGap });
+        doc.font(fonts.regular)
+          .text(`${citation.section ? `, ${citation.section}` : ''} (cited in ${citation.citedIn.join(', ')})`, { lineGap });
+      });
+    }
+
+    const totalPages = doc.bufferedPageRange().count;
+    const bodyPageNumber = (pageIndex) => pageIndex - bodyStart + 1;
+
+    if (tocPages.length > 0) {
+      this.pdfTableOfContents(doc, tocPages, tocEntries, { fonts, headingFonts, settings, contentWidth, bodyPageNumber });
+    }
+
+    // Headers and footers on every body page
+    for (let pageIndex = bodyStart; pageIndex < totalPages; pageIndex++) {
+      doc.switchToPage(pageIndex);
+      const pageValues = { ...values, page: bodyPageNumber(pageIndex), pages: totalPages - bodyStart };
+      this.pdfBand(doc, settings.header, pageValues, margins.top / 2 - settings.font.size / 2, { fonts, settings, contentWidth });
+      this.pdfBand(doc, settings.footer, pageValues, doc.page.height - margins.bottom / 2 - settings.font.size / 2, { fonts, settings, contentWidth });
+    }
+
+    doc.end();
+    const buffer = await finished;
+
+    // Replace estimated page-limit warnings with measured ones
+    const warnings = [
+      ...pageLimitWarnings(proposal.volumes, settings),
+      ...proposal.warnings.filter(warning => !warning.pageLimit)
+    ];
+
+    logger.info(`Exported draft ${draftId} as PDF (${totalPages} pages, ${warnings.length} warnings)`);
+
+    return {
+      buffer,
+      filename: this.exportFilename(proposal, 'pdf'),
+      warnings,
+      pageCount: totalPages
+    };
+  }
+
+  pdfFonts(family) {
+    const name = (family || '').toLowerCase();
+    if (/courier|mono|consolas/.test(name)) return PDF_FONTS.mono;
+    if (/arial|helvetica|calibri|verdana|tahoma|segoe|sans/.test(name)) return PDF_FONTS.sans;
+    return PDF_FONTS.serif;
+  }
+
+  pdfCoverPage(doc, proposal, headingFonts, fonts) {
+    const { values, draft } = proposal;
+    doc.y = doc.page.height * 0.3;
+    doc.font(headingFonts.bold).fontSize(24).text(draft.title, { align: 'center' });
+    doc.moveDown(1);
+    if (values.solicitationNumber) {
+      doc.font(fonts.regular).fontSize(14).text(`Solicitation ${values.solicitationNumber}`, { align: 'center' });
+      doc.moveDown(0.5);
+    }
+    if (values.organization) {
+      doc.font(fonts.regular).fontSize(12).text(`Submitted to ${values.organization}`, { align: 'center' });
+    }
+    doc.moveDown(2);
+    doc.font(fonts.regular).fontSize(12).text(values.date, { align: 'center' });
+  }
+
+  pdfContent(doc, content, { fonts, headingFonts, settings, lineGap }) {
+    parseContentBlocks(content).forEach(block => {
+      const runs = parseInlineRuns(block.text);
+      let indent = 0;
+      let prefix = '';
+
+      if (block.type === 'heading') {
+        doc.font(headingFonts.bold).fontSize(settings.font.size).text(block.text, { lineGap });
+        doc.moveDown(0.3);
+        return;
+      }
+      if (block.type === 'bullet') {
+        indent = 18;
+        prefix = '•  ';
+      } else if (block.type === 'numbered') {
+        indent = 18;
+        prefix = `${block.number}.  `;
+      }
+
+      doc.fontSize(settings.font.size);
+      const parts = prefix ? [{ text: prefix, bold: false }, ...runs] : runs;
+      parts.forEach((run, index) => {
+        doc.font(run.bold ? fonts.bold : fonts.regular).text(run.text, {
+          continued: index < parts.length - 1,
+          indent,
+          lineGap
+        });
+      });
+      doc.moveDown(0.5);
+    });
+  }
+
+  pdfMatrixTable(doc, rows, { fonts, settings, contentWidth }) {
+    const fontSize = Math.max(8, settings.font.size - 2);
+    const padding = 4;
+    const left = doc.page.margins.left;
+    const widths = MATRIX_COLUMNS.map(column => column.width * contentWidth);
+
+    const drawRow = (cells, bold) => {
+      doc.font(bold ? fonts.bold : fonts.regular).fontSize(fontSize);
+      const height = Math.max(...cells.map((text, index) =>
+        doc.heightOfString(text, { width: widths[index] - padding * 2 })
+      )) + padding * 2;
+
+      if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+        if (!bold) drawRow(MATRIX_COLUMNS.map(column => column.label), true);
+      }
+
+      const top = doc.y;
+      let x = left;
+      cells.forEach((text, index) => {
+        doc.rect(x, top, widths[index], height).stroke();
+        doc.text(text, x + padding, top + padding, { width: widths[index] - padding * 2 });
+        x += widths[index];
+      });
+      doc.x = left;
+      doc.y = top + height;
+    };
+
+    drawRow(MATRIX_COLUMNS.map(column => column.label), true);
+    rows.forEach(row => drawRow(MATRIX_COLUMNS.map(column => String(row[column.key] || '')), false));
+  }
+
+  pdfTableOfContents(doc, tocPages, entries, { fonts, headingFonts, settings, contentWidth, bodyPageNumber }) {
+    const lineHeight = settings.font.size * 1.8;
+    let pageIndex = 0;
+
+    doc.switchToPage(tocPages[0]);
+    doc.x = doc.page.margins.left;
+    doc.y = doc.page.margins.top;
+    doc.font(headingFonts.bold).fontSize(settings.font.headingSize).text('Table of Contents');
+    doc.moveDown(1);
+
+    entries.forEach(entry => {
+      if (doc.y + lineHeight > doc.page.height - doc.page.margins.bottom && pageIndex < tocPages.length - 1) {
+        pageIndex++;
+        doc.switchToPage(tocPages[pageIndex]);
+        doc.y = doc.page.margins.top;
+      }
+
+      const y = doc.y;
+      const indent = entry.level === 1 ? 0 : 18;
+      doc.font(entry.level === 1 ? fonts.bold : fonts.regular).fontSize(settings.font.size);
+      doc.text(entry.title, doc.page.margins.left + indent, y, { width: contentWidth - indent - 40, lineBreak: false, ellipsis: true });
+      doc.text(String(bodyPageNumber(entry.page)), doc.page.margins.left, y, { width: contentWidth, align: 'right', lineBreak: false });
+      doc.y = y + lineHeight;
+    });
+  }
+
+  /**
+   * Draw a header/footer band in the page margin
+   */
+  pdfBand(doc, band, values, y, { fonts, settings, contentWidth }) {
+    const fontSize = Math.max(8, settings.font.size - 2);
+    const left = doc.page.margins.left;
+    const bottomMargin = doc.page.margins.bottom;
+
+    // Writing inside the margin would otherwise trigger an automatic page break
+    doc.page.margins.bottom = 0;
+    doc.font(fonts.regular).fontSize(fontSize);
+
+    [['left', band.left], ['center', band.center], ['right', band.right]].forEach(([align, text]) => {
+      const filled = fillPlaceholders(text, values);
+      if (filled) {
+        doc.text(filled, left, y, { width: contentWidth, align, lineBreak: false, ellipsis: true });
+      }
+    });
+
+    doc.page.margins.bottom = bottomMargin;
+  }
+
+  exportFilename(proposal, extension) {
+    const base = [proposal.values.solicitationNumber, proposal.draft.title]
+      .filter(Boolean)
+      .join(' ')
+      .replace(/[^A-Za-z0-9._ -]/g, '')
+      .trim()
+      .replace(/\s+/g, '_');
+    return `${base || 'proposal'}.${extension}`;
+  }
+}
+
+module.exports = ProposalExportService;
@@ -0,0 +1,544 @@
+/**
+ * Proposal Outline Service
+ * Builds an editable proposal skeleton from the solicitation's Section L (instructions)
+ * and Section M (evaluation), and generates outline sections through AI writing
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+const ProposalOutline = require('../models/ProposalOutline');
+const ProjectService = require('./ProjectService');
+const DocumentManagerService = require('./DocumentManagerService');
+const AIWritingService = require('./AIWritingService');
+const ProposalDraftService = require('./ProposalDraftService');
+const {
+  splitUcfSections,
+  parseNumberedParagraphs,
+  findPageLimit,
+  findVolumes,
+  findEvaluationFactors,
+  titleKeywords,
+  keywordOverlap,
+  detectSectionType
+} = require('../utils/solicitationStructure');
+
+// Rough words-per-page for a single-spaced 12pt proposal page
+const WORDS_PER_PAGE = 500;
+const INSTRUCTION_VERBS = /\b(shall|must|should|describe|provide|address|demonstrate|include|discuss|submit)\b/i;
+// Minimum keyword overlap for a title to answer an evaluation factor
+const FACTOR_MATCH_THRESHOLD = 0.4;
+const VOLUME_TITLE_PATTERN = /\bVolume\s+([IVX]+|\d+)\b\s*[-–—:,]?\s*(.*)$/i;
+
+class ProposalOutlineService {
+  constructor() {
+    this.outlineModel = new ProposalOutline();
+    this.projectService = new ProjectService();
+    this.documentManager = new DocumentManagerService();
+    this.aiWritingService = new AIWritingService();
+    this.draftService = new ProposalDraftService();
+  }
+
+  /**
+   * Build (or rebuild) a project's outline from its solicitation documents
+   * @param {number} projectId - Project ID
+   * @param {Object} options - { documentIds: [] to restrict sources, replace: boolean }
+   * @param {number} userId - User building the outline
+   */
+  async buildOutline(projectId, options = {}, userId = null) {
+    const { documentIds = null, replace = false } = options;
+
+    const existing = await this.outlineModel.getByProject(projectId);
+    if (existing && !replace) {
+      const error = new Error('An outline already exists for this project. Pass replace=true to rebuild it.');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const project = await this.projectService.getProject(projectId);
+    const documents = await this.loadSolicitationDocuments(project.title, documentIds);
+
+    if (documents.length === 0) {
+      const error = new Error(`No solicitation documents found for project "${project.title}"`);
+      error.statusCode = 422;
+      throw error;
+    }
+
+    const { sectionL, sectionM, sourceDocuments, warnings } = this.locateSections(documents);
+    const structure = this.buildOutlineStructure(sectionL, sectionM);
+
+    logger.info(`Built outline for project ${projectId}: ${structure.volumes.length} volumes, ${structure.evaluationFactors.length} factors`);
+
+    return await this.outlineModel.saveOutline(projectId, {
+      title: `${project.title} Proposal Outline`,
+      sourceDocuments,
+      evaluationFactors: structure.evaluationFactors,
+      warnings: [...warnings, ...structure.warnings],
+      volumes: structure.volumes
+    }, userId);
+  }
+
+  /**
+   * Load and extract text from a project's solicitation documents
+   */
+  async loadSolicitationDocuments(projectName, documentIds = null) {
+    const result = await this.documentManager.documentModel.list({
+      category: 'solicitations',
+      projectName
+    }, { limit: 100 });
+
+    let documents = result.documents;
+    if (documentIds && documentIds.length > 0) {
+      const wanted = documentIds.map(String);
+      documents = documents.filter(doc => wanted.includes(String(doc.id)));
+    }
+
+    const loaded = [];
+    for (const doc of documents) {
+      try {
+        const text = await this.documentManager.extractDocumentText(doc);
+        if (text && text.trim()) {
+          loaded.push({ id: doc.id, name: doc.originalName || doc.filename, text });
+        }
+      } catch (error) {
+        logger.warn(`Could not extract solicitation text from ${doc.filename}: ${error.message}`);
+      }
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Find the Section L and Section M text across the solicitation documents
+   * Section L/M are often separate attachments, so each document is split independently
+   * and the longest candidate for each section wins.
+   */
+  locateSections(documents) {
+    let sectionL = null;
+    let sectionM = null;
+    const sourceDocuments = [];
+    const warnings = [];
+
+    const consider = (current, candidate) =>
+      !current || candidate.text.trim().length > current.text.trim().length ? candidate : current;
+
+    for (const doc of documents) {
+      const sections = splitUcfSections(doc.text);
+      const baseName = path.parse(doc.name).name;
+      const found = Object.keys(sections);
+
+      if (sections.L) {
+        sectionL = consider(sectionL, { text: sections.L.text, documentId: doc.id, documentName: doc.name });
+      } else if (/section[\s_-]*l\b|instructions/i.test(baseName)) {
+        sectionL = consider(sectionL, { text: doc.text, documentId: doc.id, documentName: doc.name });
+        found.push('L');
+      }
+
+      if (sections.M) {
+        sectionM = consider(sectionM, { text: sections.M.text, documentId: doc.id, documentName: doc.name });
+      } else if (/section[\s_-]*m\b|evaluation/i.test(baseName)) {
+        sectionM = consider(sectionM, { text: doc.text, documentId: doc.id, documentName: doc.name });
+        found.push('M');
+      }
+
+      sourceDocuments.push({ id: doc.id, name: doc.name, sectionsFound: found });
+    }
+
+    if (!sectionL) {
+      warnings.push('Section L was not found; the outline was built from the full solicitation text.');
+      const largest = documents.reduce((a, b) => (b.text.length > a.text.length ? b : a));
+      sectionL = { text: largest.text, documentId: largest.id, documentName: largest.name };
+    }
+
+    if (!sectionM) {
+      warnings.push('Section M was not found; sections have no evaluation factors attached.');
+    }
+
+    return { sectionL, sectionM, sourceDocuments, warnings };
+  }
+
+  /**
+   * Turn Section L/M text into volumes, sections, page limits and factor mappings
+   * @param {Object} sectionL - { text, documentName }
+   * @param {Object|null} sectionM - { text, documentName }
+   * @returns {Object} { volumes, evaluationFactors, warnings }
+   */
+  buildOutlineStructure(sectionL, sectionM) {
+    const warnings = [];
+    const lText = sectionL ? sectionL.text : '';
+    const paragraphs = parseNumberedParagraphs(lText, 'L');
+    const evaluationFactors = this.extractEvaluationFactors(sectionM ? sectionM.text : '');
+
+    let volumes = this.volumesFromParagraphs(paragraphs);
+
+    if (volumes.length === 0) {
+      const mentioned = findVolumes(lText);
+      const instructional = this.instructionalParagraphs(paragraphs);
+
+      if (mentioned.length > 0) {
+        volumes = mentioned.map(volume => ({
+          title: volume.title ? `Volume ${volume.designator} - ${volume.title}` : `Volume ${volume.designator}`,
+          paragraphRef: null,
+          pageLimit: volume.pageLimit,
+          instructions: '',
+          sections: []
+        }));
+
+        // Assign each instructional paragraph to the volume whose title it best matches
+        instructional.forEach(paragraph => {
+          const target = this.bestMatch(volumes, paragraph.title) || volumes[0];
+          target.sections.push(this.sectionFromParagraph(paragraph));
+        });
+      } else {
+        warnings.push('No proposal volumes were identified in Section L; sections were grouped into a single volume.');
+        volumes = [{
+          title: 'Proposal',
+          paragraphRef: null,
+          pageLimit: findPageLimit(lText),
+          instructions: '',
+          sections: instructional.map(paragraph => this.sectionFromParagraph(paragraph))
+        }];
+      }
+    }
+
+    // Volumes without sub-paragraphs still need one writable section
+    volumes.forEach(volume => {
+      if (volume.sections.length === 0) {
+        volume.sections.push({
+          title: volume.title.replace(/^Volume\s+\S+\s*-\s*/i, '') || volume.title,
+          paragraphRef: volume.paragraphRef,
+          sectionType: detectSectionType(volume.title),
+          instructions: volume.instructions,
+          pageLimit: volume.pageLimit
+        });
+      }
+    });
+
+    if (paragraphs.length === 0) {
+      warnings.push('Section L has no numbered paragraphs (L.x.y); review the generated sections manually.');
+    }
+
+    volumes.forEach(volume => {
+      volume.sectionType = detectSectionType(volume.title);
+      volume.evaluationFactors = this.mapFactors(volume, evaluationFactors);
+      volume.sections.forEach(section => {
+        section.evaluationFactors = this.mapFactors(section, evaluationFactors);
+        if (section.evaluationFactors.length === 0) {
+          section.evaluationFactors = volume.evaluationFactors;
+        }
+      });
+    });
+
+    return { volumes, evaluationFactors, warnings };
+  }
+
+  /**
+   * Volumes declared as numbered paragraphs ("L.4.1 Volume I – Technical")
+   */
+  volumesFromParagraphs(paragraphs) {
+    const volumeParagraphs = paragraphs.filter(paragraph => VOLUME_TITLE_PATTERN.test(paragraph.title));
+
+    return volumeParagraphs.map(volumeParagraph => {
+      const children = paragraphs.filter(paragraph =>
+        paragraph.id.startsWith(`${volumeParagraph.id}.`) && paragraph.depth === volumeParagraph.depth + 1
+      );
+
+      return {
+        title: volumeParagraph.title,
+        paragraphRef: volumeParagraph.id,
+        pageLimit: findPageLimit(volumeParagraph.body),
+        instructions: volumeParagraph.body,
+        sections: children.map(child => this.sectionFromParagraph(child, paragraphs))
+      };
+    });
+  }
+
+  /**
+   * Paragraphs that tell the offeror what to write
+   */
+  instructionalParagraphs(paragraphs) {
+    const candidates = paragraphs.filter(paragraph => paragraph.depth >= 2 && INSTRUCTION_VERBS.test(paragraph.body));
+    if (candidates.length === 0) {
+      return paragraphs.filter(paragraph => INSTRUCTION_VERBS.test(paragraph.body));
+    }
+
+    // Keep the shallowest instructional level so sub-bullets fold into their parent section
+    const minDepth = Math.min(...candidates.map(paragraph => paragraph.depth));
+    return candidates.filter(paragraph => paragraph.depth === minDepth);
+  }
+
+  sectionFromParagraph(paragraph, allParagraphs = []) {
+    // Include sub-paragraph text so the writer sees the full instruction
+    const descendants = allParagraphs.filter(other => other.id.startsWith(`${paragraph.id}.`));
+    const instructions = [paragraph.body, ...descendants.map(other => other.body)].join('\n\n');
+
+    return {
+      title: paragraph.title,
+      paragraphRef: paragraph.id,
+      sectionType: detectSectionType(paragraph.title),
+      instructions: instructions.substring(0, 8000),
+      pageLimit: findPageLimit(instructions)
+    };
+  }
+
+  /**
+   * Section M factors, falling back to numbered M paragraphs
+   */
+  extractEvaluationFactors(mText) {
+    const factors = findEvaluationFactors(mText);
+    if (factors.length > 0 || !mText) {
+      return factors;
+    }
+
+    return parseNumberedParagraphs(mText, 'M')
+      .filter(paragraph => paragraph.depth >= 2)
+      .map(paragraph => ({
+        id: paragraph.id,
+        number: paragraph.id,
+        title: paragraph.title,
+        description: paragraph.body.substring(0, 1500),
+        subfactors: []
+      }));
+  }
+
+  /**
+   * Attach the evaluation factors (and subfactors) a node must answer
+   */
+  mapFactors(node, evaluationFactors) {
+    const nodeKeywords = titleKeywords(node.title);
+    const mapped = [];
+
+    const check = (factor) => {
+      const referenced = node.instructions &&
+        new RegExp(`\\b${factor.id.replace('.', '\\.')}\\b`, 'i').test(node.instructions);
+      const overlap = keywordOverlap(nodeKeywords, titleKeywords(factor.title));
+
+      if (referenced) {
+        mapped.push({ factorId: factor.id, title: factor.title, reason: 'referenced' });
+      } else if (overlap >= FACTOR_MATCH_THRESHOLD) {
+        mapped.push({ factorId: factor.id, title: factor.title, reason: 'keyword', score: Math.round(overlap * 100) / 100 });
+      }
+    };
+
+    evaluationFactors.forEach(factor => {
+      check(factor);
+      (factor.subfactors || []).forEach(check);
+    });
+
+    return mapped;
+  }
+
+  bestMatch(volumes, title) {
+    const keywords = titleKeywords(title);
+    let best = null;
+    let bestScore = 0;
+
+    volumes.forEach(volume => {
+      const score = keywordOverlap(keywords, titleKeywords(volume.title));
+      if (score > bestScore) {
+        best = volume;
+        bestScore = score;
+      }
+    });
+
+    return best;
+  }
+
+  // =============================================================================
+  // OUTLINE EDITING
+  // =============================================================================
+
+  async getOutline(projectId) {
+    return await this.outlineModel.getByProject(projectId);
+  }
+
+  /**
+   * Project an outline, or a node's outline, belongs to (for access checks)
+   * @param {Object} ids - { outlineId } or { nodeId }
+   * @returns {string|null}
+   */
+  async getProjectName({ outlineId = null, nodeId = null }) {
+    if (nodeId) {
+      const node = await this.outlineModel.getNode(nodeId);
+      if (!node) {
+        return null;
+      }
+      outlineId = node.outlineId;
+    }
+
+    const outline = outlineId ? await this.outlineModel.getById(outlineId) : null;
+    if (!outline) {
+      return null;
+    }
+
+    const project = await this.projectService.getProject(outline.projectId);
+    return project ? project.title : null;
+  }
+
+  async updateOutline(outlineId, updates, userId = null) {
+    return await this.outlineModel.updateOutline(outlineId, updates, userId);
+  }
+
+  async addNode(outlineId, node) {
+    if (!node.title) {
+      const error = new Error('Node title is required');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const outline = await this.outlineModel.getById(outlineId);
+    if (!outline) {
+      return null;
+    }
+
+    return await this.outlineModel.addNode(outlineId, {
+      ...node,
+      sectionType: node.sectionType || detectSectionType(node.title)
+    });
+  }
+
+  async updateNode(nodeId, updates) {
+    return await this.outlineModel.updateNode(nodeId, updates);
+  }
+
+  async deleteNode(nodeId) {
+    return await this.outlineModel.deleteNode(nodeId);
+  }
+
+  // =============================================================================
+  // GENERATION
+  // =============================================================================
+
+  /**
+   * Generate the content for one outline section through AI writing
+   * @param {number} nodeId - Section node ID
+   * @param {Object} options - { prompt, personaId, model, noHallucinations, userId, user, auditContext }
+   */
+  async generateNode(nodeId, options = {}) {
+    const node = await this.outlineModel.getNode(nodeId);
+    if (!node) {
+      return null;
+    }
+
+    const outline = await this.outlineModel.getById(node.outlineId);
+    const project = await this.projectService.getProject(outline.projectId);
+    const volume = node.parentId ? await this.outlineModel.getNode(node.parentId) : null;
+
+    const prompt = this.buildNodePrompt(node, volume, options.prompt);
+
+    const result = await this.aiWritingService.generateSection(prompt, node.sectionType, {
+      model: options.model,
+      personaId: options.personaId,
+      noHallucinations: options.noHallucinations,
+      projectContext: {
+        title: project.title,
+        documentType: 'solicitations'
+      },
+      user: options.user,
+      auditContext: options.auditContext
+    });
+
+    await this.outlineModel.markGenerated(nodeId);
+
+    // Keep the output in the project's draft so it survives the session and gets version history
+    const section = await this.getDraftSection(project.title, node, options.userId);
+    const sectionVersion = await this.draftService.recordGeneration(section.id, result, {
+      prompt,
+      personaId: options.personaId,
+      userId: options.userId
+    });
+
+    return {
+      nodeId,
+      outlineId: node.outlineId,
+      paragraphRef: node.paragraphRef,
+      pageLimit: node.pageLimit,
+      sectionId: section.id,
+      sectionVersion,
+      ...result
+    };
+  }
+
+  /**
+   * Draft section linked to an outline node, created on first generation
+   */
+  async getDraftSection(projectName, node, userId = null) {
+    const existing = await this.draftService.draftModel.findSectionByOutlineNode(node.id);
+    if (existing) {
+      return existing;
+    }
+
+    const draft = await this.draftService.draftModel.getOrCreateDraft(projectName, 'solicitations', userId);
+    return await this.draftService.draftModel.createSection(draft.id, {
+      title: node.paragraphRef ? `${node.paragraphRef} ${node.title}` : node.title,
+      sectionType: node.sectionType,
+      outlineNodeId: node.id
+    }, userId);
+  }
+
+  /**
+   * Generate every section of an outline in order
+   */
+  async generateOutline(outlineId, options = {}) {
+    const outline = await this.outlineModel.getById(outlineId);
+    if (!outline) {
+      return null;
+    }
+
+    const results = [];
+    const errors = [];
+
+    for (const volume of outline.volumes) {
+      for (const section of volume.sections) {
+        try {
+          results.push(await this.generateNode(section.id, options));
+        } catch (error) {
+          logger.error(`Error generating outline node ${section.id}: ${error.message}`);
+          errors.push({ nodeId: section.id, title: section.title, error: error.message });
+        }
+      }
+    }
+
+    return {
+      results,
+      errors,
+      totalSections: results.length + errors.length,
+      successCount: results.length,
+      errorCount: errors.length
+    };
+  }
+
+  /**
+   * Compose the writing prompt for an outline section
+   */
+  buildNodePrompt(node, volume = null, additionalGuidance = '') {
+    const lines = [];
+    const location = volume ? ` of ${volume.title}` : '';
+    const reference = node.paragraphRef ? ` (responds to ${node.paragraphRef})` : '';
+
+    lines.push(`Write the "${node.title}" section${location}${reference}.`);
+
+    if (node.instructions) {
+      lines.push('', 'SOLICITATION INSTRUCTIONS:', node.instructions.substring(0, 4000));
+    }
+
+    if (node.evaluationFactors && node.evaluationFactors.length > 0) {
+      lines.push('', 'This section will be evaluated against:');
+      node.evaluationFactors.forEach(factor => {
+        lines.push(`- ${factor.factorId}: ${factor.title}`);
+      });
+      lines.push('Address each evaluation factor explicitly so evaluators can find the response.');
+    }
+
+    if (node.pageLimit) {
+      lines.push('', `Page limit: ${node.pageLimit} page${node.pageLimit === 1 ? '' : 's'} (approximately ${node.pageLimit * WORDS_PER_PAGE} words). Do not exceed it.`);
+    }
+
+    if (additionalGuidance) {
+      lines.push('', 'ADDITIONAL GUIDANCE:', additionalGuidance);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = ProposalOutlineService;
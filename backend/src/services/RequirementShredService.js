@@ -0,0 +1,295 @@
+/**
+ * Requirement Shred Service
+ * Splits a project's solicitation documents into individual requirements with
+ * paragraph/page traceability, then optionally lets the LLM re-classify them
+ */
+
+const logger = require('../utils/logger');
+const LLMService = require('./LLMService');
+const Requirement = require('../models/Requirement');
+const ProjectService = require('./ProjectService');
+const DocumentManagerService = require('./DocumentManagerService');
+const { shredRequirements } = require('../utils/requirementShred');
+
+// Requirements sent to the model per prompt
+const LLM_BATCH_SIZE = 25;
+
+class RequirementShredService {
+  constructor() {
+    this.requirementModel = new Requirement();
+    this.projectService = new ProjectService();
+    this.documentManager = new DocumentManagerService();
+    this.llmService = new LLMService();
+  }
+
+  /**
+   * Shred a project's solicitation documents into the requirements table
+   * @param {number} projectId - Project ID
+   * @param {Object} options - { documentIds: [] to restrict sources, useLlm: boolean, model }
+   * @param {number} userId - User running the shred
+   * @returns {Object} { documents: [{ id, name, pages, inserted, kept }], total, llm, warnings }
+   */
+  async shredProject(projectId, options = {}, userId = null) {
+    const { documentIds = null, useLlm = true, model = null } = options;
+
+    const project = await this.projectService.getProject(projectId);
+    const documents = await this.loadSolicitationPages(project.title, documentIds);
+
+    if (documents.length === 0) {
+      const error = new Error(`No solicitation documents found for project "${project.title}"`);
+      error.statusCode = 422;
+      throw error;
+    }
+
+    const warnings = [];
+    const llm = { used: false, model: null, refined: 0, dismissed: 0 };
+    const results = [];
+
+    for (const document of documents) {
+      let requirements = shredRequirements(document.pages);
+
+      if (requirements.length === 0) {
+        warnings.push(`No shall/must/will statements were found in ${document.name}.`);
+      }
+      if (document.pages.length === 1 && document.pages[0].page === null) {
+        warnings.push(`${document.name} has no page information; requirements cite paragraph IDs only.`);
+      }
+
+      if (useLlm && requirements.length > 0) {
+        const refinement = await this.refineWithLlm(requirements, model);
+        requirements = refinement.requirements;
+        if (refinement.error) {
+          warnings.push(`LLM classification skipped for ${document.name}: ${refinement.error}`);
+        } else {
+          llm.used = true;
+          llm.model = refinement.model;
+          llm.refined += refinement.refined;
+          llm.dismissed += refinement.dismissed;
+        }
+      }
+
+      const saved = await this.requirementModel.replaceDocumentRequirements(projectId, document, requirements, userId);
+      results.push({
+        id: document.id,
+        name: document.name,
+        pages: document.pages[0].page === null ? null : document.pages.length,
+        extracted: requirements.length,
+        ...saved
+      });
+    }
+
+    const total = results.reduce((sum, result) => sum + result.inserted + result.kept, 0);
+    logger.info(`Shredded ${documents.length} documents for project ${projectId}: ${total} requirements`);
+
+    return { documents: results, total, llm, warnings };
+  }
+
+  /**
+   * Shred raw solicitation text without persisting (ad-hoc uploads)
+   * @param {Array|string} pages - [{ page, text }] or plain text
+   * @param {Object} options - { useLlm: boolean, model }
+   */
+  async shredText(pages, options = {}) {
+    const { useLlm = true, model = null } = options;
+    const input = typeof pages === 'string' ? [{ page: null, text: pages }] : pages;
+    const requirements = shredRequirements(input);
+
+    if (!useLlm || requirements.length === 0) {
+      return { requirements, llm: { used: false } };
+    }
+
+    const refinement = await this.refineWithLlm(requirements, model);
+    return {
+      requirements: refinement.requirements,
+      llm: refinement.error
+        ? { used: false, error: refinement.error }
+        : { used: true, model: refinement.model, refined: refinement.refined, dismissed: refinement.dismissed }
+    };
+  }
+
+  /**
+   * Load solicitation documents page by page
+   */
+  async loadSolicitationPages(projectName, documentIds = null) {
+    const result = await this.documentManager.documentModel.list({
+      category: 'solicitations',
+      projectName
+    }, { limit: 100 });
+
+    let documents = result.documents;
+    if (documentIds && documentIds.length > 0) {
+      const wanted = documentIds.map(String);
+      documents = documents.filter(doc => wanted.includes(String(doc.id)));
+    }
+
+    const loaded = [];
+    for (const doc of documents) {
+      try {
+        const pages = await this.documentManager.extractDocumentPages(doc);
+        if (pages.some(page => page.text && page.text.trim())) {
+          loaded.push({ id: doc.id, name: doc.originalName || doc.filename, pages });
+        }
+      } catch (error) {
+        logger.warn(`Could not extract solicitation text from ${doc.filename}: ${error.message}`);
+      }
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Ask the model to confirm and classify deterministic hits
+   * The model only labels requirements by index; text, paragraph and page always come
+   * from the document so traceability cannot be hallucinated. Never throws.
+   * @returns {Object} { requirements, model, refined, dismissed, error }
+   */
+  async refineWithLlm(requirements, model = null) {
+    const refined = requirements.map(requirement => ({ ...requirement }));
+    let refinedCount = 0;
+    let dismissed = 0;
+    let modelName = model;
+
+    try {
+      modelName = model || await this.llmService.getModel('extraction');
+
+      for (let start = 0; start < refined.length; start += LLM_BATCH_SIZE) {
+        const batch = refined.slice(start, start + LLM_BATCH_SIZE);
+        const response = await this.llmService.generate('extraction', {
+          model: modelName,
+          prompt: this.buildClassificationPrompt(batch),
+          format: 'json',
+          options: { temperature: 0 },
+          timeout: 120000
+        });
+
+        const labels = this.parseClassification(response.text);
+        labels.forEach(label => {
+          const requirement = batch[label.index - 1];
+          if (!requirement) return;
+
+          if (Requirement.CATEGORIES.includes(label.category)) {
+            requirement.category = label.category;
+          }
+          if (Requirement.PRIORITIES.includes(label.priority)) {
+            requirement.priority = label.priority;
+          }
+          if (label.isRequirement === false) {
+            requirement.status = 'dismissed';
+            dismissed++;
+          }
+          requirement.extractionMethod = 'llm';
+          requirement.metadata = { ...(requirement.metadata || {}), llmModel: modelName, llmReason: label.reason || null };
+          refinedCount++;
+        });
+      }
+
+      return { requirements: refined, model: modelName, refined: refinedCount, dismissed };
+    } catch (error) {
+      logger.warn(`Requirement classification failed with ${modelName}: ${error.message}`);
+      return { requirements, model: modelName, refined: 0, dismissed: 0, error: error.message };
+    }
+  }
+
+  buildClassificationPrompt(batch) {
+    const lines = batch.map((requirement, index) =>
+      `${index + 1}. [${requirement.paragraphId || 'unnumbered'}] ${requirement.text}`
+    );
+
+    return `You are shredding a government solicitation into a compliance matrix.
+For each numbered statement below decide:
+- isRequirement: true if it obligates the offeror/contractor, false if it is informational or describes what the Government does
+- category: one of ${Requirement.CATEGORIES.join(', ')} (submission = proposal preparation instructions)
+- priority: one of ${Requirement.PRIORITIES.join(', ')}
+
+Respond with JSON only: {"requirements": [{"index": 1, "isRequirement": true, "category": "technical", "priority": "high", "reason": "short reason"}]}
+
+Statements:
+${lines.join('\n')}`;
+  }
+
+  /**
+   * Tolerant parse of the model's classification JSON
+   * @returns {Array} [{ index, isRequirement, category, priority, reason }]
+   */
+  parseClassification(rawText) {
+    const candidates = [rawText, (rawText.match(/\{[\s\S]*\}/) || [])[0], (rawText.match(/\[[\s\S]*\]/) || [])[0]];
+
+    for (const candidate of candidates) {
+      if (!candidate) continue;
+      try {
+        const parsed = JSON.parse(candidate);
+        const list = Array.isArray(parsed) ? parsed : parsed.requirements;
+        if (Array.isArray(list)) {
+          return list
+            .filter(item => item && Number.isInteger(Number(item.index)))
+            .map(item => ({
+              index: Number(item.index),
+              isRequirement: item.isRequirement,
+              category: typeof item.category === 'string' ? item.category.toLowerCase() : null,
+              priority: typeof item.priority === 'string' ? item.priority.toLowerCase() : null,
+              reason: item.reason
+            }));
+        }
+      } catch (error) {
+        // Try the next candidate
+      }
+    }
+
+    return [];
+  }
+
+  // =============================================================================
+  // REQUIREMENT CRUD
+  // =============================================================================
+
+  async listRequirements(projectId, filters = {}) {
+    const [requirements, summary] = await Promise.all([
+      this.requirementModel.listByProject(projectId, filters),
+      this.requirementModel.getSummary(projectId)
+    ]);
+    return { requirements, summary };
+  }
+
+  async getRequirement(requirementId) {
+    return await this.requirementModel.getById(requirementId);
+  }
+
+  /**
+   * Project a requirement belongs to (for access checks)
+   * @returns {string|null}
+   */
+  async getProjectName(requirementId) {
+    const requirement = await this.requirementModel.getById(requirementId);
+    if (!requirement) {
+      return null;
+    }
+    const project = await this.projectService.getProject(requirement.projectId);
+    return project ? project.title : null;
+  }
+
+  async updateRequirement(requirementId, updates, userId = null) {
+    if (updates.category !== undefined && !Requirement.CATEGORIES.includes(updates.category)) {
+      const error = new Error(`Category must be one of: ${Requirement.CATEGORIES.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    if (updates.priority !== undefined && !Requirement.PRIORITIES.includes(updates.priority)) {
+      const error = new Error(`Priority must be one of: ${Requirement.PRIORITIES.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    if (updates.status !== undefined && !Requirement.STATUSES.includes(updates.status)) {
+      const error = new Error(`Status must be one of: ${Requirement.STATUSES.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return await this.requirementModel.update(requirementId, updates, userId);
+  }
+
+  async deleteRequirement(requirementId) {
+    return await this.requirementModel.delete(requirementId);
+  }
+}
+
+module.exports = RequirementShredService;
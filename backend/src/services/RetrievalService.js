@@ -0,0 +1,328 @@
+/**
+ * Retrieval Service
+ * Hybrid retrieval over a project's context chunks: PostgreSQL full-text
+ * ranking and pgvector similarity fused with Reciprocal Rank Fusion, an
+ * optional cross-encoder or LLM rerank, then top-k passages within a token budget
+ */
+
+const logger = require('../utils/logger');
+const ContextChunk = require('../models/ContextChunk');
+const EmbeddingService = require('./EmbeddingService');
+const LLMService = require('./LLMService');
+const GlobalSettingsService = require('./GlobalSettingsService');
+const TokenizerService = require('./TokenizerService');
+const PermissionService = require('./PermissionService');
+const { reciprocalRankFusion, selectWithinBudget } = require('../utils/rankFusion');
+
+const RERANKERS = ['none', 'cross-encoder', 'llm'];
+
+const DEFAULT_SETTINGS = {
+  topK: 8,
+  tokenBudget: 4000,
+  reranker: 'none'
+};
+
+// Candidates fetched from each retriever before fusion
+const CANDIDATE_LIMIT = 50;
+
+// Fused candidates sent to the reranker; reranking is the slow step
+const RERANK_POOL_SIZE = 24;
+
+// Passage length shown to the LLM reranker
+const LLM_RERANK_PASSAGE_CHARS = 1200;
+
+class RetrievalService {
+  /**
+   * @param {Object} options - { contextChunk, embeddingService, llmService, settingsService, tokenizerService,
+   *                            permissionService } overrides for tests
+   */
+  constructor(options = {}) {
+    this.contextChunk = options.contextChunk || new ContextChunk();
+    this.embeddingService = options.embeddingService || new EmbeddingService();
+    this.llmService = options.llmService || new LLMService();
+    this.globalSettingsService = options.settingsService || new GlobalSettingsService();
+    this.tokenizerService = options.tokenizerService || new TokenizerService();
+    this.permissionService = options.permissionService || new PermissionService();
+  }
+
+  /**
+   * Retrieval settings from `context.retrieval_*` and `context.reranker`
+   * @returns {Object} { topK, tokenBudget, reranker }
+   */
+  async getSettings() {
+    const [topK, tokenBudget, reranker] = await Promise.all([
+      this.globalSettingsService.getSettingValue('context.retrieval_top_k', DEFAULT_SETTINGS.topK),
+      this.globalSettingsService.getSettingValue('context.retrieval_token_budget', DEFAULT_SETTINGS.tokenBudget),
+      this.globalSettingsService.getSettingValue('context.reranker', DEFAULT_SETTINGS.reranker)
+    ]);
+
+    return {
+      topK: parseInt(topK) || DEFAULT_SETTINGS.topK,
+      tokenBudget: parseInt(tokenBudget) || DEFAULT_SETTINGS.tokenBudget,
+      reranker: RERANKERS.includes(reranker) ? reranker : DEFAULT_SETTINGS.reranker
+    };
+  }
+
+  /**
+   * Passages from a project's context that best answer a query
+   * Each retriever is allowed to fail on its own (no embeddings yet, provider down);
+   * retrieval only fails when neither returns candidates because of an error.
+   * @param {Object} params - { projectName, documentType, query, topK, tokenBudget, reranker,
+   *                           model: the model the passages are for (defaults to the writing model),
+   *                           user: req.user, whose restricted documents are left out }
+   * @returns {Object} { query, passages, tokenCount, candidateCount, settings, retrievers, rerank }
+   */
+  async retrieve(params) {
+    const { projectName, documentType, query } = params;
+    if (!projectName || !documentType) {
+      throw this.validationError('Project name and document type are required');
+    }
+    if (!query || !query.trim()) {
+      throw this.validationError('Query is required');
+    }
+    if (params.reranker !== undefined && !RERANKERS.includes(params.reranker)) {
+      throw this.validationError(`Reranker must be one of: ${RERANKERS.join(', ')}`);
+    }
+
+    const defaults = await this.getSettings();
+    const settings = {
+      topK: parseInt(params.topK) || defaults.topK,
+      tokenBudget: parseInt(params.tokenBudget) || defaults.tokenBudget,
+      reranker: params.reranker || defaults.reranker
+    };
+
+    const [lexical, vector] = await Promise.all([
+      this.lexicalCandidates(projectName, documentType, query),
+      this.vectorCandidates(projectName, documentType, query)
+    ]);
+
+    if (lexical.error && vector.error) {
+      throw new Error(`Retrieval failed: ${lexical.error}; ${vector.error}`);
+    }
+
+    const fused = (await this.visibleCandidates(params.user, projectName, reciprocalRankFusion({
+      lexical: lexical.chunks,
+      vector: vector.chunks
+    }))).map(entry => ({
+      ...entry.item,
+      score: entry.score,
+      ranks: entry.ranks
+    }));
+    this.attachRetrieverScores(fused, lexical.chunks, 'lexicalScore');
+    this.attachRetrieverScores(fused, vector.chunks, 'vectorScore');
+
+    const { ordered, rerank } = await this.rerankCandidates(query, fused, settings.reranker);
+    // The budget is in the reading model's tokens; stored counts may come from another tokenizer
+    const counter = await this.tokenizerService.getCounter(params.model || await this.llmService.getModel('writing'));
+    const { selected, tokenCount, skipped } = selectWithinBudget(ordered, { ...settings, countTokens: counter.count });
+
+    logger.info(`Retrieved ${selected.length}/${fused.length} passages (${tokenCount} tokens) for ${projectName}/${documentType}` +
+      ` [lexical ${lexical.chunks.length}, vector ${vector.chunks.length}, rerank ${rerank.applied ? settings.reranker : 'none'}]`);
+
+    return {
+      query,
+      passages: selected.map((passage, index) => this.labelPassage(passage, index)),
+      tokenCount,
+      tokenizer: { model: counter.model, family: counter.family, exact: counter.exact },
+      candidateCount: fused.length,
+      skippedForBudget: skipped,
+      settings,
+      retrievers: {
+        lexical: { count: lexical.chunks.length, error: lexical.error || null },
+        vector: { count: vector.chunks.length, model: vector.model || null, error: vector.error || null }
+      },
+      rerank
+    };
+  }
+
+  /**
+   * Full-text candidates
+   * @private
+   */
+  async lexicalCandidates(projectName, documentType, query) {
+    try {
+      const chunks = await this.contextChunk.lexicalSearch({ projectName, documentType, query, limit: CANDIDATE_LIMIT });
+      return { chunks };
+    } catch (error) {
+      logger.warn(`Full-text retrieval failed for ${projectName}/${documentType}: ${error.message}`);
+      return { chunks: [], error: error.message };
+    }
+  }
+
+  /**
+   * Vector candidates for the query embedded with the active embedding model
+   * @private
+   */
+  async vectorCandidates(projectName, documentType, query) {
+    try {
+      const embedding = await this.embeddingService.embedTexts([query]);
+      const chunks = await this.contextChunk.vectorSearch({
+        projectName,
+        documentType,
+        vector: embedding.vectors[0],
+        embeddingModel: embedding.model,
+        limit: CANDIDATE_LIMIT
+      });
+      return { chunks, model: embedding.model };
+    } catch (error) {
+      logger.warn(`Vector retrieval failed for ${projectName}/${documentType}: ${error.message}`);
+      return { chunks: [], error: error.message };
+    }
+  }
+
+  /**
+   * Drop fused candidates from documents the user may not see, before the reranker and the
+   * token budget spend anything on them
+   * @private
+   */
+  async visibleCandidates(user, projectName, entries) {
+    if (!user) {
+      return entries;
+    }
+
+    const documentIds = [...new Set(entries.map(entry => entry.item.documentId).filter(Boolean).map(String))];
+    const visible = await this.permissionService.filterDocuments(user, documentIds.map(id => ({ id: parseInt(id), projectName })));
+    const visibleIds = new Set(visible.map(document => String(document.id)));
+
+    return entries.filter(entry => !entry.item.documentId || visibleIds.has(String(entry.item.documentId)));
+  }
+
+  /**
+   * Copy each retriever's own score onto the fused candidates for display
+   * @private
+   */
+  attachRetrieverScores(fused, chunks, field) {
+    const scores = new Map(chunks.map(chunk => [chunk.id, chunk.score]));
+    fused.forEach(candidate => {
+      if (scores.has(candidate.id)) {
+        candidate[field] = scores.get(candidate.id);
+      }
+    });
+  }
+
+  /**
+   * Reorder the head of the fused list with the configured reranker
+   * A failed rerank keeps the fused order rather than failing the request.
+   * @private
+   */
+  async rerankCandidates(query, fused, reranker) {
+    if (reranker === 'none' || fused.length === 0) {
+      return { ordered: fused, rerank: { reranker, applied: false } };
+    }
+
+    const pool = fused.slice(0, RERANK_POOL_SIZE);
+    const rest = fused.slice(RERANK_POOL_SIZE);
+
+    try {
+      const result = reranker === 'llm'
+        ? await this.scoreWithLlm(query, pool)
+        : await this.llmService.rerank('rerank', query, pool.map(candidate => candidate.content));
+
+      const reranked = pool
+        .map((candidate, index) => ({ ...candidate, rerankScore: result.scores[index] }))
+        .sort((a, b) => b.rerankScore - a.rerankScore);
+
+      return {
+        ordered: [...reranked, ...rest],
+        rerank: { reranker, applied: true, model: result.model, scored: pool.length }
+      };
+    } catch (error) {
+      logger.warn(`Rerank (${reranker}) failed, keeping fused order: ${error.message}`);
+      return { ordered: fused, rerank: { reranker, applied: false, error: error.message } };
+    }
+  }
+
+  /**
+   * Ask the rerank model to grade each passage 0-10 for the query
+   * @private
+   */
+  async scoreWithLlm(query, candidates) {
+    const passages = candidates
+      .map((candidate, index) => `[${index + 1}] ${candidate.content.slice(0, LLM_RERANK_PASSAGE_CHARS)}`)
+      .join('\n\n');
+
+    const prompt = `Rate how useful each numbered passage is for answering the query, from 0 (irrelevant) to 10 (directly answers it).
+
+Query: ${query}
+
+Passages:
+${passages}
+
+Respond with JSON only: {"scores": [<score for passage 1>, <score for passage 2>, ...]} with exactly ${candidates.length} numbers.`;
+
+    const result = await this.llmService.generate('rerank', {
+      prompt,
+      format: 'json',
+      options: { temperature: 0 }
+    });
+
+    let parsed;
+    try {
+      parsed = JSON.parse(result.text);
+    } catch (error) {
+      throw new Error('rerank model did not return JSON');
+    }
+
+    const scores = parsed && Array.isArray(parsed.scores) ? parsed.scores.map(Number) : null;
+    if (!scores || scores.length !== candidates.length || scores.some(score => Number.isNaN(score))) {
+      throw new Error(`rerank model returned ${scores ? scores.length : 'no'} scores for ${candidates.length} passages`);
+    }
+
+    return { scores, model: result.model };
+  }
+
+  /**
+   * Number a passage and give it the tag the model should cite: [Source: RFP.pdf, C.3.2, p.14]
+   */
+  labelPassage(passage, index) {
+    const section = this.getSectionLabel(passage);
+    const page = this.getPageLabel(passage);
+
+    return {
+      ...passage,
+      passageNumber: index + 1,
+      section,
+      page,
+      citation: `[Source: ${passage.documentName}, ${section}${page ? `, ${page}` : ''}]`
+    };
+  }
+
+  /**
+   * Section label: RFP paragraph, then heading, then detected section type
+   */
+  getSectionLabel(chunk) {
+    if (chunk.paragraphId) {
+      return chunk.paragraphId;
+    }
+    if (chunk.sectionTitle) {
+      return chunk.sectionTitle.replace(/[,\]]/g, ' ').trim();
+    }
+    if (chunk.sectionType && chunk.sectionType !== 'general') {
+      return chunk.sectionType.replace(/_/g, ' ');
+    }
+    return `part ${chunk.chunkIndex + 1}`;
+  }
+
+  /**
+   * Page label ("p.14", "pp.14-15"), or null for formats without pagination
+   */
+  getPageLabel(chunk) {
+    if (!chunk.pageStart) {
+      return null;
+    }
+    return chunk.pageEnd && chunk.pageEnd !== chunk.pageStart
+      ? `pp.${chunk.pageStart}-${chunk.pageEnd}`
+      : `p.${chunk.pageStart}`;
+  }
+
+  validationError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+RetrievalService.RERANKERS = RERANKERS;
+RetrievalService.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = RetrievalService;
@@ -0,0 +1,135 @@
+/**
+ * Storage Service
+ * Where uploaded document bytes live: picks the storage driver (STORAGE_DRIVER=local|s3) and
+ * addresses objects by content checksum, so a key never depends on a project name or folder
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+const LocalStorageDriver = require('./storage/LocalStorageDriver');
+const S3StorageDriver = require('./storage/S3StorageDriver');
+
+const DRIVERS = {
+  local: LocalStorageDriver,
+  s3: S3StorageDriver
+};
+
+// One driver per process so the S3 client settings and local root are resolved once
+const driverInstances = {};
+
+/**
+ * Content-addressed key for a document: documents/<first two checksum chars>/<checksum><extension>
+ * Identical uploads share one object.
+ * @param {string} checksum - Hex digest from DocumentManagerService.calculateChecksum
+ * @param {string} extension - File extension, e.g. ".pdf"
+ */
+function storageKey(checksum, extension = '') {
+  const digest = String(checksum || '').toLowerCase();
+  if (!/^[a-f0-9]{32,128}$/.test(digest)) {
+    throw new Error('A hex checksum is required for a storage key');
+  }
+  const ext = String(extension || '').toLowerCase().replace(/[^a-z0-9.]/g, '');
+  return `documents/${digest.slice(0, 2)}/${digest}${ext && !ext.startsWith('.') ? `.${ext}` : ext}`;
+}
+
+class StorageService {
+  /**
+   * @param {Object} options - { driver: instance | name } override (tests, migrations between drivers)
+   */
+  constructor(options = {}) {
+    if (options.driver && typeof options.driver === 'object') {
+      this.driver = options.driver;
+    } else {
+      this.driver = StorageService.getDriver(options.driver || process.env.STORAGE_DRIVER || 'local');
+    }
+  }
+
+  static getDriver(name) {
+    if (!DRIVERS[name]) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    if (!driverInstances[name]) {
+      driverInstances[name] = new DRIVERS[name]();
+    }
+    return driverInstances[name];
+  }
+
+  get driverName() {
+    return this.driver.name;
+  }
+
+  /**
+   * Prepare the backend (local root directory, or the bucket)
+   */
+  async initialize() {
+    await this.driver.initialize();
+    logger.info(`Document storage ready (${this.driver.name})`);
+  }
+
+  /**
+   * Store a local file under its content key, skipping the write when the object already exists
+   * @param {string} filePath - File on local disk
+   * @param {Object} info - { checksum, extension, contentType }
+   * @returns {Object} { key, location, stored } (stored is false for a duplicate)
+   */
+  async storeFile(filePath, { checksum, extension, contentType }) {
+    const key = storageKey(checksum, extension || path.extname(filePath));
+
+    if (await this.driver.head(key)) {
+      return { key, location: this.driver.describe(key), stored: false };
+    }
+
+    await this.driver.putFile(key, filePath, { contentType });
+    return { key, location: this.driver.describe(key), stored: true };
+  }
+
+  /**
+   * Store a buffer under its content key (see storeFile)
+   */
+  async storeBuffer(buffer, { checksum, extension, contentType }) {
+    const key = storageKey(checksum, extension);
+
+    if (await this.driver.head(key)) {
+      return { key, location: this.driver.describe(key), stored: false };
+    }
+
+    await this.driver.put(key, buffer, { contentType });
+    return { key, location: this.driver.describe(key), stored: true };
+  }
+
+  /**
+   * Write an object under a key that is already known (copies between drivers)
+   */
+  async write(key, buffer, { contentType } = {}) {
+    await this.driver.put(key, buffer, { contentType });
+  }
+
+  async read(key) {
+    return this.driver.get(key);
+  }
+
+  async stream(key) {
+    return this.driver.getStream(key);
+  }
+
+  async stat(key) {
+    return this.driver.head(key);
+  }
+
+  async exists(key) {
+    return Boolean(await this.driver.head(key));
+  }
+
+  async remove(key) {
+    return this.driver.delete(key);
+  }
+
+  describe(key) {
+    return this.driver.describe(key);
+  }
+}
+
+StorageService.DRIVERS = DRIVERS;
+StorageService.storageKey = storageKey;
+
+module.exports = StorageService;
@@ -141,6 +141,34 @@ class TechnologyExtractionService {
         }
     }
 
+    /**
+     * Technology names from the approved catalog mentioned in a past performance's text
+     * (used for records entered or imported without documents)
+     * @param {string} text - Summary, technical approach and other narrative fields
+     * @param {Object} options - { minConfidence, known: names already on the record }
+     * @returns {Array<string>} Technology names, known names first
+     */
+    async extractTechnologies(text, options = {}) {
+        const { minConfidence = 0.6, known = [] } = options;
+        const names = new Map(known.filter(Boolean).map(name => [name.toLowerCase(), name]));
+
+        if (text && text.trim()) {
+            const approvedTechnologies = await Technology.findAll({ approved: true });
+            const results = await this.performKeywordExtraction(text, approvedTechnologies, {
+                detectVersions: false,
+                minConfidence
+            });
+
+            results.forEach(result => {
+                if (!names.has(result.name.toLowerCase())) {
+                    names.set(result.name.toLowerCase(), result.name);
+                }
+            });
+        }
+
+        return Array.from(names.values());
+    }
+
     /**
      * Perform keyword-based technology extraction
      * @param {string} text - Text to analyze
@@ -0,0 +1,179 @@
+/**
+ * Tokenizer Service
+ * Token counts from the tokenizer of the model that will read the text, so context budgets
+ * match the model window. Each model family's tokenizer.json is loaded from TOKENIZER_PATH
+ * (fetch them with `npm run tokenizers:fetch`) and counts are cached per text. Models outside
+ * the known families are estimated at ~4 characters per token.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const BPETokenizer = require('../utils/bpeTokenizer');
+const logger = require('../utils/logger');
+
+const CHARS_PER_TOKEN = 4;
+
+// Ollama names (qwen2.5:14b-instruct-q4_0) and Hugging Face ids (Qwen/Qwen2.5-7B) map to a family;
+// `source` is the repository scripts/fetch-tokenizers.js downloads tokenizer.json from
+const FAMILIES = [
+  // Qwen 1.5 through Qwen 3 (and QwQ) share one byte-level BPE vocabulary
+  { family: 'qwen', pattern: /^(qwen|qwq)/, source: 'Qwen/Qwen2.5-7B-Instruct' },
+  { family: 'gemma3', pattern: /^gemma-?3/, source: 'google/gemma-3-12b-it', gated: true },
+  { family: 'gemma', pattern: /^(gemma|codegemma)/, source: 'google/gemma-2-9b-it', gated: true },
+  { family: 'llama3', pattern: /^(llama-?3|meta-llama-3)/, source: 'meta-llama/Llama-3.1-8B-Instruct', gated: true }
+];
+
+// Texts whose counts are kept per family; chunks are recounted on every overflow check and prompt
+const COUNT_CACHE_SIZE = 20000;
+
+// Shared across instances so each tokenizer file is parsed once per process
+const sharedState = { tokenizers: new Map(), counts: new Map() };
+
+/**
+ * Estimated tokens for models without a tokenizer (1 token ≈ 4 characters)
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Tokenizer family of a model name, or null for unknown models
+ */
+function resolveFamily(model) {
+  const name = String(model || '').toLowerCase().split('/').pop();
+  const match = FAMILIES.find(entry => entry.pattern.test(name));
+  return match ? match.family : null;
+}
+
+class TokenizerService {
+  /**
+   * @param {Object} options - { tokenizerPath, loadTokenizer(family, file) } overrides for tests
+   */
+  constructor(options = {}) {
+    this.tokenizerPath = options.tokenizerPath || process.env.TOKENIZER_PATH || path.join(__dirname, '../../tokenizers');
+    this.loadTokenizer = options.loadTokenizer || null;
+    // Injected loaders get private caches so tests do not share tokenizers
+    this.state = options.loadTokenizer || options.tokenizerPath
+      ? { tokenizers: new Map(), counts: new Map() }
+      : sharedState;
+  }
+
+  tokenizerFile(family) {
+    return path.join(this.tokenizerPath, family, 'tokenizer.json');
+  }
+
+  /**
+   * Tokenizer for a family, loaded on first use
+   * @returns {Promise<Object>} { tokenizer, error }: tokenizer is null when the file is missing or unsupported
+   */
+  getTokenizer(family) {
+    if (!this.state.tokenizers.has(family)) {
+      const file = this.tokenizerFile(family);
+      const loading = (async () => {
+        try {
+          const tokenizer = this.loadTokenizer
+            ? await this.loadTokenizer(family, file)
+            : new BPETokenizer(JSON.parse(await fs.readFile(file, 'utf8')));
+          logger.info(`Loaded ${family} tokenizer from ${file}`);
+          return { tokenizer, error: null };
+        } catch (error) {
+          const message = error.code === 'ENOENT' ? `tokenizer file not found: ${file}` : error.message;
+          logger.error(`Could not load the ${family} tokenizer, token counts will be estimated: ${message}`);
+          return { tokenizer: null, error: message };
+        }
+      })();
+      this.state.tokenizers.set(family, loading);
+    }
+    return this.state.tokenizers.get(family);
+  }
+
+  /**
+   * Token counter for a model
+   * @param {string} model - Model name, e.g. qwen2.5:14b-instruct-q4_0
+   * @returns {Promise<Object>} { model, family, exact, error, count(text) }; count is synchronous
+   */
+  async getCounter(model) {
+    const family = resolveFamily(model);
+    if (!family) {
+      return { model, family: null, exact: false, error: null, count: estimateTokens };
+    }
+
+    const { tokenizer, error } = await this.getTokenizer(family);
+    if (!tokenizer) {
+      return { model, family, exact: false, error, count: estimateTokens };
+    }
+
+    return {
+      model,
+      family,
+      exact: true,
+      error: null,
+      count: text => this.cachedCount(family, tokenizer, text)
+    };
+  }
+
+  /**
+   * @private
+   */
+  cachedCount(family, tokenizer, text) {
+    if (!text) {
+      return 0;
+    }
+
+    const key = `${family}:${crypto.createHash('sha1').update(text).digest('hex')}`;
+    const counts = this.state.counts;
+    if (counts.has(key)) {
+      // Refresh recency so hot chunks survive eviction
+      const count = counts.get(key);
+      counts.delete(key);
+      counts.set(key, count);
+      return count;
+    }
+
+    const count = tokenizer.count(text);
+    counts.set(key, count);
+    if (counts.size > COUNT_CACHE_SIZE) {
+      counts.delete(counts.keys().next().value);
+    }
+    return count;
+  }
+
+  /**
+   * Tokens in a text for a model
+   */
+  async countTokens(text, model) {
+    const counter = await this.getCounter(model);
+    return counter.count(text);
+  }
+
+  /**
+   * Tokens in a set of chunks ({ content }) for a model
+   * @returns {Promise<Object>} { total, counts: per chunk, family, exact }
+   */
+  async countChunks(chunks, model) {
+    const counter = await this.getCounter(model);
+    const counts = chunks.map(chunk => counter.count(chunk.content || ''));
+    return {
+      total: counts.reduce((sum, count) => sum + count, 0),
+      counts,
+      family: counter.family,
+      exact: counter.exact
+    };
+  }
+
+  /**
+   * Load the tokenizers of the given models up front and report which count exactly
+   * @returns {Promise<Array>} [{ model, family, exact, error }]
+   */
+  async preload(models) {
+    const counters = await Promise.all([...new Set(models.filter(Boolean))].map(model => this.getCounter(model)));
+    return counters.map(({ model, family, exact, error }) => ({ model, family, exact, error }));
+  }
+}
+
+TokenizerService.FAMILIES = FAMILIES;
+TokenizerService.estimateTokens = estimateTokens;
+TokenizerService.resolveFamily = resolveFamily;
+
+module.exports = TokenizerService;
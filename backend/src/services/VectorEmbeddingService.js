@@ -1,6 +1,8 @@
 const PPEmbedding = require('../models/PPEmbedding');
 const PPDocument = require('../models/PPDocument');
 const Technology = require('../models/Technology');
+const EmbeddingService = require('./EmbeddingService');
+const TokenizerService = require('./TokenizerService');
 const logger = require('../utils/logger');
 
 /**
@@ -9,11 +11,10 @@ const logger = require('../utils/logger');
  */
 class VectorEmbeddingService {
     constructor() {
-        this.ollamaUrl = process.env.OLLAMA_URL || 'http://localhost:11434';
-        this.embeddingModel = process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text';
+        this.embeddingService = new EmbeddingService();
+        this.tokenizerService = new TokenizerService();
         this.maxChunkSize = 512; // Maximum tokens per chunk
         this.overlapSize = 50; // Overlap between chunks
-        this.embeddingDimension = 1536; // Standard embedding dimension
     }
 
     /**
@@ -100,6 +101,44 @@ class VectorEmbeddingService {
         }
     }
 
+    /**
+     * Embed a past performance record's own fields (records entered or imported without documents)
+     * Writes one project-level chunk; embeddings built from documents are left in place.
+     * @param {Object} pp - Formatted past performance record
+     * @returns {Object} { ppId, totalEmbeddings }
+     */
+    async generatePPEmbeddings(pp) {
+        const technologies = (pp.technologiesUsed || [])
+            .map(tech => (typeof tech === 'string' ? tech : tech.name))
+            .filter(Boolean);
+        const text = [
+            `${pp.projectName} for ${pp.customer}`,
+            pp.summary,
+            pp.technicalApproach,
+            technologies.length > 0 ? `Technologies: ${technologies.join(', ')}` : null,
+            (pp.domainAreas || []).length > 0 ? `Domains: ${pp.domainAreas.join(', ')}` : null,
+            pp.lessonsLearned,
+            pp.challengesOvercome
+        ].filter(Boolean).join('\n\n');
+
+        const { vectors, model } = await this.embeddingService.embedTexts([text]);
+
+        await PPEmbedding.create({
+            ppId: pp.id,
+            chunkType: 'project_level',
+            chunkText: text,
+            chunkSummary: pp.projectName,
+            embedding: vectors[0],
+            embeddingModel: model,
+            chunkMetadata: { type: 'record_fields', source: 'past_performance_record' },
+            chunkOrder: 0,
+            tokenCount: await this.countTokens(text, model)
+        });
+
+        logger.info(`Generated record embedding for PP ${pp.id}`);
+        return { ppId: pp.id, totalEmbeddings: 1 };
+    }
+
     /**
      * Generate embeddings for a specific chunk type
      * @param {number} ppId - Past performance ID
@@ -134,17 +173,18 @@ class VectorEmbeddingService {
             const chunk = chunks[i];
 
             try {
-                const embedding = await this.generateEmbedding(chunk.text);
+                const { vectors, model } = await this.embeddingService.embedTexts([chunk.text]);
 
                 const embeddingRecord = await PPEmbedding.create({
                     ppId,
                     chunkType,
                     chunkText: chunk.text,
                     chunkSummary: chunk.summary,
-                    embedding,
+                    embedding: vectors[0],
+                    embeddingModel: model,
                     chunkMetadata: chunk.metadata,
                     chunkOrder: i,
-                    tokenCount: this.estimateTokenCount(chunk.text)
+                    tokenCount: await this.countTokens(chunk.text, model)
                 });
 
                 embeddings.push(embeddingRecord);
@@ -348,42 +388,12 @@ class VectorEmbeddingService {
     }
 
     /**
-     * Generate embedding vector using Ollama
+     * Generate embedding vector with the routed embedding model
      * @param {string} text - Text to embed
      * @returns {Array} Embedding vector
      */
     async generateEmbedding(text) {
-        try {
-            // For now, return a mock embedding
-            // In production, this would call Ollama's embedding API
-
-            // Mock embedding generation (replace with actual Ollama call)
-            const mockEmbedding = Array.from({ length: this.embeddingDimension }, () =>
-                (Math.random() - 0.5) * 2
-            );
-
-            // Normalize the vector
-            const magnitude = Math.sqrt(mockEmbedding.reduce((sum, val) => sum + val * val, 0));
-            return mockEmbedding.map(val => val / magnitude);
-
-            // TODO: Replace with actual Ollama call:
-            /*
-            const response = await fetch(`${this.ollamaUrl}/api/embeddings`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    model: this.embeddingModel,
-                    prompt: text
-                })
-            });
-
-            const data = await response.json();
-            return data.embedding;
-            */
-        } catch (error) {
-            logger.error('Failed to generate embedding:', error);
-            throw new Error(`Embedding generation failed: ${error.message}`);
-        }
+        return await this.embeddingService.generateEmbedding(text);
     }
 
     /**
@@ -402,10 +412,11 @@ class VectorEmbeddingService {
 
         try {
             // Generate embedding for the query
-            const queryEmbedding = await this.generateEmbedding(query);
+            const { vectors, model } = await this.embeddingService.embedTexts([query]);
 
-            // Perform vector search
-            const results = await PPEmbedding.semanticSearch(queryEmbedding, {
+            // Perform vector search against rows from the same model
+            const results = await PPEmbedding.semanticSearch(vectors[0], {
+                embeddingModel: model,
                 chunkTypes,
                 limit,
                 minSimilarity,
@@ -688,14 +699,13 @@ class VectorEmbeddingService {
     }
 
     /**
-     * Estimate token count for text
+     * Token count for text with the embedding model's tokenizer (estimated for unknown models)
      * @param {string} text - Text to count
-     * @returns {number} Estimated token count
+     * @param {string} model - Embedding model that embedded the text
+     * @returns {Promise<number>} Token count
      */
-    estimateTokenCount(text) {
-        // Rough estimation: 1 token ≈ 0.75 words
-        const wordCount = text.split(/\s+/).length;
-        return Math.ceil(wordCount / 0.75);
+    async countTokens(text, model) {
+        return this.tokenizerService.countTokens(text, model);
     }
 
     /**
@@ -704,15 +714,17 @@ class VectorEmbeddingService {
      */
     async getStatistics() {
         try {
-            const embeddingStats = await PPEmbedding.getStatistics();
+            const [embeddingStats, embeddingModel] = await Promise.all([
+                PPEmbedding.getStatistics(),
+                this.embeddingService.getActiveModel()
+            ]);
 
             return {
                 ...embeddingStats,
                 configuration: {
-                    embedding_model: this.embeddingModel,
+                    embedding_model: embeddingModel,
                     max_chunk_size: this.maxChunkSize,
-                    overlap_size: this.overlapSize,
-                    embedding_dimension: this.embeddingDimension
+                    overlap_size: this.overlapSize
                 }
             };
         } catch (error) {
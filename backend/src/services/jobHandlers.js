@@ -0,0 +1,60 @@
+/**
+ * Job Handlers
+ * Connects each background job type to the service method that does the work
+ */
+
+const JobQueueService = require('./JobQueueService');
+const ContextService = require('./ContextService');
+const PPProcessingService = require('./PPProcessingService');
+const EmbeddingPipelineService = require('./EmbeddingPipelineService');
+const PPImportService = require('./PPImportService');
+const ColorReviewService = require('./ColorReviewService');
+const MilestoneService = require('./MilestoneService');
+const DocumentSearchService = require('./DocumentSearchService');
+
+const { JOB_TYPES } = JobQueueService;
+
+/**
+ * Register the handlers this process can run
+ * @param {JobQueueService} jobQueue - Queue to register on
+ * @param {Object} services - Optional service instances (for tests)
+ */
+function registerJobHandlers(jobQueue, services = {}) {
+  const contextService = services.contextService || new ContextService();
+  const ppProcessingService = services.ppProcessingService || new PPProcessingService();
+  const embeddingPipeline = services.embeddingPipeline || new EmbeddingPipelineService();
+  const ppImportService = services.ppImportService || new PPImportService({ jobQueue });
+  const colorReviewService = services.colorReviewService || new ColorReviewService({ jobQueue });
+  const milestoneService = services.milestoneService || new MilestoneService({ jobQueue });
+  const documentSearchService = services.documentSearchService || new DocumentSearchService({ jobQueue });
+
+  // Builds embed every chunk of a project, so one at a time keeps the embedding model responsive
+  jobQueue.registerHandler(JOB_TYPES.CONTEXT_BUILD, (payload, job) =>
+    contextService.buildProjectContext(payload.projectName, payload.documentType, job), { concurrency: 1 });
+
+  jobQueue.registerHandler(JOB_TYPES.PP_TEXT_EXTRACTION, async (payload, job) => {
+    job.throwIfCancelled();
+    await job.progress(10, 'Extracting text');
+    return ppProcessingService.extractDocumentText(payload.documentId);
+  }, { concurrency: 2 });
+
+  jobQueue.registerHandler(JOB_TYPES.EMBEDDING_BACKFILL, (payload, job) =>
+    embeddingPipeline.runBackfill(payload, job), { concurrency: 1 });
+
+  jobQueue.registerHandler(JOB_TYPES.PP_IMPORT, (payload, job) =>
+    ppImportService.runImport(payload, job), { concurrency: 1 });
+
+  // Each section is an LLM call; one review at a time keeps the model free for writers
+  jobQueue.registerHandler(JOB_TYPES.COLOR_REVIEW_PRESCORE, (payload, job) =>
+    colorReviewService.runAIPrescore(payload, job), { concurrency: 1 });
+
+  // Hourly deadline check; each run queues the next
+  jobQueue.registerHandler(JOB_TYPES.MILESTONE_ALERTS, () =>
+    milestoneService.runDeadlineCheck(), { concurrency: 1 });
+
+  // Text extraction is CPU-bound; one indexing job at a time leaves room for requests
+  jobQueue.registerHandler(JOB_TYPES.DOCUMENT_SEARCH_INDEX, (payload, job) =>
+    documentSearchService.runIndexJob(payload, job), { concurrency: 1 });
+}
+
+module.exports = { registerJobHandlers };
@@ -0,0 +1,122 @@
+/**
+ * Mock Provider
+ * Deterministic LLM adapter for tests and offline development; never touches the network
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_DIMENSION = 768;
+
+class MockProvider {
+  /**
+   * @param {Object} config - { responses: { [promptSubstring]: text }, dimension, models }
+   */
+  constructor(config = {}) {
+    this.name = 'mock';
+    this.responses = config.responses || {};
+    this.dimension = config.dimension || parseInt(process.env.MOCK_EMBEDDING_DIMENSION) || DEFAULT_DIMENSION;
+    this.models = config.models || ['mock-writer', 'mock-extractor', 'mock-embed'];
+    this.calls = [];
+  }
+
+  async generate(params) {
+    this.calls.push({ type: 'generate', model: params.model, prompt: params.prompt });
+    const text = this.respond(params);
+    return {
+      text,
+      model: params.model,
+      usage: { promptTokens: countWords(params.prompt), completionTokens: countWords(text) }
+    };
+  }
+
+  async generateStream(params, { onToken, signal } = {}) {
+    this.calls.push({ type: 'stream', model: params.model, prompt: params.prompt });
+    const text = this.respond(params);
+    const tokens = text.match(/\S+\s*/g) || [];
+
+    for (const token of tokens) {
+      if (signal && signal.aborted) {
+        throw new Error('Generation cancelled');
+      }
+      if (onToken) onToken(token);
+    }
+
+    return {
+      model: params.model,
+      usage: { promptTokens: countWords(params.prompt), completionTokens: tokens.length }
+    };
+  }
+
+  /**
+   * Hash-seeded unit vectors: identical text always embeds identically
+   */
+  async embed(texts, params = {}) {
+    this.calls.push({ type: 'embed', model: params.model, count: texts.length });
+    return texts.map(text => hashVector(`${params.model || ''}:${text}`, this.dimension));
+  }
+
+  /**
+   * Share of query terms found in each passage
+   */
+  async rerank(query, documents, params = {}) {
+    this.calls.push({ type: 'rerank', model: params.model, count: documents.length });
+    const terms = new Set(tokenize(query));
+    return documents.map(document => {
+      if (terms.size === 0) return 0;
+      const words = new Set(tokenize(document));
+      let matched = 0;
+      terms.forEach(term => {
+        if (words.has(term)) matched++;
+      });
+      return matched / terms.size;
+    });
+  }
+
+  async listModels() {
+    return this.models.map(name => ({ name, size: null, modifiedAt: null }));
+  }
+
+  async isAvailable() {
+    return true;
+  }
+
+  /**
+   * First configured response whose key appears in the prompt, else a JSON or echo reply
+   */
+  respond(params) {
+    const prompt = params.prompt || '';
+    const key = Object.keys(this.responses).find(candidate => prompt.includes(candidate));
+    if (key !== undefined) {
+      return this.responses[key];
+    }
+    if (params.format === 'json') {
+      return '{}';
+    }
+    return `[mock:${params.model}] ${prompt.slice(0, 200)}`;
+  }
+}
+
+function countWords(text) {
+  return (text || '').split(/\s+/).filter(Boolean).length;
+}
+
+function tokenize(text) {
+  return (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+function hashVector(text, dimension) {
+  const vector = [];
+  let counter = 0;
+  while (vector.length < dimension) {
+    const digest = crypto.createHash('sha256').update(`${counter}:${text}`).digest();
+    for (let i = 0; i + 1 < digest.length && vector.length < dimension; i += 2) {
+      vector.push(digest.readUInt16BE(i) / 32767.5 - 1);
+    }
+    counter++;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+}
+
+module.exports = MockProvider;
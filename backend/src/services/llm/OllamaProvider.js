@@ -0,0 +1,168 @@
+/**
+ * Ollama Provider
+ * LLM adapter for a local Ollama server (/api/generate, /api/embed, /api/tags)
+ */
+
+const axios = require('axios');
+const { consumeLines } = require('../../utils/streamLines');
+
+class OllamaProvider {
+  constructor(config = {}) {
+    this.name = 'ollama';
+    this.baseUrl = (config.baseUrl || process.env.OLLAMA_URL || 'http://localhost:11434').replace(/\/+$/, '');
+  }
+
+  /**
+   * Generate a completion
+   * @param {Object} params - { model, prompt, system, options: { temperature, top_p, max_tokens }, format, timeout }
+   * @returns {Object} { text, model, usage: { promptTokens, completionTokens } }
+   */
+  async generate(params) {
+    try {
+      const response = await axios.post(`${this.baseUrl}/api/generate`, this.buildBody(params, false), {
+        timeout: params.timeout
+      });
+
+      return {
+        text: response.data.response || response.data.content || '',
+        model: params.model,
+        usage: {
+          promptTokens: response.data.prompt_eval_count || null,
+          completionTokens: response.data.eval_count || null
+        }
+      };
+    } catch (error) {
+      throw this.toError(error);
+    }
+  }
+
+  /**
+   * Generate a completion, calling onToken for each fragment
+   * Ollama streams newline-delimited JSON objects, each carrying a `response` fragment.
+   * @returns {Object} { model, usage }
+   */
+  async generateStream(params, { onToken, signal } = {}) {
+    let response;
+    try {
+      response = await axios.post(`${this.baseUrl}/api/generate`, this.buildBody(params, true), {
+        responseType: 'stream',
+        timeout: params.timeout,
+        signal
+      });
+    } catch (error) {
+      throw this.toError(error);
+    }
+
+    let finalFrame = {};
+    await consumeLines(response.data, (line) => {
+      if (!line.trim()) return;
+
+      const frame = JSON.parse(line);
+      if (frame.error) {
+        throw new Error(`Ollama API error: ${frame.error}`);
+      }
+      if (frame.response && onToken) {
+        onToken(frame.response);
+      }
+      if (frame.done) {
+        finalFrame = frame;
+      }
+    }, { signal });
+
+    return {
+      model: params.model,
+      usage: {
+        promptTokens: finalFrame.prompt_eval_count || null,
+        completionTokens: finalFrame.eval_count || null
+      }
+    };
+  }
+
+  /**
+   * Embed texts
+   * Uses the batch /api/embed endpoint, falling back to /api/embeddings on older servers.
+   * @param {Array} texts - Texts to embed
+   * @param {Object} params - { model, timeout }
+   * @returns {Array} Vectors in input order
+   */
+  async embed(texts, params) {
+    try {
+      const response = await axios.post(`${this.baseUrl}/api/embed`, {
+        model: params.model,
+        input: texts
+      }, { timeout: params.timeout });
+
+      return response.data.embeddings;
+    } catch (error) {
+      if (!error.response || error.response.status !== 404) {
+        throw this.toError(error);
+      }
+    }
+
+    try {
+      const vectors = [];
+      for (const text of texts) {
+        const response = await axios.post(`${this.baseUrl}/api/embeddings`, {
+          model: params.model,
+          prompt: text
+        }, { timeout: params.timeout });
+        vectors.push(response.data.embedding);
+      }
+      return vectors;
+    } catch (error) {
+      throw this.toError(error);
+    }
+  }
+
+  /**
+   * Installed models
+   * @returns {Array} [{ name, size, modifiedAt }]
+   */
+  async listModels() {
+    try {
+      const response = await axios.get(`${this.baseUrl}/api/tags`, { timeout: 10000 });
+      return (response.data.models || []).map(model => ({
+        name: model.name,
+        size: model.size,
+        modifiedAt: model.modified_at
+      }));
+    } catch (error) {
+      throw this.toError(error);
+    }
+  }
+
+  async isAvailable() {
+    try {
+      await axios.get(`${this.baseUrl}/api/tags`, { timeout: 5000 });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  buildBody(params, stream) {
+    const { max_tokens: maxTokens, ...options } = params.options || {};
+    const body = {
+      model: params.model,
+      prompt: params.prompt,
+      stream,
+      // Ollama reads the output cap from num_predict
+      options: maxTokens && options.num_predict === undefined ? { ...options, num_predict: maxTokens } : options
+    };
+
+    if (params.system) body.system = params.system;
+    if (params.format) body.format = params.format;
+    return body;
+  }
+
+  toError(error) {
+    if (error.code === 'ECONNREFUSED') {
+      return new Error('Ollama service is not running. Please start Ollama and try again.');
+    }
+    // Streamed responses carry a stream rather than a parsed body
+    const detail = error.response && error.response.data && error.response.data.error;
+    return new Error(`Ollama API error: ${typeof detail === 'string' ? detail : error.message}`);
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,206 @@
+/**
+ * OpenAI-Compatible Provider
+ * LLM adapter for local servers exposing the OpenAI REST surface (llama.cpp server, vLLM, LM Studio)
+ */
+
+const axios = require('axios');
+const { consumeLines } = require('../../utils/streamLines');
+
+class OpenAICompatibleProvider {
+  constructor(config = {}) {
+    this.name = 'openai-compatible';
+    this.baseUrl = (config.baseUrl || process.env.OPENAI_COMPAT_URL || 'http://localhost:8080/v1').replace(/\/+$/, '');
+    this.apiKey = config.apiKey || process.env.OPENAI_COMPAT_API_KEY || null;
+  }
+
+  /**
+   * Generate a completion
+   * @param {Object} params - { model, prompt, system, options: { temperature, top_p, max_tokens }, format, timeout }
+   * @returns {Object} { text, model, usage: { promptTokens, completionTokens } }
+   */
+  async generate(params) {
+    try {
+      const response = await axios.post(`${this.baseUrl}/chat/completions`, this.buildBody(params, false), {
+        headers: this.headers(),
+        timeout: params.timeout
+      });
+
+      const choice = (response.data.choices || [])[0] || {};
+      const usage = response.data.usage || {};
+      return {
+        text: (choice.message && choice.message.content) || '',
+        model: response.data.model || params.model,
+        usage: {
+          promptTokens: usage.prompt_tokens || null,
+          completionTokens: usage.completion_tokens || null
+        }
+      };
+    } catch (error) {
+      throw this.toError(error);
+    }
+  }
+
+  /**
+   * Generate a completion, calling onToken for each fragment
+   * The server streams SSE `data:` lines carrying chat completion chunks, ending with [DONE].
+   * @returns {Object} { model, usage }
+   */
+  async generateStream(params, { onToken, signal } = {}) {
+    let response;
+    try {
+      response = await axios.post(`${this.baseUrl}/chat/completions`, this.buildBody(params, true), {
+        headers: this.headers(),
+        responseType: 'stream',
+        timeout: params.timeout,
+        signal
+      });
+    } catch (error) {
+      throw this.toError(error);
+    }
+
+    let usage = {};
+    await consumeLines(response.data, (line) => {
+      if (!line.startsWith('data:')) return;
+
+      const payload = line.slice(5).trim();
+      if (!payload || payload === '[DONE]') return;
+
+      const chunk = JSON.parse(payload);
+      if (chunk.error) {
+        throw new Error(`LLM server error: ${chunk.error.message || chunk.error}`);
+      }
+      const choice = (chunk.choices || [])[0];
+      if (choice && choice.delta && choice.delta.content && onToken) {
+        onToken(choice.delta.content);
+      }
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+    }, { signal });
+
+    return {
+      model: params.model,
+      usage: {
+        promptTokens: usage.prompt_tokens || null,
+        completionTokens: usage.completion_tokens || null
+      }
+    };
+  }
+
+  /**
+   * Embed texts
+   * @param {Array} texts - Texts to embed
+   * @param {Object} params - { model, timeout }
+   * @returns {Array} Vectors in input order
+   */
+  async embed(texts, params) {
+    try {
+      const response = await axios.post(`${this.baseUrl}/embeddings`, {
+        model: params.model,
+        input: texts
+      }, {
+        headers: this.headers(),
+        timeout: params.timeout
+      });
+
+      return (response.data.data || [])
+        .slice()
+        .sort((a, b) => (a.index || 0) - (b.index || 0))
+        .map(item => item.embedding);
+    } catch (error) {
+      throw this.toError(error);
+    }
+  }
+
+  /**
+   * Score passages against a query with a cross-encoder (/rerank, as served by
+   * llama.cpp with --reranking, vLLM and text-embeddings-inference)
+   * @param {string} query - Query text
+   * @param {Array} documents - Passage texts
+   * @param {Object} params - { model, timeout }
+   * @returns {Array} Relevance scores in input order
+   */
+  async rerank(query, documents, params) {
+    try {
+      const response = await axios.post(`${this.baseUrl}/rerank`, {
+        model: params.model,
+        query,
+        documents
+      }, {
+        headers: this.headers(),
+        timeout: params.timeout
+      });
+
+      const scores = new Array(documents.length).fill(null);
+      (response.data.results || []).forEach(result => {
+        scores[result.index] = result.relevance_score;
+      });
+      if (scores.some(score => typeof score !== 'number')) {
+        throw new Error('rerank response did not score every document');
+      }
+      return scores;
+    } catch (error) {
+      throw this.toError(error);
+    }
+  }
+
+  /**
+   * Models served
+   * @returns {Array} [{ name, size, modifiedAt }]
+   */
+  async listModels() {
+    try {
+      const response = await axios.get(`${this.baseUrl}/models`, {
+        headers: this.headers(),
+        timeout: 10000
+      });
+      return (response.data.data || []).map(model => ({
+        name: model.id,
+        size: null,
+        modifiedAt: model.created ? new Date(model.created * 1000).toISOString() : null
+      }));
+    } catch (error) {
+      throw this.toError(error);
+    }
+  }
+
+  async isAvailable() {
+    try {
+      await axios.get(`${this.baseUrl}/models`, { headers: this.headers(), timeout: 5000 });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  buildBody(params, stream) {
+    const options = params.options || {};
+    const messages = [];
+    if (params.system) {
+      messages.push({ role: 'system', content: params.system });
+    }
+    messages.push({ role: 'user', content: params.prompt });
+
+    const body = { model: params.model, messages, stream };
+    if (options.temperature !== undefined) body.temperature = options.temperature;
+    if (options.top_p !== undefined) body.top_p = options.top_p;
+    if (options.max_tokens !== undefined) body.max_tokens = options.max_tokens;
+    if (params.format === 'json') body.response_format = { type: 'json_object' };
+    return body;
+  }
+
+  headers() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  toError(error) {
+    if (error.code === 'ECONNREFUSED') {
+      return new Error(`LLM server at ${this.baseUrl} is not running. Please start it and try again.`);
+    }
+    const detail = error.response && error.response.data && error.response.data.error;
+    const message = detail && typeof detail === 'object' ? detail.message : detail;
+    return new Error(`LLM server error: ${typeof message === 'string' ? message : error.message}`);
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,120 @@
+/**
+ * Local Storage Driver
+ * Stores objects as files under a root directory (a shared volume when several backends run)
+ */
+
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+function notFound(key) {
+  const error = new Error(`Stored object not found: ${key}`);
+  error.statusCode = 404;
+  return error;
+}
+
+class LocalStorageDriver {
+  constructor(config = {}) {
+    this.name = 'local';
+    this.root = path.resolve(config.root || process.env.STORAGE_LOCAL_PATH ||
+      path.join(process.env.UPLOAD_PATH || path.join(__dirname, '../../../uploads'), 'objects'));
+  }
+
+  async initialize() {
+    await fsp.mkdir(this.root, { recursive: true });
+  }
+
+  /**
+   * Absolute file path for a key; keys may not climb out of the root
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!key || path.isAbsolute(key) || !filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  describe(key) {
+    return this.resolve(key);
+  }
+
+  /**
+   * Write an object from a buffer
+   * Writes go to a temporary file first so readers never see a partial object.
+   */
+  async put(key, body) {
+    await this.writeAtomically(key, tempPath => fsp.writeFile(tempPath, body));
+  }
+
+  /**
+   * Write an object by copying a file on local disk (e.g. a multer upload)
+   */
+  async putFile(key, filePath) {
+    await this.writeAtomically(key, tempPath => fsp.copyFile(filePath, tempPath));
+  }
+
+  async writeAtomically(key, write) {
+    const target = this.resolve(key);
+    const tempPath = `${target}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    await fsp.mkdir(path.dirname(target), { recursive: true });
+    try {
+      await write(tempPath);
+      await fsp.rename(tempPath, target);
+    } catch (error) {
+      await fsp.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  async get(key) {
+    try {
+      return await fsp.readFile(this.resolve(key));
+    } catch (error) {
+      throw error.code === 'ENOENT' ? notFound(key) : error;
+    }
+  }
+
+  /**
+   * Readable stream of an object (downloads)
+   */
+  async getStream(key) {
+    const filePath = this.resolve(key);
+    if (!(await this.head(key))) {
+      throw notFound(key);
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  /**
+   * Object size and modification time, or null when the object does not exist
+   * @returns {Object|null} { size, lastModified }
+   */
+  async head(key) {
+    try {
+      const stats = await fsp.stat(this.resolve(key));
+      return { size: stats.size, lastModified: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fsp.unlink(this.resolve(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = LocalStorageDriver;
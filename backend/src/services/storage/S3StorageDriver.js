@@ -0,0 +1,229 @@
+/**
+ * S3 Storage Driver
+ * Stores objects in an S3-compatible bucket (AWS S3, MinIO, Ceph RGW) using signed REST calls
+ * (AWS Signature Version 4), so no SDK is needed
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Percent-encode as S3 expects (RFC 3986 unreserved characters are left alone)
+ */
+function uriEncode(value, keepSlash = false) {
+  const encoded = encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return keepSlash ? encoded.replace(/%2F/g, '/') : encoded;
+}
+
+function toAmzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {Object} request - { method, url, headers, payloadHash }
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, region, service }
+ * @param {Date} now - Signing time
+ * @returns {Object} Headers to send, including Authorization, x-amz-date and x-amz-content-sha256
+ */
+function signRequest({ method, url, headers = {}, payloadHash = EMPTY_PAYLOAD_HASH }, credentials, now = new Date()) {
+  const { accessKeyId, secretAccessKey, region, service = 's3' } = credentials;
+  const parsed = new URL(url);
+  const amzDate = toAmzDate(now);
+  const dateStamp = amzDate.slice(0, 8);
+
+  const signed = {
+    ...headers,
+    host: parsed.host,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': payloadHash
+  };
+  const headerNames = Object.keys(signed).map(name => name.toLowerCase()).sort();
+  const lowered = Object.fromEntries(Object.entries(signed).map(([name, value]) => [name.toLowerCase(), value]));
+
+  const canonicalQuery = [...parsed.searchParams.entries()]
+    .map(([name, value]) => [uriEncode(name), uriEncode(value)])
+    .sort(([a, aValue], [b, bValue]) => (a === b ? (aValue < bValue ? -1 : 1) : (a < b ? -1 : 1)))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method.toUpperCase(),
+    parsed.pathname,
+    canonicalQuery,
+    headerNames.map(name => `${name}:${String(lowered[name]).trim().replace(/\s+/g, ' ')}\n`).join(''),
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), service), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  const result = { ...signed };
+  delete result.host;
+  result.Authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`;
+  return result;
+}
+
+class S3StorageDriver {
+  /**
+   * @param {Object} config - { endpoint, bucket, region, accessKeyId, secretAccessKey, forcePathStyle, http }
+   */
+  constructor(config = {}) {
+    this.name = 's3';
+    this.region = config.region || process.env.S3_REGION || 'us-east-1';
+    this.endpoint = (config.endpoint || process.env.S3_ENDPOINT || `https://s3.${this.region}.amazonaws.com`).replace(/\/+$/, '');
+    this.bucket = config.bucket || process.env.S3_BUCKET || 'govai-documents';
+    this.accessKeyId = config.accessKeyId || process.env.S3_ACCESS_KEY_ID || '';
+    this.secretAccessKey = config.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY || '';
+    // MinIO and most self-hosted stores only serve path-style URLs (endpoint/bucket/key)
+    this.forcePathStyle = config.forcePathStyle !== undefined
+      ? config.forcePathStyle
+      : process.env.S3_FORCE_PATH_STYLE !== undefined
+        ? process.env.S3_FORCE_PATH_STYLE === 'true'
+        : Boolean(config.endpoint || process.env.S3_ENDPOINT);
+    this.timeout = config.timeout || 60000;
+    this.http = config.http || axios;
+  }
+
+  /**
+   * Create the bucket when it does not exist yet (convenient for a fresh MinIO)
+   */
+  async initialize() {
+    const head = await this.send('HEAD', '');
+    if (head.status === 404) {
+      const created = await this.send('PUT', '');
+      if (created.status >= 300 && created.status !== 409) {
+        throw this.toError(created, 'create bucket');
+      }
+    } else if (head.status >= 300) {
+      throw this.toError(head, 'open bucket');
+    }
+  }
+
+  objectUrl(key) {
+    const encodedKey = uriEncode(key, true);
+    if (this.forcePathStyle) {
+      return `${this.endpoint}/${this.bucket}${key ? `/${encodedKey}` : ''}`;
+    }
+    const parsed = new URL(this.endpoint);
+    return `${parsed.protocol}//${this.bucket}.${parsed.host}/${encodedKey}`;
+  }
+
+  describe(key) {
+    return `s3://${this.bucket}/${key}`;
+  }
+
+  /**
+   * Send a signed request; every status is returned so callers can treat 404 as absence
+   */
+  async send(method, key, { body = null, headers = {}, responseType = 'arraybuffer' } = {}) {
+    const url = this.objectUrl(key);
+    const payloadHash = body ? sha256Hex(body) : EMPTY_PAYLOAD_HASH;
+    const signedHeaders = signRequest({ method, url, headers, payloadHash }, {
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey,
+      region: this.region
+    });
+
+    return this.http.request({
+      method,
+      url,
+      headers: signedHeaders,
+      data: body || undefined,
+      responseType,
+      timeout: this.timeout,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      validateStatus: () => true
+    });
+  }
+
+  async put(key, body, { contentType = 'application/octet-stream' } = {}) {
+    const response = await this.send('PUT', key, {
+      body,
+      headers: { 'content-type': contentType, 'content-length': String(body.length) }
+    });
+    if (response.status >= 300) {
+      throw this.toError(response, `store ${key}`);
+    }
+  }
+
+  async putFile(key, filePath, options = {}) {
+    await this.put(key, await fs.readFile(filePath), options);
+  }
+
+  async get(key) {
+    const response = await this.send('GET', key);
+    if (response.status >= 300) {
+      throw this.toError(response, `read ${key}`);
+    }
+    return Buffer.from(response.data);
+  }
+
+  async getStream(key) {
+    const response = await this.send('GET', key, { responseType: 'stream' });
+    if (response.status >= 300) {
+      if (response.data && typeof response.data.resume === 'function') {
+        response.data.resume();
+      }
+      throw this.toError(response, `read ${key}`);
+    }
+    return response.data;
+  }
+
+  /**
+   * Object size and modification time, or null when the object does not exist
+   * @returns {Object|null} { size, lastModified }
+   */
+  async head(key) {
+    const response = await this.send('HEAD', key);
+    if (response.status === 404) {
+      return null;
+    }
+    if (response.status >= 300) {
+      throw this.toError(response, `check ${key}`);
+    }
+    return {
+      size: parseInt(response.headers['content-length']) || 0,
+      lastModified: response.headers['last-modified'] ? new Date(response.headers['last-modified']) : null
+    };
+  }
+
+  async delete(key) {
+    const response = await this.send('DELETE', key);
+    if (response.status >= 300 && response.status !== 404) {
+      throw this.toError(response, `delete ${key}`);
+    }
+    return response.status !== 404;
+  }
+
+  toError(response, action) {
+    const body = Buffer.isBuffer(response.data) || response.data instanceof ArrayBuffer
+      ? Buffer.from(response.data).toString('utf8')
+      : '';
+    const code = (body.match(/<Code>([^<]+)<\/Code>/) || [])[1];
+    const error = new Error(`Object storage could not ${action}: ${code || `HTTP ${response.status}`}`);
+    error.statusCode = response.status === 404 ? 404 : 502;
+    return error;
+  }
+}
+
+S3StorageDriver.signRequest = signRequest;
+S3StorageDriver.uriEncode = uriEncode;
+
+module.exports = S3StorageDriver;
@@ -0,0 +1,507 @@
+/**
+ * BPE Tokenizer
+ * Encodes text with a Hugging Face tokenizer.json, the file published with each model:
+ * byte-level BPE (Qwen, Llama 3) and SentencePiece-style BPE with byte fallback (Gemma).
+ * Only what token counting needs is implemented; unsupported components fail at load time.
+ */
+
+// Separates the two halves of a merge in the rank lookup; never part of a token
+const MERGE_SEPARATOR = '\u0001';
+
+// Words longer than this (whole segments when there is no pre-tokenizer) are not cached
+const WORD_CACHE_MAX_LENGTH = 256;
+const WORD_CACHE_SIZE = 20000;
+
+// GPT-2 pre-tokenization, used by ByteLevel pre-tokenizers with use_regex
+const GPT2_PATTERN = "'s|'t|'re|'ve|'m|'ll|'d| ?\\p{L}+| ?\\p{N}+| ?[^\\s\\p{L}\\p{N}]+|\\s+(?!\\S)|\\s+";
+
+const BYTE_TO_UNICODE = buildByteToUnicode();
+
+/**
+ * GPT-2 byte-to-character table: printable bytes map to themselves, the rest to U+0100 onwards
+ * @private
+ */
+function buildByteToUnicode() {
+  const bytes = [];
+  for (let b = 33; b <= 126; b++) bytes.push(b);
+  for (let b = 161; b <= 172; b++) bytes.push(b);
+  for (let b = 174; b <= 255; b++) bytes.push(b);
+
+  const table = new Array(256);
+  bytes.forEach(b => { table[b] = String.fromCharCode(b); });
+  let extra = 0;
+  for (let b = 0; b < 256; b++) {
+    if (table[b] === undefined) {
+      table[b] = String.fromCharCode(256 + extra++);
+    }
+  }
+  return table;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Translate a tokenizer regex (Oniguruma/Rust syntax) to a JavaScript RegExp
+ * Scoped case-insensitive groups such as (?i:'s|'t) are expanded letter by letter.
+ */
+function toJsRegex(pattern) {
+  let source = '';
+  let i = 0;
+  while (i < pattern.length) {
+    if (pattern.startsWith('(?i:', i)) {
+      let depth = 1;
+      let j = i + 4;
+      while (j < pattern.length && depth > 0) {
+        if (pattern[j] === '\\') {
+          j += 2;
+          continue;
+        }
+        if (pattern[j] === '(') depth++;
+        if (pattern[j] === ')') depth--;
+        j++;
+      }
+      source += `(?:${caseInsensitive(pattern.slice(i + 4, j - 1))})`;
+      i = j;
+    } else {
+      source += pattern[i++];
+    }
+  }
+  return new RegExp(source, 'gu');
+}
+
+/**
+ * @private
+ */
+function caseInsensitive(pattern) {
+  let out = '';
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      // Copy escapes whole, including \p{...}
+      let end = i + 2;
+      if (/[pP]/.test(pattern[i + 1]) && pattern[i + 2] === '{') {
+        end = pattern.indexOf('}', i) + 1;
+      }
+      out += pattern.slice(i, end);
+      i = end - 1;
+      continue;
+    }
+    if (char === '[') inClass = true;
+    if (char === ']') inClass = false;
+
+    const lower = char.toLowerCase();
+    const upper = char.toUpperCase();
+    if (lower === upper) {
+      out += char;
+    } else {
+      out += inClass ? `${lower}${upper}` : `[${lower}${upper}]`;
+    }
+  }
+  return out;
+}
+
+/**
+ * Split a string around regex or literal matches the way the tokenizers library does
+ * @param {string} text - Text to split
+ * @param {RegExp} regex - Global regex
+ * @param {string} behavior - Isolated, Removed, MergedWithPrevious, MergedWithNext, Contiguous
+ * @param {boolean} invert - Treat the non-matching text as the delimiter
+ * @returns {Array} Pieces
+ */
+function splitWithBehavior(text, regex, behavior, invert = false) {
+  const segments = [];
+  let last = 0;
+  regex.lastIndex = 0;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      regex.lastIndex++;
+      continue;
+    }
+    if (match.index > last) {
+      segments.push({ text: text.slice(last, match.index), delimiter: invert });
+    }
+    segments.push({ text: match[0], delimiter: !invert });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) {
+    segments.push({ text: text.slice(last), delimiter: invert });
+  }
+
+  // Delimiters join at most one neighbouring piece: "a--b" merged with previous is "a-", "-", "b"
+  const pieces = [];
+  let joinable = false;
+  switch (behavior) {
+    case 'Removed':
+      segments.forEach(segment => { if (!segment.delimiter) pieces.push(segment.text); });
+      break;
+    case 'MergedWithPrevious':
+      segments.forEach(segment => {
+        if (segment.delimiter && joinable) {
+          pieces[pieces.length - 1] += segment.text;
+          joinable = false;
+        } else {
+          pieces.push(segment.text);
+          joinable = !segment.delimiter;
+        }
+      });
+      break;
+    case 'MergedWithNext':
+      segments.forEach(segment => {
+        if (!segment.delimiter && joinable) {
+          pieces[pieces.length - 1] += segment.text;
+          joinable = false;
+        } else {
+          pieces.push(segment.text);
+          joinable = segment.delimiter;
+        }
+      });
+      break;
+    case 'Contiguous':
+      segments.forEach(segment => {
+        if (segment.delimiter && joinable) {
+          pieces[pieces.length - 1] += segment.text;
+        } else {
+          pieces.push(segment.text);
+        }
+        joinable = segment.delimiter;
+      });
+      break;
+    default: // Isolated
+      segments.forEach(segment => pieces.push(segment.text));
+  }
+  return pieces;
+}
+
+/**
+ * Build a normalizer function from its tokenizer.json config
+ * @private
+ */
+function buildNormalizer(config) {
+  if (!config) {
+    return text => text;
+  }
+
+  switch (config.type) {
+    case 'Sequence': {
+      const steps = config.normalizers.map(buildNormalizer);
+      return text => steps.reduce((value, step) => step(value), text);
+    }
+    case 'NFC':
+    case 'NFD':
+    case 'NFKC':
+    case 'NFKD':
+      return text => text.normalize(config.type);
+    case 'Lowercase':
+      return text => text.toLowerCase();
+    case 'Strip':
+      return text => {
+        let value = text;
+        if (config.strip_left) value = value.replace(/^\s+/, '');
+        if (config.strip_right) value = value.replace(/\s+$/, '');
+        return value;
+      };
+    case 'Prepend':
+      return text => (text ? config.prepend + text : text);
+    case 'Replace': {
+      const regex = config.pattern.Regex !== undefined
+        ? toJsRegex(config.pattern.Regex)
+        : new RegExp(escapeRegex(config.pattern.String), 'gu');
+      return text => text.replace(regex, () => config.content);
+    }
+    default:
+      throw new Error(`Unsupported normalizer: ${config.type}`);
+  }
+}
+
+/**
+ * Build a pre-tokenizer function from its tokenizer.json config
+ * The function takes (text, atStart): whether the text begins the input (Metaspace "first").
+ * @private
+ */
+function buildPreTokenizer(config) {
+  if (!config) {
+    return text => [text];
+  }
+
+  switch (config.type) {
+    case 'Sequence': {
+      const steps = config.pretokenizers.map(buildPreTokenizer);
+      return (text, atStart) => steps.reduce(
+        (pieces, step) => pieces.flatMap((piece, index) => step(piece, atStart && index === 0)),
+        [text]
+      );
+    }
+    case 'Split': {
+      const regex = config.pattern.Regex !== undefined
+        ? toJsRegex(config.pattern.Regex)
+        : new RegExp(escapeRegex(config.pattern.String), 'gu');
+      return text => splitWithBehavior(text, regex, config.behavior, config.invert);
+    }
+    case 'ByteLevel': {
+      const regex = config.use_regex ? toJsRegex(GPT2_PATTERN) : null;
+      return text => {
+        const value = config.add_prefix_space && !text.startsWith(' ') ? ` ${text}` : text;
+        const pieces = regex ? splitWithBehavior(value, regex, 'Isolated') : [value];
+        return pieces.map(piece => Array.from(Buffer.from(piece, 'utf8'), byte => BYTE_TO_UNICODE[byte]).join(''));
+      };
+    }
+    case 'Metaspace': {
+      const replacement = config.replacement || '▁';
+      const scheme = config.prepend_scheme || (config.add_prefix_space === false ? 'never' : 'always');
+      const splitRegex = new RegExp(escapeRegex(replacement), 'gu');
+      return (text, atStart) => {
+        let value = text.split(' ').join(replacement);
+        if ((scheme === 'always' || (scheme === 'first' && atStart)) && !value.startsWith(replacement)) {
+          value = replacement + value;
+        }
+        return config.split === false ? [value] : splitWithBehavior(value, splitRegex, 'MergedWithNext');
+      };
+    }
+    case 'Digits': {
+      const regex = config.individual_digits ? /\p{N}/gu : /\p{N}+/gu;
+      return text => splitWithBehavior(text, regex, 'Isolated');
+    }
+    default:
+      throw new Error(`Unsupported pre-tokenizer: ${config.type}`);
+  }
+}
+
+/**
+ * Binary min-heap of pending merges, ordered by merge rank then position
+ * @private
+ */
+class MergeQueue {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  before(a, b) {
+    return a.rank < b.rank || (a.rank === b.rank && a.left < b.left);
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.before(items[i], items[parent])) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.before(items[left], items[smallest])) smallest = left;
+        if (right < items.length && this.before(items[right], items[smallest])) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+class BPETokenizer {
+  /**
+   * @param {Object} config - Parsed tokenizer.json
+   */
+  constructor(config) {
+    const model = config.model || {};
+    if (model.type !== 'BPE') {
+      throw new Error(`Unsupported tokenizer model: ${model.type || 'unknown'}`);
+    }
+    if (model.continuing_subword_prefix || model.end_of_word_suffix) {
+      throw new Error('BPE subword prefixes and suffixes are not supported');
+    }
+
+    this.vocab = new Map(Object.entries(model.vocab || {}));
+    this.ranks = new Map();
+    (model.merges || []).forEach((merge, rank) => {
+      const [left, right] = Array.isArray(merge) ? merge : [merge.slice(0, merge.indexOf(' ')), merge.slice(merge.indexOf(' ') + 1)];
+      const key = left + MERGE_SEPARATOR + right;
+      if (!this.ranks.has(key)) {
+        this.ranks.set(key, rank);
+      }
+    });
+    this.byteFallback = Boolean(model.byte_fallback);
+    this.ignoreMerges = Boolean(model.ignore_merges);
+    this.unkToken = model.unk_token || null;
+    this.fuseUnk = Boolean(model.fuse_unk);
+
+    this.normalize = buildNormalizer(config.normalizer);
+    this.preTokenize = buildPreTokenizer(config.pre_tokenizer);
+
+    // Added tokens that are matched in the raw text before normalization (<|im_start|>, <start_of_turn>)
+    const added = (config.added_tokens || [])
+      .filter(token => token.content && token.normalized === false)
+      .map(token => token.content)
+      .sort((a, b) => b.length - a.length);
+    this.addedPattern = added.length > 0 ? new RegExp(added.map(escapeRegex).join('|'), 'gu') : null;
+
+    this.wordCache = new Map();
+  }
+
+  /**
+   * Token strings for a text (special and added tokens included, no BOS/EOS added)
+   * @returns {Array} Tokens
+   */
+  encode(text) {
+    const tokens = [];
+    if (!text) {
+      return tokens;
+    }
+
+    const segments = this.addedPattern ? splitWithBehavior(text, this.addedPattern, 'Isolated') : [text];
+
+    segments.forEach((segment, index) => {
+      if (this.addedPattern && this.isAddedToken(segment)) {
+        tokens.push(segment);
+        return;
+      }
+      const normalized = this.normalize(segment);
+      if (!normalized) {
+        return;
+      }
+      this.preTokenize(normalized, index === 0).forEach(word => {
+        if (word) {
+          tokens.push(...this.encodeWord(word));
+        }
+      });
+    });
+
+    return tokens;
+  }
+
+  /**
+   * Number of tokens in a text
+   */
+  count(text) {
+    return this.encode(text).length;
+  }
+
+  /**
+   * @private
+   */
+  isAddedToken(segment) {
+    this.addedPattern.lastIndex = 0;
+    const match = this.addedPattern.exec(segment);
+    return match !== null && match.index === 0 && match[0].length === segment.length;
+  }
+
+  /**
+   * BPE over one pre-tokenized word
+   * @private
+   */
+  encodeWord(word) {
+    if (this.ignoreMerges && this.vocab.has(word)) {
+      return [word];
+    }
+    const cacheable = word.length <= WORD_CACHE_MAX_LENGTH;
+    if (cacheable && this.wordCache.has(word)) {
+      return this.wordCache.get(word);
+    }
+
+    const symbols = [];
+    for (const char of word) {
+      if (this.vocab.has(char)) {
+        symbols.push(char);
+      } else if (this.byteFallback) {
+        Buffer.from(char, 'utf8').forEach(byte => {
+          symbols.push(`<0x${byte.toString(16).toUpperCase().padStart(2, '0')}>`);
+        });
+      } else if (this.unkToken && !(this.fuseUnk && symbols[symbols.length - 1] === this.unkToken)) {
+        symbols.push(this.unkToken);
+      }
+    }
+
+    const tokens = this.applyMerges(symbols);
+    if (cacheable) {
+      if (this.wordCache.size >= WORD_CACHE_SIZE) {
+        this.wordCache.clear();
+      }
+      this.wordCache.set(word, tokens);
+    }
+    return tokens;
+  }
+
+  /**
+   * Repeatedly merge the lowest-ranked adjacent pair (leftmost first)
+   * @private
+   */
+  applyMerges(symbols) {
+    const n = symbols.length;
+    if (n < 2) {
+      return symbols;
+    }
+
+    const text = symbols.slice();
+    const prev = new Int32Array(n);
+    const next = new Int32Array(n);
+    for (let i = 0; i < n; i++) {
+      prev[i] = i - 1;
+      next[i] = i + 1 < n ? i + 1 : -1;
+    }
+
+    const queue = new MergeQueue();
+    const enqueue = (left) => {
+      const right = next[left];
+      if (right === -1) return;
+      const rank = this.ranks.get(text[left] + MERGE_SEPARATOR + text[right]);
+      if (rank !== undefined) {
+        queue.push({ rank, left, right, a: text[left], b: text[right] });
+      }
+    };
+    for (let i = 0; i < n - 1; i++) {
+      enqueue(i);
+    }
+
+    while (queue.size > 0) {
+      const { left, right, a, b } = queue.pop();
+      // Skip entries made stale by an earlier merge on either side
+      if (text[left] !== a || next[left] !== right || text[right] !== b) {
+        continue;
+      }
+      text[left] = a + b;
+      text[right] = null;
+      next[left] = next[right];
+      if (next[right] !== -1) {
+        prev[next[right]] = left;
+      }
+      if (prev[left] !== -1) {
+        enqueue(prev[left]);
+      }
+      enqueue(left);
+    }
+
+    const tokens = [];
+    for (let i = 0; i !== -1; i = next[i]) {
+      tokens.push(text[i]);
+    }
+    return tokens;
+  }
+}
+
+BPETokenizer.toJsRegex = toJsRegex;
+BPETokenizer.splitWithBehavior = splitWithBehavior;
+
+module.exports = BPETokenizer;
@@ -0,0 +1,86 @@
+/**
+ * Content Block Utilities
+ * Splits generated/edited section text (plain text with light Markdown) into
+ * renderer-neutral blocks for DOCX and PDF export
+ */
+
+const HEADING_PATTERN = /^(#{1,4})\s+(.*)$/;
+const BULLET_PATTERN = /^\s*(?:[-*•])\s+(.*)$/;
+const NUMBERED_PATTERN = /^\s*(\d+)[.)]\s+(.*)$/;
+
+/**
+ * Parse section content into blocks
+ * @param {string} text - Section content
+ * @returns {Array} Blocks: { type: 'heading', level, text } | { type: 'bullet', text }
+ *                  | { type: 'numbered', number, text } | { type: 'paragraph', text }
+ */
+function parseContentBlocks(text) {
+  if (!text) return [];
+
+  const blocks = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+      paragraph = [];
+    }
+  };
+
+  text.replace(/\r\n/g, '\n').split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+
+    if (!line) {
+      flushParagraph();
+      return;
+    }
+
+    let match;
+    if ((match = HEADING_PATTERN.exec(line))) {
+      flushParagraph();
+      blocks.push({ type: 'heading', level: match[1].length, text: match[2].trim() });
+    } else if ((match = BULLET_PATTERN.exec(rawLine))) {
+      flushParagraph();
+      blocks.push({ type: 'bullet', text: match[1].trim() });
+    } else if ((match = NUMBERED_PATTERN.exec(rawLine))) {
+      flushParagraph();
+      blocks.push({ type: 'numbered', number: parseInt(match[1], 10), text: match[2].trim() });
+    } else {
+      paragraph.push(line);
+    }
+  });
+
+  flushParagraph();
+  return blocks;
+}
+
+/**
+ * Split inline **bold** markup into runs
+ * @param {string} text - Block text
+ * @returns {Array} Runs: { text, bold }
+ */
+function parseInlineRuns(text) {
+  const runs = [];
+  const pattern = /\*\*(.+?)\*\*/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      runs.push({ text: text.substring(lastIndex, match.index), bold: false });
+    }
+    runs.push({ text: match[1], bold: true });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    runs.push({ text: text.substring(lastIndex), bold: false });
+  }
+
+  return runs;
+}
+
+module.exports = {
+  parseContentBlocks,
+  parseInlineRuns
+};
@@ -0,0 +1,110 @@
+/**
+ * CSV
+ * RFC 4180 formatting for exports (fields containing commas, quotes or line breaks are quoted)
+ * and parsing for imports
+ */
+
+/**
+ * Format one value as a CSV field (objects are written as JSON, null/undefined as empty)
+ */
+function formatCSVField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  // Cells starting with these are run as formulas by spreadsheet apps
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows as CSV with a header line
+ * @param {Array} rows - Objects to write
+ * @param {Array} columns - [{ key, header, value: row => value }] (value defaults to row[key])
+ * @returns {string} CSV text with CRLF line endings
+ */
+function toCSV(rows, columns) {
+  const lines = [columns.map(column => formatCSVField(column.header || column.key)).join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map(column => formatCSVField(column.value ? column.value(row) : row[column.key])).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text into rows of fields
+ * Handles quoted fields with embedded commas, quotes and line breaks, CRLF or LF line endings
+ * and a leading byte order mark. Blank lines are dropped.
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field separator
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseCSV(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+module.exports = {
+  formatCSVField,
+  toCSV,
+  parseCSV
+};
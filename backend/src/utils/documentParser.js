@@ -15,6 +15,35 @@ async function parsePDF(buffer) {
     }
 }
 
+/**
+ * Parses a PDF file into per-page text so callers can cite page numbers
+ * @param {Buffer} buffer - The PDF file buffer
+ * @returns {Promise<Array>} Pages: [{ page, text }]
+ */
+async function parsePDFPages(buffer) {
+    const pages = [];
+
+    try {
+        await pdfParse(buffer, {
+            pagerender: async (pageData) => {
+                const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+                let lastY;
+                let text = '';
+                for (const item of textContent.items) {
+                    text += lastY === item.transform[5] || lastY === undefined ? item.str : `\n${item.str}`;
+                    lastY = item.transform[5];
+                }
+                pages.push({ page: pageData.pageIndex + 1, text });
+                return text;
+            }
+        });
+    } catch (error) {
+        throw new Error(`Error parsing PDF: ${error.message}`);
+    }
+
+    return pages.sort((a, b) => a.page - b.page);
+}
+
 /**
  * Parses a Word document and extracts its text content
  * @param {Buffer} buffer - The Word document buffer
@@ -29,6 +58,100 @@ async function parseWord(buffer) {
     }
 }
 
+/**
+ * Parses a Word document into headings, paragraphs and table rows
+ * mammoth's HTML keeps the heading levels and table structure that raw text loses.
+ * @param {Buffer} buffer - The Word document buffer
+ * @returns {Promise<Array>} Blocks: { type: 'heading', level, text } | { type: 'text', text } |
+ *                           { type: 'table_row', cells }, all with page null
+ */
+async function parseWordBlocks(buffer) {
+    try {
+        const result = await mammoth.convertToHtml({ buffer });
+        return htmlToBlocks(result.value);
+    } catch (error) {
+        throw new Error(`Error parsing Word document: ${error.message}`);
+    }
+}
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return String.fromCodePoint(value);
+        }
+        return HTML_ENTITIES[code.toLowerCase()] !== undefined ? HTML_ENTITIES[code.toLowerCase()] : entity;
+    });
+}
+
+/**
+ * Converts mammoth's flat HTML (h1-h6, p, ul/ol/li, table/tr/td/th) into blocks
+ * @param {string} html - HTML from mammoth.convertToHtml
+ * @returns {Array} Blocks as returned by parseWordBlocks
+ */
+function htmlToBlocks(html) {
+    const blocks = [];
+    const tokens = /<(\/?)([a-z0-9]+)\b[^>]*>|([^<]+)/gi;
+    let text = null; // text of the open heading/paragraph/list item
+    let heading = null;
+    let row = null;
+    let cell = null;
+    let match;
+
+    const closeText = () => {
+        const value = (text || '').replace(/[ \t]+/g, ' ').trim();
+        if (value) {
+            blocks.push(heading ? { type: 'heading', level: heading, text: value, page: null } : { type: 'text', text: value, page: null });
+        }
+        text = null;
+        heading = null;
+    };
+
+    while ((match = tokens.exec(html || '')) !== null) {
+        if (match[3] !== undefined) {
+            const value = decodeEntities(match[3]);
+            if (cell !== null) cell += value;
+            else if (text !== null) text += value;
+            continue;
+        }
+
+        const closing = match[1] === '/';
+        const tag = match[2].toLowerCase();
+
+        if (tag === 'tr') {
+            if (closing && row) {
+                blocks.push({ type: 'table_row', cells: row, page: null });
+                row = null;
+            } else if (!closing) {
+                row = [];
+            }
+        } else if (tag === 'td' || tag === 'th') {
+            if (closing && row && cell !== null) {
+                row.push(cell.replace(/\s+/g, ' ').trim());
+                cell = null;
+            } else if (!closing) {
+                cell = '';
+            }
+        } else if (cell !== null) {
+            // Paragraphs and breaks inside a cell become spaces
+            if (tag === 'p' || tag === 'br' || tag === 'li') cell += ' ';
+        } else if (/^h[1-6]$/.test(tag) || tag === 'p' || tag === 'li') {
+            closeText();
+            if (!closing) {
+                text = tag === 'li' ? '- ' : '';
+                heading = tag[0] === 'h' ? parseInt(tag[1], 10) : null;
+            }
+        } else if (tag === 'br' && text !== null) {
+            text += '\n';
+        }
+    }
+    closeText();
+
+    return blocks;
+}
+
 /**
  * Determines file type from filename and routes to appropriate parser
  * @param {Buffer} buffer - The file buffer to parse
@@ -57,8 +180,25 @@ async function parseDocument(buffer, fileType, filename = 'unknown') {
     }
 }
 
+/**
+ * Parses a document into pages; formats without pagination return one entry with page null
+ * @param {Buffer} buffer - The file buffer to parse
+ * @param {string} fileType - The file extension/type
+ * @returns {Promise<Array>} Pages: [{ page, text }]
+ */
+async function parseDocumentPages(buffer, fileType, filename = 'unknown') {
+    if (fileType.toLowerCase() === 'pdf' && buffer) {
+        return await parsePDFPages(buffer);
+    }
+    return [{ page: null, text: await parseDocument(buffer, fileType, filename) }];
+}
+
 module.exports = {
     parsePDF,
+    parsePDFPages,
     parseWord,
-    parseDocument
+    parseWordBlocks,
+    htmlToBlocks,
+    parseDocument,
+    parseDocumentPages
 };
\ No newline at end of file
@@ -0,0 +1,152 @@
+/**
+ * Export Template Utilities
+ * Default proposal formatting, template settings resolution, header/footer placeholders
+ * and page-limit estimation for DOCX/PDF export
+ */
+
+const DEFAULT_EXPORT_SETTINGS = {
+  pageSize: 'LETTER', // LETTER, A4, LEGAL
+  font: {
+    family: 'Times New Roman',
+    size: 12, // points
+    headingFamily: 'Times New Roman',
+    headingSize: 14
+  },
+  lineSpacing: 1.0,
+  margins: { top: 1, bottom: 1, left: 1, right: 1 }, // inches
+  header: {
+    left: '{solicitationNumber}',
+    center: '',
+    right: '{projectTitle}'
+  },
+  footer: {
+    left: 'Use or disclosure of data contained on this sheet is subject to the restriction on the title page of this proposal.',
+    center: '',
+    right: 'Page {page} of {pages}'
+  },
+  coverPage: true,
+  tableOfContents: true,
+  includeComplianceMatrix: true,
+  includeCitations: true,
+  // Used to estimate DOCX length (Word paginates on open); PDF uses real page counts
+  wordsPerPage: 500
+};
+
+const PAGE_SIZES = {
+  LETTER: { width: 8.5, height: 11 },
+  A4: { width: 8.27, height: 11.69 },
+  LEGAL: { width: 8.5, height: 14 }
+};
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * Merge template settings over the defaults and clamp values to printable ranges
+ * @param {Object} settings - Partial template settings
+ * @returns {Object} Complete settings
+ */
+function resolveExportSettings(settings = {}) {
+  const merged = {
+    ...DEFAULT_EXPORT_SETTINGS,
+    ...settings,
+    font: { ...DEFAULT_EXPORT_SETTINGS.font, ...(settings.font || {}) },
+    margins: { ...DEFAULT_EXPORT_SETTINGS.margins, ...(settings.margins || {}) },
+    header: { ...DEFAULT_EXPORT_SETTINGS.header, ...(settings.header || {}) },
+    footer: { ...DEFAULT_EXPORT_SETTINGS.footer, ...(settings.footer || {}) }
+  };
+
+  const clamp = (value, min, max, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+  };
+
+  merged.pageSize = PAGE_SIZES[String(merged.pageSize).toUpperCase()] ? String(merged.pageSize).toUpperCase() : 'LETTER';
+  merged.font.size = clamp(merged.font.size, 8, 24, DEFAULT_EXPORT_SETTINGS.font.size);
+  merged.font.headingSize = clamp(merged.font.headingSize, 8, 36, DEFAULT_EXPORT_SETTINGS.font.headingSize);
+  merged.lineSpacing = clamp(merged.lineSpacing, 1, 3, DEFAULT_EXPORT_SETTINGS.lineSpacing);
+  merged.wordsPerPage = clamp(merged.wordsPerPage, 100, 2000, DEFAULT_EXPORT_SETTINGS.wordsPerPage);
+  for (const side of ['top', 'bottom', 'left', 'right']) {
+    merged.margins[side] = clamp(merged.margins[side], 0.25, 3, DEFAULT_EXPORT_SETTINGS.margins[side]);
+  }
+
+  return merged;
+}
+
+/**
+ * Page dimensions in inches for the configured size
+ */
+function getPageSize(settings) {
+  return PAGE_SIZES[settings.pageSize] || PAGE_SIZES.LETTER;
+}
+
+/**
+ * Replace {placeholders} in header/footer text
+ * Unknown placeholders are left as-is so renderers can fill page fields themselves.
+ * @param {string} text - Template text
+ * @param {Object} values - { solicitationNumber, projectTitle, date, ... }
+ */
+function fillPlaceholders(text, values = {}) {
+  if (!text) return '';
+  return text.replace(PLACEHOLDER_PATTERN, (match, key) =>
+    values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+  );
+}
+
+/**
+ * Estimate printed pages for a word count
+ * Double spacing roughly halves the words that fit on a page.
+ */
+function estimatePages(wordCount, settings) {
+  const wordsPerPage = settings.wordsPerPage / settings.lineSpacing;
+  return wordCount > 0 ? Math.ceil(wordCount / wordsPerPage) : 0;
+}
+
+/**
+ * Compare volume/section lengths with their page limits
+ * @param {Array} volumes - [{ title, pageLimit, pages?, sections: [{ title, pageLimit, wordCount, pages? }] }]
+ *                          `pages` (actual rendered count) wins over the word-count estimate
+ * @param {Object} settings - Resolved export settings
+ * @returns {Array} Warnings: { level, scope, title, pageLimit, pages, estimated, message }
+ */
+function pageLimitWarnings(volumes, settings) {
+  const warnings = [];
+
+  const check = (scope, node, pages, estimated) => {
+    if (!node.pageLimit || pages <= node.pageLimit) return;
+    warnings.push({
+      level: 'error',
+      scope,
+      title: node.title,
+      pageLimit: node.pageLimit,
+      pages,
+      estimated,
+      message: `${node.title} is ${estimated ? 'estimated at ' : ''}${pages} pages; the limit is ${node.pageLimit}. ` +
+        'Evaluators will not read pages beyond the limit.'
+    });
+  };
+
+  volumes.forEach(volume => {
+    let volumeEstimate = 0;
+
+    volume.sections.forEach(section => {
+      const estimated = section.pages === undefined;
+      const pages = estimated ? estimatePages(section.wordCount, settings) : section.pages;
+      volumeEstimate += pages;
+      check('section', section, pages, estimated);
+    });
+
+    const volumeEstimated = volume.pages === undefined;
+    check('volume', volume, volumeEstimated ? volumeEstimate : volume.pages, volumeEstimated);
+  });
+
+  return warnings;
+}
+
+module.exports = {
+  DEFAULT_EXPORT_SETTINGS,
+  resolveExportSettings,
+  getPageSize,
+  fillPlaceholders,
+  estimatePages,
+  pageLimitWarnings
+};
@@ -0,0 +1,135 @@
+/**
+ * iCalendar
+ * RFC 5545 calendars for subscription feeds: escaped text, folded lines and UTC or all-day dates
+ */
+
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and line breaks)
+ */
+function escapeText(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, continuing with CRLF + space
+ * (never splits a multi-byte character)
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Date-time in UTC (20261102T170000Z)
+ */
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Date without a time (20261102)
+ */
+function formatDate(date) {
+  return new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Build a calendar
+ * @param {Object} calendar - { name, description, events: [{ uid, start, end, allDay, summary,
+ *   description, url, status (CONFIRMED|TENTATIVE|CANCELLED), categories, alarmMinutes, lastModified }] }
+ * @returns {string} text/calendar body with CRLF line endings
+ */
+function buildCalendar({ name, description = null, events = [] }) {
+  const stamp = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Gov Proposal AI//Milestones//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  if (description) {
+    lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+  }
+
+  events.forEach(event => {
+    lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`);
+
+    if (event.allDay) {
+      const start = new Date(event.start);
+      const end = event.end ? new Date(event.end) : new Date(start.getTime() + 24 * 60 * 60 * 1000);
+      lines.push(`DTSTART;VALUE=DATE:${formatDate(start)}`, `DTEND;VALUE=DATE:${formatDate(end)}`);
+    } else {
+      lines.push(`DTSTART:${formatDateTime(event.start)}`);
+      if (event.end) {
+        lines.push(`DTEND:${formatDateTime(event.end)}`);
+      }
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.url) {
+      lines.push(`URL:${event.url}`);
+    }
+    if (event.status) {
+      lines.push(`STATUS:${event.status}`);
+    }
+    if (event.categories && event.categories.length > 0) {
+      lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+    }
+    if (event.lastModified) {
+      lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+    }
+    if (event.alarmMinutes) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(event.summary)}`,
+        `TRIGGER:-PT${event.alarmMinutes}M`,
+        'END:VALARM'
+      );
+    }
+
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildCalendar,
+  escapeText,
+  foldLine,
+  formatDateTime,
+  formatDate
+};
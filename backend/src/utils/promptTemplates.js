@@ -0,0 +1,303 @@
+/**
+ * Prompt Template Utilities
+ * Typed {{VARIABLE}} placeholders in section prompt templates: validation, rendering with
+ * coerced values, weighted variant assignment for experiments, and the significance test
+ * used to compare variants
+ */
+
+const VARIABLE_TYPES = ['text', 'number', 'date', 'list', 'enum', 'boolean'];
+const VARIABLE_NAME_PATTERN = /^[A-Z][A-Z0-9_]{0,49}$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+
+// Placeholders filled from the generation itself; project/user/system ones are resolved by
+// PromptCompilerService like the global prompt's variables
+const BUILTIN_VARIABLES = {
+  USER_INPUT: 'generation',
+  SECTION_TYPE: 'generation',
+  DOCUMENT_TYPE: 'generation',
+  AGENCY_NAME: 'project',
+  PROJECT_NAME: 'project',
+  CONTRACT_NUMBER: 'project',
+  SUBMISSION_DATE: 'project',
+  USER_NAME: 'user',
+  USER_ROLE: 'user',
+  CURRENT_DATE: 'system',
+  CURRENT_TIME: 'system'
+};
+
+/**
+ * Placeholder names used in a template body, in order of first use
+ */
+function extractPlaceholders(body) {
+  const names = [];
+  for (const match of (body || '').matchAll(PLACEHOLDER_PATTERN)) {
+    if (!names.includes(match[1])) {
+      names.push(match[1]);
+    }
+  }
+  return names;
+}
+
+/**
+ * Coerce a supplied value to the text it renders as
+ * @param {Object} variable - { name, type, options }
+ * @param {*} raw - Supplied value
+ * @returns {Object} { value } or { error }
+ */
+function coerceValue(variable, raw) {
+  switch (variable.type) {
+    case 'number': {
+      const number = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      return Number.isFinite(number) && String(raw).trim() !== ''
+        ? { value: String(number) }
+        : { error: `${variable.name} must be a number` };
+    }
+
+    case 'date': {
+      const date = new Date(raw);
+      return isNaN(date.getTime())
+        ? { error: `${variable.name} must be a date` }
+        : { value: date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' }) };
+    }
+
+    case 'list': {
+      const items = (Array.isArray(raw) ? raw : String(raw).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+      return { value: items.join(', ') };
+    }
+
+    case 'enum':
+      return (variable.options || []).includes(String(raw))
+        ? { value: String(raw) }
+        : { error: `${variable.name} must be one of: ${(variable.options || []).join(', ')}` };
+
+    case 'boolean':
+      if (raw === true || raw === 'true') return { value: 'yes' };
+      if (raw === false || raw === 'false') return { value: 'no' };
+      return { error: `${variable.name} must be true or false` };
+
+    default:
+      return { value: String(raw).trim() };
+  }
+}
+
+function hasValue(raw) {
+  return raw !== undefined && raw !== null && !(typeof raw === 'string' && raw.trim() === '') &&
+    !(Array.isArray(raw) && raw.length === 0);
+}
+
+/**
+ * Check a template body against its variable definitions
+ * Every placeholder must be declared or built in; declared variables are typed and their
+ * defaults must fit the type.
+ * @param {string} body - Template text
+ * @param {Array} variables - [{ name, type, required, default, options, description }]
+ * @returns {Object} { errors, warnings }
+ */
+function validateTemplate(body, variables = []) {
+  const errors = [];
+  const warnings = [];
+
+  if (!body || !body.trim()) {
+    errors.push('Template body is required');
+  }
+  if (!Array.isArray(variables)) {
+    return { errors: [...errors, 'Variables must be an array'], warnings };
+  }
+
+  const declared = new Set();
+  variables.forEach((variable, index) => {
+    const label = variable && variable.name ? variable.name : `Variable ${index + 1}`;
+    if (!variable || !VARIABLE_NAME_PATTERN.test(variable.name || '')) {
+      errors.push(`${label}: names must be UPPER_SNAKE_CASE`);
+      return;
+    }
+    if (BUILTIN_VARIABLES[variable.name]) {
+      errors.push(`${label} is built in and cannot be redefined`);
+      return;
+    }
+    if (declared.has(variable.name)) {
+      errors.push(`${label} is declared more than once`);
+      return;
+    }
+    declared.add(variable.name);
+
+    if (!VARIABLE_TYPES.includes(variable.type)) {
+      errors.push(`${label}: type must be one of ${VARIABLE_TYPES.join(', ')}`);
+      return;
+    }
+    if (variable.type === 'enum' && (!Array.isArray(variable.options) || variable.options.length === 0)) {
+      errors.push(`${label}: enum variables need options`);
+      return;
+    }
+    if (hasValue(variable.default)) {
+      const coerced = coerceValue(variable, variable.default);
+      if (coerced.error) {
+        errors.push(`Default for ${coerced.error}`);
+      }
+    }
+  });
+
+  const placeholders = extractPlaceholders(body);
+  placeholders
+    .filter(name => !declared.has(name) && !BUILTIN_VARIABLES[name])
+    .forEach(name => errors.push(`{{${name}}} is not declared`));
+  [...declared]
+    .filter(name => !placeholders.includes(name))
+    .forEach(name => warnings.push(`${name} is declared but not used in the template`));
+
+  return { errors, warnings };
+}
+
+/**
+ * Declared variables a generation cannot fill without a value from the writer
+ * (required and without a default)
+ */
+function requiredInputs(variables = []) {
+  return variables.filter(variable => variable.required && !hasValue(variable.default)).map(variable => variable.name);
+}
+
+/**
+ * Render a template
+ * @param {string} body - Template text
+ * @param {Array} variables - Declared variables
+ * @param {Object} values - Supplied values by variable name
+ * @param {Object} builtins - Built-in values by name (missing ones render empty)
+ * @returns {Object} { text, missing: [names], errors: [messages] }
+ */
+function renderTemplate(body, variables = [], values = {}, builtins = {}) {
+  const byName = new Map(variables.map(variable => [variable.name, variable]));
+  const missing = [];
+  const errors = [];
+
+  const text = body.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    const variable = byName.get(name);
+    if (!variable) {
+      return BUILTIN_VARIABLES[name] ? (builtins[name] ?? '') : placeholder;
+    }
+
+    const raw = hasValue(values[name]) ? values[name] : variable.default;
+    if (!hasValue(raw)) {
+      if (variable.required && !missing.includes(name)) {
+        missing.push(name);
+      }
+      return '';
+    }
+
+    const coerced = coerceValue(variable, raw);
+    if (coerced.error) {
+      if (!errors.includes(coerced.error)) errors.push(coerced.error);
+      return '';
+    }
+    return coerced.value;
+  });
+
+  return { text, missing, errors };
+}
+
+/**
+ * Pick an experiment variant in proportion to its weight
+ * @param {Array} variants - [{ weight }]
+ * @param {Function} random - Returns [0, 1)
+ */
+function pickWeighted(variants, random = Math.random) {
+  const total = variants.reduce((sum, variant) => sum + Math.max(0, variant.weight || 0), 0);
+  if (total === 0) return null;
+
+  let point = random() * total;
+  for (const variant of variants) {
+    point -= Math.max(0, variant.weight || 0);
+    if (point < 0) return variant;
+  }
+  return variants[variants.length - 1];
+}
+
+// Lanczos approximation of ln Γ(x)
+function logGamma(x) {
+  const coefficients = [
+    676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+    12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+  ];
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  const shifted = x - 1;
+  let sum = 0.99999999999980993;
+  coefficients.forEach((coefficient, index) => { sum += coefficient / (shifted + index + 1); });
+  const t = shifted + coefficients.length - 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (shifted + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// Continued fraction for the regularized incomplete beta function (Numerical Recipes betacf)
+function betaContinuedFraction(x, a, b) {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let result = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let step = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 / (Math.abs(1 + step * d) < tiny ? tiny : 1 + step * d);
+    c = Math.abs(1 + step / c) < tiny ? tiny : 1 + step / c;
+    result *= d * c;
+
+    step = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 / (Math.abs(1 + step * d) < tiny ? tiny : 1 + step * d);
+    c = Math.abs(1 + step / c) < tiny ? tiny : 1 + step / c;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return result;
+}
+
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+}
+
+/**
+ * Welch's t-test between two samples given as summary statistics
+ * @param {Object} a - { n, mean, stddev }
+ * @param {Object} b - { n, mean, stddev }
+ * @returns {Object|null} { difference: b - a, t, degreesOfFreedom, pValue } (two-sided), or null
+ *   when either sample has fewer than two values
+ */
+function welchTest(a, b) {
+  if (!a || !b || a.n < 2 || b.n < 2) return null;
+
+  const varianceA = (a.stddev || 0) ** 2 / a.n;
+  const varianceB = (b.stddev || 0) ** 2 / b.n;
+  const difference = b.mean - a.mean;
+  const standardError = Math.sqrt(varianceA + varianceB);
+
+  if (standardError === 0) {
+    return { difference, t: null, degreesOfFreedom: null, pValue: difference === 0 ? 1 : 0 };
+  }
+
+  const t = difference / standardError;
+  const degreesOfFreedom = (varianceA + varianceB) ** 2 /
+    ((varianceA ** 2) / (a.n - 1) + (varianceB ** 2) / (b.n - 1));
+  const pValue = incompleteBeta(degreesOfFreedom / (degreesOfFreedom + t * t), degreesOfFreedom / 2, 0.5);
+
+  return { difference, t, degreesOfFreedom, pValue: Math.min(1, Math.max(0, pValue)) };
+}
+
+module.exports = {
+  VARIABLE_TYPES,
+  BUILTIN_VARIABLES,
+  extractPlaceholders,
+  coerceValue,
+  validateTemplate,
+  requiredInputs,
+  renderTemplate,
+  pickWeighted,
+  welchTest
+};
@@ -0,0 +1,84 @@
+/**
+ * Rank Fusion
+ * Merges ranked candidate lists (full-text, vector) into one ordering and
+ * selects passages that fit a prompt's token budget
+ */
+
+// Standard RRF damping constant; keeps a single top-ranked hit from dominating
+const RRF_K = 60;
+
+/**
+ * Reciprocal Rank Fusion: score(d) = Σ 1 / (k + rank_i(d)) over every list containing d
+ * Scores from different retrievers are not comparable, so only ranks are used.
+ * @param {Object} lists - { [retrieverName]: Array of items in rank order }
+ * @param {Object} options - { k, key: item => identity }
+ * @returns {Array} Items ordered by fused score, each { item, score, ranks: { [retrieverName]: rank } }
+ */
+function reciprocalRankFusion(lists, { k = RRF_K, key = item => item.id } = {}) {
+  const fused = new Map();
+
+  for (const [name, items] of Object.entries(lists)) {
+    (items || []).forEach((item, index) => {
+      const id = key(item);
+      if (!fused.has(id)) {
+        fused.set(id, { item, score: 0, ranks: {} });
+      }
+      const entry = fused.get(id);
+      if (entry.ranks[name] !== undefined) {
+        return;
+      }
+      entry.ranks[name] = index + 1;
+      entry.score += 1 / (k + index + 1);
+    });
+  }
+
+  return Array.from(fused.values())
+    .sort((a, b) => b.score - a.score || bestRank(a) - bestRank(b));
+}
+
+function bestRank(entry) {
+  return Math.min(...Object.values(entry.ranks));
+}
+
+/**
+ * Estimated tokens for a passage (1 token ≈ 4 characters), used when no model tokenizer is given
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Take passages in order until topK is reached or the next one would exceed the budget
+ * A passage that does not fit is skipped so a smaller, lower-ranked one can still be used.
+ * @param {Array} passages - Ordered passages with `content` (and optional `tokenCount`)
+ * @param {Object} options - { topK, tokenBudget, countTokens: text => tokens for the target model,
+ *                            which takes precedence over stored counts }
+ * @returns {Object} { selected, tokenCount, skipped }
+ */
+function selectWithinBudget(passages, { topK, tokenBudget, countTokens = null }) {
+  const selected = [];
+  let tokenCount = 0;
+  let skipped = 0;
+
+  for (const passage of passages) {
+    if (selected.length >= topK) {
+      break;
+    }
+    const tokens = countTokens ? countTokens(passage.content) : (passage.tokenCount || estimateTokens(passage.content));
+    if (tokenCount + tokens > tokenBudget) {
+      skipped++;
+      continue;
+    }
+    selected.push(passage);
+    tokenCount += tokens;
+  }
+
+  return { selected, tokenCount, skipped };
+}
+
+module.exports = {
+  RRF_K,
+  reciprocalRankFusion,
+  estimateTokens,
+  selectWithinBudget
+};
@@ -0,0 +1,247 @@
+/**
+ * Requirement Shred Utilities
+ * Deterministic extraction of "shall/must/will" statements from solicitation text,
+ * keyed to the RFP paragraph (C.3.1, L.4.2(a), 3.2.1) and page they came from
+ */
+
+const { titleKeywords } = require('./solicitationStructure');
+
+const SECTION_HEADING_PATTERN = /^(?:PART\s+[IVX]+\s*[-–—:]?\s*)?SECTION\s+([A-M])\b[\s\-–—:.]*(.*)$/i;
+// "C.3.1 Title", "L.4.2. Title", "3.2.1 Title" (PWS/SOW numbering needs at least two levels)
+const PARAGRAPH_PATTERN = /^((?:[A-M](?:\.\d+)+)|(?:\d+(?:\.\d+)+))\.?\s+(\S.*)$/;
+// "(a) ...", "a. ...", "(1) ...", "ii) ..."
+const SUBITEM_PATTERN = /^(\(?([a-z]|\d{1,2}|[ivx]{1,4})\))\s+(\S.*)$|^(([a-z])\.)\s+(\S.*)$/;
+
+const OBLIGATIONS = [
+  { keyword: 'shall', pattern: /\bshall\b/i, strength: 'mandatory' },
+  { keyword: 'must', pattern: /\bmust\b/i, strength: 'mandatory' },
+  { keyword: 'required', pattern: /\b(?:is|are|be)\s+required\s+to\b/i, strength: 'mandatory' },
+  { keyword: 'will', pattern: /\bwill\b/i, strength: 'expected' }
+];
+
+// Statements the Government makes about itself are not offeror/contractor requirements
+const GOVERNMENT_SUBJECT_PATTERN = /^(?:\(?[a-z0-9]{1,4}[.)]\s+)?(?:the\s+)?(?:government|contracting\s+officer(?:'s\s+representative)?|co|cor|evaluators?|source\s+selection\s+authority|ssa|agency)\b[^.;]{0,60}?\b(?:shall|must|will|may)\b/i;
+const PASSIVE_EVALUATION_PATTERN = /\bwill\s+(?:be\s+)?(?:evaluated|assessed|considered|rated|reviewed)\b/i;
+const NEGATION_PATTERN = /\b(?:shall|must|will)\s+not\b|\bshall\s+neither\b|\bmay\s+not\b/i;
+
+const ABBREVIATIONS = new Set([
+  'e.g', 'i.e', 'etc', 'u.s', 'no', 'nos', 'inc', 'vs', 'sec', 'para', 'approx', 'dept', 'st',
+  'mr', 'ms', 'dr', 'jr', 'sr', 'fig', 'vol', 'ref', 'art', 'u.s.c', 'c.f.r', 'cfr'
+]);
+
+const CATEGORY_KEYWORDS = {
+  compliance: ['far', 'dfars', 'clause', 'nist', 'cmmc', 'fedramp', 'fisma', '508', 'itar', 'certify',
+    'certification', 'representation', 'accessibility', 'regulation', 'privacy', 'clearance', 'security'],
+  management: ['staffing', 'personnel', 'key', 'schedule', 'report', 'reporting', 'transition', 'meeting',
+    'management', 'manager', 'plan', 'quality', 'subcontract', 'subcontractor', 'risk', 'status'],
+  submission: ['proposal', 'volume', 'page', 'pages', 'font', 'submit', 'submitted', 'offeror',
+    'offerors', 'format', 'margin', 'margins', 'electronic', 'copies']
+};
+
+const UCF_SECTION_CATEGORIES = {
+  C: 'technical',
+  F: 'management',
+  G: 'management',
+  H: 'compliance',
+  I: 'compliance',
+  K: 'compliance',
+  L: 'submission'
+};
+
+/**
+ * Find the obligation keyword in a sentence
+ * @param {string} sentence - Candidate sentence
+ * @returns {Object|null} { keyword, strength, negated } or null when not a contractor/offeror requirement
+ */
+function detectObligation(sentence) {
+  if (!sentence) return null;
+
+  const obligation = OBLIGATIONS.find(candidate => candidate.pattern.test(sentence));
+  if (!obligation) return null;
+
+  if (GOVERNMENT_SUBJECT_PATTERN.test(sentence.trim())) return null;
+  if (obligation.keyword === 'will' && PASSIVE_EVALUATION_PATTERN.test(sentence)) return null;
+
+  return {
+    keyword: obligation.keyword,
+    strength: obligation.strength,
+    negated: NEGATION_PATTERN.test(sentence)
+  };
+}
+
+/**
+ * Split paragraph text into sentences without breaking on abbreviations or clause numbers
+ * @param {string} text - Paragraph text (single line)
+ * @returns {Array} Sentences: { text, offset }
+ */
+function splitSentences(text) {
+  const sentences = [];
+  const boundary = /[.!?;]["')\]]?\s+(?=["'(]?[A-Z0-9])/g;
+  let start = 0;
+  let match;
+
+  while ((match = boundary.exec(text)) !== null) {
+    const before = text.substring(start, match.index + 1);
+    const lastWord = (before.match(/(\S+)\.$/) || [])[1];
+    if (lastWord && (ABBREVIATIONS.has(lastWord.toLowerCase()) || /^[A-Z]$/.test(lastWord))) {
+      continue;
+    }
+
+    const sentence = text.substring(start, match.index + match[0].trimEnd().length).trim();
+    if (sentence) sentences.push({ text: sentence, offset: start });
+    start = match.index + match[0].length;
+  }
+
+  const rest = text.substring(start).trim();
+  if (rest) sentences.push({ text: rest, offset: start });
+  return sentences;
+}
+
+/**
+ * Group page text into numbered paragraphs and lettered sub-items
+ * @param {Array} pages - [{ page, text }]; page is null for formats without pagination
+ * @returns {Array} Blocks in document order: { paragraphId, section, title, segments: [{ page, text }] }
+ */
+function splitParagraphs(pages) {
+  const blocks = [];
+  let section = null;
+  let paragraph = null;
+  let current = null;
+
+  const startBlock = (paragraphId, title) => {
+    current = { paragraphId, section, title, segments: [] };
+    blocks.push(current);
+    return current;
+  };
+
+  (pages || []).forEach(({ page = null, text }) => {
+    (text || '').replace(/\r\n/g, '\n').split('\n').forEach(rawLine => {
+      const line = rawLine.trim();
+      if (!line) return;
+
+      let match;
+      if ((match = SECTION_HEADING_PATTERN.exec(line))) {
+        section = match[1].toUpperCase();
+        paragraph = { id: section, title: match[2].trim() };
+        startBlock(section, paragraph.title);
+        return;
+      }
+
+      if ((match = PARAGRAPH_PATTERN.exec(line))) {
+        const id = match[1];
+        if (/^[A-M]\./.test(id)) section = id[0];
+        paragraph = { id, title: paragraphTitle(match[2]) };
+        startBlock(id, paragraph.title).segments.push({ page, text: match[2] });
+        return;
+      }
+
+      if (paragraph && (match = SUBITEM_PATTERN.exec(line))) {
+        const label = (match[2] || match[5]).toLowerCase();
+        startBlock(`${paragraph.id}(${label})`, paragraph.title)
+          .segments.push({ page, text: match[3] || match[6] });
+        return;
+      }
+
+      if (!current) startBlock(null, null);
+      current.segments.push({ page, text: line });
+    });
+  });
+
+  return blocks.filter(block => block.segments.length > 0);
+}
+
+/**
+ * Heading part of a numbered paragraph's first line
+ */
+function paragraphTitle(line) {
+  const sentenceBreak = line.search(/[.:](\s|$)/);
+  const title = sentenceBreak > 0 && sentenceBreak < 100 ? line.substring(0, sentenceBreak) : line;
+  return title.length > 120 ? `${title.substring(0, 117)}...` : title;
+}
+
+/**
+ * Deterministic category from UCF section and keywords
+ * @returns {string} technical | management | compliance | submission
+ */
+function categorizeRequirement(text, section = null) {
+  const words = new Set(titleKeywords(text).concat((text.match(/\b508\b/g) || [])));
+  const scores = Object.entries(CATEGORY_KEYWORDS).map(([category, keywords]) => ({
+    category,
+    score: keywords.filter(keyword => words.has(keyword)).length
+  }));
+  const best = scores.reduce((a, b) => (b.score > a.score ? b : a));
+
+  if (section === 'L') return 'submission';
+  if (best.score >= 2 || (best.score === 1 && !UCF_SECTION_CATEGORIES[section])) {
+    return best.category;
+  }
+  return UCF_SECTION_CATEGORIES[section] || 'technical';
+}
+
+/**
+ * Shred solicitation pages into individual requirements
+ * @param {Array} pages - [{ page, text }]
+ * @param {Object} options - { minLength }
+ * @returns {Array} Requirements: { paragraphId, section, paragraphTitle, page, sequence, text,
+ *                  obligation, strength, negated, category, priority }
+ */
+function shredRequirements(pages, options = {}) {
+  const { minLength = 20 } = options;
+  const requirements = [];
+  const sequences = {};
+
+  splitParagraphs(pages).forEach(block => {
+    // Join segments while remembering where each page's text begins
+    let text = '';
+    const offsets = [];
+    block.segments.forEach(segment => {
+      // Re-join words hyphenated across line breaks
+      if (/[a-z]-$/.test(text)) {
+        text = text.slice(0, -1);
+      } else if (text) {
+        text += ' ';
+      }
+      offsets.push({ offset: text.length, page: segment.page });
+      text += segment.text;
+    });
+
+    const pageAt = (offset) => offsets.reduce((page, entry) => (entry.offset <= offset ? entry.page : page), offsets[0].page);
+
+    splitSentences(text).forEach(sentence => {
+      if (sentence.text.length < minLength) return;
+
+      const obligation = detectObligation(sentence.text);
+      if (!obligation) return;
+
+      const key = block.paragraphId || '';
+      sequences[key] = (sequences[key] || 0) + 1;
+
+      requirements.push({
+        paragraphId: block.paragraphId,
+        section: block.section,
+        paragraphTitle: block.title,
+        page: pageAt(sentence.offset),
+        sequence: sequences[key],
+        text: sentence.text,
+        obligation: obligation.keyword,
+        strength: obligation.strength,
+        negated: obligation.negated,
+        category: categorizeRequirement(sentence.text, block.section),
+        priority: obligation.strength === 'mandatory' ? 'high' : 'medium'
+      });
+    });
+  });
+
+  return requirements;
+}
+
+module.exports = {
+  SECTION_HEADING_PATTERN,
+  PARAGRAPH_PATTERN,
+  detectObligation,
+  splitSentences,
+  splitParagraphs,
+  paragraphTitle,
+  categorizeRequirement,
+  shredRequirements
+};
@@ -0,0 +1,195 @@
+/**
+ * Prompt Rule Conflict Utilities
+ * Deterministic screening of writing-rule pairs: scope overlap, shared terms, and known
+ * opposing directives ("be concise" vs "be exhaustive") with negation handled, so
+ * "avoid informal language" counts as asking for a formal register
+ */
+
+const crypto = require('crypto');
+
+const SCOPE_DIMENSIONS = ['personas', 'sectionTypes', 'documentTypes'];
+
+// Rule boilerplate and polarity words say nothing about what a rule is about
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'by', 'be', 'is', 'are',
+  'as', 'at', 'it', 'its', 'this', 'that', 'these', 'those', 'all', 'any', 'each', 'every',
+  'always', 'never', 'not', 'no', 'do', 'does', 'don', 'use', 'using', 'should', 'must', 'shall',
+  'will', 'may', 'can', 'when', 'where', 'which', 'who', 'from', 'into', 'than', 'then', 'so',
+  'such', 'also', 'only', 'more', 'most', 'very', 'your', 'our', 'their', 'they', 'we', 'you',
+  'if', 'avoid', 'include', 'ensure', 'make', 'keep', 'write', 'writing'
+]);
+
+// Directives that cannot both hold; two rules taking opposite sides of one contradict
+const OPPOSING_DIRECTIVES = [
+  {
+    dimension: 'length',
+    sides: [
+      ['concise', 'brief', 'short', 'succinct', 'terse', 'minimal'],
+      ['exhaustive', 'comprehensive', 'thorough', 'detailed', 'elaborate', 'extensive', 'in-depth', 'verbose']
+    ]
+  },
+  { dimension: 'voice', sides: [['active voice'], ['passive voice']] },
+  { dimension: 'register', sides: [['formal'], ['informal', 'casual', 'conversational', 'colloquial']] },
+  { dimension: 'person', sides: [['first person', 'first-person'], ['third person', 'third-person']] },
+  {
+    dimension: 'technical depth',
+    sides: [['high-level', 'non-technical', 'plain language'], ['highly technical', 'technical detail', 'deep technical']]
+  },
+  { dimension: 'structure', sides: [['bullet', 'bullets', 'bulleted', 'lists'], ['prose', 'paragraph form', 'narrative form']] }
+];
+
+const NEGATION_PATTERN = /\b(?:never|avoid|avoiding|not|no|without|refrain|eliminate|prohibit|prohibited|don't|dont)\b/i;
+// Words before a directive term that can negate it
+const NEGATION_WINDOW = 6;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function stem(word) {
+  if (word.length <= 4) return word;
+  if (word.endsWith('ies') || word.endsWith('ied')) return `${word.slice(0, -3)}y`;
+  const suffix = ['ing', 'ed', 'ly', 's'].find(candidate => word.endsWith(candidate) && word.length - candidate.length >= 3);
+  return suffix ? word.slice(0, -suffix.length) : word;
+}
+
+/**
+ * Comparable form of a scope value: "Executive Summary", "executive_summary" and
+ * "executive-summary" are the same section type
+ */
+function scopeValue(value) {
+  return value === null || value === undefined
+    ? ''
+    : String(value).trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+/**
+ * Scope with every dimension present, normalized and deduplicated (empty = applies everywhere)
+ * @param {Object} scope - { personas, sectionTypes, documentTypes }
+ */
+function normalizeScope(scope = {}) {
+  const normalized = {};
+  SCOPE_DIMENSIONS.forEach(dimension => {
+    const values = Array.isArray(scope?.[dimension]) ? scope[dimension] : [];
+    normalized[dimension] = [...new Set(values.map(scopeValue).filter(Boolean))];
+  });
+  return normalized;
+}
+
+/**
+ * Whether two rules can apply to the same request: every dimension is unrestricted on one
+ * side or shares a value
+ */
+function scopesOverlap(a, b) {
+  const scopeA = normalizeScope(a);
+  const scopeB = normalizeScope(b);
+  return SCOPE_DIMENSIONS.every(dimension =>
+    scopeA[dimension].length === 0 ||
+    scopeB[dimension].length === 0 ||
+    scopeA[dimension].some(value => scopeB[dimension].includes(value))
+  );
+}
+
+/**
+ * Human-readable scope, e.g. "sections: executive-summary; document types: solicitations"
+ */
+function describeScope(scope) {
+  const normalized = normalizeScope(scope);
+  const labels = { personas: 'personas', sectionTypes: 'sections', documentTypes: 'document types' };
+  const parts = SCOPE_DIMENSIONS
+    .filter(dimension => normalized[dimension].length > 0)
+    .map(dimension => `${labels[dimension]}: ${normalized[dimension].join(', ')}`);
+  return parts.length > 0 ? parts.join('; ') : 'everywhere';
+}
+
+/**
+ * Stemmed content words of a rule
+ */
+function ruleTerms(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9']+/)
+    .map(word => word.replace(/'s$|'/g, ''))
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Jaccard overlap of two rules' content terms (0-1)
+ */
+function lexicalOverlap(textA, textB) {
+  const termsA = new Set(ruleTerms(textA));
+  const termsB = new Set(ruleTerms(textB));
+  if (termsA.size === 0 || termsB.size === 0) return 0;
+
+  let shared = 0;
+  termsA.forEach(term => { if (termsB.has(term)) shared++; });
+  return shared / (termsA.size + termsB.size - shared);
+}
+
+/**
+ * Side a rule takes on each opposing directive: -1 for the first side, 1 for the second
+ * A negated term ("avoid informal language") counts for the other side.
+ * @returns {Object} { [dimension]: -1 | 1 } for dimensions the rule takes a side on
+ */
+function directiveStances(text) {
+  const clauses = (text || '').toLowerCase().split(/[.;:!?]/);
+  const stances = {};
+
+  OPPOSING_DIRECTIVES.forEach(({ dimension, sides }) => {
+    let total = 0;
+    sides.forEach((terms, sideIndex) => {
+      const direction = sideIndex === 0 ? -1 : 1;
+      terms.forEach(term => {
+        const pattern = new RegExp(`(^|[^a-z-])${escapeRegex(term)}(?![a-z-])`, 'g');
+        clauses.forEach(clause => {
+          let match;
+          while ((match = pattern.exec(clause)) !== null) {
+            const before = clause.slice(0, match.index + match[1].length).split(/\s+/).filter(Boolean).slice(-NEGATION_WINDOW);
+            total += NEGATION_PATTERN.test(before.join(' ')) ? -direction : direction;
+          }
+        });
+      });
+    });
+    if (total !== 0) {
+      stances[dimension] = Math.sign(total);
+    }
+  });
+
+  return stances;
+}
+
+/**
+ * Directive dimensions two rules take opposite sides on
+ * @returns {Array} Dimension names, e.g. ['length']
+ */
+function opposingDirectives(textA, textB) {
+  const stancesA = directiveStances(textA);
+  const stancesB = directiveStances(textB);
+  return Object.keys(stancesA).filter(dimension => stancesB[dimension] && stancesB[dimension] !== stancesA[dimension]);
+}
+
+/**
+ * Stable identity of a rule pair's wording and scope, so a resolved conflict is not raised
+ * again until one of the two rules changes
+ */
+function pairFingerprint(ruleA, ruleB) {
+  const canonical = [ruleA, ruleB]
+    .map(rule => JSON.stringify([String(rule.key), rule.text.trim(), normalizeScope(rule.scope)]))
+    .sort();
+  return crypto.createHash('sha1').update(canonical.join('\n')).digest('hex');
+}
+
+module.exports = {
+  SCOPE_DIMENSIONS,
+  OPPOSING_DIRECTIVES,
+  scopeValue,
+  normalizeScope,
+  scopesOverlap,
+  describeScope,
+  ruleTerms,
+  lexicalOverlap,
+  directiveStances,
+  opposingDirectives,
+  pairFingerprint
+};
@@ -0,0 +1,344 @@
+/**
+ * Section-Aware Chunker
+ * Splits parsed documents into retrieval chunks that never cross a heading,
+ * carry their heading path, RFP paragraph ID and page range, keep table rows
+ * together under their header, and stay within a token size with overlap
+ */
+
+const {
+  SECTION_HEADING_PATTERN,
+  PARAGRAPH_PATTERN,
+  splitSentences,
+  paragraphTitle
+} = require('./requirementShred');
+
+const DEFAULT_MAX_TOKENS = 400;
+const DEFAULT_OVERLAP_TOKENS = 50;
+
+/**
+ * Estimated tokens for a passage (1 token ≈ 4 characters), used when no model tokenizer is given
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Blocks from page text, one per blank-line separated paragraph
+ * @param {Array} pages - [{ page, text }]; page is null for formats without pagination
+ * @returns {Array} [{ type: 'text', text, page }]
+ */
+function textToBlocks(pages) {
+  const blocks = [];
+  (pages || []).forEach(({ page = null, text }) => {
+    (text || '').replace(/\r\n/g, '\n').split(/\n\s*\n/).forEach(paragraph => {
+      if (paragraph.trim()) {
+        blocks.push({ type: 'text', text: paragraph, page });
+      }
+    });
+  });
+  return blocks;
+}
+
+/**
+ * Heading described by a line of text, if any
+ * "SECTION C - ..." is level 1; numbered paragraphs nest by their number of parts
+ * (C.3 → 2, C.3.2 → 3, 3.2.1 → 3). A bare heading has no body text on its line.
+ * @returns {Object|null} { level, id, title, bare }
+ */
+function detectHeading(line) {
+  let match;
+  if ((match = SECTION_HEADING_PATTERN.exec(line))) {
+    return { level: 1, id: match[1].toUpperCase(), title: match[2].trim(), bare: true };
+  }
+  if ((match = PARAGRAPH_PATTERN.exec(line))) {
+    const title = paragraphTitle(match[2]);
+    return { level: match[1].split('.').length, id: match[1], title, bare: title === match[2].trim() };
+  }
+  return null;
+}
+
+/**
+ * Chunk parsed document blocks
+ * @param {Array} blocks - In document order:
+ *   { type: 'text', text, page } – paragraph or page text (headings inside are detected)
+ *   { type: 'heading', level, text, page } – explicit heading (DOCX h1–h6)
+ *   { type: 'table_row', cells, page } – one table row; consecutive rows form a table
+ * @param {Object} options - { maxTokens, overlapTokens, countTokens: text => tokens for the target model }
+ * @returns {Array} Chunks: { content, contentType, headingPath, sectionTitle, paragraphId,
+ *                  pageStart, pageEnd, tokenCount }
+ */
+function chunkDocument(blocks, options = {}) {
+  const count = options.countTokens || estimateTokens;
+  const maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+  const overlapTokens = Math.min(
+    options.overlapTokens !== undefined ? options.overlapTokens : DEFAULT_OVERLAP_TOKENS,
+    Math.floor(maxTokens / 2)
+  );
+
+  const chunks = [];
+  const headings = [];
+  let units = [];
+  let table = null;
+  // Bare heading lines waiting to lead the first chunk of their first subsection
+  let carried = [];
+
+  const location = () => {
+    const withId = headings.filter(heading => heading.id);
+    const deepest = headings[headings.length - 1];
+    return {
+      headingPath: headings.map(heading => (heading.id ? `${heading.id} ${heading.title}`.trim() : heading.title)),
+      sectionTitle: deepest ? deepest.title || deepest.id : null,
+      paragraphId: withId.length > 0 ? withId[withId.length - 1].id : null
+    };
+  };
+
+  const flushText = () => {
+    if (units.length > 0 && units.every(unit => unit.bare)) {
+      carried = carried.concat(units);
+      units = [];
+      return;
+    }
+    if (units.length > 0 || carried.length > 0) {
+      chunks.push(...packUnits(carried.concat(units), location(), maxTokens, overlapTokens, count));
+      units = [];
+      carried = [];
+    }
+  };
+
+  const flushTable = () => {
+    if (table) {
+      if (carried.length > 0) {
+        chunks.push(...packUnits(carried, location(), maxTokens, overlapTokens, count));
+        carried = [];
+      }
+      chunks.push(...packTable(table, location(), maxTokens, count));
+      table = null;
+    }
+  };
+
+  const openHeading = (heading) => {
+    while (headings.length > 0 && headings[headings.length - 1].level >= heading.level) {
+      headings.pop();
+    }
+    headings.push(heading);
+  };
+
+  for (const block of blocks || []) {
+    if (block.type === 'table_row') {
+      flushText();
+      const cells = (block.cells || []).map(cell => cell.trim());
+      if (cells.every(cell => !cell)) continue;
+      if (!table) {
+        // The first row labels every chunk of the table
+        table = { header: cells, rows: [], page: block.page };
+      } else {
+        table.rows.push({ cells, page: block.page });
+      }
+      continue;
+    }
+    flushTable();
+
+    if (block.type === 'heading') {
+      const text = (block.text || '').trim();
+      if (!text) continue;
+      flushText();
+      const numbered = detectHeading(text);
+      openHeading(numbered || { level: block.level || 1, id: null, title: text });
+      units.push({ text, page: block.page, sep: '\n\n', bare: !numbered || numbered.bare });
+      continue;
+    }
+
+    // Text: split off any heading lines so chunks start at section boundaries
+    let paragraph = [];
+    let bareHeading = false;
+    const pushParagraph = () => {
+      const text = paragraph.join('\n').trim();
+      if (text) units.push({ text, page: block.page, sep: '\n\n', bare: bareHeading && !text.includes('\n') });
+      paragraph = [];
+      bareHeading = false;
+    };
+
+    (block.text || '').split('\n').forEach(rawLine => {
+      const line = rawLine.trim();
+      const heading = line ? detectHeading(line) : null;
+      if (heading) {
+        pushParagraph();
+        flushText();
+        openHeading(heading);
+        bareHeading = heading.bare;
+      }
+      paragraph.push(rawLine.replace(/\s+$/, ''));
+    });
+    pushParagraph();
+  }
+
+  flushText();
+  flushTable();
+
+  return chunks;
+}
+
+/**
+ * Split a unit that is larger than the chunk size: by line, then sentence, then word
+ * @private
+ */
+function splitUnit(unit, maxTokens, count) {
+  if (count(unit.text) <= maxTokens) {
+    return [unit];
+  }
+
+  const lines = unit.text.split('\n').filter(line => line.trim());
+  if (lines.length > 1) {
+    return lines.flatMap((line, index) =>
+      splitUnit({ text: line, page: unit.page, sep: index === 0 ? unit.sep : '\n' }, maxTokens, count));
+  }
+
+  const sentences = splitSentences(unit.text).map(sentence => sentence.text);
+  if (sentences.length > 1) {
+    return sentences.flatMap((sentence, index) =>
+      splitUnit({ text: sentence, page: unit.page, sep: index === 0 ? unit.sep : ' ' }, maxTokens, count));
+  }
+
+  // One long sentence: cut at word boundaries (and inside words longer than a chunk)
+  const pieces = [];
+  let current = '';
+  unit.text.split(/\s+/).filter(Boolean).forEach(word => {
+    for (let start = 0; start < word.length; start += maxTokens * 4) {
+      const part = word.substring(start, start + maxTokens * 4);
+      if (current && count(`${current} ${part}`) > maxTokens) {
+        pieces.push(current);
+        current = part;
+      } else {
+        current = current ? `${current} ${part}` : part;
+      }
+    }
+  });
+  if (current) pieces.push(current);
+
+  return pieces.map((text, index) => ({ text, page: unit.page, sep: index === 0 ? unit.sep : ' ' }));
+}
+
+/**
+ * Greedily pack a section's units into chunks, repeating the tail of each chunk
+ * (up to overlapTokens) at the start of the next
+ * @private
+ */
+function packUnits(units, location, maxTokens, overlapTokens, count) {
+  const pieces = units.flatMap(unit => splitUnit(unit, maxTokens, count))
+    .map(piece => ({ ...piece, tokens: count(piece.text) }));
+
+  const chunks = [];
+  let current = [];
+  let fresh = 0;
+
+  const tokensOf = (list) => list.reduce((sum, piece) => sum + piece.tokens, 0);
+
+  pieces.forEach(piece => {
+    if (current.length > 0 && tokensOf(current) + piece.tokens > maxTokens) {
+      chunks.push(buildChunk(current, location, 'text', count));
+      current = overlapTail(current, overlapTokens, count);
+      if (tokensOf(current) + piece.tokens > maxTokens) {
+        current = [];
+      }
+      fresh = 0;
+    }
+    current.push(piece);
+    fresh++;
+  });
+
+  if (fresh > 0) {
+    chunks.push(buildChunk(current, location, 'text', count));
+  }
+
+  return chunks;
+}
+
+/**
+ * Trailing pieces worth at most overlapTokens; falls back to the last words of the final piece
+ * @private
+ */
+function overlapTail(pieces, overlapTokens, count) {
+  if (overlapTokens <= 0) return [];
+
+  const tail = [];
+  let tokens = 0;
+  for (let i = pieces.length - 1; i >= 0; i--) {
+    if (tokens + pieces[i].tokens > overlapTokens) break;
+    tail.unshift(pieces[i]);
+    tokens += pieces[i].tokens;
+  }
+  if (tail.length > 0) return tail;
+
+  const last = pieces[pieces.length - 1];
+  const words = last.text.split(/\s+/).filter(Boolean);
+  const kept = [];
+  for (let i = words.length - 1; i >= 0; i--) {
+    if (count([words[i], ...kept].join(' ')) > overlapTokens) break;
+    kept.unshift(words[i]);
+  }
+  if (kept.length === 0) return [];
+
+  const text = kept.join(' ');
+  return [{ text, page: last.page, sep: last.sep, tokens: count(text) }];
+}
+
+/**
+ * Table rows rendered as "cell | cell" lines, split by row with the header repeated
+ * @private
+ */
+function packTable(table, location, maxTokens, count) {
+  const header = table.header.join(' | ');
+  if (table.rows.length === 0) {
+    return [buildChunk([{ text: header, page: table.page, sep: '\n' }], location, 'table', count)];
+  }
+
+  const chunks = [];
+  let current = [];
+  const headerPiece = { text: header, sep: '\n', tokens: count(header) };
+
+  table.rows.forEach(row => {
+    const text = row.cells.join(' | ');
+    const piece = { text, page: row.page, sep: '\n', tokens: count(text) };
+    const tokens = current.reduce((sum, p) => sum + p.tokens, 0);
+
+    if (current.length > 1 && tokens + piece.tokens > maxTokens) {
+      chunks.push(buildChunk(current, location, 'table', count));
+      current = [];
+    }
+    if (current.length === 0) {
+      current.push({ ...headerPiece, page: row.page });
+    }
+    current.push(piece);
+  });
+
+  chunks.push(buildChunk(current, location, 'table', count));
+  return chunks;
+}
+
+/**
+ * @private
+ */
+function buildChunk(pieces, location, contentType, count) {
+  const content = pieces.map((piece, index) => (index === 0 ? '' : piece.sep) + piece.text).join('');
+  const pages = pieces.map(piece => piece.page).filter(page => page !== null && page !== undefined);
+
+  return {
+    content,
+    contentType,
+    headingPath: location.headingPath,
+    sectionTitle: location.sectionTitle,
+    paragraphId: location.paragraphId,
+    pageStart: pages.length > 0 ? Math.min(...pages) : null,
+    pageEnd: pages.length > 0 ? Math.max(...pages) : null,
+    tokenCount: count(content)
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_TOKENS,
+  DEFAULT_OVERLAP_TOKENS,
+  estimateTokens,
+  textToBlocks,
+  detectHeading,
+  chunkDocument
+};
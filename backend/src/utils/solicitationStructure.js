@@ -0,0 +1,336 @@
+/**
+ * Solicitation Structure Utilities
+ * Deterministic parsing of Uniform Contract Format (UCF) solicitations:
+ * section boundaries (A–M), numbered paragraphs (L.4.2, C.3.1.2), page limits,
+ * proposal volumes and Section M evaluation factors.
+ */
+
+const SECTION_HEADING_PATTERN = /^[ \t]*(?:PART\s+[IVX]+\s*[-–—:]?\s*)?SECTION\s+([A-M])\b[ \t]*[-–—:.]?[ \t]*(.*)$/gim;
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+  eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60,
+  seventy: 70, eighty: 80, ninety: 90, hundred: 100
+};
+
+const ROMAN_NUMERALS = { I: 1, V: 5, X: 10 };
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'of', 'to', 'in', 'a', 'an', 'on', 'or', 'with', 'by', 'be', 'is', 'are',
+  'shall', 'will', 'must', 'offeror', 'offerors', 'offeror\'s', 'proposal', 'volume', 'section',
+  'factor', 'subfactor', 'evaluation', 'evaluated', 'government', 'its', 'this', 'that', 'as', 'at'
+]);
+
+const SECTION_TYPE_KEYWORDS = {
+  'executive-summary': ['executive', 'summary', 'overview'],
+  'technical-approach': ['technical', 'approach', 'solution', 'methodology', 'architecture'],
+  'management-plan': ['management', 'staffing', 'personnel', 'transition', 'schedule', 'organization'],
+  'past-performance': ['past', 'performance', 'experience', 'references'],
+  'cost-proposal': ['cost', 'price', 'pricing', 'rates'],
+  'small-business': ['small', 'subcontracting'],
+  'quality-assurance': ['quality', 'assurance', 'qasp'],
+  'security': ['security', 'cybersecurity', 'clearance']
+};
+
+/**
+ * Convert "25", "twenty-five" or "twenty five" into a number
+ * @param {string} value - Numeric or spelled-out value
+ * @returns {number|null}
+ */
+function parseNumberWord(value) {
+  if (!value) return null;
+  const trimmed = value.trim().toLowerCase();
+  if (/^\d+$/.test(trimmed)) {
+    return parseInt(trimmed, 10);
+  }
+
+  let total = 0;
+  for (const part of trimmed.split(/[\s-]+/)) {
+    if (NUMBER_WORDS[part] === undefined) {
+      return null;
+    }
+    total = part === 'hundred' ? Math.max(total, 1) * 100 : total + NUMBER_WORDS[part];
+  }
+  return total || null;
+}
+
+/**
+ * Convert a volume designator ("II", "2") to a number
+ */
+function parseVolumeNumber(value) {
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+
+  const numerals = value.toUpperCase().split('').map(char => ROMAN_NUMERALS[char]);
+  if (numerals.some(n => n === undefined)) return null;
+
+  return numerals.reduce((total, current, index) => {
+    const next = numerals[index + 1];
+    return next && next > current ? total - current : total + current;
+  }, 0);
+}
+
+/**
+ * Split a solicitation into its UCF sections
+ * When a heading appears more than once (table of contents, running headers),
+ * the occurrence with the longest body wins.
+ * @param {string} text - Full solicitation text
+ * @returns {Object} Map of section letter → { letter, title, start, end, text }
+ */
+function splitUcfSections(text) {
+  if (!text) return {};
+
+  const headings = [];
+  let match;
+  SECTION_HEADING_PATTERN.lastIndex = 0;
+  while ((match = SECTION_HEADING_PATTERN.exec(text)) !== null) {
+    headings.push({
+      letter: match[1].toUpperCase(),
+      title: match[2].trim(),
+      start: match.index,
+      bodyStart: match.index + match[0].length
+    });
+  }
+
+  const sections = {};
+  headings.forEach((heading, index) => {
+    // The body runs until the next heading for a different section
+    const next = headings.slice(index + 1).find(h => h.letter !== heading.letter);
+    const end = next ? next.start : text.length;
+    const body = text.substring(heading.bodyStart, end);
+
+    const existing = sections[heading.letter];
+    if (!existing || body.trim().length > existing.text.trim().length) {
+      sections[heading.letter] = {
+        letter: heading.letter,
+        title: heading.title,
+        start: heading.start,
+        end,
+        text: body
+      };
+    }
+  });
+
+  return sections;
+}
+
+/**
+ * Parse numbered paragraphs such as "L.4.2 Technical Volume" or "C.3.1.2."
+ * @param {string} text - Section text
+ * @param {string} prefix - Section letter to match (optional, any UCF letter when omitted)
+ * @returns {Array} Paragraphs in document order: { id, title, depth, body, start, end }
+ */
+function parseNumberedParagraphs(text, prefix = null) {
+  if (!text) return [];
+
+  const letter = prefix ? prefix.toUpperCase() : '[A-M]';
+  const pattern = new RegExp(`^[ \\t]*(${letter}(?:\\.\\d+)+)\\.?[ \\t]+(.*)$`, 'gm');
+
+  const paragraphs = [];
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    paragraphs.push({
+      id: match[1],
+      title: cleanParagraphTitle(match[2]),
+      depth: match[1].split('.').length - 1,
+      start: match.index,
+      bodyStart: match.index + match[0].length
+    });
+  }
+
+  return paragraphs.map((paragraph, index) => {
+    const end = index + 1 < paragraphs.length ? paragraphs[index + 1].start : text.length;
+    return {
+      id: paragraph.id,
+      title: paragraph.title,
+      depth: paragraph.depth,
+      start: paragraph.start,
+      end,
+      body: text.substring(paragraph.start, end).trim()
+    };
+  });
+}
+
+/**
+ * Keep the heading part of a paragraph's first line
+ */
+function cleanParagraphTitle(line) {
+  const trimmed = line.trim();
+  // "Technical Approach. The offeror shall..." → "Technical Approach"
+  const sentenceBreak = trimmed.search(/[.:](\s|$)/);
+  const title = sentenceBreak > 0 && sentenceBreak < 100 ? trimmed.substring(0, sentenceBreak) : trimmed;
+  return title.length > 120 ? `${title.substring(0, 117)}...` : title;
+}
+
+/**
+ * Find the first page limit stated in a passage
+ * @param {string} text - Passage to scan
+ * @returns {number|null} Page limit
+ */
+function findPageLimit(text) {
+  if (!text) return null;
+
+  const patterns = [
+    /(?:shall\s+not|not\s+to|may\s+not|must\s+not|cannot)\s+exceed\s+([a-z]+(?:[\s-][a-z]+)?|\d+)\s*(?:\(\d+\)\s*)?(?:single-sided\s+|double-spaced\s+|total\s+)?pages?/i,
+    /(?:limited\s+to|maximum\s+of|no\s+more\s+than|up\s+to)\s+([a-z]+(?:[\s-][a-z]+)?|\d+)\s*(?:\(\d+\)\s*)?(?:single-sided\s+|total\s+)?pages?/i,
+    /(\d+)[\s-]*page\s+(?:limit|limitation|maximum)/i,
+    /page\s+limit(?:ation)?\s*(?:of|is|:)?\s*(\d+)/i
+  ];
+
+  for (const pattern of patterns) {
+    const match = pattern.exec(text);
+    if (match) {
+      const value = parseNumberWord(match[1]);
+      if (value) return value;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find proposal volumes mentioned in Section L
+ * @param {string} text - Section L text
+ * @returns {Array} Volumes: { number, designator, title, pageLimit, start }
+ */
+function findVolumes(text) {
+  if (!text) return [];
+
+  const pattern = /\bVolume\s+([IVX]+|\d+)\b\s*(?:[-–—:,)]|\(|\s)\s*[-–—]?\s*([A-Z][A-Za-z&/,' ]{2,60})?/g;
+  const volumes = new Map();
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const number = parseVolumeNumber(match[1]);
+    if (!number) continue;
+
+    const title = cleanVolumeTitle(match[2]);
+    const lineEnd = text.indexOf('\n', match.index);
+    const window = text.substring(match.index, lineEnd === -1 ? match.index + 300 : Math.max(lineEnd, match.index + 200));
+    const pageLimit = findPageLimit(window);
+
+    const existing = volumes.get(number);
+    if (!existing) {
+      volumes.set(number, { number, designator: match[1], title, pageLimit, start: match.index });
+    } else {
+      if (!existing.title && title) existing.title = title;
+      if (!existing.pageLimit && pageLimit) existing.pageLimit = pageLimit;
+    }
+  }
+
+  return Array.from(volumes.values()).sort((a, b) => a.number - b.number);
+}
+
+function cleanVolumeTitle(raw) {
+  if (!raw) return null;
+  const title = raw
+    .split(/\s+(?:shall|will|must|is|consists|contains|should|page|pages|limited|not)\b/i)[0]
+    .replace(/\b(?:Proposal|Volume)\s*$/i, '')
+    .replace(/[,\s]+$/, '')
+    .trim();
+  return title.length >= 3 ? title : null;
+}
+
+/**
+ * Parse evaluation factors and subfactors from Section M
+ * @param {string} text - Section M text
+ * @returns {Array} Factors: { id, number, title, description, subfactors: [{ id, number, title, description }] }
+ */
+function findEvaluationFactors(text) {
+  if (!text) return [];
+
+  const pattern = /^[ \t]*(?:\(?[a-z0-9]{1,3}[.)]\s*)?(Sub-?factor|Factor)\s+(\d+(?:\.\d+)?|[IVX]+|[A-Z])\s*[-–—:.)]\s*(.+)$/gim;
+  const entries = [];
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    entries.push({
+      isSubfactor: /^sub/i.test(match[1]),
+      number: match[2],
+      title: cleanParagraphTitle(match[3]),
+      start: match.index,
+      bodyStart: match.index + match[0].length
+    });
+  }
+
+  const factors = [];
+  const seen = new Set();
+  entries.forEach((entry, index) => {
+    const end = index + 1 < entries.length ? entries[index + 1].start : text.length;
+    const description = text.substring(entry.bodyStart, Math.min(end, entry.bodyStart + 1500)).trim();
+
+    if (entry.isSubfactor) {
+      const parent = factors[factors.length - 1];
+      if (!parent) return;
+      const id = `${parent.id}.${entry.number}`;
+      if (seen.has(id)) return;
+      seen.add(id);
+      parent.subfactors.push({ id, number: entry.number, title: entry.title, description });
+    } else {
+      const id = `Factor ${entry.number}`;
+      if (seen.has(id)) return;
+      seen.add(id);
+      factors.push({ id, number: entry.number, title: entry.title, description, subfactors: [] });
+    }
+  });
+
+  return factors;
+}
+
+/**
+ * Significant lowercase words of a title, used for keyword matching
+ */
+function titleKeywords(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Overlap score between two keyword lists (Jaccard)
+ */
+function keywordOverlap(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const intersection = [...setA].filter(word => setB.has(word)).length;
+  return intersection / new Set([...setA, ...setB]).size;
+}
+
+/**
+ * Guess the AI writing section type for a heading
+ * @returns {string} One of the SECTION_TYPE_KEYWORDS keys or 'general'
+ */
+function detectSectionType(title) {
+  const words = titleKeywords(title);
+  let best = 'general';
+  let bestScore = 0;
+
+  for (const [sectionType, keywords] of Object.entries(SECTION_TYPE_KEYWORDS)) {
+    // Each matched word counts once; earlier words break ties ("Management Approach" → management-plan)
+    const score = words.reduce((total, word, index) =>
+      keywords.includes(word) ? total + 1 + (words.length - index) / (10 * words.length) : total, 0);
+    if (score > bestScore) {
+      best = sectionType;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  splitUcfSections,
+  parseNumberedParagraphs,
+  findPageLimit,
+  findVolumes,
+  findEvaluationFactors,
+  titleKeywords,
+  keywordOverlap,
+  detectSectionType,
+  parseNumberWord
+};
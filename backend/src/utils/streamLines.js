@@ -0,0 +1,62 @@
+/**
+ * Stream Line Reader
+ * Reads a streaming HTTP body line by line (NDJSON from Ollama, SSE from OpenAI-compatible servers)
+ */
+
+/**
+ * Feed each complete line of a readable stream to a handler
+ * A handler that throws aborts the stream and rejects the promise.
+ * @param {Readable} stream - Response body stream
+ * @param {Function} onLine - Called with each line (without the newline)
+ * @param {Object} options - { signal: AbortSignal }
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+function consumeLines(stream, onLine, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    let pending = '';
+    let settled = false;
+
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      stream.destroy();
+      reject(error);
+    };
+
+    stream.on('data', (chunk) => {
+      pending += chunk.toString('utf8');
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      try {
+        lines.forEach(line => onLine(line.replace(/\r$/, '')));
+      } catch (error) {
+        fail(error);
+      }
+    });
+
+    stream.on('end', () => {
+      if (settled) return;
+      try {
+        if (pending) onLine(pending.replace(/\r$/, ''));
+        settled = true;
+        resolve();
+      } catch (error) {
+        fail(error);
+      }
+    });
+
+    stream.on('error', fail);
+
+    if (signal) {
+      if (signal.aborted) {
+        fail(new Error('Generation cancelled'));
+        return;
+      }
+      signal.addEventListener('abort', () => fail(new Error('Generation cancelled')), { once: true });
+    }
+  });
+}
+
+module.exports = {
+  consumeLines
+};
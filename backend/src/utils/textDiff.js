@@ -0,0 +1,167 @@
+/**
+ * Text Diff Utilities
+ * Word- or line-level diff (Myers) used to compare proposal section versions
+ */
+
+// Beyond this many edits the texts are effectively rewritten; report a full replacement
+const MAX_EDIT_DISTANCE = 4000;
+
+/**
+ * Split text into diffable tokens, keeping whitespace so changes rejoin exactly
+ * @param {string} text - Text to split
+ * @param {string} granularity - 'word' or 'line'
+ */
+function tokenize(text, granularity) {
+  if (!text) return [];
+  const pattern = granularity === 'line' ? /(\n)/ : /(\s+)/;
+  return text.split(pattern).filter(token => token.length > 0);
+}
+
+/**
+ * Shortest edit script between two token arrays (Myers O(ND))
+ * @returns {Array|null} Ops in order ({ type, token }), or null when the distance exceeds the limit
+ */
+function myersDiff(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  const trace = [];
+
+  for (let d = 0; d <= Math.min(max, MAX_EDIT_DISTANCE); d++) {
+    // Keep only the diagonals reachable at this depth
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+
+  return null;
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const at = (k) => v[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', token: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'insert', token: b[y - 1] });
+      } else {
+        ops.push({ type: 'delete', token: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Diff two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @param {Object} options - { granularity: 'word' | 'line' }
+ * @returns {Object} { changes: [{ type: 'equal'|'insert'|'delete', value }], stats: { added, removed, unchanged } }
+ */
+function diffText(oldText, newText, options = {}) {
+  const granularity = options.granularity === 'line' ? 'line' : 'word';
+  const a = tokenize(oldText || '', granularity);
+  const b = tokenize(newText || '', granularity);
+
+  // Common prefix/suffix are cheap to strip and usually most of an edited section
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = myersDiff(middleA, middleB) || [
+    ...middleA.map(token => ({ type: 'delete', token })),
+    ...middleB.map(token => ({ type: 'insert', token }))
+  ];
+
+  const ops = [
+    ...a.slice(0, start).map(token => ({ type: 'equal', token })),
+    ...middle,
+    ...a.slice(endA).map(token => ({ type: 'equal', token }))
+  ];
+
+  const changes = [];
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  const statKey = { insert: 'added', delete: 'removed', equal: 'unchanged' };
+
+  ops.forEach(op => {
+    if (op.token.trim()) {
+      stats[statKey[op.type]]++;
+    }
+
+    const last = changes[changes.length - 1];
+    if (last && last.type === op.type) {
+      last.value += op.token;
+    } else {
+      changes.push({ type: op.type, value: op.token });
+    }
+  });
+
+  return { granularity, changes, stats };
+}
+
+/**
+ * Word-level edit distance between two texts, e.g. a generated section and what the writer kept
+ * @returns {Object} { distance: words added + removed, ratio: 0 (unchanged) to 1 (fully rewritten), words }
+ */
+function editDistance(oldText, newText) {
+  const { stats } = diffText(oldText, newText, { granularity: 'word' });
+  const distance = stats.added + stats.removed;
+  const total = distance + 2 * stats.unchanged;
+
+  return {
+    distance,
+    ratio: total > 0 ? Math.round((distance / total) * 10000) / 10000 : 0,
+    words: stats.unchanged + stats.added
+  };
+}
+
+module.exports = {
+  diffText,
+  editDistance
+};
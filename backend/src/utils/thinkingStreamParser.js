@@ -0,0 +1,89 @@
+/**
+ * Thinking Stream Parser
+ * Splits a streamed model response into visible and <think>/<thinking> segments
+ * while tokens arrive, so tag boundaries can be reported as they happen.
+ */
+
+const TAG_PATTERN = /<(\/?)think(?:ing)?>/i;
+const TAG_PREFIXES = ['<think>', '<thinking>', '</think>', '</thinking>'];
+const MAX_TAG_LENGTH = Math.max(...TAG_PREFIXES.map(tag => tag.length));
+
+class ThinkingStreamParser {
+  constructor() {
+    this.buffer = '';
+    this.inThinking = false;
+  }
+
+  /**
+   * Feed a chunk of model output into the parser
+   * @param {string} text - Raw token text from the model
+   * @returns {Array} Events: { type: 'token', content, thinking } | { type: 'thinking_start' } | { type: 'thinking_end' }
+   */
+  push(text) {
+    if (!text) {
+      return [];
+    }
+
+    this.buffer += text;
+    const events = [];
+
+    let match = TAG_PATTERN.exec(this.buffer);
+    while (match) {
+      this.emitToken(events, this.buffer.substring(0, match.index));
+
+      const isClosing = match[1] === '/';
+      if (isClosing && this.inThinking) {
+        this.inThinking = false;
+        events.push({ type: 'thinking_end' });
+      } else if (!isClosing && !this.inThinking) {
+        this.inThinking = true;
+        events.push({ type: 'thinking_start' });
+      }
+
+      this.buffer = this.buffer.substring(match.index + match[0].length);
+      match = TAG_PATTERN.exec(this.buffer);
+    }
+
+    // Hold back a trailing fragment that could still become a tag
+    const holdFrom = this.findPartialTagStart(this.buffer);
+    this.emitToken(events, this.buffer.substring(0, holdFrom));
+    this.buffer = this.buffer.substring(holdFrom);
+
+    return events;
+  }
+
+  /**
+   * Flush whatever is still buffered once the stream has ended
+   * @returns {Array} Remaining events
+   */
+  flush() {
+    const events = [];
+    this.emitToken(events, this.buffer);
+    this.buffer = '';
+
+    if (this.inThinking) {
+      this.inThinking = false;
+      events.push({ type: 'thinking_end' });
+    }
+
+    return events;
+  }
+
+  emitToken(events, content) {
+    if (content) {
+      events.push({ type: 'token', content, thinking: this.inThinking });
+    }
+  }
+
+  findPartialTagStart(text) {
+    const lastOpen = text.lastIndexOf('<');
+    if (lastOpen === -1 || text.length - lastOpen >= MAX_TAG_LENGTH) {
+      return text.length;
+    }
+
+    const tail = text.substring(lastOpen).toLowerCase();
+    return TAG_PREFIXES.some(tag => tag.startsWith(tail)) ? lastOpen : text.length;
+  }
+}
+
+module.exports = ThinkingStreamParser;
@@ -0,0 +1,326 @@
+/**
+ * XLSX
+ * Reads the first worksheet of an Office Open XML workbook into rows of strings.
+ * Shared and inline strings, booleans, numbers and date-formatted cells are supported;
+ * formulas are read as their cached values.
+ * Writes single-sheet workbooks for exports (bold frozen header row, filters, wrapped text).
+ */
+
+const JSZip = require('jszip');
+
+// Built-in number formats that display dates (ECMA-376 18.8.30)
+const BUILT_IN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+// Excel's day zero (1899-12-30, accounting for the 1900 leap year bug)
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function decodeXML(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#x([0-9a-fA-F]+);/g, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Concatenated text of every <t> element (rich text runs included)
+ */
+function textContent(xml) {
+  let text = '';
+  const pattern = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    text += decodeXML(match[1]);
+  }
+  return text;
+}
+
+function attribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXML(match[1]) : null;
+}
+
+/**
+ * Zero-based column index of a cell reference such as "AB12"
+ */
+function columnIndex(reference) {
+  const letters = reference.match(/^[A-Z]+/i)[0].toUpperCase();
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Excel serial day number as an ISO date (YYYY-MM-DD)
+ */
+function serialToDate(serial) {
+  return new Date(EXCEL_EPOCH_MS + Math.round(serial * MS_PER_DAY)).toISOString().slice(0, 10);
+}
+
+async function readEntry(zip, name) {
+  const entry = zip.file(name);
+  return entry ? entry.async('string') : null;
+}
+
+/**
+ * Path of the first worksheet in workbook order
+ */
+async function firstSheetPath(zip) {
+  const workbook = await readEntry(zip, 'xl/workbook.xml');
+  const rels = await readEntry(zip, 'xl/_rels/workbook.xml.rels');
+  const sheet = workbook && workbook.match(/<sheet\s[^>]*>/);
+
+  if (sheet && rels) {
+    const relId = attribute(sheet[0], 'r:id');
+    const relationships = rels.match(/<Relationship\s[^>]*>/g) || [];
+    const relationship = relationships.find(tag => attribute(tag, 'Id') === relId);
+    if (relationship) {
+      const target = attribute(relationship, 'Target');
+      return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    }
+  }
+  return 'xl/worksheets/sheet1.xml';
+}
+
+/**
+ * Style indexes (cellXfs order) whose number format displays a date
+ */
+function dateStyles(stylesXml) {
+  const styles = new Set();
+  if (!stylesXml) {
+    return styles;
+  }
+
+  const customDateFormats = new Set();
+  (stylesXml.match(/<numFmt\s[^>]*>/g) || []).forEach(tag => {
+    // Date codes use d, m or y outside quoted literals and bracketed colours/conditions
+    const code = (attribute(tag, 'formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]/g, '');
+    if (/[dmy]/i.test(code)) {
+      customDateFormats.add(parseInt(attribute(tag, 'numFmtId')));
+    }
+  });
+
+  const cellXfs = stylesXml.match(/<cellXfs[^>]*>([\s\S]*?)<\/cellXfs>/);
+  if (cellXfs) {
+    (cellXfs[1].match(/<xf\s[^>]*>/g) || []).forEach((tag, index) => {
+      const numFmtId = parseInt(attribute(tag, 'numFmtId'));
+      if (BUILT_IN_DATE_FORMATS.has(numFmtId) || customDateFormats.has(numFmtId)) {
+        styles.add(index);
+      }
+    });
+  }
+  return styles;
+}
+
+/**
+ * Read the first worksheet of an XLSX workbook
+ * @param {Buffer} buffer - Workbook file contents
+ * @returns {Array<Array<string>>} Rows of cell text (date cells as YYYY-MM-DD); empty rows dropped
+ * @throws When the buffer is not an XLSX workbook
+ */
+async function readXLSXRows(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const sheetXml = await readEntry(zip, await firstSheetPath(zip));
+  if (!sheetXml) {
+    throw new Error('Workbook has no worksheets');
+  }
+
+  const sharedStringsXml = await readEntry(zip, 'xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsXml
+    ? (sharedStringsXml.match(/<si>[\s\S]*?<\/si>|<si\/>/g) || []).map(textContent)
+    : [];
+  const dates = dateStyles(await readEntry(zip, 'xl/styles.xml'));
+
+  const rows = [];
+  const rowPattern = /<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g;
+  let rowMatch;
+  while ((rowMatch = rowPattern.exec(sheetXml)) !== null) {
+    const cells = [];
+    const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let cellMatch;
+    let nextColumn = 0;
+
+    while ((cellMatch = cellPattern.exec(rowMatch[1] || '')) !== null) {
+      const tag = `<c ${cellMatch[1]}>`;
+      const body = cellMatch[2] || '';
+      const reference = attribute(tag, 'r');
+      const column = reference ? columnIndex(reference) : nextColumn;
+      const type = attribute(tag, 't');
+      const valueMatch = body.match(/<v>([\s\S]*?)<\/v>/);
+      const raw = valueMatch ? decodeXML(valueMatch[1]) : '';
+
+      let value;
+      if (type === 's') {
+        value = sharedStrings[parseInt(raw)] || '';
+      } else if (type === 'inlineStr') {
+        value = textContent(body);
+      } else if (type === 'b') {
+        value = raw === '1' ? 'TRUE' : 'FALSE';
+      } else if (raw !== '' && type !== 'str' && type !== 'e' && dates.has(parseInt(attribute(tag, 's')))) {
+        value = serialToDate(parseFloat(raw));
+      } else {
+        value = raw;
+      }
+
+      while (cells.length < column) {
+        cells.push('');
+      }
+      cells[column] = value;
+      nextColumn = column + 1;
+    }
+
+    if (cells.some(cell => cell !== '')) {
+      rows.push(cells);
+    }
+  }
+
+  return rows;
+}
+
+function encodeXML(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab and line breaks are not allowed in XML
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Column letters for a zero-based index (0 -> A, 27 -> AB)
+ */
+function columnLetters(index) {
+  let letters = '';
+  for (let remaining = index + 1; remaining > 0; remaining = Math.floor((remaining - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((remaining - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+function cellXML(reference, value, style) {
+  if (value === null || value === undefined || value === '') {
+    return style ? `<c r="${reference}" s="${style}"/>` : '';
+  }
+  const styleAttribute = style ? ` s="${style}"` : '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${reference}"${styleAttribute}><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${reference}"${styleAttribute} t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  // Excel's cell limit
+  text = text.length > 32767 ? text.slice(0, 32767) : text;
+  return `<c r="${reference}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${encodeXML(text)}</t></is></c>`;
+}
+
+const STYLES_XML = [
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>',
+  '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>',
+  '<fill><patternFill patternType="solid"><fgColor rgb="FFD9E1F2"/><bgColor indexed="64"/></patternFill></fill></fills>',
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>',
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>',
+  '<cellXfs count="3">',
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>',
+  '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>',
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf>',
+  '</cellXfs>',
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>',
+  '</styleSheet>'
+].join('');
+
+/**
+ * Write rows as a single-sheet XLSX workbook
+ * @param {Array} rows - Objects to write
+ * @param {Array} columns - [{ key, header, value: row => value, width }] (value defaults to row[key];
+ *   width in characters; columns with wrap set wrap long text)
+ * @param {Object} options - { sheetName }
+ * @returns {Promise<Buffer>} Workbook file contents
+ */
+async function writeXLSX(rows, columns, { sheetName = 'Sheet1' } = {}) {
+  const lastColumn = columnLetters(columns.length - 1);
+  const header = columns.map((column, index) => cellXML(`${columnLetters(index)}1`, column.header || column.key, 1)).join('');
+  const body = rows.map((row, rowIndex) => {
+    const cells = columns.map((column, index) => {
+      const value = column.value ? column.value(row) : row[column.key];
+      return cellXML(`${columnLetters(index)}${rowIndex + 2}`, value, column.wrap ? 2 : 0);
+    }).join('');
+    return `<row r="${rowIndex + 2}">${cells}</row>`;
+  }).join('');
+  const widths = columns
+    .map((column, index) => `<col min="${index + 1}" max="${index + 1}" width="${column.width || 15}" customWidth="1"/>`)
+    .join('');
+
+  const sheetXml = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>',
+    `<cols>${widths}</cols>`,
+    `<sheetData><row r="1">${header}</row>${body}</sheetData>`,
+    `<autoFilter ref="A1:${lastColumn}${rows.length + 1}"/>`,
+    '</worksheet>'
+  ].join('');
+
+  // Sheet names are limited to 31 characters and may not contain []:*?/\
+  const safeSheetName = encodeXML(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet1');
+
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+    '<Default Extension="xml" ContentType="application/xml"/>',
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>',
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>',
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>',
+    '</Types>'
+  ].join(''));
+  zip.file('_rels/.rels', [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>',
+    '</Relationships>'
+  ].join(''));
+  zip.file('xl/workbook.xml', [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">',
+    `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>`,
+    `<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'${safeSheetName.replace(/'/g, '\'\'')}'!$A$1:$${lastColumn}$${rows.length + 1}</definedName></definedNames>`,
+    '</workbook>'
+  ].join(''));
+  zip.file('xl/_rels/workbook.xml.rels', [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>',
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>',
+    '</Relationships>'
+  ].join(''));
+  zip.file('xl/styles.xml', STYLES_XML);
+  zip.file('xl/worksheets/sheet1.xml', sheetXml);
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = {
+  readXLSXRows,
+  writeXLSX,
+  columnLetters,
+  columnIndex,
+  serialToDate
+};
@@ -0,0 +1,204 @@
+/**
+ * AI Writing WebSocket Handler
+ * Streams generation output to the three-panel editor over the shared ws server
+ *
+ * Client → server frames:
+ *   { type: 'generate', requestId, prompt, model, noHallucinations, showThinking, projectContext, personaId, sectionType, sectionId, chatSessionId,
+ *     promptTemplateId, templateVariables }
+ *   { type: 'cancel', requestId }
+ *   { type: 'ping' }
+ *
+ * Server → client frames (all carry requestId):
+ *   start, token, thinking_start, thinking_end, done, cancelled, error
+ *   When sectionId is given, done also carries sectionVersion (the proposal section version saved)
+ *   When chatSessionId is given, earlier turns of that chat go into the prompt and done carries
+ *   chatMessage (the stored turn)
+ *   When a prompt template was used (requested, or assigned by a prompt experiment), done carries
+ *   generationId for rating
+ *
+ * The connection's user (authenticated on upgrade) needs the run_ai permission on the project being written for,
+ * and edit_sections on the project of the section a generation is saved into.
+ */
+
+const AIWritingService = require('../services/AIWritingService');
+const ProposalDraftService = require('../services/ProposalDraftService');
+const ChatService = require('../services/ChatService');
+const PermissionService = require('../services/PermissionService');
+const { requestContext } = require('../services/AuditService');
+const logger = require('../utils/logger');
+
+const HANDLED_TYPES = ['generate', 'cancel', 'ping'];
+
+/**
+ * Attach AI writing stream handling to a ws server
+ * @param {WebSocket.Server} wss - Shared WebSocket server
+ * @param {AIWritingService} aiWritingService - Optional service instance (for tests)
+ * @param {ProposalDraftService} proposalDraftService - Optional service instance (for tests)
+ * @param {ChatService} chatService - Optional service instance (for tests)
+ * @param {PermissionService} permissionService - Optional service instance (for tests)
+ */
+function attachAIWritingSocket(
+  wss,
+  aiWritingService = new AIWritingService(),
+  proposalDraftService = new ProposalDraftService(),
+  chatService = new ChatService({ aiWritingService }),
+  permissionService = new PermissionService()
+) {
+  wss.on('connection', (ws, req) => {
+    const user = req.user || null;
+    const activeGenerations = new Map();
+
+    const send = (frame) => {
+      if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify(frame));
+      }
+    };
+
+    ws.on('message', async (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        send({ type: 'error', message: 'Invalid JSON message' });
+        return;
+      }
+
+      if (!HANDLED_TYPES.includes(message.type)) {
+        return;
+      }
+
+      if (message.type === 'ping') {
+        send({ type: 'pong', timestamp: new Date().toISOString() });
+        return;
+      }
+
+      const { requestId } = message;
+      if (!requestId) {
+        send({ type: 'error', message: 'requestId is required' });
+        return;
+      }
+
+      if (message.type === 'cancel') {
+        const controller = activeGenerations.get(requestId);
+        if (controller) {
+          controller.abort();
+        }
+        return;
+      }
+
+      if (!message.prompt) {
+        send({ type: 'error', requestId, message: 'Prompt is required' });
+        return;
+      }
+
+      if (activeGenerations.has(requestId)) {
+        send({ type: 'error', requestId, message: 'A generation with this requestId is already running' });
+        return;
+      }
+
+      const controller = new AbortController();
+      activeGenerations.set(requestId, controller);
+      const sectionId = parseInt(message.sectionId) || null;
+      const chatSessionId = parseInt(message.chatSessionId) || null;
+      const startedAt = Date.now();
+      let doneEvent = null;
+
+      try {
+        let chatTurn = null;
+        if (chatSessionId) {
+          try {
+            chatTurn = await chatService.prepareTurn(chatSessionId, message.prompt, user);
+          } catch (error) {
+            send({ type: 'error', requestId, message: error.message });
+            return;
+          }
+        }
+
+        // Writing into a section saves a version of it, so the section's own project needs edit_sections
+        const sectionProject = sectionId ? await proposalDraftService.getProjectName({ sectionId }) : null;
+        if (sectionId) {
+          const decision = await permissionService.explain(user, 'edit_sections', { projectName: sectionProject });
+          if (!decision.allowed) {
+            send({ type: 'error', requestId, message: decision.reason });
+            return;
+          }
+        }
+
+        const projectNames = [
+          chatTurn ? chatTurn.session.project_name : null,
+          sectionProject,
+          message.projectContext ? message.projectContext.title : null
+        ].filter(Boolean);
+        for (const projectName of projectNames.length > 0 ? projectNames : [null]) {
+          const decision = await permissionService.explain(user, 'run_ai', { projectName });
+          if (!decision.allowed) {
+            send({ type: 'error', requestId, message: decision.reason });
+            return;
+          }
+        }
+
+        const result = await aiWritingService.streamSection(
+          message.prompt,
+          message.sectionType || null,
+          {
+            ...(chatTurn ? chatTurn.requirements : {}),
+            model: message.model,
+            noHallucinations: message.noHallucinations,
+            showThinking: message.showThinking,
+            projectContext: message.projectContext,
+            personaId: message.personaId,
+            sectionId,
+            chatSessionId,
+            promptTemplateId: message.promptTemplateId,
+            templateVariables: message.templateVariables,
+            user,
+            auditContext: requestContext(req, 'websocket')
+          },
+          {
+            signal: controller.signal,
+            onEvent: (event) => {
+              // Hold the done frame until the section version and chat turn are stored
+              if ((sectionId || chatTurn) && event.type === 'done') {
+                doneEvent = event;
+                return;
+              }
+              send({ ...event, requestId });
+            }
+          }
+        );
+
+        if (doneEvent) {
+          const sectionVersion = sectionId
+            ? await proposalDraftService.recordGeneration(sectionId, result, {
+              prompt: message.prompt,
+              personaId: message.personaId,
+              userId: user ? user.id : null
+            })
+            : null;
+          const chatMessage = chatTurn
+            ? await chatService.recordTurn(chatTurn.session, message.prompt, result, {
+              personaId: message.personaId,
+              userId: user ? user.id : null,
+              generationTimeMs: Date.now() - startedAt
+            })
+            : null;
+          send({ ...doneEvent, requestId, sectionId, sectionVersion, chatSessionId, chatMessage });
+        }
+      } catch (error) {
+        // streamSection already emitted the error frame
+        logger.error(`WebSocket generation ${requestId} failed: ${error.message}`);
+      } finally {
+        activeGenerations.delete(requestId);
+      }
+    });
+
+    ws.on('close', () => {
+      for (const controller of activeGenerations.values()) {
+        controller.abort();
+      }
+      activeGenerations.clear();
+    });
+  });
+}
+
+module.exports = { attachAIWritingSocket };
@@ -0,0 +1,147 @@
+/**
+ * Job Progress WebSocket Handler
+ * Pushes background job updates to subscribed clients over the shared ws server
+ *
+ * Client → server frames:
+ *   { type: 'jobs_subscribe', jobIds, types, projectName }  (all filters optional; omitted = every job)
+ *   { type: 'jobs_unsubscribe' }
+ *
+ * Server → client frames:
+ *   { type: 'jobs_snapshot', jobs }  active jobs matching the subscription, sent on subscribe
+ *   { type: 'job', job }             every change to a matching job (queued, progress, finished)
+ *
+ * Admins may follow every job. Other users (authenticated on upgrade) only see the jobs of
+ * projects on their teams; jobs without a project, like embedding backfills, are admin-only.
+ */
+
+const JobQueueService = require('../services/JobQueueService');
+const { checkProjectAccess, isAdmin } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const HANDLED_TYPES = ['jobs_subscribe', 'jobs_unsubscribe'];
+
+function matchesSubscription(subscription, job) {
+  if (subscription.jobIds && !subscription.jobIds.includes(job.id)) {
+    return false;
+  }
+  if (subscription.types && !subscription.types.includes(job.type)) {
+    return false;
+  }
+  if (subscription.projectName && (job.payload || {}).projectName !== subscription.projectName) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Whether a user may follow a job; project decisions are kept for the life of one subscription
+ * @param {Object} user - The connection's user
+ * @returns {Function} async (job) => boolean
+ */
+function createJobAccess(user) {
+  const decisions = new Map();
+  return async (job) => {
+    if (isAdmin(user)) {
+      return true;
+    }
+    const projectName = (job.payload || {}).projectName;
+    if (!user || !projectName) {
+      return false;
+    }
+    if (!decisions.has(projectName)) {
+      decisions.set(projectName, checkProjectAccess(user, { projectName })
+        .then(({ allowed }) => allowed)
+        .catch((error) => {
+          logger.error(`Job access check failed for ${projectName}: ${error.message}`);
+          return false;
+        }));
+    }
+    return decisions.get(projectName);
+  };
+}
+
+/**
+ * Attach job progress handling to a ws server
+ * @param {WebSocket.Server} wss - Shared WebSocket server
+ * @param {JobQueueService} jobQueue - Optional queue instance (for tests)
+ */
+function attachJobSocket(wss, jobQueue = new JobQueueService()) {
+  wss.on('connection', (ws, req) => {
+    const user = req.user || null;
+    let subscription = null;
+    let unsubscribe = null;
+
+    const send = (frame) => {
+      if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify(frame));
+      }
+    };
+
+    const stop = () => {
+      if (unsubscribe) {
+        unsubscribe();
+        unsubscribe = null;
+      }
+      subscription = null;
+    };
+
+    ws.on('message', async (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        // aiWritingSocket reports invalid JSON on the shared connection
+        return;
+      }
+
+      if (!HANDLED_TYPES.includes(message.type)) {
+        return;
+      }
+
+      if (message.type === 'jobs_unsubscribe') {
+        stop();
+        return;
+      }
+
+      stop();
+      subscription = {
+        jobIds: Array.isArray(message.jobIds) ? message.jobIds.map(id => parseInt(id)).filter(Boolean) : null,
+        types: Array.isArray(message.types) && message.types.length > 0 ? message.types : null,
+        projectName: message.projectName || null
+      };
+      const current = subscription;
+      const canFollow = createJobAccess(user);
+      unsubscribe = jobQueue.onJobEvent(async (job) => {
+        if (matchesSubscription(current, job) && await canFollow(job)) {
+          send({ type: 'job', job });
+        }
+      });
+
+      try {
+        const [queued, running] = await Promise.all([
+          jobQueue.listJobs({ status: 'queued', projectName: current.projectName }, { limit: 200 }),
+          jobQueue.listJobs({ status: 'running', projectName: current.projectName }, { limit: 200 })
+        ]);
+        let jobs = running.jobs.concat(queued.jobs);
+
+        // Explicitly requested jobs are included even when they have already finished
+        if (current.jobIds) {
+          const missing = current.jobIds.filter(id => !jobs.some(job => job.id === id));
+          const finished = await Promise.all(missing.map(id => jobQueue.getJob(id)));
+          jobs = jobs.concat(finished.filter(Boolean));
+        }
+
+        const matching = jobs.filter(job => matchesSubscription(current, job));
+        const visible = await Promise.all(matching.map(canFollow));
+        send({ type: 'jobs_snapshot', jobs: matching.filter((job, index) => visible[index]) });
+      } catch (error) {
+        logger.error(`Job subscription snapshot failed: ${error.message}`);
+        send({ type: 'error', message: 'Could not load jobs' });
+      }
+    });
+
+    ws.on('close', stop);
+  });
+}
+
+module.exports = { attachJobSocket, matchesSubscription };
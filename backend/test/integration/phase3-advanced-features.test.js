@@ -5,6 +5,16 @@
 
 const request = require('supertest');
 const { app } = require('../../src/app');
+const AuthService = require('../../src/services/AuthService');
+
+// Every API router requires a session; sign the requests in as an administrator
+const ADMIN = { id: 1, email: 'admin@example.com', role: 'admin', permissions: {} };
+jest.spyOn(AuthService.prototype, 'verifyToken').mockResolvedValue(ADMIN);
+
+const api = {
+  get: url => request(app).get(url).set('Authorization', 'Bearer phase3-test-session'),
+  post: url => request(app).post(url).set('Authorization', 'Bearer phase3-test-session')
+};
 
 describe('Phase 3: Advanced Features Integration', () => {
   describe('Context Overflow Management', () => {
@@ -15,7 +25,7 @@ describe('Phase 3: Advanced Features Integration', () => {
         requirements: 'Test requirements for overflow checking'
       };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/context/overflow/check')
         .send(overflowRequest)
         .expect(200);
@@ -33,7 +43,7 @@ describe('Phase 3: Advanced Features Integration', () => {
         requirements: 'Test requirements for overflow recommendations'
       };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/context/overflow/check')
         .send(overflowRequest)
         .expect(200);
@@ -51,7 +61,7 @@ describe('Phase 3: Advanced Features Integration', () => {
         requirements: 'Applied selection test'
       };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/context/overflow/select')
         .send(selectionRequest)
         .expect(200);
@@ -61,7 +71,7 @@ describe('Phase 3: Advanced Features Integration', () => {
     });
 
     test('should track overflow events', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/context/overflow/stats/TestProject')
         .expect(200);
 
@@ -84,7 +94,7 @@ describe('Phase 3: Advanced Features Integration', () => {
         context: 'Generated content that references the documents'
       };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/citations/generate')
         .send(citationRequest)
         .expect(200);
@@ -95,7 +105,7 @@ describe('Phase 3: Advanced Features Integration', () => {
     });
 
     test('should provide document previews', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/citations/preview/doc1/0')
         .expect(200);
 
@@ -113,7 +123,7 @@ describe('Phase 3: Advanced Features Integration', () => {
         timestamp: new Date().toISOString()
       };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/citations/track-access')
         .send(accessData)
         .expect(200);
@@ -122,7 +132,7 @@ describe('Phase 3: Advanced Features Integration', () => {
     });
 
     test('should provide citation analytics', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/citations/analytics/TestProject')
         .expect(200);
 
@@ -139,7 +149,7 @@ describe('Phase 3: Advanced Features Integration', () => {
         userId: 'testuser'
       };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/citations/feedback')
         .send(feedbackData)
         .expect(200);
@@ -150,7 +160,7 @@ describe('Phase 3: Advanced Features Integration', () => {
 
   describe('Performance Analytics Dashboard', () => {
     test('should provide dashboard analytics', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/analytics/dashboard')
         .expect(200);
 
@@ -162,7 +172,7 @@ describe('Phase 3: Advanced Features Integration', () => {
     });
 
     test('should provide real-time metrics', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/analytics/realtime')
         .expect(200);
 
@@ -181,7 +191,7 @@ describe('Phase 3: Advanced Features Integration', () => {
         success: true
       };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/analytics/context-build')
         .send(performanceData)
         .expect(200);
@@ -190,7 +200,7 @@ describe('Phase 3: Advanced Features Integration', () => {
     });
 
     test('should provide performance trends', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/analytics/trends/TestProject')
         .expect(200);
 
@@ -206,7 +216,7 @@ describe('Phase 3: Advanced Features Integration', () => {
         includeRawData: true
       };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/analytics/export')
         .send(exportRequest)
         .expect(200);
@@ -218,7 +228,7 @@ describe('Phase 3: Advanced Features Integration', () => {
 
   describe('Service Health Checks', () => {
     test('should verify context service health', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/context/health')
         .expect(200);
 
@@ -227,7 +237,7 @@ describe('Phase 3: Advanced Features Integration', () => {
     });
 
     test('should verify citation service health', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/citations/health')
         .expect(200);
 
@@ -237,7 +247,7 @@ describe('Phase 3: Advanced Features Integration', () => {
     });
 
     test('should verify analytics service health', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/analytics/health')
         .expect(200);
 
@@ -256,13 +266,13 @@ describe('Phase 3: Advanced Features Integration', () => {
         requirements: 'Integration test requirements'
       };
 
-      await request(app)
+      await api
         .post('/api/context/overflow/check')
         .send(overflowRequest)
         .expect(200);
 
       // Check if analytics captured the event
-      const analyticsResponse = await request(app)
+      const analyticsResponse = await api
         .get('/api/analytics/dashboard')
         .expect(200);
 
@@ -279,13 +289,13 @@ describe('Phase 3: Advanced Features Integration', () => {
         accessType: 'preview'
       };
 
-      await request(app)
+      await api
         .post('/api/citations/track-access')
         .send(accessData)
         .expect(200);
 
       // Check if analytics captured the access
-      const analyticsResponse = await request(app)
+      const analyticsResponse = await api
         .get('/api/analytics/citations/IntegrationTest')
         .expect(200);
 
@@ -295,14 +305,14 @@ describe('Phase 3: Advanced Features Integration', () => {
 
   describe('Error Handling & Edge Cases', () => {
     test('should handle missing documents gracefully', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/citations/preview/nonexistent/0');
 
       expect([200, 404]).toContain(response.status);
     });
 
     test('should handle invalid overflow requests', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/context/overflow/check')
         .send({ invalid: 'data' })
         .expect(400);
@@ -313,7 +323,7 @@ describe('Phase 3: Advanced Features Integration', () => {
     test('should handle analytics service overload', async () => {
       // Send many concurrent analytics requests
       const requests = Array.from({length: 100}, () =>
-        request(app).get('/api/analytics/dashboard')
+        api.get('/api/analytics/dashboard')
       );
 
       const responses = await Promise.all(requests);
@@ -330,7 +340,7 @@ describe('Phase 3: Performance Benchmarks', () => {
   describe('Response Time Benchmarks', () => {
     test('context overflow check should be fast', async () => {
       const start = Date.now();
-      await request(app)
+      await api
         .post('/api/context/overflow/check')
         .send({
           projectName: 'PerfTest',
@@ -345,7 +355,7 @@ describe('Phase 3: Performance Benchmarks', () => {
 
     test('citation generation should be efficient', async () => {
       const start = Date.now();
-      await request(app)
+      await api
         .post('/api/citations/generate')
         .send({
           documents: [{
@@ -363,7 +373,7 @@ describe('Phase 3: Performance Benchmarks', () => {
 
     test('analytics dashboard should load quickly', async () => {
       const start = Date.now();
-      await request(app)
+      await api
         .get('/api/analytics/dashboard')
         .expect(200);
       const duration = Date.now() - start;
@@ -375,7 +385,7 @@ describe('Phase 3: Performance Benchmarks', () => {
   describe('Scalability Tests', () => {
     test('should handle concurrent overflow checks', async () => {
       const concurrentRequests = Array.from({length: 10}, (_, i) =>
-        request(app)
+        api
           .post('/api/context/overflow/check')
           .send({
             projectName: `ConcurrentTest${i}`,
@@ -393,7 +403,7 @@ describe('Phase 3: Performance Benchmarks', () => {
 
     test('should handle high-volume analytics tracking', async () => {
       const trackingRequests = Array.from({length: 50}, (_, i) =>
-        request(app)
+        api
           .post('/api/analytics/context-build')
           .send({
             projectName: 'VolumeTest',
@@ -418,7 +428,7 @@ describe('Phase 3: Performance Benchmarks', () => {
 
       // Perform intensive Phase 3 operations
       for (let i = 0; i < 20; i++) {
-        await request(app)
+        await api
           .post('/api/context/overflow/check')
           .send({
             projectName: `MemoryTest${i}`,
@@ -426,10 +436,10 @@ describe('Phase 3: Performance Benchmarks', () => {
             requirements: `Memory test iteration ${i}`
           });
 
-        await request(app)
+        await api
           .get('/api/analytics/dashboard');
 
-        await request(app)
+        await api
           .post('/api/citations/track-access')
           .send({
             citationId: `mem-citation-${i}`,
@@ -0,0 +1,143 @@
+/**
+ * Unit Tests for the authentication & authorization middleware
+ * Tests session resolution, role permission checks and project team restrictions
+ */
+
+const mockVerifyToken = jest.fn();
+const mockFindProjectsByTitle = jest.fn();
+const mockGetProjectTeam = jest.fn();
+
+jest.mock('../../../src/services/AuthService', () => jest.fn().mockImplementation(() => ({
+  verifyToken: mockVerifyToken
+})));
+jest.mock('../../../src/services/ProjectService', () => jest.fn().mockImplementation(() => ({
+  findProjectsByTitle: mockFindProjectsByTitle,
+  getProjectTeam: mockGetProjectTeam
+})));
+
+const {
+  authenticate,
+  authorize,
+  requireProjectAccess,
+  checkProjectAccess,
+  filterByProjectAccess
+} = require('../../../src/middleware/auth');
+
+const WRITER = {
+  id: 7,
+  email: 'writer@example.com',
+  role: 'writer',
+  permissions: { documents: { read: true, create: true }, ai: { read: true, create: true } }
+};
+
+function createResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  // Alpha has a team that includes the writer, Bravo a team that does not, Legacy no team at all
+  mockFindProjectsByTitle.mockImplementation(async (title) => ({
+    Alpha: [{ id: 1 }],
+    Bravo: [{ id: 2 }],
+    Legacy: [{ id: 3 }]
+  }[title] || []));
+  mockGetProjectTeam.mockImplementation(async (projectId) => ({
+    1: [{ user_id: 7, permission_level: 'write' }],
+    2: [{ user_id: 9, permission_level: 'admin' }],
+    3: []
+  }[projectId] || []));
+});
+
+describe('authenticate', () => {
+  test('should reject requests without a session', async () => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    await authenticate({ cookies: {}, headers: {} }, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should resolve the user from the auth_token cookie', async () => {
+    mockVerifyToken.mockResolvedValue(WRITER);
+    const req = { cookies: { auth_token: 'session-1' }, headers: {} };
+    const next = jest.fn();
+
+    await authenticate(req, createResponse(), next);
+
+    expect(mockVerifyToken).toHaveBeenCalledWith('session-1');
+    expect(req.user).toBe(WRITER);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should reject an expired session', async () => {
+    mockVerifyToken.mockRejectedValue(new Error('Invalid or expired token'));
+    const res = createResponse();
+
+    await authenticate({ cookies: { auth_token: 'stale' }, headers: {} }, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
+
+describe('authorize', () => {
+  test('should map the HTTP method to the required action', () => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    authorize('documents')({ method: 'GET', path: '/list', user: WRITER }, res, next);
+    authorize('documents')({ method: 'DELETE', path: '/4', user: WRITER, originalUrl: '/api/documents/4' }, res, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Permission denied: documents.delete' }));
+  });
+
+  test('should treat POSTs under readPaths as reads and let admins through', () => {
+    const reader = { ...WRITER, permissions: { analytics: { read: true } } };
+    const next = jest.fn();
+
+    authorize('analytics', { readPaths: ['/'] })({ method: 'POST', path: '/export', user: reader }, createResponse(), next);
+    authorize('settings')({ method: 'PUT', path: '/', user: { id: 1, role: 'admin', permissions: {} } }, createResponse(), next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('project access', () => {
+  test('should allow team members and admins, and no one else on projects without a team', async () => {
+    await expect(checkProjectAccess(WRITER, { projectName: 'Alpha' })).resolves.toMatchObject({ allowed: true, member: { user_id: 7 } });
+    await expect(checkProjectAccess(WRITER, { projectName: 'Legacy' })).resolves.toMatchObject({ allowed: false });
+    await expect(checkProjectAccess(WRITER, { projectName: 'Unregistered' })).resolves.toMatchObject({ allowed: false });
+    await expect(checkProjectAccess({ id: 1, role: 'admin' }, { projectName: 'Legacy' })).resolves.toMatchObject({ allowed: true });
+    await expect(checkProjectAccess({ id: 1, role: 'admin' }, { projectName: 'Bravo' })).resolves.toMatchObject({ allowed: true });
+    await expect(checkProjectAccess(WRITER, { projectName: 'Bravo' })).resolves.toMatchObject({ allowed: false });
+  });
+
+  test('should block another team\'s project named in the request', async () => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    await requireProjectAccess()({ query: { projectName: 'Bravo' }, body: {}, user: WRITER }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  test('should filter listings down to accessible projects', async () => {
+    const documents = [
+      { id: 1, projectName: 'Alpha' },
+      { id: 2, projectName: 'Bravo' },
+      { id: 3, projectName: null }
+    ];
+
+    const visible = await filterByProjectAccess(WRITER, documents, document => document.projectName);
+
+    expect(visible.map(document => document.id)).toEqual([1, 3]);
+  });
+});
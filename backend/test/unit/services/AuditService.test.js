@@ -0,0 +1,147 @@
+/**
+ * Unit Tests for AuditService
+ * Tests event recording, filter validation, export and hash chain verification
+ */
+
+const AuditService = require('../../../src/services/AuditService');
+const AuditLog = require('../../../src/models/AuditLog');
+
+const CONTEXT = { userId: 7, ipAddress: '10.0.0.5', userAgent: 'jest', channel: null };
+
+/**
+ * Stored rows chained the way AuditLog.append writes them
+ */
+function chainedRows(count) {
+  const rows = [];
+  let prevHash = AuditLog.GENESIS_HASH;
+  for (let i = 1; i <= count; i++) {
+    const row = {
+      id: i,
+      user_id: 7,
+      event_type: 'document_downloaded',
+      event_category: 'document',
+      resource_type: 'document',
+      resource_id: String(100 + i),
+      project_name: 'Alpha',
+      details: { documentName: `file-${i}.pdf`, size: i * 10 },
+      created_at_text: `2026-03-0${i}T12:00:00.000000`,
+      prev_hash: prevHash
+    };
+    row.row_hash = AuditLog.hashEntry(prevHash, new AuditLog({}).formatEntry(row), row.created_at_text);
+    prevHash = row.row_hash;
+    rows.push(row);
+  }
+  return rows;
+}
+
+function fakePool(rows) {
+  return {
+    query: jest.fn(async (sql, values) => {
+      if (sql.includes('row_hash IS NULL')) {
+        return { rows: [{ count: '0' }] };
+      }
+      const [lastId, limit] = values;
+      return { rows: rows.filter(row => row.id > lastId).slice(0, limit) };
+    })
+  };
+}
+
+describe('AuditService recording', () => {
+  test('should record AI generations with the prompt, output, model and sources', async () => {
+    const auditLog = { append: jest.fn(async entry => ({ id: 1, ...entry })) };
+    const service = new AuditService({ auditLog });
+
+    await service.recordAIGeneration(CONTEXT, {
+      prompt: 'Write the management approach',
+      fullPrompt: 'PERSONA\nWrite the management approach',
+      requirements: { sectionId: 12, model: 'llama3', projectContext: { title: 'Alpha' } },
+      result: {
+        content: 'Our approach...',
+        model: 'llama3',
+        wordCount: 2,
+        sources: [{ documentId: 4, documentName: 'rfp.pdf', page: 3, section: 'L', cited: true }]
+      }
+    });
+
+    expect(auditLog.append).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 7,
+      eventType: 'ai_generation',
+      eventCategory: 'ai',
+      resourceType: 'proposal_section',
+      resourceId: 12,
+      projectName: 'Alpha',
+      details: expect.objectContaining({
+        model: 'llama3',
+        prompt: 'Write the management approach',
+        output: 'Our approach...',
+        sources: [{ documentId: 4, documentName: 'rfp.pdf', page: 3, section: 'L', cited: true }],
+        ipAddress: '10.0.0.5'
+      })
+    }));
+    expect(auditLog.append.mock.calls[0][0].details.fullPromptSha256).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('should not fail the audited action when the write fails', async () => {
+    const auditLog = { append: jest.fn().mockRejectedValue(new Error('connection refused')) };
+    const service = new AuditService({ auditLog });
+
+    await expect(service.recordDocumentAccess(CONTEXT, { id: 3, originalName: 'pricing.xlsx' }, 'downloaded'))
+      .resolves.toBeNull();
+  });
+});
+
+describe('AuditService search and export', () => {
+  test('should reject invalid filters', () => {
+    const service = new AuditService({ auditLog: {} });
+
+    expect(() => service.parseFilters({ userId: 'abc' })).toThrow('userId must be a number');
+    expect(() => service.parseFilters({ eventCategory: 'billing' })).toThrow(/Invalid eventCategory/);
+    expect(() => service.parseFilters({ from: 'yesterday' })).toThrow('from must be a date');
+  });
+
+  test('should export matching entries as CSV and flag truncation', async () => {
+    const entries = chainedRows(2).map(row => new AuditLog({}).formatEntry(row));
+    const auditLog = { search: jest.fn(async () => ({ entries, total: 3 })) };
+    const service = new AuditService({ auditLog });
+
+    const exported = await service.exportEntries({ eventCategory: 'document' }, 'csv');
+    const lines = exported.body.trim().split('\r\n');
+
+    expect(auditLog.search).toHaveBeenCalledWith(expect.objectContaining({ eventCategory: 'document' }), { limit: 50000, offset: 0 });
+    expect(exported.contentType).toBe('text/csv; charset=utf-8');
+    expect(lines[0]).toBe('ID,Timestamp,User ID,User Email,Category,Event,Resource Type,Resource ID,Project,Details,Previous Hash,Row Hash');
+    expect(lines).toHaveLength(3);
+    expect(exported.truncated).toBe(true);
+    await expect(service.exportEntries({}, 'pdf')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('AuditLog hash chain', () => {
+  test('should hash the same content the same way regardless of key order', () => {
+    const entry = { userId: 1, eventType: 'login', details: { b: 1, a: { d: 2, c: 3 } } };
+    const reordered = { eventType: 'login', userId: 1, details: { a: { c: 3, d: 2 }, b: 1 } };
+
+    expect(AuditLog.hashEntry('x', entry, 't')).toBe(AuditLog.hashEntry('x', reordered, 't'));
+  });
+
+  test('should verify an intact chain', async () => {
+    const service = new AuditService({ auditLog: new AuditLog(fakePool(chainedRows(3))) });
+
+    const result = await service.verifyChain();
+
+    expect(result).toMatchObject({ valid: true, checked: 3, unchained: 0, firstInvalid: null });
+  });
+
+  test('should report edited and deleted rows', async () => {
+    const edited = chainedRows(3);
+    edited[1].details = { ...edited[1].details, size: 999 };
+    const deleted = chainedRows(3).filter(row => row.id !== 2);
+
+    const editedResult = await new AuditLog(fakePool(edited)).verifyChain();
+    const deletedResult = await new AuditLog(fakePool(deleted)).verifyChain();
+
+    expect(editedResult).toMatchObject({ valid: false, checked: 1, firstInvalid: { id: 2, problem: 'Row content does not match its hash' } });
+    expect(deletedResult.valid).toBe(false);
+    expect(deletedResult.firstInvalid.id).toBe(3);
+  });
+});
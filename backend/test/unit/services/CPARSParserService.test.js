@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for CPARSParserService
+ * Tests evaluation detection, factor ratings, verbatim narratives, periods and recommendations
+ */
+
+const CPARSParserService = require('../../../src/services/CPARSParserService');
+
+const CPARS = `CONTRACTOR PERFORMANCE ASSESSMENT REPORT (CPAR)
+1. CONTRACT NUMBER: W91QUZ-19-D-0012
+EVALUATION TYPE: FINAL
+PERIOD OF PERFORMANCE BEING ASSESSED: 10/01/2021 - 09/30/2022
+
+18. EVALUATION AREAS        PAST RATING        RATING
+QUALITY:                    SATISFACTORY       VERY GOOD
+SCHEDULE:                   VERY GOOD          EXCEPTIONAL
+COST CONTROL:               SATISFACTORY       SATISFACTORY
+MANAGEMENT:                 VERY GOOD          VERY GOOD
+SMALL BUSINESS SUBCONTRACTING: N/A
+REGULATORY COMPLIANCE:      SATISFACTORY       SATISFACTORY
+
+19. ASSESSING OFFICIAL COMMENTS:
+QUALITY: Very Good. The contractor delivered the claims platform with
+zero critical defects at go-live and resolved all 42 findings from the
+independent verification team ahead of schedule.
+SCHEDULE: Exceptional. Every release shipped on or before its planned
+date, including an accelerated cut-over requested by the Government.
+COST CONTROL: Satisfactory. Costs tracked to the negotiated baseline.
+MANAGEMENT: Good communication was maintained with the program office through weekly status reviews.
+
+RECOMMENDATION: Given what I know today about the contractor's ability to perform in accordance with this contract or order's most significant requirements, I would recommend them for similar requirements in the future.
+
+20. CONTRACTOR COMMENTS:
+QUALITY: We appreciate the Government's recognition and note that our own metrics were better still.
+`;
+
+const QUESTIONNAIRE = `Past Performance Questionnaire
+Contract No.: HHSN316201200036W
+Period of Performance: March 1, 2019 to Feb 28, 2023
+
+Quality of Product/Service: Excellent
+Comments: The team consistently exceeded service levels on the help desk.
+Schedule: E
+Cost Control: Not Rated
+Business Relations / Management: Good
+
+Would you recommend this contractor for a similar requirement? Yes
+`;
+
+describe('CPARSParserService', () => {
+  const parser = new CPARSParserService();
+
+  test('should detect CPARS and questionnaires, and leave other documents alone', () => {
+    expect(parser.detect(CPARS)).toBe('cpars');
+    expect(parser.detect(QUESTIONNAIRE)).toBe('questionnaire');
+    expect(parser.detect('Statement of Work for help desk support')).toBeNull();
+    expect(parser.parse('Statement of Work for help desk support')).toBeNull();
+  });
+
+  test('should read current ratings from the evaluation table and the header fields', () => {
+    const evaluation = parser.parse(CPARS);
+
+    expect(evaluation).toMatchObject({
+      kind: 'cpars',
+      evaluationType: 'Final',
+      contractNumber: 'W91QUZ-19-D-0012',
+      period: { start: '2021-10-01', end: '2022-09-30' }
+    });
+    expect(evaluation.ratings.quality).toEqual({ label: 'Quality', rating: 'Very Good', score: 4, statedAs: 'VERY GOOD' });
+    expect(evaluation.ratings.schedule.rating).toBe('Exceptional');
+    expect(evaluation.ratings.costControl.rating).toBe('Satisfactory');
+    expect(evaluation.ratings.smallBusiness).toEqual({ label: 'Small Business', rating: null, score: null, statedAs: 'N/A' });
+    // (4 + 5 + 3 + 4 + 3) / 5 rated factors; small business is not applicable
+    expect(evaluation.averageScore).toBe(3.8);
+    expect(evaluation.overallRating).toBe('Very Good');
+  });
+
+  test('should keep assessor narratives verbatim and stop at the contractor comments', () => {
+    const evaluation = parser.parse(CPARS);
+
+    expect(evaluation.narratives.quality).toBe(
+      'The contractor delivered the claims platform with zero critical defects at go-live and resolved all 42 findings from the independent verification team ahead of schedule.'
+    );
+    expect(evaluation.narratives.schedule).toMatch(/^Every release shipped on or before its planned date/);
+    // A narrative opening with a rating word is prose, not a rating
+    expect(evaluation.narratives.management).toBe('Good communication was maintained with the program office through weekly status reviews.');
+    expect(Object.values(evaluation.narratives).join(' ')).not.toMatch(/our own metrics/);
+    expect(evaluation.recommendation).toEqual({
+      recommended: true,
+      text: expect.stringMatching(/^RECOMMENDATION: Given what I know today.*I would recommend them for similar requirements in the future\.$/)
+    });
+  });
+
+  test('should map questionnaire wording and abbreviations onto the CPARS scale', () => {
+    const evaluation = parser.parse(QUESTIONNAIRE);
+
+    expect(evaluation.kind).toBe('questionnaire');
+    expect(evaluation.contractNumber).toBe('HHSN316201200036W');
+    expect(evaluation.period).toEqual({ start: '2019-03-01', end: '2023-02-28' });
+    expect(evaluation.ratings.quality).toMatchObject({ rating: 'Exceptional', score: 5, statedAs: 'Excellent' });
+    expect(evaluation.ratings.schedule).toMatchObject({ rating: 'Exceptional', statedAs: 'E' });
+    expect(evaluation.ratings.costControl).toMatchObject({ rating: null, statedAs: 'Not Rated' });
+    expect(evaluation.ratings.management).toMatchObject({ rating: 'Very Good', score: 4 });
+    expect(evaluation.averageScore).toBe(4.67);
+    expect(evaluation.recommendation).toEqual({ recommended: true, text: expect.stringMatching(/similar requirement\? Yes$/) });
+  });
+
+  test('should pick the most recent rated evaluation', () => {
+    const evaluations = [
+      { averageScore: 3, period: { end: '2021-09-30' }, parsedAt: '2024-01-02T00:00:00.000Z' },
+      { averageScore: 4.5, period: { end: '2022-09-30' }, parsedAt: '2024-01-01T00:00:00.000Z' },
+      { averageScore: null, period: { end: '2023-09-30' }, parsedAt: '2024-01-03T00:00:00.000Z' }
+    ];
+
+    expect(CPARSParserService.latestRated(evaluations).averageScore).toBe(4.5);
+    expect(CPARSParserService.latestRated([])).toBeNull();
+  });
+
+  test('should read the date formats evaluations use', () => {
+    expect(CPARSParserService.parseDate('9/30/22')).toBe('2022-09-30');
+    expect(CPARSParserService.parseDate('2022-09-30')).toBe('2022-09-30');
+    expect(CPARSParserService.parseDate('Sept. 30, 2022')).toBe('2022-09-30');
+    expect(CPARSParserService.parseDate('30-Sep-2022')).toBe('2022-09-30');
+    expect(CPARSParserService.parseDate('Q3 FY22')).toBeNull();
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Unit Tests for ChatService
+ * Tests folding earlier turns into the next prompt, storing turns and session permissions
+ */
+
+const ChatService = require('../../../src/services/ChatService');
+const AIWritingService = require('../../../src/services/AIWritingService');
+
+const SESSION = {
+  id: 5,
+  user_id: 1,
+  project_name: 'Alpha',
+  session_title: 'Staffing approach',
+  session_type: 'general',
+  metadata: { documentType: 'solicitations' },
+  message_count: 2,
+  is_active: true
+};
+
+function createService({ session = SESSION, history = [] } = {}) {
+  const chatHistory = {
+    getSession: jest.fn(async () => session),
+    getConversationContext: jest.fn(async () => history),
+    addMessage: jest.fn(async (sessionId, userId, userMessage, aiResponse, options) => ({
+      id: 12,
+      session_id: sessionId,
+      user_id: userId,
+      project_name: options.projectName,
+      user_message: userMessage,
+      ai_response: aiResponse,
+      model_used: options.modelUsed,
+      context_used: options.contextUsed,
+      message_metadata: options.messageMetadata
+    })),
+    searchChatHistory: jest.fn(async () => []),
+    endSession: jest.fn(async () => true),
+    deleteSession: jest.fn(async () => true)
+  };
+  const aiWritingService = {
+    generateSection: jest.fn(async () => ({
+      content: 'Key personnel are retained from the incumbent [Source: rfp.pdf].',
+      model: 'mock-model',
+      wordCount: 8,
+      citations: [{ source: 'rfp.pdf' }],
+      sources: [{ documentName: 'rfp.pdf', section: 'L.4', page: 3, cited: true, score: 0.8 }]
+    }))
+  };
+
+  const permissionService = {
+    explain: jest.fn(async (user, action, { projectName }) => (user.id === 1
+      ? { allowed: true, reason: 'You can run ai generation' }
+      : { allowed: false, reason: `You are not a member of the project team for ${projectName}` }))
+  };
+
+  return {
+    service: new ChatService({ chatHistory, aiWritingService, permissionService }),
+    chatHistory,
+    aiWritingService,
+    permissionService
+  };
+}
+
+describe('ChatService', () => {
+  test('should send earlier turns and the previous question with the next prompt', async () => {
+    const { service, aiWritingService } = createService({
+      history: [{ user_message: 'Who are the key personnel?', ai_response: 'A program manager and a lead engineer.' }]
+    });
+
+    await service.postTurn(5, 1, { message: 'Expand on that', model: 'mock-model' });
+
+    expect(aiWritingService.generateSection).toHaveBeenCalledWith('Expand on that', null, expect.objectContaining({
+      projectName: 'Alpha',
+      documentType: 'solicitations',
+      conversationHistory: [{ userMessage: 'Who are the key personnel?', aiResponse: 'A program manager and a lead engineer.' }],
+      retrievalQuery: 'Who are the key personnel?\nExpand on that',
+      model: 'mock-model'
+    }));
+  });
+
+  test('should store the turn with its model and cited sources', async () => {
+    const { service, chatHistory } = createService();
+
+    const { message } = await service.postTurn(5, 2, { message: 'Who are the key personnel?' });
+
+    expect(chatHistory.addMessage).toHaveBeenCalledWith(5, 2, 'Who are the key personnel?', expect.any(String), expect.objectContaining({
+      projectName: 'Alpha',
+      modelUsed: 'mock-model',
+      contextUsed: { sources: [{ documentName: 'rfp.pdf', section: 'L.4', page: 3, cited: true }] }
+    }));
+    expect(message).toEqual(expect.objectContaining({ id: 12, sessionId: 5, userId: 2, model: 'mock-model' }));
+  });
+
+  test('should reject turns on missing or closed sessions', async () => {
+    await expect(createService({ session: null }).service.prepareTurn(9, 'Hello'))
+      .rejects.toMatchObject({ statusCode: 404 });
+    await expect(createService({ session: { ...SESSION, is_active: false } }).service.prepareTurn(5, 'Hello'))
+      .rejects.toMatchObject({ statusCode: 409 });
+    await expect(createService().service.postTurn(5, 1, { message: '  ' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('should check the user may continue the session before reading its history', async () => {
+    const { service, chatHistory, permissionService } = createService();
+
+    await expect(service.prepareTurn(5, 'Hello', { id: 8, role: 'writer' }))
+      .rejects.toMatchObject({ statusCode: 403, message: 'You are not a member of the project team for Alpha' });
+    expect(permissionService.explain).toHaveBeenCalledWith({ id: 8, role: 'writer' }, 'run_ai', { projectName: 'Alpha' });
+    expect(chatHistory.getConversationContext).not.toHaveBeenCalled();
+    await expect(service.prepareTurn(5, 'Hello', { id: 1, role: 'writer' })).resolves.toMatchObject({ session: SESSION });
+
+    const personal = createService({ session: { ...SESSION, project_name: null } }).service;
+    await expect(personal.prepareTurn(5, 'Hello', { id: 8, role: 'writer' })).rejects.toMatchObject({ statusCode: 403 });
+    await expect(personal.prepareTurn(5, 'Hello', { id: 1, role: 'writer' })).resolves.toBeTruthy();
+  });
+
+  test('should still return the generation when the turn cannot be stored', async () => {
+    const { service, chatHistory } = createService();
+    chatHistory.addMessage.mockRejectedValueOnce(new Error('connection refused'));
+
+    const { message, result } = await service.postTurn(5, 1, { message: 'Hello' });
+
+    expect(message).toBeNull();
+    expect(result.model).toBe('mock-model');
+  });
+
+  test('should search only the chats the viewer may see', async () => {
+    const { service, chatHistory } = createService();
+
+    await service.search(' staffing ', { viewer: { id: 7, role: 'writer' }, limit: '500' });
+    expect(chatHistory.searchChatHistory).toHaveBeenLastCalledWith(null, 'staffing', {
+      projectName: null, visibleTo: 7, limit: 100, offset: 0
+    });
+
+    await service.search('staffing', { viewer: { id: 1, role: 'admin' } });
+    expect(chatHistory.searchChatHistory.mock.calls[1][2].visibleTo).toBeNull();
+  });
+
+  test('should only let the owner close or delete a session', async () => {
+    const { service, chatHistory } = createService();
+
+    await expect(service.deleteSession(5, 2)).rejects.toMatchObject({ statusCode: 403 });
+    await expect(service.closeSession(5, 2)).rejects.toMatchObject({ statusCode: 403 });
+    expect(chatHistory.deleteSession).not.toHaveBeenCalled();
+
+    await service.deleteSession(5, 1);
+    expect(chatHistory.deleteSession).toHaveBeenCalledWith(5, 1);
+  });
+});
+
+describe('Conversation prompt block', () => {
+  const buildConversationString = history => AIWritingService.prototype.buildConversationString.call({}, history);
+
+  test('should be empty without earlier turns', () => {
+    expect(buildConversationString([])).toBe('');
+    expect(buildConversationString(undefined)).toBe('');
+  });
+
+  test('should keep the most recent turns within the budget and truncate long answers', () => {
+    const history = Array.from({ length: 8 }, (value, index) => ({
+      userMessage: `Question ${index}`,
+      aiResponse: 'x'.repeat(2000)
+    }));
+
+    const block = buildConversationString(history);
+
+    expect(block).toMatch(/^CONVERSATION SO FAR:/);
+    expect(block).toContain('User: Question 7');
+    expect(block).not.toContain('User: Question 0');
+    expect(block).not.toContain('x'.repeat(1501));
+  });
+});
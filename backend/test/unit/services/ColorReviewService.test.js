@@ -0,0 +1,252 @@
+/**
+ * Unit Tests for ColorReviewService
+ * Tests comment anchoring, reviewer assignment, scoring rules, the scorecard and the AI mock evaluator
+ */
+
+const ColorReviewService = require('../../../src/services/ColorReviewService');
+
+const SECTION_CONTENT = 'Our approach uses agile sprints. We deliver nightly backups with offsite replication. Staff are cleared.';
+
+function createService({ review = {}, reviewers = [3], team = [3, 4], sections = null, outline = null, scores = [], comments = [] } = {}) {
+  const stored = { id: 7, projectId: 5, draftId: 2, reviewType: 'red', status: 'scheduled', reviewers: [], ...review };
+  const sectionList = sections || [{ id: 9, draftId: 2, title: 'Technical Approach', outlineNodeId: 'n1', content: SECTION_CONTENT, currentVersion: 4 }];
+
+  const reviewModel = {
+    create: jest.fn(async (projectId, data) => ({ id: 7, projectId, ...data })),
+    getById: jest.fn(async reviewId => (reviewId === stored.id ? stored : null)),
+    isReviewer: jest.fn(async (reviewId, userId) => reviewers.includes(userId)),
+    update: jest.fn(async (reviewId, changes) => Object.assign(stored, changes)),
+    setReviewers: jest.fn(async () => {}),
+    addComment: jest.fn(async (reviewId, data) => ({ id: 31, reviewId, status: 'open', ...data })),
+    listComments: jest.fn(async () => comments),
+    getComment: jest.fn(async commentId => comments.find(comment => comment.id === commentId) || null),
+    setCommentStatus: jest.fn(async (commentId, { status, note }) => ({ id: commentId, status, resolutionNote: note })),
+    upsertScore: jest.fn(async (reviewId, data) => ({ id: 50, reviewId, ...data })),
+    listScores: jest.fn(async () => scores)
+  };
+  const draftModel = {
+    getDraft: jest.fn(async draftId => ({ id: draftId, projectName: draftId === 2 ? 'Alpha' : 'Bravo' })),
+    getOrCreateDraft: jest.fn(async () => ({ id: 2 })),
+    listSections: jest.fn(async () => sectionList),
+    getSectionsWithContent: jest.fn(async () => sectionList),
+    getSection: jest.fn(async sectionId => sectionList.find(section => section.id === sectionId) || null)
+  };
+  const outlineModel = { getByProject: jest.fn(async () => outline) };
+  const projectService = {
+    getProject: jest.fn(async id => ({ id, title: 'Alpha' })),
+    getProjectTeam: jest.fn(async () => team.map(userId => ({ user_id: userId })))
+  };
+  const jobQueue = { enqueue: jest.fn(async (type, payload, options) => ({ id: 'job-1', type, payload, options })) };
+  const complianceService = { validateProposal: jest.fn() };
+
+  const service = new ColorReviewService({ reviewModel, draftModel, outlineModel, projectService, jobQueue, complianceService });
+  return { service, reviewModel, draftModel, jobQueue, complianceService, stored };
+}
+
+const OUTLINE = {
+  evaluationFactors: [
+    { id: 'M.1', title: 'Technical Approach', description: 'Soundness of approach', subfactors: [{ id: 'M.1.2', title: 'Continuity of Operations' }] },
+    { id: 'M.2', title: 'Management Approach' }
+  ],
+  volumes: [{ id: 'v1', sections: [{ id: 'n1', evaluationFactors: [{ factorId: 'M.1' }, { factorId: 'M.1.2' }] }] }]
+};
+
+describe('ColorReviewService anchors', () => {
+  const { createAnchor, locateAnchor } = ColorReviewService;
+
+  test('should anchor a quote with surrounding context, preferring the selected occurrence', () => {
+    const content = 'backups are nightly. Later, backups are tested.';
+    const second = content.lastIndexOf('backups');
+
+    expect(createAnchor(content, 'backups', second)).toMatchObject({ start: second, end: second + 7, prefix: 'backups are nightly. Later, ' });
+    expect(createAnchor(content, 'backups', 999).start).toBe(0);
+    expect(createAnchor(content, 'restores')).toBeNull();
+  });
+
+  test('should find an anchor after edits and report when its text is gone', () => {
+    const anchor = createAnchor(SECTION_CONTENT, 'nightly backups');
+
+    expect(locateAnchor(SECTION_CONTENT, anchor).state).toBe('exact');
+    const edited = `Executive summary first. ${SECTION_CONTENT}`;
+    expect(locateAnchor(edited, anchor)).toMatchObject({ state: 'moved', start: edited.indexOf('nightly backups') });
+    expect(locateAnchor('We deliver weekly backups.', anchor).state).toBe('orphaned');
+    expect(locateAnchor(SECTION_CONTENT, null).state).toBe('section');
+  });
+});
+
+describe('ColorReviewService AI assessment parsing', () => {
+  const factors = [
+    { factorId: 'M.1', title: 'Technical Approach' },
+    { factorId: 'M.1.2', title: 'Continuity of Operations' }
+  ];
+
+  test('should rate each factor from its own block and pull out weaknesses', () => {
+    const text = [
+      'Requirement M.1: Technical Approach',
+      'Addressed: Yes',
+      'Quality: Good',
+      'Needs improvement: Tie sprints to the SLA metrics',
+      '',
+      'Requirement M.1.2: Continuity of Operations',
+      'Addressed: Partial',
+      'Quality: Excellent',
+      'The draft lacks a tested failover plan'
+    ].join('\n');
+
+    const assessments = ColorReviewService.parseAIAssessment(text, factors, 70);
+
+    expect(assessments['M.1']).toMatchObject({ rating: 'good', weaknesses: ['Tie sprints to the SLA metrics'] });
+    // A partially addressed factor is capped at marginal whatever the quality word says
+    expect(assessments['M.1.2']).toMatchObject({ rating: 'marginal', weaknesses: [expect.stringMatching(/lacks a tested failover plan/)] });
+  });
+
+  test('should fall back to the compliance score when a factor is not mentioned', () => {
+    const assessments = ColorReviewService.parseAIAssessment('Nothing specific.', factors, 85);
+    expect(assessments['M.1'].rating).toBe('good');
+  });
+});
+
+describe('ColorReviewService scheduling', () => {
+  test('should schedule a review with team reviewers and the project draft', async () => {
+    const { service, reviewModel } = createService();
+
+    const review = await service.scheduleReview(5, {
+      reviewType: 'pink',
+      scheduledEnd: '2026-11-02T17:00:00Z',
+      reviewerIds: ['3', 4, 3]
+    }, 1);
+
+    expect(review).toMatchObject({ draftId: 2, title: 'Pink Team Review', reviewerIds: [3, 4] });
+    expect(reviewModel.create).toHaveBeenCalledWith(5, expect.objectContaining({ instructions: ColorReviewService.REVIEW_TYPES.pink.focus }), 1);
+  });
+
+  test('should reject unknown types, bad dates, outside reviewers and another project\'s draft', async () => {
+    const { service, reviewModel } = createService();
+    const valid = { reviewType: 'red', scheduledEnd: '2026-11-02' };
+
+    await expect(service.scheduleReview(5, { ...valid, reviewType: 'blue' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.scheduleReview(5, { ...valid, scheduledEnd: 'soon' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.scheduleReview(5, { ...valid, scheduledStart: '2026-11-05' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.scheduleReview(5, { ...valid, reviewerIds: [3, 99] }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Reviewers must be on the project team (not members: 99)' });
+    await expect(service.scheduleReview(5, { ...valid, draftId: 8 }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Draft must belong to this project' });
+    expect(reviewModel.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('ColorReviewService comments', () => {
+  test('should anchor a reviewer comment and start the review', async () => {
+    const { service, reviewModel, stored } = createService();
+
+    const comment = await service.addComment(7, { sectionId: 9, body: ' Name the replication target. ', commentType: 'weakness', quote: 'offsite replication' }, 3);
+
+    expect(reviewModel.addComment).toHaveBeenCalledWith(7, expect.objectContaining({
+      sectionId: 9,
+      authorId: 3,
+      body: 'Name the replication target.',
+      anchor: expect.objectContaining({ quote: 'offsite replication', sectionVersion: 4 })
+    }));
+    expect(comment.location.state).toBe('exact');
+    expect(stored.status).toBe('in_progress');
+  });
+
+  test('should only accept comments from assigned reviewers on open reviews', async () => {
+    const { service } = createService();
+    await expect(service.addComment(7, { sectionId: 9, body: 'x' }, 4)).rejects.toMatchObject({ statusCode: 403 });
+    await expect(service.addComment(7, { sectionId: 9, body: 'x', quote: 'not in the text' }, 3)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.addComment(7, { sectionId: 12, body: 'x' }, 3)).rejects.toMatchObject({ statusCode: 400 });
+
+    const closed = createService({ review: { status: 'completed' } });
+    await expect(closed.service.addComment(7, { sectionId: 9, body: 'x' }, 3)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('should require a note to decline a comment', async () => {
+    const { service, reviewModel } = createService({ comments: [{ id: 31, authorId: 3, status: 'open' }] });
+
+    await expect(service.resolveComment(31, { status: 'wont_fix' }, 4)).rejects.toMatchObject({ statusCode: 400 });
+    expect(await service.resolveComment(31, { status: 'wont_fix', note: ' Out of scope ' }, 4))
+      .toMatchObject({ status: 'wont_fix', resolutionNote: 'Out of scope' });
+    await expect(service.updateComment(31, { body: 'edit' }, 4)).rejects.toMatchObject({ statusCode: 403 });
+    expect(reviewModel.setCommentStatus).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('ColorReviewService scoring', () => {
+  test('should score only against the section\'s mapped factors', async () => {
+    const { service, reviewModel } = createService({ outline: OUTLINE });
+
+    await service.scoreSection(7, { sectionId: 9, factorId: 'M.1.2', rating: 'acceptable', strengths: [' Tested DR ', ''] }, 3);
+    expect(reviewModel.upsertScore).toHaveBeenCalledWith(7, expect.objectContaining({
+      factorId: 'M.1.2',
+      factorTitle: 'Continuity of Operations',
+      reviewerId: 3,
+      source: 'reviewer',
+      strengths: ['Tested DR']
+    }));
+
+    await expect(service.scoreSection(7, { sectionId: 9, factorId: 'M.2', rating: 'good' }, 3))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Section is scored against: M.1, M.1.2' });
+    await expect(service.scoreSection(7, { sectionId: 9, factorId: 'M.1', rating: 'superb' }, 3)).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('should build a scorecard with reviewer consensus, spread and the AI score', async () => {
+    const score = (reviewerId, rating, source = 'reviewer') => ({ sectionId: 9, factorId: 'overall', reviewerId, rating, source });
+    const { service } = createService({
+      scores: [score(3, 'good'), score(4, 'marginal'), score(null, 'acceptable', 'ai')],
+      comments: [
+        { id: 1, sectionId: 9, status: 'open', commentType: 'weakness' },
+        { id: 2, sectionId: 9, status: 'resolved', commentType: 'strength' }
+      ]
+    });
+
+    const scorecard = await service.getScorecard(7);
+
+    expect(scorecard.sections[0].factors[0]).toMatchObject({
+      factorId: 'overall',
+      consensus: { rating: 'acceptable', averageScore: 3, spread: 2 },
+      aiScore: { rating: 'acceptable' }
+    });
+    expect(scorecard.comments).toMatchObject({ total: 2, open: 1, resolved: 1, wontFix: 0, byType: { weakness: 1, strength: 1 } });
+  });
+});
+
+describe('ColorReviewService AI mock evaluator', () => {
+  test('should queue one pre-score job per review', async () => {
+    const { service, jobQueue } = createService();
+
+    await service.requestAIPrescore(7, 1);
+    expect(jobQueue.enqueue).toHaveBeenCalledWith('color_review_prescore', { reviewId: 7, projectName: 'Alpha' }, {
+      dedupeKey: 'color_review_prescore:7',
+      createdBy: 1
+    });
+  });
+
+  test('should store AI scores per factor and keep going when a section fails', async () => {
+    const { service, reviewModel, complianceService } = createService({
+      outline: OUTLINE,
+      sections: [
+        { id: 9, title: 'Technical Approach', outlineNodeId: 'n1', content: SECTION_CONTENT, currentVersion: 4 },
+        { id: 10, title: 'Staffing', content: 'Key personnel.', currentVersion: 1 },
+        { id: 11, title: 'Transition', content: '   ', currentVersion: 0 }
+      ]
+    });
+    complianceService.validateProposal
+      .mockResolvedValueOnce({ validationResults: 'M.1: Addressed: Yes. Quality: Excellent\nM.1.2: Addressed: No', complianceScore: 60 })
+      .mockRejectedValueOnce(new Error('AI service unavailable'));
+    const progress = jest.fn(async () => {});
+
+    const outcome = await service.runAIPrescore({ reviewId: 7 }, { progress });
+
+    expect(outcome).toMatchObject({ scored: 1, skipped: 1, failed: 1, errors: [{ sectionId: 10, message: 'AI service unavailable' }] });
+    expect(complianceService.validateProposal).toHaveBeenCalledWith(SECTION_CONTENT, [
+      { id: 'M.1', description: 'Technical Approach - Soundness of approach', mandatory: true },
+      { id: 'M.1.2', description: 'Continuity of Operations', mandatory: true }
+    ]);
+    expect(reviewModel.upsertScore.mock.calls.map(([, data]) => [data.factorId, data.rating, data.source, data.reviewerId])).toEqual([
+      ['M.1', 'outstanding', 'ai', null],
+      ['M.1.2', 'unacceptable', 'ai', null]
+    ]);
+    expect(progress).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Unit Tests for ComplianceMatrixService
+ * Tests section validation, row edits, re-validation on section saves and the reviewer export
+ */
+
+const ComplianceMatrixService = require('../../../src/services/ComplianceMatrixService');
+const ProposalDraftService = require('../../../src/services/ProposalDraftService');
+const { readXLSXRows } = require('../../../src/utils/xlsx');
+
+function matrixRow(overrides = {}) {
+  return {
+    id: 1,
+    projectId: 5,
+    requirementId: 41,
+    requirement: {
+      documentName: 'RFP.pdf',
+      page: 12,
+      paragraphId: 'C.3.1',
+      section: 'C',
+      sequence: 1,
+      text: 'The contractor shall perform nightly backups with offsite replication.',
+      obligation: 'shall',
+      category: 'technical',
+      priority: 'high'
+    },
+    ownerId: null,
+    ownerName: null,
+    ownerEmail: null,
+    status: 'not_started',
+    sectionId: 9,
+    sectionTitle: 'Technical Approach',
+    responseExcerpt: '',
+    evidence: [],
+    notes: '',
+    validation: {},
+    ...overrides
+  };
+}
+
+function createService({ rows = [matrixRow()], sections = {}, drafts = {}, users = [3] } = {}) {
+  const stored = new Map(rows.map(row => [row.id, row]));
+  const matrixModel = {
+    addMissingRows: jest.fn(async () => 0),
+    listByProject: jest.fn(async () => [...stored.values()]),
+    listBySection: jest.fn(async sectionId => [...stored.values()].filter(row => row.sectionId === sectionId)),
+    getRow: jest.fn(async rowId => stored.get(rowId) || null),
+    userExists: jest.fn(async userId => users.includes(userId)),
+    update: jest.fn(async (rowId, changes) => {
+      const updated = { ...stored.get(rowId), ...changes };
+      stored.set(rowId, updated);
+      return updated;
+    }),
+    setValidation: jest.fn(async () => {})
+  };
+  const draftModel = {
+    getSection: jest.fn(async sectionId => sections[sectionId] || null),
+    getDraft: jest.fn(async draftId => drafts[draftId] || null),
+    findDraft: jest.fn(async () => null),
+    listSections: jest.fn(async () => [])
+  };
+  const projectService = { getProject: jest.fn(async id => ({ id, title: 'Alpha' })) };
+
+  const service = new ComplianceMatrixService({ matrixModel, draftModel, projectService });
+  return { service, matrixModel, draftModel };
+}
+
+describe('ComplianceMatrixService validation', () => {
+  const { validateRow } = ComplianceMatrixService;
+
+  test('should grade a section by how many requirement terms it covers', () => {
+    const row = matrixRow();
+
+    expect(validateRow(row, { content: 'We perform nightly backups of every system with offsite replication to a second region.', currentVersion: 3 }))
+      .toMatchObject({ state: 'addressed', coverage: 1, missingTerms: [], excerptFound: null, sectionVersion: 3 });
+    expect(validateRow(row, { content: 'We run nightly backups.', currentVersion: 1 }))
+      .toMatchObject({ state: 'partial', missingTerms: expect.arrayContaining(['offsite', 'replication']) });
+    expect(validateRow(row, { content: 'Our staffing plan.', currentVersion: 1 }).state).toBe('not_addressed');
+    expect(validateRow(row, { content: '  ', currentVersion: 0 }).state).toBe('no_content');
+    expect(validateRow(row, null).state).toBe('unassigned');
+  });
+
+  test('should flag a response excerpt that is no longer in the section', () => {
+    const row = matrixRow({ responseExcerpt: 'Backups are   replicated offsite nightly.' });
+
+    expect(validateRow(row, { content: 'Intro. BACKUPS are replicated offsite nightly. More.', currentVersion: 2 }))
+      .toMatchObject({ state: 'addressed', excerptFound: true });
+    expect(validateRow(row, { content: 'We perform nightly backups with offsite replication.', currentVersion: 3 }))
+      .toMatchObject({ state: 'excerpt_missing', excerptFound: false });
+  });
+});
+
+describe('ComplianceMatrixService row edits', () => {
+  test('should update owner, status and evidence and re-validate when the section changes', async () => {
+    const { service, matrixModel } = createService({
+      rows: [matrixRow({ sectionId: null })],
+      sections: { 9: { id: 9, draftId: 2, content: 'Nightly backups with offsite replication.', currentVersion: 4 } },
+      drafts: { 2: { id: 2, projectName: 'Alpha' } }
+    });
+
+    const row = await service.updateRow(1, {
+      ownerId: '3',
+      status: 'in_progress',
+      sectionId: 9,
+      evidence: [{ label: 'Backup SOP', url: 'https://wiki.example.com/backup' }, { documentId: 'doc-7' }]
+    }, 3);
+
+    expect(matrixModel.update).toHaveBeenCalledWith(1, {
+      ownerId: 3,
+      status: 'in_progress',
+      sectionId: 9,
+      evidence: [
+        { label: 'Backup SOP', url: 'https://wiki.example.com/backup' },
+        { label: 'Document doc-7', documentId: 'doc-7' }
+      ]
+    }, 3);
+    expect(row.validation).toMatchObject({ state: 'addressed', sectionVersion: 4 });
+    expect(matrixModel.setValidation).toHaveBeenCalledWith(1, expect.objectContaining({ state: 'addressed' }));
+  });
+
+  test('should reject bad statuses, unknown owners, unsafe links and sections from other projects', async () => {
+    const { service, matrixModel } = createService({
+      sections: { 9: { id: 9, draftId: 2, content: '' } },
+      drafts: { 2: { id: 2, projectName: 'Bravo' } }
+    });
+
+    await expect(service.updateRow(1, { status: 'done' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.updateRow(1, { ownerId: 99 })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.updateRow(1, { evidence: [{ label: 'x', url: 'javascript:alert(1)' }] }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Evidence URLs must use http or https' });
+    await expect(service.updateRow(1, { sectionId: 9 }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Section must belong to this project\'s proposal' });
+    expect(matrixModel.update).not.toHaveBeenCalled();
+    expect(await service.updateRow(404, { status: 'complete' })).toBeNull();
+  });
+});
+
+describe('ComplianceMatrixService section saves', () => {
+  test('should re-validate rows targeting a section when its content is saved', async () => {
+    const section = { id: 9, draftId: 2, content: 'Old text', currentVersion: 1 };
+    const draftModel = {
+      getSection: jest.fn(async () => section),
+      addVersion: jest.fn(async () => {
+        section.content = 'We perform nightly backups with offsite replication.';
+        section.currentVersion = 2;
+        return { versionNumber: 2, source: 'human' };
+      })
+    };
+    const complianceMatrixService = { revalidateSection: jest.fn(async () => 1) };
+    const draftService = new ProposalDraftService({ draftModel, complianceMatrixService });
+
+    await draftService.saveContent(9, { content: 'We perform nightly backups with offsite replication.' }, 3);
+    expect(complianceMatrixService.revalidateSection).toHaveBeenCalledWith(9);
+
+    // Unchanged content is not a new version and needs no re-validation
+    complianceMatrixService.revalidateSection.mockClear();
+    await draftService.saveContent(9, { content: section.content }, 3);
+    expect(complianceMatrixService.revalidateSection).not.toHaveBeenCalled();
+  });
+
+  test('should never fail a save because re-validation failed', async () => {
+    const section = { id: 9, draftId: 2, content: 'Old text', currentVersion: 1 };
+    const draftModel = {
+      getSection: jest.fn(async () => section),
+      addVersion: jest.fn(async () => ({ versionNumber: 2, source: 'human' }))
+    };
+    const complianceMatrixService = { revalidateSection: jest.fn(async () => { throw new Error('db down'); }) };
+    const draftService = new ProposalDraftService({ draftModel, complianceMatrixService });
+
+    const result = await draftService.saveContent(9, { content: 'New text' }, 3);
+    expect(result.unchanged).toBe(false);
+  });
+
+  test('should store validation for every row on the section', async () => {
+    const { service, matrixModel } = createService({
+      rows: [matrixRow({ id: 1 }), matrixRow({ id: 2, requirementId: 42 }), matrixRow({ id: 3, sectionId: 10 })],
+      sections: { 9: { id: 9, content: 'Nightly backups with offsite replication.', currentVersion: 5 } }
+    });
+
+    expect(await service.revalidateSection(9)).toBe(2);
+    expect(matrixModel.setValidation.mock.calls.map(call => call[0])).toEqual([1, 2]);
+  });
+});
+
+describe('ComplianceMatrixService export', () => {
+  const rows = [matrixRow({
+    ownerName: 'Dana Lee',
+    status: 'ready_for_review',
+    responseExcerpt: 'Backups are replicated offsite nightly.',
+    evidence: [{ label: 'Backup SOP', url: 'https://wiki.example.com/backup' }, { label: 'DR test', documentId: 'doc-7' }],
+    validation: { state: 'addressed' }
+  })];
+
+  test('should export the reviewer layout as XLSX', async () => {
+    const { service } = createService({ rows });
+
+    const exported = await service.exportMatrix(5, 'xlsx');
+    const sheet = await readXLSXRows(exported.body);
+
+    expect(exported).toMatchObject({
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      filename: expect.stringMatching(/^compliance-matrix-alpha-\d{4}-\d{2}-\d{2}\.xlsx$/),
+      count: 1
+    });
+    expect(sheet[0]).toEqual([
+      'Req ID', 'RFP Reference', 'Source Document', 'Page', 'Requirement', 'Obligation', 'Proposal Section',
+      'Owner', 'Status', 'Compliance', 'Response Excerpt', 'Evidence', 'Notes'
+    ]);
+    expect(sheet[1]).toEqual([
+      'R-41', 'C.3.1', 'RFP.pdf', '12', rows[0].requirement.text, 'shall', 'Technical Approach',
+      'Dana Lee', 'Ready for Review', 'Addressed', 'Backups are replicated offsite nightly.',
+      'Backup SOP: https://wiki.example.com/backup\nDR test: document doc-7',
+      ''
+    ]);
+  });
+
+  test('should export CSV and reject unknown formats', async () => {
+    const { service } = createService({ rows });
+
+    const exported = await service.exportMatrix(5, 'csv');
+    expect(exported.contentType).toBe('text/csv; charset=utf-8');
+    expect(exported.body.split('\r\n')[0]).toMatch(/^Req ID,RFP Reference,Source Document,Page,Requirement/);
+    await expect(service.exportMatrix(5, 'pdf')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
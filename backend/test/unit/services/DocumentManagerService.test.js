@@ -0,0 +1,63 @@
+/**
+ * Unit Tests for DocumentManagerService
+ * Tests bulk archive, unarchive and delete with a permission check per document
+ */
+
+const DocumentManagerService = require('../../../src/services/DocumentManagerService');
+
+const DOCUMENTS = {
+  10: { id: 10, projectName: 'Alpha', visibility: 'project' },
+  11: { id: 11, projectName: 'Alpha', visibility: 'restricted' }
+};
+
+function createManager() {
+  const documentModel = {
+    getById: jest.fn(async id => DOCUMENTS[id] || null),
+    archive: jest.fn(async (id, username) => ({ id, status: 'archived', archivedBy: username })),
+    unarchive: jest.fn(async id => ({ id, status: 'active' })),
+    softDelete: jest.fn(async id => ({ id, status: 'deleted' }))
+  };
+  const permissionService = {
+    explain: jest.fn(async (user, action, { documentId }) => (DOCUMENTS[documentId].visibility === 'restricted'
+      ? { allowed: false, reason: 'This document is restricted' }
+      : { allowed: true, reason: 'Writer on Alpha' }))
+  };
+
+  const manager = new DocumentManagerService({
+    documentModel,
+    documentTypeModel: { listDocumentTypes: jest.fn(async () => []) },
+    storage: {},
+    permissionService
+  });
+  return { manager, documentModel, permissionService };
+}
+
+describe('DocumentManagerService bulkDocumentAction', () => {
+  const writer = { id: 7, role: 'writer' };
+
+  test('should act on each document by its own id', async () => {
+    const { manager, documentModel, permissionService } = createManager();
+
+    const { processed, errors } = await manager.bulkDocumentAction(['10'], 'archive', writer, 'writer1');
+
+    expect(documentModel.getById).toHaveBeenCalledWith('10');
+    expect(permissionService.explain).toHaveBeenCalledWith(writer, 'delete', { documentId: 10 });
+    expect(documentModel.archive).toHaveBeenCalledWith(10, 'writer1');
+    expect(processed).toEqual([{ id: 10, status: 'archived', archivedBy: 'writer1' }]);
+    expect(errors).toEqual([]);
+  });
+
+  test('should leave a restricted document alone and report why', async () => {
+    const { manager, documentModel } = createManager();
+
+    const { processed, errors } = await manager.bulkDocumentAction([11, 10, 99], 'delete', writer, 'writer1');
+
+    expect(documentModel.softDelete).toHaveBeenCalledTimes(1);
+    expect(documentModel.softDelete).toHaveBeenCalledWith(10, 'writer1');
+    expect(processed.map(document => document.id)).toEqual([10]);
+    expect(errors).toEqual([
+      { id: 11, error: 'This document is restricted' },
+      { id: 99, error: 'Document not found' }
+    ]);
+  });
+});
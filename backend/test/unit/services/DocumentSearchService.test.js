@@ -0,0 +1,153 @@
+/**
+ * Unit Tests for DocumentSearchService
+ * Tests query and filter normalization, snippet highlighting, permission-aware facets and paging,
+ * and page-by-page indexing
+ */
+
+const DocumentSearchService = require('../../../src/services/DocumentSearchService');
+const DocumentSearchIndex = require('../../../src/models/DocumentSearchIndex');
+
+const { HIGHLIGHT_START: START, HIGHLIGHT_STOP: STOP } = DocumentSearchIndex;
+
+function match(documentId, overrides = {}) {
+  return {
+    documentId,
+    projectName: 'Alpha',
+    category: 'solicitations',
+    subfolder: null,
+    extension: '.pdf',
+    rank: 1 / documentId,
+    matchCount: 2,
+    pages: [12, 40],
+    ...overrides
+  };
+}
+
+function createService({ matches = [], hidden = [] } = {}) {
+  const searchIndex = {
+    matchDocuments: jest.fn(async () => matches),
+    headlines: jest.fn(async (query, ids) => new Map(ids.map(id => [id, {
+      page: 12,
+      headline: `systems must be ${START}FedRAMP${STOP} ${START}Moderate${STOP} authorized`
+    }]))),
+    getCoverage: jest.fn(async () => ({ documents: 4, indexed: 3, failed: 1, pending: 0 })),
+    replacePages: jest.fn(async (id, pages) => ({ pageCount: pages.length })),
+    markFailed: jest.fn(async () => {}),
+    listUnindexed: jest.fn(async () => [7, 8])
+  };
+  const documentModel = {
+    getByIds: jest.fn(async ids => new Map(ids.map(id => [id, { id, originalName: `RFP-${id}.pdf` }]))),
+    getById: jest.fn(async id => ({ id, status: id === 99 ? 'archived' : 'active', originalName: 'PWS.pdf', extension: '.pdf' }))
+  };
+  const permissionService = {
+    filterDocuments: jest.fn(async (user, documents) => documents.filter(document => !hidden.includes(document.id)))
+  };
+  const documentManager = {
+    extractDocumentPages: jest.fn(async () => [{ page: 1, text: 'Section C' }, { page: 2, text: 'FedRAMP Moderate' }])
+  };
+  const jobQueue = { enqueue: jest.fn(async () => ({ id: 'job-1' })) };
+
+  const service = new DocumentSearchService({ searchIndex, documentModel, permissionService, documentManager, jobQueue });
+  return { service, searchIndex, documentManager, jobQueue };
+}
+
+describe('DocumentSearchService queries', () => {
+  test('should validate queries and map request filters', () => {
+    expect(DocumentSearchService.normalizeQuery('  "FedRAMP   Moderate" OR IL4 ')).toBe('"FedRAMP Moderate" OR IL4');
+    expect(() => DocumentSearchService.normalizeQuery(' a ')).toThrow('at least 2 characters');
+    expect(() => DocumentSearchService.normalizeQuery('x'.repeat(501))).toThrow('at most 500 characters');
+
+    expect(DocumentSearchService.normalizeFilters({
+      projectName: 'Alpha',
+      documentType: 'Solicitations',
+      fileTypes: ['PDF', '.docx', ' '],
+      dateRange: { from: '2026-01-01' }
+    })).toEqual({
+      projectName: 'Alpha',
+      category: 'solicitations',
+      subfolder: null,
+      extensions: ['.pdf', '.docx'],
+      dateFrom: '2026-01-01',
+      dateTo: null
+    });
+  });
+
+  test('should split headlines into highlighted segments and join adjacent matches', () => {
+    const snippet = DocumentSearchService.parseHeadline(`The CSP must be ${START}FedRAMP${STOP} ${START}Moderate${STOP} by award; ${START}FedRAMP${STOP} High preferred`);
+
+    expect(snippet.text).toBe('The CSP must be FedRAMP Moderate by award; FedRAMP High preferred');
+    expect(snippet.highlights).toEqual([
+      { text: 'The CSP must be ', match: false },
+      { text: 'FedRAMP Moderate', match: true },
+      { text: ' by award; ', match: false },
+      { text: 'FedRAMP', match: true },
+      { text: ' High preferred', match: false }
+    ]);
+    expect(DocumentSearchService.parseHeadline(null)).toEqual({ text: '', highlights: [] });
+  });
+});
+
+describe('DocumentSearchService search', () => {
+  test('should page visible matches with snippets, page hints and facets', async () => {
+    const { service, searchIndex } = createService({
+      matches: [
+        match(1),
+        match(2, { projectName: 'Bravo', extension: '.docx', pages: [] }),
+        match(3, { projectName: 'Secret' }),
+        match(4, { category: 'references' })
+      ],
+      hidden: [3]
+    });
+
+    const results = await service.search({ id: 5 }, 'FedRAMP Moderate', { projectName: null }, { limit: 2, offset: 0 });
+
+    expect(results).toMatchObject({ query: 'FedRAMP Moderate', total: 3, hasMore: true, limit: 2 });
+    expect(results.documents.map(document => document.id)).toEqual([1, 2]);
+    expect(results.documents[0].search).toMatchObject({
+      pages: [12, 40],
+      snippet: { page: 12, text: 'systems must be FedRAMP Moderate authorized' }
+    });
+    expect(results.facets.projects).toEqual([{ value: 'Alpha', count: 2 }, { value: 'Bravo', count: 1 }]);
+    expect(results.facets.fileTypes).toEqual([{ value: '.pdf', count: 2 }, { value: '.docx', count: 1 }]);
+    expect(results.facets.projects.find(facet => facet.value === 'Secret')).toBeUndefined();
+    expect(searchIndex.headlines).toHaveBeenCalledWith('FedRAMP Moderate', [1, 2]);
+
+    const second = await service.search({ id: 5 }, 'FedRAMP Moderate', {}, { limit: 2, offset: 2 });
+    expect(second.documents.map(document => document.id)).toEqual([4]);
+    expect(second.hasMore).toBe(false);
+
+    await expect(service.search({ id: 5 }, ' ')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('DocumentSearchService indexing', () => {
+  test('should index pages, mark failed extractions and skip inactive documents', async () => {
+    const { service, searchIndex, documentManager } = createService();
+
+    expect(await service.indexDocument(4)).toEqual({ documentId: 4, status: 'indexed', pageCount: 2 });
+    expect(searchIndex.replacePages).toHaveBeenCalledWith(4, [{ page: 1, text: 'Section C' }, { page: 2, text: 'FedRAMP Moderate' }]);
+
+    documentManager.extractDocumentPages.mockRejectedValueOnce(new Error('Unsupported file type: .xlsx'));
+    expect(await service.indexDocument(5)).toMatchObject({ status: 'failed' });
+    expect(searchIndex.markFailed).toHaveBeenCalledWith(5, 'Unsupported file type: .xlsx');
+
+    expect(await service.indexDocument(99)).toEqual({ documentId: 99, status: 'skipped' });
+  });
+
+  test('should queue uploads and backfills as index jobs', async () => {
+    const { service, jobQueue } = createService();
+
+    await service.queueIndexing(['4', 4, 'x'], 2);
+    expect(jobQueue.enqueue).toHaveBeenCalledWith('document_search_index', { documentIds: [4] }, { createdBy: 2 });
+    expect(await service.queueIndexing([])).toBeNull();
+
+    expect(await service.queueBackfill({}, 2)).toMatchObject({ queued: 2, job: { id: 'job-1' } });
+    expect(jobQueue.enqueue).toHaveBeenLastCalledWith('document_search_index',
+      { documentIds: [7, 8], backfill: true, includeFailed: false },
+      { dedupeKey: 'document_search_backfill', createdBy: 2 });
+
+    const progress = jest.fn(async () => {});
+    expect(await service.runIndexJob({ documentIds: [4, 99] }, { progress })).toEqual({ indexed: 1, failed: 0, skipped: 1 });
+    expect(progress).toHaveBeenLastCalledWith(100, 'Indexed 2 of 2 documents');
+  });
+});
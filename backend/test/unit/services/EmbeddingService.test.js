@@ -0,0 +1,101 @@
+/**
+ * Unit Tests for EmbeddingService
+ * Tests embedding through the routed provider, model/dimension reporting and vector validation
+ */
+
+const EmbeddingService = require('../../../src/services/EmbeddingService');
+const LLMService = require('../../../src/services/LLMService');
+const MockProvider = require('../../../src/services/llm/MockProvider');
+
+function createService(provider, routing = { embedding: { provider: 'ollama', model: 'mock-embed' } }) {
+  const service = new EmbeddingService();
+  service.llmService = new LLMService({
+    settingsService: { getLlmTaskRouting: async () => routing },
+    providers: { ollama: provider }
+  });
+  service.retryDelay = 0;
+  return service;
+}
+
+describe('EmbeddingService', () => {
+  describe('embedTexts', () => {
+    test('should return vectors with the model and dimension that produced them', async () => {
+      const service = createService(new MockProvider({ dimension: 384 }));
+
+      const result = await service.embedTexts(['cloud migration', 'help desk']);
+
+      expect(result.model).toBe('mock-embed');
+      expect(result.dimension).toBe(384);
+      expect(result.vectors).toHaveLength(2);
+      result.vectors.forEach(vector => {
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        expect(norm).toBeCloseTo(1, 6);
+      });
+    });
+
+    test('should embed the same text to the same vector', async () => {
+      const service = createService(new MockProvider({ dimension: 16 }));
+
+      const [first, second] = (await service.embedTexts(['same text', 'same text'])).vectors;
+
+      expect(first).toEqual(second);
+    });
+
+    test('should reject empty text', async () => {
+      const service = createService(new MockProvider());
+
+      await expect(service.embedTexts(['ok', '  '])).rejects.toThrow('Text content is required');
+    });
+
+    test('should fail instead of inventing vectors when the provider errors', async () => {
+      const provider = new MockProvider();
+      provider.embed = jest.fn().mockRejectedValue(new Error('connection refused'));
+      const service = createService(provider);
+
+      await expect(service.embedTexts(['text'])).rejects.toThrow('Embedding generation failed: connection refused');
+      expect(provider.embed).toHaveBeenCalledTimes(service.maxRetries);
+    });
+
+    test('should reject vectors of mixed dimension', async () => {
+      const provider = new MockProvider();
+      provider.embed = jest.fn().mockResolvedValue([[0.1, 0.2], [0.3]]);
+      const service = createService(provider);
+      service.maxRetries = 1;
+
+      await expect(service.embedTexts(['a', 'b'])).rejects.toThrow('malformed embeddings');
+    });
+  });
+
+  describe('generateBatchEmbeddings', () => {
+    test('should keep input order and null out failed batches', async () => {
+      const provider = new MockProvider({ dimension: 8 });
+      const embed = provider.embed.bind(provider);
+      provider.embed = jest.fn(async (texts, params) => {
+        if (texts.includes('bad')) {
+          throw new Error('boom');
+        }
+        return embed(texts, params);
+      });
+      const service = createService(provider);
+      service.maxRetries = 1;
+
+      const results = await service.generateBatchEmbeddings(['a', 'b', 'bad', 'c'], { batchSize: 2 });
+
+      expect(results).toHaveLength(4);
+      expect(results[0]).toHaveLength(8);
+      expect(results[2]).toBeNull();
+      expect(results[3]).toBeNull();
+    });
+  });
+
+  describe('getActiveDimension', () => {
+    test('should probe the routed model once', async () => {
+      const provider = new MockProvider({ dimension: 256 });
+      const service = createService(provider, { embedding: { provider: 'ollama', model: 'probe-once' } });
+
+      expect(await service.getActiveDimension()).toBe(256);
+      expect(await service.getActiveDimension()).toBe(256);
+      expect(provider.calls.filter(call => call.type === 'embed')).toHaveLength(1);
+    });
+  });
+});
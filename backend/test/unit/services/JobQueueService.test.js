@@ -0,0 +1,120 @@
+/**
+ * Unit Tests for JobQueueService
+ * Tests retry backoff, progress reporting, failure handling, cancellation and job feed filters
+ */
+
+const JobQueueService = require('../../../src/services/JobQueueService');
+const { matchesSubscription } = require('../../../src/websocket/jobSocket');
+
+function createJobModel() {
+  return {
+    updateProgress: jest.fn(async (id, progress, message) => ({ id, status: 'running', progress, progressMessage: message, cancelRequested: false })),
+    complete: jest.fn(async (id, result) => ({ id, status: 'completed', progress: 100, result })),
+    fail: jest.fn(async (id, error) => ({ id, status: 'queued', error })),
+    cancel: jest.fn(async (id) => ({ id, status: 'running', cancelRequested: true })),
+    markCancelled: jest.fn(async (id) => ({ id, status: 'cancelled' }))
+  };
+}
+
+const claimed = (id, type, attempts = 1) => ({ id, type, status: 'running', payload: { projectName: 'Alpha' }, attempts, maxAttempts: 3 });
+
+describe('JobQueueService', () => {
+  let jobModel;
+  let queue;
+  let events;
+  let unsubscribe;
+
+  beforeEach(() => {
+    jobModel = createJobModel();
+    queue = new JobQueueService({ job: jobModel });
+    events = [];
+    unsubscribe = queue.onJobEvent(job => events.push(job));
+  });
+
+  afterEach(() => unsubscribe());
+
+  test('should double the retry delay per attempt up to the cap', () => {
+    expect([1, 2, 3].map(attempt => JobQueueService.retryDelay(attempt, 1000, 3000))).toEqual([1000, 2000, 3000]);
+    expect(JobQueueService.retryDelay(10)).toBe(300000);
+  });
+
+  test('should clamp progress to whole percentages', () => {
+    expect(JobQueueService.clampProgress(42.6)).toBe(43);
+    expect(JobQueueService.clampProgress(140)).toBe(100);
+    expect(JobQueueService.clampProgress(null)).toBeNull();
+  });
+
+  test('should report progress and store the handler result', async () => {
+    queue.registerHandler('test_complete', async (payload, job) => {
+      await job.progress(50, `Half of ${payload.projectName}`);
+      return { documents: 2 };
+    });
+
+    await queue.runJob(claimed(1, 'test_complete'));
+
+    expect(jobModel.updateProgress).toHaveBeenCalledWith(1, 50, 'Half of Alpha');
+    expect(jobModel.complete).toHaveBeenCalledWith(1, { documents: 2 });
+    expect(events.map(job => job.status)).toEqual(['running', 'running', 'completed']);
+  });
+
+  test('should record a failed attempt with exponential backoff', async () => {
+    queue.registerHandler('test_fail', async () => {
+      throw new Error('embedding model unreachable');
+    }, { retryBaseDelayMs: 1000 });
+
+    await queue.runJob(claimed(2, 'test_fail', 3));
+
+    expect(jobModel.fail).toHaveBeenCalledWith(2, 'embedding model unreachable', 4000);
+    expect(jobModel.complete).not.toHaveBeenCalled();
+  });
+
+  test('should stop a running job when it is cancelled', async () => {
+    let started;
+    const ready = new Promise(resolve => { started = resolve; });
+    queue.registerHandler('test_cancel', (payload, job) => new Promise((resolve, reject) => {
+      job.signal.addEventListener('abort', () => {
+        try {
+          job.throwIfCancelled();
+        } catch (error) {
+          reject(error);
+        }
+      });
+      started();
+    }));
+
+    const run = queue.runJob(claimed(3, 'test_cancel'));
+    await ready;
+    await queue.cancel(3);
+    await run;
+
+    expect(jobModel.markCancelled).toHaveBeenCalledWith(3);
+    expect(jobModel.fail).not.toHaveBeenCalled();
+    expect(events[events.length - 1].status).toBe('cancelled');
+  });
+
+  test('should stop when progress reports a cancel request from another server', async () => {
+    jobModel.updateProgress.mockResolvedValueOnce({ id: 4, status: 'running', cancelRequested: true });
+    queue.registerHandler('test_remote_cancel', async (payload, job) => {
+      await job.progress(10, 'Working');
+      job.throwIfCancelled();
+      return 'unreachable';
+    });
+
+    await queue.runJob(claimed(4, 'test_remote_cancel'));
+
+    expect(jobModel.markCancelled).toHaveBeenCalledWith(4);
+    expect(jobModel.complete).not.toHaveBeenCalled();
+  });
+});
+
+describe('Job feed subscriptions', () => {
+  const job = { id: 7, type: 'context_build', payload: { projectName: 'Alpha' } };
+
+  test('should match on job ids, types and project', () => {
+    expect(matchesSubscription({}, job)).toBe(true);
+    expect(matchesSubscription({ jobIds: [7], types: ['context_build'], projectName: 'Alpha' }, job)).toBe(true);
+    expect(matchesSubscription({ jobIds: [8] }, job)).toBe(false);
+    expect(matchesSubscription({ types: ['embedding_backfill'] }, job)).toBe(false);
+    expect(matchesSubscription({ projectName: 'Beta' }, job)).toBe(false);
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Unit Tests for LLMService
+ * Tests per-task routing, routing validation and delegation to provider adapters
+ */
+
+const LLMService = require('../../../src/services/LLMService');
+const MockProvider = require('../../../src/services/llm/MockProvider');
+const OllamaProvider = require('../../../src/services/llm/OllamaProvider');
+const OpenAICompatibleProvider = require('../../../src/services/llm/OpenAICompatibleProvider');
+
+function createSettings(initial = {}) {
+  let stored = initial;
+  return {
+    getLlmTaskRouting: jest.fn(async () => stored),
+    setLlmTaskRouting: jest.fn(async (routing) => {
+      stored = routing;
+    })
+  };
+}
+
+describe('LLMService', () => {
+  let settings;
+  let writer;
+  let extractor;
+  let service;
+
+  beforeEach(() => {
+    settings = createSettings({
+      extraction: { provider: 'extractor', model: 'tiny-extract' }
+    });
+    writer = new MockProvider({ responses: { 'Write the summary': 'Summary text here' } });
+    extractor = new MockProvider({ responses: { Classify: '{"requirements": []}' } });
+    service = new LLMService({
+      settingsService: settings,
+      providers: { ollama: writer, extractor }
+    });
+  });
+
+  describe('Routing', () => {
+    test('should merge stored routing over defaults', async () => {
+      const routing = await service.getRouting();
+
+      expect(routing.extraction).toEqual({ provider: 'extractor', model: 'tiny-extract' });
+      expect(routing.writing.model).toBe(LLMService.getDefaultRouting().writing.model);
+      expect(Object.keys(routing)).toEqual(LLMService.TASKS);
+    });
+
+    test('should cache routing between calls', async () => {
+      await service.getRouting();
+      await service.getModel('writing');
+
+      expect(settings.getLlmTaskRouting).toHaveBeenCalledTimes(1);
+    });
+
+    test('should fall back to defaults when settings cannot be read', async () => {
+      settings.getLlmTaskRouting.mockRejectedValueOnce(new Error('connection refused'));
+
+      const routing = await service.getRouting();
+
+      expect(routing).toEqual(LLMService.getDefaultRouting());
+    });
+
+    test('should update one task and keep the others', async () => {
+      const routing = await service.setRouting({ writing: { model: 'big-writer' } });
+
+      expect(routing.writing.model).toBe('big-writer');
+      expect(routing.extraction.model).toBe('tiny-extract');
+      expect(settings.setLlmTaskRouting).toHaveBeenCalledWith({
+        extraction: { provider: 'extractor', model: 'tiny-extract' },
+        writing: { model: 'big-writer' }
+      });
+    });
+
+    test('should reset a task to its default with null', async () => {
+      const routing = await service.setRouting({ extraction: null });
+
+      expect(routing.extraction).toEqual(LLMService.getDefaultRouting().extraction);
+    });
+
+    test('should reject unknown tasks and providers', async () => {
+      await expect(service.setRouting({ drawing: { model: 'x' } })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(service.setRouting({ writing: { provider: 'cloud' } })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(service.setRouting({ writing: { model: '  ' } })).rejects.toMatchObject({ statusCode: 400 });
+      expect(settings.setLlmTaskRouting).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Delegation', () => {
+    test('should send each task to its routed provider and model', async () => {
+      const written = await service.generate('writing', { prompt: 'Write the summary' });
+      const extracted = await service.generate('extraction', { prompt: 'Classify these', format: 'json' });
+
+      expect(written).toMatchObject({ text: 'Summary text here', provider: 'ollama' });
+      expect(extracted).toMatchObject({ text: '{"requirements": []}', model: 'tiny-extract', provider: 'extractor' });
+      expect(writer.calls).toHaveLength(1);
+      expect(extractor.calls).toHaveLength(1);
+    });
+
+    test('should let a caller override the model on the routed provider', async () => {
+      const result = await service.generate('extraction', { prompt: 'Classify', model: 'other-model' });
+
+      expect(result.model).toBe('other-model');
+      expect(extractor.calls[0].model).toBe('other-model');
+    });
+
+    test('should stream tokens that join back into the full response', async () => {
+      const tokens = [];
+      await service.generateStream('writing', { prompt: 'Write the summary' }, {
+        onToken: token => tokens.push(token)
+      });
+
+      expect(tokens.join('')).toBe('Summary text here');
+    });
+
+    test('should embed a single text as a batch of one', async () => {
+      const result = await service.embed('embedding', 'past performance');
+
+      expect(result.vectors).toHaveLength(1);
+      expect(result.vectors[0]).toHaveLength(768);
+    });
+
+    test('should rerank passages in input order', async () => {
+      const result = await service.rerank('rerank', 'cloud migration', ['help desk', 'cloud migration plan']);
+
+      expect(result.scores).toEqual([0, 1]);
+      expect(result.model).toBe(LLMService.getDefaultRouting().rerank.model);
+    });
+
+    test('should reject reranking on providers without a rerank endpoint', async () => {
+      writer.rerank = undefined;
+
+      await expect(service.rerank('rerank', 'q', ['a'])).rejects.toThrow('does not support reranking');
+    });
+
+    test('should reject unknown tasks', async () => {
+      await expect(service.generate('drawing', { prompt: 'x' })).rejects.toThrow('Unknown LLM task');
+    });
+  });
+
+  describe('Model Timeout', () => {
+    test('should scale timeout with model size', () => {
+      expect(service.getModelTimeout('llama3.1:70b')).toBe(180000);
+      expect(service.getModelTimeout('qwen2.5:14b')).toBe(120000);
+      expect(service.getModelTimeout('gemma2:9b')).toBe(90000);
+    });
+  });
+});
+
+describe('MockProvider', () => {
+  test('should embed identical text identically with unit length', async () => {
+    const provider = new MockProvider({ dimension: 32 });
+    const [first, second, other] = await provider.embed(['alpha', 'alpha', 'beta'], { model: 'm' });
+
+    expect(first).toEqual(second);
+    expect(first).not.toEqual(other);
+    expect(Math.sqrt(first.reduce((sum, value) => sum + value * value, 0))).toBeCloseTo(1, 6);
+  });
+
+  test('should stop streaming when cancelled', async () => {
+    const provider = new MockProvider();
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(provider.generateStream({ model: 'm', prompt: 'hello world' }, { signal: controller.signal }))
+      .rejects.toThrow('Generation cancelled');
+  });
+});
+
+describe('Provider request bodies', () => {
+  test('Ollama should map max_tokens to num_predict', () => {
+    const body = new OllamaProvider({ baseUrl: 'http://ollama:11434/' }).buildBody({
+      model: 'gemma2:9b',
+      prompt: 'Hi',
+      format: 'json',
+      options: { temperature: 0.2, max_tokens: 50 }
+    }, false);
+
+    expect(body).toEqual({
+      model: 'gemma2:9b',
+      prompt: 'Hi',
+      stream: false,
+      format: 'json',
+      options: { temperature: 0.2, num_predict: 50 }
+    });
+  });
+
+  test('OpenAI-compatible should build chat messages and JSON mode', () => {
+    const provider = new OpenAICompatibleProvider({ baseUrl: 'http://llama:8080/v1', apiKey: 'secret' });
+    const body = provider.buildBody({
+      model: 'local',
+      prompt: 'Hi',
+      system: 'Be brief',
+      format: 'json',
+      options: { temperature: 0, max_tokens: 10 }
+    }, true);
+
+    expect(body).toEqual({
+      model: 'local',
+      stream: true,
+      messages: [
+        { role: 'system', content: 'Be brief' },
+        { role: 'user', content: 'Hi' }
+      ],
+      temperature: 0,
+      max_tokens: 10,
+      response_format: { type: 'json_object' }
+    });
+    expect(provider.headers()).toEqual({ Authorization: 'Bearer secret' });
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Unit Tests for MilestoneService
+ * Tests template planning, overdue and at-risk detection, deadline alert emails and calendar feeds
+ */
+
+const nodemailer = require('nodemailer');
+const MilestoneService = require('../../../src/services/MilestoneService');
+const NotificationService = require('../../../src/services/NotificationService');
+const ProjectService = require('../../../src/services/ProjectService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-11-10T12:00:00Z');
+
+function milestone(overrides = {}) {
+  return {
+    id: 1,
+    projectId: 5,
+    projectTitle: 'Alpha',
+    milestoneKey: 'custom',
+    title: 'Draft Complete',
+    dueDate: new Date(NOW.getTime() + 10 * DAY_MS),
+    status: 'pending',
+    ownerId: null,
+    ownerName: null,
+    ownerEmail: null,
+    alertLevel: null,
+    ...overrides
+  };
+}
+
+function createService({ milestones = [], team = [{ user_id: 3, user_email: 'dana@example.com' }], project = {} } = {}) {
+  const stored = new Map(milestones.map(item => [item.id, item]));
+  const milestoneModel = {
+    listByProject: jest.fn(async () => [...stored.values()]),
+    listPendingDueBy: jest.fn(async cutoff => [...stored.values()].filter(item => item.status === 'pending' && item.dueDate <= cutoff)),
+    createMany: jest.fn(async (projectId, plan) => plan.map((item, i) => ({ id: 100 + i, projectId, ...item }))),
+    create: jest.fn(async (projectId, data) => milestone({ id: 200, projectId, ...data })),
+    getById: jest.fn(async id => stored.get(id) || null),
+    update: jest.fn(async (id, changes) => ({ ...stored.get(id), ...changes })),
+    markAlerted: jest.fn(async (id, level) => { stored.get(id).alertLevel = level; }),
+    reviewBelongsToProject: jest.fn(async reviewId => reviewId === 7),
+    getFeedToken: jest.fn(async () => null),
+    setFeedToken: jest.fn(async (userId, token) => token),
+    getFeedUser: jest.fn(async () => 3),
+    listForMember: jest.fn(async () => [...stored.values()])
+  };
+  const reviewModel = { listByProject: jest.fn(async () => [{ id: 7, reviewType: 'red', status: 'scheduled' }]) };
+  const projectService = {
+    getProject: jest.fn(async id => ({ id, title: 'Alpha', project_type: 'rfp_response', due_date: '2026-12-01T00:00:00Z', start_date: null, ...project })),
+    getProjectTeam: jest.fn(async () => team)
+  };
+  const notificationService = { sendEmail: jest.fn(async ({ to }) => ({ sent: true, recipients: to })) };
+  const jobQueue = { enqueue: jest.fn(async () => ({ id: 'job-1' })) };
+
+  const service = new MilestoneService({ milestoneModel, reviewModel, projectService, notificationService, jobQueue });
+  return { service, milestoneModel, notificationService, jobQueue, stored };
+}
+
+describe('MilestoneService planning', () => {
+  const template = ProjectService.PROJECT_TEMPLATES['rfp-response'];
+
+  test('should schedule template milestones back from the due date', () => {
+    const plan = MilestoneService.planMilestones(template, { dueDate: '2026-12-01T00:00:00Z' });
+
+    expect(plan.map(item => item.milestoneKey)).toEqual([
+      'questions_due', 'pink_team', 'draft_complete', 'red_team', 'gold_team', 'final_production', 'submission'
+    ]);
+    expect(plan[0].dueDate.toISOString()).toBe('2026-11-10T00:00:00.000Z');
+    expect(plan[plan.length - 1].dueDate.toISOString()).toBe('2026-12-01T00:00:00.000Z');
+    expect(plan.find(item => item.milestoneKey === 'red_team').reviewType).toBe('red');
+  });
+
+  test('should compress the schedule to fit a short project and add the kickoff', () => {
+    const plan = MilestoneService.planMilestones(template, { startDate: '2026-11-20T00:00:00Z', dueDate: '2026-12-01T00:00:00Z' });
+
+    expect(plan[0]).toMatchObject({ milestoneKey: 'kickoff' });
+    expect(plan[0].dueDate.toISOString()).toBe('2026-11-20T00:00:00.000Z');
+    plan.forEach(item => expect(item.dueDate >= new Date('2026-11-20T00:00:00Z')).toBe(true));
+  });
+
+  test('should apply the template for the project type and link scheduled reviews', async () => {
+    const { service, milestoneModel } = createService();
+
+    const result = await service.applyTemplate(5, null, 1);
+
+    const plan = milestoneModel.createMany.mock.calls[0][1];
+    expect(plan.find(item => item.milestoneKey === 'red_team').reviewId).toBe(7);
+    expect(plan.find(item => item.milestoneKey === 'pink_team').reviewId).toBeNull();
+    expect(result.created).toBe(7);
+
+    const undated = createService({ project: { due_date: null } });
+    await expect(undated.service.applyTemplate(5)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.applyTemplate(5, 'unknown')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('MilestoneService health', () => {
+  test('should flag overdue milestones, near deadlines and milestones after a slip', () => {
+    const assessed = MilestoneService.assessMilestones([
+      milestone({ id: 1, title: 'Questions Due', dueDate: new Date(NOW.getTime() - 2 * DAY_MS) }),
+      milestone({ id: 2, title: 'Pink Team', dueDate: new Date(NOW.getTime() + 8 * DAY_MS) }),
+      milestone({ id: 3, title: 'Kickoff', dueDate: new Date(NOW.getTime() - 9 * DAY_MS), status: 'complete' })
+    ], NOW);
+
+    expect(assessed.map(item => [item.id, item.health.state])).toEqual([[3, 'complete'], [1, 'overdue'], [2, 'at_risk']]);
+    expect(assessed[1].health.reason).toBe('Due 2 days ago');
+    expect(assessed[2].health.reason).toBe('Follows overdue milestone "Questions Due"');
+
+    const upcoming = MilestoneService.assessMilestones([
+      milestone({ id: 4, dueDate: new Date(NOW.getTime() + 2 * DAY_MS) }),
+      milestone({ id: 5, dueDate: new Date(NOW.getTime() + 10 * DAY_MS) })
+    ], NOW);
+    expect(upcoming.map(item => [item.health.state, item.health.reason])).toEqual([['at_risk', 'Due in 2 days'], ['on_track', null]]);
+  });
+
+  test('should validate owners against the project team and reviews against the project', async () => {
+    const { service } = createService({ milestones: [milestone()] });
+
+    await expect(service.createMilestone(5, { title: 'Orals', dueDate: '2026-12-05', ownerId: 99 }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Milestone owner must be on the project team' });
+    await expect(service.updateMilestone(1, { reviewId: 8 })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.updateMilestone(1, { status: 'done' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.createMilestone(5, { title: ' ', dueDate: '2026-12-05' })).rejects.toMatchObject({ statusCode: 400 });
+
+    const created = await service.createMilestone(5, { title: 'Orals', dueDate: '2026-12-05', ownerId: '3', reviewId: 7 });
+    expect(created).toMatchObject({ title: 'Orals', ownerId: 3, reviewId: 7, health: expect.any(Object) });
+  });
+});
+
+describe('MilestoneService deadline alerts', () => {
+  test('should email the team once per alert level', async () => {
+    const { service, notificationService, milestoneModel } = createService({
+      milestones: [
+        milestone({ id: 1, title: 'Questions Due', dueDate: new Date(NOW.getTime() - DAY_MS), ownerName: 'Lee', ownerEmail: 'lee@example.com' }),
+        milestone({ id: 2, title: 'Pink Team', dueDate: new Date(NOW.getTime() + 2 * DAY_MS) }),
+        milestone({ id: 3, title: 'Submission', dueDate: new Date(NOW.getTime() + 20 * DAY_MS) })
+      ]
+    });
+
+    expect(await service.checkDeadlines(NOW)).toEqual({ checked: 2, alerted: 2, emails: 1 });
+    const email = notificationService.sendEmail.mock.calls[0][0];
+    expect(email.to).toEqual(['dana@example.com', 'lee@example.com', null]);
+    expect(email.subject).toBe('[Alpha] 1 milestone overdue, 1 at risk');
+    expect(email.text).toContain('- OVERDUE: Questions Due, due ');
+    expect(email.text).toContain('(owner: Lee). Due 1 day ago.');
+    expect(milestoneModel.markAlerted.mock.calls).toEqual([[1, 'overdue'], [2, 'at_risk']]);
+
+    // Nothing new to report on the next check
+    notificationService.sendEmail.mockClear();
+    expect(await service.checkDeadlines(NOW)).toMatchObject({ alerted: 0 });
+    expect(notificationService.sendEmail).not.toHaveBeenCalled();
+
+    // An at-risk milestone that slips past its date is reported again as overdue
+    expect(await service.checkDeadlines(new Date(NOW.getTime() + 3 * DAY_MS))).toMatchObject({ alerted: 1 });
+    expect(milestoneModel.markAlerted).toHaveBeenLastCalledWith(2, 'overdue');
+  });
+
+  test('should alert again after a failed send but not when mail is not configured', async () => {
+    const { service, notificationService, milestoneModel } = createService({
+      milestones: [milestone({ id: 1, dueDate: new Date(NOW.getTime() - DAY_MS) })]
+    });
+
+    notificationService.sendEmail.mockResolvedValueOnce({ sent: false, recipients: ['dana@example.com'], error: 'ECONNREFUSED' });
+    expect(await service.checkDeadlines(NOW)).toMatchObject({ alerted: 0, emails: 0 });
+    expect(milestoneModel.markAlerted).not.toHaveBeenCalled();
+
+    notificationService.sendEmail.mockResolvedValueOnce({ sent: false, recipients: ['dana@example.com'], error: null });
+    expect(await service.checkDeadlines(NOW)).toMatchObject({ alerted: 1, emails: 0 });
+    expect(milestoneModel.markAlerted).toHaveBeenCalledWith(1, 'overdue');
+    expect(notificationService.sendEmail).toHaveBeenCalledTimes(2);
+  });
+
+  test('should record the alert without retrying when nobody has an email address', async () => {
+    const { service, notificationService, milestoneModel } = createService({
+      milestones: [milestone({ id: 1, dueDate: new Date(NOW.getTime() - DAY_MS) })]
+    });
+
+    notificationService.sendEmail.mockResolvedValueOnce({ sent: false, recipients: [], error: 'No recipients' });
+    expect(await service.checkDeadlines(NOW)).toMatchObject({ alerted: 1, emails: 0 });
+    expect(milestoneModel.markAlerted).toHaveBeenCalledWith(1, 'overdue');
+  });
+
+  test('should queue the next check even when one fails', async () => {
+    const { service, milestoneModel, jobQueue } = createService();
+    milestoneModel.listPendingDueBy.mockRejectedValueOnce(new Error('db down'));
+
+    await expect(service.runDeadlineCheck()).rejects.toThrow('db down');
+    expect(jobQueue.enqueue).toHaveBeenCalledWith('milestone_alerts', {}, {
+      dedupeKey: 'milestone_alerts',
+      delayMs: 60 * 60 * 1000,
+      maxAttempts: 1
+    });
+  });
+
+  test('should send through nodemailer and never throw', async () => {
+    const notifications = new NotificationService({ transport: nodemailer.createTransport({ jsonTransport: true }), from: 'alerts@example.com' });
+
+    const result = await notifications.sendEmail({ to: ['Dana@Example.com', 'dana@example.com', null], subject: 'Due', text: 'Soon' });
+    expect(result).toMatchObject({ sent: true, recipients: ['dana@example.com'] });
+    expect(await notifications.sendEmail({ to: [], subject: 'Due', text: 'Soon' })).toMatchObject({ sent: false, error: 'No recipients' });
+
+    const failing = new NotificationService({ transport: { sendMail: async () => { throw new Error('ECONNREFUSED'); } } });
+    expect(await failing.sendEmail({ to: 'a@example.com', subject: 'x', text: 'y' })).toMatchObject({ sent: false, error: 'ECONNREFUSED' });
+  });
+});
+
+describe('MilestoneService calendar feeds', () => {
+  test('should serve the feed only for a known token', async () => {
+    const { service, milestoneModel } = createService({ milestones: [milestone({ dueDate: new Date('2026-11-20T00:00:00Z'), updatedAt: NOW })] });
+
+    const token = await service.getFeedToken(3);
+    expect(token).toMatch(/^[a-f0-9]{48}$/);
+
+    const calendar = await service.feedCalendar(token);
+    expect(calendar).toContain('SUMMARY:Alpha: Draft Complete');
+    expect(calendar).toContain('DTSTART;VALUE=DATE:20261120');
+
+    expect(await service.feedCalendar('../etc')).toBeNull();
+    milestoneModel.getFeedUser.mockResolvedValueOnce(null);
+    expect(await service.feedCalendar(token)).toBeNull();
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Unit Tests for PPImportService
+ * Tests column mapping, dry-run validation, duplicate detection, staging the upload in storage
+ * and the import job
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const PPImportService = require('../../../src/services/PPImportService');
+const PastPerformanceService = require('../../../src/services/PastPerformanceService');
+const StorageService = require('../../../src/services/StorageService');
+const LocalStorageDriver = require('../../../src/services/storage/LocalStorageDriver');
+
+const CSV = [
+  'Project Title,Agency,Description,Contract #,Total Value,Start Date,End Date,DME %,Technologies',
+  'Claims Modernization,VA,Modernized claims intake,VA-002,"$1,200,000",01/15/2022,2024-01-14,70,Java; React',
+  'Grants Portal,HHS,Built the grants portal,HHS-9,2.5M,2021-03-01,2020-03-01,,',
+  'Claims Modernization II,va,Follow-on work,va-001,500000,,,,',
+  'Data Platform,DOD,Analytics platform,DOD-7,abc,,,,',
+  'Help Desk,GSA,Tier 1 support,GSA-2,300000,,,,',
+  'Help Desk Recompete,GSA,Tier 1 support recompete,GSA-2,350000,,,,'
+].join('\r\n');
+
+let tmpDir;
+
+// test/setup.js mocks the synchronous fs calls, so files are written with fs.promises
+async function writeFile(name, contents) {
+  const filePath = path.join(tmpDir, name);
+  await fs.writeFile(filePath, contents);
+  return filePath;
+}
+
+function createService(existing = [{ id: 41, contractNumber: 'VA-001', customer: 'VA' }]) {
+  let nextId = 100;
+  const pastPerformanceService = {
+    validateAndNormalizePPData: PastPerformanceService.prototype.validateAndNormalizePPData,
+    createPastPerformance: jest.fn(async (record) => ({ pastPerformance: { id: nextId++, ...record } })),
+    pastPerformanceModel: { getContractKeys: jest.fn(async () => existing) },
+    technologyService: { extractTechnologies: jest.fn(async (text, { known }) => [...known, 'PostgreSQL']) },
+    embeddingService: { generatePPEmbeddings: jest.fn(async () => ({ totalEmbeddings: 1 })) }
+  };
+  const jobQueue = { enqueue: jest.fn(async (type, payload) => ({ id: 9, type, payload, status: 'queued' })) };
+  const storage = new StorageService({ driver: new LocalStorageDriver({ root: path.join(tmpDir, 'objects') }) });
+
+  return {
+    service: new PPImportService({ pastPerformanceService, jobQueue, storage }),
+    pastPerformanceService,
+    jobQueue,
+    storage
+  };
+}
+
+beforeEach(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pp-import-'));
+});
+
+afterEach(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('PPImportService mapping', () => {
+  test('should suggest fields from header names and aliases', () => {
+    const { service } = createService();
+
+    expect(service.suggestMapping(['Project Title', 'Agency', 'Contract #', 'DME %', 'Notes'])).toEqual({
+      'Project Title': 'projectName',
+      Agency: 'customer',
+      'Contract #': 'contractNumber',
+      'DME %': 'dmePercentage',
+      Notes: null
+    });
+  });
+
+  test('should reject mappings missing required fields or naming unknown fields', () => {
+    const { service } = createService();
+    const headers = ['Name', 'Client', 'Scope'];
+
+    expect(() => service.resolveColumns(headers, { Name: 'projectName', Client: 'customer' }))
+      .toThrow('Map a column to each required field: Summary');
+    expect(() => service.resolveColumns(headers, { Name: 'projectName', Client: 'budget' }))
+      .toThrow('Unknown field "budget" for column "Client"');
+    expect(() => service.resolveColumns(headers, { Name: 'projectName', Client: 'projectName' }))
+      .toThrow('Field "projectName" is mapped to more than one column');
+  });
+
+  test('should convert values by field type', () => {
+    const field = name => PPImportService.IMPORT_FIELDS.find(definition => definition.field === name);
+
+    expect(PPImportService.coerceValue(field('contractValue'), '$2.5M')).toBe(2500000);
+    expect(PPImportService.coerceValue(field('startDate'), '3/7/2023')).toBe('2023-03-07');
+    expect(PPImportService.coerceValue(field('contractType'), 'sub')).toBe('Subcontractor');
+    expect(PPImportService.coerceValue(field('domainAreas'), 'Health | Benefits; Claims')).toEqual(['Health', 'Benefits', 'Claims']);
+    expect(() => PPImportService.coerceValue(field('workType'), 'Research')).toThrow('must be one of: DME, O&M, Mixed');
+  });
+});
+
+describe('PPImportService dry run', () => {
+  test('should report row errors and duplicates by contract number and customer', async () => {
+    const { service, pastPerformanceService } = createService();
+    const filePath = await writeFile('records.csv', CSV);
+
+    const report = await service.dryRun(filePath, 'records.csv');
+
+    expect(report.format).toBe('csv');
+    expect(report.totalRows).toBe(6);
+    expect(report.validRows).toBe(2);
+    expect(report.invalidRows).toBe(2);
+    expect(report.errors).toEqual([
+      { row: 3, field: null, column: null, message: 'Start date must be before end date' },
+      { row: 5, field: 'contractValue', column: 'Total Value', message: '"abc" is not a number' }
+    ]);
+    expect(report.duplicates).toEqual([
+      { row: 4, contractNumber: 'va-001', customer: 'va', existingRecordId: 41, duplicateOfRow: null },
+      { row: 7, contractNumber: 'GSA-2', customer: 'GSA', existingRecordId: null, duplicateOfRow: 6 }
+    ]);
+    expect(pastPerformanceService.createPastPerformance).not.toHaveBeenCalled();
+  });
+
+  test('should refuse unsupported files and queue nothing when no row is valid', async () => {
+    const { service, jobQueue } = createService();
+    const invalidPath = await writeFile('invalid.csv', 'Project,Customer,Summary\r\nOnly a name,,\r\n');
+
+    await expect(service.dryRun(await writeFile('records.txt', CSV), 'records.txt')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.startImport(invalidPath, 'invalid.csv', null, 3)).rejects.toMatchObject({ statusCode: 422 });
+    expect(jobQueue.enqueue).not.toHaveBeenCalled();
+  });
+});
+
+describe('PPImportService import job', () => {
+  test('should stage the upload in storage and queue a single-attempt pp_import job with its key', async () => {
+    const { service, jobQueue, storage } = createService();
+    const filePath = await writeFile('records.csv', CSV);
+
+    const { job, report } = await service.startImport(filePath, 'records.csv', null, 3);
+
+    expect(job.id).toBe(9);
+    expect(jobQueue.enqueue).toHaveBeenCalledWith('pp_import', {
+      storageKey: expect.stringMatching(/^imports\/[0-9a-f-]{36}\.csv$/),
+      originalName: 'records.csv',
+      mapping: report.mapping
+    }, { maxAttempts: 1, createdBy: 3 });
+    const { storageKey } = jobQueue.enqueue.mock.calls[0][1];
+    expect((await storage.read(storageKey)).toString('utf8')).toBe(CSV);
+    await expect(fs.access(filePath)).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  test('should remove the staged upload when the job cannot be queued', async () => {
+    const { service, jobQueue, storage } = createService();
+    jobQueue.enqueue.mockRejectedValueOnce(new Error('db down'));
+    const remove = jest.spyOn(storage, 'remove');
+
+    await expect(service.startImport(await writeFile('records.csv', CSV), 'records.csv', null, 3)).rejects.toThrow('db down');
+    expect(await storage.exists(remove.mock.calls[0][0])).toBe(false);
+  });
+
+  test('should import valid rows through technology extraction and embeddings, then remove the staged upload', async () => {
+    const { service, pastPerformanceService, storage } = createService();
+    const storageKey = await service.stageUpload(await writeFile('records.csv', CSV), 'records.csv');
+    const mapping = service.suggestMapping(CSV.split('\r\n')[0].split(','));
+    pastPerformanceService.embeddingService.generatePPEmbeddings.mockRejectedValueOnce(new Error('model offline'));
+    const job = { progress: jest.fn(async () => {}), throwIfCancelled: jest.fn() };
+
+    const result = await service.runImport({ storageKey, originalName: 'records.csv', mapping }, job);
+
+    expect(result).toMatchObject({ imported: 2, duplicates: 2, invalid: 2, failed: 0, createdIds: [100, 101] });
+    expect(result.warnings).toEqual([{ row: 2, message: 'Embedding generation failed: model offline' }]);
+    expect(pastPerformanceService.createPastPerformance).toHaveBeenCalledWith(
+      expect.objectContaining({ projectName: 'Claims Modernization', dmePercentage: 70, omPercentage: 30, technologiesUsed: ['Java', 'React', 'PostgreSQL'] }),
+      { extractTechnologies: false, generateEmbeddings: false }
+    );
+    expect(job.progress).toHaveBeenLastCalledWith(100, 'Imported 2 of 2 rows');
+    expect(await storage.exists(storageKey)).toBe(false);
+  });
+});
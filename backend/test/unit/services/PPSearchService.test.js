@@ -0,0 +1,241 @@
+/**
+ * Unit Tests for PPSearchService
+ * Tests weight resolution, requirement extraction, criterion scoring and explanations
+ */
+
+const PPSearchService = require('../../../src/services/PPSearchService');
+
+const RECORDS = [
+  {
+    id: 'pp-1',
+    projectName: 'VA Claims Modernization',
+    customer: 'Department of Veterans Affairs',
+    customerType: 'Federal',
+    contractType: 'Prime',
+    contractValue: 12000000,
+    startDate: '2020-01-01',
+    endDate: '2024-06-30',
+    summary: 'Modernized the patient claims platform on AWS with Java microservices.',
+    technologiesUsed: ['AWS', 'Java', 'PostgreSQL'],
+    domainAreas: ['healthcare']
+  },
+  {
+    id: 'pp-2',
+    projectName: 'County Permits Portal',
+    customer: 'Fairfax County',
+    customerType: 'Local',
+    contractType: 'Subcontractor',
+    contractValue: 800000,
+    startDate: '2012-01-01',
+    endDate: '2014-12-31',
+    summary: 'Built a permitting portal in .NET.',
+    technologiesUsed: ['.NET', 'SQL Server'],
+    domainAreas: []
+  }
+];
+
+const SOLICITATION = [
+  {
+    documentName: 'rfp.pdf',
+    sectionTitle: 'Past Performance',
+    paragraphId: 'L.5.2',
+    pageStart: 14,
+    content: 'Offerors shall submit three past performance references for federal healthcare contracts performed within the last 3 years with a minimum value of $5 million.'
+  },
+  {
+    documentName: 'rfp.pdf',
+    sectionTitle: 'Scope',
+    paragraphId: 'C.3',
+    pageStart: 4,
+    content: 'The contractor must host the patient system on AWS and maintain Java services.'
+  }
+];
+
+function createService({ records = RECORDS, chunks = SOLICITATION, passages = SOLICITATION.slice(0, 1), semanticHits = [] } = {}) {
+  const pastPerformanceModel = {
+    searchCandidates: jest.fn(async (filters, { excludeContractTypes = [] }) =>
+      records.filter(pp => !excludeContractTypes.includes(pp.contractType)))
+  };
+  const vectorService = {
+    semanticSearch: jest.fn(async () => semanticHits)
+  };
+  const contextChunk = {
+    listChunks: jest.fn(async () => chunks),
+    lexicalSearch: jest.fn(async () => passages)
+  };
+  const technologyModel = {
+    findAll: jest.fn(async () => [{ name: 'Kubernetes', category: 'platform' }])
+  };
+
+  const service = new PPSearchService({ pastPerformanceModel, contextChunk, technologyModel, vectorService });
+  service.getSearchConfiguration = jest.fn(async () => ({ weights: { ...service.defaultWeights } }));
+
+  return { service, pastPerformanceModel, contextChunk, vectorService };
+}
+
+describe('PPSearchService weights', () => {
+  const { service } = createService();
+
+  test('should apply overrides and normalize to sum to 1', () => {
+    const weights = service.resolveWeights({ technology: 2, recency: '2' }, { technology: 0.4, domain: 0, contractSize: 0, customerType: 0, recency: 0 });
+
+    expect(weights).toEqual({ technology: 0.5, domain: 0, contractSize: 0, customerType: 0, recency: 0.5, rating: 0 });
+  });
+
+  test('should reject negative, non-numeric and all-zero weights', () => {
+    expect(() => service.resolveWeights({ domain: -1 })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => service.resolveWeights({ domain: 'heavy' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => service.resolveWeights({ technology: 0, domain: 0, contractSize: 0, customerType: 0, recency: 0 }))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('PPSearchService requirement extraction', () => {
+  const { service } = createService();
+
+  test('should read dollar amounts once each with their units', () => {
+    const values = service.extractContractValueRequirements('A minimum value of $5 million ($5,000,000); similar to $2.5M efforts. Fee: $500.');
+
+    expect(values.map(value => value.amount)).toEqual([5000000, 2500000]);
+    expect(values[0].type).toBe('minimum');
+  });
+
+  test('should match customer types on whole words only', () => {
+    expect(service.extractCustomerTypeRequirements('Work performed in the United States per the statement of work')).toEqual([]);
+    expect(service.extractCustomerTypeRequirements('Experience with a state agency is required').map(type => type.type)).toEqual(['state']);
+  });
+
+  test('should find catalog and record technologies, including names with symbols', async () => {
+    const technologies = await service.extractTechnologyRequirements(
+      'Must support .NET 8 and Kubernetes; Java is preferred. Javascript is not used.',
+      ['.NET', 'Java', 'AWS']
+    );
+
+    expect(technologies).toEqual(expect.arrayContaining([
+      expect.objectContaining({ name: '.NET', version: '8', required: true }),
+      expect.objectContaining({ name: 'Kubernetes' }),
+      expect.objectContaining({ name: 'Java' })
+    ]));
+    expect(technologies.map(tech => tech.name)).not.toContain('AWS');
+  });
+});
+
+describe('PPSearchService searches', () => {
+  const now = new Date('2025-06-01');
+
+  test('should score each criterion and explain the strongest first', async () => {
+    const { service } = createService();
+    const requirements = await service.parseSolicitationRequirements(SOLICITATION[0].content, {
+      scopeText: SOLICITATION.map(chunk => chunk.content).join('\n'),
+      knownTechnologies: ['AWS', 'Java', '.NET']
+    });
+    const weights = service.resolveWeights({ recency: 0.2 });
+
+    const result = service.scorePastPerformance(RECORDS[0], requirements, weights, now);
+    const explanation = service.generateExplanation(result, requirements, weights);
+
+    expect(result.scores).toEqual({ technology: 1, domain: 1, contractSize: 1, customerType: 1, recency: 1, rating: null });
+    expect(result.relevanceScore).toBe(1);
+    expect(explanation[0]).toBe('• Uses 2 of 2 technologies named in the solicitation: AWS, Java');
+    expect(explanation).toContain('• $12M contract meets the $5M minimum');
+  });
+
+  test('should rank against the project solicitation and cite the passages used', async () => {
+    const { service, contextChunk } = createService();
+
+    const result = await service.projectContextSearch({ projectName: 'Alpha', includeSubcontractor: true, limit: 5 });
+
+    expect(contextChunk.listChunks).toHaveBeenCalledWith('Alpha', 'solicitations', expect.any(Object));
+    expect(result.results.map(pp => pp.ppId)).toEqual(['pp-1', 'pp-2']);
+    expect(result.results[0].explanation.length).toBeGreaterThan(1);
+    expect(result.results[0]).not.toHaveProperty('matches');
+    expect(result.requirementSources).toEqual([expect.objectContaining({ paragraphId: 'L.5.2', page: 14 })]);
+    expect(result.requirements).not.toHaveProperty('rawText');
+  });
+
+  test('should leave out subcontracts by default and 404 without a solicitation', async () => {
+    const { service, pastPerformanceModel } = createService();
+    const result = await service.projectContextSearch({ projectName: 'Alpha' });
+    expect(result.results.map(pp => pp.ppId)).toEqual(['pp-1']);
+    expect(pastPerformanceModel.searchCandidates).toHaveBeenCalledWith({}, expect.objectContaining({ excludeContractTypes: ['Subcontractor'] }));
+
+    await expect(createService({ chunks: [], passages: [] }).service.projectContextSearch({ projectName: 'Empty' }))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('should rank free-text matches and require a query', async () => {
+    const { service } = createService();
+
+    const result = await service.freeTextSearch({ query: 'permitting portal .NET' });
+
+    expect(result.results[0].ppId).toBe('pp-2');
+    expect(result.results[0].explanation[0]).toBe('• Mentions permitting, portal, .net');
+    await expect(service.researchSearch({ query: ' ' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('should blend semantic similarity with query words and preselect the hits in SQL', async () => {
+    const { service, pastPerformanceModel, vectorService } = createService({
+      semanticHits: [
+        { pp_id: 'pp-1', similarity_score: 0.6 },
+        { pp_id: 'pp-1', similarity_score: 0.9 },
+        { pp_id: 'pp-2', similarity_score: 0.2 }
+      ]
+    });
+
+    const result = await service.freeTextSearch({ query: 'veterans benefits processing', filters: { customer: 'Veterans' } });
+
+    expect(vectorService.semanticSearch).toHaveBeenCalledWith('veterans benefits processing', expect.objectContaining({
+      ppFilters: expect.objectContaining({ customer: 'Veterans' })
+    }));
+    expect(pastPerformanceModel.searchCandidates).toHaveBeenCalledWith({ customer: 'Veterans' }, expect.objectContaining({
+      terms: ['veterans', 'benefits', 'processing'],
+      ids: ['pp-1', 'pp-2']
+    }));
+    expect(result.results.map(pp => [pp.ppId, pp.relevanceScore])).toEqual([['pp-1', 0.617], ['pp-2', 0.1]]);
+    expect(result.results[0].explanation.slice(0, 2)).toEqual(['• 90% semantic similarity to your search', '• Mentions veterans']);
+  });
+
+  test('should rank by query words alone when vector search is unavailable', async () => {
+    const { service, vectorService } = createService();
+    vectorService.semanticSearch.mockRejectedValue(new Error('Embedding provider unreachable'));
+
+    const result = await service.freeTextSearch({ query: 'permitting portal .NET' });
+
+    expect(result.results.map(pp => [pp.ppId, pp.relevanceScore])).toEqual([['pp-2', 1]]);
+  });
+
+  test('should rank by the latest CPARS rating once weighted and mark unrated records', async () => {
+    const rated = {
+      ...RECORDS[1],
+      performanceEvaluations: [
+        { kind: 'cpars', evaluationType: 'Interim', averageScore: 3, overallRating: 'Satisfactory', period: { end: '2013-12-31' }, ratings: {} },
+        {
+          kind: 'cpars',
+          evaluationType: 'Final',
+          averageScore: 4.5,
+          overallRating: 'Exceptional',
+          period: { end: '2014-12-31' },
+          ratings: {
+            quality: { label: 'Quality', rating: 'Exceptional', score: 5 },
+            schedule: { label: 'Schedule', rating: 'Very Good', score: 4 },
+            smallBusiness: { label: 'Small Business', rating: null, score: null }
+          }
+        }
+      ]
+    };
+    const { service } = createService({ records: [RECORDS[0], rated] });
+    const weights = service.resolveWeights({ technology: 0, domain: 0, contractSize: 0, customerType: 0, rating: 1 });
+
+    const { ranked, requirements } = await service.rankByQuery('help desk support', null, { technology: 0, domain: 0, contractSize: 0, customerType: 0, rating: 1 }, {});
+    const explanation = service.generateExplanation(ranked[0], requirements, weights);
+
+    const unrated = service.scorePastPerformance(RECORDS[0], requirements, weights);
+
+    // Neither record mentions the query, so only the evaluated one scores
+    expect(ranked.map(result => result.ppId)).toEqual(['pp-2']);
+    expect(ranked[0].scores.rating).toBe(0.875);
+    expect(explanation).toContain('• Rated Exceptional (4.5 of 5) on its Final CPARS through 2014-12-31: Quality Exceptional, Schedule Very Good');
+    expect(unrated.scores.rating).toBe(0);
+    expect(service.generateExplanation(unrated, requirements, weights)).toContain('• No CPARS or questionnaire ratings on file');
+  });
+});
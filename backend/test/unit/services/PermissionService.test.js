@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for PermissionService
+ * Tests project role actions, member flags, restricted documents and decision explanations
+ */
+
+const PermissionService = require('../../../src/services/PermissionService');
+
+const WRITER = {
+  id: 7,
+  email: 'writer@example.com',
+  role: 'writer',
+  permissions: {
+    documents: { create: true, read: true, update: true, delete: true },
+    ai: { create: true, read: true }
+  }
+};
+
+const TEAMS = {
+  1: [
+    { user_id: 7, role_name: 'writer' },
+    { user_id: 8, role_name: 'Capture Manager' },
+    { user_id: 9, role_name: 'reviewer', can_export_data: true }
+  ],
+  2: []
+};
+
+const DOCUMENTS = {
+  10: { id: 10, originalName: 'technical.docx', projectName: 'Alpha' },
+  11: { id: 11, originalName: 'pricing.xlsx', projectName: 'Alpha' },
+  12: { id: 12, originalName: 'notes.docx', projectName: 'Bravo' }
+};
+
+function createService({ access = {} } = {}) {
+  const projectService = {
+    findProjectsByTitle: jest.fn(async (title) => ({ Alpha: [{ id: 1 }], Legacy: [{ id: 2 }] }[title] || [])),
+    getProjectTeam: jest.fn(async (projectId) => TEAMS[projectId] || [])
+  };
+  const documentModel = {
+    getById: jest.fn(async (id) => DOCUMENTS[id] || null)
+  };
+  const documentAccess = {
+    get: jest.fn(async (id) => access[id] || null),
+    getMany: jest.fn(async (ids) => new Map(ids.filter(id => access[id]).map(id => [id, access[id]]))),
+    upsert: jest.fn(async (documentId, settings) => ({ documentId, ...settings }))
+  };
+
+  return {
+    service: new PermissionService({ projectService, documentModel, documentAccess }),
+    documentAccess
+  };
+}
+
+const RESTRICTED_PRICING = {
+  11: { documentId: 11, visibility: 'restricted', allowedRoles: ['volume_lead'], allowedUserIds: [9], reason: 'Pricing volume' }
+};
+
+describe('PermissionService project roles', () => {
+  test('should normalize project role names and aliases', () => {
+    expect(PermissionService.normalizeProjectRole('Capture Manager')).toBe('capture_manager');
+    expect(PermissionService.normalizeProjectRole('volume-lead')).toBe('volume_lead');
+    expect(PermissionService.normalizeProjectRole('proposal_lead')).toBe('capture_manager');
+    expect(PermissionService.normalizeProjectRole('Pricing Analyst')).toBeNull();
+  });
+
+  test('should allow role actions and explain denials with the roles that grant them', async () => {
+    const { service } = createService();
+
+    const edit = await service.explain(WRITER, 'edit_sections', { projectName: 'Alpha' });
+    const approve = await service.explain(WRITER, 'approve', { projectName: 'Alpha' });
+
+    expect(edit.allowed).toBe(true);
+    expect(edit.projectRole).toBe('writer');
+    expect(approve.allowed).toBe(false);
+    expect(approve.reason).toBe('As Writer on Alpha you cannot approve section versions and reviews; that needs one of: Capture Manager, Volume Lead');
+    expect(approve.checks.map(check => check.check)).toEqual(['role', 'team', 'project_role']);
+  });
+
+  test('should add actions granted by team-row flags', async () => {
+    const { service } = createService();
+    const reviewer = { ...WRITER, id: 9, role: 'reviewer' };
+
+    const permissions = await service.getEffectivePermissions(reviewer, { projectName: 'Alpha' });
+
+    expect(permissions.projectRole).toBe('reviewer');
+    expect(permissions.actions).toMatchObject({ view: true, export: true, edit_sections: false, run_ai: false });
+  });
+
+  test('should deny non-members, the global role and projects without a team', async () => {
+    const { service } = createService();
+    const outsider = { ...WRITER, id: 99 };
+    const noAI = { ...WRITER, permissions: { documents: { read: true } } };
+
+    expect((await service.explain(outsider, 'view', { projectName: 'Alpha' })).reason)
+      .toBe('You are not a member of the project team for Alpha');
+    expect((await service.explain(noAI, 'run_ai', { projectName: 'Alpha' })).checks[0])
+      .toMatchObject({ check: 'role', passed: false });
+    expect((await service.explain(outsider, 'upload', { projectName: 'Legacy' })).reason)
+      .toBe('Legacy has no project team; an administrator needs to add you to it');
+    expect((await service.explain(outsider, 'upload', { projectName: 'Unregistered' })).allowed).toBe(false);
+    expect((await service.explain({ id: 1, role: 'admin' }, 'upload', { projectName: 'Legacy' })).allowed).toBe(true);
+    await expect(service.explain(WRITER, 'publish', {})).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('PermissionService restricted documents', () => {
+  test('should open restricted documents to capture managers, listed roles and named users only', async () => {
+    const { service } = createService({ access: RESTRICTED_PRICING });
+
+    const writer = await service.explain(WRITER, 'view', { documentId: 11 });
+    const captureManager = await service.explain({ ...WRITER, id: 8 }, 'view', { documentId: 11 });
+    const named = await service.explain({ ...WRITER, id: 9 }, 'view', { documentId: 11 });
+
+    expect(writer.allowed).toBe(false);
+    expect(writer.reason).toBe('pricing.xlsx is restricted (Pricing volume); it is open to Capture Manager, Volume Lead and 1 named team member(s)');
+    expect(captureManager.allowed).toBe(true);
+    expect(named.allowed).toBe(true);
+  });
+
+  test('should filter out other teams\' and restricted documents', async () => {
+    const { service } = createService({ access: RESTRICTED_PRICING });
+    // Bravo's team does not include the writer
+    service.projectService.findProjectsByTitle.mockImplementation(async (title) => ({ Alpha: [{ id: 1 }], Bravo: [{ id: 3 }] }[title] || []));
+    service.projectService.getProjectTeam.mockImplementation(async (projectId) => (projectId === 3 ? [{ user_id: 1, role_name: 'writer' }] : TEAMS[projectId]));
+
+    const visible = await service.filterDocuments(WRITER, Object.values(DOCUMENTS));
+
+    expect(visible.map(document => document.id)).toEqual([10]);
+  });
+
+  test('should validate visibility settings before saving', async () => {
+    const { service, documentAccess } = createService();
+
+    await expect(service.setDocumentAccess(11, { visibility: 'secret' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.setDocumentAccess(11, { visibility: 'restricted', allowedRoles: ['pricing'] })).rejects.toMatchObject({ statusCode: 400 });
+
+    await service.setDocumentAccess(11, { visibility: 'restricted', allowedRoles: ['Volume Lead'], allowedUserIds: ['9'] }, 8);
+
+    expect(documentAccess.upsert).toHaveBeenCalledWith(11, expect.objectContaining({
+      visibility: 'restricted',
+      allowedRoles: ['volume_lead'],
+      allowedUserIds: [9]
+    }), 8);
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Unit Tests for PromptRuleConflictService
+ * Tests screening and model classification of rule pairs, re-checking only changed rules
+ * on save, applying resolutions to the rules, and how resolved rules compile
+ */
+
+const PromptRuleConflictService = require('../../../src/services/PromptRuleConflictService');
+const PromptCompilerService = require('../../../src/services/PromptCompilerService');
+const EmbeddingService = require('../../../src/services/EmbeddingService');
+
+const configRule = (id, rule, extra = {}) => ({ id, type: 'style', rule, enabled: true, order: 1, ...extra });
+
+// Unit vectors per rule text so cosine similarity is predictable
+const VECTORS = {
+  'Be concise': [1, 0, 0],
+  'Be exhaustive and cover every detail': [0.8, 0.6, 0],
+  'Spell out acronyms on first use': [0, 0, 1],
+  'Keep it short': [0.9, 0.43589, 0]
+};
+
+function createService(overrides = {}) {
+  const client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+  const conflictModel = {
+    findFingerprints: jest.fn().mockResolvedValue(new Set()),
+    create: jest.fn(async conflict => ({
+      id: 1,
+      source: conflict.source,
+      rule_a_key: conflict.ruleAKey,
+      rule_b_key: conflict.ruleBKey,
+      conflict_type: conflict.conflictType,
+      resolution: conflict.suggestedResolution,
+      is_resolved: false,
+      detection: conflict.detection
+    })),
+    deleteOpenForRules: jest.fn().mockResolvedValue(0),
+    list: jest.fn().mockResolvedValue([]),
+    findById: jest.fn(),
+    markResolved: jest.fn(async (id, { resolution, resolutionData }) => ({
+      id, source: 'config', rule_a_key: 'rule-1', rule_b_key: 'rule-2', conflict_type: 'contradictory',
+      resolution, resolution_data: resolutionData, is_resolved: true, detection: {}
+    }))
+  };
+  const embeddingService = {
+    embedTexts: jest.fn(async texts => ({ vectors: texts.map(text => VECTORS[text] || [0, 1, 0]) })),
+    calculateCosineSimilarity: EmbeddingService.prototype.calculateCosineSimilarity
+  };
+  const llmService = {
+    getModel: jest.fn().mockResolvedValue('qwen2.5:14b'),
+    generate: jest.fn().mockResolvedValue({
+      text: JSON.stringify({ pairs: [{ index: 1, relation: 'contradictory', explanation: 'Length pulls both ways', resolution: 'priority_based' }] })
+    })
+  };
+  const promptCompiler = {
+    getActiveConfig: jest.fn(),
+    saveRules: jest.fn().mockResolvedValue({}),
+    pool: { connect: jest.fn().mockResolvedValue(client) }
+  };
+
+  const service = new PromptRuleConflictService({ conflictModel, embeddingService, llmService, promptCompiler, ...overrides });
+  return { service, conflictModel, embeddingService, llmService, promptCompiler, client };
+}
+
+describe('PromptRuleConflictService detection', () => {
+  test('should only compare rules whose scopes overlap and let the model classify candidates', async () => {
+    const { service, llmService } = createService();
+    const fromConfig = PromptRuleConflictService.fromConfigRule;
+
+    const result = await service.detectConflicts(
+      [fromConfig(configRule('rule-1', 'Be concise'))],
+      [
+        fromConfig(configRule('rule-2', 'Be exhaustive and cover every detail')),
+        fromConfig(configRule('rule-3', 'Be exhaustive and cover every detail', { scope: { sectionTypes: ['cost-proposal'] } })),
+        fromConfig(configRule('rule-4', 'Spell out acronyms on first use'))
+      ]
+    );
+
+    // rule-3 is scoped to cost proposals, which the unrestricted rule-1 also covers;
+    // rule-4 is dissimilar and never reaches the model
+    expect(result.pairsChecked).toBe(3);
+    const prompt = llmService.generate.mock.calls[0][1].prompt;
+    expect(prompt).toContain('"Be concise"');
+    expect(prompt).not.toContain('Spell out acronyms');
+    expect(result.conflicts[0]).toMatchObject({
+      conflictType: 'contradictory',
+      suggestedResolution: 'priority_based',
+      ruleA: { key: 'rule-1' },
+      ruleB: { key: 'rule-2' },
+      detection: { opposing: ['length'], embedding: 0.8, explanation: 'Length pulls both ways', model: 'qwen2.5:14b' }
+    });
+    expect(result.conflicts[0].detection.methods).toEqual(['lexical', 'embedding', 'directives', 'llm']);
+  });
+
+  test('should skip pairs in separate scopes and drop pairs the model finds compatible', async () => {
+    const { service, llmService } = createService();
+    llmService.generate.mockResolvedValue({ text: '{"pairs": [{"index": 1, "relation": "compatible"}]}' });
+
+    const result = await service.detectConflicts(
+      [{ key: 'a', text: 'Be concise', scope: { sectionTypes: ['executive-summary'] } }],
+      [
+        { key: 'b', text: 'Be exhaustive and cover every detail', scope: { sectionTypes: ['technical-approach'] } },
+        { key: 'c', text: 'Keep it short', scope: {} }
+      ]
+    );
+
+    expect(result.pairsChecked).toBe(1);
+    expect(result.conflicts).toEqual([]);
+  });
+
+  test('should classify by scores when embeddings and the model are unavailable', async () => {
+    const { service, embeddingService, llmService } = createService();
+    embeddingService.embedTexts.mockRejectedValue(new Error('connect ECONNREFUSED'));
+    llmService.generate.mockRejectedValue(new Error('model not found'));
+
+    const result = await service.detectConflicts(
+      [{ key: 'a', text: 'Be concise.', scope: {} }],
+      [
+        { key: 'b', text: 'Be exhaustive in every section.', scope: {} },
+        { key: 'c', text: 'Quantify outcomes with metrics', scope: {} },
+        { key: 'd', text: 'Outcomes should be quantified with metrics', scope: {} }
+      ]
+    );
+
+    expect(result.conflicts).toHaveLength(1);
+    expect(result.conflicts[0]).toMatchObject({
+      conflictType: 'contradictory',
+      suggestedResolution: 'context_specific',
+      detection: { embedding: null, methods: ['lexical', 'directives'], explanation: 'The rules ask for opposite length.' }
+    });
+    expect(result.warnings).toHaveLength(2);
+  });
+});
+
+describe('PromptRuleConflictService config rules', () => {
+  test('should re-check only added or changed rules and clear conflicts of removed ones', async () => {
+    const { service, conflictModel, embeddingService } = createService();
+    conflictModel.findFingerprints.mockImplementation(async (source, fingerprints) => new Set([fingerprints[1]]));
+
+    const previous = [
+      configRule('rule-1', 'Be concise', { order: 3 }),
+      configRule('rule-2', 'Spell out acronyms on first use'),
+      configRule('rule-9', 'Use headings')
+    ];
+    const next = [
+      configRule('rule-1', 'Be concise', { order: 1 }),
+      configRule('rule-2', 'Spell out acronyms on first use'),
+      configRule('rule-3', 'Be exhaustive and cover every detail'),
+      configRule('rule-4', 'Keep it short')
+    ];
+
+    const result = await service.syncConfigConflicts(previous, next, { useLlm: false });
+
+    expect(conflictModel.deleteOpenForRules).toHaveBeenCalledWith('config', ['rule-3', 'rule-4', 'rule-9']);
+    const embedded = embeddingService.embedTexts.mock.calls[0][0];
+    expect(embedded).toEqual(expect.arrayContaining(['Be exhaustive and cover every detail', 'Keep it short', 'Be concise']));
+    // rule-3 contradicts rule-4 and rule-1 (already recorded), rule-4 overlaps rule-1
+    expect(conflictModel.create).toHaveBeenCalledTimes(2);
+    expect(result.detected.map(conflict => [conflict.ruleA.key, conflict.ruleB.key, conflict.conflictType])).toEqual([
+      ['rule-3', 'rule-4', 'contradictory'],
+      ['rule-4', 'rule-1', 'overlapping']
+    ]);
+    expect(result.detected[0]).toMatchObject({ status: 'open', ruleA: { exists: true, text: 'Be exhaustive and cover every detail' } });
+  });
+
+  test('should merge two rules into the kept one and save in a transaction', async () => {
+    const { service, conflictModel, promptCompiler, client } = createService();
+    const rules = [
+      configRule('rule-1', 'Be concise', { order: 1 }),
+      configRule('rule-2', 'Keep it short', { order: 2, overrides: ['rule-3'] }),
+      configRule('rule-3', 'Spell out acronyms on first use', { order: 3, overrides: ['rule-2'] })
+    ];
+    conflictModel.findById.mockResolvedValue({ id: 5, source: 'config', rule_a_key: 'rule-1', rule_b_key: 'rule-2', is_resolved: false });
+    promptCompiler.getActiveConfig.mockResolvedValue({ id: 1, rules });
+
+    const result = await service.resolveConflict(5, { resolution: 'merge', keepKey: 'rule-1', mergedText: 'Be concise and short', note: 'dup' }, 42);
+
+    expect(result.rules).toEqual([
+      expect.objectContaining({ id: 'rule-1', rule: 'Be concise and short', order: 1, overrides: ['rule-3'] }),
+      expect.objectContaining({ id: 'rule-3', order: 2, overrides: [] })
+    ]);
+    expect(conflictModel.markResolved).toHaveBeenCalledWith(5, {
+      resolution: 'merge',
+      resolutionData: expect.objectContaining({ keptKey: 'rule-1', removedKey: 'rule-2', note: 'dup' })
+    }, 42, client);
+    expect(promptCompiler.saveRules).toHaveBeenCalledWith(1, result.rules, 42, client);
+    expect(client.query.mock.calls.map(call => call[0])).toEqual(['BEGIN', 'COMMIT']);
+    expect(rules[0].rule).toBe('Be concise');
+  });
+
+  test('should reject resolutions that leave the rules in conflict', async () => {
+    const { service, conflictModel, promptCompiler } = createService();
+    promptCompiler.getActiveConfig.mockResolvedValue({
+      id: 1,
+      rules: [configRule('rule-1', 'Be concise'), configRule('rule-2', 'Be exhaustive and cover every detail')]
+    });
+    conflictModel.findById.mockResolvedValue({ id: 5, source: 'config', rule_a_key: 'rule-1', rule_b_key: 'rule-2', is_resolved: false });
+
+    await expect(service.resolveConflict(5, {
+      resolution: 'context_specific',
+      scopes: { 'rule-1': { sectionTypes: ['executive-summary'] }, 'rule-2': { documentTypes: ['solicitations'] } }
+    })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.resolveConflict(5, { resolution: 'priority_based', winnerKey: 'rule-7' }))
+      .rejects.toThrow('winnerKey must be one of the two conflicting rules');
+
+    conflictModel.findById.mockResolvedValue({ id: 5, source: 'config', is_resolved: true });
+    await expect(service.resolveConflict(5, { resolution: 'dismissed' })).rejects.toMatchObject({ statusCode: 409 });
+    expect(promptCompiler.saveRules).not.toHaveBeenCalled();
+  });
+});
+
+describe('PromptCompilerService rule scopes', () => {
+  test('should compile only the rules scoped to the request and state precedence', async () => {
+    const compiler = new PromptCompilerService({});
+    const config = {
+      base_prompt: 'Base',
+      rules: [
+        configRule('rule-1', 'Be concise', { order: 1, scope: { sectionTypes: ['executive-summary'] } }),
+        configRule('rule-2', 'Be exhaustive', { order: 2, scope: { sectionTypes: ['technical-approach'] } }),
+        configRule('rule-3', 'Use active voice', { order: 3, overrides: ['rule-4'] }),
+        configRule('rule-4', 'Prefer passive voice for findings', { order: 4 })
+      ],
+      variables: []
+    };
+
+    const prompt = await compiler.compileGlobalPrompt(config, { sectionType: 'executive_summary' });
+    expect(prompt).toContain('1. Be concise');
+    expect(prompt).not.toContain('Be exhaustive');
+    expect(prompt).toContain('2. Use active voice\n   Where it conflicts with rule 3, follow this rule.');
+
+    const preview = await compiler.compileGlobalPrompt(config, { showScopes: true });
+    expect(preview).toContain('2. Be exhaustive\n   Applies to sections: technical-approach');
+  });
+});
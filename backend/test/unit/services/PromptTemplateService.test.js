@@ -0,0 +1,221 @@
+/**
+ * Unit Tests for PromptTemplateService
+ * Tests template versioning, weighted experiment assignment and templated prompts, experiment
+ * status rules, variant comparison, and writer ratings with edit distance
+ */
+
+const PromptTemplateService = require('../../../src/services/PromptTemplateService');
+
+const templateRow = (extra = {}) => ({
+  id: 1,
+  template_name: 'Technical approach',
+  template_type: 'section_generation',
+  applicable_sections: ['technical'],
+  is_active: true,
+  current_version: 1,
+  version_id: 11,
+  body: 'Draft a technical approach for {{AGENCY_NAME}} in a {{TONE}} tone.',
+  variables: [{ type: 'enum', name: 'TONE', default: 'formal', options: ['formal', 'plain'], required: false, description: null }],
+  ...extra
+});
+
+const variantRow = (id, label, weight, body, variables = []) => ({
+  id, label, weight, template_id: id * 10, template_name: `Template ${label}`,
+  template_version_id: id * 100, version_number: 1, body, variables
+});
+
+function createService(overrides = {}) {
+  const templateModel = {
+    listTemplates: jest.fn().mockResolvedValue([]),
+    getTemplate: jest.fn().mockResolvedValue(templateRow()),
+    listVersions: jest.fn().mockResolvedValue([]),
+    createTemplate: jest.fn().mockResolvedValue(1),
+    updateTemplate: jest.fn().mockResolvedValue({}),
+    addVersion: jest.fn(async (id, version) => ({ id: 12, template_id: id, version_number: 2, ...version })),
+    incrementUsage: jest.fn().mockResolvedValue(),
+    getVersion: jest.fn(async id => ({ id, template_name: `Template ${id}`, applicable_sections: ['technical'] })),
+    createExperiment: jest.fn().mockResolvedValue(5),
+    getExperiment: jest.fn().mockResolvedValue({ id: 5, name: 'Tone test', section_type: 'technical', status: 'draft' }),
+    listVariants: jest.fn().mockResolvedValue([
+      variantRow(1, 'A', 1, 'Write {{USER_INPUT}} formally.'),
+      variantRow(2, 'B', 3, 'Lead with win themes.')
+    ]),
+    findRunningExperiment: jest.fn().mockResolvedValue(null),
+    updateExperimentStatus: jest.fn(async (id, status) => ({ id, status, section_type: 'technical' })),
+    getVariantResults: jest.fn().mockResolvedValue([]),
+    createGeneration: jest.fn().mockResolvedValue({ id: 77 }),
+    getGeneration: jest.fn().mockResolvedValue({ id: 77, user_id: 3, content: 'We deliver secure cloud services on time' }),
+    rateGeneration: jest.fn(async (id, { rating }) => ({ id, rating })),
+    recordEdit: jest.fn(async (id, edit) => ({ id, rating: 4, edit_distance: edit.distance, edit_ratio: edit.ratio }))
+  };
+  const promptCompiler = {
+    resolveVariable: jest.fn(async ({ key }) => (key === '{{AGENCY_NAME}}' ? 'DHS' : ''))
+  };
+
+  const service = new PromptTemplateService({ templateModel, promptCompiler, random: () => 0.5, ...overrides });
+  return { service, templateModel, promptCompiler };
+}
+
+describe('PromptTemplateService', () => {
+  describe('templates', () => {
+    test('should reject undeclared placeholders and map duplicate names to 409', async () => {
+      const { service, templateModel } = createService();
+
+      await expect(service.createTemplate({ name: 'Approach', body: 'Use {{TONE}}' }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Invalid template: {{TONE}} is not declared' });
+
+      templateModel.createTemplate.mockRejectedValue(Object.assign(new Error('duplicate'), { code: '23505' }));
+      await expect(service.createTemplate({ name: 'Approach', body: 'Write {{USER_INPUT}}' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('should add a version only when the body or variables change', async () => {
+      const { service, templateModel } = createService();
+      const { variables } = templateRow();
+
+      const same = await service.updateTemplate(1, { body: templateRow().body, variables: [{ ...variables[0] }] }, 3);
+      expect(same.newVersion).toBeNull();
+      expect(templateModel.addVersion).not.toHaveBeenCalled();
+
+      const changed = await service.updateTemplate(1, { body: 'Draft it for {{AGENCY_NAME}} in a {{TONE}} voice.', changeNote: 'Voice' }, 3);
+      expect(changed.newVersion.versionNumber).toBe(2);
+      expect(templateModel.addVersion).toHaveBeenCalledWith(1, expect.objectContaining({ changeNote: 'Voice' }), 3);
+    });
+  });
+
+  describe('prepareGeneration', () => {
+    test('should render a requested template and follow it with the writer prompt', async () => {
+      const { service } = createService();
+
+      const prepared = await service.prepareGeneration('Cover our DevSecOps pipeline', {
+        promptTemplateId: 1,
+        templateVariables: { TONE: 'plain' }
+      });
+
+      expect(prepared.text).toBe('Draft a technical approach for DHS in a plain tone.\n\nCover our DevSecOps pipeline');
+      expect(prepared.assignment).toMatchObject({ templateId: 1, versionId: 11, experimentId: null });
+      expect(prepared.assignment.body).toBeUndefined();
+    });
+
+    test('should reject a requested template with a bad value but skip a failing experiment', async () => {
+      const { service, templateModel } = createService();
+
+      await expect(service.prepareGeneration('Prompt', { promptTemplateId: 1, templateVariables: { TONE: 'casual' } }))
+        .rejects.toMatchObject({ statusCode: 400 });
+
+      templateModel.findRunningExperiment.mockResolvedValue({ id: 5 });
+      templateModel.listVariants.mockResolvedValue([variantRow(1, 'A', 1, '{{PAGES}} pages', [{ name: 'PAGES', type: 'number', required: true }])]);
+      await expect(service.prepareGeneration('Prompt', { sectionType: 'Technical' })).resolves.toBeNull();
+    });
+
+    test('should assign experiment variants by weight and place the prompt at USER_INPUT', async () => {
+      const { service, templateModel } = createService({ random: () => 0.1 });
+      templateModel.findRunningExperiment.mockResolvedValue({ id: 5 });
+
+      const first = await service.prepareGeneration('the transition plan', { sectionType: 'Technical' });
+      expect(templateModel.findRunningExperiment).toHaveBeenCalledWith('technical');
+      expect(first.text).toBe('Write the transition plan formally.');
+      expect(first.assignment).toMatchObject({ experimentId: 5, variantId: 1, variantLabel: 'A' });
+
+      service.random = () => 0.5;
+      const second = await service.prepareGeneration('the transition plan', { sectionType: 'technical' });
+      expect(second.text).toBe('Lead with win themes.\n\nthe transition plan');
+      expect(second.assignment.variantLabel).toBe('B');
+    });
+
+    test('should generate without a template when nothing applies', async () => {
+      const { service } = createService();
+
+      await expect(service.prepareGeneration('Prompt', { sectionType: 'management' })).resolves.toBeNull();
+      await expect(service.prepareGeneration('Prompt', {})).resolves.toBeNull();
+    });
+  });
+
+  describe('experiments', () => {
+    test('should validate variants on create', async () => {
+      const { service, templateModel } = createService();
+
+      await expect(service.createExperiment({ name: 'Tone', sectionType: 'technical', variants: [{ templateVersionId: 100 }] }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(service.createExperiment({
+        name: 'Tone', sectionType: 'technical', variants: [{ templateVersionId: 100 }, { templateVersionId: 100 }]
+      })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(service.createExperiment({
+        name: 'Tone', sectionType: 'management', variants: [{ templateVersionId: 100 }, { templateVersionId: 200 }]
+      })).rejects.toThrow('does not apply to management sections');
+
+      await service.createExperiment({
+        name: 'Tone', sectionType: 'Technical', variants: [{ templateVersionId: 100 }, { templateVersionId: 200, weight: 3 }]
+      }, 3);
+      expect(templateModel.createExperiment).toHaveBeenCalledWith(
+        { name: 'Tone', description: null, sectionType: 'technical' },
+        [{ label: 'A', templateVersionId: 100, weight: 1 }, { label: 'B', templateVersionId: 200, weight: 3 }],
+        3
+      );
+    });
+
+    test('should refuse to start with required inputs or while another experiment runs', async () => {
+      const { service, templateModel } = createService();
+
+      templateModel.listVariants.mockResolvedValueOnce([
+        variantRow(1, 'A', 1, '{{PAGES}}', [{ name: 'PAGES', type: 'number', required: true }]),
+        variantRow(2, 'B', 1, 'Plain')
+      ]);
+      await expect(service.changeExperimentStatus(5, 'start')).rejects.toThrow('A (PAGES)');
+
+      templateModel.findRunningExperiment.mockResolvedValue({ id: 9, name: 'Length test' });
+      await expect(service.changeExperimentStatus(5, 'start')).rejects.toMatchObject({ statusCode: 409 });
+
+      templateModel.findRunningExperiment.mockResolvedValue(null);
+      templateModel.updateExperimentStatus.mockRejectedValueOnce(Object.assign(new Error('unique'), { code: '23505' }));
+      await expect(service.changeExperimentStatus(5, 'start')).rejects.toMatchObject({ statusCode: 409 });
+
+      await expect(service.changeExperimentStatus(5, 'pause')).rejects.toMatchObject({ statusCode: 409 });
+      await expect(service.changeExperimentStatus(5, 'restart')).rejects.toMatchObject({ statusCode: 400 });
+
+      const started = await service.changeExperimentStatus(5, 'start');
+      expect(started.status).toBe('running');
+    });
+
+    test('should compare variants with the control', async () => {
+      const { service, templateModel } = createService();
+      const results = (label, ratingMean, editMean, count = 10) => ({
+        variant_id: label === 'A' ? 1 : 2, label, weight: 1, generations: String(count),
+        ratings: String(count), rating_mean: String(ratingMean), rating_stddev: '1',
+        rating_1: '0', rating_2: '1', rating_3: '4', rating_4: '4', rating_5: '1',
+        edited: '4', edit_ratio_mean: String(editMean), edit_ratio_stddev: '0.1'
+      });
+      templateModel.getVariantResults.mockResolvedValue([results('A', 3, 0.3), results('B', 4, 0.25)]);
+
+      const { variants, control } = await service.getExperimentResults(5);
+
+      expect(control).toBe('A');
+      expect(variants[0].rating).toEqual({ count: 10, mean: 3, stddev: 1, distribution: [0, 1, 4, 4, 1] });
+      expect(variants[1].comparison.rating).toEqual({ difference: 1, pValue: 0.0382, significant: true, enoughData: true });
+      expect(variants[1].comparison.editRatio).toMatchObject({ enoughData: false, significant: false });
+    });
+  });
+
+  describe('rateGeneration', () => {
+    test('should check the rating and who may rate', async () => {
+      const { service } = createService();
+
+      await expect(service.rateGeneration(77, { rating: 6 }, { id: 3 })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(service.rateGeneration(77, { rating: 4 }, { id: 8, role: 'writer' })).rejects.toMatchObject({ statusCode: 403 });
+      await expect(service.rateGeneration(77, { rating: 4 }, { id: 8, role: 'admin' })).resolves.toMatchObject({ rating: 4 });
+    });
+
+    test('should record the edit distance of the text the writer kept', async () => {
+      const { service, templateModel } = createService();
+
+      const rated = await service.rateGeneration(77, {
+        rating: 4,
+        finalContent: 'We deliver secure cloud services ahead of schedule'
+      }, { id: 3, role: 'writer' });
+
+      expect(templateModel.recordEdit).toHaveBeenCalledWith(77, expect.objectContaining({ distance: 5 }));
+      expect(rated.editDistance).toBe(5);
+      expect(rated.editRatio).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Unit Tests for RetrievalService
+ * Tests hybrid candidate fusion, reranking with fallback, the token budget and restricted documents
+ */
+
+const RetrievalService = require('../../../src/services/RetrievalService');
+const LLMService = require('../../../src/services/LLMService');
+const MockProvider = require('../../../src/services/llm/MockProvider');
+
+const CHUNKS = {
+  1: { id: 1, documentId: '10', documentName: 'rfp.pdf', chunkIndex: 0, sectionType: 'technical', paragraphId: 'C.3.2', pageStart: 14, pageEnd: 15, content: 'The contractor shall migrate workloads to the cloud.' },
+  2: { id: 2, documentId: '10', documentName: 'rfp.pdf', chunkIndex: 1, sectionType: 'general', content: 'Help desk support is required during business hours.' },
+  3: { id: 3, documentId: '20', documentName: 'sow.docx', chunkIndex: 0, sectionType: 'management', content: 'Monthly status reports describe cloud migration progress.' }
+};
+
+function createService({ lexical = [1, 2], vector = [3, 1], settings = {}, provider = new MockProvider({ dimension: 8 }) } = {}) {
+  const contextChunk = {
+    lexicalSearch: jest.fn(async () => lexical.map((id, index) => ({ ...CHUNKS[id], score: 1 / (index + 1) }))),
+    vectorSearch: jest.fn(async () => vector.map((id, index) => ({ ...CHUNKS[id], score: 0.9 - index / 10 })))
+  };
+  const llmService = new LLMService({
+    settingsService: { getLlmTaskRouting: async () => ({}) },
+    providers: { ollama: provider }
+  });
+  const embeddingService = { embedTexts: jest.fn(async () => ({ vectors: [[0.1, 0.2]], model: 'mock-embed' })) };
+  const permissionService = {
+    filterDocuments: jest.fn(async (user, documents) => documents.filter(document => document.id !== 20 || user.role === 'admin'))
+  };
+
+  const service = new RetrievalService({
+    contextChunk,
+    embeddingService,
+    llmService,
+    permissionService,
+    settingsService: { getSettingValue: async (key, defaultValue) => (key in settings ? settings[key] : defaultValue) }
+  });
+  return { service, contextChunk, embeddingService, permissionService, provider };
+}
+
+const request = { projectName: 'Alpha', documentType: 'solicitations', query: 'cloud migration' };
+
+describe('RetrievalService', () => {
+  test('should fuse full-text and vector candidates', async () => {
+    const { service, contextChunk } = createService();
+
+    const result = await service.retrieve(request);
+
+    expect(result.passages.map(p => p.id)).toEqual([1, 3, 2]);
+    expect(result.passages[0]).toMatchObject({ passageNumber: 1, ranks: { lexical: 1, vector: 2 } });
+    expect(result.passages[2].section).toBe('part 2');
+    expect(contextChunk.vectorSearch).toHaveBeenCalledWith(expect.objectContaining({ embeddingModel: 'mock-embed' }));
+  });
+
+  test('should label passages with paragraph and page citations', async () => {
+    const { service } = createService();
+
+    const [first, second, third] = (await service.retrieve(request)).passages;
+
+    expect(first.citation).toBe('[Source: rfp.pdf, C.3.2, pp.14-15]');
+    expect(second.citation).toBe('[Source: sow.docx, management]');
+    expect(third.page).toBeNull();
+  });
+
+  test('should fall back to full-text when the query cannot be embedded', async () => {
+    const { service, embeddingService } = createService();
+    embeddingService.embedTexts.mockRejectedValue(new Error('connection refused'));
+
+    const result = await service.retrieve(request);
+
+    expect(result.passages.map(p => p.id)).toEqual([1, 2]);
+    expect(result.retrievers.vector.error).toBe('connection refused');
+  });
+
+  test('should fail when both retrievers fail', async () => {
+    const { service, contextChunk, embeddingService } = createService();
+    contextChunk.lexicalSearch.mockRejectedValue(new Error('no table'));
+    embeddingService.embedTexts.mockRejectedValue(new Error('no model'));
+
+    await expect(service.retrieve(request)).rejects.toThrow('Retrieval failed');
+  });
+
+  test('should reorder candidates with the cross-encoder', async () => {
+    const { service } = createService({ settings: { 'context.reranker': 'cross-encoder' } });
+
+    const result = await service.retrieve(request);
+
+    expect(result.rerank).toMatchObject({ reranker: 'cross-encoder', applied: true });
+    expect(result.passages[0].rerankScore).toBe(1);
+    expect(result.passages[result.passages.length - 1].id).toBe(2);
+  });
+
+  test('should keep the fused order when the LLM reranker returns the wrong number of scores', async () => {
+    const provider = new MockProvider({ responses: { 'Rate how useful': '{"scores": [3]}' } });
+    const { service } = createService({ provider });
+
+    const result = await service.retrieve({ ...request, reranker: 'llm' });
+
+    expect(result.rerank.applied).toBe(false);
+    expect(result.rerank.error).toMatch('1 scores for 3 passages');
+    expect(result.passages.map(p => p.id)).toEqual([1, 3, 2]);
+  });
+
+  test('should apply LLM scores', async () => {
+    const provider = new MockProvider({ responses: { 'Rate how useful': '{"scores": [2, 9, 5]}' } });
+    const { service } = createService({ provider });
+
+    const result = await service.retrieve({ ...request, reranker: 'llm' });
+
+    expect(result.passages.map(p => p.id)).toEqual([3, 2, 1]);
+  });
+
+  test('should respect topK and the token budget', async () => {
+    const { service } = createService({ settings: { 'context.retrieval_top_k': 2, 'context.retrieval_token_budget': 14 } });
+
+    const result = await service.retrieve(request);
+
+    expect(result.passages.map(p => p.id)).toEqual([1]);
+    expect(result.skippedForBudget).toBe(2);
+  });
+
+  test('should leave out passages from documents the user may not see', async () => {
+    const { service, permissionService } = createService();
+
+    const result = await service.retrieve({ ...request, user: { id: 7, role: 'writer' } });
+
+    expect(result.passages.map(p => p.id)).toEqual([1, 2]);
+    expect(permissionService.filterDocuments).toHaveBeenCalledWith(
+      { id: 7, role: 'writer' },
+      [{ id: 10, projectName: 'Alpha' }, { id: 20, projectName: 'Alpha' }]
+    );
+
+    const admin = await service.retrieve({ ...request, user: { id: 1, role: 'admin' } });
+    expect(admin.passages.map(p => p.id)).toEqual([1, 3, 2]);
+  });
+
+  test('should validate the request', async () => {
+    const { service } = createService();
+
+    await expect(service.retrieve({ ...request, query: ' ' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.retrieve({ ...request, reranker: 'magic' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit Tests for TokenizerService
+ * Tests model family resolution, estimated fallbacks, tokenizer loading and count caching
+ */
+
+const os = require('os');
+const path = require('path');
+const TokenizerService = require('../../../src/services/TokenizerService');
+
+// Counts one token per word, enough to tell exact counts from the character estimate
+const wordTokenizer = () => ({ count: jest.fn(text => text.split(/\s+/).filter(Boolean).length) });
+
+describe('TokenizerService', () => {
+  test('should resolve Ollama and Hugging Face model names to families', () => {
+    expect(TokenizerService.resolveFamily('qwen2.5:14b-instruct-q4_0')).toBe('qwen');
+    expect(TokenizerService.resolveFamily('Qwen/Qwen2.5-7B-Instruct')).toBe('qwen');
+    expect(TokenizerService.resolveFamily('gemma2:9b')).toBe('gemma');
+    expect(TokenizerService.resolveFamily('gemma3:12b')).toBe('gemma3');
+    expect(TokenizerService.resolveFamily('llama3.1:8b')).toBe('llama3');
+    expect(TokenizerService.resolveFamily('mistral:7b')).toBeNull();
+    expect(TokenizerService.resolveFamily(null)).toBeNull();
+  });
+
+  test('should estimate unknown models without loading a tokenizer', async () => {
+    const loadTokenizer = jest.fn();
+    const service = new TokenizerService({ loadTokenizer });
+    const counter = await service.getCounter('mistral:7b');
+
+    expect(counter).toMatchObject({ family: null, exact: false, error: null });
+    expect(counter.count('a'.repeat(10))).toBe(3);
+    expect(loadTokenizer).not.toHaveBeenCalled();
+  });
+
+  test('should fall back to the estimate and report missing tokenizer files', async () => {
+    const service = new TokenizerService({ tokenizerPath: path.join(os.tmpdir(), 'no-tokenizers-here') });
+    const counter = await service.getCounter('qwen2.5:14b');
+
+    expect(counter.exact).toBe(false);
+    expect(counter.family).toBe('qwen');
+    expect(counter.error).toContain('tokenizer file not found');
+    expect(counter.count('12345678')).toBe(2);
+  });
+
+  test('should load each family once and cache counts per text', async () => {
+    const tokenizer = wordTokenizer();
+    const loadTokenizer = jest.fn(async () => tokenizer);
+    const service = new TokenizerService({ loadTokenizer });
+
+    const [first, second] = await Promise.all([service.getCounter('qwen2.5:14b'), service.getCounter('qwq:32b')]);
+    expect(first.exact).toBe(true);
+    expect(loadTokenizer).toHaveBeenCalledTimes(1);
+    expect(loadTokenizer).toHaveBeenCalledWith('qwen', expect.stringContaining(path.join('qwen', 'tokenizer.json')));
+
+    expect(first.count('the contractor shall provide')).toBe(4);
+    expect(second.count('the contractor shall provide')).toBe(4);
+    expect(first.count('')).toBe(0);
+    expect(tokenizer.count).toHaveBeenCalledTimes(1);
+  });
+
+  test('should total chunk counts and report preloaded tokenizers', async () => {
+    const service = new TokenizerService({ loadTokenizer: async () => wordTokenizer() });
+
+    const result = await service.countChunks([{ content: 'one two' }, { content: 'three' }, {}], 'gemma2:9b');
+    expect(result).toEqual({ total: 3, counts: [2, 1, 0], family: 'gemma', exact: true });
+
+    const preloaded = await service.preload(['gemma2:9b', 'gemma2:9b', 'mistral:7b', null]);
+    expect(preloaded).toEqual([
+      { model: 'gemma2:9b', family: 'gemma', exact: true, error: null },
+      { model: 'mistral:7b', family: null, exact: false, error: null }
+    ]);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Unit Tests for the BPE Tokenizer
+ * Tests byte-level BPE with a Qwen-style split pattern, SentencePiece-style BPE with byte
+ * fallback, added tokens, and the tokenizers library's split behaviors
+ */
+
+const BPETokenizer = require('../../../src/utils/bpeTokenizer');
+
+const QWEN_PATTERN = "(?i:'s|'t|'re|'ve|'m|'ll|'d)|[^\\r\\n\\p{L}\\p{N}]?\\p{L}+|\\p{N}| ?[^\\s\\p{L}\\p{N}]+[\\r\\n]*|\\s*[\\r\\n]+|\\s+(?!\\S)|\\s+";
+
+// Every byte as a single-character token, as in a real byte-level vocabulary
+function byteLevelVocab(extra) {
+  const vocab = {};
+  let id = 0;
+  for (let code = 33; code <= 126; code++) vocab[String.fromCharCode(code)] = id++;
+  ['Ġ', 'Ċ', 'Ã', '©'].forEach(char => { vocab[char] = id++; });
+  extra.forEach(token => { vocab[token] = id++; });
+  return vocab;
+}
+
+const qwenStyle = new BPETokenizer({
+  added_tokens: [{ id: 900, content: '<|im_start|>', special: true, normalized: false }],
+  normalizer: { type: 'NFC' },
+  pre_tokenizer: {
+    type: 'Sequence',
+    pretokenizers: [
+      { type: 'Split', pattern: { Regex: QWEN_PATTERN }, behavior: 'Isolated', invert: false },
+      { type: 'ByteLevel', add_prefix_space: false, trim_offsets: false, use_regex: false }
+    ]
+  },
+  model: {
+    type: 'BPE',
+    vocab: byteLevelVocab(['th', 'the', 'Ġt', 'Ġthe', 'Ġthem', 'Ġtheme', "'s", 'Ã©']),
+    // 'Ġ t' ranks below 't h', so ' theme' only reaches Ġtheme through 'Ġ the'
+    merges: ['t h', 'th e', 'Ġ t', 'Ġ the', 'Ġthe m', 'Ġthem e', "' s", 'Ã ©']
+  }
+});
+
+const gemmaStyle = new BPETokenizer({
+  added_tokens: [{ id: 2, content: '<start_of_turn>', special: true, normalized: false }],
+  normalizer: { type: 'Replace', pattern: { String: ' ' }, content: '▁' },
+  pre_tokenizer: null,
+  model: {
+    type: 'BPE',
+    byte_fallback: true,
+    vocab: {
+      '<0xF0>': 0, '<0x9F>': 1, '<0x93>': 3, '<0x84>': 4,
+      '▁': 5, 'a': 6, 'b': 7, 'c': 8, '▁c': 9, '▁ca': 10, '▁cab': 11, 'ab': 12
+    },
+    merges: [['▁', 'c'], ['▁c', 'a'], ['▁ca', 'b'], ['a', 'b']]
+  }
+});
+
+describe('BPETokenizer byte-level', () => {
+  test('should split with the model pattern and apply merges by rank', () => {
+    expect(qwenStyle.encode("the theme's 2026")).toEqual(['the', 'Ġtheme', "'s", 'Ġ', '2', '0', '2', '6']);
+    expect(qwenStyle.encode("THE'S")).toEqual(['T', 'H', 'E', "'", 'S']);
+    expect(qwenStyle.count('')).toBe(0);
+  });
+
+  test('should encode UTF-8 bytes and keep added tokens whole', () => {
+    expect(qwenStyle.encode('é')).toEqual(['Ã©']);
+    // NFC composes e + combining acute into the same two bytes
+    expect(qwenStyle.count('é')).toBe(1);
+    expect(qwenStyle.encode('<|im_start|>the')).toEqual(['<|im_start|>', 'the']);
+  });
+});
+
+describe('BPETokenizer SentencePiece-style', () => {
+  test('should merge across the whole normalized text and fall back to bytes', () => {
+    expect(gemmaStyle.encode('ab cab')).toEqual(['ab', '▁cab']);
+    expect(gemmaStyle.encode('a 📄')).toEqual(['a', '▁', '<0xF0>', '<0x9F>', '<0x93>', '<0x84>']);
+    expect(gemmaStyle.encode('<start_of_turn>ab')).toEqual(['<start_of_turn>', 'ab']);
+  });
+
+  test('should prepend the Metaspace marker only at the start for the "first" scheme', () => {
+    const metaspace = new BPETokenizer({
+      added_tokens: [{ content: '<s>', normalized: false }],
+      pre_tokenizer: { type: 'Metaspace', replacement: '▁', prepend_scheme: 'first', split: true },
+      model: { type: 'BPE', vocab: { '▁': 0, a: 1, b: 2, '▁a': 3 }, merges: ['▁ a'] }
+    });
+
+    expect(metaspace.encode('a ab')).toEqual(['▁a', '▁a', 'b']);
+    expect(metaspace.encode('<s>a')).toEqual(['<s>', 'a']);
+  });
+
+  test('should reject tokenizers it cannot reproduce', () => {
+    expect(() => new BPETokenizer({ model: { type: 'WordPiece', vocab: {} } })).toThrow('Unsupported tokenizer model: WordPiece');
+    expect(() => new BPETokenizer({ model: { type: 'BPE', vocab: {}, merges: [] }, normalizer: { type: 'BertNormalizer' } }))
+      .toThrow('Unsupported normalizer: BertNormalizer');
+  });
+});
+
+describe('splitWithBehavior', () => {
+  test('should match the tokenizers library for each behavior', () => {
+    const split = behavior => BPETokenizer.splitWithBehavior('the-final--countdown', /-/g, behavior);
+
+    expect(split('Removed')).toEqual(['the', 'final', 'countdown']);
+    expect(split('Isolated')).toEqual(['the', '-', 'final', '-', '-', 'countdown']);
+    expect(split('MergedWithPrevious')).toEqual(['the-', 'final-', '-', 'countdown']);
+    expect(split('MergedWithNext')).toEqual(['the', '-final', '-', '-countdown']);
+    expect(split('Contiguous')).toEqual(['the', '-', 'final', '--', 'countdown']);
+  });
+});
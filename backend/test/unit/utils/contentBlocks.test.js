@@ -0,0 +1,45 @@
+/**
+ * Unit Tests for Content Block Utilities
+ * Tests splitting section text into export blocks and inline bold runs
+ */
+
+const { parseContentBlocks, parseInlineRuns } = require('../../../src/utils/contentBlocks');
+
+describe('parseContentBlocks', () => {
+  test('should split headings, lists and paragraphs', () => {
+    const blocks = parseContentBlocks([
+      '## Technical Approach',
+      'Our team delivers',
+      'on schedule.',
+      '',
+      '- Agile sprints',
+      '* Weekly demos',
+      '1. Discovery',
+      '2) Delivery'
+    ].join('\n'));
+
+    expect(blocks).toEqual([
+      { type: 'heading', level: 2, text: 'Technical Approach' },
+      { type: 'paragraph', text: 'Our team delivers on schedule.' },
+      { type: 'bullet', text: 'Agile sprints' },
+      { type: 'bullet', text: 'Weekly demos' },
+      { type: 'numbered', number: 1, text: 'Discovery' },
+      { type: 'numbered', number: 2, text: 'Delivery' }
+    ]);
+  });
+
+  test('should return no blocks for empty content', () => {
+    expect(parseContentBlocks('')).toEqual([]);
+    expect(parseContentBlocks(null)).toEqual([]);
+  });
+});
+
+describe('parseInlineRuns', () => {
+  test('should split bold markup into runs', () => {
+    expect(parseInlineRuns('We hold **CMMI Level 3** today')).toEqual([
+      { text: 'We hold ', bold: false },
+      { text: 'CMMI Level 3', bold: true },
+      { text: ' today', bold: false }
+    ]);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Unit Tests for CSV Utilities
+ * Tests field quoting, formula neutralization, header/row layout and parsing
+ */
+
+const { formatCSVField, toCSV, parseCSV } = require('../../../src/utils/csv');
+
+describe('formatCSVField', () => {
+  test('should quote fields with commas, quotes and line breaks', () => {
+    expect(formatCSVField('plain')).toBe('plain');
+    expect(formatCSVField('a,b')).toBe('"a,b"');
+    expect(formatCSVField('say "hi"')).toBe('"say ""hi"""');
+    expect(formatCSVField('line\nbreak')).toBe('"line\nbreak"');
+  });
+
+  test('should write empty, date and object values', () => {
+    expect(formatCSVField(null)).toBe('');
+    expect(formatCSVField(undefined)).toBe('');
+    expect(formatCSVField(new Date('2026-01-02T03:04:05Z'))).toBe('2026-01-02T03:04:05.000Z');
+    expect(formatCSVField({ model: 'llama3' })).toBe('"{""model"":""llama3""}"');
+  });
+
+  test('should neutralize values spreadsheets would run as formulas', () => {
+    expect(formatCSVField('=SUM(A1:A2)')).toBe('\'=SUM(A1:A2)');
+    expect(formatCSVField('@cmd')).toBe('\'@cmd');
+    expect(formatCSVField(-5)).toBe('\'-5');
+  });
+});
+
+describe('toCSV', () => {
+  test('should write a header line and one CRLF-terminated line per row', () => {
+    const csv = toCSV(
+      [{ id: 1, name: 'Alpha' }, { id: 2, name: 'Bravo, Inc.' }],
+      [{ key: 'id', header: 'ID' }, { key: 'name', header: 'Name', value: row => row.name.toUpperCase() }]
+    );
+
+    expect(csv).toBe('ID,Name\r\n1,ALPHA\r\n2,"BRAVO, INC."\r\n');
+  });
+});
+
+describe('parseCSV', () => {
+  test('should parse quoted fields with commas, quotes and line breaks', () => {
+    const rows = parseCSV('\uFEFFName,Notes\r\n"Acme, Inc.","Said ""hi""\nthen left"\r\n');
+
+    expect(rows).toEqual([
+      ['Name', 'Notes'],
+      ['Acme, Inc.', 'Said "hi"\nthen left']
+    ]);
+  });
+
+  test('should keep empty fields and drop blank lines', () => {
+    expect(parseCSV('a,,c\n\n1,2,\n3')).toEqual([['a', '', 'c'], ['1', '2', ''], ['3']]);
+  });
+
+  test('should read back what toCSV writes', () => {
+    const rows = [{ text: 'x, "y"\nz' }];
+    expect(parseCSV(toCSV(rows, [{ key: 'text' }]))).toEqual([['text'], ['x, "y"\nz']]);
+  });
+});
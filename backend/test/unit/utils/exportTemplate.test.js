@@ -0,0 +1,82 @@
+/**
+ * Unit Tests for Export Template Utilities
+ * Tests settings resolution, header/footer placeholders and page-limit warnings
+ */
+
+const {
+  DEFAULT_EXPORT_SETTINGS,
+  resolveExportSettings,
+  fillPlaceholders,
+  estimatePages,
+  pageLimitWarnings
+} = require('../../../src/utils/exportTemplate');
+
+describe('resolveExportSettings', () => {
+  test('should merge nested settings over the defaults', () => {
+    const settings = resolveExportSettings({ font: { family: 'Arial', size: 11 }, header: { center: 'CUI' } });
+
+    expect(settings.font).toEqual({ ...DEFAULT_EXPORT_SETTINGS.font, family: 'Arial', size: 11 });
+    expect(settings.header).toEqual({ ...DEFAULT_EXPORT_SETTINGS.header, center: 'CUI' });
+    expect(settings.margins).toEqual(DEFAULT_EXPORT_SETTINGS.margins);
+  });
+
+  test('should clamp out-of-range values and reject unknown page sizes', () => {
+    const settings = resolveExportSettings({
+      pageSize: 'tabloid',
+      font: { size: 4 },
+      lineSpacing: 'double',
+      margins: { left: 10 }
+    });
+
+    expect(settings.pageSize).toBe('LETTER');
+    expect(settings.font.size).toBe(8);
+    expect(settings.lineSpacing).toBe(1);
+    expect(settings.margins.left).toBe(3);
+  });
+});
+
+describe('fillPlaceholders', () => {
+  test('should fill known values and keep page fields for the renderer', () => {
+    const text = fillPlaceholders('{solicitationNumber} - Page {page} of {pages}', { solicitationNumber: 'W912-25-R-0001' });
+
+    expect(text).toBe('W912-25-R-0001 - Page {page} of {pages}');
+    expect(fillPlaceholders('', {})).toBe('');
+  });
+});
+
+describe('pageLimitWarnings', () => {
+  const settings = resolveExportSettings({ wordsPerPage: 500 });
+
+  test('should estimate pages from word counts and account for line spacing', () => {
+    expect(estimatePages(0, settings)).toBe(0);
+    expect(estimatePages(501, settings)).toBe(2);
+    expect(estimatePages(501, { ...settings, lineSpacing: 2 })).toBe(3);
+  });
+
+  test('should flag sections and volumes over their limits', () => {
+    const warnings = pageLimitWarnings([{
+      title: 'Volume I',
+      pageLimit: 3,
+      sections: [
+        { title: 'Technical Approach', pageLimit: 2, wordCount: 1400 },
+        { title: 'Staffing', pageLimit: null, wordCount: 400 }
+      ]
+    }], settings);
+
+    expect(warnings.map(warning => [warning.scope, warning.title, warning.pages, warning.estimated])).toEqual([
+      ['section', 'Technical Approach', 3, true],
+      ['volume', 'Volume I', 4, true]
+    ]);
+  });
+
+  test('should prefer rendered page counts over estimates', () => {
+    const warnings = pageLimitWarnings([{
+      title: 'Volume I',
+      pageLimit: 5,
+      pages: 5,
+      sections: [{ title: 'Technical Approach', pageLimit: 2, wordCount: 5000, pages: 2 }]
+    }], settings);
+
+    expect(warnings).toEqual([]);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Unit Tests for iCalendar Output
+ * Tests text escaping, line folding and timed, all-day and alarmed events
+ */
+
+const { buildCalendar, escapeText, foldLine, formatDateTime } = require('../../../src/utils/ical');
+
+describe('iCalendar', () => {
+  test('should escape text values', () => {
+    expect(escapeText('Red Team; Vol. I, II\nC:\\docs')).toBe('Red Team\\; Vol. I\\, II\\nC:\\\\docs');
+    expect(escapeText(null)).toBe('');
+  });
+
+  test('should fold long lines at 75 octets without splitting characters', () => {
+    const line = `SUMMARY:${'é'.repeat(60)}`;
+    const folded = foldLine(line);
+    const parts = folded.split('\r\n');
+
+    expect(parts.length).toBeGreaterThan(1);
+    parts.forEach(part => expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75));
+    expect(parts.map((part, i) => (i === 0 ? part : part.slice(1))).join('')).toBe(line);
+    expect(foldLine('SHORT:1')).toBe('SHORT:1');
+  });
+
+  test('should build timed and all-day events', () => {
+    const calendar = buildCalendar({
+      name: 'Alpha Milestones',
+      events: [
+        { uid: 'milestone-1@test', start: new Date('2026-11-02T17:00:00Z'), end: new Date('2026-11-02T17:30:00Z'), summary: 'Alpha: Red Team, Day 1', alarmMinutes: 1440 },
+        { uid: 'milestone-2@test', start: new Date('2026-11-20T00:00:00Z'), allDay: true, summary: 'Alpha: Submission', status: 'CONFIRMED' }
+      ]
+    });
+    const lines = calendar.split('\r\n');
+
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('X-WR-CALNAME:Alpha Milestones');
+    expect(lines).toContain('DTSTART:20261102T170000Z');
+    expect(lines).toContain('DTEND:20261102T173000Z');
+    expect(lines).toContain('SUMMARY:Alpha: Red Team\\, Day 1');
+    expect(lines).toContain('TRIGGER:-PT1440M');
+    expect(lines).toContain('DTSTART;VALUE=DATE:20261120');
+    expect(lines).toContain('DTEND;VALUE=DATE:20261121');
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(2);
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(formatDateTime('2026-01-05T08:09:10.123Z')).toBe('20260105T080910Z');
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit Tests for Prompt Template Utilities
+ * Tests typed variable validation and rendering, weighted variant picks and Welch's t-test
+ */
+
+const {
+  extractPlaceholders,
+  validateTemplate,
+  requiredInputs,
+  renderTemplate,
+  pickWeighted,
+  welchTest
+} = require('../../../src/utils/promptTemplates');
+
+describe('validateTemplate', () => {
+  test('should require every placeholder to be declared or built in', () => {
+    const body = 'Write for {{AGENCY_NAME}} in a {{TONE}} tone. {{ WIN_THEMES }}';
+    expect(extractPlaceholders(body)).toEqual(['AGENCY_NAME', 'TONE', 'WIN_THEMES']);
+
+    expect(validateTemplate(body, [
+      { name: 'TONE', type: 'enum', options: ['formal', 'confident'], default: 'formal' },
+      { name: 'WIN_THEMES', type: 'list' },
+      { name: 'PAGE_LIMIT', type: 'number' }
+    ])).toEqual({ errors: [], warnings: ['PAGE_LIMIT is declared but not used in the template'] });
+
+    expect(validateTemplate(body, [{ name: 'TONE', type: 'enum', options: ['formal'], default: 'casual' }]).errors).toEqual([
+      'Default for TONE must be one of: formal',
+      '{{WIN_THEMES}} is not declared'
+    ]);
+  });
+
+  test('should reject bad names, types and redefined built-ins', () => {
+    const { errors } = validateTemplate('{{AGENCY_NAME}}', [
+      { name: 'tone', type: 'text' },
+      { name: 'AGENCY_NAME', type: 'text' },
+      { name: 'COUNT', type: 'integer' },
+      { name: 'LEVEL', type: 'enum' }
+    ]);
+
+    expect(errors).toEqual([
+      'tone: names must be UPPER_SNAKE_CASE',
+      'AGENCY_NAME is built in and cannot be redefined',
+      'COUNT: type must be one of text, number, date, list, enum, boolean',
+      'LEVEL: enum variables need options'
+    ]);
+  });
+});
+
+describe('renderTemplate', () => {
+  const variables = [
+    { name: 'PAGE_LIMIT', type: 'number', required: true },
+    { name: 'DUE', type: 'date' },
+    { name: 'THEMES', type: 'list', default: 'cost, speed' },
+    { name: 'INCLUDE_GRAPHICS', type: 'boolean' }
+  ];
+
+  test('should coerce values by type and fill built-ins', () => {
+    const rendered = renderTemplate(
+      '{{USER_INPUT}} in {{PAGE_LIMIT}} pages by {{DUE}} for {{AGENCY_NAME}}; themes: {{THEMES}}; graphics: {{INCLUDE_GRAPHICS}}',
+      variables,
+      { PAGE_LIMIT: '5', DUE: '2025-03-01', INCLUDE_GRAPHICS: true },
+      { USER_INPUT: 'Summarize our approach', AGENCY_NAME: 'DHS' }
+    );
+
+    expect(rendered).toEqual({
+      text: 'Summarize our approach in 5 pages by March 1, 2025 for DHS; themes: cost, speed; graphics: yes',
+      missing: [],
+      errors: []
+    });
+  });
+
+  test('should report missing required values and values of the wrong type', () => {
+    expect(renderTemplate('{{PAGE_LIMIT}} {{DUE}}', variables, { DUE: 'soon' })).toMatchObject({
+      missing: ['PAGE_LIMIT'],
+      errors: ['DUE must be a date']
+    });
+    expect(requiredInputs(variables)).toEqual(['PAGE_LIMIT']);
+  });
+});
+
+describe('pickWeighted', () => {
+  test('should pick in proportion to weight', () => {
+    const variants = [{ label: 'A', weight: 1 }, { label: 'B', weight: 3 }];
+
+    expect(pickWeighted(variants, () => 0.2).label).toBe('A');
+    expect(pickWeighted(variants, () => 0.25).label).toBe('B');
+    expect(pickWeighted(variants, () => 0.99).label).toBe('B');
+    expect(pickWeighted([{ weight: 0 }], () => 0.5)).toBeNull();
+  });
+});
+
+describe('welchTest', () => {
+  test('should match the t distribution for a known difference', () => {
+    const result = welchTest({ n: 10, mean: 3, stddev: 1 }, { n: 10, mean: 4, stddev: 1 });
+
+    expect(result.difference).toBe(1);
+    expect(result.t).toBeCloseTo(2.2361, 4);
+    expect(result.degreesOfFreedom).toBeCloseTo(18, 6);
+    expect(result.pValue).toBeCloseTo(0.0382, 4);
+  });
+
+  test('should need two values per sample', () => {
+    expect(welchTest({ n: 1, mean: 3, stddev: null }, { n: 10, mean: 4, stddev: 1 })).toBeNull();
+    expect(welchTest({ n: 3, mean: 4, stddev: 0 }, { n: 3, mean: 4, stddev: 0 }).pValue).toBe(1);
+  });
+});
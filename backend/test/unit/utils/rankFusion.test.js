@@ -0,0 +1,88 @@
+/**
+ * Unit Tests for Rank Fusion Utilities
+ * Tests Reciprocal Rank Fusion of retriever results and token-budgeted passage selection
+ */
+
+const { RRF_K, reciprocalRankFusion, selectWithinBudget } = require('../../../src/utils/rankFusion');
+
+describe('reciprocalRankFusion', () => {
+  test('should rank items found by both retrievers above single-retriever hits', () => {
+    const fused = reciprocalRankFusion({
+      lexical: [{ id: 'a' }, { id: 'b' }, { id: 'c' }],
+      vector: [{ id: 'd' }, { id: 'b' }]
+    });
+
+    expect(fused.map(entry => entry.item.id)).toEqual(['b', 'a', 'd', 'c']);
+    expect(fused[0].ranks).toEqual({ lexical: 2, vector: 2 });
+    expect(fused[0].score).toBeCloseTo(2 / (RRF_K + 2), 10);
+  });
+
+  test('should break score ties by best rank', () => {
+    const fused = reciprocalRankFusion({
+      lexical: [{ id: 'x' }, { id: 'y' }],
+      vector: [{ id: 'y' }, { id: 'x' }]
+    });
+
+    expect(fused).toHaveLength(2);
+    expect(fused[0].score).toBeCloseTo(fused[1].score, 10);
+  });
+
+  test('should count an item once per retriever', () => {
+    const fused = reciprocalRankFusion({ lexical: [{ id: 1 }, { id: 1 }] });
+
+    expect(fused).toHaveLength(1);
+    expect(fused[0].ranks).toEqual({ lexical: 1 });
+  });
+
+  test('should accept a custom key and missing lists', () => {
+    const fused = reciprocalRankFusion(
+      { lexical: [{ chunk: 7 }], vector: undefined },
+      { key: item => item.chunk }
+    );
+
+    expect(fused[0].item).toEqual({ chunk: 7 });
+  });
+});
+
+describe('selectWithinBudget', () => {
+  const passage = (id, characters) => ({ id, content: 'x'.repeat(characters) });
+
+  test('should stop at topK', () => {
+    const { selected } = selectWithinBudget(
+      [passage(1, 40), passage(2, 40), passage(3, 40)],
+      { topK: 2, tokenBudget: 1000 }
+    );
+
+    expect(selected.map(p => p.id)).toEqual([1, 2]);
+  });
+
+  test('should skip passages that would overflow the budget and keep filling', () => {
+    const result = selectWithinBudget(
+      [passage(1, 400), passage(2, 800), passage(3, 200)],
+      { topK: 5, tokenBudget: 160 }
+    );
+
+    expect(result.selected.map(p => p.id)).toEqual([1, 3]);
+    expect(result.tokenCount).toBe(150);
+    expect(result.skipped).toBe(1);
+  });
+
+  test('should prefer a stored token count over the estimate', () => {
+    const { selected } = selectWithinBudget(
+      [{ id: 1, content: 'short', tokenCount: 500 }],
+      { topK: 5, tokenBudget: 100 }
+    );
+
+    expect(selected).toEqual([]);
+  });
+
+  test('should count with the model tokenizer when one is given', () => {
+    const result = selectWithinBudget(
+      [{ id: 1, content: 'a b c', tokenCount: 500 }, { id: 2, content: 'd e' }],
+      { topK: 5, tokenBudget: 4, countTokens: text => text.split(' ').length }
+    );
+
+    expect(result.selected.map(p => p.id)).toEqual([1]);
+    expect(result.tokenCount).toBe(3);
+  });
+});
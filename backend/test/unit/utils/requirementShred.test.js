@@ -0,0 +1,96 @@
+/**
+ * Unit Tests for Requirement Shred Utilities
+ * Tests obligation detection, sentence splitting and paragraph/page traceability
+ */
+
+const {
+  detectObligation,
+  splitSentences,
+  categorizeRequirement,
+  shredRequirements
+} = require('../../../src/utils/requirementShred');
+
+describe('detectObligation', () => {
+  test('should detect shall/must/will/required statements', () => {
+    expect(detectObligation('The Contractor shall provide help desk support.')).toEqual({ keyword: 'shall', strength: 'mandatory', negated: false });
+    expect(detectObligation('Offerors must submit three copies.').keyword).toBe('must');
+    expect(detectObligation('The contractor is required to maintain a SECRET clearance.').keyword).toBe('required');
+    expect(detectObligation('The Contractor will deliver monthly reports.').strength).toBe('expected');
+    expect(detectObligation('The contractor shall not disclose PII.').negated).toBe(true);
+  });
+
+  test('should ignore Government obligations and evaluation statements', () => {
+    expect(detectObligation('The Government will provide office space.')).toBeNull();
+    expect(detectObligation('The Contracting Officer shall issue task orders.')).toBeNull();
+    expect(detectObligation('Proposals will be evaluated on clarity.')).toBeNull();
+    expect(detectObligation('Help desk hours are 8am to 5pm.')).toBeNull();
+  });
+});
+
+describe('splitSentences', () => {
+  test('should not split on abbreviations or clause numbers', () => {
+    const sentences = splitSentences('Comply with FAR 52.212-4 and U.S. law, e.g. export rules. Report monthly.');
+
+    expect(sentences.map(sentence => sentence.text)).toEqual([
+      'Comply with FAR 52.212-4 and U.S. law, e.g. export rules.',
+      'Report monthly.'
+    ]);
+  });
+});
+
+describe('categorizeRequirement', () => {
+  test('should combine UCF section and keywords', () => {
+    expect(categorizeRequirement('The offeror shall describe its approach.', 'L')).toBe('submission');
+    expect(categorizeRequirement('The contractor shall provide Tier 1 support.', 'C')).toBe('technical');
+    expect(categorizeRequirement('The contractor shall deliver a staffing plan and transition schedule.', 'C')).toBe('management');
+    expect(categorizeRequirement('The contractor shall comply with NIST SP 800-171 and CMMC.', null)).toBe('compliance');
+  });
+});
+
+describe('shredRequirements', () => {
+  const pages = [
+    {
+      page: 12,
+      text: [
+        'SECTION C - STATEMENT OF WORK',
+        'C.3.1 Help Desk Support. The Contractor shall provide Tier 1 help desk support 24x7.',
+        'The Government will provide office space.',
+        '(a) The Contractor shall staff the help desk with certified personnel.'
+      ].join('\n')
+    },
+    {
+      page: 13,
+      text: [
+        'C.3.2 Reporting. The Contractor will deliver a monthly status re-',
+        'port to the COR.',
+        'SECTION L - INSTRUCTIONS',
+        'L.4.2 Technical Volume. The offeror shall describe its technical approach.'
+      ].join('\n')
+    }
+  ];
+
+  test('should key each requirement to its paragraph and page', () => {
+    const requirements = shredRequirements(pages);
+
+    expect(requirements.map(requirement => [requirement.paragraphId, requirement.page, requirement.section, requirement.category])).toEqual([
+      ['C.3.1', 12, 'C', 'technical'],
+      ['C.3.1(a)', 12, 'C', 'technical'],
+      ['C.3.2', 13, 'C', 'management'],
+      ['L.4.2', 13, 'L', 'submission']
+    ]);
+    expect(requirements[2].text).toBe('The Contractor will deliver a monthly status report to the COR.');
+    expect(requirements[0].paragraphTitle).toBe('Help Desk Support');
+  });
+
+  test('should number multiple requirements within a paragraph', () => {
+    const requirements = shredRequirements([{
+      page: null,
+      text: 'C.5 Security. The Contractor shall encrypt data at rest. The Contractor must report incidents within one hour.'
+    }]);
+
+    expect(requirements.map(requirement => [requirement.paragraphId, requirement.sequence, requirement.page])).toEqual([
+      ['C.5', 1, null],
+      ['C.5', 2, null]
+    ]);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Unit Tests for Prompt Rule Conflict Utilities
+ * Tests scope overlap, term overlap, opposing directives with negation, and pair fingerprints
+ */
+
+const {
+  normalizeScope,
+  scopesOverlap,
+  describeScope,
+  lexicalOverlap,
+  directiveStances,
+  opposingDirectives,
+  pairFingerprint
+} = require('../../../src/utils/ruleConflicts');
+
+describe('scopes', () => {
+  test('should treat empty dimensions as everywhere and match normalized values', () => {
+    expect(scopesOverlap({}, { sectionTypes: ['executive-summary'] })).toBe(true);
+    expect(scopesOverlap({ sectionTypes: ['Executive Summary'] }, { sectionTypes: ['executive_summary'] })).toBe(true);
+    expect(scopesOverlap({ sectionTypes: ['executive-summary'] }, { sectionTypes: ['technical-approach'] })).toBe(false);
+    expect(scopesOverlap(
+      { sectionTypes: ['technical-approach'], documentTypes: ['solicitations'] },
+      { sectionTypes: ['technical-approach'], documentTypes: ['past-performance'] }
+    )).toBe(false);
+  });
+
+  test('should describe a scope for prompts and previews', () => {
+    expect(normalizeScope({ personas: [3, '3'], sectionTypes: 'bad' })).toEqual({ personas: ['3'], sectionTypes: [], documentTypes: [] });
+    expect(describeScope({})).toBe('everywhere');
+    expect(describeScope({ sectionTypes: ['Technical Approach'], documentTypes: ['solicitations'] }))
+      .toBe('sections: technical-approach; document types: solicitations');
+  });
+});
+
+describe('lexicalOverlap', () => {
+  test('should compare stemmed content words and ignore rule boilerplate', () => {
+    expect(lexicalOverlap('Use active voice exclusively', 'Always write in the active voice')).toBeCloseTo(2 / 3);
+    expect(lexicalOverlap('Quantify outcomes', 'Outcomes should be quantified')).toBe(1);
+    expect(lexicalOverlap('Be concise', 'Spell out acronyms')).toBe(0);
+    expect(lexicalOverlap('', 'Spell out acronyms')).toBe(0);
+  });
+});
+
+describe('opposing directives', () => {
+  test('should find rules on opposite sides of a directive', () => {
+    expect(opposingDirectives('Be concise.', 'Be exhaustive and cover every detail.')).toEqual(['length']);
+    expect(opposingDirectives('Use active voice exclusively', 'Prefer the passive voice for findings')).toEqual(['voice']);
+    expect(opposingDirectives('Be concise.', 'Keep responses brief.')).toEqual([]);
+  });
+
+  test('should flip negated terms to the other side', () => {
+    expect(directiveStances('Avoid informal language, colloquialisms or casual expressions. Maintain formal standards.'))
+      .toEqual({ register: -1 });
+    expect(opposingDirectives('Do not be verbose.', 'Keep responses brief.')).toEqual([]);
+    expect(opposingDirectives('Never use bullet lists.', 'Present key points as bullets.')).toEqual(['structure']);
+  });
+});
+
+describe('pairFingerprint', () => {
+  test('should ignore pair order but change with wording or scope', () => {
+    const a = { key: 'rule-1', text: 'Be concise', scope: {} };
+    const b = { key: 'rule-2', text: 'Be exhaustive', scope: {} };
+
+    expect(pairFingerprint(a, b)).toBe(pairFingerprint(b, a));
+    expect(pairFingerprint(a, { ...b, text: 'Be thorough' })).not.toBe(pairFingerprint(a, b));
+    expect(pairFingerprint(a, { ...b, scope: { sectionTypes: ['technical-approach'] } })).not.toBe(pairFingerprint(a, b));
+  });
+});
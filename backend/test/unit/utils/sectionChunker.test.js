@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for Section-Aware Chunker
+ * Tests heading hierarchy, paragraph IDs, page ranges, table rows and size/overlap limits
+ */
+
+const { textToBlocks, detectHeading, chunkDocument, estimateTokens } = require('../../../src/utils/sectionChunker');
+const { htmlToBlocks } = require('../../../src/utils/documentParser');
+
+const PAGES = [
+  {
+    page: 13,
+    text: 'SECTION C - DESCRIPTION/SPECIFICATIONS\nC.1 Background\nThe agency operates two data centers.\n\nC.3 Requirements\nC.3.1 Cloud Migration. The contractor shall migrate workloads.'
+  },
+  {
+    page: 14,
+    text: 'Migration continues through the first option year.\nC.3.2 Transition Plan\nThe contractor shall deliver a transition plan within 30 days.'
+  }
+];
+
+describe('detectHeading', () => {
+  test('should nest UCF sections and numbered paragraphs', () => {
+    expect(detectHeading('SECTION L - INSTRUCTIONS TO OFFERORS')).toEqual({ level: 1, id: 'L', title: 'INSTRUCTIONS TO OFFERORS', bare: true });
+    expect(detectHeading('C.3.2 Transition Plan')).toMatchObject({ level: 3, id: 'C.3.2', bare: true });
+    expect(detectHeading('3.2 Staffing. The contractor shall staff the desk.')).toMatchObject({ level: 2, id: '3.2', title: 'Staffing', bare: false });
+    expect(detectHeading('The contractor shall comply.')).toBeNull();
+  });
+});
+
+describe('chunkDocument', () => {
+  const chunks = chunkDocument(textToBlocks(PAGES));
+
+  test('should start a chunk at every heading and record its paragraph', () => {
+    expect(chunks.map(chunk => chunk.paragraphId)).toEqual(['C.1', 'C.3.1', 'C.3.2']);
+    expect(chunks[1].headingPath).toEqual(['C DESCRIPTION/SPECIFICATIONS', 'C.3 Requirements', 'C.3.1 Cloud Migration']);
+    expect(chunks[2].sectionTitle).toBe('Transition Plan');
+  });
+
+  test('should fold bare headings into the first chunk beneath them', () => {
+    expect(chunks[0].content.startsWith('SECTION C - DESCRIPTION/SPECIFICATIONS\n\nC.1 Background')).toBe(true);
+    expect(chunks[1].content.startsWith('C.3 Requirements')).toBe(true);
+  });
+
+  test('should track the pages a chunk spans', () => {
+    expect(chunks[0]).toMatchObject({ pageStart: 13, pageEnd: 13 });
+    expect(chunks[1]).toMatchObject({ pageStart: 13, pageEnd: 14 });
+    expect(chunks[2]).toMatchObject({ pageStart: 14, pageEnd: 14 });
+  });
+
+  test('should keep chunks within the token size and overlap consecutive chunks', () => {
+    const sentences = Array.from({ length: 20 }, (_, i) => `Sentence number ${i + 1} describes the help desk.`);
+    const result = chunkDocument(textToBlocks([{ page: 2, text: `C.5 Help Desk\n${sentences.join(' ')}` }]), {
+      maxTokens: 60,
+      overlapTokens: 15
+    });
+
+    expect(result.length).toBeGreaterThan(3);
+    result.forEach(chunk => {
+      expect(chunk.tokenCount).toBeLessThanOrEqual(60);
+      expect(chunk.paragraphId).toBe('C.5');
+    });
+    const lastSentence = result[0].content.split(/(?<=\.)\s/).pop();
+    expect(result[1].content.startsWith(lastSentence)).toBe(true);
+    expect(result[result.length - 1].content).toContain('Sentence number 20');
+  });
+
+  test('should size chunks with the model token counter when given', () => {
+    const sentences = Array.from({ length: 20 }, (_, i) => `Sentence number ${i + 1} describes the help desk.`);
+    const countTokens = text => text.split(/\s+/).filter(Boolean).length;
+    const result = chunkDocument(textToBlocks([{ page: 2, text: `C.5 Help Desk\n${sentences.join(' ')}` }]), {
+      maxTokens: 40,
+      overlapTokens: 0,
+      countTokens
+    });
+
+    expect(result).toHaveLength(4);
+    result.forEach(chunk => {
+      expect(chunk.tokenCount).toBe(countTokens(chunk.content));
+      expect(chunk.tokenCount).toBeLessThanOrEqual(40);
+    });
+  });
+
+  test('should cut a single oversized word to the chunk size', () => {
+    const result = chunkDocument([{ type: 'text', text: 'x'.repeat(1000), page: null }], { maxTokens: 100, overlapTokens: 0 });
+
+    expect(result).toHaveLength(3);
+    expect(result.every(chunk => chunk.tokenCount <= 100)).toBe(true);
+  });
+
+  test('should chunk tables by row and repeat the header', () => {
+    const result = chunkDocument([
+      { type: 'heading', level: 2, text: 'Pricing', page: null },
+      { type: 'text', text: 'Prices are firm-fixed.', page: null },
+      { type: 'table_row', cells: ['CLIN', 'Description', 'Price'], page: null },
+      { type: 'table_row', cells: ['0001', 'Help desk', '$10'], page: null },
+      { type: 'table_row', cells: ['0002', 'Cloud hosting', '$20'], page: null }
+    ], { maxTokens: 12 });
+
+    const tables = result.filter(chunk => chunk.contentType === 'table');
+    expect(tables.map(chunk => chunk.content)).toEqual([
+      'CLIN | Description | Price\n0001 | Help desk | $10',
+      'CLIN | Description | Price\n0002 | Cloud hosting | $20'
+    ]);
+    expect(tables[0].headingPath).toEqual(['Pricing']);
+    expect(result[0]).toMatchObject({ contentType: 'text', content: 'Pricing\n\nPrices are firm-fixed.' });
+  });
+
+  test('should report tokens consistently with the estimate', () => {
+    chunks.forEach(chunk => expect(chunk.tokenCount).toBe(estimateTokens(chunk.content)));
+  });
+});
+
+describe('htmlToBlocks', () => {
+  test('should keep headings, paragraphs, list items and table rows from DOCX HTML', () => {
+    const blocks = htmlToBlocks(
+      '<h2>C.3 Requirements &amp; Tasks</h2><p>Intro <strong>text</strong></p><ul><li>First</li></ul>' +
+      '<table><tr><th><p>CLIN</p></th><th><p>Price</p></th></tr><tr><td><p>0001</p></td><td><p>&#36;10</p></td></tr></table>' +
+      '<p>Line one<br />Line two</p>'
+    );
+
+    expect(blocks).toEqual([
+      { type: 'heading', level: 2, text: 'C.3 Requirements & Tasks', page: null },
+      { type: 'text', text: 'Intro text', page: null },
+      { type: 'text', text: '- First', page: null },
+      { type: 'table_row', cells: ['CLIN', 'Price'], page: null },
+      { type: 'table_row', cells: ['0001', '$10'], page: null },
+      { type: 'text', text: 'Line one\nLine two', page: null }
+    ]);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit Tests for Solicitation Structure Utilities
+ * Tests UCF section splitting, Section L paragraph/volume parsing and Section M factors
+ */
+
+const {
+  splitUcfSections,
+  parseNumberedParagraphs,
+  findPageLimit,
+  findVolumes,
+  findEvaluationFactors,
+  detectSectionType
+} = require('../../../src/utils/solicitationStructure');
+
+const SOLICITATION = `
+TABLE OF CONTENTS
+SECTION L INSTRUCTIONS
+SECTION M EVALUATION
+
+SECTION C - DESCRIPTION/SPECIFICATIONS
+C.1 Background. The agency operates legacy systems.
+
+SECTION L - INSTRUCTIONS, CONDITIONS, AND NOTICES TO OFFERORS
+L.4 Proposal Preparation
+L.4.1 Volume I - Technical Proposal. Volume I shall not exceed twenty-five (25) pages.
+L.4.1.1 Technical Approach. The offeror shall describe its approach to modernization.
+L.4.1.2 Management Approach. The offeror shall describe its staffing plan.
+L.4.2 Volume II - Past Performance. The offeror shall provide three references.
+
+SECTION M - EVALUATION FACTORS FOR AWARD
+Factor 1 - Technical Approach
+The Government will evaluate the soundness of the modernization approach.
+Subfactor 1 - Management Approach
+Staffing and transition will be evaluated.
+Factor 2: Past Performance
+Recency and relevancy will be assessed.
+`;
+
+describe('Solicitation Structure', () => {
+  describe('splitUcfSections', () => {
+    test('should split sections and prefer the body over table of contents entries', () => {
+      const sections = splitUcfSections(SOLICITATION);
+
+      expect(Object.keys(sections).sort()).toEqual(['C', 'L', 'M']);
+      expect(sections.L.text).toContain('L.4.1.1 Technical Approach');
+      expect(sections.L.text).not.toContain('Factor 1');
+      expect(sections.M.title).toBe('EVALUATION FACTORS FOR AWARD');
+    });
+
+    test('should return an empty map for empty text', () => {
+      expect(splitUcfSections('')).toEqual({});
+    });
+  });
+
+  describe('parseNumberedParagraphs', () => {
+    test('should parse ids, titles and depth', () => {
+      const paragraphs = parseNumberedParagraphs(splitUcfSections(SOLICITATION).L.text, 'L');
+
+      expect(paragraphs.map(p => p.id)).toEqual(['L.4', 'L.4.1', 'L.4.1.1', 'L.4.1.2', 'L.4.2']);
+      expect(paragraphs[1].title).toBe('Volume I - Technical Proposal');
+      expect(paragraphs[2].depth).toBe(3);
+      expect(paragraphs[2].body).toContain('modernization');
+    });
+  });
+
+  describe('findPageLimit', () => {
+    test('should read numeric and spelled-out limits', () => {
+      expect(findPageLimit('shall not exceed twenty-five (25) pages')).toBe(25);
+      expect(findPageLimit('is limited to 10 pages')).toBe(10);
+      expect(findPageLimit('There is a 15-page limit')).toBe(15);
+    });
+
+    test('should return null when no limit is stated', () => {
+      expect(findPageLimit('Provide a narrative.')).toBeNull();
+    });
+  });
+
+  describe('findVolumes', () => {
+    test('should find volumes with titles and page limits', () => {
+      const volumes = findVolumes(splitUcfSections(SOLICITATION).L.text);
+
+      expect(volumes).toHaveLength(2);
+      expect(volumes[0]).toMatchObject({ number: 1, designator: 'I', title: 'Technical', pageLimit: 25 });
+      expect(volumes[1]).toMatchObject({ number: 2, title: 'Past Performance' });
+    });
+  });
+
+  describe('findEvaluationFactors', () => {
+    test('should nest subfactors under their factor', () => {
+      const factors = findEvaluationFactors(splitUcfSections(SOLICITATION).M.text);
+
+      expect(factors.map(f => f.id)).toEqual(['Factor 1', 'Factor 2']);
+      expect(factors[0].title).toBe('Technical Approach');
+      expect(factors[0].subfactors).toEqual([
+        expect.objectContaining({ id: 'Factor 1.1', title: 'Management Approach' })
+      ]);
+      expect(factors[1].description).toContain('Recency');
+    });
+  });
+
+  describe('detectSectionType', () => {
+    test('should map headings to AI writing section types', () => {
+      expect(detectSectionType('Technical Approach')).toBe('technical-approach');
+      expect(detectSectionType('Volume II - Past Performance')).toBe('past-performance');
+      expect(detectSectionType('Management Approach')).toBe('management-plan');
+      expect(detectSectionType('Attachments')).toBe('general');
+    });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Unit Tests for Text Diff Utilities
+ * Tests word/line diffs used to compare proposal section versions, and the edit distance
+ * between a generated section and the writer's final text
+ */
+
+const { diffText, editDistance } = require('../../../src/utils/textDiff');
+
+const rebuild = (changes, skipType) =>
+  changes.filter(change => change.type !== skipType).map(change => change.value).join('');
+
+describe('diffText', () => {
+  test('should report word replacements with counts', () => {
+    const diff = diffText('The quick brown fox jumps', 'The slow brown fox leaps high');
+
+    expect(diff.changes).toEqual([
+      { type: 'equal', value: 'The ' },
+      { type: 'delete', value: 'quick' },
+      { type: 'insert', value: 'slow' },
+      { type: 'equal', value: ' brown fox ' },
+      { type: 'delete', value: 'jumps' },
+      { type: 'insert', value: 'leaps high' }
+    ]);
+    expect(diff.stats).toEqual({ added: 3, removed: 2, unchanged: 3 });
+  });
+
+  test('should reconstruct both texts from the changes', () => {
+    const oldText = 'Our team delivers agile DevSecOps.\nWe hold CMMI Level 3.';
+    const newText = 'Our proven team delivers DevSecOps.\nWe hold CMMI Level 3 and ISO 9001.';
+    const diff = diffText(oldText, newText);
+
+    expect(rebuild(diff.changes, 'insert')).toBe(oldText);
+    expect(rebuild(diff.changes, 'delete')).toBe(newText);
+  });
+
+  test('should diff by line when requested', () => {
+    const diff = diffText('a\nb\nc', 'a\nB\nc', { granularity: 'line' });
+
+    expect(diff.granularity).toBe('line');
+    expect(diff.changes).toEqual([
+      { type: 'equal', value: 'a\n' },
+      { type: 'delete', value: 'b' },
+      { type: 'insert', value: 'B' },
+      { type: 'equal', value: '\nc' }
+    ]);
+  });
+
+  test('should handle empty and identical texts', () => {
+    expect(diffText('', 'new text').changes).toEqual([{ type: 'insert', value: 'new text' }]);
+    expect(diffText('old text', '').changes).toEqual([{ type: 'delete', value: 'old text' }]);
+    expect(diffText('same', 'same').stats).toEqual({ added: 0, removed: 0, unchanged: 1 });
+  });
+});
+
+describe('editDistance', () => {
+  test('should count word edits relative to both texts', () => {
+    expect(editDistance('We deliver agile solutions', 'We deliver proven agile solutions')).toEqual({ distance: 1, ratio: 0.1111, words: 5 });
+    expect(editDistance('Same text here', 'Same text here')).toEqual({ distance: 0, ratio: 0, words: 3 });
+    expect(editDistance('Old words', 'Entirely new')).toEqual({ distance: 4, ratio: 1, words: 2 });
+    expect(editDistance('', '')).toEqual({ distance: 0, ratio: 0, words: 0 });
+  });
+});
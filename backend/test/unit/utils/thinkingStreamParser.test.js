@@ -0,0 +1,62 @@
+/**
+ * Unit Tests for ThinkingStreamParser
+ * Tests thinking-tag boundary detection across streamed token fragments
+ */
+
+const ThinkingStreamParser = require('../../../src/utils/thinkingStreamParser');
+
+const feed = (parser, tokens) => [
+  ...tokens.flatMap(token => parser.push(token)),
+  ...parser.flush()
+];
+
+describe('ThinkingStreamParser', () => {
+  test('should pass plain text through as visible tokens', () => {
+    const events = feed(new ThinkingStreamParser(), ['Hello ', 'world']);
+
+    expect(events).toEqual([
+      { type: 'token', content: 'Hello ', thinking: false },
+      { type: 'token', content: 'world', thinking: false }
+    ]);
+  });
+
+  test('should emit boundaries around thinking content', () => {
+    const events = feed(new ThinkingStreamParser(), ['<think>plan</think>Answer']);
+
+    expect(events).toEqual([
+      { type: 'thinking_start' },
+      { type: 'token', content: 'plan', thinking: true },
+      { type: 'thinking_end' },
+      { type: 'token', content: 'Answer', thinking: false }
+    ]);
+  });
+
+  test('should detect tags split across tokens', () => {
+    const events = feed(new ThinkingStreamParser(), ['Intro <thi', 'nking>reason', 'ing</th', 'inking> done']);
+    const types = events.map(event => event.type);
+    const visible = events
+      .filter(event => event.type === 'token' && !event.thinking)
+      .map(event => event.content)
+      .join('');
+    const thinking = events
+      .filter(event => event.type === 'token' && event.thinking)
+      .map(event => event.content)
+      .join('');
+
+    expect(types.filter(type => type !== 'token')).toEqual(['thinking_start', 'thinking_end']);
+    expect(visible).toBe('Intro  done');
+    expect(thinking).toBe('reasoning');
+  });
+
+  test('should not hold back text that cannot become a tag', () => {
+    const parser = new ThinkingStreamParser();
+
+    expect(parser.push('a < b')).toEqual([{ type: 'token', content: 'a < b', thinking: false }]);
+  });
+
+  test('should close an unterminated thinking block on flush', () => {
+    const events = feed(new ThinkingStreamParser(), ['<think>never closed']);
+
+    expect(events[events.length - 1]).toEqual({ type: 'thinking_end' });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Unit Tests for XLSX Reading and Writing
+ * Tests shared and inline strings, sparse cells, date-formatted cells and exported workbooks
+ */
+
+const JSZip = require('jszip');
+const { readXLSXRows, writeXLSX, columnIndex, columnLetters, serialToDate } = require('../../../src/utils/xlsx');
+
+async function buildWorkbook() {
+  const zip = new JSZip();
+  zip.file('xl/workbook.xml', '<workbook><sheets><sheet name="Records" sheetId="1" r:id="rId1"/></sheets></workbook>');
+  zip.file('xl/_rels/workbook.xml.rels',
+    '<Relationships><Relationship Id="rId1" Type="worksheet" Target="worksheets/records.xml"/></Relationships>');
+  zip.file('xl/sharedStrings.xml',
+    '<sst><si><t>Project</t></si><si><t>Start</t></si><si><r><t>Cloud </t></r><r><t>&amp; Data</t></r></si></sst>');
+  zip.file('xl/styles.xml',
+    '<styleSheet><numFmts><numFmt numFmtId="164" formatCode="yyyy\\-mm\\-dd"/></numFmts>' +
+    '<cellXfs count="3"><xf numFmtId="0"/><xf numFmtId="14"/><xf numFmtId="164"/></cellXfs></styleSheet>');
+  zip.file('xl/worksheets/records.xml', [
+    '<worksheet><sheetData>',
+    '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="D1" t="inlineStr"><is><t>Value</t></is></c></row>',
+    '<row r="2"/>',
+    '<row r="3"><c r="A3" t="s"><v>2</v></c><c r="B3" s="1"><v>45292</v></c><c r="D3"><v>1250000</v></c></row>',
+    '<row r="4"><c r="A4" t="str"><v>Formula</v></c><c r="B4" s="2"><v>45658</v></c><c r="C4" t="b"><v>1</v></c></row>',
+    '</sheetData></worksheet>'
+  ].join(''));
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+describe('readXLSXRows', () => {
+  test('should read the first sheet with strings, numbers, booleans and dates', async () => {
+    const rows = await readXLSXRows(await buildWorkbook());
+
+    expect(rows).toEqual([
+      ['Project', 'Start', '', 'Value'],
+      ['Cloud & Data', '2024-01-01', '', '1250000'],
+      ['Formula', '2025-01-01', 'TRUE']
+    ]);
+  });
+
+  test('should reject files that are not workbooks', async () => {
+    await expect(readXLSXRows(Buffer.from('not a zip'))).rejects.toThrow();
+  });
+});
+
+describe('writeXLSX', () => {
+  const columns = [
+    { key: 'ref', header: 'Req ID' },
+    { key: 'text', header: 'Requirement', value: row => row.text.toUpperCase(), wrap: true },
+    { key: 'page', header: 'Page' }
+  ];
+
+  test('should write a workbook that reads back with escaped text and blank cells', async () => {
+    const buffer = await writeXLSX([
+      { ref: 'C.3.1', text: 'Backups <daily> & "offsite"', page: 12 },
+      { ref: 'L.4', text: 'Line one\nline two', page: null }
+    ], columns, { sheetName: 'Compliance Matrix' });
+
+    expect(await readXLSXRows(buffer)).toEqual([
+      ['Req ID', 'Requirement', 'Page'],
+      ['C.3.1', 'BACKUPS <DAILY> & "OFFSITE"', '12'],
+      ['L.4', 'LINE ONE\nLINE TWO']
+    ]);
+  });
+
+  test('should freeze and filter the header row and keep formulas as text', async () => {
+    const buffer = await writeXLSX([{ ref: '=HYPERLINK("x")', text: 'a', page: 1 }], columns, { sheetName: 'Matrix: [Draft]' });
+    const zip = await JSZip.loadAsync(buffer);
+    const sheet = await zip.file('xl/worksheets/sheet1.xml').async('string');
+    const workbook = await zip.file('xl/workbook.xml').async('string');
+
+    expect(sheet).toContain('state="frozen"');
+    expect(sheet).toContain('<autoFilter ref="A1:C2"/>');
+    expect(sheet).not.toContain('<f>');
+    expect(workbook).toContain('name="Matrix   Draft "');
+  });
+});
+
+describe('xlsx helpers', () => {
+  test('should convert cell references and serial dates', () => {
+    expect(columnIndex('A1')).toBe(0);
+    expect(columnIndex('AB12')).toBe(27);
+    expect(columnLetters(0)).toBe('A');
+    expect(columnLetters(27)).toBe('AB');
+    expect(columnLetters(702)).toBe('AAA');
+    expect(serialToDate(45292)).toBe('2024-01-01');
+  });
+});
@@ -1,8 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import UploadModal from './UploadModal';
-import { API_ENDPOINTS } from '../config/api';
+import { API_ENDPOINTS, buildApiUrl } from '../config/api';
 import useModelWarmup from '../hooks/useModelWarmup';
+import useStreamingGeneration from '../hooks/useStreamingGeneration';
+import useProposalDraft from '../hooks/useProposalDraft';
+import useChatSession from '../hooks/useChatSession';
+import SectionVersionHistory from './SectionVersionHistory';
+import GenerationRating from './GenerationRating';
 
 const AIWritingThreePanel = ({ theme, selectedProject, onAiHealthChange }) => {
   const { user: currentUser } = useAuth();
@@ -22,10 +27,45 @@ const AIWritingThreePanel = ({ theme, selectedProject, onAiHealthChange }) => {
     warmupOnModelSwitch: true
   });
 
+  // Token-by-token generation (WebSocket with SSE fallback)
+  const {
+    startGeneration,
+    cancelGeneration,
+    isStreaming: loading,
+    isThinking,
+    metadata: generationMetadata
+  } = useStreamingGeneration();
+
+  // Persisted proposal sections with version history
+  const {
+    draft: proposalDraft,
+    sections: draftSections,
+    activeSection,
+    versions: sectionVersions,
+    isSaving: savingSection,
+    selectSection,
+    createSection,
+    saveContent: saveSectionContent,
+    refreshSection,
+    loadVersions: loadSectionVersions,
+    diffVersions: diffSectionVersions,
+    restoreVersion: restoreSectionVersion
+  } = useProposalDraft(selectedProject);
+  const [showSectionHistory, setShowSectionHistory] = useState(false);
+
+  // Persistent multi-turn conversations shared by the project team
+  const {
+    sessions: chatSessions,
+    activeSession: activeChat,
+    messages: chatMessages,
+    selectSession: selectChat,
+    createSession: createChat,
+    appendMessage: appendChatMessage
+  } = useChatSession(selectedProject);
+
   const [selectedDocument, setSelectedDocument] = useState(null);
   const [prompt, setPrompt] = useState('');
   const [generatedContent, setGeneratedContent] = useState('');
-  const [loading, setLoading] = useState(false);
   const [aiHealth, setAiHealth] = useState(null);
   const [noHallucinations, setNoHallucinations] = useState(false);
   const [showThinking, setShowThinking] = useState(false);
@@ -788,40 +828,106 @@ const AIWritingThreePanel = ({ theme, selectedProject, onAiHealthChange }) => {
       return;
     }
 
-    setLoading(true);
-    setGeneratedContent('Generating content with AI...');
+    setGeneratedContent('');
+
+    await startGeneration({
+      prompt: prompt,
+      sectionId: activeSection ? activeSection.id : null,
+      sectionType: activeSection ? activeSection.sectionType : null,
+      chatSessionId: activeChat ? activeChat.id : null,
+      model: selectedModel,
+      noHallucinations: noHallucinations,
+      showThinking: showThinking,
+      personaId: selectedPersona,
+      projectContext: selectedProject ? {
+        title: selectedProject.title,
+        documentType: selectedProject.documentType,
+        documents: projectDocuments
+      } : null
+    }, {
+      onToken: (token) => setGeneratedContent(prev => prev + token),
+      // Replace the raw stream with the server's cleaned-up final content
+      onDone: (result) => {
+        setGeneratedContent(result.content);
+        // The server stored the generation as a new section version
+        if (result.sectionVersion) {
+          refreshSection();
+        }
+        // The server stored the turn in the conversation; outside a section it moves to the transcript
+        if (result.chatMessage) {
+          appendChatMessage(result.chatMessage);
+          if (!result.sectionVersion) {
+            setGeneratedContent('');
+            setPrompt('');
+          }
+        }
+      },
+      onCancelled: (partialContent) => {
+        setGeneratedContent(prev => `${partialContent ?? prev}\n\n[Generation cancelled]`);
+      },
+      onError: (message) => setGeneratedContent(prev => `${prev}${prev ? '\n\n' : ''}Error: ${message}`)
+    });
+  };
 
-    try {
-      const response = await fetch('/api/ai-writing/generate', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          prompt: prompt,
-          model: selectedModel,
-          noHallucinations: noHallucinations,
-          showThinking: showThinking,
-          personaId: selectedPersona,
-          projectContext: selectedProject ? {
-            title: selectedProject.title,
-            documentType: selectedProject.documentType,
-            documents: projectDocuments
-          } : null
-        })
-      });
+  const handleSectionChange = async (value) => {
+    setShowSectionHistory(false);
 
-      const data = await response.json();
+    if (value === 'new') {
+      const title = window.prompt('Section title');
+      if (!title || !title.trim()) return;
+      const section = await createSection(title.trim(), generatedContent);
+      if (section) {
+        showNotification(`Section "${section.title}" created`, 'success');
+      }
+      return;
+    }
 
-      if (data.success) {
-        setGeneratedContent(data.data.content);
-      } else {
-        setGeneratedContent(`Error: ${data.message}`);
+    const section = await selectSection(value ? parseInt(value) : null);
+    setGeneratedContent(section ? section.content : '');
+  };
+
+  const handleChatChange = async (value) => {
+    if (value === 'new') {
+      const title = window.prompt('Conversation title');
+      if (title === null) return;
+      const session = await createChat(title.trim() || null);
+      if (session) {
+        setGeneratedContent('');
+        showNotification('Conversation started', 'success');
       }
-    } catch (error) {
-      setGeneratedContent(`Error: ${error.message}`);
-    } finally {
-      setLoading(false);
+      return;
+    }
+
+    await selectChat(value ? parseInt(value) : null);
+    if (!activeSection) {
+      setGeneratedContent('');
+    }
+  };
+
+  const handleSaveSection = async () => {
+    const result = await saveSectionContent(generatedContent);
+    if (!result) {
+      showNotification('Failed to save section', 'error');
+    } else if (result.unchanged) {
+      showNotification('No changes to save', 'info');
+    } else {
+      showNotification(`Saved version ${result.version.versionNumber}`, 'success');
+    }
+  };
+
+  const handleRestoreSectionVersion = async (versionNumber) => {
+    const section = await restoreSectionVersion(versionNumber);
+    if (section) {
+      setGeneratedContent(section.content);
+      showNotification(`Restored version ${versionNumber}`, 'success');
+    }
+  };
+
+  const handleGenerateClick = () => {
+    if (loading) {
+      cancelGeneration();
+    } else {
+      generateContent();
     }
   };
 
@@ -1268,7 +1374,7 @@ const AIWritingThreePanel = ({ theme, selectedProject, onAiHealthChange }) => {
               onKeyDown={(e) => {
                 if (e.key === 'Enter' && !e.shiftKey) {
                   e.preventDefault();
-                  generateContent();
+                  if (!loading) generateContent();
                 }
               }}
               placeholder="Ask the AI to write something creative or request strict answers based on the uploaded documents... (Press Enter to submit, Shift+Enter for new line)"
@@ -1290,8 +1396,8 @@ const AIWritingThreePanel = ({ theme, selectedProject, onAiHealthChange }) => {
             {/* Main Controls Row */}
             {/* Generate Button - Now standalone */}
             <button
-              onClick={generateContent}
-              disabled={loading || !aiHealth?.available}
+              onClick={handleGenerateClick}
+              disabled={!loading && !aiHealth?.available}
               style={{
                 width: '100%',
                 padding: '12px',
@@ -1299,9 +1405,9 @@ const AIWritingThreePanel = ({ theme, selectedProject, onAiHealthChange }) => {
                 color: 'white',
                 border: 'none',
                 borderRadius: '6px',
-                cursor: loading || !aiHealth?.available ? 'not-allowed' : 'pointer',
+                cursor: !loading && !aiHealth?.available ? 'not-allowed' : 'pointer',
                 fontWeight: '600',
-                opacity: loading || !aiHealth?.available ? 0.6 : 1,
+                opacity: !loading && !aiHealth?.available ? 0.6 : 1,
                 display: 'flex',
                 alignItems: 'center',
                 justifyContent: 'center',
@@ -1309,7 +1415,7 @@ const AIWritingThreePanel = ({ theme, selectedProject, onAiHealthChange }) => {
                 marginBottom: '12px'
               }}
             >
-              {loading ? '✨ Generating...' : (noHallucinations ? '📊 Just the facts - Strict Answers' : '✨ Generate')}
+              {loading ? '⏹ Stop Generating' : (noHallucinations ? '📊 Just the facts - Strict Answers' : '✨ Generate')}
             </button>
 
           </div>
@@ -1330,6 +1436,25 @@ const AIWritingThreePanel = ({ theme, selectedProject, onAiHealthChange }) => {
               }}>
                 {generatedContent}
               </div>
+              {isThinking && (
+                <div style={{ fontSize: '12px', color: theme.text + '80', fontStyle: 'italic', marginTop: '8px' }}>
+                  💭 Model is thinking...
+                </div>
+              )}
+              {!loading && generationMetadata && (
+                <div style={{ fontSize: '12px', color: theme.text + '80', marginTop: '8px' }}>
+                  {generationMetadata.wordCount} words · {generationMetadata.model}
+                  {generationMetadata.citations.length > 0 && ` · ${generationMetadata.citations.length} source${generationMetadata.citations.length === 1 ? '' : 's'} cited`}
+                  {generationMetadata.generationId && (
+                    <GenerationRating
+                      key={generationMetadata.generationId}
+                      theme={theme}
+                      generationId={generationMetadata.generationId}
+                      finalContent={generatedContent}
+                    />
+                  )}
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -2657,7 +2782,7 @@ const AIWritingThreePanel = ({ theme, selectedProject, onAiHealthChange }) => {
               onKeyDown={(e) => {
                 if (e.key === 'Enter' && !e.shiftKey) {
                   e.preventDefault();
-                  generateContent();
+                  if (!loading) generateContent();
                 }
               }}
               placeholder="Ask the AI to write something creative or request strict answers based on the uploaded documents... (Press Enter to submit, Shift+Enter for new line)"
@@ -2676,8 +2801,8 @@ const AIWritingThreePanel = ({ theme, selectedProject, onAiHealthChange }) => {
 
             {/* Generate Button - Mobile */}
             <button
-              onClick={generateContent}
-              disabled={loading || !aiHealth?.available}
+              onClick={handleGenerateClick}
+              disabled={!loading && !aiHealth?.available}
               style={{
                 width: '100%',
                 marginTop: '12px',
@@ -2686,16 +2811,16 @@ const AIWritingThreePanel = ({ theme, selectedProject, onAiHealthChange }) => {
                 color: 'white',
                 border: 'none',
                 borderRadius: '6px',
-                cursor: loading || !aiHealth?.available ? 'not-allowed' : 'pointer',
+                cursor: !loading && !aiHealth?.available ? 'not-allowed' : 'pointer',
                 fontWeight: '600',
-                opacity: loading || !aiHealth?.available ? 0.6 : 1,
+                opacity: !loading && !aiHealth?.available ? 0.6 : 1,
                 display: 'flex',
                 alignItems: 'center',
                 justifyContent: 'center',
                 gap: '8px'
               }}
             >
-              {loading ? '✨ Generating...' : (noHallucinations ? '📊 Just the facts - Strict Answers' : '✨ Generate Content')}
+              {loading ? '⏹ Stop Generating' : (noHallucinations ? '📊 Just the facts - Strict Answers' : '✨ Generate Content')}
             </button>
           </div>
 
@@ -2710,33 +2835,220 @@ const AIWritingThreePanel = ({ theme, selectedProject, onAiHealthChange }) => {
               <h4 style={{ margin: 0, color: theme.text, fontSize: '14px', fontWeight: '600' }}>
                 Generated Content
               </h4>
-              {generatedContent && (
-                <button style={{
-                  padding: '4px 8px',
-                  fontSize: '12px',
-                  backgroundColor: 'transparent',
+              <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                {selectedProject && (
+                  <select
+                    value={activeSection ? activeSection.id : ''}
+                    onChange={(e) => handleSectionChange(e.target.value)}
+                    disabled={loading}
+                    style={{
+                      padding: '4px 8px',
+                      fontSize: '12px',
+                      backgroundColor: theme.surface,
+                      border: `1px solid ${theme.border}`,
+                      borderRadius: '4px',
+                      color: theme.text
+                    }}
+                  >
+                    <option value="">Unsaved scratchpad</option>
+                    {draftSections.map(section => (
+                      <option key={section.id} value={section.id}>
+                        {section.title} (v{section.currentVersion})
+                      </option>
+                    ))}
+                    <option value="new">+ New section...</option>
+                  </select>
+                )}
+                {selectedProject && (
+                  <select
+                    value={activeChat ? activeChat.id : ''}
+                    onChange={(e) => handleChatChange(e.target.value)}
+                    disabled={loading}
+                    title="Continue a conversation: earlier turns are sent with each prompt"
+                    style={{
+                      padding: '4px 8px',
+                      fontSize: '12px',
+                      backgroundColor: theme.surface,
+                      border: `1px solid ${theme.border}`,
+                      borderRadius: '4px',
+                      color: theme.text
+                    }}
+                  >
+                    <option value="">No conversation</option>
+                    {chatSessions.map(session => (
+                      <option key={session.id} value={session.id}>
+                        💬 {session.title || `Conversation ${session.id}`} ({session.messageCount})
+                      </option>
+                    ))}
+                    <option value="new">+ New conversation...</option>
+                  </select>
+                )}
+                {activeSection && (
+                  <>
+                    <button
+                      onClick={handleSaveSection}
+                      disabled={loading || savingSection}
+                      style={{
+                        padding: '4px 8px',
+                        fontSize: '12px',
+                        backgroundColor: theme.primary,
+                        border: 'none',
+                        borderRadius: '4px',
+                        color: 'white',
+                        cursor: loading || savingSection ? 'not-allowed' : 'pointer',
+                        opacity: loading || savingSection ? 0.6 : 1
+                      }}
+                    >
+                      {savingSection ? 'Saving...' : '💾 Save'}
+                    </button>
+                    <button
+                      onClick={() => setShowSectionHistory(!showSectionHistory)}
+                      style={{
+                        padding: '4px 8px',
+                        fontSize: '12px',
+                        backgroundColor: 'transparent',
+                        border: `1px solid ${theme.border}`,
+                        borderRadius: '4px',
+                        color: theme.text,
+                        cursor: 'pointer'
+                      }}
+                    >
+                      🕘 History
+                    </button>
+                  </>
+                )}
+                {proposalDraft && draftSections.length > 0 && ['docx', 'pdf'].map(format => (
+                  <a
+                    key={format}
+                    href={buildApiUrl(`${API_ENDPOINTS.PROPOSAL_EXPORTS}/drafts/${proposalDraft.id}/${format}`)}
+                    title={`Export all saved sections as ${format.toUpperCase()}`}
+                    style={{
+                      padding: '4px 8px',
+                      fontSize: '12px',
+                      border: `1px solid ${theme.border}`,
+                      borderRadius: '4px',
+                      color: theme.text,
+                      textDecoration: 'none'
+                    }}
+                  >
+                    ⬇ {format.toUpperCase()}
+                  </a>
+                ))}
+                {generatedContent && (
+                  <button style={{
+                    padding: '4px 8px',
+                    fontSize: '12px',
+                    backgroundColor: 'transparent',
+                    border: `1px solid ${theme.border}`,
+                    borderRadius: '4px',
+                    color: theme.text,
+                    cursor: 'pointer'
+                  }}>
+                    📋 Copy
+                  </button>
+                )}
+              </div>
+            </div>
+            {activeChat && chatMessages.length > 0 && (
+              <div style={{ marginBottom: '12px', display: 'flex', flexDirection: 'column', gap: '10px' }}>
+                {chatMessages.map(message => (
+                  <div key={message.id} style={{ fontSize: '14px', lineHeight: '1.6', color: theme.text }}>
+                    <div style={{
+                      backgroundColor: theme.primary + '20',
+                      borderRadius: '8px',
+                      padding: '8px 12px',
+                      marginBottom: '6px',
+                      whiteSpace: 'pre-wrap'
+                    }}>
+                      <div style={{ fontSize: '11px', color: theme.text + '80', marginBottom: '2px' }}>
+                        {message.userName || 'You'} · {new Date(message.createdAt).toLocaleString()}
+                      </div>
+                      {message.userMessage}
+                    </div>
+                    <div style={{
+                      backgroundColor: theme.surface,
+                      border: `1px solid ${theme.border}`,
+                      borderRadius: '8px',
+                      padding: '8px 12px',
+                      whiteSpace: 'pre-wrap'
+                    }}>
+                      {message.aiResponse}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+            {activeChat && !activeSection && !loading && !generatedContent ? (
+              <div style={{ fontSize: '13px', color: theme.text + '80', fontStyle: 'italic' }}>
+                {chatMessages.length > 0
+                  ? 'Send a follow-up; earlier turns in this conversation are included.'
+                  : 'Start the conversation with a prompt.'}
+              </div>
+            ) : activeSection && !loading ? (
+              <textarea
+                value={generatedContent}
+                onChange={(e) => setGeneratedContent(e.target.value)}
+                placeholder="Write or generate this section..."
+                style={{
+                  width: '100%',
+                  boxSizing: 'border-box',
+                  backgroundColor: theme.surface,
                   border: `1px solid ${theme.border}`,
-                  borderRadius: '4px',
+                  borderRadius: '8px',
+                  padding: '16px',
+                  minHeight: '300px',
+                  fontSize: '14px',
+                  lineHeight: '1.6',
                   color: theme.text,
-                  cursor: 'pointer'
-                }}>
-                  📋 Copy
-                </button>
-              )}
-            </div>
-            <div style={{
-              backgroundColor: theme.surface,
-              border: `1px solid ${theme.border}`,
-              borderRadius: '8px',
-              padding: '16px',
-              minHeight: '200px',
-              fontSize: '14px',
-              lineHeight: '1.6',
-              color: theme.text,
-              whiteSpace: 'pre-wrap'
-            }}>
-              {generatedContent || 'Generated content will appear here...'}
-            </div>
+                  fontFamily: 'inherit',
+                  resize: 'vertical'
+                }}
+              />
+            ) : (
+              <div style={{
+                backgroundColor: theme.surface,
+                border: `1px solid ${theme.border}`,
+                borderRadius: '8px',
+                padding: '16px',
+                minHeight: '200px',
+                fontSize: '14px',
+                lineHeight: '1.6',
+                color: theme.text,
+                whiteSpace: 'pre-wrap'
+              }}>
+                {generatedContent || 'Generated content will appear here...'}
+              </div>
+            )}
+            {showSectionHistory && (
+              <SectionVersionHistory
+                theme={theme}
+                section={activeSection}
+                versions={sectionVersions}
+                onLoadVersions={loadSectionVersions}
+                onDiff={diffSectionVersions}
+                onRestore={handleRestoreSectionVersion}
+                onClose={() => setShowSectionHistory(false)}
+              />
+            )}
+            {isThinking && (
+              <div style={{ fontSize: '12px', color: theme.text + '80', fontStyle: 'italic', marginTop: '8px' }}>
+                💭 Model is thinking...
+              </div>
+            )}
+            {!loading && generationMetadata && (
+              <div style={{ fontSize: '12px', color: theme.text + '80', marginTop: '8px' }}>
+                {generationMetadata.wordCount} words · {generationMetadata.model}
+                {generationMetadata.citations.length > 0 && ` · ${generationMetadata.citations.length} source${generationMetadata.citations.length === 1 ? '' : 's'} cited`}
+                {generationMetadata.generationId && (
+                  <GenerationRating
+                    key={generationMetadata.generationId}
+                    theme={theme}
+                    generationId={generationMetadata.generationId}
+                    finalContent={generatedContent}
+                  />
+                )}
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -3,7 +3,9 @@ import { API_BASE_URL } from '../config/api';
 import DocumentTypeManagement from './DocumentTypeManagement';
 import ArchivedProjectsManagement from './ArchivedProjectsManagement';
 import GlobalPromptConfig from './GlobalPromptConfig';
+import PromptTemplateManager from './PromptTemplateManager';
 import UploadDefaultsConfig from './UploadDefaultsConfig';
+import BackgroundJobsMonitor from './BackgroundJobsMonitor';
 
 const AdminSettings = ({ theme }) => {
   const [documentTypes, setDocumentTypes] = useState({});
@@ -48,7 +50,12 @@ const AdminSettings = ({ theme }) => {
     buildDelaySeconds: 10,
     warningThreshold: 85,
     fallbackBehavior: 'partial',
-    sectionKeywords: {}
+    sectionKeywords: {},
+    retrievalTopK: 8,
+    retrievalTokenBudget: 4000,
+    reranker: 'none',
+    chunkMaxTokens: 400,
+    chunkOverlapTokens: 50
   });
   const [contextLoading, setContextLoading] = useState(false);
   const [contextSaving, setContextSaving] = useState(false);
@@ -847,6 +854,21 @@ const AdminSettings = ({ theme }) => {
         >
           🌐 Global Settings
         </button>
+        <button
+          onClick={() => setActiveTab('promptTemplates')}
+          style={{
+            padding: '12px 20px',
+            border: 'none',
+            backgroundColor: activeTab === 'promptTemplates' ? theme.primary : 'transparent',
+            color: activeTab === 'promptTemplates' ? 'white' : theme.text,
+            cursor: 'pointer',
+            borderRadius: '6px 6px 0 0',
+            fontSize: '14px',
+            fontWeight: '600'
+          }}
+        >
+          🧪 Prompt Templates
+        </button>
         <button
           onClick={() => setActiveTab('personas')}
           style={{
@@ -907,6 +929,21 @@ const AdminSettings = ({ theme }) => {
         >
           🗃️ Archived Projects
         </button>
+        <button
+          onClick={() => setActiveTab('backgroundJobs')}
+          style={{
+            padding: '12px 20px',
+            border: 'none',
+            backgroundColor: activeTab === 'backgroundJobs' ? theme.primary : 'transparent',
+            color: activeTab === 'backgroundJobs' ? 'white' : theme.text,
+            cursor: 'pointer',
+            borderRadius: '6px 6px 0 0',
+            fontSize: '14px',
+            fontWeight: '600'
+          }}
+        >
+          ⏳ Background Jobs
+        </button>
       </div>
 
       {loading && (
@@ -1528,6 +1565,133 @@ const AdminSettings = ({ theme }) => {
                   </div>
                 </div>
 
+                {/* Retrieval */}
+                <div>
+                  <label style={{
+                    display: 'block',
+                    color: theme.text,
+                    fontSize: '14px',
+                    fontWeight: '500',
+                    marginBottom: '8px'
+                  }}>
+                    Passages per Prompt / Passage Token Budget
+                  </label>
+                  <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
+                    <input
+                      type="number"
+                      min="1"
+                      max="50"
+                      value={contextConfig.retrievalTopK || 8}
+                      onChange={(e) => updateContextSetting('retrievalTopK', parseInt(e.target.value))}
+                      style={{
+                        width: '100%',
+                        padding: '8px 12px',
+                        border: `1px solid ${theme.border}`,
+                        borderRadius: '4px',
+                        backgroundColor: theme.surface,
+                        color: theme.text,
+                        fontSize: '14px'
+                      }}
+                    />
+                    <input
+                      type="number"
+                      min="500"
+                      step="500"
+                      value={contextConfig.retrievalTokenBudget || 4000}
+                      onChange={(e) => updateContextSetting('retrievalTokenBudget', parseInt(e.target.value))}
+                      style={{
+                        width: '100%',
+                        padding: '8px 12px',
+                        border: `1px solid ${theme.border}`,
+                        borderRadius: '4px',
+                        backgroundColor: theme.surface,
+                        color: theme.text,
+                        fontSize: '14px'
+                      }}
+                    />
+                  </div>
+                </div>
+
+                {/* Chunking */}
+                <div>
+                  <label style={{
+                    display: 'block',
+                    color: theme.text,
+                    fontSize: '14px',
+                    fontWeight: '500',
+                    marginBottom: '8px'
+                  }}>
+                    Chunk Size / Overlap (tokens)
+                  </label>
+                  <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
+                    <input
+                      type="number"
+                      min="100"
+                      step="50"
+                      value={contextConfig.chunkMaxTokens || 400}
+                      onChange={(e) => updateContextSetting('chunkMaxTokens', parseInt(e.target.value))}
+                      style={{
+                        width: '100%',
+                        padding: '8px 12px',
+                        border: `1px solid ${theme.border}`,
+                        borderRadius: '4px',
+                        backgroundColor: theme.surface,
+                        color: theme.text,
+                        fontSize: '14px'
+                      }}
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      step="10"
+                      value={contextConfig.chunkOverlapTokens ?? 50}
+                      onChange={(e) => updateContextSetting('chunkOverlapTokens', parseInt(e.target.value))}
+                      style={{
+                        width: '100%',
+                        padding: '8px 12px',
+                        border: `1px solid ${theme.border}`,
+                        borderRadius: '4px',
+                        backgroundColor: theme.surface,
+                        color: theme.text,
+                        fontSize: '14px'
+                      }}
+                    />
+                  </div>
+                  <div style={{ fontSize: '12px', color: theme.textSecondary, marginTop: '4px' }}>
+                    Applies the next time a project's context is rebuilt
+                  </div>
+                </div>
+
+                {/* Reranker */}
+                <div>
+                  <label style={{
+                    display: 'block',
+                    color: theme.text,
+                    fontSize: '14px',
+                    fontWeight: '500',
+                    marginBottom: '8px'
+                  }}>
+                    Passage Reranker
+                  </label>
+                  <select
+                    value={contextConfig.reranker || 'none'}
+                    onChange={(e) => updateContextSetting('reranker', e.target.value)}
+                    style={{
+                      width: '100%',
+                      padding: '8px 12px',
+                      border: `1px solid ${theme.border}`,
+                      borderRadius: '4px',
+                      backgroundColor: theme.surface,
+                      color: theme.text,
+                      fontSize: '14px'
+                    }}
+                  >
+                    <option value="none">None (full-text + vector fusion only)</option>
+                    <option value="cross-encoder">Cross-encoder (rerank model)</option>
+                    <option value="llm">LLM scoring (rerank model)</option>
+                  </select>
+                </div>
+
                 {/* Context Allocation */}
                 <div>
                   <label style={{
@@ -2777,6 +2941,16 @@ const AdminSettings = ({ theme }) => {
       {activeTab === 'archivedProjects' && (
         <ArchivedProjectsManagement theme={theme} />
       )}
+
+      {/* Prompt Templates Tab */}
+      {activeTab === 'promptTemplates' && (
+        <PromptTemplateManager theme={theme} />
+      )}
+
+      {/* Background Jobs Tab */}
+      {activeTab === 'backgroundJobs' && (
+        <BackgroundJobsMonitor theme={theme} />
+      )}
     </div>
   );
 };
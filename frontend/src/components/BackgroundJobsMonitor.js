@@ -0,0 +1,222 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { API_BASE_URL, API_ENDPOINTS } from '../config/api';
+import useJobProgress from '../hooks/useJobProgress';
+
+const JOB_TYPE_LABELS = {
+  context_build: 'Context build',
+  pp_text_extraction: 'Past performance text extraction',
+  embedding_backfill: 'Embedding backfill',
+  pp_import: 'Past performance import'
+};
+
+const STATUS_COLORS = {
+  queued: '#6c757d',
+  running: '#007bff',
+  completed: '#28a745',
+  failed: '#dc3545',
+  cancelled: '#fd7e14'
+};
+
+const STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+const describeJob = (job) => {
+  const payload = job.payload || {};
+  if (payload.projectName) {
+    return `${payload.projectName} / ${payload.documentType}`;
+  }
+  if (payload.documentId) {
+    return `Document ${payload.documentId}`;
+  }
+  if (payload.reason) {
+    return `${payload.reason}${payload.force ? ' (force)' : ''}`;
+  }
+  return '';
+};
+
+const BackgroundJobsMonitor = ({ theme }) => {
+  const [history, setHistory] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState(null);
+
+  // Live updates for every job; merged over the last fetched page
+  const { jobs: liveJobs, connected, cancelJob, retryJob } = useJobProgress();
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      const query = statusFilter ? `?status=${statusFilter}&limit=100` : '?limit=100';
+      const [listResponse, statsResponse] = await Promise.all([
+        fetch(`${API_BASE_URL}${API_ENDPOINTS.JOBS}${query}`, { credentials: 'include' }),
+        fetch(`${API_BASE_URL}${API_ENDPOINTS.JOBS}/stats`, { credentials: 'include' })
+      ]);
+      const listData = await listResponse.json();
+      const statsData = await statsResponse.json();
+
+      if (listData.success) {
+        setHistory(listData.data);
+      }
+      if (statsData.success) {
+        setStats(statsData.data);
+      }
+    } catch (error) {
+      console.error('Error fetching jobs:', error);
+      setMessage({ type: 'error', text: 'Failed to load jobs' });
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchJobs();
+  }, [fetchJobs]);
+
+  const handleAction = async (action, job) => {
+    setMessage(null);
+    try {
+      const updated = action === 'cancel' ? await cancelJob(job.id) : await retryJob(job.id);
+      setMessage({
+        type: 'success',
+        text: action === 'cancel'
+          ? `Job ${updated.id} ${updated.status === 'cancelled' ? 'cancelled' : 'will stop at its next checkpoint'}`
+          : `Job ${updated.id} queued again`
+      });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const merged = {};
+  history.forEach(job => { merged[job.id] = job; });
+  liveJobs.forEach(job => { merged[job.id] = job; });
+  const jobs = Object.values(merged)
+    .filter(job => !statusFilter || job.status === statusFilter)
+    .sort((a, b) => b.id - a.id);
+
+  const buttonStyle = (color) => ({
+    backgroundColor: color,
+    color: 'white',
+    border: 'none',
+    padding: '4px 10px',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '12px'
+  });
+
+  if (loading) {
+    return (
+      <div style={{ padding: '20px', textAlign: 'center' }}>
+        <div style={{ color: theme.textSecondary }}>Loading jobs...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ padding: '20px' }}>
+      <div style={{ marginBottom: '24px', display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+        <div>
+          <h2 style={{ color: theme.text, margin: 0, fontSize: '24px', marginBottom: '8px' }}>
+            ⏳ Background Jobs
+          </h2>
+          <p style={{ color: theme.textSecondary, margin: 0, fontSize: '14px' }}>
+            Context builds, text extraction and embedding backfills, with live progress
+          </p>
+        </div>
+        <span style={{ fontSize: '12px', color: connected ? '#28a745' : theme.textSecondary }}>
+          {connected ? '● Live' : '○ Reconnecting...'}
+        </span>
+      </div>
+
+      {message && (
+        <div style={{
+          padding: '12px 16px',
+          borderRadius: '8px',
+          marginBottom: '20px',
+          backgroundColor: message.type === 'success' ? '#d4edda' : '#f8d7da',
+          color: message.type === 'success' ? '#155724' : '#721c24'
+        }}>
+          {message.text}
+        </div>
+      )}
+
+      {stats && (
+        <div style={{ display: 'flex', gap: '12px', marginBottom: '20px', flexWrap: 'wrap' }}>
+          {STATUSES.map(status => (
+            <button
+              key={status}
+              onClick={() => setStatusFilter(statusFilter === status ? '' : status)}
+              style={{
+                padding: '8px 14px',
+                borderRadius: '6px',
+                border: `1px solid ${statusFilter === status ? STATUS_COLORS[status] : theme.border}`,
+                backgroundColor: theme.surface,
+                color: theme.text,
+                cursor: 'pointer',
+                fontSize: '13px'
+              }}
+            >
+              <span style={{ color: STATUS_COLORS[status], fontWeight: '600' }}>{stats.byStatus[status] || 0}</span> {status}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {jobs.length === 0 ? (
+        <div style={{ color: theme.textSecondary, padding: '20px', textAlign: 'center' }}>
+          No jobs{statusFilter ? ` with status "${statusFilter}"` : ''}
+        </div>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', color: theme.text }}>
+          <thead>
+            <tr style={{ textAlign: 'left', borderBottom: `1px solid ${theme.border}` }}>
+              <th style={{ padding: '8px' }}>#</th>
+              <th style={{ padding: '8px' }}>Job</th>
+              <th style={{ padding: '8px' }}>Status</th>
+              <th style={{ padding: '8px', width: '30%' }}>Progress</th>
+              <th style={{ padding: '8px' }}>Attempts</th>
+              <th style={{ padding: '8px' }}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {jobs.map(job => (
+              <tr key={job.id} style={{ borderBottom: `1px solid ${theme.border}` }}>
+                <td style={{ padding: '8px', color: theme.textSecondary }}>{job.id}</td>
+                <td style={{ padding: '8px' }}>
+                  <div style={{ fontWeight: '600' }}>{JOB_TYPE_LABELS[job.type] || job.type}</div>
+                  <div style={{ color: theme.textSecondary, fontSize: '12px' }}>{describeJob(job)}</div>
+                </td>
+                <td style={{ padding: '8px', color: STATUS_COLORS[job.status], fontWeight: '600' }}>
+                  {job.status}{job.cancelRequested && job.status === 'running' ? ' (stopping)' : ''}
+                </td>
+                <td style={{ padding: '8px' }}>
+                  <div style={{ backgroundColor: theme.border, borderRadius: '4px', height: '8px', overflow: 'hidden' }}>
+                    <div style={{
+                      width: `${job.progress || 0}%`,
+                      height: '100%',
+                      backgroundColor: STATUS_COLORS[job.status],
+                      transition: 'width 0.3s ease'
+                    }} />
+                  </div>
+                  <div style={{ color: job.error ? '#dc3545' : theme.textSecondary, fontSize: '12px', marginTop: '4px' }}>
+                    {job.error || job.progressMessage || ''}
+                  </div>
+                </td>
+                <td style={{ padding: '8px' }}>{job.attempts}/{job.maxAttempts}</td>
+                <td style={{ padding: '8px', textAlign: 'right' }}>
+                  {(job.status === 'queued' || job.status === 'running') && !job.cancelRequested && (
+                    <button onClick={() => handleAction('cancel', job)} style={buttonStyle('#dc3545')}>Cancel</button>
+                  )}
+                  {(job.status === 'failed' || job.status === 'cancelled') && job.type !== 'pp_import' && (
+                    <button onClick={() => handleAction('retry', job)} style={buttonStyle(theme.primary)}>Retry</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default BackgroundJobsMonitor;
@@ -0,0 +1,516 @@
+import React, { useState, useEffect } from 'react';
+import { API_ENDPOINTS } from '../config/api';
+
+const STATUS_COLORS = {
+  scheduled: '#17a2b8',
+  in_progress: '#ffc107',
+  completed: '#28a745',
+  cancelled: '#6c757d'
+};
+
+const RATING_COLORS = {
+  outstanding: '#28a745',
+  good: '#5cb85c',
+  acceptable: '#17a2b8',
+  marginal: '#fd7e14',
+  unacceptable: '#dc3545'
+};
+
+const LOCATION_LABELS = {
+  exact: null,
+  moved: 'Text moved',
+  orphaned: 'Quoted text no longer in section',
+  section: null
+};
+
+const formatLabel = (value) => (value || '').replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+
+const ColorReviewManager = ({ theme, projects = [], selectedProject = null }) => {
+  const [projectId, setProjectId] = useState(selectedProject?.id || '');
+  const [options, setOptions] = useState({ reviewTypes: {}, ratings: [], commentTypes: [] });
+  const [reviews, setReviews] = useState([]);
+  const [teamMembers, setTeamMembers] = useState([]);
+  const [review, setReview] = useState(null);
+  const [section, setSection] = useState(null);
+  const [comments, setComments] = useState([]);
+  const [scorecard, setScorecard] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [showScheduleForm, setShowScheduleForm] = useState(false);
+  const [schedule, setSchedule] = useState({ reviewType: 'pink', title: '', scheduledStart: '', scheduledEnd: '', reviewerIds: [] });
+  const [selection, setSelection] = useState(null);
+  const [commentDraft, setCommentDraft] = useState({ body: '', commentType: 'general' });
+  const [scoreDrafts, setScoreDrafts] = useState({});
+
+  const cardStyle = {
+    backgroundColor: theme?.surface || '#fff',
+    border: `1px solid ${theme?.border || '#ddd'}`,
+    borderRadius: '8px',
+    padding: '16px',
+    marginBottom: '16px'
+  };
+
+  const buttonStyle = (color = theme?.primary || '#007bff') => ({
+    padding: '6px 12px',
+    backgroundColor: color,
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '13px',
+    marginRight: '8px'
+  });
+
+  const inputStyle = {
+    padding: '6px 8px',
+    border: `1px solid ${theme?.border || '#ddd'}`,
+    borderRadius: '4px',
+    backgroundColor: theme?.background || '#fff',
+    color: theme?.text || '#000',
+    fontSize: '13px'
+  };
+
+  const request = async (url, init = {}) => {
+    const response = await fetch(url, {
+      credentials: 'include',
+      ...init,
+      headers: init.body ? { 'Content-Type': 'application/json' } : undefined
+    });
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.message || 'Request failed');
+    }
+    return data.data;
+  };
+
+  useEffect(() => {
+    request(`${API_ENDPOINTS.REVIEWS}/options`)
+      .then(setOptions)
+      .catch(error => console.error('Failed to load review options:', error));
+  }, []);
+
+  useEffect(() => {
+    setReview(null);
+    setSection(null);
+    setScorecard(null);
+    if (projectId) {
+      loadReviews(projectId);
+    }
+  }, [projectId]);
+
+  const loadReviews = async (id) => {
+    setLoading(true);
+
+    try {
+      const [reviewList, teamResponse] = await Promise.all([
+        request(`${API_ENDPOINTS.REVIEWS}/projects/${id}`),
+        fetch(`${API_ENDPOINTS.PROJECTS}/${id}/team`, { credentials: 'include' })
+      ]);
+      setReviews(reviewList);
+
+      if (teamResponse.ok) {
+        const team = await teamResponse.json();
+        setTeamMembers(team.data || []);
+      }
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openReview = async (reviewId) => {
+    try {
+      setReview(await request(`${API_ENDPOINTS.REVIEWS}/${reviewId}`));
+      setSection(null);
+      setScorecard(null);
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const scheduleReview = async () => {
+    try {
+      await request(`${API_ENDPOINTS.REVIEWS}/projects/${projectId}`, {
+        method: 'POST',
+        body: JSON.stringify({
+          ...schedule,
+          scheduledStart: schedule.scheduledStart || null
+        })
+      });
+      setShowScheduleForm(false);
+      setSchedule({ reviewType: 'pink', title: '', scheduledStart: '', scheduledEnd: '', reviewerIds: [] });
+      loadReviews(projectId);
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const setReviewStatus = async (status) => {
+    try {
+      await request(`${API_ENDPOINTS.REVIEWS}/${review.id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ status })
+      });
+      openReview(review.id);
+      loadReviews(projectId);
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const openSection = async (sectionSummary) => {
+    try {
+      const [sectionData, sectionComments, card] = await Promise.all([
+        request(`${API_ENDPOINTS.PROPOSAL_DRAFTS}/sections/${sectionSummary.id}`),
+        request(`${API_ENDPOINTS.REVIEWS}/${review.id}/comments?sectionId=${sectionSummary.id}`),
+        request(`${API_ENDPOINTS.REVIEWS}/${review.id}/scorecard`)
+      ]);
+      setSection({ ...sectionData, factors: sectionSummary.factors });
+      setComments(sectionComments);
+      setScorecard(card);
+      setSelection(null);
+      setCommentDraft({ body: '', commentType: 'general' });
+      setScoreDrafts({});
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const captureSelection = (event) => {
+    const { selectionStart, selectionEnd, value } = event.target;
+    setSelection(selectionEnd > selectionStart
+      ? { quote: value.substring(selectionStart, selectionEnd), start: selectionStart }
+      : null);
+  };
+
+  const addComment = async () => {
+    try {
+      await request(`${API_ENDPOINTS.REVIEWS}/${review.id}/comments`, {
+        method: 'POST',
+        body: JSON.stringify({
+          sectionId: section.id,
+          body: commentDraft.body,
+          commentType: commentDraft.commentType,
+          quote: selection?.quote,
+          start: selection?.start
+        })
+      });
+      openSection(section);
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const resolveComment = async (comment, status) => {
+    const note = status === 'wont_fix' ? prompt('Why will this comment not be addressed?') : null;
+    if (status === 'wont_fix' && !note) {
+      return;
+    }
+
+    try {
+      const updated = await request(`${API_ENDPOINTS.REVIEWS}/comments/${comment.id}/resolve`, {
+        method: 'POST',
+        body: JSON.stringify({ status, note })
+      });
+      setComments(current => current.map(c => (c.id === comment.id ? { ...updated, location: c.location } : c)));
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const saveScore = async (factorId) => {
+    const draft = scoreDrafts[factorId] || {};
+    try {
+      await request(`${API_ENDPOINTS.REVIEWS}/${review.id}/scores`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          sectionId: section.id,
+          factorId,
+          rating: draft.rating,
+          rationale: draft.rationale
+        })
+      });
+      setScorecard(await request(`${API_ENDPOINTS.REVIEWS}/${review.id}/scorecard`));
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const requestPrescore = async () => {
+    try {
+      await request(`${API_ENDPOINTS.REVIEWS}/${review.id}/ai-prescore`, { method: 'POST' });
+      alert('AI pre-scoring queued. Scores appear on the scorecard when the background job finishes.');
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const loadScorecard = async () => {
+    try {
+      setSection(null);
+      setScorecard(await request(`${API_ENDPOINTS.REVIEWS}/${review.id}/scorecard`));
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const ratingBadge = (rating) => rating && (
+    <span style={{
+      padding: '2px 8px',
+      borderRadius: '10px',
+      fontSize: '12px',
+      color: 'white',
+      backgroundColor: RATING_COLORS[rating] || '#6c757d'
+    }}>
+      {formatLabel(rating)}
+    </span>
+  );
+
+  const renderScheduleForm = () => (
+    <div style={cardStyle}>
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '12px' }}>
+        <select style={inputStyle} value={schedule.reviewType} onChange={e => setSchedule({ ...schedule, reviewType: e.target.value })}>
+          {Object.entries(options.reviewTypes).map(([key, type]) => (
+            <option key={key} value={key}>{type.label}</option>
+          ))}
+        </select>
+        <input style={{ ...inputStyle, flex: 1 }} placeholder="Title (optional)" value={schedule.title}
+          onChange={e => setSchedule({ ...schedule, title: e.target.value })} />
+        <label style={{ color: theme?.textSecondary || '#666', fontSize: '13px' }}>
+          Start <input type="datetime-local" style={inputStyle} value={schedule.scheduledStart}
+            onChange={e => setSchedule({ ...schedule, scheduledStart: e.target.value })} />
+        </label>
+        <label style={{ color: theme?.textSecondary || '#666', fontSize: '13px' }}>
+          Due <input type="datetime-local" style={inputStyle} value={schedule.scheduledEnd}
+            onChange={e => setSchedule({ ...schedule, scheduledEnd: e.target.value })} />
+        </label>
+      </div>
+      <div style={{ marginBottom: '12px', color: theme?.text || '#000', fontSize: '13px' }}>
+        <strong>Reviewers:</strong>
+        {teamMembers.length === 0 && <span style={{ color: theme?.textSecondary || '#666' }}> No team members on this project</span>}
+        {teamMembers.map(member => (
+          <label key={member.user_id} style={{ marginLeft: '12px' }}>
+            <input
+              type="checkbox"
+              checked={schedule.reviewerIds.includes(member.user_id)}
+              onChange={e => setSchedule({
+                ...schedule,
+                reviewerIds: e.target.checked
+                  ? [...schedule.reviewerIds, member.user_id]
+                  : schedule.reviewerIds.filter(id => id !== member.user_id)
+              })}
+            /> {member.user_name || member.user_email}
+          </label>
+        ))}
+      </div>
+      <button style={buttonStyle()} onClick={scheduleReview} disabled={!schedule.scheduledEnd}>Schedule</button>
+      <button style={buttonStyle('#6c757d')} onClick={() => setShowScheduleForm(false)}>Cancel</button>
+    </div>
+  );
+
+  const renderReviewList = () => (
+    <div style={cardStyle}>
+      {reviews.length === 0 ? (
+        <p style={{ color: theme?.textSecondary || '#666' }}>No reviews scheduled for this project.</p>
+      ) : reviews.map(item => (
+        <div
+          key={item.id}
+          onClick={() => openReview(item.id)}
+          style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            padding: '8px',
+            cursor: 'pointer',
+            borderBottom: `1px solid ${theme?.border || '#eee'}`,
+            backgroundColor: review?.id === item.id ? (theme?.primary || '#007bff') + '15' : 'transparent',
+            color: theme?.text || '#000'
+          }}
+        >
+          <span><strong>{item.title}</strong> · due {new Date(item.scheduledEnd).toLocaleDateString()}</span>
+          <span style={{ fontSize: '12px' }}>
+            {item.reviewerCount} reviewers · {item.openComments} open comments ·{' '}
+            <span style={{ color: STATUS_COLORS[item.status] }}>{formatLabel(item.status)}</span>
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+
+  const renderReview = () => (
+    <div style={cardStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <h4 style={{ margin: 0, color: theme?.text || '#000' }}>{review.title} ({review.typeLabel})</h4>
+        <div>
+          <button style={buttonStyle('#6f42c1')} onClick={requestPrescore}>🤖 AI Pre-score</button>
+          <button style={buttonStyle()} onClick={loadScorecard}>📊 Scorecard</button>
+          {review.status !== 'completed' && (
+            <button style={buttonStyle('#28a745')} onClick={() => setReviewStatus('completed')}>Complete</button>
+          )}
+        </div>
+      </div>
+      <p style={{ color: theme?.textSecondary || '#666', fontSize: '13px' }}>
+        {review.instructions}<br />
+        Reviewers: {review.reviewers.map(reviewer => reviewer.name || reviewer.email).join(', ') || 'none assigned'}
+      </p>
+      {review.sections.map(item => (
+        <div
+          key={item.id}
+          onClick={() => openSection(item)}
+          style={{
+            padding: '6px 8px',
+            cursor: 'pointer',
+            color: theme?.text || '#000',
+            backgroundColor: section?.id === item.id ? (theme?.primary || '#007bff') + '15' : 'transparent'
+          }}
+        >
+          {item.title}
+          <span style={{ fontSize: '12px', color: theme?.textSecondary || '#666' }}>
+            {' '}· {item.factors.map(factor => factor.title).join(', ')} · {item.openComments}/{item.comments} open
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+
+  const renderSection = () => {
+    const sectionScores = scorecard?.sections.find(item => item.sectionId === section.id);
+
+    return (
+      <div style={{ display: 'flex', gap: '16px' }}>
+        <div style={{ ...cardStyle, flex: 3 }}>
+          <h4 style={{ marginTop: 0, color: theme?.text || '#000' }}>{section.title}</h4>
+          <textarea
+            readOnly
+            value={section.content || ''}
+            onSelect={captureSelection}
+            style={{ ...inputStyle, width: '100%', minHeight: '360px', fontFamily: 'inherit', lineHeight: 1.5 }}
+          />
+          <div style={{ marginTop: '8px' }}>
+            <div style={{ fontSize: '12px', color: theme?.textSecondary || '#666', marginBottom: '4px' }}>
+              {selection ? `Commenting on: "${selection.quote.substring(0, 120)}"` : 'Select text to anchor a comment, or comment on the whole section'}
+            </div>
+            <select style={inputStyle} value={commentDraft.commentType}
+              onChange={e => setCommentDraft({ ...commentDraft, commentType: e.target.value })}>
+              {options.commentTypes.map(type => <option key={type} value={type}>{formatLabel(type)}</option>)}
+            </select>
+            <textarea style={{ ...inputStyle, width: '100%', marginTop: '4px' }} rows={3} value={commentDraft.body}
+              onChange={e => setCommentDraft({ ...commentDraft, body: e.target.value })} />
+            <button style={buttonStyle()} onClick={addComment} disabled={!commentDraft.body.trim()}>Add Comment</button>
+          </div>
+        </div>
+
+        <div style={{ flex: 2 }}>
+          <div style={cardStyle}>
+            <h5 style={{ marginTop: 0, color: theme?.text || '#000' }}>Scores</h5>
+            {(sectionScores?.factors || []).map(factor => (
+              <div key={factor.factorId} style={{ marginBottom: '12px', color: theme?.text || '#000', fontSize: '13px' }}>
+                <strong>{factor.title}</strong>{' '}
+                {factor.consensus && <>Consensus {ratingBadge(factor.consensus.rating)} </>}
+                {factor.aiScore && <>AI {ratingBadge(factor.aiScore.rating)}</>}
+                {factor.aiScore?.weaknesses?.length > 0 && (
+                  <ul style={{ margin: '4px 0', paddingLeft: '18px', color: theme?.textSecondary || '#666' }}>
+                    {factor.aiScore.weaknesses.map((weakness, i) => <li key={i}>{weakness}</li>)}
+                  </ul>
+                )}
+                <div style={{ display: 'flex', gap: '4px', marginTop: '4px' }}>
+                  <select style={inputStyle} value={scoreDrafts[factor.factorId]?.rating || ''}
+                    onChange={e => setScoreDrafts({ ...scoreDrafts, [factor.factorId]: { ...scoreDrafts[factor.factorId], rating: e.target.value } })}>
+                    <option value="">Rate…</option>
+                    {options.ratings.map(rating => <option key={rating.key} value={rating.key}>{rating.label}</option>)}
+                  </select>
+                  <input style={{ ...inputStyle, flex: 1 }} placeholder="Rationale" value={scoreDrafts[factor.factorId]?.rationale || ''}
+                    onChange={e => setScoreDrafts({ ...scoreDrafts, [factor.factorId]: { ...scoreDrafts[factor.factorId], rationale: e.target.value } })} />
+                  <button style={buttonStyle()} onClick={() => saveScore(factor.factorId)}
+                    disabled={!scoreDrafts[factor.factorId]?.rating}>Save</button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div style={cardStyle}>
+            <h5 style={{ marginTop: 0, color: theme?.text || '#000' }}>Comments ({comments.length})</h5>
+            {comments.map(comment => (
+              <div key={comment.id} style={{
+                borderLeft: `3px solid ${comment.status === 'open' ? '#ffc107' : '#28a745'}`,
+                padding: '4px 8px',
+                marginBottom: '8px',
+                fontSize: '13px',
+                color: theme?.text || '#000'
+              }}>
+                <div style={{ color: theme?.textSecondary || '#666', fontSize: '12px' }}>
+                  {formatLabel(comment.commentType)} · {comment.authorName} · {formatLabel(comment.status)}
+                  {LOCATION_LABELS[comment.location?.state] && ` · ⚠️ ${LOCATION_LABELS[comment.location.state]}`}
+                </div>
+                {comment.anchor && <div style={{ fontStyle: 'italic' }}>"{comment.anchor.quote}"</div>}
+                <div>{comment.body}</div>
+                {comment.resolutionNote && <div style={{ color: theme?.textSecondary || '#666' }}>Note: {comment.resolutionNote}</div>}
+                {comment.status === 'open' ? (
+                  <div style={{ marginTop: '4px' }}>
+                    <button style={buttonStyle('#28a745')} onClick={() => resolveComment(comment, 'resolved')}>Resolve</button>
+                    <button style={buttonStyle('#6c757d')} onClick={() => resolveComment(comment, 'wont_fix')}>Won't Fix</button>
+                  </div>
+                ) : (
+                  <button style={{ ...buttonStyle('#6c757d'), marginTop: '4px' }} onClick={() => resolveComment(comment, 'open')}>Reopen</button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const renderScorecard = () => (
+    <div style={cardStyle}>
+      <h4 style={{ marginTop: 0, color: theme?.text || '#000' }}>Scorecard</h4>
+      <p style={{ color: theme?.textSecondary || '#666', fontSize: '13px' }}>
+        Comments: {scorecard.comments.total} total, {scorecard.comments.open} open, {scorecard.comments.resolved} resolved, {scorecard.comments.wontFix} won't fix
+      </p>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', color: theme?.text || '#000' }}>
+        <thead>
+          <tr style={{ textAlign: 'left', borderBottom: `2px solid ${theme?.border || '#ddd'}` }}>
+            <th>Section</th><th>Factor</th><th>Consensus</th><th>Reviewers</th><th>AI</th>
+          </tr>
+        </thead>
+        <tbody>
+          {scorecard.sections.flatMap(item => item.factors.map(factor => (
+            <tr key={`${item.sectionId}-${factor.factorId}`} style={{ borderBottom: `1px solid ${theme?.border || '#eee'}` }}>
+              <td>{item.title}</td>
+              <td>{factor.title}</td>
+              <td>
+                {factor.consensus ? ratingBadge(factor.consensus.rating) : '—'}
+                {factor.consensus?.spread > 1 && <span title="Reviewers disagree by more than one rating"> ⚠️</span>}
+              </td>
+              <td>{factor.reviewerScores.length}</td>
+              <td>{factor.aiScore ? ratingBadge(factor.aiScore.rating) : '—'}</td>
+            </tr>
+          )))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <div style={{ padding: '20px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '16px' }}>
+        <h3 style={{ margin: 0, color: theme?.text || '#000' }}>🎨 Color Team Reviews</h3>
+        <select style={inputStyle} value={projectId} onChange={e => setProjectId(e.target.value)}>
+          <option value="">Select a project…</option>
+          {projects.map(project => <option key={project.id} value={project.id}>{project.title}</option>)}
+        </select>
+        {projectId && (
+          <button style={buttonStyle()} onClick={() => setShowScheduleForm(true)}>+ Schedule Review</button>
+        )}
+      </div>
+
+      {loading && <p style={{ color: theme?.textSecondary || '#666' }}>Loading…</p>}
+      {showScheduleForm && renderScheduleForm()}
+      {projectId && !loading && renderReviewList()}
+      {review && renderReview()}
+      {review && section && renderSection()}
+      {review && !section && scorecard && renderScorecard()}
+    </div>
+  );
+};
+
+export default ColorReviewManager;
@@ -1,7 +1,38 @@
 import React, { useState, useEffect } from 'react';
 import { API_ENDPOINTS } from '../config/api';
 
-const ComplianceManager = ({ theme }) => {
+const MATRIX_STATUSES = [
+  { value: 'not_started', label: 'Not Started' },
+  { value: 'in_progress', label: 'In Progress' },
+  { value: 'ready_for_review', label: 'Ready for Review' },
+  { value: 'complete', label: 'Complete' },
+  { value: 'not_applicable', label: 'Not Applicable' }
+];
+
+const VALIDATION_BADGES = {
+  addressed: { label: 'Addressed', color: '#28a745' },
+  partial: { label: 'Partial', color: '#ffc107' },
+  not_addressed: { label: 'Not Addressed', color: '#dc3545' },
+  excerpt_missing: { label: 'Excerpt Missing', color: '#dc3545' },
+  no_content: { label: 'Section Empty', color: '#6c757d' },
+  unassigned: { label: 'No Section', color: '#6c757d' }
+};
+
+// Evidence is edited as one "Label | URL or document ID" line per link
+const evidenceToText = (evidence) => (evidence || [])
+  .map(link => `${link.label} | ${link.url || link.documentId}`)
+  .join('\n');
+
+const textToEvidence = (text) => text
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map(line => {
+    const [label, target] = line.includes('|') ? line.split('|').map(part => part.trim()) : ['', line];
+    return /^https?:\/\//i.test(target) ? { label, url: target } : { label, documentId: target };
+  });
+
+const ComplianceManager = ({ theme, projects = [], selectedProject = null }) => {
   const [activeTab, setActiveTab] = useState('extract');
   const [documentText, setDocumentText] = useState('');
   const [extractedRequirements, setExtractedRequirements] = useState([]);
@@ -11,6 +42,12 @@ const ComplianceManager = ({ theme }) => {
   const [frameworks, setFrameworks] = useState({});
   const [templates, setTemplates] = useState({});
   const [healthStatus, setHealthStatus] = useState(null);
+  const [matrixProjectId, setMatrixProjectId] = useState(selectedProject?.id || '');
+  const [projectMatrix, setProjectMatrix] = useState(null);
+  const [teamMembers, setTeamMembers] = useState([]);
+  const [matrixLoading, setMatrixLoading] = useState(false);
+  const [expandedRowId, setExpandedRowId] = useState(null);
+  const [rowDraft, setRowDraft] = useState({ responseExcerpt: '', evidence: '', notes: '' });
 
   useEffect(() => {
     loadFrameworks();
@@ -19,6 +56,12 @@ const ComplianceManager = ({ theme }) => {
     loadSampleDocument();
   }, []);
 
+  useEffect(() => {
+    if (activeTab === 'project-matrix' && matrixProjectId) {
+      loadProjectMatrix(matrixProjectId);
+    }
+  }, [activeTab, matrixProjectId]);
+
   const loadFrameworks = async () => {
     try {
       const response = await fetch(`${API_ENDPOINTS.COMPLIANCE}/frameworks`);
@@ -238,6 +281,135 @@ Estimated requirements: ${data.data.estimatedRequirements}`);
     }
   };
 
+  const loadProjectMatrix = async (projectId) => {
+    setMatrixLoading(true);
+
+    try {
+      const [matrixResponse, teamResponse] = await Promise.all([
+        fetch(`${API_ENDPOINTS.COMPLIANCE}/projects/${projectId}/matrix`, { credentials: 'include' }),
+        fetch(`${API_ENDPOINTS.PROJECTS}/${projectId}/team`, { credentials: 'include' })
+      ]);
+
+      const data = await matrixResponse.json();
+      if (data.success) {
+        setProjectMatrix(data.data);
+      } else {
+        setProjectMatrix(null);
+        alert(`Error: ${data.message}`);
+      }
+
+      if (teamResponse.ok) {
+        const team = await teamResponse.json();
+        setTeamMembers(team.data || []);
+      }
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    } finally {
+      setMatrixLoading(false);
+    }
+  };
+
+  const saveMatrixRow = async (rowId, updates) => {
+    try {
+      const response = await fetch(`${API_ENDPOINTS.COMPLIANCE}/matrix/rows/${rowId}`, {
+        method: 'PUT',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(updates)
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setProjectMatrix(current => ({
+          ...current,
+          rows: current.rows.map(row => (row.id === rowId ? data.data : row))
+        }));
+        return true;
+      }
+      alert(`Error: ${data.message}`);
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    }
+    return false;
+  };
+
+  const revalidateMatrix = async () => {
+    setMatrixLoading(true);
+
+    try {
+      const response = await fetch(`${API_ENDPOINTS.COMPLIANCE}/projects/${matrixProjectId}/matrix/validate`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setProjectMatrix(current => ({ ...current, rows: data.data.rows, summary: data.data.summary }));
+      } else {
+        alert(`Error: ${data.message}`);
+      }
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    } finally {
+      setMatrixLoading(false);
+    }
+  };
+
+  const exportMatrix = async (format) => {
+    try {
+      const response = await fetch(`${API_ENDPOINTS.COMPLIANCE}/projects/${matrixProjectId}/matrix/export?format=${format}`, {
+        credentials: 'include'
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        alert(`Error: ${data.message}`);
+        return;
+      }
+
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const match = disposition.match(/filename="([^"]+)"/);
+      const url = URL.createObjectURL(await response.blob());
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = match ? match[1] : `compliance-matrix.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const toggleRowEditor = (row) => {
+    if (expandedRowId === row.id) {
+      setExpandedRowId(null);
+      return;
+    }
+    setExpandedRowId(row.id);
+    setRowDraft({
+      responseExcerpt: row.responseExcerpt,
+      evidence: evidenceToText(row.evidence),
+      notes: row.notes
+    });
+  };
+
+  const saveRowDraft = async (rowId) => {
+    const saved = await saveMatrixRow(rowId, {
+      responseExcerpt: rowDraft.responseExcerpt,
+      evidence: textToEvidence(rowDraft.evidence),
+      notes: rowDraft.notes
+    });
+    if (saved) {
+      setExpandedRowId(null);
+    }
+  };
+
   const renderRequirementsList = () => (
     <div>
       <h4 style={{ color: theme?.text || '#000', marginBottom: '12px' }}>Extracted Requirements ({extractedRequirements.length})</h4>
@@ -353,6 +525,208 @@ Estimated requirements: ${data.data.estimatedRequirements}`);
     </div>
   );
 
+  const renderProjectMatrix = () => {
+    const selectStyle = {
+      padding: '4px',
+      fontSize: '12px',
+      border: `1px solid ${theme?.border || '#ddd'}`,
+      backgroundColor: theme?.surface || 'white',
+      color: theme?.text || '#000',
+      maxWidth: '180px'
+    };
+    const buttonStyle = {
+      padding: '8px 14px',
+      marginRight: '8px',
+      border: 'none',
+      borderRadius: '4px',
+      cursor: 'pointer',
+      color: 'white'
+    };
+
+    return (
+      <div>
+        <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '8px', marginBottom: '15px' }}>
+          <select
+            value={matrixProjectId}
+            onChange={(e) => setMatrixProjectId(e.target.value)}
+            style={{ ...selectStyle, padding: '8px', fontSize: '14px', maxWidth: '320px' }}
+          >
+            <option value="">Select a project...</option>
+            {projects.map(project => (
+              <option key={project.id} value={project.id}>{project.title}</option>
+            ))}
+          </select>
+          {projectMatrix && matrixProjectId && (
+            <>
+              <button onClick={revalidateMatrix} disabled={matrixLoading} style={{ ...buttonStyle, backgroundColor: '#6c757d' }}>
+                Re-validate
+              </button>
+              <button onClick={() => exportMatrix('xlsx')} style={{ ...buttonStyle, backgroundColor: '#28a745' }}>
+                Export XLSX
+              </button>
+              <button onClick={() => exportMatrix('csv')} style={{ ...buttonStyle, backgroundColor: '#17a2b8' }}>
+                Export CSV
+              </button>
+            </>
+          )}
+        </div>
+
+        {!matrixProjectId ? (
+          <p style={{ color: theme?.textSecondary || '#666' }}>Select a project to edit its compliance matrix.</p>
+        ) : matrixLoading && !projectMatrix ? (
+          <p style={{ color: theme?.textSecondary || '#666' }}>Loading matrix...</p>
+        ) : !projectMatrix ? null : projectMatrix.rows.length === 0 ? (
+          <p style={{ color: theme?.textSecondary || '#666' }}>No requirements yet. Shred the project's solicitation documents to build the matrix.</p>
+        ) : (
+          <div>
+            <div style={{ marginBottom: '15px', padding: '10px', backgroundColor: theme?.surface || '#f8f9fa', borderRadius: '5px' }}>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: '12px' }}>
+                <div>Requirements: <strong>{projectMatrix.summary.total}</strong></div>
+                <div>Complete: <strong>{projectMatrix.summary.byStatus.complete}</strong></div>
+                <div>Addressed: <strong>{projectMatrix.summary.byValidation.addressed || 0}</strong></div>
+                <div>Needs Attention: <strong>{(projectMatrix.summary.byValidation.not_addressed || 0) + (projectMatrix.summary.byValidation.excerpt_missing || 0)}</strong></div>
+                <div>Unowned: <strong>{projectMatrix.summary.unowned}</strong></div>
+              </div>
+            </div>
+
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', color: theme?.text || '#000' }}>
+                <thead>
+                  <tr style={{ textAlign: 'left', borderBottom: `2px solid ${theme?.border || '#ddd'}` }}>
+                    <th style={{ padding: '6px' }}>Ref</th>
+                    <th style={{ padding: '6px' }}>Requirement</th>
+                    <th style={{ padding: '6px' }}>Owner</th>
+                    <th style={{ padding: '6px' }}>Status</th>
+                    <th style={{ padding: '6px' }}>Proposal Section</th>
+                    <th style={{ padding: '6px' }}>Compliance</th>
+                    <th style={{ padding: '6px' }}></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {projectMatrix.rows.map(row => {
+                    const badge = VALIDATION_BADGES[row.validation.state];
+                    return (
+                      <React.Fragment key={row.id}>
+                        <tr style={{ borderBottom: `1px solid ${theme?.border || '#eee'}`, verticalAlign: 'top' }}>
+                          <td style={{ padding: '6px', whiteSpace: 'nowrap' }}>
+                            {row.requirement.paragraphId || `R-${row.requirementId}`}
+                            {row.requirement.page && (
+                              <div style={{ fontSize: '11px', color: theme?.textSecondary || '#666' }}>p. {row.requirement.page}</div>
+                            )}
+                          </td>
+                          <td style={{ padding: '6px', maxWidth: '420px' }}>{row.requirement.text}</td>
+                          <td style={{ padding: '6px' }}>
+                            <select
+                              value={row.ownerId || ''}
+                              onChange={(e) => saveMatrixRow(row.id, { ownerId: e.target.value || null })}
+                              style={selectStyle}
+                            >
+                              <option value="">Unassigned</option>
+                              {teamMembers.map(member => (
+                                <option key={member.user_id} value={member.user_id}>{member.user_name || member.user_email}</option>
+                              ))}
+                              {row.ownerId && !teamMembers.some(member => member.user_id === row.ownerId) && (
+                                <option value={row.ownerId}>{row.ownerName || row.ownerEmail}</option>
+                              )}
+                            </select>
+                          </td>
+                          <td style={{ padding: '6px' }}>
+                            <select
+                              value={row.status}
+                              onChange={(e) => saveMatrixRow(row.id, { status: e.target.value })}
+                              style={selectStyle}
+                            >
+                              {MATRIX_STATUSES.map(status => (
+                                <option key={status.value} value={status.value}>{status.label}</option>
+                              ))}
+                            </select>
+                          </td>
+                          <td style={{ padding: '6px' }}>
+                            <select
+                              value={row.sectionId || ''}
+                              onChange={(e) => saveMatrixRow(row.id, { sectionId: e.target.value || null })}
+                              style={selectStyle}
+                            >
+                              <option value="">None</option>
+                              {projectMatrix.sections.map(section => (
+                                <option key={section.id} value={section.id}>{section.title}</option>
+                              ))}
+                              {row.sectionId && !projectMatrix.sections.some(section => section.id === row.sectionId) && (
+                                <option value={row.sectionId}>{row.sectionTitle}</option>
+                              )}
+                            </select>
+                          </td>
+                          <td style={{ padding: '6px' }}>
+                            {badge ? (
+                              <span
+                                title={row.validation.missingTerms?.length ? `Missing: ${row.validation.missingTerms.join(', ')}` : ''}
+                                style={{
+                                  padding: '2px 6px',
+                                  borderRadius: '3px',
+                                  fontSize: '11px',
+                                  backgroundColor: badge.color,
+                                  color: badge.color === '#ffc107' ? 'black' : 'white'
+                                }}
+                              >
+                                {badge.label}
+                              </span>
+                            ) : (
+                              <span style={{ fontSize: '11px', color: theme?.textSecondary || '#666' }}>Not checked</span>
+                            )}
+                          </td>
+                          <td style={{ padding: '6px' }}>
+                            <button
+                              onClick={() => toggleRowEditor(row)}
+                              style={{ ...selectStyle, cursor: 'pointer' }}
+                            >
+                              {expandedRowId === row.id ? 'Close' : `Details${row.evidence.length ? ` (${row.evidence.length})` : ''}`}
+                            </button>
+                          </td>
+                        </tr>
+                        {expandedRowId === row.id && (
+                          <tr style={{ borderBottom: `1px solid ${theme?.border || '#eee'}` }}>
+                            <td colSpan={7} style={{ padding: '10px', backgroundColor: theme?.surface || '#f8f9fa' }}>
+                              <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '4px' }}>Response Excerpt</label>
+                              <textarea
+                                value={rowDraft.responseExcerpt}
+                                onChange={(e) => setRowDraft({ ...rowDraft, responseExcerpt: e.target.value })}
+                                rows={3}
+                                placeholder="Text from the proposal section that answers this requirement"
+                                style={{ width: '100%', marginBottom: '8px', fontSize: '13px' }}
+                              />
+                              <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '4px' }}>Evidence</label>
+                              <textarea
+                                value={rowDraft.evidence}
+                                onChange={(e) => setRowDraft({ ...rowDraft, evidence: e.target.value })}
+                                rows={3}
+                                placeholder="One per line: Label | https://link or document ID"
+                                style={{ width: '100%', marginBottom: '8px', fontSize: '13px', fontFamily: 'monospace' }}
+                              />
+                              <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '4px' }}>Notes</label>
+                              <textarea
+                                value={rowDraft.notes}
+                                onChange={(e) => setRowDraft({ ...rowDraft, notes: e.target.value })}
+                                rows={2}
+                                style={{ width: '100%', marginBottom: '8px', fontSize: '13px' }}
+                              />
+                              <button onClick={() => saveRowDraft(row.id)} style={{ ...buttonStyle, backgroundColor: theme?.primary || '#007bff' }}>
+                                Save
+                              </button>
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
   const renderRiskAssessment = () => (
     <div>
       <h4 style={{ color: theme?.text || '#000', marginBottom: '12px' }}>Risk Assessment</h4>
@@ -418,6 +792,7 @@ Estimated requirements: ${data.data.estimatedRequirements}`);
         {[
           { id: 'extract', label: '📋 Extract Requirements' },
           { id: 'matrix', label: '📊 Compliance Matrix' },
+          { id: 'project-matrix', label: '🗂️ Project Matrix' },
           { id: 'risk', label: '⚠️ Risk Assessment' },
           { id: 'frameworks', label: '📚 Frameworks' }
         ].map(tab => (
@@ -538,6 +913,9 @@ Estimated requirements: ${data.data.estimatedRequirements}`);
       {/* Compliance Matrix Tab */}
       {activeTab === 'matrix' && renderComplianceMatrix()}
 
+      {/* Persisted Project Matrix Tab */}
+      {activeTab === 'project-matrix' && renderProjectMatrix()}
+
       {/* Risk Assessment Tab */}
       {activeTab === 'risk' && renderRiskAssessment()}
 
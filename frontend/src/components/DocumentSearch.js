@@ -0,0 +1,207 @@
+import React, { useState } from 'react';
+import { API_ENDPOINTS } from '../config/api';
+
+const PAGE_SIZE = 20;
+
+const FACET_LABELS = {
+  projects: { label: 'Project', filter: 'projectName' },
+  documentTypes: { label: 'Document Type', filter: 'documentType' },
+  fileTypes: { label: 'File Type', filter: 'fileTypes' }
+};
+
+const DocumentSearch = ({ theme }) => {
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState({});
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const cardStyle = {
+    backgroundColor: theme?.surface || '#fff',
+    border: `1px solid ${theme?.border || '#ddd'}`,
+    borderRadius: '8px',
+    padding: '12px 16px',
+    marginBottom: '12px'
+  };
+
+  const inputStyle = {
+    padding: '8px 10px',
+    border: `1px solid ${theme?.border || '#ddd'}`,
+    borderRadius: '4px',
+    backgroundColor: theme?.background || '#fff',
+    color: theme?.text || '#000',
+    fontSize: '14px'
+  };
+
+  const buttonStyle = (color = theme?.primary || '#007bff') => ({
+    padding: '8px 14px',
+    backgroundColor: color,
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '13px'
+  });
+
+  const runSearch = async (nextFilters = filters, offset = 0) => {
+    if (query.trim().length < 2) {
+      return;
+    }
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch(API_ENDPOINTS.DOCUMENTS_SEARCH, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query, ...nextFilters, limit: PAGE_SIZE, offset })
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.message || 'Search failed');
+      }
+
+      setResults(previous => (offset > 0 && previous
+        ? { ...data.data, documents: [...previous.documents, ...data.data.documents] }
+        : data.data));
+    } catch (searchError) {
+      setError(searchError.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleFacet = (filter, value) => {
+    const current = filter === 'fileTypes' ? (filters.fileTypes || [])[0] : filters[filter];
+    const next = { ...filters };
+    if (current === value) {
+      delete next[filter];
+    } else {
+      next[filter] = filter === 'fileTypes' ? [value] : value;
+    }
+    setFilters(next);
+    runSearch(next);
+  };
+
+  const renderSnippet = (snippet) => (
+    <p style={{ margin: '6px 0', fontSize: '13px', lineHeight: 1.5, color: theme?.text || '#000' }}>
+      {snippet.highlights.map((segment, index) => (segment.match
+        ? <mark key={index} style={{ backgroundColor: '#fff3a3', padding: '0 2px' }}>{segment.text}</mark>
+        : <span key={index}>{segment.text}</span>
+      ))}
+    </p>
+  );
+
+  const renderFacets = () => (
+    <div style={{ width: '220px', flexShrink: 0 }}>
+      {Object.entries(FACET_LABELS).map(([key, { label, filter }]) => (
+        results.facets[key].length > 0 && (
+          <div key={key} style={cardStyle}>
+            <div style={{ fontWeight: 600, fontSize: '13px', marginBottom: '6px', color: theme?.text || '#000' }}>{label}</div>
+            {results.facets[key].map(facet => {
+              const selected = filter === 'fileTypes'
+                ? (filters.fileTypes || [])[0] === facet.value
+                : filters[filter] === facet.value;
+              return (
+                <div
+                  key={facet.value}
+                  onClick={() => toggleFacet(filter, facet.value)}
+                  style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    cursor: 'pointer',
+                    fontSize: '13px',
+                    padding: '2px 0',
+                    fontWeight: selected ? 600 : 400,
+                    color: selected ? (theme?.primary || '#007bff') : (theme?.text || '#000')
+                  }}
+                >
+                  <span>{facet.value}</span>
+                  <span style={{ color: theme?.textSecondary || '#666' }}>{facet.count}</span>
+                </div>
+              );
+            })}
+          </div>
+        )
+      ))}
+    </div>
+  );
+
+  const renderResult = (document) => {
+    const { search } = document;
+    const pages = search.pages.length > 0 ? `Pages ${search.pages.join(', ')}` : null;
+
+    return (
+      <div key={document.id} style={cardStyle}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
+          <a
+            href={`/api/documents/download/${document.id}`}
+            style={{ fontWeight: 600, color: theme?.primary || '#007bff', textDecoration: 'none' }}
+          >
+            {document.originalName}
+          </a>
+          <span style={{ fontSize: '12px', color: theme?.textSecondary || '#666' }}>
+            {[document.projectName, document.category].filter(Boolean).join(' · ')}
+          </span>
+        </div>
+        {search.snippet.text && renderSnippet(search.snippet)}
+        <div style={{ fontSize: '12px', color: theme?.textSecondary || '#666' }}>
+          {search.snippet.page ? `Best match on page ${search.snippet.page}` : null}
+          {pages && search.pages.length > 1 ? ` · ${pages}` : null}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div style={{ padding: '20px' }}>
+      <h3 style={{ marginTop: 0, color: theme?.text || '#000' }}>🔎 Document Search</h3>
+
+      <form
+        onSubmit={e => { e.preventDefault(); runSearch(); }}
+        style={{ display: 'flex', gap: '8px', marginBottom: '6px' }}
+      >
+        <input
+          style={{ ...inputStyle, flex: 1 }}
+          placeholder='Search document contents, e.g. "FedRAMP Moderate" -High'
+          value={query}
+          onChange={e => setQuery(e.target.value)}
+        />
+        <button type="submit" style={buttonStyle()} disabled={loading || query.trim().length < 2}>
+          {loading ? 'Searching…' : 'Search'}
+        </button>
+        {Object.keys(filters).length > 0 && (
+          <button type="button" style={buttonStyle('#6c757d')} onClick={() => { setFilters({}); runSearch({}); }}>
+            Clear filters
+          </button>
+        )}
+      </form>
+      <div style={{ fontSize: '12px', color: theme?.textSecondary || '#666', marginBottom: '16px' }}>
+        Use quotes for exact phrases, OR for alternatives and - to exclude a word.
+      </div>
+
+      {error && <div style={{ color: '#dc3545', marginBottom: '12px' }}>{error}</div>}
+
+      {results && (
+        <div style={{ display: 'flex', gap: '16px', alignItems: 'flex-start' }}>
+          {renderFacets()}
+          <div style={{ flex: 1 }}>
+            <div style={{ fontSize: '13px', marginBottom: '8px', color: theme?.textSecondary || '#666' }}>
+              {results.total} {results.total === 1 ? 'document' : 'documents'} found
+              {results.coverage.pending > 0 && ` · ${results.coverage.pending} documents are still being indexed`}
+            </div>
+            {results.documents.map(renderResult)}
+            {results.hasMore && (
+              <button style={buttonStyle('#6c757d')} disabled={loading} onClick={() => runSearch(filters, results.documents.length)}>
+                Load more
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DocumentSearch;
@@ -6,6 +6,7 @@ import {
     getDefaultClassification
 } from '../config/uploadDefaults';
 import { API_ENDPOINTS } from '../config/api';
+import useJobProgress from '../hooks/useJobProgress';
 
 const DocumentUpload = ({ onProjectCreated, isModal = false, selectedProject = null, droppedFiles = [], theme }) => {
     const [selectedFiles, setSelectedFiles] = useState([]);
@@ -28,6 +29,14 @@ const DocumentUpload = ({ onProjectCreated, isModal = false, selectedProject = n
     const [newProjectOwner, setNewProjectOwner] = useState(null);
     const [uploadConfig, setUploadConfig] = useState(UPLOAD_DEFAULTS);
 
+    // Follow the context build the upload queued for the project
+    const contextBuildJobId = uploadResults ? uploadResults.contextBuildJobId : null;
+    const { jobs: contextBuildJobs } = useJobProgress(
+        { jobIds: contextBuildJobId ? [contextBuildJobId] : [] },
+        { enabled: Boolean(contextBuildJobId) }
+    );
+    const contextBuildJob = contextBuildJobs.find(job => job.id === contextBuildJobId);
+
     // Mock users data for owner selection (same as in Layout.js)
     const mockUsers = [
         { id: 1, name: 'Alice Johnson', email: 'alice.johnson@agency.gov', avatar: 'A', color: '#007bff' },
@@ -785,6 +794,14 @@ const DocumentUpload = ({ onProjectCreated, isModal = false, selectedProject = n
                     <h3 style={{ margin: '0 0 10px 0' }}>✅ Upload Successful!</h3>
                     <p><strong>Uploaded:</strong> {uploadResults.totalFiles} files to {uploadResults.documentType}/{uploadResults.subfolder}</p>
                     {uploadResults.projectName && <p><strong>Project:</strong> {uploadResults.projectName}</p>}
+                    {contextBuildJob && (
+                        <p>
+                            <strong>AI context build:</strong> {contextBuildJob.status}
+                            {contextBuildJob.status === 'running' && ` (${contextBuildJob.progress}%${contextBuildJob.progressMessage ? ` – ${contextBuildJob.progressMessage}` : ''})`}
+                            {contextBuildJob.status === 'queued' && contextBuildJob.attempts > 0 && ` for retry: ${contextBuildJob.error}`}
+                            {contextBuildJob.status === 'failed' && ` – ${contextBuildJob.error}`}
+                        </p>
+                    )}
                     <details style={{ marginTop: '10px' }}>
                         <summary style={{ cursor: 'pointer', fontWeight: 'bold' }}>View uploaded files</summary>
                         <ul style={{ marginTop: '5px', paddingLeft: '20px' }}>
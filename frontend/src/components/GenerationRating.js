@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { API_ENDPOINTS } from '../config/api';
+
+/**
+ * 1-5 rating for a generation written with a prompt template
+ * Sends the text as the writer has it now, so the edit distance from the generation is
+ * recorded with the rating. Which template or experiment variant was used stays hidden.
+ */
+const GenerationRating = ({ theme, generationId, finalContent }) => {
+  const [rating, setRating] = useState(null);
+  const [hovered, setHovered] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const submitRating = async (value) => {
+    setSaving(true);
+    setError('');
+    try {
+      const response = await fetch(`${API_ENDPOINTS.PROMPT_TEMPLATES}/generations/${generationId}/rating`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({ rating: value, finalContent })
+      });
+      const result = await response.json();
+      if (result.success) {
+        setRating(value);
+      } else {
+        setError(result.message || 'Failed to save rating');
+      }
+    } catch (err) {
+      console.error('Error rating generation:', err);
+      setError('Network error saving rating');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '6px', fontSize: '12px' }}>
+      <span style={{ color: theme.text + '80' }}>
+        {rating ? 'Thanks, rated' : 'Rate this draft'}
+      </span>
+      {[1, 2, 3, 4, 5].map(value => (
+        <button
+          key={value}
+          onClick={() => submitRating(value)}
+          onMouseEnter={() => setHovered(value)}
+          onMouseLeave={() => setHovered(null)}
+          disabled={saving}
+          title={`${value} of 5`}
+          style={{
+            background: 'none',
+            border: 'none',
+            padding: 0,
+            cursor: saving ? 'wait' : 'pointer',
+            fontSize: '16px',
+            color: value <= (hovered || rating || 0) ? '#f6ad55' : theme.border
+          }}
+        >
+          ★
+        </button>
+      ))}
+      {error && <span style={{ color: '#dc3545' }}>{error}</span>}
+    </div>
+  );
+};
+
+export default GenerationRating;
@@ -2,6 +2,14 @@ import React, { useState, useEffect } from 'react';
 import DraggableList from './DraggableList';
 import { API_ENDPOINTS } from '../config/api';
 
+const RESOLUTION_LABELS = {
+  priority_based: 'Give one rule priority',
+  context_specific: 'Limit each rule to its own context',
+  merge: 'Merge into one rule',
+  disable_one: 'Disable one rule',
+  dismissed: 'Not a real conflict'
+};
+
 const GlobalPromptConfig = ({ theme }) => {
   const [config, setConfig] = useState({
     basePrompt: '',
@@ -19,9 +27,16 @@ const GlobalPromptConfig = ({ theme }) => {
   const [hasChanges, setHasChanges] = useState(false);
   const [editingRule, setEditingRule] = useState(null);
   const [editingVariable, setEditingVariable] = useState(null);
+  const [conflicts, setConflicts] = useState([]);
+  const [conflictWarning, setConflictWarning] = useState('');
+  const [resolvingConflict, setResolvingConflict] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [scopeOptions, setScopeOptions] = useState({ personas: [], documentTypes: [] });
 
   useEffect(() => {
     loadConfiguration();
+    loadConflicts();
+    loadScopeOptions();
   }, []);
 
   const loadConfiguration = async () => {
@@ -49,10 +64,103 @@ const GlobalPromptConfig = ({ theme }) => {
     }
   };
 
+  const loadConflicts = async () => {
+    try {
+      const response = await fetch(`${API_ENDPOINTS.GLOBAL_PROMPTS}/conflicts`, {
+        credentials: 'include'
+      });
+
+      if (response.ok) {
+        const result = await response.json();
+        setConflicts(result.data || []);
+      }
+    } catch (error) {
+      console.error('Error loading rule conflicts:', error);
+    }
+  };
+
+  // Personas and document types a rule can be scoped to
+  const loadScopeOptions = async () => {
+    try {
+      const [personasResponse, documentTypesResponse] = await Promise.all([
+        fetch('/api/personas/dropdown', { credentials: 'include' }),
+        fetch(API_ENDPOINTS.DOCUMENT_TYPES, { credentials: 'include' })
+      ]);
+      const personas = personasResponse.ok ? (await personasResponse.json()).data || [] : [];
+      const documentTypes = documentTypesResponse.ok ? (await documentTypesResponse.json()).data || [] : [];
+      setScopeOptions({ personas, documentTypes });
+    } catch (error) {
+      console.error('Error loading scope options:', error);
+    }
+  };
+
+  const showConflictResult = (conflictResult) => {
+    if (!conflictResult) {
+      return;
+    }
+    setConflicts(conflictResult.open || []);
+    const detected = (conflictResult.detected || []).length;
+    setConflictWarning(detected > 0
+      ? `${detected} new rule ${detected === 1 ? 'conflict was' : 'conflicts were'} detected - review ${detected === 1 ? 'it' : 'them'} below.`
+      : '');
+  };
+
+  const scanConflicts = async () => {
+    setScanning(true);
+    setError('');
+    try {
+      const response = await fetch(`${API_ENDPOINTS.GLOBAL_PROMPTS}/conflicts/scan`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+      const result = await response.json();
+      if (response.ok) {
+        showConflictResult(result.data);
+        if ((result.data.detected || []).length === 0) {
+          setSuccess('No new rule conflicts found');
+          setTimeout(() => setSuccess(''), 3000);
+        }
+      } else {
+        setError(result.message || 'Failed to check rules for conflicts');
+      }
+    } catch (error) {
+      console.error('Error scanning rule conflicts:', error);
+      setError('Network error checking rules for conflicts');
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  const resolveConflict = async (conflictId, resolution) => {
+    const response = await fetch(`${API_ENDPOINTS.GLOBAL_PROMPTS}/conflicts/${conflictId}/resolve`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      credentials: 'include',
+      body: JSON.stringify(resolution)
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.message || 'Failed to resolve conflict');
+    }
+
+    setConfig(prev => ({ ...prev, rules: result.data.rules }));
+    setResolvingConflict(null);
+    if (result.data.conflicts) {
+      showConflictResult(result.data.conflicts);
+    } else {
+      await loadConflicts();
+    }
+    setSuccess('Conflict resolved');
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
   const saveConfiguration = async () => {
     setSaving(true);
     setError('');
     setSuccess('');
+    setConflictWarning('');
 
     try {
       const response = await fetch(API_ENDPOINTS.GLOBAL_PROMPTS, {
@@ -65,8 +173,10 @@ const GlobalPromptConfig = ({ theme }) => {
       });
 
       if (response.ok) {
+        const result = await response.json();
         setSuccess('Configuration saved successfully!');
         setHasChanges(false);
+        showConflictResult(result.data.conflicts);
         setTimeout(() => setSuccess(''), 3000);
       } else {
         const errorResult = await response.json();
@@ -317,6 +427,19 @@ const GlobalPromptConfig = ({ theme }) => {
         </div>
       )}
 
+      {conflictWarning && (
+        <div style={{
+          backgroundColor: '#fff8e1',
+          border: '1px solid #ffd966',
+          color: '#8a6d00',
+          padding: '12px',
+          borderRadius: '8px',
+          marginBottom: '20px'
+        }}>
+          ⚠️ {conflictWarning}
+        </div>
+      )}
+
       {/* Base Prompt Section */}
       <div style={{
         backgroundColor: theme.surface,
@@ -366,6 +489,84 @@ const GlobalPromptConfig = ({ theme }) => {
         </div>
       </div>
 
+      {/* Rule Conflicts Section */}
+      {conflicts.length > 0 && (
+        <div style={{
+          backgroundColor: theme.surface,
+          padding: '24px',
+          borderRadius: '12px',
+          border: '1px solid #ffd966',
+          marginBottom: '24px'
+        }}>
+          <h3 style={{ margin: '0 0 4px 0', color: theme.text, fontSize: '18px' }}>
+            ⚠️ Rule Conflicts ({conflicts.length} open)
+          </h3>
+          <p style={{ margin: '0 0 16px 0', color: theme.textSecondary, fontSize: '14px' }}>
+            These rules apply to the same requests but pull against or repeat each other.
+            {hasChanges && ' Save your changes before resolving conflicts.'}
+          </p>
+          {conflicts.map(conflict => (
+            <div
+              key={conflict.id}
+              style={{
+                backgroundColor: theme.background,
+                border: `1px solid ${theme.border}`,
+                borderRadius: '8px',
+                padding: '12px 16px',
+                marginBottom: '12px'
+              }}
+            >
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+                <span style={{
+                  backgroundColor: getConflictTypeColor(conflict.conflictType),
+                  color: 'white',
+                  padding: '2px 8px',
+                  borderRadius: '4px',
+                  fontSize: '11px',
+                  fontWeight: '600',
+                  textTransform: 'uppercase'
+                }}>
+                  {conflict.conflictType}
+                </span>
+                <button
+                  onClick={() => setResolvingConflict(conflict)}
+                  disabled={hasChanges}
+                  style={{
+                    padding: '4px 12px',
+                    backgroundColor: hasChanges ? theme.border : theme.primary,
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '4px',
+                    cursor: hasChanges ? 'not-allowed' : 'pointer',
+                    fontSize: '12px'
+                  }}
+                >
+                  Resolve
+                </button>
+              </div>
+              {[conflict.ruleA, conflict.ruleB].map(rule => (
+                <div key={rule.key} style={{ fontSize: '14px', color: theme.text, margin: '4px 0' }}>
+                  • {rule.text || '(deleted rule)'}
+                  {formatScope(rule.scope) && (
+                    <span style={{ color: theme.textSecondary, fontSize: '12px' }}> — {formatScope(rule.scope)}</span>
+                  )}
+                </div>
+              ))}
+              {conflict.detection.explanation && (
+                <div style={{ fontSize: '13px', color: theme.textSecondary, marginTop: '6px' }}>
+                  {conflict.detection.explanation}
+                </div>
+              )}
+              <div style={{ fontSize: '12px', color: theme.textSecondary, marginTop: '6px' }}>
+                Suggested: {RESOLUTION_LABELS[conflict.suggestedResolution] || conflict.suggestedResolution}
+                {' · '}Detected by {conflict.detection.methods.join(', ')}
+                {conflict.detection.embedding !== null && ` · similarity ${Math.round(conflict.detection.embedding * 100)}%`}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Writing Rules Section */}
       <div style={{
         backgroundColor: theme.surface,
@@ -383,20 +584,38 @@ const GlobalPromptConfig = ({ theme }) => {
           <h3 style={{ margin: 0, color: theme.text, fontSize: '18px' }}>
             Writing Rules ({config.rules.filter(r => r.enabled).length}/{config.rules.length} active)
           </h3>
-          <button
-            onClick={() => setShowAddRuleModal(true)}
-            style={{
-              padding: '8px 16px',
-              backgroundColor: theme.primary,
-              color: 'white',
-              border: 'none',
-              borderRadius: '6px',
-              cursor: 'pointer',
-              fontSize: '14px'
-            }}
-          >
-            + Add Rule
-          </button>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button
+              onClick={scanConflicts}
+              disabled={scanning || hasChanges}
+              title={hasChanges ? 'Save your changes first' : 'Check every enabled rule for conflicts'}
+              style={{
+                padding: '8px 16px',
+                backgroundColor: 'transparent',
+                color: theme.text,
+                border: `1px solid ${theme.border}`,
+                borderRadius: '6px',
+                cursor: scanning || hasChanges ? 'not-allowed' : 'pointer',
+                fontSize: '14px'
+              }}
+            >
+              {scanning ? 'Checking...' : 'Check Conflicts'}
+            </button>
+            <button
+              onClick={() => setShowAddRuleModal(true)}
+              style={{
+                padding: '8px 16px',
+                backgroundColor: theme.primary,
+                color: 'white',
+                border: 'none',
+                borderRadius: '6px',
+                cursor: 'pointer',
+                fontSize: '14px'
+              }}
+            >
+              + Add Rule
+            </button>
+          </div>
         </div>
 
         {config.rules.length === 0 ? (
@@ -456,6 +675,14 @@ const GlobalPromptConfig = ({ theme }) => {
                     }}>
                       {rule.rule}
                     </span>
+                    {conflicts.some(conflict => [conflict.ruleA.key, conflict.ruleB.key].includes(String(rule.id))) && (
+                      <span
+                        title="This rule has an open conflict"
+                        style={{ color: '#b8860b', fontSize: '12px', fontWeight: '600' }}
+                      >
+                        ⚠️ conflict
+                      </span>
+                    )}
                   </div>
                   {rule.type === 'forbidden' && rule.words && rule.words.length > 0 && (
                     <div style={{
@@ -466,6 +693,15 @@ const GlobalPromptConfig = ({ theme }) => {
                       Words: {rule.words.join(', ')}
                     </div>
                   )}
+                  {formatScope(rule.scope) && (
+                    <div style={{
+                      fontSize: '12px',
+                      color: theme.textSecondary,
+                      marginLeft: '26px'
+                    }}>
+                      Applies to {formatScope(rule.scope)}
+                    </div>
+                  )}
                 </div>
                 <div style={{ display: 'flex', gap: '8px' }}>
                   <button
@@ -652,6 +888,8 @@ const GlobalPromptConfig = ({ theme }) => {
       {(showAddRuleModal || editingRule) && (
         <RuleModal
           rule={editingRule}
+          rules={config.rules}
+          scopeOptions={scopeOptions}
           theme={theme}
           onSave={editingRule ? updateRule : addRule}
           onClose={() => {
@@ -670,6 +908,17 @@ const GlobalPromptConfig = ({ theme }) => {
         />
       )}
 
+      {/* Resolve Conflict Modal */}
+      {resolvingConflict && (
+        <ConflictResolutionModal
+          conflict={resolvingConflict}
+          scopeOptions={scopeOptions}
+          theme={theme}
+          onResolve={resolveConflict}
+          onClose={() => setResolvingConflict(null)}
+        />
+      )}
+
       {/* Preview Modal */}
       {showPreviewModal && (
         <PreviewModal
@@ -683,25 +932,62 @@ const GlobalPromptConfig = ({ theme }) => {
 };
 
 // Rule Modal Component
-const RuleModal = ({ rule, theme, onSave, onClose }) => {
+const RuleModal = ({ rule, rules, scopeOptions, theme, onSave, onClose }) => {
   const [formData, setFormData] = useState({
     type: rule?.type || 'style',
     rule: rule?.rule || '',
-    words: rule?.words?.join(', ') || ''
+    words: rule?.words?.join(', ') || '',
+    scope: rule?.scope || {}
   });
+  const [checking, setChecking] = useState(false);
+  // Conflicts found for the current form contents; null until checked
+  const [checkedConflicts, setCheckedConflicts] = useState(null);
 
-  const handleSave = () => {
+  const updateForm = (changes) => {
+    setFormData(prev => ({ ...prev, ...changes }));
+    setCheckedConflicts(null);
+  };
+
+  const buildRule = () => {
     const data = {
       ...formData,
       words: formData.type === 'forbidden' && formData.words
         ? formData.words.split(',').map(w => w.trim()).filter(w => w)
         : []
     };
-    if (rule) {
-      onSave({ ...rule, ...data });
-    } else {
+    return rule ? { ...rule, ...data } : data;
+  };
+
+  // Check against the other rules first; saving after conflicts were shown keeps the rule as is
+  const handleSave = async () => {
+    const data = buildRule();
+    if (checkedConflicts) {
       onSave(data);
+      return;
+    }
+
+    setChecking(true);
+    try {
+      const response = await fetch(`${API_ENDPOINTS.GLOBAL_PROMPTS}/conflicts/check`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({ rule: data, rules })
+      });
+      const result = response.ok ? await response.json() : null;
+      const found = result?.data?.conflicts || [];
+      if (found.length > 0) {
+        setCheckedConflicts(found);
+        return;
+      }
+    } catch (error) {
+      console.error('Error checking rule for conflicts:', error);
+    } finally {
+      setChecking(false);
     }
+    onSave(data);
   };
 
   return (
@@ -722,6 +1008,8 @@ const RuleModal = ({ rule, theme, onSave, onClose }) => {
         borderRadius: '12px',
         width: '90%',
         maxWidth: '500px',
+        maxHeight: '90vh',
+        overflow: 'auto',
         padding: '24px'
       }}>
         <h3 style={{
@@ -743,7 +1031,7 @@ const RuleModal = ({ rule, theme, onSave, onClose }) => {
           </label>
           <select
             value={formData.type}
-            onChange={(e) => setFormData(prev => ({ ...prev, type: e.target.value }))}
+            onChange={(e) => updateForm({ type: e.target.value })}
             style={{
               width: '100%',
               padding: '8px',
@@ -773,7 +1061,7 @@ const RuleModal = ({ rule, theme, onSave, onClose }) => {
           </label>
           <textarea
             value={formData.rule}
-            onChange={(e) => setFormData(prev => ({ ...prev, rule: e.target.value }))}
+            onChange={(e) => updateForm({ rule: e.target.value })}
             placeholder="e.g., Use active voice exclusively"
             style={{
               width: '100%',
@@ -802,7 +1090,7 @@ const RuleModal = ({ rule, theme, onSave, onClose }) => {
             <input
               type="text"
               value={formData.words}
-              onChange={(e) => setFormData(prev => ({ ...prev, words: e.target.value }))}
+              onChange={(e) => updateForm({ words: e.target.value })}
               placeholder="e.g., leverage, utilize, synergize"
               style={{
                 width: '100%',
@@ -816,6 +1104,39 @@ const RuleModal = ({ rule, theme, onSave, onClose }) => {
           </div>
         )}
 
+        <ScopeFields
+          scope={formData.scope}
+          scopeOptions={scopeOptions}
+          theme={theme}
+          onChange={(scope) => updateForm({ scope })}
+        />
+
+        {checkedConflicts && (
+          <div style={{
+            backgroundColor: '#fff8e1',
+            border: '1px solid #ffd966',
+            borderRadius: '6px',
+            padding: '12px',
+            marginBottom: '16px',
+            fontSize: '13px',
+            color: '#8a6d00'
+          }}>
+            <div style={{ fontWeight: '600', marginBottom: '6px' }}>
+              This rule conflicts with {checkedConflicts.length === 1 ? 'an existing rule' : `${checkedConflicts.length} existing rules`}:
+            </div>
+            {checkedConflicts.map((conflict, index) => (
+              <div key={index} style={{ marginBottom: '4px' }}>
+                <strong style={{ color: getConflictTypeColor(conflict.conflictType) }}>{conflict.conflictType}</strong>
+                {' with "'}{conflict.rule.text}{'"'}
+                {conflict.detection.explanation && ` - ${conflict.detection.explanation}`}
+              </div>
+            ))}
+            <div style={{ marginTop: '6px' }}>
+              Narrow its scope or wording, or save anyway and resolve the conflict after saving.
+            </div>
+          </div>
+        )}
+
         <div style={{
           display: 'flex',
           justifyContent: 'flex-end',
@@ -836,17 +1157,17 @@ const RuleModal = ({ rule, theme, onSave, onClose }) => {
           </button>
           <button
             onClick={handleSave}
-            disabled={!formData.rule.trim()}
+            disabled={!formData.rule.trim() || checking}
             style={{
               padding: '8px 20px',
-              backgroundColor: formData.rule.trim() ? theme.primary : theme.border,
+              backgroundColor: formData.rule.trim() && !checking ? theme.primary : theme.border,
               color: 'white',
               border: 'none',
               borderRadius: '6px',
-              cursor: formData.rule.trim() ? 'pointer' : 'not-allowed'
+              cursor: formData.rule.trim() && !checking ? 'pointer' : 'not-allowed'
             }}
           >
-            {rule ? 'Update' : 'Add'} Rule
+            {checking ? 'Checking...' : checkedConflicts ? 'Save Anyway' : `${rule ? 'Update' : 'Add'} Rule`}
           </button>
         </div>
       </div>
@@ -1025,6 +1346,345 @@ const VariableModal = ({ theme, onSave, onClose }) => {
   );
 };
 
+// Scope Fields Component - where a rule applies; nothing selected means everywhere
+const ScopeFields = ({ scope, scopeOptions, theme, onChange }) => {
+  const [sectionText, setSectionText] = useState((scope?.sectionTypes || []).join(', '));
+
+  const toggle = (dimension, value) => {
+    const current = scope?.[dimension] || [];
+    onChange({
+      ...scope,
+      [dimension]: current.includes(value)
+        ? current.filter(item => item !== value)
+        : [...current, value]
+    });
+  };
+
+  const labelStyle = {
+    display: 'block',
+    marginBottom: '6px',
+    color: theme.text,
+    fontSize: '13px',
+    fontWeight: '600'
+  };
+  const optionStyle = {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '4px',
+    marginRight: '12px',
+    fontSize: '13px',
+    color: theme.text
+  };
+
+  return (
+    <div style={{
+      border: `1px solid ${theme.border}`,
+      borderRadius: '6px',
+      padding: '12px',
+      marginBottom: '16px'
+    }}>
+      <div style={{ fontSize: '14px', fontWeight: '600', color: theme.text, marginBottom: '4px' }}>
+        Applies To
+      </div>
+      <div style={{ fontSize: '12px', color: theme.textSecondary, marginBottom: '12px' }}>
+        Leave a group empty to apply the rule everywhere.
+      </div>
+
+      {scopeOptions.personas.length > 0 && (
+        <div style={{ marginBottom: '10px' }}>
+          <label style={labelStyle}>Personas</label>
+          {scopeOptions.personas.map(persona => (
+            <label key={persona.id} style={optionStyle}>
+              <input
+                type="checkbox"
+                checked={(scope?.personas || []).includes(String(persona.id))}
+                onChange={() => toggle('personas', String(persona.id))}
+              />
+              {persona.display_name}
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div style={{ marginBottom: '10px' }}>
+        <label style={labelStyle}>Section Types (comma-separated)</label>
+        <input
+          type="text"
+          value={sectionText}
+          onChange={(e) => {
+            setSectionText(e.target.value);
+            onChange({
+              ...scope,
+              sectionTypes: e.target.value.split(',').map(value => value.trim()).filter(value => value)
+            });
+          }}
+          placeholder="e.g., executive-summary, technical-approach"
+          style={{
+            width: '100%',
+            padding: '8px',
+            border: `1px solid ${theme.border}`,
+            borderRadius: '6px',
+            backgroundColor: theme.background,
+            color: theme.text
+          }}
+        />
+      </div>
+
+      {scopeOptions.documentTypes.length > 0 && (
+        <div>
+          <label style={labelStyle}>Document Types</label>
+          {scopeOptions.documentTypes.map(documentType => (
+            <label key={documentType.key} style={optionStyle}>
+              <input
+                type="checkbox"
+                checked={(scope?.documentTypes || []).includes(documentType.key)}
+                onChange={() => toggle('documentTypes', documentType.key)}
+              />
+              {documentType.name}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Conflict Resolution Modal Component
+const ConflictResolutionModal = ({ conflict, scopeOptions, theme, onResolve, onClose }) => {
+  const { ruleA, ruleB } = conflict;
+  const [resolution, setResolution] = useState(conflict.suggestedResolution || 'priority_based');
+  const [winnerKey, setWinnerKey] = useState(ruleA.key);
+  const [disableKey, setDisableKey] = useState(ruleB.key);
+  const [keepKey, setKeepKey] = useState(ruleA.key);
+  const [mergedText, setMergedText] = useState(`${ruleA.text || ''} ${ruleB.text || ''}`.trim().slice(0, 200));
+  const [scopes, setScopes] = useState({ [ruleA.key]: ruleA.scope || {}, [ruleB.key]: ruleB.scope || {} });
+  const [note, setNote] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleResolve = async () => {
+    const payloads = {
+      priority_based: { winnerKey },
+      context_specific: { scopes },
+      merge: { keepKey, mergedText },
+      disable_one: { disableKey },
+      dismissed: {}
+    };
+
+    setSubmitting(true);
+    setError('');
+    try {
+      await onResolve(conflict.id, { resolution, ...payloads[resolution], note: note || undefined });
+    } catch (error) {
+      setError(error.message);
+      setSubmitting(false);
+    }
+  };
+
+  const ruleChoice = (value, onChange) => (
+    <div style={{ marginTop: '8px' }}>
+      {[ruleA, ruleB].map(rule => (
+        <label key={rule.key} style={{ display: 'flex', gap: '6px', fontSize: '13px', color: theme.text, marginBottom: '4px' }}>
+          <input
+            type="radio"
+            checked={value === rule.key}
+            onChange={() => onChange(rule.key)}
+          />
+          {rule.text}
+        </label>
+      ))}
+    </div>
+  );
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      width: '100%',
+      height: '100%',
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        backgroundColor: theme.background,
+        borderRadius: '12px',
+        width: '90%',
+        maxWidth: '600px',
+        maxHeight: '90vh',
+        overflow: 'auto',
+        padding: '24px'
+      }}>
+        <h3 style={{
+          margin: '0 0 8px 0',
+          color: theme.text
+        }}>
+          Resolve {conflict.conflictType} Rules
+        </h3>
+        {conflict.detection.explanation && (
+          <p style={{ margin: '0 0 16px 0', color: theme.textSecondary, fontSize: '14px' }}>
+            {conflict.detection.explanation}
+          </p>
+        )}
+
+        {error && (
+          <div style={{
+            backgroundColor: '#ffe6e6',
+            border: '1px solid #ff9999',
+            color: '#cc0000',
+            padding: '10px',
+            borderRadius: '6px',
+            marginBottom: '16px',
+            fontSize: '13px'
+          }}>
+            {error}
+          </div>
+        )}
+
+        {Object.entries(RESOLUTION_LABELS).map(([value, label]) => (
+          <div
+            key={value}
+            style={{
+              border: `1px solid ${resolution === value ? theme.primary : theme.border}`,
+              borderRadius: '6px',
+              padding: '10px 12px',
+              marginBottom: '8px'
+            }}
+          >
+            <label style={{ display: 'flex', gap: '8px', alignItems: 'center', color: theme.text, fontSize: '14px', cursor: 'pointer' }}>
+              <input
+                type="radio"
+                checked={resolution === value}
+                onChange={() => setResolution(value)}
+              />
+              {label}
+              {value === conflict.suggestedResolution && (
+                <span style={{ fontSize: '11px', color: theme.textSecondary }}>(suggested)</span>
+              )}
+            </label>
+
+            {resolution === value && value === 'priority_based' && (
+              <>
+                <div style={{ fontSize: '12px', color: theme.textSecondary, marginTop: '6px' }}>
+                  Both rules stay; the prompt says which one wins. Rule to follow:
+                </div>
+                {ruleChoice(winnerKey, setWinnerKey)}
+              </>
+            )}
+
+            {resolution === value && value === 'disable_one' && (
+              <>
+                <div style={{ fontSize: '12px', color: theme.textSecondary, marginTop: '6px' }}>
+                  Rule to disable:
+                </div>
+                {ruleChoice(disableKey, setDisableKey)}
+              </>
+            )}
+
+            {resolution === value && value === 'merge' && (
+              <>
+                <div style={{ fontSize: '12px', color: theme.textSecondary, marginTop: '6px' }}>
+                  Keep the type and scope of:
+                </div>
+                {ruleChoice(keepKey, setKeepKey)}
+                <textarea
+                  value={mergedText}
+                  onChange={(e) => setMergedText(e.target.value.slice(0, 200))}
+                  style={{
+                    width: '100%',
+                    minHeight: '60px',
+                    padding: '8px',
+                    marginTop: '8px',
+                    border: `1px solid ${theme.border}`,
+                    borderRadius: '6px',
+                    backgroundColor: theme.background,
+                    color: theme.text,
+                    resize: 'vertical'
+                  }}
+                />
+                <div style={{ fontSize: '11px', color: theme.textSecondary, textAlign: 'right' }}>
+                  {mergedText.length}/200
+                </div>
+              </>
+            )}
+
+            {resolution === value && value === 'context_specific' && (
+              <div style={{ marginTop: '8px' }}>
+                {[ruleA, ruleB].map(rule => (
+                  <div key={rule.key}>
+                    <div style={{ fontSize: '13px', color: theme.text, marginBottom: '6px' }}>
+                      "{rule.text}"
+                    </div>
+                    <ScopeFields
+                      scope={scopes[rule.key]}
+                      scopeOptions={scopeOptions}
+                      theme={theme}
+                      onChange={(scope) => setScopes(prev => ({ ...prev, [rule.key]: scope }))}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+
+        <input
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Note (optional)"
+          style={{
+            width: '100%',
+            padding: '8px',
+            margin: '8px 0 16px 0',
+            border: `1px solid ${theme.border}`,
+            borderRadius: '6px',
+            backgroundColor: theme.background,
+            color: theme.text
+          }}
+        />
+
+        <div style={{
+          display: 'flex',
+          justifyContent: 'flex-end',
+          gap: '12px'
+        }}>
+          <button
+            onClick={onClose}
+            style={{
+              padding: '8px 20px',
+              border: `1px solid ${theme.border}`,
+              backgroundColor: 'transparent',
+              color: theme.text,
+              borderRadius: '6px',
+              cursor: 'pointer'
+            }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleResolve}
+            disabled={submitting}
+            style={{
+              padding: '8px 20px',
+              backgroundColor: submitting ? theme.border : theme.primary,
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: submitting ? 'not-allowed' : 'pointer'
+            }}
+          >
+            {submitting ? 'Resolving...' : 'Resolve'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 // Preview Modal Component
 const PreviewModal = ({ compiledPrompt, theme, onClose }) => {
   return (
@@ -1127,4 +1787,26 @@ const getRuleTypeColor = (type, theme) => {
   return colors[type] || theme.primary;
 };
 
+// Helper function for conflict type colors
+const getConflictTypeColor = (type) => {
+  const colors = {
+    contradictory: '#dc3545',
+    redundant: '#6c757d',
+    overlapping: '#fd7e14'
+  };
+  return colors[type] || '#6c757d';
+};
+
+// Scope of a rule as a short label, or '' when it applies everywhere
+const formatScope = (scope) => {
+  if (!scope) {
+    return '';
+  }
+  const labels = { personas: 'personas', sectionTypes: 'sections', documentTypes: 'document types' };
+  return Object.keys(labels)
+    .filter(dimension => (scope[dimension] || []).length > 0)
+    .map(dimension => `${labels[dimension]}: ${scope[dimension].join(', ')}`)
+    .join('; ');
+};
+
 export default GlobalPromptConfig;
\ No newline at end of file
@@ -6,6 +6,10 @@ import TeamManagement from './TeamManagement';
 import ApiExplorer from './ApiExplorer';
 import AIWritingThreePanel from './AIWritingThreePanel';
 import ComplianceManager from './ComplianceManager';
+import ColorReviewManager from './ColorReviewManager';
+import MilestoneCalendar from './MilestoneCalendar';
+import DocumentSearch from './DocumentSearch';
+import PastPerformanceManager from './PastPerformanceManager';
 import ProjectCard from './ProjectCard';
 import UserPreferences from './UserPreferences';
 import AdminSettings from './AdminSettings';
@@ -361,6 +365,10 @@ const Layout = () => {
     { id: 'projects', icon: '📋', label: 'Projects', active: true },
     { id: 'ai-writing', icon: '🤖', label: 'AI Writing' },
     { id: 'compliance', icon: '🛡️', label: 'Compliance' },
+    { id: 'reviews', icon: '🎨', label: 'Color Reviews' },
+    { id: 'calendar', icon: '📅', label: 'Calendar' },
+    { id: 'search', icon: '🔎', label: 'Document Search' },
+    { id: 'past-performance', icon: '🏆', label: 'Past Performance' },
     { id: 'admin', icon: '⚙️', label: 'Admin Settings', adminOnly: true }
   ];
 
@@ -811,6 +819,21 @@ const Layout = () => {
             </p>
           </div>
         );
+      case 'past-performance':
+        return (
+          <div>
+            <h1 style={{ margin: 0, fontSize: '20px', color: currentTheme.text }}>
+              🏆 Past Performance
+            </h1>
+            <p style={{
+              margin: '2px 0 0 0',
+              fontSize: '14px',
+              color: currentTheme.textSecondary
+            }}>
+              Find the contracts that best match a solicitation
+            </p>
+          </div>
+        );
       case 'admin':
         return (
           <div>
@@ -1547,7 +1570,21 @@ const Layout = () => {
         }
         return <AIWritingThreePanel theme={currentTheme} selectedProject={selectedProjectForAI} onAiHealthChange={setAiHealth} />;
       case 'compliance':
-        return <ComplianceManager theme={currentTheme} />;
+        return <ComplianceManager theme={currentTheme} projects={projects} selectedProject={selectedProjectForAI} />;
+      case 'reviews':
+        return <ColorReviewManager theme={currentTheme} projects={projects} selectedProject={selectedProjectForAI} />;
+      case 'calendar':
+        return <MilestoneCalendar theme={currentTheme} projects={projects} selectedProject={selectedProjectForAI} />;
+      case 'search':
+        return <DocumentSearch theme={currentTheme} />;
+      case 'past-performance':
+        return (
+          <PastPerformanceManager
+            theme={themeKey === 'dark' ? 'dark' : 'light'}
+            projects={projects}
+            selectedProject={selectedProjectForAI}
+          />
+        );
       case 'admin':
         return <AdminSettings theme={currentTheme} />;
       default:
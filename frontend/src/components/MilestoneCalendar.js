@@ -0,0 +1,315 @@
+import React, { useState, useEffect } from 'react';
+import { API_ENDPOINTS } from '../config/api';
+
+const HEALTH_BADGES = {
+  overdue: { label: 'Overdue', color: '#dc3545' },
+  at_risk: { label: 'At Risk', color: '#fd7e14' },
+  on_track: { label: 'On Track', color: '#28a745' },
+  complete: { label: 'Complete', color: '#6c757d' },
+  skipped: { label: 'Skipped', color: '#adb5bd' }
+};
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+const MilestoneCalendar = ({ theme, projects = [], selectedProject = null }) => {
+  const [projectId, setProjectId] = useState(selectedProject?.id || '');
+  const [templates, setTemplates] = useState({});
+  const [templateKey, setTemplateKey] = useState('');
+  const [milestones, setMilestones] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [teamMembers, setTeamMembers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [feedUrl, setFeedUrl] = useState('');
+  const [newMilestone, setNewMilestone] = useState({ title: '', dueDate: '', ownerId: '' });
+
+  const cardStyle = {
+    backgroundColor: theme?.surface || '#fff',
+    border: `1px solid ${theme?.border || '#ddd'}`,
+    borderRadius: '8px',
+    padding: '16px',
+    marginBottom: '16px'
+  };
+
+  const buttonStyle = (color = theme?.primary || '#007bff') => ({
+    padding: '6px 12px',
+    backgroundColor: color,
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '13px',
+    marginRight: '8px'
+  });
+
+  const inputStyle = {
+    padding: '6px 8px',
+    border: `1px solid ${theme?.border || '#ddd'}`,
+    borderRadius: '4px',
+    backgroundColor: theme?.background || '#fff',
+    color: theme?.text || '#000',
+    fontSize: '13px'
+  };
+
+  const request = async (url, init = {}) => {
+    const response = await fetch(url, {
+      credentials: 'include',
+      ...init,
+      headers: init.body ? { 'Content-Type': 'application/json' } : undefined
+    });
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.message || 'Request failed');
+    }
+    return data.data;
+  };
+
+  useEffect(() => {
+    request(`${API_ENDPOINTS.PROJECTS}/templates`)
+      .then(setTemplates)
+      .catch(error => console.error('Failed to load project templates:', error));
+  }, []);
+
+  useEffect(() => {
+    if (projectId) {
+      loadMilestones(projectId);
+    } else {
+      setMilestones([]);
+      setSummary(null);
+    }
+  }, [projectId]);
+
+  const loadMilestones = async (id) => {
+    setLoading(true);
+
+    try {
+      const [data, teamResponse] = await Promise.all([
+        request(`${API_ENDPOINTS.MILESTONES}/projects/${id}`),
+        fetch(`${API_ENDPOINTS.PROJECTS}/${id}/team`, { credentials: 'include' })
+      ]);
+      setMilestones(data.milestones);
+      setSummary(data.summary);
+
+      if (teamResponse.ok) {
+        const team = await teamResponse.json();
+        setTeamMembers(team.data || []);
+      }
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const applyTemplate = async () => {
+    try {
+      const data = await request(`${API_ENDPOINTS.MILESTONES}/projects/${projectId}/apply-template`, {
+        method: 'POST',
+        body: JSON.stringify({ templateKey: templateKey || null })
+      });
+      setMilestones(data.milestones);
+      setSummary(data.summary);
+      if (data.skipped > 0) {
+        alert(`${data.created} milestones added; ${data.skipped} were already on the calendar.`);
+      }
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const addMilestone = async () => {
+    try {
+      await request(`${API_ENDPOINTS.MILESTONES}/projects/${projectId}`, {
+        method: 'POST',
+        body: JSON.stringify({ ...newMilestone, ownerId: newMilestone.ownerId || null })
+      });
+      setNewMilestone({ title: '', dueDate: '', ownerId: '' });
+      loadMilestones(projectId);
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const updateMilestone = async (milestoneId, updates) => {
+    try {
+      await request(`${API_ENDPOINTS.MILESTONES}/${milestoneId}`, {
+        method: 'PUT',
+        body: JSON.stringify(updates)
+      });
+      loadMilestones(projectId);
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const setStatus = async (milestoneId, status) => {
+    try {
+      await request(`${API_ENDPOINTS.MILESTONES}/${milestoneId}/status`, {
+        method: 'POST',
+        body: JSON.stringify({ status })
+      });
+      loadMilestones(projectId);
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const deleteMilestone = async (milestone) => {
+    if (!window.confirm(`Delete milestone "${milestone.title}"?`)) {
+      return;
+    }
+    try {
+      await fetch(`${API_ENDPOINTS.MILESTONES}/${milestone.id}`, { method: 'DELETE', credentials: 'include' });
+      loadMilestones(projectId);
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const showFeedUrl = async (reset = false) => {
+    if (reset && !window.confirm('Calendars subscribed to the current URL will stop updating. Continue?')) {
+      return;
+    }
+    try {
+      const data = await request(`${API_ENDPOINTS.MILESTONES}/feed${reset ? '/reset' : ''}`, { method: reset ? 'POST' : 'GET' });
+      setFeedUrl(data.url);
+    } catch (error) {
+      alert(`Error: ${error.message}`);
+    }
+  };
+
+  const renderSummary = () => summary && (
+    <div style={{ display: 'flex', gap: '16px', marginBottom: '12px', fontSize: '13px', color: theme?.text || '#000' }}>
+      <span><strong>{summary.overdue}</strong> overdue</span>
+      <span><strong>{summary.atRisk}</strong> at risk</span>
+      <span><strong>{summary.onTrack}</strong> on track</span>
+      <span><strong>{summary.complete}</strong> complete</span>
+      {summary.next && (
+        <span style={{ color: theme?.textSecondary || '#666' }}>
+          Next: {summary.next.title} on {new Date(summary.next.dueDate).toLocaleDateString()}
+        </span>
+      )}
+    </div>
+  );
+
+  const renderMilestones = () => (
+    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', color: theme?.text || '#000' }}>
+      <thead>
+        <tr style={{ textAlign: 'left', borderBottom: `2px solid ${theme?.border || '#ddd'}` }}>
+          <th>Milestone</th><th>Due</th><th>Owner</th><th>Health</th><th></th>
+        </tr>
+      </thead>
+      <tbody>
+        {milestones.map(milestone => {
+          const badge = HEALTH_BADGES[milestone.health.state] || HEALTH_BADGES.on_track;
+          return (
+            <tr key={milestone.id} style={{ borderBottom: `1px solid ${theme?.border || '#eee'}` }}>
+              <td style={{ padding: '6px 4px' }}>
+                {milestone.title}
+                {milestone.reviewType && (
+                  <span style={{ color: theme?.textSecondary || '#666' }}> · {milestone.reviewType} team review ({milestone.reviewStatus})</span>
+                )}
+              </td>
+              <td>
+                <input type="date" style={inputStyle} value={toDateInput(milestone.dueDate)}
+                  onChange={e => e.target.value && updateMilestone(milestone.id, { dueDate: e.target.value })} />
+              </td>
+              <td>
+                <select style={inputStyle} value={milestone.ownerId || ''}
+                  onChange={e => updateMilestone(milestone.id, { ownerId: e.target.value || null })}>
+                  <option value="">Unassigned</option>
+                  {teamMembers.map(member => (
+                    <option key={member.user_id} value={member.user_id}>{member.user_name || member.user_email}</option>
+                  ))}
+                </select>
+              </td>
+              <td>
+                <span style={{ padding: '2px 8px', borderRadius: '10px', fontSize: '12px', color: 'white', backgroundColor: badge.color }}>
+                  {badge.label}
+                </span>
+                {milestone.health.reason && (
+                  <div style={{ fontSize: '11px', color: theme?.textSecondary || '#666' }}>{milestone.health.reason}</div>
+                )}
+              </td>
+              <td style={{ whiteSpace: 'nowrap' }}>
+                {milestone.status === 'pending' ? (
+                  <>
+                    <button style={buttonStyle('#28a745')} onClick={() => setStatus(milestone.id, 'complete')}>Done</button>
+                    <button style={buttonStyle('#6c757d')} onClick={() => setStatus(milestone.id, 'skipped')}>Skip</button>
+                  </>
+                ) : (
+                  <button style={buttonStyle('#6c757d')} onClick={() => setStatus(milestone.id, 'pending')}>Reopen</button>
+                )}
+                <button style={buttonStyle('#dc3545')} onClick={() => deleteMilestone(milestone)}>✕</button>
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+
+  return (
+    <div style={{ padding: '20px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '16px' }}>
+        <h3 style={{ margin: 0, color: theme?.text || '#000' }}>📅 Proposal Calendar</h3>
+        <select style={inputStyle} value={projectId} onChange={e => setProjectId(e.target.value)}>
+          <option value="">Select a project…</option>
+          {projects.map(project => <option key={project.id} value={project.id}>{project.title}</option>)}
+        </select>
+        <button style={buttonStyle('#6f42c1')} onClick={() => showFeedUrl(false)}>🔗 Subscribe</button>
+      </div>
+
+      {feedUrl && (
+        <div style={{ ...cardStyle, fontSize: '13px', color: theme?.text || '#000' }}>
+          Add this URL to Outlook, Google Calendar or Apple Calendar to see milestones for all your projects:
+          <input readOnly style={{ ...inputStyle, width: '100%', margin: '8px 0' }} value={feedUrl} onFocus={e => e.target.select()} />
+          <button style={buttonStyle('#6c757d')} onClick={() => showFeedUrl(true)}>Reset URL</button>
+        </div>
+      )}
+
+      {projectId && (
+        <div style={cardStyle}>
+          <div style={{ display: 'flex', gap: '8px', marginBottom: '12px', flexWrap: 'wrap' }}>
+            <select style={inputStyle} value={templateKey} onChange={e => setTemplateKey(e.target.value)}>
+              <option value="">Template for project type</option>
+              {Object.entries(templates).map(([key, template]) => (
+                <option key={key} value={key}>{template.name}</option>
+              ))}
+            </select>
+            <button style={buttonStyle()} onClick={applyTemplate}>Apply Template</button>
+            <a
+              href={`${API_ENDPOINTS.MILESTONES}/projects/${projectId}/calendar.ics`}
+              style={{ ...buttonStyle('#17a2b8'), textDecoration: 'none' }}
+            >
+              ⬇ Download .ics
+            </a>
+          </div>
+
+          {renderSummary()}
+          {loading ? (
+            <p style={{ color: theme?.textSecondary || '#666' }}>Loading…</p>
+          ) : milestones.length === 0 ? (
+            <p style={{ color: theme?.textSecondary || '#666' }}>No milestones yet. Apply a template or add one below.</p>
+          ) : renderMilestones()}
+
+          <div style={{ display: 'flex', gap: '8px', marginTop: '12px' }}>
+            <input style={{ ...inputStyle, flex: 1 }} placeholder="New milestone" value={newMilestone.title}
+              onChange={e => setNewMilestone({ ...newMilestone, title: e.target.value })} />
+            <input type="date" style={inputStyle} value={newMilestone.dueDate}
+              onChange={e => setNewMilestone({ ...newMilestone, dueDate: e.target.value })} />
+            <select style={inputStyle} value={newMilestone.ownerId}
+              onChange={e => setNewMilestone({ ...newMilestone, ownerId: e.target.value })}>
+              <option value="">Owner…</option>
+              {teamMembers.map(member => (
+                <option key={member.user_id} value={member.user_id}>{member.user_name || member.user_email}</option>
+              ))}
+            </select>
+            <button style={buttonStyle()} onClick={addMilestone} disabled={!newMilestone.title.trim() || !newMilestone.dueDate}>Add</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MilestoneCalendar;
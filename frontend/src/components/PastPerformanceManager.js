@@ -1,7 +1,9 @@
-import { API_ENDPOINTS } from '../config/api';
+import { API_BASE_URL, API_ENDPOINTS } from '../config/api';
 import React, { useState, useEffect } from 'react';
+import PastPerformanceMatcher, { WEIGHT_LABELS } from './PastPerformanceMatcher';
 
-const PastPerformanceManager = ({ theme }) => {
+const PastPerformanceManager = ({ theme, projects = [], selectedProject = null }) => {
+    const [view, setView] = useState('records'); // 'records', 'solicitation'
     const [pastPerformances, setPastPerformances] = useState([]);
     const [filteredPPs, setFilteredPPs] = useState([]);
     const [loading, setLoading] = useState(false);
@@ -27,15 +29,16 @@ const PastPerformanceManager = ({ theme }) => {
         endDateBefore: ''
     });
 
-    // Search weights for advanced search
+    // Search weights shared by free-text search and solicitation matching
     const [searchWeights, setSearchWeights] = useState({
         technology: 0.4,
         domain: 0.3,
-        customer: 0.2,
-        semantic: 0.1
+        contractSize: 0.2,
+        customerType: 0.1,
+        recency: 0,
+        rating: 0
     });
 
-    const [searchType, setSearchType] = useState('hybrid'); // 'text', 'semantic', 'hybrid'
     const [pagination, setPagination] = useState({
         limit: 20,
         offset: 0,
@@ -45,6 +48,18 @@ const PastPerformanceManager = ({ theme }) => {
 
     
 
+    // Start from the user's saved default weights
+    useEffect(() => {
+        fetch(`${API_BASE_URL}${API_ENDPOINTS.PAST_PERFORMANCE}/search/weights`, { credentials: 'include' })
+            .then(response => (response.ok ? response.json() : null))
+            .then(data => {
+                if (data && data.success) {
+                    setSearchWeights(data.data.weights);
+                }
+            })
+            .catch(err => console.error('Error loading search weights:', err));
+    }, []);
+
     // Load past performances on component mount
     useEffect(() => {
         loadPastPerformances();
@@ -109,26 +124,39 @@ const PastPerformanceManager = ({ theme }) => {
         setError(null);
 
         try {
-            const queryParams = new URLSearchParams({
-                q: searchQuery,
-                searchType,
-                limit: pagination.limit,
-                offset: pagination.offset,
-                techWeight: searchWeights.technology,
-                domainWeight: searchWeights.domain,
-                customerWeight: searchWeights.customer,
-                semanticWeight: searchWeights.semantic,
-                ...Object.fromEntries(
-                    Object.entries(filters).filter(([_, value]) => value !== '')
-                )
+            const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.PAST_PERFORMANCE}/search/free-text`, {
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    query: searchQuery,
+                    weights: searchWeights,
+                    filters: Object.fromEntries(
+                        Object.entries(filters).filter(([_, value]) => value !== '')
+                    ),
+                    limit: pagination.limit
+                })
             });
 
-            const response = await fetch(`/api/past-performance/search?${queryParams}`);
-            if (!response.ok) throw new Error('Search failed');
-
             const data = await response.json();
-            setSearchResults(data);
-            setFilteredPPs(data.data || []);
+            if (!response.ok || !data.success) throw new Error(data.message || 'Search failed');
+
+            setSearchResults(data.data);
+            // Search results carry the explanation as match reasons on the usual cards
+            setFilteredPPs(data.data.results.map(result => ({
+                id: result.ppId,
+                projectName: result.name,
+                customer: result.customer,
+                customerType: result.customerType,
+                contractType: result.contractType,
+                contractValue: result.contractValue,
+                startDate: result.period.start,
+                endDate: result.period.end,
+                summary: result.summary,
+                technologiesUsed: result.technologies,
+                relevanceScore: result.relevanceScore,
+                matchReasons: result.explanation
+            })));
         } catch (err) {
             setError(err.message);
             console.error('Error performing search:', err);
@@ -225,89 +253,107 @@ const PastPerformanceManager = ({ theme }) => {
                 </p>
             </div>
 
+            {/* View Tabs */}
+            <div style={{ display: 'flex', gap: '10px', marginBottom: '20px' }}>
+                {[
+                    { id: 'records', label: '📋 Records' },
+                    { id: 'solicitation', label: '🎯 Find for Solicitation' }
+                ].map(tab => (
+                    <button
+                        key={tab.id}
+                        onClick={() => setView(tab.id)}
+                        style={{
+                            padding: '10px 16px',
+                            backgroundColor: view === tab.id ? '#007bff' : 'transparent',
+                            color: view === tab.id ? 'white' : (theme === 'dark' ? '#cccccc' : '#666666'),
+                            border: `1px solid ${view === tab.id ? '#007bff' : (theme === 'dark' ? '#404040' : '#dee2e6')}`,
+                            borderRadius: '6px',
+                            cursor: 'pointer',
+                            fontSize: '14px',
+                            fontWeight: '500'
+                        }}
+                    >
+                        {tab.label}
+                    </button>
+                ))}
+            </div>
+
+            {view === 'solicitation' && (
+                <PastPerformanceMatcher
+                    theme={theme}
+                    projects={projects}
+                    selectedProject={selectedProject}
+                    weights={searchWeights}
+                    onWeightsChange={setSearchWeights}
+                />
+            )}
+
             {/* Search and Filter Section */}
-            <div style={{
-                backgroundColor: theme === 'dark' ? '#2d2d2d' : '#ffffff',
-                border: `1px solid ${theme === 'dark' ? '#404040' : '#dee2e6'}`,
-                borderRadius: '8px',
-                padding: '20px',
-                marginBottom: '20px'
-            }}>
-                {/* Search Bar */}
-                <div style={{ marginBottom: '20px' }}>
-                    <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '15px' }}>
-                        <input
-                            type="text"
-                            value={searchQuery}
-                            onChange={(e) => setSearchQuery(e.target.value)}
-                            placeholder="Search past performances..."
-                            style={{
-                                flex: 1,
-                                padding: '12px',
-                                border: `1px solid ${theme === 'dark' ? '#404040' : '#dee2e6'}`,
-                                borderRadius: '6px',
-                                backgroundColor: theme === 'dark' ? '#1a1a1a' : '#ffffff',
-                                color: theme === 'dark' ? '#ffffff' : '#333333',
-                                fontSize: '14px'
-                            }}
-                            onKeyPress={(e) => e.key === 'Enter' && performAdvancedSearch()}
-                        />
-                        <select
-                            value={searchType}
-                            onChange={(e) => setSearchType(e.target.value)}
-                            style={{
-                                padding: '12px',
-                                border: `1px solid ${theme === 'dark' ? '#404040' : '#dee2e6'}`,
-                                borderRadius: '6px',
-                                backgroundColor: theme === 'dark' ? '#1a1a1a' : '#ffffff',
-                                color: theme === 'dark' ? '#ffffff' : '#333333',
-                                fontSize: '14px'
-                            }}
-                        >
-                            <option value="hybrid">Hybrid Search</option>
-                            <option value="text">Text Search</option>
-                            <option value="semantic">Semantic Search</option>
-                        </select>
-                        <button
-                            onClick={performAdvancedSearch}
-                            style={{
-                                padding: '12px 20px',
-                                backgroundColor: '#007bff',
-                                color: 'white',
-                                border: 'none',
-                                borderRadius: '6px',
-                                cursor: 'pointer',
-                                fontSize: '14px',
-                                fontWeight: '500'
-                            }}
-                        >
-                            🔍 Search
-                        </button>
-                    </div>
+            {view === 'records' && (
+                <div style={{
+                    backgroundColor: theme === 'dark' ? '#2d2d2d' : '#ffffff',
+                    border: `1px solid ${theme === 'dark' ? '#404040' : '#dee2e6'}`,
+                    borderRadius: '8px',
+                    padding: '20px',
+                    marginBottom: '20px'
+                }}>
+                    {/* Search Bar */}
+                    <div style={{ marginBottom: '20px' }}>
+                        <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '15px' }}>
+                            <input
+                                type="text"
+                                value={searchQuery}
+                                onChange={(e) => setSearchQuery(e.target.value)}
+                                placeholder="Search past performances..."
+                                style={{
+                                    flex: 1,
+                                    padding: '12px',
+                                    border: `1px solid ${theme === 'dark' ? '#404040' : '#dee2e6'}`,
+                                    borderRadius: '6px',
+                                    backgroundColor: theme === 'dark' ? '#1a1a1a' : '#ffffff',
+                                    color: theme === 'dark' ? '#ffffff' : '#333333',
+                                    fontSize: '14px'
+                                }}
+                                onKeyPress={(e) => e.key === 'Enter' && performAdvancedSearch()}
+                            />
+                            <button
+                                onClick={performAdvancedSearch}
+                                style={{
+                                    padding: '12px 20px',
+                                    backgroundColor: '#007bff',
+                                    color: 'white',
+                                    border: 'none',
+                                    borderRadius: '6px',
+                                    cursor: 'pointer',
+                                    fontSize: '14px',
+                                    fontWeight: '500'
+                                }}
+                            >
+                                🔍 Search
+                            </button>
+                        </div>
 
-                    {/* Search Weights (for advanced users) */}
-                    {searchType === 'hybrid' && (
+                        {/* Search Weights (for advanced users) */}
                         <div style={{
                             display: 'grid',
-                            gridTemplateColumns: 'repeat(4, 1fr)',
+                            gridTemplateColumns: 'repeat(5, 1fr)',
                             gap: '10px',
                             marginBottom: '15px'
                         }}>
-                            {Object.entries(searchWeights).map(([key, value]) => (
+                            {Object.entries(WEIGHT_LABELS).map(([key, label]) => (
                                 <div key={key}>
                                     <label style={{
                                         fontSize: '12px',
-                                        color: theme === 'dark' ? '#cccccc' : '#666666',
-                                        textTransform: 'capitalize'
+                                        color: theme === 'dark' ? '#cccccc' : '#666666'
                                     }}>
-                                        {key} Weight: {(value * 100).toFixed(0)}%
+                                        {label} Weight: {((searchWeights[key] || 0) * 100).toFixed(0)}%
                                     </label>
                                     <input
                                         type="range"
                                         min="0"
                                         max="1"
-                                        step="0.1"
-                                        value={value}
+                                        step="0.05"
+                                        value={searchWeights[key] || 0}
                                         onChange={(e) => setSearchWeights(prev => ({
                                             ...prev,
                                             [key]: parseFloat(e.target.value)
@@ -317,139 +363,139 @@ const PastPerformanceManager = ({ theme }) => {
                                 </div>
                             ))}
                         </div>
-                    )}
-                </div>
-
-                {/* Filters */}
-                <div style={{
-                    display: 'grid',
-                    gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
-                    gap: '15px',
-                    marginBottom: '15px'
-                }}>
-                    <input
-                        type="text"
-                        placeholder="Customer"
-                        value={filters.customer}
-                        onChange={(e) => handleFilterChange('customer', e.target.value)}
-                        style={{
-                            padding: '10px',
-                            border: `1px solid ${theme === 'dark' ? '#404040' : '#dee2e6'}`,
-                            borderRadius: '6px',
-                            backgroundColor: theme === 'dark' ? '#1a1a1a' : '#ffffff',
-                            color: theme === 'dark' ? '#ffffff' : '#333333',
-                            fontSize: '14px'
-                        }}
-                    />
-                    <select
-                        value={filters.customerType}
-                        onChange={(e) => handleFilterChange('customerType', e.target.value)}
-                        style={{
-                            padding: '10px',
-                            border: `1px solid ${theme === 'dark' ? '#404040' : '#dee2e6'}`,
-                            borderRadius: '6px',
-                            backgroundColor: theme === 'dark' ? '#1a1a1a' : '#ffffff',
-                            color: theme === 'dark' ? '#ffffff' : '#333333',
-                            fontSize: '14px'
-                        }}
-                    >
-                        <option value="">All Customer Types</option>
-                        <option value="Federal">Federal</option>
-                        <option value="State">State</option>
-                        <option value="Local">Local</option>
-                        <option value="Commercial">Commercial</option>
-                    </select>
-                    <select
-                        value={filters.contractType}
-                        onChange={(e) => handleFilterChange('contractType', e.target.value)}
-                        style={{
-                            padding: '10px',
-                            border: `1px solid ${theme === 'dark' ? '#404040' : '#dee2e6'}`,
-                            borderRadius: '6px',
-                            backgroundColor: theme === 'dark' ? '#1a1a1a' : '#ffffff',
-                            color: theme === 'dark' ? '#ffffff' : '#333333',
-                            fontSize: '14px'
-                        }}
-                    >
-                        <option value="">All Contract Types</option>
-                        <option value="Prime">Prime</option>
-                        <option value="Subcontractor">Subcontractor</option>
-                        <option value="Teaming">Teaming</option>
-                    </select>
-                    <select
-                        value={filters.workType}
-                        onChange={(e) => handleFilterChange('workType', e.target.value)}
-                        style={{
-                            padding: '10px',
-                            border: `1px solid ${theme === 'dark' ? '#404040' : '#dee2e6'}`,
-                            borderRadius: '6px',
-                            backgroundColor: theme === 'dark' ? '#1a1a1a' : '#ffffff',
-                            color: theme === 'dark' ? '#ffffff' : '#333333',
-                            fontSize: '14px'
-                        }}
-                    >
-                        <option value="">All Work Types</option>
-                        <option value="DME">DME Only</option>
-                        <option value="O&M">O&M Only</option>
-                        <option value="Mixed">Mixed (DME + O&M)</option>
-                    </select>
-                </div>
+                    </div>
 
-                {/* Action Buttons */}
-                <div style={{ display: 'flex', gap: '10px', justifyContent: 'space-between', alignItems: 'center' }}>
-                    <div style={{ display: 'flex', gap: '10px' }}>
-                        <button
-                            onClick={clearFilters}
+                    {/* Filters */}
+                    <div style={{
+                        display: 'grid',
+                        gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+                        gap: '15px',
+                        marginBottom: '15px'
+                    }}>
+                        <input
+                            type="text"
+                            placeholder="Customer"
+                            value={filters.customer}
+                            onChange={(e) => handleFilterChange('customer', e.target.value)}
                             style={{
-                                padding: '10px 16px',
-                                backgroundColor: 'transparent',
-                                color: theme === 'dark' ? '#cccccc' : '#666666',
+                                padding: '10px',
                                 border: `1px solid ${theme === 'dark' ? '#404040' : '#dee2e6'}`,
                                 borderRadius: '6px',
-                                cursor: 'pointer',
+                                backgroundColor: theme === 'dark' ? '#1a1a1a' : '#ffffff',
+                                color: theme === 'dark' ? '#ffffff' : '#333333',
+                                fontSize: '14px'
+                            }}
+                        />
+                        <select
+                            value={filters.customerType}
+                            onChange={(e) => handleFilterChange('customerType', e.target.value)}
+                            style={{
+                                padding: '10px',
+                                border: `1px solid ${theme === 'dark' ? '#404040' : '#dee2e6'}`,
+                                borderRadius: '6px',
+                                backgroundColor: theme === 'dark' ? '#1a1a1a' : '#ffffff',
+                                color: theme === 'dark' ? '#ffffff' : '#333333',
                                 fontSize: '14px'
                             }}
                         >
-                            Clear Filters
-                        </button>
-                    </div>
-                    <div style={{ display: 'flex', gap: '10px' }}>
-                        <button
-                            onClick={() => setShowUploadModal(true)}
+                            <option value="">All Customer Types</option>
+                            <option value="Federal">Federal</option>
+                            <option value="State">State</option>
+                            <option value="Local">Local</option>
+                            <option value="Commercial">Commercial</option>
+                        </select>
+                        <select
+                            value={filters.contractType}
+                            onChange={(e) => handleFilterChange('contractType', e.target.value)}
                             style={{
-                                padding: '10px 16px',
-                                backgroundColor: '#28a745',
-                                color: 'white',
-                                border: 'none',
+                                padding: '10px',
+                                border: `1px solid ${theme === 'dark' ? '#404040' : '#dee2e6'}`,
                                 borderRadius: '6px',
-                                cursor: 'pointer',
-                                fontSize: '14px',
-                                fontWeight: '500'
+                                backgroundColor: theme === 'dark' ? '#1a1a1a' : '#ffffff',
+                                color: theme === 'dark' ? '#ffffff' : '#333333',
+                                fontSize: '14px'
                             }}
                         >
-                            📄 Upload Documents
-                        </button>
-                        <button
-                            onClick={() => setShowAddModal(true)}
+                            <option value="">All Contract Types</option>
+                            <option value="Prime">Prime</option>
+                            <option value="Subcontractor">Subcontractor</option>
+                            <option value="Teaming">Teaming</option>
+                        </select>
+                        <select
+                            value={filters.workType}
+                            onChange={(e) => handleFilterChange('workType', e.target.value)}
                             style={{
-                                padding: '10px 16px',
-                                backgroundColor: '#007bff',
-                                color: 'white',
-                                border: 'none',
+                                padding: '10px',
+                                border: `1px solid ${theme === 'dark' ? '#404040' : '#dee2e6'}`,
                                 borderRadius: '6px',
-                                cursor: 'pointer',
-                                fontSize: '14px',
-                                fontWeight: '500'
+                                backgroundColor: theme === 'dark' ? '#1a1a1a' : '#ffffff',
+                                color: theme === 'dark' ? '#ffffff' : '#333333',
+                                fontSize: '14px'
                             }}
                         >
-                            ➕ Add Past Performance
-                        </button>
+                            <option value="">All Work Types</option>
+                            <option value="DME">DME Only</option>
+                            <option value="O&M">O&M Only</option>
+                            <option value="Mixed">Mixed (DME + O&M)</option>
+                        </select>
+                    </div>
+
+                    {/* Action Buttons */}
+                    <div style={{ display: 'flex', gap: '10px', justifyContent: 'space-between', alignItems: 'center' }}>
+                        <div style={{ display: 'flex', gap: '10px' }}>
+                            <button
+                                onClick={clearFilters}
+                                style={{
+                                    padding: '10px 16px',
+                                    backgroundColor: 'transparent',
+                                    color: theme === 'dark' ? '#cccccc' : '#666666',
+                                    border: `1px solid ${theme === 'dark' ? '#404040' : '#dee2e6'}`,
+                                    borderRadius: '6px',
+                                    cursor: 'pointer',
+                                    fontSize: '14px'
+                                }}
+                            >
+                                Clear Filters
+                            </button>
+                        </div>
+                        <div style={{ display: 'flex', gap: '10px' }}>
+                            <button
+                                onClick={() => setShowUploadModal(true)}
+                                style={{
+                                    padding: '10px 16px',
+                                    backgroundColor: '#28a745',
+                                    color: 'white',
+                                    border: 'none',
+                                    borderRadius: '6px',
+                                    cursor: 'pointer',
+                                    fontSize: '14px',
+                                    fontWeight: '500'
+                                }}
+                            >
+                                📄 Upload Documents
+                            </button>
+                            <button
+                                onClick={() => setShowAddModal(true)}
+                                style={{
+                                    padding: '10px 16px',
+                                    backgroundColor: '#007bff',
+                                    color: 'white',
+                                    border: 'none',
+                                    borderRadius: '6px',
+                                    cursor: 'pointer',
+                                    fontSize: '14px',
+                                    fontWeight: '500'
+                                }}
+                            >
+                                ➕ Add Past Performance
+                            </button>
+                        </div>
                     </div>
                 </div>
-            </div>
+            )}
 
             {/* Search Results Summary */}
-            {searchResults && (
+            {view === 'records' && searchResults && (
                 <div style={{
                     backgroundColor: theme === 'dark' ? '#2d2d2d' : '#e3f2fd',
                     border: `1px solid ${theme === 'dark' ? '#404040' : '#2196f3'}`,
@@ -469,22 +515,8 @@ const PastPerformanceManager = ({ theme }) => {
                         color: theme === 'dark' ? '#cccccc' : '#666666',
                         fontSize: '14px'
                     }}>
-                        Found {searchResults.data?.length || 0} results for "{searchQuery}" using {searchType} search
+                        Found {searchResults.totalFound} results for "{searchQuery}"
                     </p>
-
-                    {searchResults.grouped && (
-                        <div style={{ display: 'flex', gap: '20px', fontSize: '14px' }}>
-                            <span style={{ color: '#28a745' }}>
-                                High Relevance: {searchResults.grouped.highRelevance?.length || 0}
-                            </span>
-                            <span style={{ color: '#ffc107' }}>
-                                Medium Relevance: {searchResults.grouped.mediumRelevance?.length || 0}
-                            </span>
-                            <span style={{ color: '#dc3545' }}>
-                                Low Relevance: {searchResults.grouped.lowRelevance?.length || 0}
-                            </span>
-                        </div>
-                    )}
                 </div>
             )}
 
@@ -503,7 +535,7 @@ const PastPerformanceManager = ({ theme }) => {
             )}
 
             {/* Loading State */}
-            {loading && (
+            {view === 'records' && loading && (
                 <div style={{
                     textAlign: 'center',
                     padding: '40px',
@@ -514,7 +546,7 @@ const PastPerformanceManager = ({ theme }) => {
             )}
 
             {/* Past Performance Cards */}
-            {!loading && (
+            {view === 'records' && !loading && (
                 <div style={{
                     display: 'grid',
                     gridTemplateColumns: 'repeat(auto-fill, minmax(400px, 1fr))',
@@ -715,7 +747,7 @@ const PastPerformanceManager = ({ theme }) => {
             )}
 
             {/* Empty State */}
-            {!loading && filteredPPs.length === 0 && (
+            {view === 'records' && !loading && filteredPPs.length === 0 && (
                 <div style={{
                     textAlign: 'center',
                     padding: '60px 20px',
@@ -750,7 +782,7 @@ const PastPerformanceManager = ({ theme }) => {
             )}
 
             {/* Pagination */}
-            {pagination.total > pagination.limit && (
+            {view === 'records' && !searchResults && pagination.total > pagination.limit && (
                 <div style={{
                     display: 'flex',
                     justifyContent: 'center',
@@ -0,0 +1,307 @@
+import { API_BASE_URL, API_ENDPOINTS } from '../config/api';
+import React, { useState, useEffect } from 'react';
+
+export const WEIGHT_LABELS = {
+    technology: 'Technology',
+    domain: 'Domain',
+    contractSize: 'Contract Size',
+    customerType: 'Customer Type',
+    recency: 'Recency',
+    rating: 'CPARS Rating'
+};
+
+/**
+ * Ranks past performance against a project's solicitation and shows why each contract matched
+ */
+const PastPerformanceMatcher = ({ theme, projects = [], selectedProject, weights, onWeightsChange }) => {
+    const [projectName, setProjectName] = useState(selectedProject?.title || '');
+    const [includeSubcontractor, setIncludeSubcontractor] = useState(false);
+    const [limit, setLimit] = useState(3);
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!projectName && selectedProject?.title) {
+            setProjectName(selectedProject.title);
+        }
+    }, [selectedProject, projectName]);
+
+    const projectNames = Array.from(new Set(projects.map(project => project.title).filter(Boolean)));
+
+    const findMatches = async (resultLimit = limit) => {
+        if (!projectName) return;
+
+        setLoading(true);
+        setError(null);
+
+        try {
+            const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.PAST_PERFORMANCE}/search/project-context`, {
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    projectName,
+                    weights,
+                    includeSubcontractor,
+                    limit: resultLimit
+                })
+            });
+
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Past performance match failed');
+            }
+
+            setResult(data.data);
+            setLimit(resultLimit);
+        } catch (err) {
+            setError(err.message);
+            setResult(null);
+            console.error('Error matching past performance:', err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const colors = {
+        panel: theme === 'dark' ? '#2d2d2d' : '#ffffff',
+        border: theme === 'dark' ? '#404040' : '#dee2e6',
+        text: theme === 'dark' ? '#ffffff' : '#333333',
+        muted: theme === 'dark' ? '#cccccc' : '#666666',
+        input: theme === 'dark' ? '#1a1a1a' : '#ffffff'
+    };
+
+    const inputStyle = {
+        padding: '10px',
+        border: `1px solid ${colors.border}`,
+        borderRadius: '6px',
+        backgroundColor: colors.input,
+        color: colors.text,
+        fontSize: '14px'
+    };
+
+    const scoreColor = (score) => (score >= 0.8 ? '#28a745' : score >= 0.5 ? '#ffc107' : '#dc3545');
+
+    return (
+        <div>
+            {/* Match Controls */}
+            <div style={{
+                backgroundColor: colors.panel,
+                border: `1px solid ${colors.border}`,
+                borderRadius: '8px',
+                padding: '20px',
+                marginBottom: '20px'
+            }}>
+                <div style={{ display: 'flex', gap: '10px', alignItems: 'center', marginBottom: '15px', flexWrap: 'wrap' }}>
+                    <select
+                        value={projectName}
+                        onChange={(e) => setProjectName(e.target.value)}
+                        style={{ ...inputStyle, flex: 1, minWidth: '220px' }}
+                    >
+                        <option value="">Select a project...</option>
+                        {projectNames.map(name => (
+                            <option key={name} value={name}>{name}</option>
+                        ))}
+                    </select>
+                    <label style={{ fontSize: '14px', color: colors.muted, display: 'flex', alignItems: 'center', gap: '6px' }}>
+                        <input
+                            type="checkbox"
+                            checked={includeSubcontractor}
+                            onChange={(e) => setIncludeSubcontractor(e.target.checked)}
+                        />
+                        Include subcontractor work
+                    </label>
+                    <button
+                        onClick={() => findMatches(3)}
+                        disabled={!projectName || loading}
+                        style={{
+                            padding: '10px 20px',
+                            backgroundColor: !projectName || loading ? '#6c757d' : '#007bff',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '6px',
+                            cursor: !projectName || loading ? 'not-allowed' : 'pointer',
+                            fontSize: '14px',
+                            fontWeight: '500'
+                        }}
+                    >
+                        {loading ? 'Matching...' : '🎯 Find Past Performance'}
+                    </button>
+                </div>
+
+                <div style={{
+                    display: 'grid',
+                    gridTemplateColumns: 'repeat(5, 1fr)',
+                    gap: '10px'
+                }}>
+                    {Object.entries(WEIGHT_LABELS).map(([key, label]) => (
+                        <div key={key}>
+                            <label style={{ fontSize: '12px', color: colors.muted }}>
+                                {label}: {((weights[key] || 0) * 100).toFixed(0)}%
+                            </label>
+                            <input
+                                type="range"
+                                min="0"
+                                max="1"
+                                step="0.05"
+                                value={weights[key] || 0}
+                                onChange={(e) => onWeightsChange({ ...weights, [key]: parseFloat(e.target.value) })}
+                                style={{ width: '100%' }}
+                            />
+                        </div>
+                    ))}
+                </div>
+                <div style={{ fontSize: '12px', color: colors.muted, marginTop: '8px' }}>
+                    Weights are relative; criteria the solicitation does not mention are left out of the score.
+                </div>
+            </div>
+
+            {error && (
+                <div style={{
+                    backgroundColor: '#f8d7da',
+                    border: '1px solid #f5c6cb',
+                    borderRadius: '8px',
+                    padding: '15px',
+                    marginBottom: '20px',
+                    color: '#721c24'
+                }}>
+                    <strong>Error:</strong> {error}
+                </div>
+            )}
+
+            {result && (
+                <div>
+                    {/* What the solicitation asks for */}
+                    <div style={{
+                        backgroundColor: theme === 'dark' ? '#2d2d2d' : '#e3f2fd',
+                        border: `1px solid ${theme === 'dark' ? '#404040' : '#2196f3'}`,
+                        borderRadius: '8px',
+                        padding: '15px',
+                        marginBottom: '20px',
+                        fontSize: '14px',
+                        color: colors.text
+                    }}>
+                        <div style={{ marginBottom: '8px' }}>
+                            <strong>{result.totalFound}</strong> matching records for <strong>{result.projectName}</strong>
+                            {' '}({result.searchTime} ms)
+                        </div>
+                        {result.requirements.technologies.length > 0 && (
+                            <div>Technologies: {result.requirements.technologies.map(tech => tech.required ? `${tech.name} (required)` : tech.name).join(', ')}</div>
+                        )}
+                        {result.requirements.domains.length > 0 && (
+                            <div>Domains: {result.requirements.domains.join(', ')}</div>
+                        )}
+                        {result.requirements.customerTypes.length > 0 && (
+                            <div>Customer types: {result.requirements.customerTypes.join(', ')}</div>
+                        )}
+                        {result.requirementSources.length > 0 && (
+                            <details style={{ marginTop: '8px' }}>
+                                <summary style={{ cursor: 'pointer', color: colors.muted }}>
+                                    Past performance requirements used ({result.requirementSources.length} passages)
+                                </summary>
+                                {result.requirementSources.map((source, index) => (
+                                    <div key={index} style={{ marginTop: '8px', fontSize: '13px' }}>
+                                        <div style={{ color: colors.muted }}>
+                                            {source.documentName}
+                                            {source.paragraphId && ` • ${source.paragraphId}`}
+                                            {source.sectionTitle && ` ${source.sectionTitle}`}
+                                            {source.page && ` • p. ${source.page}`}
+                                        </div>
+                                        <div>{source.excerpt}</div>
+                                    </div>
+                                ))}
+                            </details>
+                        )}
+                    </div>
+
+                    {/* Ranked contracts */}
+                    <div style={{ display: 'grid', gap: '15px' }}>
+                        {result.results.map((pp, index) => (
+                            <div
+                                key={pp.ppId}
+                                style={{
+                                    backgroundColor: colors.panel,
+                                    border: `1px solid ${colors.border}`,
+                                    borderRadius: '8px',
+                                    padding: '20px'
+                                }}
+                            >
+                                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '10px' }}>
+                                    <div>
+                                        <h3 style={{ margin: '0 0 6px 0', color: colors.text, fontSize: '18px' }}>
+                                            {index + 1}. {pp.name}
+                                        </h3>
+                                        <div style={{ fontSize: '13px', color: colors.muted }}>
+                                            {pp.customer} • {pp.customerType} • {pp.contractType}
+                                        </div>
+                                    </div>
+                                    <span style={{
+                                        backgroundColor: scoreColor(pp.relevanceScore),
+                                        color: 'white',
+                                        padding: '4px 10px',
+                                        borderRadius: '12px',
+                                        fontSize: '13px',
+                                        fontWeight: '500',
+                                        whiteSpace: 'nowrap'
+                                    }}>
+                                        {(pp.relevanceScore * 100).toFixed(0)}% Match
+                                    </span>
+                                </div>
+
+                                {/* Per-criterion scores */}
+                                <div style={{ display: 'grid', gridTemplateColumns: `repeat(${Object.keys(WEIGHT_LABELS).length}, 1fr)`, gap: '10px', margin: '15px 0' }}>
+                                    {Object.entries(WEIGHT_LABELS).map(([key, label]) => (
+                                        <div key={key} style={{ fontSize: '11px', color: colors.muted }}>
+                                            <div>{label}</div>
+                                            {pp.scores[key] === null ? (
+                                                <div>n/a</div>
+                                            ) : (
+                                                <div style={{ backgroundColor: colors.border, borderRadius: '4px', height: '6px', marginTop: '4px' }}>
+                                                    <div style={{
+                                                        width: `${pp.scores[key] * 100}%`,
+                                                        backgroundColor: scoreColor(pp.scores[key]),
+                                                        borderRadius: '4px',
+                                                        height: '6px'
+                                                    }} />
+                                                </div>
+                                            )}
+                                        </div>
+                                    ))}
+                                </div>
+
+                                <div style={{ fontSize: '13px', color: colors.text, lineHeight: '1.6' }}>
+                                    {pp.explanation.map((line, lineIndex) => (
+                                        <div key={lineIndex}>{line}</div>
+                                    ))}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+
+                    {result.totalFound > result.results.length && (
+                        <div style={{ textAlign: 'center', marginTop: '20px' }}>
+                            <button
+                                onClick={() => findMatches(limit + 3)}
+                                disabled={loading}
+                                style={{
+                                    padding: '10px 20px',
+                                    backgroundColor: 'transparent',
+                                    color: colors.muted,
+                                    border: `1px solid ${colors.border}`,
+                                    borderRadius: '6px',
+                                    cursor: 'pointer',
+                                    fontSize: '14px'
+                                }}
+                            >
+                                Show more ({result.totalFound - result.results.length} remaining)
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PastPerformanceMatcher;
@@ -0,0 +1,975 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { API_ENDPOINTS } from '../config/api';
+
+const TEMPLATE_TYPE_LABELS = {
+  section_generation: 'Section generation',
+  content_improvement: 'Content improvement',
+  analysis: 'Analysis'
+};
+
+const STATUS_COLORS = {
+  draft: '#6c757d',
+  running: '#28a745',
+  paused: '#fd7e14',
+  completed: '#007bff'
+};
+
+// Actions offered for each experiment status
+const STATUS_ACTIONS = {
+  draft: ['start'],
+  running: ['pause', 'complete'],
+  paused: ['start', 'complete'],
+  completed: []
+};
+
+const emptyVariable = () => ({ name: '', type: 'text', required: false, default: '', options: '', description: '' });
+
+const emptyTemplate = () => ({
+  name: '',
+  templateType: 'section_generation',
+  description: '',
+  sectionTypes: '',
+  isActive: true,
+  body: '',
+  variables: [],
+  changeNote: ''
+});
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+// Editor rows keep lists as comma-separated text; the API takes arrays
+const toEditorVariables = (variables) => (variables || []).map(variable => ({
+  ...emptyVariable(),
+  ...variable,
+  default: variable.default ?? '',
+  options: (variable.options || []).join(', '),
+  description: variable.description || ''
+}));
+
+const toApiVariables = (variables) => variables.map(variable => ({
+  name: variable.name.trim(),
+  type: variable.type,
+  required: variable.required,
+  default: variable.default === '' ? null : variable.default,
+  options: variable.type === 'enum' ? splitList(variable.options) : undefined,
+  description: variable.description || null
+}));
+
+const formatPValue = (comparison, minSampleSize) => {
+  if (!comparison || comparison.pValue === null) return '—';
+  const p = comparison.pValue < 0.001 ? '<0.001' : comparison.pValue.toFixed(3);
+  return comparison.enoughData ? `p ${p}` : `p ${p} (needs ${minSampleSize}+)`;
+};
+
+const formatDifference = (comparison, digits) => {
+  if (!comparison || comparison.difference === null) return '';
+  return `${comparison.difference > 0 ? '+' : ''}${comparison.difference.toFixed(digits)} `;
+};
+
+/**
+ * Prompt templates and A/B experiments
+ * Templates hold typed {{VARIABLES}} and keep every saved version; experiments split a section
+ * type's generations between template versions and compare writer ratings and edit distance.
+ */
+const PromptTemplateManager = ({ theme }) => {
+  const [view, setView] = useState('templates');
+  const [templates, setTemplates] = useState([]);
+  const [experiments, setExperiments] = useState([]);
+  const [options, setOptions] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState(null);
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  const [showExperimentModal, setShowExperimentModal] = useState(false);
+  const [results, setResults] = useState(null);
+
+  const request = async (path, method = 'GET', body = null) => {
+    const response = await fetch(`${API_ENDPOINTS.PROMPT_TEMPLATES}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      credentials: 'include',
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json();
+    if (!result.success) {
+      throw new Error(result.message || 'Request failed');
+    }
+    return result;
+  };
+
+  const fetchAll = useCallback(async () => {
+    try {
+      const query = showArchived ? '?includeInactive=true' : '';
+      const [templatesResponse, experimentsResponse, optionsResponse] = await Promise.all([
+        fetch(`${API_ENDPOINTS.PROMPT_TEMPLATES}${query}`, { credentials: 'include' }),
+        fetch(`${API_ENDPOINTS.PROMPT_TEMPLATES}/experiments`, { credentials: 'include' }),
+        fetch(`${API_ENDPOINTS.PROMPT_TEMPLATES}/options`, { credentials: 'include' })
+      ]);
+      const templatesData = await templatesResponse.json();
+      const experimentsData = await experimentsResponse.json();
+      const optionsData = await optionsResponse.json();
+
+      if (templatesData.success) setTemplates(templatesData.data);
+      if (experimentsData.success) setExperiments(experimentsData.data);
+      if (optionsData.success) setOptions(optionsData.data);
+    } catch (error) {
+      console.error('Error fetching prompt templates:', error);
+      setMessage({ type: 'error', text: 'Failed to load prompt templates' });
+    } finally {
+      setLoading(false);
+    }
+  }, [showArchived]);
+
+  useEffect(() => {
+    fetchAll();
+  }, [fetchAll]);
+
+  const openTemplate = async (templateId) => {
+    setMessage(null);
+    try {
+      const { data } = await request(`/${templateId}`);
+      setEditingTemplate(data);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const handleTemplateSaved = (text) => {
+    setEditingTemplate(null);
+    setMessage({ type: 'success', text });
+    fetchAll();
+  };
+
+  const changeStatus = async (experiment, action, winnerVariantId = null) => {
+    if (action === 'complete' && !winnerVariantId &&
+      !window.confirm(`Complete "${experiment.name}" without picking a winner?`)) {
+      return;
+    }
+    setMessage(null);
+    try {
+      const { data } = await request(`/experiments/${experiment.id}/${action}`, 'POST', { winnerVariantId });
+      setMessage({ type: 'success', text: `Experiment "${data.name}" is now ${data.status}` });
+      fetchAll();
+      if (results && results.experiment.id === experiment.id) {
+        showResults(experiment.id);
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const showResults = async (experimentId) => {
+    try {
+      const { data } = await request(`/experiments/${experimentId}/results`);
+      setResults(data);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const buttonStyle = (color) => ({
+    backgroundColor: color,
+    color: 'white',
+    border: 'none',
+    padding: '4px 10px',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '12px',
+    marginLeft: '6px'
+  });
+
+  const tabStyle = (active) => ({
+    padding: '8px 16px',
+    borderRadius: '6px',
+    border: `1px solid ${active ? theme.primary : theme.border}`,
+    backgroundColor: active ? theme.primary : theme.surface,
+    color: active ? 'white' : theme.text,
+    cursor: 'pointer',
+    fontSize: '13px',
+    fontWeight: '600'
+  });
+
+  if (loading) {
+    return (
+      <div style={{ padding: '20px', textAlign: 'center' }}>
+        <div style={{ color: theme.textSecondary }}>Loading prompt templates...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ padding: '20px' }}>
+      <div style={{ marginBottom: '24px', display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+        <div>
+          <h2 style={{ color: theme.text, margin: 0, fontSize: '24px', marginBottom: '8px' }}>
+            🧪 Prompt Templates
+          </h2>
+          <p style={{ color: theme.textSecondary, margin: 0, fontSize: '14px' }}>
+            Versioned section prompts with typed variables, and A/B experiments rated by writers
+          </p>
+        </div>
+        <button
+          onClick={() => (view === 'templates' ? setEditingTemplate(emptyTemplate()) : setShowExperimentModal(true))}
+          style={{ ...buttonStyle(theme.primary), padding: '10px 16px', fontSize: '14px' }}
+        >
+          {view === 'templates' ? '+ New Template' : '+ New Experiment'}
+        </button>
+      </div>
+
+      {message && (
+        <div style={{
+          padding: '12px 16px',
+          borderRadius: '8px',
+          marginBottom: '20px',
+          backgroundColor: message.type === 'success' ? '#d4edda' : '#f8d7da',
+          color: message.type === 'success' ? '#155724' : '#721c24'
+        }}>
+          {message.text}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '8px', marginBottom: '20px', alignItems: 'center' }}>
+        <button onClick={() => setView('templates')} style={tabStyle(view === 'templates')}>
+          Templates ({templates.length})
+        </button>
+        <button onClick={() => setView('experiments')} style={tabStyle(view === 'experiments')}>
+          Experiments ({experiments.length})
+        </button>
+        {view === 'templates' && (
+          <label style={{ marginLeft: 'auto', fontSize: '13px', color: theme.textSecondary }}>
+            <input
+              type="checkbox"
+              checked={showArchived}
+              onChange={(e) => setShowArchived(e.target.checked)}
+              style={{ marginRight: '6px' }}
+            />
+            Show archived
+          </label>
+        )}
+      </div>
+
+      {view === 'templates' && (
+        templates.length === 0 ? (
+          <div style={{ color: theme.textSecondary, padding: '20px', textAlign: 'center' }}>
+            No prompt templates yet
+          </div>
+        ) : (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', color: theme.text }}>
+            <thead>
+              <tr style={{ textAlign: 'left', borderBottom: `1px solid ${theme.border}` }}>
+                <th style={{ padding: '8px' }}>Template</th>
+                <th style={{ padding: '8px' }}>Type</th>
+                <th style={{ padding: '8px' }}>Sections</th>
+                <th style={{ padding: '8px' }}>Version</th>
+                <th style={{ padding: '8px' }}>Variables</th>
+                <th style={{ padding: '8px' }}>Uses</th>
+                <th style={{ padding: '8px' }}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {templates.map(template => (
+                <tr key={template.id} style={{ borderBottom: `1px solid ${theme.border}`, opacity: template.isActive ? 1 : 0.6 }}>
+                  <td style={{ padding: '8px' }}>
+                    <div style={{ fontWeight: '600' }}>
+                      {template.name}{!template.isActive && ' (archived)'}
+                    </div>
+                    {template.description && (
+                      <div style={{ color: theme.textSecondary, fontSize: '12px' }}>{template.description}</div>
+                    )}
+                  </td>
+                  <td style={{ padding: '8px' }}>{TEMPLATE_TYPE_LABELS[template.templateType] || template.templateType}</td>
+                  <td style={{ padding: '8px' }}>{template.sectionTypes.length > 0 ? template.sectionTypes.join(', ') : 'All'}</td>
+                  <td style={{ padding: '8px' }}>v{template.currentVersion}</td>
+                  <td style={{ padding: '8px', fontFamily: 'monospace', fontSize: '12px' }}>
+                    {template.variables.map(variable => variable.name).join(', ') || '—'}
+                  </td>
+                  <td style={{ padding: '8px' }}>{template.usageCount || 0}</td>
+                  <td style={{ padding: '8px', textAlign: 'right' }}>
+                    <button onClick={() => openTemplate(template.id)} style={buttonStyle(theme.primary)}>Edit</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )
+      )}
+
+      {view === 'experiments' && (
+        experiments.length === 0 ? (
+          <div style={{ color: theme.textSecondary, padding: '20px', textAlign: 'center' }}>
+            No experiments yet. Create one to compare two or more template versions for a section type.
+          </div>
+        ) : (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', color: theme.text }}>
+            <thead>
+              <tr style={{ textAlign: 'left', borderBottom: `1px solid ${theme.border}` }}>
+                <th style={{ padding: '8px' }}>Experiment</th>
+                <th style={{ padding: '8px' }}>Section type</th>
+                <th style={{ padding: '8px' }}>Status</th>
+                <th style={{ padding: '8px' }}>Generations</th>
+                <th style={{ padding: '8px' }}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {experiments.map(experiment => (
+                <tr key={experiment.id} style={{ borderBottom: `1px solid ${theme.border}` }}>
+                  <td style={{ padding: '8px' }}>
+                    <div style={{ fontWeight: '600' }}>{experiment.name}</div>
+                    {experiment.description && (
+                      <div style={{ color: theme.textSecondary, fontSize: '12px' }}>{experiment.description}</div>
+                    )}
+                  </td>
+                  <td style={{ padding: '8px' }}>{experiment.sectionType}</td>
+                  <td style={{ padding: '8px', color: STATUS_COLORS[experiment.status], fontWeight: '600' }}>
+                    {experiment.status}
+                  </td>
+                  <td style={{ padding: '8px' }}>{experiment.generationCount || 0}</td>
+                  <td style={{ padding: '8px', textAlign: 'right', whiteSpace: 'nowrap' }}>
+                    <button onClick={() => showResults(experiment.id)} style={buttonStyle(theme.primary)}>Results</button>
+                    {STATUS_ACTIONS[experiment.status].map(action => (
+                      <button
+                        key={action}
+                        onClick={() => changeStatus(experiment, action)}
+                        style={buttonStyle(action === 'start' ? '#28a745' : action === 'pause' ? '#fd7e14' : '#6c757d')}
+                      >
+                        {action.charAt(0).toUpperCase() + action.slice(1)}
+                      </button>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )
+      )}
+
+      {results && (
+        <ExperimentResults
+          theme={theme}
+          results={results}
+          onPickWinner={(variantId) => changeStatus(results.experiment, 'complete', variantId)}
+          onClose={() => setResults(null)}
+        />
+      )}
+
+      {editingTemplate && (
+        <TemplateEditorModal
+          theme={theme}
+          template={editingTemplate}
+          options={options}
+          request={request}
+          onSaved={handleTemplateSaved}
+          onClose={() => setEditingTemplate(null)}
+        />
+      )}
+
+      {showExperimentModal && (
+        <ExperimentModal
+          theme={theme}
+          templates={templates.filter(template => template.isActive)}
+          request={request}
+          onCreated={(experiment) => {
+            setShowExperimentModal(false);
+            setMessage({ type: 'success', text: `Experiment "${experiment.name}" created as a draft` });
+            fetchAll();
+          }}
+          onClose={() => setShowExperimentModal(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+// Template Editor Modal Component
+const TemplateEditorModal = ({ theme, template, options, request, onSaved, onClose }) => {
+  const isNew = !template.id;
+  const [form, setForm] = useState({
+    ...emptyTemplate(),
+    ...template,
+    description: template.description || '',
+    sectionTypes: Array.isArray(template.sectionTypes) ? template.sectionTypes.join(', ') : template.sectionTypes,
+    variables: toEditorVariables(template.variables),
+    changeNote: ''
+  });
+  const [sampleValues, setSampleValues] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const updateVariable = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      variables: prev.variables.map((variable, i) => (i === index ? { ...variable, [field]: value } : variable))
+    }));
+  };
+
+  const removeVariable = (index) => {
+    setForm(prev => ({ ...prev, variables: prev.variables.filter((_, i) => i !== index) }));
+  };
+
+  const loadVersion = (version) => {
+    setForm(prev => ({
+      ...prev,
+      body: version.body,
+      variables: toEditorVariables(version.variables),
+      changeNote: `Restored from v${version.versionNumber}`
+    }));
+    setPreview(null);
+  };
+
+  const runPreview = async () => {
+    setError('');
+    try {
+      const { data } = await request('/preview', 'POST', {
+        body: form.body,
+        variables: toApiVariables(form.variables),
+        values: sampleValues
+      });
+      setPreview(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    const payload = {
+      name: form.name,
+      templateType: form.templateType,
+      description: form.description,
+      sectionTypes: splitList(form.sectionTypes),
+      body: form.body,
+      variables: toApiVariables(form.variables),
+      changeNote: form.changeNote || null
+    };
+
+    try {
+      if (isNew) {
+        const result = await request('', 'POST', payload);
+        onSaved(`Template "${result.data.name}" created${result.warnings.length > 0 ? ` (${result.warnings.join('; ')})` : ''}`);
+      } else {
+        const result = await request(`/${template.id}`, 'PUT', { ...payload, isActive: form.isActive });
+        const versionText = result.newVersion ? ` as version ${result.newVersion.versionNumber}` : '';
+        onSaved(`Template "${result.data.name}" saved${versionText}${result.warnings.length > 0 ? ` (${result.warnings.join('; ')})` : ''}`);
+      }
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '8px',
+    border: `1px solid ${theme.border}`,
+    borderRadius: '4px',
+    backgroundColor: theme.background,
+    color: theme.text,
+    fontSize: '13px',
+    boxSizing: 'border-box'
+  };
+  const labelStyle = { display: 'block', fontSize: '12px', fontWeight: '600', color: theme.text, marginBottom: '4px' };
+  const variableTypes = options ? options.variableTypes : ['text', 'number', 'date', 'list', 'enum', 'boolean'];
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        backgroundColor: theme.surface,
+        borderRadius: '8px',
+        padding: '24px',
+        width: '90%',
+        maxWidth: '960px',
+        maxHeight: '90vh',
+        overflowY: 'auto'
+      }}>
+        <h3 style={{ margin: '0 0 16px 0', color: theme.text }}>
+          {isNew ? 'New Prompt Template' : `${template.name} (v${template.currentVersion})`}
+        </h3>
+
+        {error && (
+          <div style={{ padding: '10px', borderRadius: '6px', marginBottom: '12px', backgroundColor: '#f8d7da', color: '#721c24', fontSize: '13px' }}>
+            {error}
+          </div>
+        )}
+
+        <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '12px', marginBottom: '12px' }}>
+          <div>
+            <label style={labelStyle}>Name</label>
+            <input value={form.name} onChange={(e) => updateForm('name', e.target.value)} style={inputStyle} />
+          </div>
+          <div>
+            <label style={labelStyle}>Type</label>
+            <select value={form.templateType} onChange={(e) => updateForm('templateType', e.target.value)} style={inputStyle}>
+              {(options ? options.templateTypes : Object.keys(TEMPLATE_TYPE_LABELS)).map(type => (
+                <option key={type} value={type}>{TEMPLATE_TYPE_LABELS[type] || type}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>Description</label>
+            <input value={form.description} onChange={(e) => updateForm('description', e.target.value)} style={inputStyle} />
+          </div>
+          <div>
+            <label style={labelStyle}>Section types (comma-separated, empty for all)</label>
+            <input value={form.sectionTypes} onChange={(e) => updateForm('sectionTypes', e.target.value)} style={inputStyle} />
+          </div>
+        </div>
+
+        <label style={labelStyle}>Template</label>
+        <textarea
+          value={form.body}
+          onChange={(e) => updateForm('body', e.target.value)}
+          rows={8}
+          style={{ ...inputStyle, fontFamily: 'monospace', resize: 'vertical' }}
+          placeholder="Write the {{SECTION_TYPE}} section for {{AGENCY_NAME}}. {{USER_INPUT}}"
+        />
+        {options && (
+          <div style={{ fontSize: '12px', color: theme.textSecondary, margin: '4px 0 16px 0' }}>
+            Built in: {options.builtinVariables.map(name => `{{${name}}}`).join(' ')}.
+            {' '}Without {'{{USER_INPUT}}'} the writer's prompt follows the template.
+          </div>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+          <label style={{ ...labelStyle, marginBottom: 0 }}>Variables</label>
+          <button
+            onClick={() => updateForm('variables', [...form.variables, emptyVariable()])}
+            style={{ background: 'none', border: `1px solid ${theme.border}`, borderRadius: '4px', padding: '4px 10px', cursor: 'pointer', color: theme.text, fontSize: '12px' }}
+          >
+            + Add Variable
+          </button>
+        </div>
+        {form.variables.map((variable, index) => (
+          <div key={index} style={{ display: 'grid', gridTemplateColumns: '1.2fr 0.8fr 0.6fr 1fr 1.2fr 1.4fr auto', gap: '6px', marginBottom: '6px', alignItems: 'center' }}>
+            <input
+              value={variable.name}
+              onChange={(e) => updateVariable(index, 'name', e.target.value.toUpperCase())}
+              placeholder="NAME"
+              style={{ ...inputStyle, fontFamily: 'monospace' }}
+            />
+            <select value={variable.type} onChange={(e) => updateVariable(index, 'type', e.target.value)} style={inputStyle}>
+              {variableTypes.map(type => <option key={type} value={type}>{type}</option>)}
+            </select>
+            <label style={{ fontSize: '12px', color: theme.text }}>
+              <input
+                type="checkbox"
+                checked={variable.required}
+                onChange={(e) => updateVariable(index, 'required', e.target.checked)}
+                style={{ marginRight: '4px' }}
+              />
+              Required
+            </label>
+            <input
+              value={variable.default}
+              onChange={(e) => updateVariable(index, 'default', e.target.value)}
+              placeholder={variable.type === 'date' ? 'Default (YYYY-MM-DD)' : 'Default'}
+              style={inputStyle}
+            />
+            <input
+              value={variable.options}
+              onChange={(e) => updateVariable(index, 'options', e.target.value)}
+              placeholder="Options (enum)"
+              disabled={variable.type !== 'enum'}
+              style={{ ...inputStyle, opacity: variable.type === 'enum' ? 1 : 0.5 }}
+            />
+            <input
+              value={variable.description}
+              onChange={(e) => updateVariable(index, 'description', e.target.value)}
+              placeholder="Description"
+              style={inputStyle}
+            />
+            <button
+              onClick={() => removeVariable(index)}
+              style={{ background: 'none', border: 'none', color: '#dc3545', cursor: 'pointer', fontSize: '16px' }}
+              title="Remove variable"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+
+        <div style={{ marginTop: '16px', padding: '12px', border: `1px solid ${theme.border}`, borderRadius: '6px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+            <label style={{ ...labelStyle, marginBottom: 0 }}>Preview</label>
+            <button onClick={runPreview} style={{ backgroundColor: theme.primary, color: 'white', border: 'none', padding: '4px 10px', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' }}>
+              Render
+            </button>
+          </div>
+          {form.variables.filter(variable => variable.name).map(variable => (
+            <div key={variable.name} style={{ display: 'flex', gap: '8px', alignItems: 'center', marginBottom: '4px' }}>
+              <span style={{ fontFamily: 'monospace', fontSize: '12px', color: theme.textSecondary, minWidth: '140px' }}>{variable.name}</span>
+              <input
+                value={sampleValues[variable.name] || ''}
+                onChange={(e) => setSampleValues(prev => ({ ...prev, [variable.name]: e.target.value }))}
+                placeholder={variable.default || 'Sample value'}
+                style={inputStyle}
+              />
+            </div>
+          ))}
+          {preview && (
+            <>
+              {[...preview.missing.map(name => `${name} is required`), ...preview.errors, ...preview.warnings].map(problem => (
+                <div key={problem} style={{ fontSize: '12px', color: '#856404', marginTop: '4px' }}>⚠️ {problem}</div>
+              ))}
+              <pre style={{
+                whiteSpace: 'pre-wrap',
+                backgroundColor: theme.background,
+                color: theme.text,
+                padding: '10px',
+                borderRadius: '4px',
+                fontSize: '12px',
+                marginTop: '8px'
+              }}>
+                {preview.text}
+              </pre>
+            </>
+          )}
+        </div>
+
+        {!isNew && (
+          <>
+            <div style={{ display: 'grid', gridTemplateColumns: '3fr 1fr', gap: '12px', marginTop: '16px' }}>
+              <div>
+                <label style={labelStyle}>Change note (saved with a new version)</label>
+                <input value={form.changeNote} onChange={(e) => updateForm('changeNote', e.target.value)} style={inputStyle} />
+              </div>
+              <label style={{ fontSize: '13px', color: theme.text, alignSelf: 'end', paddingBottom: '8px' }}>
+                <input
+                  type="checkbox"
+                  checked={form.isActive}
+                  onChange={(e) => updateForm('isActive', e.target.checked)}
+                  style={{ marginRight: '6px' }}
+                />
+                Active
+              </label>
+            </div>
+
+            <label style={{ ...labelStyle, marginTop: '16px' }}>Version history</label>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px', color: theme.text }}>
+              <tbody>
+                {(template.versions || []).map(version => (
+                  <tr key={version.id} style={{ borderBottom: `1px solid ${theme.border}` }}>
+                    <td style={{ padding: '6px', fontWeight: '600' }}>v{version.versionNumber}</td>
+                    <td style={{ padding: '6px' }}>{version.changeNote || '—'}</td>
+                    <td style={{ padding: '6px', color: theme.textSecondary }}>
+                      {version.createdBy || 'system'} · {new Date(version.createdAt).toLocaleDateString()}
+                    </td>
+                    <td style={{ padding: '6px', color: theme.textSecondary }}>{version.generationCount || 0} generations</td>
+                    <td style={{ padding: '6px', textAlign: 'right' }}>
+                      {version.versionNumber !== template.currentVersion && (
+                        <button
+                          onClick={() => loadVersion(version)}
+                          style={{ background: 'none', border: `1px solid ${theme.border}`, borderRadius: '4px', padding: '2px 8px', cursor: 'pointer', color: theme.text, fontSize: '12px' }}
+                        >
+                          Load
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '20px' }}>
+          <button
+            onClick={onClose}
+            style={{ padding: '8px 16px', border: `1px solid ${theme.border}`, borderRadius: '4px', backgroundColor: 'transparent', color: theme.text, cursor: 'pointer' }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving || !form.name.trim() || !form.body.trim()}
+            style={{
+              padding: '8px 16px',
+              border: 'none',
+              borderRadius: '4px',
+              backgroundColor: theme.primary,
+              color: 'white',
+              cursor: saving ? 'wait' : 'pointer',
+              opacity: saving || !form.name.trim() || !form.body.trim() ? 0.6 : 1
+            }}
+          >
+            {saving ? 'Saving...' : 'Save Template'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Experiment Modal Component
+const ExperimentModal = ({ theme, templates, request, onCreated, onClose }) => {
+  const [form, setForm] = useState({ name: '', description: '', sectionType: '' });
+  const [variants, setVariants] = useState([
+    { templateId: '', templateVersionId: '', weight: 1 },
+    { templateId: '', templateVersionId: '', weight: 1 }
+  ]);
+  // Version lists loaded per template as variants pick them
+  const [versionsByTemplate, setVersionsByTemplate] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const updateVariant = (index, changes) => {
+    setVariants(prev => prev.map((variant, i) => (i === index ? { ...variant, ...changes } : variant)));
+  };
+
+  const selectTemplate = async (index, templateId) => {
+    const template = templates.find(item => item.id === parseInt(templateId));
+    updateVariant(index, { templateId, templateVersionId: template ? template.versionId : '' });
+    if (template && !versionsByTemplate[template.id]) {
+      try {
+        const { data } = await request(`/${template.id}`);
+        setVersionsByTemplate(prev => ({ ...prev, [template.id]: data.versions }));
+      } catch (err) {
+        setError(err.message);
+      }
+    }
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const { data } = await request('/experiments', 'POST', {
+        ...form,
+        variants: variants.map(variant => ({
+          templateVersionId: parseInt(variant.templateVersionId),
+          weight: parseInt(variant.weight)
+        }))
+      });
+      onCreated(data);
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '8px',
+    border: `1px solid ${theme.border}`,
+    borderRadius: '4px',
+    backgroundColor: theme.background,
+    color: theme.text,
+    fontSize: '13px',
+    boxSizing: 'border-box'
+  };
+  const labelStyle = { display: 'block', fontSize: '12px', fontWeight: '600', color: theme.text, marginBottom: '4px' };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        backgroundColor: theme.surface,
+        borderRadius: '8px',
+        padding: '24px',
+        width: '90%',
+        maxWidth: '720px',
+        maxHeight: '90vh',
+        overflowY: 'auto'
+      }}>
+        <h3 style={{ margin: '0 0 8px 0', color: theme.text }}>New Experiment</h3>
+        <p style={{ margin: '0 0 16px 0', fontSize: '13px', color: theme.textSecondary }}>
+          While it runs, each generation for the section type gets one variant at random, in proportion
+          to its weight. Writers are not told which. Variant A is the control.
+        </p>
+
+        {error && (
+          <div style={{ padding: '10px', borderRadius: '6px', marginBottom: '12px', backgroundColor: '#f8d7da', color: '#721c24', fontSize: '13px' }}>
+            {error}
+          </div>
+        )}
+
+        <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '12px', marginBottom: '12px' }}>
+          <div>
+            <label style={labelStyle}>Name</label>
+            <input value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} style={inputStyle} />
+          </div>
+          <div>
+            <label style={labelStyle}>Section type</label>
+            <input value={form.sectionType} onChange={(e) => setForm({ ...form, sectionType: e.target.value })} style={inputStyle} />
+          </div>
+        </div>
+        <label style={labelStyle}>Description</label>
+        <input value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} style={{ ...inputStyle, marginBottom: '16px' }} />
+
+        <label style={labelStyle}>Variants</label>
+        {variants.map((variant, index) => (
+          <div key={index} style={{ display: 'grid', gridTemplateColumns: '24px 2fr 1fr 70px auto', gap: '6px', marginBottom: '6px', alignItems: 'center' }}>
+            <span style={{ fontWeight: '600', color: theme.text }}>{String.fromCharCode(65 + index)}</span>
+            <select value={variant.templateId} onChange={(e) => selectTemplate(index, e.target.value)} style={inputStyle}>
+              <option value="">Select template...</option>
+              {templates.map(template => <option key={template.id} value={template.id}>{template.name}</option>)}
+            </select>
+            <select
+              value={variant.templateVersionId}
+              onChange={(e) => updateVariant(index, { templateVersionId: e.target.value })}
+              disabled={!variant.templateId}
+              style={inputStyle}
+            >
+              {(versionsByTemplate[variant.templateId] || []).map(version => (
+                <option key={version.id} value={version.id}>v{version.versionNumber}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="1"
+              max="100"
+              value={variant.weight}
+              onChange={(e) => updateVariant(index, { weight: e.target.value })}
+              title="Weight"
+              style={inputStyle}
+            />
+            <button
+              onClick={() => setVariants(prev => prev.filter((_, i) => i !== index))}
+              disabled={variants.length <= 2}
+              style={{ background: 'none', border: 'none', color: '#dc3545', cursor: 'pointer', fontSize: '16px', opacity: variants.length <= 2 ? 0.3 : 1 }}
+              title="Remove variant"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        {variants.length < 4 && (
+          <button
+            onClick={() => setVariants(prev => [...prev, { templateId: '', templateVersionId: '', weight: 1 }])}
+            style={{ background: 'none', border: `1px solid ${theme.border}`, borderRadius: '4px', padding: '4px 10px', cursor: 'pointer', color: theme.text, fontSize: '12px' }}
+          >
+            + Add Variant
+          </button>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '20px' }}>
+          <button
+            onClick={onClose}
+            style={{ padding: '8px 16px', border: `1px solid ${theme.border}`, borderRadius: '4px', backgroundColor: 'transparent', color: theme.text, cursor: 'pointer' }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleCreate}
+            disabled={saving}
+            style={{ padding: '8px 16px', border: 'none', borderRadius: '4px', backgroundColor: theme.primary, color: 'white', cursor: saving ? 'wait' : 'pointer' }}
+          >
+            {saving ? 'Creating...' : 'Create Draft'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Experiment Results Component
+const ExperimentResults = ({ theme, results, onPickWinner, onClose }) => {
+  const { experiment, variants, minSampleSize } = results;
+  const canPickWinner = experiment.status !== 'completed' && experiment.status !== 'draft';
+  const significantStyle = (comparison) => (comparison && comparison.significant ? { color: '#28a745', fontWeight: '600' } : {});
+
+  return (
+    <div style={{ marginTop: '24px', padding: '16px', border: `1px solid ${theme.border}`, borderRadius: '8px', backgroundColor: theme.surface }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <h3 style={{ margin: 0, color: theme.text }}>
+          {experiment.name} · <span style={{ color: STATUS_COLORS[experiment.status] }}>{experiment.status}</span>
+        </h3>
+        <button onClick={onClose} style={{ background: 'none', border: 'none', fontSize: '18px', cursor: 'pointer', color: theme.textSecondary }}>
+          ×
+        </button>
+      </div>
+      <p style={{ margin: '0 0 12px 0', fontSize: '12px', color: theme.textSecondary }}>
+        Each variant is compared with {results.control} by Welch's t-test. Differences are significant at
+        p &lt; {results.significanceLevel} once both have {minSampleSize}+ samples. A lower edit ratio means
+        writers kept more of the generated text.
+      </p>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', color: theme.text }}>
+        <thead>
+          <tr style={{ textAlign: 'left', borderBottom: `1px solid ${theme.border}` }}>
+            <th style={{ padding: '8px' }}>Variant</th>
+            <th style={{ padding: '8px' }}>Generations</th>
+            <th style={{ padding: '8px' }}>Rating</th>
+            <th style={{ padding: '8px' }}>vs control</th>
+            <th style={{ padding: '8px' }}>Edit ratio</th>
+            <th style={{ padding: '8px' }}>vs control</th>
+            <th style={{ padding: '8px' }}>Words</th>
+            <th style={{ padding: '8px' }}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {variants.map(variant => (
+            <tr key={variant.variantId} style={{ borderBottom: `1px solid ${theme.border}` }}>
+              <td style={{ padding: '8px' }}>
+                <div style={{ fontWeight: '600' }}>
+                  {variant.label}{variant.isWinner && ' 🏆'}
+                </div>
+                <div style={{ color: theme.textSecondary, fontSize: '12px' }}>
+                  {variant.templateName} v{variant.versionNumber} · weight {variant.weight}
+                </div>
+              </td>
+              <td style={{ padding: '8px' }}>{variant.generations}</td>
+              <td style={{ padding: '8px' }}>
+                {variant.rating.mean !== null ? `${variant.rating.mean} ± ${variant.rating.stddev ?? 0}` : '—'}
+                <div style={{ color: theme.textSecondary, fontSize: '12px' }}>
+                  {variant.rating.count} rated · {variant.rating.distribution.join(' / ')}
+                </div>
+              </td>
+              <td style={{ padding: '8px', ...significantStyle(variant.comparison && variant.comparison.rating) }}>
+                {variant.comparison
+                  ? `${formatDifference(variant.comparison.rating, 2)}${formatPValue(variant.comparison.rating, minSampleSize)}`
+                  : 'control'}
+              </td>
+              <td style={{ padding: '8px' }}>
+                {variant.editRatio.mean !== null ? `${(variant.editRatio.mean * 100).toFixed(1)}%` : '—'}
+                <div style={{ color: theme.textSecondary, fontSize: '12px' }}>{variant.editRatio.count} edited</div>
+              </td>
+              <td style={{ padding: '8px', ...significantStyle(variant.comparison && variant.comparison.editRatio) }}>
+                {variant.comparison
+                  ? `${formatDifference(variant.comparison.editRatio, 3)}${formatPValue(variant.comparison.editRatio, minSampleSize)}`
+                  : 'control'}
+              </td>
+              <td style={{ padding: '8px' }}>{variant.wordCountMean ?? '—'}</td>
+              <td style={{ padding: '8px', textAlign: 'right' }}>
+                {canPickWinner && (
+                  <button
+                    onClick={() => window.confirm(`Complete the experiment with ${variant.label} as the winner?`) && onPickWinner(variant.variantId)}
+                    style={{ backgroundColor: theme.primary, color: 'white', border: 'none', padding: '4px 10px', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' }}
+                  >
+                    Pick winner
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default PromptTemplateManager;
@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+
+const SOURCE_LABELS = {
+  ai: '🤖 AI generated',
+  human: '✏️ Edited',
+  restore: '↩️ Restored'
+};
+
+/**
+ * Version history for a proposal section
+ * Lists every AI generation, human edit and restore, shows a word diff
+ * against the current version, and restores older versions
+ */
+const SectionVersionHistory = ({
+  theme,
+  section,
+  versions,
+  onLoadVersions,
+  onDiff,
+  onRestore,
+  onClose
+}) => {
+  const [diff, setDiff] = useState(null);
+  const [loadingDiff, setLoadingDiff] = useState(false);
+  const sectionId = section ? section.id : null;
+  const currentVersion = section ? section.currentVersion : null;
+
+  // Reload when the section or its current version changes
+  useEffect(() => {
+    if (sectionId) {
+      onLoadVersions();
+      setDiff(null);
+    }
+  }, [sectionId, currentVersion, onLoadVersions]);
+
+  if (!section) return null;
+
+  const handleCompare = async (versionNumber) => {
+    setLoadingDiff(true);
+    try {
+      setDiff(await onDiff(versionNumber, section.currentVersion));
+    } finally {
+      setLoadingDiff(false);
+    }
+  };
+
+  const formatDate = (value) => new Date(value).toLocaleString();
+
+  const changeStyle = (type) => {
+    if (type === 'insert') {
+      return { backgroundColor: '#28a74533', color: theme.text };
+    }
+    if (type === 'delete') {
+      return { backgroundColor: '#dc354533', color: theme.text, textDecoration: 'line-through' };
+    }
+    return { color: theme.text };
+  };
+
+  return (
+    <div style={{
+      backgroundColor: theme.surface,
+      border: `1px solid ${theme.border}`,
+      borderRadius: '8px',
+      padding: '12px',
+      marginTop: '12px',
+      fontSize: '13px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <h4 style={{ margin: 0, color: theme.text, fontSize: '14px' }}>
+          History · {section.title}
+        </h4>
+        <button
+          onClick={onClose}
+          style={{
+            background: 'none',
+            border: 'none',
+            color: theme.text,
+            cursor: 'pointer',
+            fontSize: '16px'
+          }}
+        >
+          ×
+        </button>
+      </div>
+
+      {versions.length === 0 && (
+        <div style={{ color: theme.text + '80', fontStyle: 'italic' }}>No versions saved yet</div>
+      )}
+
+      <div style={{ maxHeight: '200px', overflowY: 'auto' }}>
+        {versions.map(version => {
+          const isCurrent = version.versionNumber === section.currentVersion;
+          return (
+            <div
+              key={version.id}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                padding: '6px 0',
+                borderBottom: `1px solid ${theme.border}`
+              }}
+            >
+              <div style={{ color: theme.text }}>
+                <strong>v{version.versionNumber}</strong> · {SOURCE_LABELS[version.source] || version.source}
+                {version.restoredFrom && ` v${version.restoredFrom}`}
+                {version.model && ` · ${version.model}`}
+                <div style={{ fontSize: '11px', color: theme.text + '80' }}>
+                  {formatDate(version.createdAt)}
+                  {version.createdByName && ` · ${version.createdByName}`}
+                  {` · ${version.wordCount} words`}
+                  {isCurrent && ' · current'}
+                </div>
+              </div>
+              {!isCurrent && (
+                <div style={{ display: 'flex', gap: '4px' }}>
+                  <button
+                    onClick={() => handleCompare(version.versionNumber)}
+                    style={{
+                      padding: '2px 8px',
+                      fontSize: '11px',
+                      backgroundColor: 'transparent',
+                      border: `1px solid ${theme.border}`,
+                      borderRadius: '4px',
+                      color: theme.text,
+                      cursor: 'pointer'
+                    }}
+                  >
+                    Compare
+                  </button>
+                  <button
+                    onClick={() => onRestore(version.versionNumber)}
+                    style={{
+                      padding: '2px 8px',
+                      fontSize: '11px',
+                      backgroundColor: theme.primary,
+                      border: 'none',
+                      borderRadius: '4px',
+                      color: 'white',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    Restore
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {loadingDiff && (
+        <div style={{ color: theme.text + '80', marginTop: '8px' }}>Comparing...</div>
+      )}
+
+      {diff && !loadingDiff && (
+        <div style={{ marginTop: '12px' }}>
+          <div style={{ fontSize: '12px', color: theme.text + '80', marginBottom: '6px' }}>
+            v{diff.from.versionNumber} → v{diff.to.versionNumber} · +{diff.stats.added} / −{diff.stats.removed} words
+          </div>
+          <div style={{
+            whiteSpace: 'pre-wrap',
+            lineHeight: '1.6',
+            maxHeight: '300px',
+            overflowY: 'auto',
+            padding: '8px',
+            border: `1px solid ${theme.border}`,
+            borderRadius: '4px'
+          }}>
+            {diff.changes.map((change, index) => (
+              <span key={index} style={changeStyle(change.type)}>{change.value}</span>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SectionVersionHistory;
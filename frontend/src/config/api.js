@@ -57,16 +57,25 @@ export const API_ENDPOINTS = {
   DOCUMENTS_UPLOAD: '/api/documents/upload',
   DOCUMENTS_LIST: '/api/documents/list',
   DOCUMENTS_CONTENT: '/api/documents/content',
+  DOCUMENTS_SEARCH: '/api/documents/search',
 
   // AI Writing
   AI_WRITING_GENERATE: '/api/ai-writing/generate',
+  AI_WRITING_STREAM: '/api/ai-writing/stream',
   AI_WRITING_MODELS: '/api/ai-writing/models',
   AI_WRITING_PERSONAS: '/api/ai-writing/personas',
 
+  // Proposal Drafts
+  PROPOSAL_DRAFTS: '/api/proposal-drafts',
+  PROPOSAL_EXPORTS: '/api/proposal-exports',
+
   // Global Prompts
   GLOBAL_PROMPTS: '/api/global-prompts',
   GLOBAL_PROMPTS_ACTIVE: '/api/global-prompts/active',
 
+  // Prompt templates and A/B experiments
+  PROMPT_TEMPLATES: '/api/prompt-templates',
+
   // Model Warmup
   MODEL_WARMUP: '/api/model-warmup',
 
@@ -76,12 +85,25 @@ export const API_ENDPOINTS = {
   // Compliance
   COMPLIANCE: '/api/compliance',
 
+  // Color Team Reviews
+  REVIEWS: '/api/reviews',
+
+  // Milestones and calendar feeds
+  MILESTONES: '/api/milestones',
+
   // Past Performance
   PAST_PERFORMANCE: '/api/past-performance',
 
   // Analytics
   ANALYTICS: '/api/analytics',
 
+  // Background Jobs
+  JOBS: '/api/jobs',
+  JOBS_STREAM: '/api/jobs/stream',
+
+  // AI Chat Sessions
+  CHAT: '/api/chat',
+
   // Health
   HEALTH: '/api/health'
 };
@@ -0,0 +1,185 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { API_BASE_URL, API_ENDPOINTS } from '../config/api';
+
+const CHAT_URL = `${API_BASE_URL}${API_ENDPOINTS.CHAT}`;
+
+/**
+ * Fetch JSON from the chat API, throwing the server message on failure
+ */
+const requestJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    credentials: 'include',
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(options.headers || {})
+    }
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.message || `Request failed (${response.status})`);
+  }
+  return data.data;
+};
+
+// The open conversation is remembered per project so it survives reloads
+const storageKey = (projectName) => `chatSession:${projectName}`;
+
+/**
+ * Custom hook for the selected project's persistent AI conversations
+ * Sessions are shared by the project team; the active one is restored after a reload
+ */
+const useChatSession = (selectedProject) => {
+  const [sessions, setSessions] = useState([]);
+  const [activeSession, setActiveSession] = useState(null);
+  const [error, setError] = useState(null);
+
+  const isComponentMountedRef = useRef(true);
+  const projectName = selectedProject ? selectedProject.title : null;
+
+  useEffect(() => {
+    isComponentMountedRef.current = true;
+    return () => {
+      isComponentMountedRef.current = false;
+    };
+  }, []);
+
+  const loadSessions = useCallback(async () => {
+    if (!projectName) {
+      setSessions([]);
+      return [];
+    }
+
+    try {
+      const data = await requestJson(`${CHAT_URL}/sessions?${new URLSearchParams({ projectName })}`);
+      if (isComponentMountedRef.current) {
+        setSessions(data);
+        setError(null);
+      }
+      return data;
+    } catch (err) {
+      if (isComponentMountedRef.current) setError(err.message);
+      return [];
+    }
+  }, [projectName]);
+
+  /**
+   * Open a conversation with its turns (null leaves chat mode)
+   */
+  const selectSession = useCallback(async (sessionId) => {
+    if (!sessionId) {
+      setActiveSession(null);
+      if (projectName) localStorage.removeItem(storageKey(projectName));
+      return null;
+    }
+
+    try {
+      const session = await requestJson(`${CHAT_URL}/sessions/${sessionId}`);
+      if (isComponentMountedRef.current) {
+        setActiveSession(session);
+        setError(null);
+      }
+      if (projectName) localStorage.setItem(storageKey(projectName), String(session.id));
+      return session;
+    } catch (err) {
+      if (isComponentMountedRef.current) setError(err.message);
+      if (projectName) localStorage.removeItem(storageKey(projectName));
+      return null;
+    }
+  }, [projectName]);
+
+  useEffect(() => {
+    setActiveSession(null);
+    loadSessions();
+
+    const savedSessionId = projectName ? localStorage.getItem(storageKey(projectName)) : null;
+    if (savedSessionId) {
+      selectSession(savedSessionId);
+    }
+  }, [projectName, loadSessions, selectSession]);
+
+  /**
+   * Start a conversation for the project and make it active
+   */
+  const createSession = useCallback(async (title) => {
+    if (!selectedProject) return null;
+
+    try {
+      const session = await requestJson(`${CHAT_URL}/sessions`, {
+        method: 'POST',
+        body: JSON.stringify({
+          projectName: selectedProject.title,
+          documentType: (selectedProject.documentType || 'solicitations').toLowerCase(),
+          title
+        })
+      });
+      await loadSessions();
+      return await selectSession(session.id);
+    } catch (err) {
+      if (isComponentMountedRef.current) setError(err.message);
+      return null;
+    }
+  }, [selectedProject, loadSessions, selectSession]);
+
+  /**
+   * Add a turn stored by the server (the chatMessage on a generation's done frame)
+   */
+  const appendMessage = useCallback((message) => {
+    if (!message) return;
+
+    setActiveSession(previous => {
+      if (!previous || previous.id !== message.sessionId) return previous;
+      return {
+        ...previous,
+        messageCount: (previous.messageCount || 0) + 1,
+        messages: [...(previous.messages || []), message]
+      };
+    });
+  }, []);
+
+  /**
+   * Search the project's past conversations
+   */
+  const searchChats = useCallback(async (query) => {
+    if (!query || !query.trim()) return [];
+
+    try {
+      const params = new URLSearchParams({ q: query.trim() });
+      if (projectName) params.append('projectName', projectName);
+      return await requestJson(`${CHAT_URL}/search?${params}`);
+    } catch (err) {
+      if (isComponentMountedRef.current) setError(err.message);
+      return [];
+    }
+  }, [projectName]);
+
+  const closeSession = useCallback(async () => {
+    if (!activeSession) return null;
+
+    try {
+      await requestJson(`${CHAT_URL}/sessions/${activeSession.id}/close`, { method: 'POST', body: JSON.stringify({}) });
+      await selectSession(null);
+      await loadSessions();
+      return true;
+    } catch (err) {
+      if (isComponentMountedRef.current) setError(err.message);
+      return null;
+    }
+  }, [activeSession, selectSession, loadSessions]);
+
+  return {
+    sessions,
+    activeSession,
+    messages: activeSession ? activeSession.messages || [] : [],
+    error,
+    loadSessions,
+    selectSession,
+    createSession,
+    appendMessage,
+    searchChats,
+    closeSession
+  };
+};
+
+export default useChatSession;
@@ -0,0 +1,114 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { API_BASE_URL, API_ENDPOINTS } from '../config/api';
+
+const RECONNECT_DELAY_MS = 3000;
+
+/**
+ * Build the WebSocket URL for the job progress feed
+ * Uses the API base URL when configured, otherwise the page origin (dev proxy)
+ */
+const getJobSocketUrl = () => {
+  const base = API_BASE_URL || window.location.origin;
+  return `${base.replace(/^http/, 'ws')}${API_ENDPOINTS.JOBS_STREAM}`;
+};
+
+/**
+ * Custom hook for live background job progress (context builds, text extraction, embedding backfills)
+ * Subscribes over the backend WebSocket and reconnects when the socket drops
+ * @param {Object} filters - { jobIds, types, projectName }; omit all to follow every job
+ * @param {Object} options - { enabled: false pauses the subscription }
+ * @returns {Object} { jobs (newest first), connected, cancelJob, retryJob }
+ */
+const useJobProgress = ({ jobIds, types, projectName } = {}, { enabled = true } = {}) => {
+  const [jobsById, setJobsById] = useState({});
+  const [connected, setConnected] = useState(false);
+
+  // Serialized so callers can pass inline arrays without resubscribing every render
+  const subscriptionKey = JSON.stringify({ jobIds: jobIds || null, types: types || null, projectName: projectName || null });
+  const socketRef = useRef(null);
+
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+
+    let closed = false;
+    let reconnectTimer = null;
+
+    const connect = () => {
+      let socket;
+      try {
+        socket = new WebSocket(getJobSocketUrl());
+      } catch (error) {
+        reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+        return;
+      }
+      socketRef.current = socket;
+
+      socket.onopen = () => {
+        setConnected(true);
+        socket.send(JSON.stringify({ type: 'jobs_subscribe', ...JSON.parse(subscriptionKey) }));
+      };
+
+      socket.onmessage = (event) => {
+        let frame;
+        try {
+          frame = JSON.parse(event.data);
+        } catch (error) {
+          return;
+        }
+
+        if (frame.type === 'jobs_snapshot') {
+          setJobsById(previous => {
+            const next = { ...previous };
+            frame.jobs.forEach(job => { next[job.id] = job; });
+            return next;
+          });
+        } else if (frame.type === 'job') {
+          setJobsById(previous => ({ ...previous, [frame.job.id]: frame.job }));
+        }
+      };
+
+      socket.onclose = () => {
+        setConnected(false);
+        if (!closed) {
+          reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+        }
+      };
+    };
+
+    setJobsById({});
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      if (socketRef.current) {
+        socketRef.current.close();
+        socketRef.current = null;
+      }
+    };
+  }, [subscriptionKey, enabled]);
+
+  const postJobAction = useCallback(async (jobId, action) => {
+    const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.JOBS}/${jobId}/${action}`, {
+      method: 'POST',
+      credentials: 'include'
+    });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+      throw new Error(result.message || `Could not ${action} job`);
+    }
+    setJobsById(previous => ({ ...previous, [result.data.id]: result.data }));
+    return result.data;
+  }, []);
+
+  const cancelJob = useCallback(jobId => postJobAction(jobId, 'cancel'), [postJobAction]);
+  const retryJob = useCallback(jobId => postJobAction(jobId, 'retry'), [postJobAction]);
+
+  const jobs = Object.values(jobsById).sort((a, b) => b.id - a.id);
+
+  return { jobs, connected, cancelJob, retryJob };
+};
+
+export default useJobProgress;
@@ -0,0 +1,218 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { API_BASE_URL, API_ENDPOINTS } from '../config/api';
+
+const DRAFTS_URL = `${API_BASE_URL}${API_ENDPOINTS.PROPOSAL_DRAFTS}`;
+
+/**
+ * Fetch JSON from the drafts API, throwing the server message on failure
+ */
+const requestJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    credentials: 'include',
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(options.headers || {})
+    }
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || !data.success) {
+    throw new Error(data.message || `Request failed (${response.status})`);
+  }
+  return data.data;
+};
+
+/**
+ * Custom hook for the selected project's persisted proposal draft
+ * Loads the draft's sections and exposes save, history, diff and restore for the active section
+ */
+const useProposalDraft = (selectedProject) => {
+  const [draft, setDraft] = useState(null);
+  const [activeSection, setActiveSection] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isComponentMountedRef = useRef(true);
+
+  useEffect(() => {
+    isComponentMountedRef.current = true;
+    return () => {
+      isComponentMountedRef.current = false;
+    };
+  }, []);
+
+  /**
+   * Load (or start) the draft for the selected project
+   */
+  const loadDraft = useCallback(async () => {
+    if (!selectedProject) {
+      setDraft(null);
+      setActiveSection(null);
+      return null;
+    }
+
+    try {
+      const params = new URLSearchParams({
+        projectName: selectedProject.title,
+        documentType: (selectedProject.documentType || 'solicitations').toLowerCase()
+      });
+      const data = await requestJson(`${DRAFTS_URL}/project?${params}`);
+      if (isComponentMountedRef.current) {
+        setDraft(data);
+        setError(null);
+      }
+      return data;
+    } catch (err) {
+      if (isComponentMountedRef.current) setError(err.message);
+      return null;
+    }
+  }, [selectedProject]);
+
+  useEffect(() => {
+    setActiveSection(null);
+    setVersions([]);
+    loadDraft();
+  }, [loadDraft]);
+
+  /**
+   * Open a section with its current content
+   */
+  const selectSection = useCallback(async (sectionId) => {
+    if (!sectionId) {
+      setActiveSection(null);
+      setVersions([]);
+      return null;
+    }
+
+    try {
+      const section = await requestJson(`${DRAFTS_URL}/sections/${sectionId}`);
+      if (isComponentMountedRef.current) {
+        setActiveSection(section);
+        setVersions([]);
+      }
+      return section;
+    } catch (err) {
+      if (isComponentMountedRef.current) setError(err.message);
+      return null;
+    }
+  }, []);
+
+  /**
+   * Create a section in the draft and make it active
+   */
+  const createSection = useCallback(async (title, content = '') => {
+    if (!draft) return null;
+
+    try {
+      const section = await requestJson(`${DRAFTS_URL}/${draft.id}/sections`, {
+        method: 'POST',
+        body: JSON.stringify({ title, content })
+      });
+      await loadDraft();
+      return await selectSection(section.id);
+    } catch (err) {
+      if (isComponentMountedRef.current) setError(err.message);
+      return null;
+    }
+  }, [draft, loadDraft, selectSection]);
+
+  /**
+   * Save the active section's content as a human-edited version
+   */
+  const saveContent = useCallback(async (content, changeNote = null) => {
+    if (!activeSection) return null;
+
+    setIsSaving(true);
+    try {
+      const result = await requestJson(`${DRAFTS_URL}/sections/${activeSection.id}/versions`, {
+        method: 'POST',
+        body: JSON.stringify({ content, changeNote })
+      });
+      if (isComponentMountedRef.current) {
+        setActiveSection(result.section);
+        setError(null);
+      }
+      return result;
+    } catch (err) {
+      if (isComponentMountedRef.current) setError(err.message);
+      return null;
+    } finally {
+      if (isComponentMountedRef.current) setIsSaving(false);
+    }
+  }, [activeSection]);
+
+  /**
+   * Reload the active section (e.g. after a generation saved a new AI version)
+   */
+  const refreshSection = useCallback(async () => {
+    if (!activeSection) return null;
+    return await selectSection(activeSection.id);
+  }, [activeSection, selectSection]);
+
+  // Keyed on the section ID so callers can load versions from an effect without looping
+  const activeSectionId = activeSection ? activeSection.id : null;
+  const loadVersions = useCallback(async () => {
+    if (!activeSectionId) return [];
+
+    try {
+      const data = await requestJson(`${DRAFTS_URL}/sections/${activeSectionId}/versions`);
+      if (isComponentMountedRef.current) setVersions(data);
+      return data;
+    } catch (err) {
+      if (isComponentMountedRef.current) setError(err.message);
+      return [];
+    }
+  }, [activeSectionId]);
+
+  const diffVersions = useCallback(async (fromVersion, toVersion = null) => {
+    if (!activeSection) return null;
+
+    const params = new URLSearchParams({ from: fromVersion });
+    if (toVersion) params.append('to', toVersion);
+
+    try {
+      return await requestJson(`${DRAFTS_URL}/sections/${activeSection.id}/diff?${params}`);
+    } catch (err) {
+      if (isComponentMountedRef.current) setError(err.message);
+      return null;
+    }
+  }, [activeSection]);
+
+  const restoreVersion = useCallback(async (versionNumber) => {
+    if (!activeSection) return null;
+
+    try {
+      const result = await requestJson(
+        `${DRAFTS_URL}/sections/${activeSection.id}/versions/${versionNumber}/restore`,
+        { method: 'POST', body: JSON.stringify({}) }
+      );
+      if (isComponentMountedRef.current) setActiveSection(result.section);
+      await loadVersions();
+      return result.section;
+    } catch (err) {
+      if (isComponentMountedRef.current) setError(err.message);
+      return null;
+    }
+  }, [activeSection, loadVersions]);
+
+  return {
+    draft,
+    sections: draft ? draft.sections : [],
+    activeSection,
+    versions,
+    isSaving,
+    error,
+    loadDraft,
+    selectSection,
+    createSection,
+    saveContent,
+    refreshSection,
+    loadVersions,
+    diffVersions,
+    restoreVersion
+  };
+};
+
+export default useProposalDraft;
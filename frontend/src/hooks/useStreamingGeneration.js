@@ -0,0 +1,271 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { API_BASE_URL, API_ENDPOINTS } from '../config/api';
+
+/**
+ * Build the WebSocket URL for the AI writing stream
+ * Uses the API base URL when configured, otherwise the page origin (dev proxy)
+ */
+const getStreamSocketUrl = () => {
+  const base = API_BASE_URL || window.location.origin;
+  return `${base.replace(/^http/, 'ws')}${API_ENDPOINTS.AI_WRITING_STREAM}`;
+};
+
+const createRequestId = () => `gen-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Custom hook for token-by-token AI generation
+ * Streams over the backend WebSocket and falls back to Server-Sent Events
+ * on /api/ai-writing/generate when the socket cannot be opened
+ */
+const useStreamingGeneration = () => {
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [isThinking, setIsThinking] = useState(false);
+  const [metadata, setMetadata] = useState(null);
+
+  const socketRef = useRef(null);
+  const activeRequestRef = useRef(null);
+  const isComponentMountedRef = useRef(true);
+
+  // Cleanup on unmount
+  useEffect(() => {
+    isComponentMountedRef.current = true;
+    return () => {
+      isComponentMountedRef.current = false;
+      if (activeRequestRef.current) {
+        activeRequestRef.current.cancel();
+      }
+      if (socketRef.current) {
+        socketRef.current.close();
+      }
+    };
+  }, []);
+
+  /**
+   * Open (or reuse) the shared socket; resolves null when it cannot connect
+   */
+  const getSocket = useCallback(() => {
+    const existing = socketRef.current;
+    if (existing && existing.readyState === WebSocket.OPEN) {
+      return Promise.resolve(existing);
+    }
+
+    return new Promise((resolve) => {
+      let settled = false;
+      let socket;
+      const settle = (value) => {
+        if (!settled) {
+          settled = true;
+          resolve(value);
+        }
+      };
+
+      try {
+        socket = new WebSocket(getStreamSocketUrl());
+      } catch (error) {
+        settle(null);
+        return;
+      }
+
+      const timeout = setTimeout(() => {
+        socket.close();
+        settle(null);
+      }, 3000);
+
+      socket.onopen = () => {
+        clearTimeout(timeout);
+        socketRef.current = socket;
+        settle(socket);
+      };
+      socket.onerror = () => {
+        clearTimeout(timeout);
+        settle(null);
+      };
+      socket.onclose = () => {
+        if (socketRef.current === socket) {
+          socketRef.current = null;
+        }
+        // A generation still running on this socket can no longer finish
+        if (activeRequestRef.current && activeRequestRef.current.transport === 'websocket') {
+          activeRequestRef.current.handleFrame({ type: 'error', message: 'Connection to the AI service was lost' });
+        }
+      };
+    });
+  }, []);
+
+  /**
+   * Start a streamed generation
+   * @param {Object} payload - Same body accepted by POST /api/ai-writing/generate
+   * @param {Object} handlers - onToken(text, { thinking }), onDone(metadata), onCancelled(partial), onError(message)
+   */
+  const startGeneration = useCallback(async (payload, handlers = {}) => {
+    if (activeRequestRef.current) {
+      activeRequestRef.current.cancel();
+    }
+
+    const requestId = createRequestId();
+    setIsStreaming(true);
+    setIsThinking(false);
+    setMetadata(null);
+
+    const finish = () => {
+      // A superseded request finishing late must not end the stream that replaced it
+      if (!activeRequestRef.current || activeRequestRef.current.requestId !== requestId) {
+        return;
+      }
+      activeRequestRef.current = null;
+      if (isComponentMountedRef.current) {
+        setIsStreaming(false);
+        setIsThinking(false);
+      }
+    };
+
+    const request = {
+      requestId,
+      transport: null,
+      cancel: () => {},
+      handleFrame: (frame) => {
+        if (!isComponentMountedRef.current) return;
+
+        switch (frame.type) {
+          case 'token':
+            if (handlers.onToken) handlers.onToken(frame.content, { thinking: frame.thinking });
+            break;
+          case 'thinking_start':
+            setIsThinking(true);
+            break;
+          case 'thinking_end':
+            setIsThinking(false);
+            break;
+          case 'done':
+            setMetadata({
+              wordCount: frame.wordCount,
+              model: frame.model,
+              citations: frame.citations || [],
+              generatedAt: frame.generatedAt,
+              // Set when the generation used a prompt template; writers rate it
+              generationId: frame.generationId || null
+            });
+            if (handlers.onDone) handlers.onDone(frame);
+            finish();
+            break;
+          case 'cancelled':
+            if (handlers.onCancelled) handlers.onCancelled(frame.partialContent);
+            finish();
+            break;
+          case 'error':
+            if (handlers.onError) handlers.onError(frame.message);
+            finish();
+            break;
+          default:
+            break;
+        }
+      }
+    };
+    activeRequestRef.current = request;
+
+    const socket = await getSocket();
+
+    if (activeRequestRef.current !== request) {
+      return; // Cancelled while connecting
+    }
+
+    if (socket) {
+      request.transport = 'websocket';
+      const onMessage = (event) => {
+        let frame;
+        try {
+          frame = JSON.parse(event.data);
+        } catch (error) {
+          return;
+        }
+        if (frame.requestId !== requestId) return;
+        request.handleFrame(frame);
+        if (['done', 'cancelled', 'error'].includes(frame.type)) {
+          socket.removeEventListener('message', onMessage);
+        }
+      };
+      socket.addEventListener('message', onMessage);
+      request.cancel = () => {
+        if (socket.readyState === WebSocket.OPEN) {
+          socket.send(JSON.stringify({ type: 'cancel', requestId }));
+        }
+      };
+      socket.send(JSON.stringify({ type: 'generate', requestId, ...payload }));
+      return;
+    }
+
+    // Fallback: Server-Sent Events over fetch (EventSource cannot POST)
+    request.transport = 'sse';
+    const controller = new AbortController();
+    request.cancel = () => {
+      controller.abort();
+      request.handleFrame({ type: 'cancelled', partialContent: null });
+    };
+
+    try {
+      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.AI_WRITING_GENERATE}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream'
+        },
+        credentials: 'include',
+        body: JSON.stringify(payload),
+        signal: controller.signal
+      });
+
+      if (!response.ok || !response.body) {
+        const data = await response.json().catch(() => ({}));
+        request.handleFrame({ type: 'error', message: data.message || `Request failed (${response.status})` });
+        return;
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+
+        events.forEach((rawEvent) => {
+          const dataLine = rawEvent.split('\n').find(line => line.startsWith('data: '));
+          if (dataLine) {
+            try {
+              request.handleFrame(JSON.parse(dataLine.substring(6)));
+            } catch (error) {
+              // Ignore malformed frames
+            }
+          }
+        });
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        request.handleFrame({ type: 'error', message: error.message });
+      }
+    }
+  }, [getSocket]);
+
+  /**
+   * Cancel the generation in progress, keeping whatever has streamed so far
+   */
+  const cancelGeneration = useCallback(() => {
+    if (activeRequestRef.current) {
+      activeRequestRef.current.cancel();
+    }
+  }, []);
+
+  return {
+    startGeneration,
+    cancelGeneration,
+    isStreaming,
+    isThinking,
+    metadata
+  };
+};
+
+export default useStreamingGeneration;
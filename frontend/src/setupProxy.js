@@ -9,6 +9,7 @@ module.exports = function(app) {
     createProxyMiddleware({
       target: target,
       changeOrigin: true,
+      ws: true, // AI writing token stream (/api/ai-writing/stream) and job progress feed (/api/jobs/stream)
       logLevel: 'debug'
     })
   );